@@ -22,6 +22,9 @@ const eventBridge = require('./shared/services/eventBridge');
 const stockPriceService = require('./rsu/services/stockPriceService');
 const vestingService = require('./rsu/services/vestingService');
 const currencyExchangeService = require('./foreign-currency/services/currencyExchangeService');
+const { aiBudget } = require('./shared/services/ai');
+const { settingsService } = require('./settings');
+const { notificationScheduler } = require('./notifications');
 
 // Import routes
 const authRoutes = require('./auth/routes/auth');
@@ -38,6 +41,17 @@ const foreignCurrencyRoutes = require('./foreign-currency/routes/foreignCurrency
 const onboardingRoutes = require('./onboarding/routes/onboarding');
 const pensionRoutes = require('./pension/routes/pension');
 const realEstateRoutes = require('./real-estate/routes/realEstate');
+const exportRoutes = require('./data-export/routes/export');
+const backupRoutes = require('./data-export/routes/backup');
+const taxReportRoutes = require('./tax-reports/routes/taxReports');
+const statementImportRoutes = require('./statement-import/routes/statementImports');
+const householdRoutes = require('./households/routes/households');
+const settingsRoutes = require('./settings/routes/settings');
+const ruleRoutes = require('./rules/routes/rules');
+const merchantRoutes = require('./merchants/routes/merchants');
+const subscriptionRoutes = require('./subscriptions/routes/subscriptions');
+const savingsGoalRoutes = require('./savings-goals/routes/savingsGoals');
+const notificationRoutes = require('./notifications/routes/notifications');
 const eventsRoutes = require('./shared/routes/events');
 const testRoutes = require('./shared/routes/test');
 
@@ -88,6 +102,9 @@ if (config.env === 'test') {
         logger.error('Failed to initialize event bridge:', error);
       }
 
+      // Users may set a lower daily AI allowance than the server-wide one
+      aiBudget.setLimitResolver(userId => settingsService.getDailyTokenBudget(userId));
+
       // Only initialize schedulers in production and E2E environments
       if (process.env.NODE_ENV !== 'test' || process.env.NODE_ENV === 'e2e') {
         try {
@@ -117,6 +134,13 @@ if (config.env === 'test') {
         } catch (error) {
           logger.error('Failed to initialize currency exchange service:', error);
         }
+
+        try {
+          await notificationScheduler.initialize();
+          logger.info('Notification scheduler initialized');
+        } catch (error) {
+          logger.error('Failed to initialize notification scheduler:', error);
+        }
       }
     })
     .catch(err => console.error('MongoDB connection error:', err));
@@ -144,6 +168,9 @@ app.use(cors(
     ? { origin: corsOrigins, credentials: true }
     : { origin: true, credentials: true }
 ));
+// Registered ahead of the global parser, which would otherwise reject a backup
+// file at its default size limit before this one is reached.
+app.use('/api/backup/restore', express.json({ limit: config.backup.maxRestoreSize }));
 app.use(express.json());
 // The session travels as an httpOnly cookie, so it has to be parsed before any
 // route or middleware tries to read it.
@@ -173,6 +200,7 @@ app.get('/health', async (req, res) => {
 });
 
 // Routes
+app.use('/api/auth/passkeys', require('./auth/routes/passkeys'));
 app.use('/api/auth', authRoutes);
 app.use('/api/users', require('./auth/routes/users'));
 app.use('/api/bank-accounts', bankAccountRoutes);
@@ -188,6 +216,17 @@ app.use('/api/foreign-currency', foreignCurrencyRoutes);
 app.use('/api/onboarding', onboardingRoutes);
 app.use('/api/pension', pensionRoutes);
 app.use('/api/real-estate', realEstateRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/backup', backupRoutes);
+app.use('/api/tax-reports', taxReportRoutes);
+app.use('/api/statement-imports', statementImportRoutes);
+app.use('/api/households', householdRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/merchants', merchantRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/savings-goals', savingsGoalRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/events', eventsRoutes);
 
 // Test routes (enabled in test and e2e environments)
@@ -1,16 +1,68 @@
 const mongoose = require('mongoose');
+const {
+  BUDGET_MONTH_START_DAY_MAX,
+  BUDGET_MONTH_START_MODES,
+  NOTIFICATION_DIGESTS,
+  SCRAPING_FREQUENCIES
+} = require('../../settings/constants/defaults');
+
+const IDENTITY_PROVIDERS = ['github', 'google', 'passkey'];
+
+// One way of signing in to this account. A user can hold several, so someone
+// who first signed in with GitHub can add Google or a passkey and reach the
+// same records either way.
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: IDENTITY_PROVIDERS,
+    required: true
+  },
+  // The provider's permanent id for the person: GitHub's numeric id, the OIDC
+  // `sub` claim, or a passkey's credential id. Never an email or login, which
+  // their owner can change and somebody else can later claim.
+  subject: {
+    type: String,
+    required: true
+  },
+  // Shown in the list of sign-in methods: the GitHub login, the Google
+  // address, or the name given to a passkey.
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  email: {
+    type: String,
+    default: null
+  },
+  // Passkeys only: the credential's public key as SPKI PEM, its COSE
+  // algorithm, and the authenticator's last signature counter.
+  publicKey: String,
+  algorithm: Number,
+  signCount: Number,
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+});
 
 const userSchema = new mongoose.Schema({
-  // Identity is owned by GitHub; this app stores no password of its own.
+  // This app stores no password of its own. How a user signs in is recorded
+  // in `identities`; the GitHub fields are kept alongside because households
+  // invite people by GitHub login.
+  identities: [identitySchema],
+  // Sparse, because people who sign in with Google or a passkey have none.
   githubId: {
     type: Number,
-    required: true,
     unique: true,
-    index: true
+    sparse: true
   },
   githubLogin: {
     type: String,
-    required: true,
     trim: true
   },
   avatarUrl: {
@@ -37,6 +89,38 @@ const userSchema = new mongoose.Schema({
     default: 'ILS',
     trim: true
   },
+  // Edited through the settings API, which fills in anything unset from
+  // settings/constants/defaults.js. Stored sparsely rather than with schema
+  // defaults, so a change to a default reaches everyone who never changed it.
+  settings: {
+    budgetMonthStartDay: { type: Number, min: 1, max: BUDGET_MONTH_START_DAY_MAX },
+    budgetMonthStartsOn: { type: String, enum: BUDGET_MONTH_START_MODES },
+    rsuTaxRates: {
+      wageIncome: { type: Number, min: 0, max: 1 },
+      capitalGainsLongTerm: { type: Number, min: 0, max: 1 },
+      capitalGainsShortTerm: { type: Number, min: 0, max: 1 }
+    },
+    aiCategorization: {
+      enabled: { type: Boolean },
+      // Tokens per day. Unset means the server-wide ceiling.
+      dailyTokenBudget: { type: Number, min: 0 }
+    },
+    // Copied onto each bank account connected afterwards.
+    scrapingSchedule: {
+      frequency: { type: String, enum: SCRAPING_FREQUENCIES },
+      dayOfWeek: { type: Number, min: 0, max: 6 },
+      dayOfMonth: { type: Number, min: 1, max: 31 },
+      timeOfDay: { type: String, match: /^([01]\d|2[0-3]):([0-5]\d)$/ }
+    },
+    // In the display currency; see DEFAULT_LOW_BALANCE_THRESHOLD
+    lowBalanceThreshold: { type: Number, min: 0 },
+    notifications: {
+      email: { type: Boolean },
+      push: { type: Boolean },
+      webhookUrl: { type: String, maxlength: 2000 },
+      digest: { type: String, enum: NOTIFICATION_DIGESTS }
+    }
+  },
   // Envelope encryption material for this user's bank credentials. Holds only
   // the wrapped form of the data encryption key; the key that unwraps it lives
   // in Azure Key Vault. Never selected by default so it cannot leak through a
@@ -417,6 +501,14 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// One provider account can belong to only one user, even when two sign-ins
+// race. Partial, because users created before identities existed have none
+// until their next sign-in and would otherwise all collide on an empty key.
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,225 @@
+const request = require('supertest');
+const { createTestUser } = require('../../../test/testUtils');
+const { startMockOidcServer } = require('../../../test/mockOidcServer');
+const { createVirtualAuthenticator } = require('../../../test/virtualAuthenticator');
+const app = require('../../../app');
+const { User } = require('../../models');
+const config = require('../../../shared/config');
+const { setProviderClient } = require('../auth');
+
+const SESSION_COOKIE = config.session.cookieName;
+
+const sessionCookieFrom = (response) => (response.headers['set-cookie'] || [])
+  .find((cookie) => cookie.startsWith(`${SESSION_COOKIE}=`));
+
+describe('Sign-in identities', () => {
+  let provider;
+  let originalGoogle;
+
+  // Plays the browser through a redirect sign-in: our login route, the
+  // provider's authorize page, and back to our callback.
+  const signInWithGoogle = async (start = '/api/auth/google/login', headers = {}) => {
+    const login = await request(app).get(start).set(headers);
+    expect(login.status).toBe(302);
+    const authorize = await fetch(login.headers.location, { redirect: 'manual' });
+    const callback = new URL(authorize.headers.get('location'));
+    return request(app).get(callback.pathname + callback.search).set(headers);
+  };
+
+  beforeAll(async () => {
+    provider = await startMockOidcServer({ clientId: 'google-client', clientSecret: 'google-secret' });
+    originalGoogle = config.google;
+    config.google = { clientId: 'google-client', clientSecret: 'google-secret', issuer: provider.issuer };
+    setProviderClient('google', null);
+  });
+
+  afterAll(async () => {
+    config.google = originalGoogle;
+    setProviderClient('google', null);
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    provider.setUser({ sub: 'google-dana', email: 'dana@example.com', email_verified: true, name: 'Dana' });
+  });
+
+  it('lists the configured providers', async () => {
+    const response = await request(app).get('/api/auth/providers').expect(200);
+
+    expect(response.body.data).toEqual(expect.arrayContaining([
+      { id: 'google', label: 'Google', type: 'redirect' },
+      { id: 'passkey', label: 'Passkey', type: 'passkey' }
+    ]));
+  });
+
+  describe('Google', () => {
+    it('creates an account on first sign-in and resumes it afterwards', async () => {
+      const first = await signInWithGoogle();
+      expect(first.status).toBe(302);
+      expect(sessionCookieFrom(first)).toContain('HttpOnly');
+
+      const user = await User.findOne({ email: 'dana@example.com' });
+      expect(user.name).toBe('Dana');
+      expect(user.githubId).toBeUndefined();
+      expect(user.identities.map(({ provider: id, subject }) => [id, subject])).toEqual([['google', 'google-dana']]);
+
+      await signInWithGoogle();
+      expect(await User.countDocuments({ email: 'dana@example.com' })).toBe(1);
+    });
+
+    it('does not join an existing account just because the email matches', async () => {
+      await createTestUser(User, { email: 'dana@example.com' });
+
+      const response = await signInWithGoogle();
+
+      expect(response.headers.location).toContain('auth_error=email_in_use');
+      expect(sessionCookieFrom(response)).toBeUndefined();
+      expect(await User.countDocuments({ email: 'dana@example.com' })).toBe(1);
+    });
+
+    it('ignores an address Google has not verified', async () => {
+      provider.setUser({ sub: 'google-unverified', email: 'dana@example.com', email_verified: false, name: 'Dana' });
+
+      await signInWithGoogle();
+
+      const user = await User.findOne({ 'identities.subject': 'google-unverified' });
+      expect(user.email).toBeNull();
+    });
+  });
+
+  describe('linking', () => {
+    let user;
+    let token;
+
+    beforeEach(async () => {
+      ({ user, token } = await createTestUser(User, { email: 'owner@example.com' }));
+    });
+
+    it('adds Google to the signed-in account so either one signs in', async () => {
+      const linked = await signInWithGoogle('/api/auth/google/link', { Cookie: `${SESSION_COOKIE}=${token}` });
+      expect(linked.status).toBe(302);
+      expect(linked.headers.location).not.toContain('auth_error');
+
+      const identities = await request(app)
+        .get('/api/auth/identities')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(identities.body.data.map((identity) => identity.provider).sort()).toEqual(['github', 'google']);
+
+      const signIn = await signInWithGoogle();
+      expect(sessionCookieFrom(signIn)).toBeDefined();
+      expect(await User.countDocuments()).toBe(1);
+      expect((await User.findOne({ 'identities.subject': 'google-dana' }))._id).toEqual(user._id);
+    });
+
+    it('refuses to finish a link in somebody else\'s browser', async () => {
+      const login = await request(app).get('/api/auth/google/link').set('Authorization', `Bearer ${token}`);
+      const authorize = await fetch(login.headers.location, { redirect: 'manual' });
+      const callback = new URL(authorize.headers.get('location'));
+
+      const response = await request(app).get(callback.pathname + callback.search);
+
+      expect(response.headers.location).toContain('auth_error=link_session_mismatch');
+      expect((await User.findById(user._id)).identities).toHaveLength(0);
+    });
+
+    it('refuses an identity that already belongs to another user', async () => {
+      await signInWithGoogle();
+
+      const response = await signInWithGoogle('/api/auth/google/link', { Cookie: `${SESSION_COOKIE}=${token}` });
+
+      expect(response.headers.location).toContain('auth_error=identity_in_use');
+    });
+
+    it('keeps at least one way to sign in', async () => {
+      const { body } = await request(app).get('/api/auth/identities').set('Authorization', `Bearer ${token}`);
+      const [github] = body.data;
+
+      const response = await request(app)
+        .delete(`/api/auth/identities/${github.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+      expect(response.body.code).toBe('LAST_IDENTITY');
+    });
+
+    it('removes GitHub once another method is linked', async () => {
+      await signInWithGoogle('/api/auth/google/link', { Cookie: `${SESSION_COOKIE}=${token}` });
+      const { body } = await request(app).get('/api/auth/identities').set('Authorization', `Bearer ${token}`);
+      const github = body.data.find((identity) => identity.provider === 'github');
+
+      const response = await request(app)
+        .delete(`/api/auth/identities/${github.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.map((identity) => identity.provider)).toEqual(['google']);
+      const updated = await User.findById(user._id);
+      expect(updated.githubId).toBeUndefined();
+      expect(updated.githubLogin).toBeUndefined();
+    });
+  });
+
+  describe('passkeys', () => {
+    let user;
+    let token;
+    let authenticator;
+
+    const register = async () => {
+      const { body: { data: { options, challengeToken } } } = await request(app)
+        .post('/api/auth/passkeys/register/options')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      return request(app)
+        .post('/api/auth/passkeys/register')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ challengeToken, credential: authenticator.create({ challenge: options.challenge }), label: 'Laptop' });
+    };
+
+    const startSignIn = async () => (await request(app).post('/api/auth/passkeys/login/options').expect(200)).body.data;
+
+    beforeEach(async () => {
+      ({ user, token } = await createTestUser(User, { email: 'owner@example.com' }));
+      authenticator = createVirtualAuthenticator({ rpId: config.passkeys.rpId, origin: config.passkeys.origins[0] });
+    });
+
+    it('registers a passkey and signs in with it', async () => {
+      const registered = await register();
+      expect(registered.status).toBe(201);
+      expect(registered.body.data.label).toBe('Laptop');
+
+      const { options, challengeToken } = await startSignIn();
+      const response = await request(app)
+        .post('/api/auth/passkeys/login')
+        .send({ challengeToken, credential: authenticator.get({ challenge: options.challenge }) })
+        .expect(200);
+
+      const cookie = sessionCookieFrom(response);
+      expect(cookie).toContain('HttpOnly');
+      const profile = await request(app).get('/api/auth/profile').set('Cookie', cookie.split(';')[0]).expect(200);
+      expect(String(profile.body.user.id)).toBe(String(user._id));
+    });
+
+    it('refuses a response replayed against the same challenge', async () => {
+      await register();
+      const { options, challengeToken } = await startSignIn();
+      const credential = authenticator.get({ challenge: options.challenge });
+
+      await request(app).post('/api/auth/passkeys/login').send({ challengeToken, credential }).expect(200);
+      const replay = await request(app).post('/api/auth/passkeys/login').send({ challengeToken, credential }).expect(400);
+
+      expect(replay.body.code).toBe('INVALID_CHALLENGE');
+    });
+
+    it('refuses a passkey this server does not know', async () => {
+      const { options, challengeToken } = await startSignIn();
+
+      const response = await request(app)
+        .post('/api/auth/passkeys/login')
+        .send({ challengeToken, credential: authenticator.get({ challenge: options.challenge }) })
+        .expect(401);
+
+      expect(response.body.code).toBe('PASSKEY_REJECTED');
+      expect(sessionCookieFrom(response)).toBeUndefined();
+    });
+  });
+});
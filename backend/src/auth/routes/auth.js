@@ -1,17 +1,26 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { param, validationResult } = require('express-validator');
 const config = require('../../shared/config/index');
 const auth = require('../../shared/middleware/auth');
+const { extractToken } = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const logger = require('../../shared/utils/logger');
-const { GitHubOAuthClient } = require('../services/githubOAuth');
-const { signOAuthState, verifyOAuthState, safeReturnTo } = require('../services/oauthState');
-const { initializeUserCategories } = require('../../monthly-budgets/services/userCategoryService');
+const authProviders = require('../services/authProviders');
+const { githubIdentity } = require('../services/authProviders');
+const identityService = require('../services/identityService');
+const { IdentityError } = require('../services/identityService');
+const passkeyService = require('../services/passkeyService');
+const {
+  signOAuthState,
+  verifyOAuthState,
+  safeReturnTo,
+  codeVerifierFor,
+  codeChallengeFor
+} = require('../services/oauthState');
 
 const router = express.Router();
 
-const CALLBACK_PATH = '/api/auth/github/callback';
-
 // Origins the browser may be returned to after login. Reusing the CORS
 // allowlist keeps one list of trusted frontends rather than two that can drift.
 function allowedOrigins() {
@@ -21,30 +30,21 @@ function allowedOrigins() {
     .filter(Boolean);
 }
 
-let cachedClient;
-
-/**
- * Builds the OAuth client lazily so the app still starts, and every other route
- * still works, when GitHub credentials are absent. Only the login routes fail,
- * and they say why.
- */
-function getOAuthClient() {
-  // An injected client wins, so tests can drive the flow without reaching
-  // github.com and without needing real credentials configured.
-  if (cachedClient) return cachedClient;
-  if (!config.github.clientId || !config.github.clientSecret) return null;
-
-  cachedClient = new GitHubOAuthClient({
-    clientId: config.github.clientId,
-    clientSecret: config.github.clientSecret,
-    redirectUri: `${config.github.publicApiUrl}${CALLBACK_PATH}`
-  });
-  return cachedClient;
-}
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
 
 // Test seam: lets a suite install a stub client instead of reaching github.com.
 function setOAuthClient(client) {
-  cachedClient = client;
+  authProviders.setClient('github', client);
 }
 
 function issueSession(res, user) {
@@ -68,6 +68,18 @@ function issueSession(res, user) {
   return token;
 }
 
+// The signed-in user's id, if the request carries a valid session, without
+// refusing the request when it does not.
+function sessionUserId(req) {
+  const token = extractToken(req);
+  if (!token) return null;
+  try {
+    return String(jwt.verify(token, config.jwtSecret).userId);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Finds or creates the account behind a GitHub profile.
  *
@@ -76,69 +88,135 @@ function issueSession(res, user) {
  * else, whereas the id is permanent.
  */
 async function upsertGitHubUser(profile) {
-  const existing = await User.findOne({ githubId: profile.id });
-
-  if (existing) {
-    existing.githubLogin = profile.login;
-    existing.name = profile.name || profile.login;
-    existing.avatarUrl = profile.avatarUrl;
-    if (profile.email) existing.email = profile.email;
-    await existing.save();
-    return { user: existing, created: false };
-  }
-
-  const user = new User({
-    githubId: profile.id,
-    githubLogin: profile.login,
-    name: profile.name || profile.login,
-    email: profile.email || null,
-    avatarUrl: profile.avatarUrl
-  });
-  await user.save();
-
-  // A user without their default categories cannot budget anything, so a
-  // half-provisioned account is worse than none: roll it back and let them
-  // retry rather than leaving them permanently broken.
-  try {
-    await initializeUserCategories(user._id);
-  } catch (error) {
-    await User.findByIdAndDelete(user._id);
-    throw error;
-  }
+  return identityService.signIn(githubIdentity(profile));
+}
 
-  return { user, created: true };
+function withAuthError(returnTo, code) {
+  // Built through URL rather than concatenated: returnTo may already carry a
+  // query string or a fragment, and appending after a fragment would produce
+  // a parameter the browser never parses.
+  const target = new URL(returnTo);
+  target.searchParams.set('auth_error', code);
+  return target.toString();
 }
 
-// Starts the OAuth flow. The browser is sent to GitHub carrying signed state
-// that remembers where to return to.
-router.get('/github/login', (req, res) => {
-  const client = getOAuthClient();
+// Resolves :provider, answering for the request when it is unknown or not
+// configured.
+function providerClient(req, res) {
+  const { provider } = req.params;
+  if (!authProviders.has(provider)) {
+    res.status(404).json({ error: 'unknown_provider' });
+    return null;
+  }
+  const client = authProviders.getClient(provider);
   if (!client) {
-    return res.status(503).json({ error: 'GitHub sign-in is not configured' });
+    res.status(503).json({ error: `${authProviders.label(provider)} sign-in is not configured` });
+    return null;
   }
+  return client;
+}
 
+async function redirectToProvider(req, res, client, linkUserId) {
   const returnTo = safeReturnTo(req.query.return_to, {
     allowedOrigins: allowedOrigins(),
     fallback: config.github.defaultReturnTo
   });
-  const state = signOAuthState({ returnTo }, config.jwtSecret);
+  const state = signOAuthState({ returnTo, linkUserId }, config.jwtSecret);
+  const { nonce } = verifyOAuthState(state, config.jwtSecret);
 
-  return res.redirect(client.authorizeUrl(state));
+  const url = await client.authorizeUrl(state, {
+    nonce,
+    codeChallenge: codeChallengeFor(codeVerifierFor(nonce, config.jwtSecret))
+  });
+  return res.redirect(url);
+}
+
+/**
+ * GET /api/auth/providers
+ * The ways to sign in that this server offers, for the login page.
+ */
+router.get('/providers', (req, res) => {
+  const providers = authProviders.listConfigured();
+  if (passkeyService.isEnabled()) {
+    providers.push({ id: 'passkey', label: 'Passkey', type: 'passkey' });
+  }
+  return res.json({ success: true, data: providers });
 });
 
-// GitHub redirects here with an authorization code. Everything before the
-// exchange is validation of what the browser handed us.
-router.get('/github/callback', async (req, res) => {
-  const client = getOAuthClient();
-  if (!client) {
-    return res.status(503).json({ error: 'GitHub sign-in is not configured' });
+/**
+ * GET /api/auth/identities
+ * The signed-in user's sign-in methods.
+ */
+router.get('/identities', auth, async (req, res) => {
+  try {
+    const identities = await identityService.list(req.user);
+    return res.json({ success: true, data: identities });
+  } catch (error) {
+    logger.error('Failed to list sign-in methods:', error);
+    return res.status(500).json({ error: 'Failed to list sign-in methods' });
   }
+});
+
+/**
+ * DELETE /api/auth/identities/:identityId
+ * Removes a sign-in method. The last one cannot be removed.
+ */
+router.delete('/identities/:identityId',
+  auth,
+  [param('identityId').isMongoId()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const identities = await identityService.unlink(req.user, req.params.identityId);
+      return res.json({ success: true, data: identities });
+    } catch (error) {
+      if (error instanceof IdentityError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+      logger.error('Failed to remove sign-in method:', error);
+      return res.status(500).json({ error: 'Failed to remove sign-in method' });
+    }
+  }
+);
+
+// Starts the OAuth flow. The browser is sent to the provider carrying signed
+// state that remembers where to return to.
+router.get('/:provider/login', async (req, res) => {
+  const client = providerClient(req, res);
+  if (!client) return undefined;
+  try {
+    return await redirectToProvider(req, res, client, null);
+  } catch (error) {
+    logger.error(`${req.params.provider} sign-in could not start: ${error.message}`);
+    return res.status(502).json({ error: `${req.params.provider}_sign_in_failed` });
+  }
+});
+
+// Like login, but adds the identity to the signed-in user's account instead of
+// signing in with it.
+router.get('/:provider/link', auth, async (req, res) => {
+  const client = providerClient(req, res);
+  if (!client) return undefined;
+  try {
+    return await redirectToProvider(req, res, client, req.user._id);
+  } catch (error) {
+    logger.error(`${req.params.provider} link could not start: ${error.message}`);
+    return res.status(502).json({ error: `${req.params.provider}_sign_in_failed` });
+  }
+});
+
+// The provider redirects here with an authorization code. Everything before
+// the exchange is validation of what the browser handed us.
+router.get('/:provider/callback', async (req, res) => {
+  const client = providerClient(req, res);
+  if (!client) return undefined;
+  const { provider } = req.params;
 
   const verified = verifyOAuthState(req.query.state, config.jwtSecret);
   // Checking state before anything else matters: without it this request
   // cannot be shown to have started from our own login route.
   if (!verified) {
-    logger.warn('GitHub callback rejected: invalid state');
+    logger.warn(`${provider} callback rejected: invalid state`);
     return res.status(400).json({ error: 'invalid_state' });
   }
 
@@ -150,35 +228,49 @@ router.get('/github/callback', async (req, res) => {
   if (req.query.error) {
     // The user declined authorisation. That is a normal outcome, so send them
     // back to the app rather than showing them a JSON error.
-    logger.info(`GitHub callback returned an error: ${req.query.error}`);
-    // Built through URL rather than concatenated: returnTo may already carry a
-    // query string or a fragment, and appending after a fragment would produce
-    // a parameter the browser never parses.
-    const target = new URL(returnTo);
-    target.searchParams.set('auth_error', 'access_denied');
-    return res.redirect(target.toString());
+    logger.info(`${provider} callback returned an error: ${req.query.error}`);
+    return res.redirect(withAuthError(returnTo, 'access_denied'));
   }
 
   if (!req.query.code) {
     return res.status(400).json({ error: 'missing_code' });
   }
 
+  // A link started in one browser must finish in the same person's session.
+  // Otherwise someone could start linking to their own account and have a
+  // victim complete it, attaching the victim's identity to the attacker.
+  if (verified.linkUserId && sessionUserId(req) !== verified.linkUserId) {
+    logger.warn(`${provider} link rejected: session does not match`);
+    return res.redirect(withAuthError(returnTo, 'link_session_mismatch'));
+  }
+
   try {
-    const accessToken = await client.exchangeCode(req.query.code);
-    const profile = await client.getUser(accessToken);
-    const { user, created } = await upsertGitHubUser(profile);
+    const identity = await authProviders.signIn(provider, client, req.query.code, {
+      nonce: verified.nonce,
+      codeVerifier: codeVerifierFor(verified.nonce, config.jwtSecret)
+    });
 
+    if (verified.linkUserId) {
+      await identityService.link(verified.linkUserId, identity);
+      return res.redirect(returnTo);
+    }
+
+    const { user, created } = await identityService.signIn(identity);
     issueSession(res, user);
-    logger.info(`GitHub sign-in ${created ? 'created' : 'resumed'} account for ${profile.login}`);
+    logger.info(`${authProviders.label(provider)} sign-in ${created ? 'created' : 'resumed'} account ${user._id}`);
 
     return res.redirect(returnTo);
   } catch (error) {
-    logger.error(`GitHub sign-in failed: ${error.message}`);
-    return res.status(502).json({ error: 'github_sign_in_failed' });
+    if (error instanceof IdentityError) {
+      logger.info(`${provider} sign-in refused: ${error.code}`);
+      return res.redirect(withAuthError(returnTo, error.code.toLowerCase()));
+    }
+    logger.error(`${authProviders.label(provider)} sign-in failed: ${error.message}`);
+    return res.status(502).json({ error: `${provider}_sign_in_failed` });
   }
 });
 
-router.post('/logout', (req, res) => {
+function clearSession(res) {
   // The options must match those used to set the cookie or the browser keeps it.
   res.clearCookie(config.session.cookieName, {
     httpOnly: true,
@@ -186,18 +278,25 @@ router.post('/logout', (req, res) => {
     sameSite: config.session.crossSite ? 'none' : 'lax',
     path: '/'
   });
+}
+
+router.post('/logout', (req, res) => {
+  clearSession(res);
   return res.json({ success: true });
 });
 
-router.get('/profile', auth, async (req, res) => {
+router.get('/profile', householdAuth, async (req, res) => {
   return res.json({
     user: {
       id: req.user._id,
       email: req.user.email,
       name: req.user.name,
-      githubLogin: req.user.githubLogin,
+      githubLogin: req.user.githubLogin || null,
       avatarUrl: req.user.avatarUrl,
-      displayCurrency: req.user.displayCurrency || 'ILS'
+      displayCurrency: req.user.displayCurrency || 'ILS',
+      household: req.household
+        ? { id: req.household._id, name: req.household.name, role: req.householdRole }
+        : null
     }
   });
 });
@@ -205,4 +304,6 @@ router.get('/profile', auth, async (req, res) => {
 module.exports = router;
 module.exports.upsertGitHubUser = upsertGitHubUser;
 module.exports.setOAuthClient = setOAuthClient;
+module.exports.setProviderClient = (id, client) => authProviders.setClient(id, client);
 module.exports.issueSession = issueSession;
+module.exports.clearSession = clearSession;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const auth = require('../../shared/middleware/auth');
+const logger = require('../../shared/utils/logger');
+const passkeyService = require('../services/passkeyService');
+const { IdentityError } = require('../services/identityService');
+const { issueSession } = require('./auth');
+
+const router = express.Router();
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof IdentityError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+};
+
+const ceremonyValidators = [
+  body('challengeToken').isString().notEmpty(),
+  body('credential').isObject(),
+  body('credential.id').isString().notEmpty()
+];
+
+/**
+ * POST /api/auth/passkeys/login/options
+ * Starts a passkey sign-in: the options for navigator.credentials.get() and
+ * the token to send back with the response.
+ */
+router.post('/login/options', (req, res) => {
+  try {
+    return res.json({ success: true, data: passkeyService.authenticationOptions() });
+  } catch (error) {
+    return sendError(res, error, 'Failed to start passkey sign-in');
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/login
+ * Verifies the authenticator's response and starts a session, the same
+ * httpOnly cookie the other sign-in methods set.
+ */
+router.post('/login', ceremonyValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await passkeyService.authenticate(req.body);
+    issueSession(res, user);
+    logger.info(`Passkey sign-in resumed account ${user._id}`);
+    return res.json({ success: true });
+  } catch (error) {
+    return sendError(res, error, 'Passkey sign-in failed');
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/register/options
+ * Starts adding a passkey to the signed-in user's account.
+ */
+router.post('/register/options', auth, (req, res) => {
+  try {
+    return res.json({ success: true, data: passkeyService.registrationOptions(req.user) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to start passkey registration');
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/register
+ * Stores the new passkey as one of the user's sign-in methods.
+ */
+router.post('/register',
+  auth,
+  [...ceremonyValidators, body('label').optional().isString().trim().isLength({ min: 1, max: 100 })],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const identity = await passkeyService.register(req.user, req.body);
+      return res.status(201).json({
+        success: true,
+        data: { id: identity._id, provider: identity.provider, label: identity.label, linkedAt: identity.linkedAt }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to register passkey');
+    }
+  }
+);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const {
   signOAuthState,
   verifyOAuthState,
   safeReturnTo,
+  codeVerifierFor,
+  codeChallengeFor,
   STATE_MAX_AGE_MS
 } = require('../oauthState');
 
@@ -64,6 +66,31 @@ describe('oauthState', () => {
       expect(verifyOAuthState(undefined, SECRET)).toBeNull();
       expect(verifyOAuthState('a'.repeat(5000), SECRET)).toBeNull();
     });
+
+    it('carries the account an identity is being linked to', () => {
+      const linking = signOAuthState({ returnTo: 'https://app.example.com/', linkUserId: 'user-1' }, SECRET);
+      const signingIn = signOAuthState({ returnTo: 'https://app.example.com/' }, SECRET);
+
+      expect(verifyOAuthState(linking, SECRET).linkUserId).toBe('user-1');
+      expect(verifyOAuthState(signingIn, SECRET).linkUserId).toBeNull();
+    });
+  });
+
+  describe('PKCE', () => {
+    it('derives the same verifier for the same login and a different one otherwise', () => {
+      expect(codeVerifierFor('nonce-a', SECRET)).toBe(codeVerifierFor('nonce-a', SECRET));
+      expect(codeVerifierFor('nonce-a', SECRET)).not.toBe(codeVerifierFor('nonce-b', SECRET));
+      expect(codeVerifierFor('nonce-a', SECRET)).not.toBe(codeVerifierFor('nonce-a', 'another-secret'));
+    });
+
+    it('produces a verifier and S256 challenge in the form RFC 7636 requires', () => {
+      const verifier = codeVerifierFor('nonce-a', SECRET);
+
+      expect(verifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+      // Test vector from RFC 7636 appendix B
+      expect(codeChallengeFor('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+        .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
   });
 
   describe('safeReturnTo', () => {
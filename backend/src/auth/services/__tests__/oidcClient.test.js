@@ -0,0 +1,98 @@
+const { generateKeyPairSync } = require('crypto');
+const { OidcClient } = require('../oidcClient');
+const { codeVerifierFor, codeChallengeFor } = require('../oauthState');
+const { startMockOidcServer } = require('../../../test/mockOidcServer');
+
+const CLIENT_ID = 'mock-client';
+const CLIENT_SECRET = 'mock-secret';
+const REDIRECT_URI = 'http://localhost:3001/api/auth/google/callback';
+
+describe('OidcClient', () => {
+  let provider;
+  let client;
+
+  const verifier = codeVerifierFor('nonce-1', 'test-secret');
+
+  // Plays the browser: follows the provider's redirect and picks the code out
+  // of the URL it would have returned to.
+  const obtainCode = async (nonce = 'nonce-1', challenge = codeChallengeFor(verifier)) => {
+    const url = await client.authorizeUrl('state-1', { nonce, codeChallenge: challenge });
+    const response = await fetch(url, { redirect: 'manual' });
+    return new URL(response.headers.get('location')).searchParams.get('code');
+  };
+
+  beforeAll(async () => {
+    provider = await startMockOidcServer({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+  });
+
+  afterAll(async () => {
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    client = new OidcClient({
+      issuer: provider.issuer,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      redirectUri: REDIRECT_URI
+    });
+    provider.setUser({ sub: 'google-123', email: 'dana@example.com', email_verified: true, name: 'Dana' });
+  });
+
+  it('builds the authorization URL from the discovery document', async () => {
+    const url = new URL(await client.authorizeUrl('state-1', { nonce: 'nonce-1', codeChallenge: 'challenge' }));
+
+    expect(url.origin + url.pathname).toBe(`${provider.issuer}/authorize`);
+    expect(url.searchParams.get('client_id')).toBe(CLIENT_ID);
+    expect(url.searchParams.get('scope')).toBe('openid email profile');
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('nonce')).toBe('nonce-1');
+  });
+
+  it('signs in and returns the verified claims', async () => {
+    const claims = await client.signIn(await obtainCode(), { nonce: 'nonce-1', codeVerifier: verifier });
+
+    expect(claims).toMatchObject({ sub: 'google-123', email: 'dana@example.com', aud: CLIENT_ID });
+  });
+
+  it('refuses a token minted for a different login', async () => {
+    const code = await obtainCode('someone-elses-nonce');
+
+    await expect(client.signIn(code, { nonce: 'nonce-1', codeVerifier: verifier }))
+      .rejects.toMatchObject({ code: 'invalid_id_token' });
+  });
+
+  it('refuses to exchange a code without the matching PKCE verifier', async () => {
+    const code = await obtainCode();
+
+    await expect(client.signIn(code, { nonce: 'nonce-1', codeVerifier: codeVerifierFor('other', 'test-secret') }))
+      .rejects.toMatchObject({ code: 'invalid_grant' });
+  });
+
+  it('refuses a token issued for another client', async () => {
+    const idToken = provider.signIdToken({ sub: 'google-123', aud: 'another-client', nonce: 'nonce-1' });
+
+    await expect(client.verifyIdToken(idToken, { nonce: 'nonce-1' }))
+      .rejects.toMatchObject({ code: 'invalid_id_token' });
+  });
+
+  it('refuses a token signed with a key the provider did not publish', async () => {
+    const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = provider.signIdToken({ sub: 'google-123', nonce: 'nonce-1' }, { key: privateKey });
+
+    await expect(client.verifyIdToken(forged, { nonce: 'nonce-1' }))
+      .rejects.toMatchObject({ code: 'invalid_id_token' });
+  });
+
+  it('refuses a discovery document that names a different issuer', async () => {
+    const lying = new OidcClient({
+      issuer: `${provider.issuer}/tenant`,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      redirectUri: REDIRECT_URI,
+      fetchImpl: (url, options) => fetch(url.replace('/tenant', ''), options)
+    });
+
+    await expect(lying.discover()).rejects.toMatchObject({ code: 'issuer_mismatch' });
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  decodeCbor,
+  verifyRegistration,
+  verifyAuthentication,
+  COSE_ALGORITHMS
+} = require('../webauthn');
+const { createVirtualAuthenticator, encodeCbor } = require('../../../test/virtualAuthenticator');
+
+const RP_ID = 'localhost';
+const ORIGIN = 'http://localhost:3000';
+const CHALLENGE = 'Y2hhbGxlbmdlLWZvci10aGlzLWNlcmVtb255';
+
+describe('webauthn', () => {
+  let authenticator;
+
+  const register = (overrides = {}) => verifyRegistration({
+    credential: authenticator.create({ challenge: CHALLENGE }),
+    expectedChallenge: CHALLENGE,
+    expectedOrigins: [ORIGIN],
+    rpId: RP_ID,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    authenticator = createVirtualAuthenticator({ rpId: RP_ID, origin: ORIGIN });
+  });
+
+  describe('decodeCbor', () => {
+    it('round trips the types WebAuthn uses', () => {
+      const value = new Map([[1, 2], [-1, 1], ['fmt', 'none'], [-2, Buffer.from([1, 2, 3])], [3, -257]]);
+
+      expect(decodeCbor(encodeCbor(value)).value).toEqual(value);
+    });
+
+    it('refuses truncated input', () => {
+      const encoded = encodeCbor(Buffer.alloc(40));
+
+      expect(() => decodeCbor(encoded.subarray(0, 20))).toThrow('CBOR data ends early');
+    });
+  });
+
+  describe('verifyRegistration', () => {
+    it('returns the credential to store', () => {
+      const registered = register();
+
+      expect(registered.credentialId).toBe(authenticator.credentialId);
+      expect(registered.algorithm).toBe(COSE_ALGORITHMS.ES256);
+      expect(registered.publicKey).toContain('BEGIN PUBLIC KEY');
+    });
+
+    it('refuses a response to another challenge', () => {
+      expect(() => register({ expectedChallenge: 'b3RoZXI' })).toThrow(expect.objectContaining({ code: 'challenge_mismatch' }));
+    });
+
+    it('refuses a response from another origin', () => {
+      expect(() => register({ expectedOrigins: ['https://app.example.com'] }))
+        .toThrow(expect.objectContaining({ code: 'origin_mismatch' }));
+    });
+
+    it('refuses a credential scoped to another site', () => {
+      expect(() => register({ rpId: 'example.com' })).toThrow(expect.objectContaining({ code: 'rp_id_mismatch' }));
+    });
+  });
+
+  describe('verifyAuthentication', () => {
+    let stored;
+
+    const authenticate = (credential, overrides = {}) => verifyAuthentication({
+      credential,
+      expectedChallenge: CHALLENGE,
+      expectedOrigins: [ORIGIN],
+      rpId: RP_ID,
+      publicKey: stored.publicKey,
+      algorithm: stored.algorithm,
+      storedSignCount: stored.signCount,
+      ...overrides
+    });
+
+    beforeEach(() => {
+      stored = register();
+    });
+
+    it('accepts a signature from the registered key and returns the new counter', () => {
+      expect(authenticate(authenticator.get({ challenge: CHALLENGE }))).toEqual({ signCount: 1 });
+    });
+
+    it('refuses a signature from a different key', () => {
+      const impostor = createVirtualAuthenticator({ rpId: RP_ID, origin: ORIGIN });
+
+      expect(() => authenticate(impostor.get({ challenge: CHALLENGE })))
+        .toThrow(expect.objectContaining({ code: 'invalid_signature' }));
+    });
+
+    it('refuses client data altered after signing', () => {
+      const credential = authenticator.get({ challenge: CHALLENGE });
+      const tampered = authenticator.get({ challenge: 'b3RoZXI' });
+      credential.response.clientDataJSON = tampered.response.clientDataJSON;
+
+      expect(() => authenticate(credential, { expectedChallenge: 'b3RoZXI' }))
+        .toThrow(expect.objectContaining({ code: 'invalid_signature' }));
+    });
+
+    it('refuses a counter that went backwards', () => {
+      const credential = authenticator.get({ challenge: CHALLENGE, counter: 4 });
+
+      expect(() => authenticate(credential, { storedSignCount: 7 }))
+        .toThrow(expect.objectContaining({ code: 'sign_count_regressed' }));
+    });
+  });
+});
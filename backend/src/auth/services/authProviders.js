@@ -0,0 +1,141 @@
+const config = require('../../shared/config');
+const { GitHubOAuthClient } = require('./githubOAuth');
+const { OidcClient } = require('./oidcClient');
+
+/**
+ * An identity as a provider reports it, before it is matched to a user.
+ *
+ * @typedef {Object} ExternalIdentity
+ * @property {string} provider - One of User's IDENTITY_PROVIDERS
+ * @property {string} subject - The provider's permanent id for the person
+ * @property {string} label - What to call this identity in the UI
+ * @property {string|null} email - Only when the provider has verified it
+ * @property {Object} profile - name and avatarUrl, plus githubId and
+ *   githubLogin for GitHub
+ */
+
+const githubIdentity = (profile) => ({
+  provider: 'github',
+  subject: String(profile.id),
+  label: profile.login,
+  email: profile.email || null,
+  profile: {
+    name: profile.name || profile.login,
+    avatarUrl: profile.avatarUrl || null,
+    githubId: profile.id,
+    githubLogin: profile.login
+  }
+});
+
+const googleIdentity = (claims) => ({
+  provider: 'google',
+  subject: claims.sub,
+  label: claims.email || 'Google account',
+  // An unverified address proves nothing about who owns it, so it is not
+  // recorded and cannot match a household invitation.
+  email: claims.email_verified === true && claims.email ? claims.email.toLowerCase() : null,
+  profile: {
+    name: claims.name || (claims.email ? claims.email.split('@')[0] : 'Google user'),
+    avatarUrl: claims.picture || null
+  }
+});
+
+/**
+ * Sign-in providers that work by redirecting the browser away and back.
+ * Each knows whether it is configured, how to build its client, and how to
+ * turn a completed login into an ExternalIdentity.
+ */
+const PROVIDERS = {
+  github: {
+    label: 'GitHub',
+    isConfigured: () => Boolean(config.github.clientId && config.github.clientSecret),
+    createClient: (redirectUri) => new GitHubOAuthClient({
+      clientId: config.github.clientId,
+      clientSecret: config.github.clientSecret,
+      redirectUri
+    }),
+    async signIn(client, code) {
+      const accessToken = await client.exchangeCode(code);
+      return githubIdentity(await client.getUser(accessToken));
+    }
+  },
+  google: {
+    label: 'Google',
+    isConfigured: () => Boolean(config.google.clientId && config.google.clientSecret),
+    createClient: (redirectUri) => new OidcClient({
+      issuer: config.google.issuer,
+      clientId: config.google.clientId,
+      clientSecret: config.google.clientSecret,
+      redirectUri
+    }),
+    async signIn(client, code, { nonce, codeVerifier }) {
+      return googleIdentity(await client.signIn(code, { nonce, codeVerifier }));
+    }
+  }
+};
+
+class AuthProviderRegistry {
+  constructor() {
+    this.clients = new Map();
+  }
+
+  has(id) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, id);
+  }
+
+  label(id) {
+    return PROVIDERS[id].label;
+  }
+
+  callbackPath(id) {
+    return `/api/auth/${id}/callback`;
+  }
+
+  /**
+   * The provider's client, built on first use so the app still starts, and
+   * every other route still works, when a provider's credentials are absent.
+   * Returns null for a provider that is not configured.
+   */
+  getClient(id) {
+    // An injected client wins, so tests can drive the flow without reaching
+    // the provider and without real credentials configured.
+    if (this.clients.has(id)) return this.clients.get(id);
+    const provider = PROVIDERS[id];
+    if (!provider.isConfigured()) return null;
+
+    const client = provider.createClient(`${config.github.publicApiUrl}${this.callbackPath(id)}`);
+    this.clients.set(id, client);
+    return client;
+  }
+
+  // Test seam: installs a stub client, or with null goes back to building one
+  // from configuration.
+  setClient(id, client) {
+    if (client) {
+      this.clients.set(id, client);
+    } else {
+      this.clients.delete(id);
+    }
+  }
+
+  /**
+   * @returns {Promise<ExternalIdentity>}
+   */
+  async signIn(id, client, code, pkce) {
+    return PROVIDERS[id].signIn(client, code, pkce);
+  }
+
+  /**
+   * The redirect providers a user can sign in with right now.
+   */
+  listConfigured() {
+    return Object.keys(PROVIDERS)
+      .filter((id) => this.getClient(id))
+      .map((id) => ({ id, label: PROVIDERS[id].label, type: 'redirect' }));
+  }
+}
+
+module.exports = new AuthProviderRegistry();
+module.exports.AuthProviderRegistry = AuthProviderRegistry;
+module.exports.githubIdentity = githubIdentity;
+module.exports.googleIdentity = googleIdentity;
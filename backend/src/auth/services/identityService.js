@@ -0,0 +1,262 @@
+const User = require('../models/User');
+const logger = require('../../shared/utils/logger');
+const { initializeUserCategories } = require('../../monthly-budgets/services/userCategoryService');
+
+class IdentityError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'IdentityError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+const identityQuery = (provider, subject) => {
+  const query = { identities: { $elemMatch: { provider, subject } } };
+  // Users who last signed in before identities existed are found by the
+  // GitHub id they were created with.
+  if (provider === 'github' && /^\d+$/.test(subject)) {
+    return { $or: [query, { githubId: Number(subject) }] };
+  }
+  return query;
+};
+
+/**
+ * Gives a user created before identities existed the GitHub identity they
+ * have been signing in with. Changes the document without saving it.
+ */
+const backfillGitHubIdentity = (user) => {
+  if (!user.githubId || user.identities.some(identity => identity.provider === 'github')) return;
+  user.identities.push({
+    provider: 'github',
+    subject: String(user.githubId),
+    label: user.githubLogin,
+    email: user.email,
+    linkedAt: user.createdAt
+  });
+};
+
+/**
+ * Connects the identities people sign in with to User documents. Matching is
+ * always on the provider's permanent subject. An email address is never used
+ * to join a new identity to an existing account: that would let whoever
+ * controls an address at one provider into an account made with another.
+ */
+class IdentityService {
+  async findUser(provider, subject) {
+    return User.findOne(identityQuery(provider, subject));
+  }
+
+  /**
+   * Finds or creates the account behind an identity.
+   *
+   * @param {import('./authProviders').ExternalIdentity} identity
+   * @returns {Promise<{ user: Object, created: boolean }>}
+   */
+  async signIn(identity) {
+    const existing = await this.findUser(identity.provider, identity.subject);
+
+    if (existing) {
+      backfillGitHubIdentity(existing);
+      this.applyProfile(existing, identity);
+      this.touch(existing, identity);
+      await existing.save();
+      return { user: existing, created: false };
+    }
+
+    if (identity.email && await User.exists({ email: identity.email })) {
+      throw new IdentityError(
+        'EMAIL_IN_USE',
+        `An account with ${identity.email} already exists. Sign in the way you did before and add this sign-in method from Settings.`,
+        409
+      );
+    }
+
+    const user = new User({
+      name: identity.profile.name,
+      email: identity.email,
+      avatarUrl: identity.profile.avatarUrl,
+      githubId: identity.profile.githubId,
+      githubLogin: identity.profile.githubLogin,
+      identities: [this.toIdentityRecord(identity)]
+    });
+    try {
+      await user.save();
+    } catch (error) {
+      // Another sign-in with the same identity won the race
+      if (isDuplicateKey(error)) {
+        throw new IdentityError('IDENTITY_IN_USE', 'This account is already being set up. Try signing in again.', 409);
+      }
+      throw error;
+    }
+
+    // A user without their default categories cannot budget anything, so a
+    // half-provisioned account is worse than none: roll it back and let them
+    // retry rather than leaving them permanently broken.
+    try {
+      await initializeUserCategories(user._id);
+    } catch (error) {
+      await User.findByIdAndDelete(user._id);
+      throw error;
+    }
+
+    logger.info(`Created account ${user._id} from a ${identity.provider} sign-in`);
+    return { user, created: true };
+  }
+
+  /**
+   * Adds an identity to a signed-in user's account.
+   */
+  async link(userId, identity) {
+    const owner = await this.findUser(identity.provider, identity.subject);
+    if (owner && !owner._id.equals(userId)) {
+      throw new IdentityError('IDENTITY_IN_USE', 'That account already signs in to a different user here', 409);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new IdentityError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    backfillGitHubIdentity(user);
+    if (owner) {
+      this.touch(user, identity);
+    } else {
+      user.identities.push(this.toIdentityRecord(identity));
+    }
+    if (identity.provider === 'github') {
+      user.githubId = identity.profile.githubId;
+      user.githubLogin = identity.profile.githubLogin;
+    }
+    if (!user.avatarUrl) user.avatarUrl = identity.profile.avatarUrl || null;
+    if (!user.email && identity.email && !(await User.exists({ email: identity.email }))) {
+      user.email = identity.email;
+    }
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new IdentityError('IDENTITY_IN_USE', 'That account already signs in to a different user here', 409);
+      }
+      throw error;
+    }
+    logger.info(`User ${userId} linked a ${identity.provider} identity`);
+    return user;
+  }
+
+  /**
+   * The ways a user can sign in, for display.
+   */
+  async list(user) {
+    if (user.githubId && !user.identities.some(identity => identity.provider === 'github')) {
+      backfillGitHubIdentity(user);
+      await user.save();
+    }
+    return user.identities.map(identity => ({
+      id: identity._id,
+      provider: identity.provider,
+      label: identity.label || null,
+      email: identity.email || null,
+      linkedAt: identity.linkedAt,
+      lastUsedAt: identity.lastUsedAt
+    }));
+  }
+
+  async unlink(user, identityId) {
+    backfillGitHubIdentity(user);
+    const identity = user.identities.id(identityId);
+    if (!identity) {
+      throw new IdentityError('IDENTITY_NOT_FOUND', 'Sign-in method not found', 404);
+    }
+    if (user.identities.length === 1) {
+      throw new IdentityError('LAST_IDENTITY', 'Add another way to sign in before removing this one', 409);
+    }
+
+    identity.deleteOne();
+    if (identity.provider === 'github') {
+      // The login is what household invitations are addressed to, and the
+      // user can no longer show they hold it.
+      user.githubId = undefined;
+      user.githubLogin = undefined;
+    }
+    await user.save();
+    logger.info(`User ${user._id} removed a ${identity.provider} identity`);
+    return this.list(user);
+  }
+
+  /**
+   * Finds the user holding a passkey, and the stored credential.
+   */
+  async findPasskey(credentialId) {
+    const user = await this.findUser('passkey', credentialId);
+    if (!user) return null;
+    return { user, identity: user.identities.find(identity => identity.provider === 'passkey' && identity.subject === credentialId) };
+  }
+
+  async addPasskey(user, { credentialId, publicKey, algorithm, signCount, label }) {
+    if (await this.findUser('passkey', credentialId)) {
+      throw new IdentityError('IDENTITY_IN_USE', 'That passkey is already registered', 409);
+    }
+    backfillGitHubIdentity(user);
+    user.identities.push({
+      provider: 'passkey',
+      subject: credentialId,
+      label: label || 'Passkey',
+      publicKey,
+      algorithm,
+      signCount
+    });
+    await user.save();
+    logger.info(`User ${user._id} registered a passkey`);
+    return user.identities[user.identities.length - 1];
+  }
+
+  async recordPasskeyUse(userId, credentialId, signCount) {
+    await User.updateOne(
+      { _id: userId, identities: { $elemMatch: { provider: 'passkey', subject: credentialId } } },
+      { $set: { 'identities.$.signCount': signCount, 'identities.$.lastUsedAt': new Date() } }
+    );
+  }
+
+  toIdentityRecord(identity) {
+    return {
+      provider: identity.provider,
+      subject: identity.subject,
+      label: identity.label,
+      email: identity.email,
+      lastUsedAt: new Date()
+    };
+  }
+
+  touch(user, identity) {
+    const record = user.identities.find(item => item.provider === identity.provider && item.subject === identity.subject);
+    if (record) {
+      record.lastUsedAt = new Date();
+      record.label = identity.label;
+      if (identity.email) record.email = identity.email;
+    }
+  }
+
+  /**
+   * Keeps the profile current. GitHub has always been the source of a user's
+   * name and picture, so it still overwrites them; other providers only fill
+   * in what is missing.
+   */
+  applyProfile(user, identity) {
+    if (identity.provider === 'github') {
+      user.githubLogin = identity.profile.githubLogin;
+      user.name = identity.profile.name;
+      user.avatarUrl = identity.profile.avatarUrl;
+      if (identity.email) user.email = identity.email;
+      return;
+    }
+    if (!user.avatarUrl) user.avatarUrl = identity.profile.avatarUrl;
+  }
+}
+
+module.exports = new IdentityService();
+module.exports.IdentityService = IdentityService;
+module.exports.IdentityError = IdentityError;
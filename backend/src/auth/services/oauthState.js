@@ -1,4 +1,4 @@
-const { createHmac, randomBytes, timingSafeEqual } = require('crypto');
+const { createHash, createHmac, randomBytes, timingSafeEqual } = require('crypto');
 
 // A login left unfinished for longer than this has to start again. Long enough
 // to survive a slow GitHub authorisation, short enough that a captured state
@@ -21,14 +21,18 @@ function hmac(secret, value) {
  * server side without a session store. Instead it carries where the user should
  * land and when it was issued, authenticated by an HMAC so neither can be
  * tampered with, plus a nonce so two logins never produce the same string.
+ *
+ * `linkUserId` marks a flow started by a signed-in user to add this identity
+ * to their account rather than to sign in with it.
  */
-function signOAuthState({ returnTo, now = Date.now() }, secret) {
+function signOAuthState({ returnTo, linkUserId, now = Date.now() }, secret) {
   if (!secret) throw new Error('signOAuthState requires a secret');
   const payload = {
     n: randomBytes(16).toString('base64url'),
     t: now,
     r: returnTo
   };
+  if (linkUserId) payload.l = String(linkUserId);
   const payloadB64 = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
   return `${payloadB64}.${hmac(secret, payloadB64).toString('base64url')}`;
 }
@@ -62,11 +66,28 @@ function verifyOAuthState(state, secret, { maxAgeMs = STATE_MAX_AGE_MS, now = Da
   if (typeof payload.n !== 'string' || typeof payload.t !== 'number' || typeof payload.r !== 'string') {
     return null;
   }
+  if (payload.l !== undefined && typeof payload.l !== 'string') return null;
 
   const age = now - payload.t;
   if (!Number.isFinite(age) || age < -CLOCK_SKEW_MS || age > maxAgeMs) return null;
 
-  return { returnTo: payload.r, nonce: payload.n, issuedAt: payload.t };
+  return { returnTo: payload.r, nonce: payload.n, issuedAt: payload.t, linkUserId: payload.l || null };
+}
+
+/**
+ * The PKCE code verifier for a login, derived from its state nonce.
+ *
+ * The verifier has to be known again at the callback but must never travel
+ * through the browser, or it would prove nothing. Deriving it with the server
+ * secret gives both without a session store: only the challenge is sent out.
+ */
+function codeVerifierFor(nonce, secret) {
+  if (!secret) throw new Error('codeVerifierFor requires a secret');
+  return hmac(secret, `pkce:${nonce}`).toString('base64url');
+}
+
+function codeChallengeFor(verifier) {
+  return createHash('sha256').update(verifier).digest('base64url');
 }
 
 function originOf(value) {
@@ -123,5 +144,7 @@ module.exports = {
   signOAuthState,
   verifyOAuthState,
   safeReturnTo,
+  codeVerifierFor,
+  codeChallengeFor,
   STATE_MAX_AGE_MS
 };
@@ -0,0 +1,152 @@
+const { randomBytes } = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../shared/config');
+const identityService = require('./identityService');
+const { IdentityError } = require('./identityService');
+const webauthn = require('./webauthn');
+
+const CHALLENGE_TTL_SEC = 5 * 60;
+
+// Challenges already answered, kept until they would have expired anyway so
+// a captured response cannot be replayed. Per process, which is enough for
+// the single API instance this runs as.
+const spentChallenges = new Map();
+
+// A challenge token is a JWT, but signed with a key of its own so it can
+// never be mistaken for a session token.
+const challengeSecret = () => `${config.jwtSecret}:passkey-challenge`;
+
+const forgetExpired = (now) => {
+  for (const [challenge, expiresAt] of spentChallenges) {
+    if (expiresAt <= now) spentChallenges.delete(challenge);
+  }
+};
+
+/**
+ * Passkey (WebAuthn) registration and sign-in. A passkey is one more identity
+ * on an existing user: it is added while signed in and cannot create an
+ * account on its own.
+ *
+ * Ceremonies are stateless on the server. The challenge travels to the
+ * browser inside a short-lived signed token and comes back with the
+ * authenticator's response.
+ */
+class PasskeyService {
+  isEnabled() {
+    return config.passkeys.enabled;
+  }
+
+  assertEnabled() {
+    if (!this.isEnabled()) {
+      throw new IdentityError('PASSKEYS_DISABLED', 'Passkey sign-in is not enabled', 404);
+    }
+  }
+
+  issueChallenge(purpose, userId = null) {
+    const challenge = randomBytes(32).toString('base64url');
+    const challengeToken = jwt.sign(
+      { challenge, purpose, userId: userId ? String(userId) : null },
+      challengeSecret(),
+      { expiresIn: CHALLENGE_TTL_SEC }
+    );
+    return { challenge, challengeToken };
+  }
+
+  redeemChallenge(challengeToken, purpose, userId = null) {
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, challengeSecret());
+    } catch (error) {
+      throw new IdentityError('INVALID_CHALLENGE', 'The passkey request has expired. Try again.');
+    }
+    if (payload.purpose !== purpose || payload.userId !== (userId ? String(userId) : null)) {
+      throw new IdentityError('INVALID_CHALLENGE', 'The passkey request does not match');
+    }
+
+    const now = Date.now();
+    forgetExpired(now);
+    if (spentChallenges.has(payload.challenge)) {
+      throw new IdentityError('INVALID_CHALLENGE', 'The passkey request has already been used');
+    }
+    spentChallenges.set(payload.challenge, payload.exp * 1000);
+    return payload.challenge;
+  }
+
+  verifyOrReject(verify) {
+    try {
+      return verify();
+    } catch (error) {
+      if (error instanceof webauthn.WebAuthnError) {
+        throw new IdentityError('PASSKEY_REJECTED', error.message);
+      }
+      throw error;
+    }
+  }
+
+  registrationOptions(user) {
+    this.assertEnabled();
+    const { challenge, challengeToken } = this.issueChallenge('register', user._id);
+    const options = webauthn.registrationOptions({
+      rpId: config.passkeys.rpId,
+      rpName: config.passkeys.rpName,
+      userHandle: Buffer.from(user._id.toString(), 'hex').toString('base64url'),
+      userName: user.githubLogin || user.email || user.name,
+      displayName: user.name,
+      challenge,
+      excludeCredentialIds: user.identities
+        .filter(identity => identity.provider === 'passkey')
+        .map(identity => identity.subject)
+    });
+    return { options, challengeToken };
+  }
+
+  async register(user, { challengeToken, credential, label }) {
+    this.assertEnabled();
+    const challenge = this.redeemChallenge(challengeToken, 'register', user._id);
+    const registered = this.verifyOrReject(() => webauthn.verifyRegistration({
+      credential,
+      expectedChallenge: challenge,
+      expectedOrigins: config.passkeys.origins,
+      rpId: config.passkeys.rpId
+    }));
+    return identityService.addPasskey(user, { ...registered, label });
+  }
+
+  authenticationOptions() {
+    this.assertEnabled();
+    const { challenge, challengeToken } = this.issueChallenge('authenticate');
+    return {
+      options: webauthn.authenticationOptions({ rpId: config.passkeys.rpId, challenge }),
+      challengeToken
+    };
+  }
+
+  /**
+   * @returns {Promise<Object>} The user the passkey belongs to
+   */
+  async authenticate({ challengeToken, credential }) {
+    this.assertEnabled();
+    const challenge = this.redeemChallenge(challengeToken, 'authenticate');
+
+    const found = typeof credential?.id === 'string' ? await identityService.findPasskey(credential.id) : null;
+    if (!found) {
+      throw new IdentityError('PASSKEY_REJECTED', 'This passkey is not registered here', 401);
+    }
+
+    const { signCount } = this.verifyOrReject(() => webauthn.verifyAuthentication({
+      credential,
+      expectedChallenge: challenge,
+      expectedOrigins: config.passkeys.origins,
+      rpId: config.passkeys.rpId,
+      publicKey: found.identity.publicKey,
+      algorithm: found.identity.algorithm,
+      storedSignCount: found.identity.signCount || 0
+    }));
+
+    await identityService.recordPasskeyUse(found.user._id, credential.id, signCount);
+    return found.user;
+  }
+}
+
+module.exports = new PasskeyService();
+module.exports.PasskeyService = PasskeyService;
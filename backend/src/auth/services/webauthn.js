@@ -0,0 +1,328 @@
+const { createHash, createPublicKey, verify } = require('crypto');
+
+// COSE identifiers (RFC 9053) for the algorithms offered to authenticators, in
+// order of preference.
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+const COSE_KEY_TYPES = { OKP: 1, EC2: 2, RSA: 3 };
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+const CEREMONY_TIMEOUT_MS = 60000;
+
+const MAX_CBOR_DEPTH = 16;
+
+class WebAuthnError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WebAuthnError';
+    this.code = code;
+  }
+}
+
+const sha256 = (data) => createHash('sha256').update(data).digest();
+
+const fromBase64Url = (value, field) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new WebAuthnError('invalid_encoding', `${field} must be base64url`);
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+/**
+ * Decodes one CBOR item starting at `start`, returning it and where it ended.
+ *
+ * Only the subset WebAuthn uses is supported: definite-length integers, byte
+ * and text strings, arrays, maps and the simple values. Maps decode to Map
+ * because COSE keys are integers.
+ */
+function decodeCbor(buffer, start = 0) {
+  let offset = start;
+
+  const need = (length) => {
+    if (offset + length > buffer.length) {
+      throw new WebAuthnError('invalid_cbor', 'CBOR data ends early');
+    }
+  };
+
+  const readLength = (info) => {
+    if (info < 24) return info;
+    const sizes = { 24: 1, 25: 2, 26: 4, 27: 8 };
+    const size = sizes[info];
+    if (!size) throw new WebAuthnError('invalid_cbor', 'Indefinite-length CBOR is not supported');
+    need(size);
+    const value = size === 8 ? Number(buffer.readBigUInt64BE(offset)) : buffer.readUIntBE(offset, size);
+    offset += size;
+    return value;
+  };
+
+  const readItem = (depth) => {
+    if (depth > MAX_CBOR_DEPTH) throw new WebAuthnError('invalid_cbor', 'CBOR nesting is too deep');
+    need(1);
+    const initial = buffer[offset];
+    offset += 1;
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readLength(info);
+      case 1:
+        return -1 - readLength(info);
+      case 2:
+      case 3: {
+        const length = readLength(info);
+        need(length);
+        const bytes = buffer.subarray(offset, offset + length);
+        offset += length;
+        return major === 2 ? Buffer.from(bytes) : bytes.toString('utf8');
+      }
+      case 4: {
+        const length = readLength(info);
+        const items = [];
+        for (let i = 0; i < length; i += 1) items.push(readItem(depth + 1));
+        return items;
+      }
+      case 5: {
+        const length = readLength(info);
+        const map = new Map();
+        for (let i = 0; i < length; i += 1) {
+          const key = readItem(depth + 1);
+          map.set(key, readItem(depth + 1));
+        }
+        return map;
+      }
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        if (info === 23) return undefined;
+        throw new WebAuthnError('invalid_cbor', 'Unsupported CBOR simple value');
+      default:
+        throw new WebAuthnError('invalid_cbor', 'Tagged CBOR is not supported');
+    }
+  };
+
+  const value = readItem(0);
+  return { value, end: offset };
+}
+
+/**
+ * Splits authenticator data into its fields. The credential id and public key
+ * are only present when a credential is being registered.
+ */
+function parseAuthenticatorData(data) {
+  if (data.length < 37) {
+    throw new WebAuthnError('invalid_authenticator_data', 'Authenticator data is too short');
+  }
+  const flags = data[32];
+  const parsed = {
+    rpIdHash: data.subarray(0, 32),
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    signCount: data.readUInt32BE(33),
+    credentialId: null,
+    credentialPublicKey: null
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    if (data.length < 55) {
+      throw new WebAuthnError('invalid_authenticator_data', 'Attested credential data is truncated');
+    }
+    // 16 bytes of AAGUID precede the credential id's length
+    const idLength = data.readUInt16BE(53);
+    if (data.length < 55 + idLength) {
+      throw new WebAuthnError('invalid_authenticator_data', 'Credential id is truncated');
+    }
+    parsed.credentialId = Buffer.from(data.subarray(55, 55 + idLength));
+    parsed.credentialPublicKey = decodeCbor(data, 55 + idLength).value;
+  }
+  return parsed;
+}
+
+/**
+ * Converts a COSE public key into a Node KeyObject.
+ */
+function coseToPublicKey(cose) {
+  if (!(cose instanceof Map)) {
+    throw new WebAuthnError('unsupported_key', 'Credential public key is not a COSE key');
+  }
+  const keyType = cose.get(1);
+  const algorithm = cose.get(3);
+  const b64 = (label) => {
+    const value = cose.get(label);
+    if (!Buffer.isBuffer(value)) throw new WebAuthnError('unsupported_key', 'COSE key is missing a parameter');
+    return value.toString('base64url');
+  };
+
+  let jwk;
+  if (keyType === COSE_KEY_TYPES.EC2 && algorithm === COSE_ALGORITHMS.ES256 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: b64(-2), y: b64(-3) };
+  } else if (keyType === COSE_KEY_TYPES.OKP && algorithm === COSE_ALGORITHMS.EdDSA && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: b64(-2) };
+  } else if (keyType === COSE_KEY_TYPES.RSA && algorithm === COSE_ALGORITHMS.RS256) {
+    jwk = { kty: 'RSA', n: b64(-1), e: b64(-2) };
+  } else {
+    throw new WebAuthnError('unsupported_key', `Unsupported key type ${keyType} with algorithm ${algorithm}`);
+  }
+
+  try {
+    return { key: createPublicKey({ key: jwk, format: 'jwk' }), algorithm };
+  } catch (error) {
+    throw new WebAuthnError('unsupported_key', 'Credential public key is invalid');
+  }
+}
+
+function checkClientData(clientDataJSON, { type, expectedChallenge, expectedOrigins }) {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch (error) {
+    throw new WebAuthnError('invalid_client_data', 'Client data is not JSON');
+  }
+
+  if (clientData.type !== type) {
+    throw new WebAuthnError('invalid_client_data', `Expected a ${type} ceremony`);
+  }
+  if (clientData.challenge !== expectedChallenge) {
+    throw new WebAuthnError('challenge_mismatch', 'The response is for a different challenge');
+  }
+  if (!expectedOrigins.includes(clientData.origin)) {
+    throw new WebAuthnError('origin_mismatch', `Unexpected origin ${clientData.origin}`);
+  }
+  if (clientData.crossOrigin === true) {
+    throw new WebAuthnError('origin_mismatch', 'Cross-origin ceremonies are not accepted');
+  }
+}
+
+function checkAuthenticatorData(authData, rpId) {
+  if (!authData.rpIdHash.equals(sha256(rpId))) {
+    throw new WebAuthnError('rp_id_mismatch', 'The credential belongs to a different site');
+  }
+  if (!authData.userPresent) {
+    throw new WebAuthnError('user_not_present', 'The authenticator did not confirm user presence');
+  }
+}
+
+/**
+ * Options for navigator.credentials.create(), with binary fields base64url
+ * encoded for the browser to decode.
+ */
+function registrationOptions({ rpId, rpName, userHandle, userName, displayName, challenge, excludeCredentialIds = [] }) {
+  return {
+    rp: { id: rpId, name: rpName },
+    user: { id: userHandle, name: userName, displayName },
+    challenge,
+    pubKeyCredParams: Object.values(COSE_ALGORITHMS).map((alg) => ({ type: 'public-key', alg })),
+    timeout: CEREMONY_TIMEOUT_MS,
+    attestation: 'none',
+    // A discoverable credential lets sign-in start without a username.
+    authenticatorSelection: { residentKey: 'required', userVerification: 'preferred' },
+    excludeCredentials: excludeCredentialIds.map((id) => ({ type: 'public-key', id }))
+  };
+}
+
+/**
+ * Options for navigator.credentials.get(). No credentials are listed, so the
+ * browser offers whichever passkeys it holds for this site.
+ */
+function authenticationOptions({ rpId, challenge }) {
+  return {
+    rpId,
+    challenge,
+    timeout: CEREMONY_TIMEOUT_MS,
+    userVerification: 'preferred',
+    allowCredentials: []
+  };
+}
+
+/**
+ * Checks a navigator.credentials.create() response and returns the credential
+ * to store.
+ *
+ * The attestation statement is not checked: the options ask for none, and, as
+ * for most sites outside enterprise settings, which make of authenticator
+ * holds the key does not matter here.
+ */
+function verifyRegistration({ credential, expectedChallenge, expectedOrigins, rpId }) {
+  const response = credential?.response || {};
+  const clientDataJSON = fromBase64Url(response.clientDataJSON, 'clientDataJSON');
+  checkClientData(clientDataJSON, { type: 'webauthn.create', expectedChallenge, expectedOrigins });
+
+  const attestation = decodeCbor(fromBase64Url(response.attestationObject, 'attestationObject')).value;
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    throw new WebAuthnError('invalid_attestation', 'Attestation object has no authenticator data');
+  }
+
+  const authData = parseAuthenticatorData(attestation.get('authData'));
+  checkAuthenticatorData(authData, rpId);
+  if (!authData.credentialId) {
+    throw new WebAuthnError('invalid_attestation', 'The authenticator did not return a credential');
+  }
+
+  const credentialId = authData.credentialId.toString('base64url');
+  if (credential.id !== credentialId) {
+    throw new WebAuthnError('invalid_attestation', 'Credential id does not match the authenticator data');
+  }
+
+  const { key, algorithm } = coseToPublicKey(authData.credentialPublicKey);
+  return {
+    credentialId,
+    publicKey: key.export({ type: 'spki', format: 'pem' }),
+    algorithm,
+    signCount: authData.signCount
+  };
+}
+
+/**
+ * Checks a navigator.credentials.get() response against the stored credential
+ * and returns the authenticator's new signature counter.
+ */
+function verifyAuthentication({ credential, expectedChallenge, expectedOrigins, rpId, publicKey, algorithm, storedSignCount = 0 }) {
+  const response = credential?.response || {};
+  const clientDataJSON = fromBase64Url(response.clientDataJSON, 'clientDataJSON');
+  checkClientData(clientDataJSON, { type: 'webauthn.get', expectedChallenge, expectedOrigins });
+
+  const rawAuthData = fromBase64Url(response.authenticatorData, 'authenticatorData');
+  const authData = parseAuthenticatorData(rawAuthData);
+  checkAuthenticatorData(authData, rpId);
+
+  const signed = Buffer.concat([rawAuthData, sha256(clientDataJSON)]);
+  const signature = fromBase64Url(response.signature, 'signature');
+  const digest = algorithm === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+  let valid;
+  try {
+    valid = verify(digest, signed, createPublicKey(publicKey), signature);
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    throw new WebAuthnError('invalid_signature', 'The passkey signature does not verify');
+  }
+
+  // Authenticators that count signatures must always count up; going back
+  // suggests a cloned key. Many passkeys report 0 throughout, which is fine.
+  if ((authData.signCount > 0 || storedSignCount > 0) && authData.signCount <= storedSignCount) {
+    throw new WebAuthnError('sign_count_regressed', 'The passkey signature counter went backwards');
+  }
+
+  return { signCount: authData.signCount };
+}
+
+module.exports = {
+  WebAuthnError,
+  COSE_ALGORITHMS,
+  decodeCbor,
+  parseAuthenticatorData,
+  coseToPublicKey,
+  registrationOptions,
+  authenticationOptions,
+  verifyRegistration,
+  verifyAuthentication
+};
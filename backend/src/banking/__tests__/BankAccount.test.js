@@ -71,6 +71,14 @@ describe('BankAccount Model', () => {
       const updatedAccount = await BankAccount.findById(account._id);
       expect(updatedAccount.lastError.message).toBe(errorMessage);
     });
+
+    it('should save a statement-import account without credentials', async () => {
+      const { credentials, ...withoutCredentials } = mockAccount;
+      const account = await BankAccount.create({ ...withoutCredentials, bankId: 'file-import' });
+
+      expect(account.isFileImport()).toBe(true);
+      expect(account.isOtpBank()).toBe(false);
+    });
   });
 
   describe('Next Scraping Time Calculation', () => {
@@ -2,11 +2,15 @@ const CategorizationMethod = {
   MANUAL: 'manual',
   PREVIOUS_DATA: 'previous_data',
   AI: 'ai',
-  PROJECT_DISCOVER: 'project_discover'
+  PROJECT_DISCOVER: 'project_discover',
+  RULE: 'rule',
+  TRANSFER_MATCH: 'transfer_match',
+  REFUND_MATCH: 'refund_match'
 };
 
 const TransactionStatus = {
   VERIFIED: 'verified',  // For transactions in permanent storage
+  PENDING: 'pending',    // Authorised by the bank but not settled yet
   ERROR: 'error',       // For failed transactions
   DUPLICATE: 'duplicate' // For duplicate transactions within scraping session
 };
@@ -23,12 +27,57 @@ const ScrapingSessionStatus = {
   ERROR: 'error'        // Failed with error
 };
 
+const BankAccountStatus = {
+  ACTIVE: 'active',
+  ERROR: 'error',
+  PENDING: 'pending',
+  DISABLED: 'disabled',
+  // The bank refused the saved login; nothing syncs until it is replaced
+  NEEDS_REAUTH: 'needs-reauth'
+};
+
+const SyncRunStatus = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+// A pairing of money leaving one of the user's accounts with money arriving
+// in another. Suggested pairs wait for the user; rejected ones are not offered again.
+const TransferMatchStatus = {
+  SUGGESTED: 'suggested',
+  CONFIRMED: 'confirmed',
+  REJECTED: 'rejected'
+};
+
+// What moves a checking account's projected balance in the cash-flow forecast
+const ForecastEventType = {
+  SALARY: 'salary',
+  RECURRING: 'recurring',
+  CARD_DEBIT: 'card_debit',
+  INSTALLMENT: 'installment'
+};
+
+// How long a bank account's sync history is kept
+const SYNC_RUN_RETENTION_DAYS = 180;
+
 const OTP_BANKS = ['phoenix', 'clal'];
 
+// Pseudo bank for accounts fed by uploaded statement files rather than a
+// scraper. Such accounts have no credentials and are never synced.
+const FILE_IMPORT_BANK_ID = 'file-import';
+
 module.exports = {
   CategorizationMethod,
   TransactionStatus,
   TransactionType,
   ScrapingSessionStatus,
-  OTP_BANKS
+  BankAccountStatus,
+  SyncRunStatus,
+  TransferMatchStatus,
+  ForecastEventType,
+  SYNC_RUN_RETENTION_DAYS,
+  OTP_BANKS,
+  FILE_IMPORT_BANK_ID
 };
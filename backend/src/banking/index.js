@@ -23,6 +23,8 @@ const { TransactionType } = require('./constants/enums');
 
 // Utils (used by other subsystems)
 const installmentGroupingUtils = require('./utils/installmentGroupingUtils');
+const transactionSplits = require('./utils/transactionSplits');
+const refunds = require('./utils/refunds');
 
 module.exports = {
   // Models
@@ -57,5 +59,7 @@ module.exports = {
   TransactionType,
   
   // Utils
-  installmentGroupingUtils
+  installmentGroupingUtils,
+  transactionSplits,
+  refunds
 };
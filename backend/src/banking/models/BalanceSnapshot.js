@@ -30,7 +30,7 @@ const balanceSnapshotSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['scraper', 'api'],
+    enum: ['scraper', 'api', 'import'],
     required: true
   },
   dayChange: {
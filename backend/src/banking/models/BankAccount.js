@@ -2,11 +2,12 @@ const mongoose = require('mongoose');
 const credentialEncryption = require('../../shared/services/credentialEncryption');
 const { resolveStartDate, DEFAULT_LOOKBACK_MONTHS } = require('../utils/scraperDates');
 const logger = require('../../shared/utils/logger');
-const { OTP_BANKS } = require('../constants/enums');
+const { BankAccountStatus, OTP_BANKS, FILE_IMPORT_BANK_ID } = require('../constants/enums');
 const {
   requiresCard6Digits,
   buildScraperCredentials
 } = require('../utils/scraperCredentials');
+const { monthlyRunDay } = require('../utils/scrapingSchedule');
 
 const bankAccountSchema = new mongoose.Schema({
   userId: {
@@ -14,10 +15,18 @@ const bankAccountSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // The household member who entered the credentials, when that is not the
+  // user the account belongs to. Credentials are always encrypted with the key
+  // of whoever entered them, so each member's logins stay under their own key.
+  connectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   bankId: {
     type: String,
     required: true,
-    enum: ['hapoalim', 'leumi', 'discount', 'otsarHahayal', 'visaCal', 'max', 'isracard', 'amex', 'mercury', 'ibkr', 'phoenix', 'clal'] // Supported banks
+    enum: ['hapoalim', 'leumi', 'discount', 'otsarHahayal', 'visaCal', 'max', 'isracard', 'amex', 'mercury', 'ibkr', 'phoenix', 'clal', FILE_IMPORT_BANK_ID] // Supported banks
   },
   defaultCurrency: {
     type: String,
@@ -31,11 +40,11 @@ const bankAccountSchema = new mongoose.Schema({
   credentials: {
     username: {
       type: String,
-      required: function() { return this.bankId !== 'mercury' && this.bankId !== 'ibkr'; }
+      required: function() { return !['mercury', 'ibkr', FILE_IMPORT_BANK_ID].includes(this.bankId); }
     },
     password: {
       type: String,
-      required: function() { return this.bankId !== 'mercury' && this.bankId !== 'ibkr' && !OTP_BANKS.includes(this.bankId); }
+      required: function() { return !['mercury', 'ibkr', FILE_IMPORT_BANK_ID].includes(this.bankId) && !OTP_BANKS.includes(this.bankId); }
     },
     card6Digits: {
       type: String
@@ -111,12 +120,13 @@ const bankAccountSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'error', 'pending', 'disabled'],
-    default: 'pending'
+    enum: Object.values(BankAccountStatus),
+    default: BankAccountStatus.PENDING
   },
   lastError: {
     message: String,
-    date: Date
+    date: Date,
+    isCredentialsError: Boolean
   },
   // Real-time scraping status tracking
   scrapingStatus: {
@@ -222,14 +232,19 @@ bankAccountSchema.index({ userId: 1, bankId: 1 });
 // encrypt the stored ciphertext a second time.
 const isEncrypted = credentialEncryption.isEncrypted;
 
-// Pre-save middleware to encrypt credentials with this user's own key
+// The user whose credentialKey encrypts this account's credentials
+bankAccountSchema.methods.getCredentialUserId = function() {
+  return this.connectedBy || this.userId;
+};
+
+// Pre-save middleware to encrypt credentials with the connecting user's own key
 bankAccountSchema.pre('save', async function(next) {
   try {
     const fields = ['password', 'card6Digits', 'apiToken', 'flexToken', 'phoneOrEmail'];
     for (const field of fields) {
       const value = this.credentials?.[field];
       if (this.isModified(`credentials.${field}`) && value && !isEncrypted(value)) {
-        this.credentials[field] = await credentialEncryption.encryptForUser(this.userId, value);
+        this.credentials[field] = await credentialEncryption.encryptForUser(this.getCredentialUserId(), value);
       }
     }
     next();
@@ -251,12 +266,12 @@ bankAccountSchema.methods.getDefaultStartDate = function() {
 bankAccountSchema.methods.getScraperCredentials = async function() {
   const credentials = {
     username: this.credentials.username,
-    password: await credentialEncryption.decryptForUser(this.userId, this.credentials.password)
+    password: await credentialEncryption.decryptForUser(this.getCredentialUserId(), this.credentials.password)
   };
 
   if (requiresCard6Digits(this.bankId)) {
     credentials.card6Digits = this.credentials.card6Digits
-      ? await credentialEncryption.decryptForUser(this.userId, this.credentials.card6Digits)
+      ? await credentialEncryption.decryptForUser(this.getCredentialUserId(), this.credentials.card6Digits)
       : undefined;
   }
 
@@ -336,6 +351,11 @@ bankAccountSchema.methods.isOtpBank = function() {
   return OTP_BANKS.includes(this.bankId);
 };
 
+// Statement-import accounts are fed by uploaded files and have nothing to scrape
+bankAccountSchema.methods.isFileImport = function() {
+  return this.bankId === FILE_IMPORT_BANK_ID;
+};
+
 // Check if strategy needs sync based on schedule
 bankAccountSchema.methods.strategyNeedsSync = function(strategyName, hoursThreshold = 24) {
   const strategyData = this.strategySync?.[strategyName];
@@ -377,9 +397,12 @@ bankAccountSchema.methods.getNextScrapingTime = function() {
       break;
       
     case 'monthly':
-      nextRun.setDate(schedule.dayOfMonth);
+      // Months shorter than the chosen day run on their last day
+      nextRun.setDate(monthlyRunDay(schedule, nextRun.getFullYear(), nextRun.getMonth()));
       if (nextRun <= now) {
+        nextRun.setDate(1);
         nextRun.setMonth(nextRun.getMonth() + 1);
+        nextRun.setDate(monthlyRunDay(schedule, nextRun.getFullYear(), nextRun.getMonth()));
       }
       break;
   }
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { SyncRunStatus, SYNC_RUN_RETENTION_DAYS } = require('../constants/enums');
+
+/**
+ * One attempt of one sync strategy for one bank account. BankAccount only
+ * keeps the outcome of the latest run per strategy; these keep the history, so
+ * a run that quietly imported nothing can be told apart from one that failed.
+ */
+const syncRunSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bankAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankAccount',
+    required: true
+  },
+  strategyName: {
+    type: String,
+    required: true
+  },
+  jobId: {
+    type: String,
+    default: null
+  },
+  // 1 for the first try, higher when the queue retried a failed run
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  // What queued the sync: 'scheduled', 'first_sync', 'startup_check' or 'manual'
+  reason: {
+    type: String,
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    enum: Object.values(SyncRunStatus),
+    default: SyncRunStatus.RUNNING
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    expires: SYNC_RUN_RETENTION_DAYS * 24 * 60 * 60
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  // The dates asked of the bank, when the strategy reports them
+  window: {
+    from: { type: Date, default: null },
+    to: { type: Date, default: null }
+  },
+  counts: {
+    new: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    // Transactions or accounts the run could not save
+    failed: { type: Number, default: 0 }
+  },
+  balance: {
+    amount: { type: Number, default: null },
+    currency: { type: String, default: null }
+  },
+  error: {
+    class: { type: String, default: null },
+    message: { type: String, default: null }
+  }
+});
+
+syncRunSchema.index({ bankAccountId: 1, startedAt: -1 });
+syncRunSchema.index({ userId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('SyncRun', syncRunSchema);
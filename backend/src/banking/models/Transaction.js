@@ -2,6 +2,33 @@ const mongoose = require('mongoose');
 const { CategorizationMethod, TransactionType, TransactionStatus } = require('../constants/enums');
 const { CURRENT_CATEGORIZATION_VERSION } = require('../constants/categorization');
 const Tag = require('./Tag');
+const { tagQuery, tagAllocationsStage } = require('../utils/transactionSplits');
+
+const splitSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  subCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubCategory',
+    default: null
+  },
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+});
 
 const transactionSchema = new mongoose.Schema({
   identifier: {
@@ -32,6 +59,13 @@ const transactionSchema = new mongoose.Schema({
     ref: 'CreditCard',
     required: false, // Only required for credit card transactions
   },
+  // Who was paid or paid in, however the description spells them; set from
+  // the description when the transaction is brought in
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    default: null
+  },
   amount: {
     type: Number,
     required: [true, 'Amount is required'],
@@ -141,7 +175,7 @@ const transactionSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: Object.values(TransactionStatus),
-    default: TransactionStatus.VERIFIED, // All transactions in main storage are verified
+    default: TransactionStatus.VERIFIED, // Pending until the bank settles the charge
   },
   // User-defined tags for organization and project tracking
   // References to Tag model for efficient querying and analytics
@@ -149,6 +183,16 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tag'
   }],
+
+  // A transaction split across several categories or projects. When present,
+  // the allocations' amounts add up to `amount` and budgets count each one
+  // under its own category; `category` and `subCategory` then hold the largest
+  // allocation's, so lists and the uncategorised queue still see a category.
+  // Tags on the transaction cover all of it, tags on an allocation only that part.
+  splits: {
+    type: [splitSchema],
+    default: undefined
+  },
   
   // Budget calculation exclusion
   excludeFromBudgetCalculation: {
@@ -173,6 +217,29 @@ const transactionSchema = new mongoose.Schema({
     default: null
   },
   
+  // The other leg when this is one side of a transfer between the user's own
+  // accounts, set by transferMatchingService
+  transferCounterpart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+
+  // The purchase this card refund gives back, set by refundLinkingService.
+  // A linked refund carries the purchase's category and nets against it in
+  // budgets rather than counting as income.
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+
+  // Set when the user said this is not a refund, so it is not linked again
+  refundDismissedAt: {
+    type: Date,
+    default: null
+  },
+
   // Credit card matching for onboarding
   // Marks which credit card this payment transaction is associated with
   matchedCreditCard: {
@@ -223,7 +290,9 @@ transactionSchema.index({ category: 1, date: -1 });
 
 // New indexes for budget functionality
 transactionSchema.index({ tags: 1 }); // For project and tag-based queries
+transactionSchema.index({ 'splits.tags': 1 }, { sparse: true });
 transactionSchema.index({ userId: 1, processedDate: -1 }); // For user budget calculations
+transactionSchema.index({ userId: 1, merchantId: 1, date: -1 }); // For merchant pages
 
 // Compound partial index for uniqueId dedup lookups — only indexes non-null values
 transactionSchema.index(
@@ -253,6 +322,8 @@ transactionSchema.index({
 transactionSchema.methods.categorize = async function(categoryId, subCategoryId, method = CategorizationMethod.MANUAL, reasoning = null) {
   this.category = categoryId;
   this.subCategory = subCategoryId;
+  // One category for the whole transaction replaces any split
+  this.splits = undefined;
   this.categorizationMethod = method;
   this.categorizationReasoning = reasoning;
   // Whoever placed it - the user, a cheap tier, or the model itself - there is
@@ -290,6 +361,10 @@ transactionSchema.methods.addTags = async function(tagIds) {
 transactionSchema.methods.removeTags = async function(tagIds) {
   const tagsToRemove = Array.isArray(tagIds) ? tagIds : [tagIds];
   this.tags = this.tags.filter(tagId => !tagsToRemove.map(t => t.toString()).includes(tagId.toString()));
+  // The tag comes off the allocations of a split transaction too
+  for (const split of this.splits || []) {
+    split.tags = split.tags.filter(tagId => !tagsToRemove.map(t => t.toString()).includes(tagId.toString()));
+  }
   
   // Ensure rawData exists for validation
   if (!this.rawData) {
@@ -346,20 +421,24 @@ transactionSchema.statics.findByTag = async function(tagId, userId) {
 
 // Static method to get spending summary by tag
 transactionSchema.statics.getSpendingSummaryByTag = async function(tagId, startDate, endDate) {
+  const tag = new mongoose.Types.ObjectId(tagId);
   return this.aggregate([
     {
       $match: {
-        tags: new mongoose.Types.ObjectId(tagId),
+        ...tagQuery(tag),
         processedDate: { $gte: startDate, $lte: endDate }
       }
     },
+    // Of a split transaction, only the allocations carrying the tag count
+    tagAllocationsStage(tag),
+    { $unwind: '$allocation' },
     {
       $group: {
         _id: {
           type: '$type',
           currency: '$currency'
         },
-        total: { $sum: '$amount' },
+        total: { $sum: '$allocation.amount' },
         count: { $sum: 1 }
       }
     }
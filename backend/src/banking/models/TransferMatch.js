@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { TransferMatchStatus } = require('../constants/enums');
+
+/**
+ * A pair of transactions the transfer matcher took for one movement of money
+ * between two of the user's accounts. Confirmed pairs are linked on the
+ * transactions themselves; this keeps how they were paired, the pairs waiting
+ * for the user, and the ones the user turned down so they are not offered again.
+ */
+const transferMatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The leg that left an account
+  outgoingTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  // The leg that arrived in another
+  incomingTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  // What the matcher went on, e.g. 'exact_amount', 'same_day', 'transfer_description'
+  reasons: [String],
+  status: {
+    type: String,
+    enum: Object.values(TransferMatchStatus),
+    default: TransferMatchStatus.SUGGESTED
+  },
+  // Linked without asking, because the matcher was confident enough
+  automatic: {
+    type: Boolean,
+    default: false
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+transferMatchSchema.index({ outgoingTransaction: 1, incomingTransaction: 1 }, { unique: true });
+transferMatchSchema.index({ userId: 1, status: 1, confidence: -1 });
+
+module.exports = mongoose.model('TransferMatch', transferMatchSchema);
@@ -1,7 +1,9 @@
 const BankAccount = require('./BankAccount');
 const BalanceSnapshot = require('./BalanceSnapshot');
+const SyncRun = require('./SyncRun');
 const CreditCard = require('./CreditCard');
 const Transaction = require('./Transaction');
+const TransferMatch = require('./TransferMatch');
 const Tag = require('./Tag');
 const ManualCategorized = require('./ManualCategorized');
 const TransactionExclusion = require('./TransactionExclusion');
@@ -11,8 +13,10 @@ const SubCategory = require('./SubCategory');
 module.exports = {
   BankAccount,
   BalanceSnapshot,
+  SyncRun,
   CreditCard,
   Transaction,
+  TransferMatch,
   Tag,
   ManualCategorized,
   TransactionExclusion,
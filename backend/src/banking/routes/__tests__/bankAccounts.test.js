@@ -7,7 +7,8 @@ const { createTestUser } = require('../../../test/testUtils');
 const queuedDataSyncService = require('../../services/queuedDataSyncService');
 const app = require('../../../app');
 const { User } = require('../../../auth');
-const { BankAccount } = require('../../models');
+const { BankAccount, SyncRun } = require('../../models');
+const syncRunService = require('../../services/syncRunService');
 const credentialEncryption = require('../../../shared/services/credentialEncryption');
 
 // Import valid credentials from mock (bankScraperService handles the mocking automatically based on NODE_ENV)
@@ -552,4 +553,72 @@ describe('Bank Account Routes', () => {
       expect(accountStillExists).toBeTruthy();
     });
   });
+
+  describe('GET /api/bank-accounts/:id/sync-history', () => {
+    let bankAccount;
+
+    beforeEach(async () => {
+      await SyncRun.deleteMany({});
+      bankAccount = await BankAccount.create({
+        userId: user._id,
+        bankId: 'hapoalim',
+        name: 'Test Account',
+        credentials: {
+          username: validCredentials.username,
+          password: validCredentials.password
+        }
+      });
+    });
+
+    it('lists the account\'s runs newest first with what each imported', async () => {
+      const succeeded = await syncRunService.start(bankAccount, 'checking-accounts', { jobId: 7, reason: 'scheduled' });
+      await syncRunService.succeed(succeeded, {
+        transactions: { newTransactions: 0, duplicates: 31, errors: [] },
+        balance: { amount: 2500, currency: 'ILS' },
+        window: { from: new Date('2026-02-22'), to: new Date('2026-03-01') }
+      });
+      const failed = await syncRunService.start(bankAccount, 'checking-accounts', { jobId: 8, attempt: 2 });
+      const error = new Error('Checking Accounts scraping failed: Invalid bank credentials');
+      error.errorType = 'INVALID_PASSWORD';
+      await syncRunService.fail(failed, error);
+
+      const response = await request(app)
+        .get(`/api/bank-accounts/${bankAccount.id}/sync-history`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(2);
+      expect(response.body[0]).toMatchObject({
+        jobId: '8',
+        attempt: 2,
+        reason: 'manual',
+        status: 'failed',
+        error: { class: 'INVALID_PASSWORD' }
+      });
+      expect(response.body[1]).toMatchObject({
+        jobId: '7',
+        reason: 'scheduled',
+        status: 'succeeded',
+        counts: { new: 0, duplicates: 31, updated: 0, failed: 0 },
+        balance: { amount: 2500, currency: 'ILS' },
+        window: { from: '2026-02-22T00:00:00.000Z' }
+      });
+    });
+
+    it('does not show another user\'s account and forgets the runs of a deleted one', async () => {
+      const { token: otherToken } = await createTestUser(User, { email: 'other@example.com', name: 'Other User' });
+      await syncRunService.start(bankAccount, 'checking-accounts');
+
+      await request(app)
+        .get(`/api/bank-accounts/${bankAccount.id}/sync-history`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/bank-accounts/${bankAccount.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(await SyncRun.countDocuments({ bankAccountId: bankAccount._id })).toBe(0);
+    });
+  });
 });
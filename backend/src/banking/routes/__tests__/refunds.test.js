@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../../../app');
+const { createTestUser } = require('../../../test/testUtils');
+const { User } = require('../../../auth');
+const { BankAccount, Category, SubCategory, Tag, Transaction } = require('../../models');
+const { CategorizationMethod } = require('../../constants/enums');
+const refundLinkingService = require('../../services/refundLinkingService');
+const transactionService = require('../../services/transactionService');
+const budgetPeriodService = require('../../../monthly-budgets/services/budgetPeriodService');
+const categoryBudgetService = require('../../../monthly-budgets/services/categoryBudgetService');
+
+describe('Refunds linked to their purchases', () => {
+  let user;
+  let token;
+  let card;
+  let creditCardId;
+  let shopping;
+  let clothing;
+  let salary;
+  let project;
+
+  const as = (sessionToken) => ({ Authorization: `Bearer ${sessionToken}` });
+
+  const transaction = (fields) => Transaction.create({
+    identifier: `refund-${Math.random()}`,
+    accountId: card._id,
+    userId: user._id,
+    creditCardId,
+    currency: 'ILS',
+    date: new Date(),
+    processedDate: new Date(),
+    rawData: {},
+    ...fields
+  });
+
+  const purchase = (fields = {}) => transaction({
+    amount: -400,
+    description: 'ZARA RAMAT AVIV',
+    date: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000),
+    category: shopping._id,
+    subCategory: clothing._id,
+    type: 'Expense',
+    categorizationMethod: CategorizationMethod.PREVIOUS_DATA,
+    tags: [project._id],
+    ...fields
+  });
+
+  beforeEach(async () => {
+    ({ user, token } = await createTestUser(User, { email: `refunds${Date.now()}@example.com` }));
+    card = await BankAccount.create({ userId: user._id, bankId: 'file-import', name: 'Card', status: 'active' });
+    creditCardId = new mongoose.Types.ObjectId();
+    shopping = await Category.create({ name: 'Shopping', type: 'Expense', userId: user._id });
+    clothing = await SubCategory.create({ name: 'Clothing', parentCategory: shopping._id, userId: user._id, keywords: [] });
+    salary = await Category.create({ name: 'Salary', type: 'Income', userId: user._id });
+    project = await Tag.create({ name: 'Wedding', type: 'project', userId: user._id });
+  });
+
+  const detect = () => request(app)
+    .post('/api/transactions/refunds/detect')
+    .set(as(token));
+
+  it("links a refund to its purchase and gives it the purchase's category and project", async () => {
+    const bought = await purchase();
+    const refund = await transaction({
+      amount: 400,
+      description: 'זיכוי ZARA RAMAT AVIV',
+      category: salary._id,
+      type: 'Income',
+      categorizationMethod: CategorizationMethod.AI
+    });
+
+    expect((await detect().expect(200)).body).toEqual({ linked: 1 });
+
+    const saved = await Transaction.findById(refund._id);
+    expect(saved.refundOf).toEqual(bought._id);
+    expect(saved.category).toEqual(shopping._id);
+    expect(saved.subCategory).toEqual(clothing._id);
+    expect(saved.type).toBe('Expense');
+    expect(saved.categorizationMethod).toBe(CategorizationMethod.REFUND_MATCH);
+    expect(saved.tags.map(String)).toEqual([String(project._id)]);
+  });
+
+  it("nets a refund against the category's actuals instead of counting it as income", async () => {
+    await purchase({ date: new Date(2026, 2, 3), processedDate: new Date(2026, 2, 3) });
+    await transaction({
+      amount: 150,
+      description: 'ZARA RAMAT AVIV',
+      date: new Date(2026, 2, 12),
+      processedDate: new Date(2026, 2, 12)
+    });
+
+    await refundLinkingService.detectRefunds(user._id, { since: new Date(2026, 2, 1) });
+
+    const actuals = await categoryBudgetService.getActualAmountsForMonth(user._id, 2026, 3);
+    expect(actuals).toEqual({ totalActualIncome: 0, totalActualExpenses: 250 });
+
+    const period = await budgetPeriodService.getPeriod(user._id, 2026, 3);
+    const [clothingActuals] = await transactionService.getMonthlyBudgetActuals(user._id, period);
+    expect(clothingActuals).toMatchObject({ totalAmount: 250, transactionCount: 2 });
+  });
+
+  it('does not link a refund larger than what is left of the purchase', async () => {
+    await purchase();
+    await transaction({ amount: 300, description: 'ZARA RAMAT AVIV' });
+    const second = await transaction({ amount: 300, description: 'ZARA RAMAT AVIV' });
+
+    expect((await detect().expect(200)).body).toEqual({ linked: 1 });
+    expect((await Transaction.findById(second._id)).refundOf).toBeNull();
+  });
+
+  it('leaves refunds from another merchant and ones the user categorised alone', async () => {
+    await purchase();
+    await transaction({ amount: 400, description: 'H&M DIZENGOFF' });
+    await transaction({
+      amount: 400,
+      description: 'ZARA RAMAT AVIV',
+      category: salary._id,
+      categorizationMethod: CategorizationMethod.MANUAL
+    });
+
+    expect((await detect().expect(200)).body).toEqual({ linked: 0 });
+  });
+
+  it('unlinks a refund back into uncategorised income and does not link it again', async () => {
+    await purchase();
+    const refund = await transaction({ amount: 400, description: 'ZARA RAMAT AVIV' });
+    await detect();
+
+    const res = await request(app).delete(`/api/transactions/${refund._id}/refund`).set(as(token)).expect(200);
+    expect(res.body).toMatchObject({ _id: String(refund._id), type: 'Income', category: null, refundOf: null });
+
+    expect((await detect().expect(200)).body).toEqual({ linked: 0 });
+  });
+
+  it('reports a transaction that is not a linked refund', async () => {
+    const lone = await transaction({ amount: 50, description: 'Coffee' });
+
+    const res = await request(app).delete(`/api/transactions/${lone._id}/refund`).set(as(token)).expect(400);
+    expect(res.body.code).toBe('NOT_A_REFUND');
+    await request(app).delete('/api/transactions/000000000000000000000000/refund').set(as(token)).expect(404);
+  });
+});
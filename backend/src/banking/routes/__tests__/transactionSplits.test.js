@@ -0,0 +1,161 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { createTestUser } = require('../../../test/testUtils');
+const { User } = require('../../../auth');
+const { BankAccount, Category, SubCategory, Tag, Transaction } = require('../../models');
+const { CategorizationMethod } = require('../../constants/enums');
+const categoryBudgetService = require('../../../monthly-budgets/services/categoryBudgetService');
+const budgetPeriodService = require('../../../monthly-budgets/services/budgetPeriodService');
+const { CategoryBudget } = require('../../../monthly-budgets/models');
+
+describe('Split transactions', () => {
+  let user;
+  let token;
+  let account;
+  let health;
+  let pharmacy;
+  let home;
+  let cleaning;
+  let renovation;
+  let transaction;
+
+  const as = (sessionToken) => ({ Authorization: `Bearer ${sessionToken}` });
+
+  const splits = () => [
+    { amount: -200, categoryId: health._id, subCategoryId: pharmacy._id },
+    { amount: -100, categoryId: home._id, subCategoryId: cleaning._id, tagIds: [renovation._id], note: 'Paint' }
+  ];
+
+  beforeEach(async () => {
+    ({ user, token } = await createTestUser(User, { email: `splits${Date.now()}@example.com` }));
+    account = await BankAccount.create({ userId: user._id, bankId: 'file-import', name: 'Checking', status: 'active' });
+    health = await Category.create({ name: 'Health', type: 'Expense', userId: user._id });
+    pharmacy = await SubCategory.create({ name: 'Pharmacy', parentCategory: health._id, userId: user._id, keywords: [] });
+    home = await Category.create({ name: 'Home', type: 'Expense', userId: user._id });
+    cleaning = await SubCategory.create({ name: 'Cleaning', parentCategory: home._id, userId: user._id, keywords: [] });
+    renovation = await Tag.create({ name: 'project:renovation', userId: user._id });
+    transaction = await Transaction.create({
+      identifier: `split-${Date.now()}`,
+      accountId: account._id,
+      userId: user._id,
+      amount: -300,
+      currency: 'ILS',
+      date: new Date(2026, 2, 10),
+      processedDate: new Date(2026, 2, 10),
+      description: 'SUPER-PHARM',
+      rawData: {}
+    });
+  });
+
+  describe('PUT /api/transactions/:transactionId/splits', () => {
+    it('splits a transaction and shows the largest part\'s category on it', async () => {
+      const res = await request(app)
+        .put(`/api/transactions/${transaction._id}/splits`)
+        .set(as(token))
+        .send({ splits: splits() })
+        .expect(200);
+
+      expect(res.body.splits).toHaveLength(2);
+      expect(res.body.splits[1]).toMatchObject({ amount: -100, note: 'Paint' });
+      expect(res.body.splits[1].category.name).toBe('Home');
+      expect(res.body.category.name).toBe('Health');
+
+      const saved = await Transaction.findById(transaction._id);
+      expect(saved.categorizationMethod).toBe(CategorizationMethod.MANUAL);
+      expect(saved.type).toBe('Expense');
+      expect((await Tag.findById(renovation._id)).usageCount).toBe(1);
+    });
+
+    it('refuses parts that do not add up to the transaction', async () => {
+      const res = await request(app)
+        .put(`/api/transactions/${transaction._id}/splits`)
+        .set(as(token))
+        .send({ splits: [splits()[0], { ...splits()[1], amount: -90 }] })
+        .expect(400);
+
+      expect(res.body.code).toBe('SPLIT_TOTAL_MISMATCH');
+    });
+
+    it('refuses a single part and an expense part without a subcategory', async () => {
+      const single = await request(app)
+        .put(`/api/transactions/${transaction._id}/splits`)
+        .set(as(token))
+        .send({ splits: [{ amount: -300, categoryId: health._id, subCategoryId: pharmacy._id }] })
+        .expect(400);
+      const noSubCategory = await request(app)
+        .put(`/api/transactions/${transaction._id}/splits`)
+        .set(as(token))
+        .send({ splits: [splits()[0], { amount: -100, categoryId: home._id }] })
+        .expect(400);
+
+      expect(single.body.code).toBe('TOO_FEW_SPLITS');
+      expect(noSubCategory.body.code).toBe('SUBCATEGORY_REQUIRED');
+    });
+
+    it('keeps another user\'s transactions and categories out', async () => {
+      const { token: otherToken } = await createTestUser(User, { email: `other-splits${Date.now()}@example.com` });
+
+      await request(app)
+        .put(`/api/transactions/${transaction._id}/splits`)
+        .set(as(otherToken))
+        .send({ splits: splits() })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/transactions/:transactionId/splits', () => {
+    it('puts the transaction back to one category', async () => {
+      await request(app).put(`/api/transactions/${transaction._id}/splits`).set(as(token)).send({ splits: splits() });
+
+      const res = await request(app).delete(`/api/transactions/${transaction._id}/splits`).set(as(token)).expect(200);
+
+      expect(res.body.splits).toBeUndefined();
+      expect(res.body.category.name).toBe('Health');
+      await request(app).delete(`/api/transactions/${transaction._id}/splits`).set(as(token)).expect(400);
+    });
+  });
+
+  it('finds a split transaction by the category of any of its parts', async () => {
+    await request(app).put(`/api/transactions/${transaction._id}/splits`).set(as(token)).send({ splits: splits() });
+
+    const res = await request(app)
+      .get('/api/transactions')
+      .query({ category: home._id.toString() })
+      .set(as(token))
+      .expect(200);
+
+    expect(res.body.transactions.map(tx => tx._id)).toEqual([transaction._id.toString()]);
+  });
+
+  describe('budget actuals', () => {
+    beforeEach(async () => {
+      await request(app).put(`/api/transactions/${transaction._id}/splits`).set(as(token)).send({ splits: splits() });
+    });
+
+    it('counts each part against its own category budget', async () => {
+      await CategoryBudget.create({
+        userId: user._id,
+        categoryId: home._id,
+        subCategoryId: cleaning._id,
+        budgetType: 'fixed',
+        fixedAmount: 150
+      });
+
+      const comparison = await categoryBudgetService.getBudgetVsActual(user._id, home._id, cleaning._id, 2026, 3);
+      const totals = await categoryBudgetService.getActualAmountsForMonth(user._id, 2026, 3);
+
+      expect(comparison.actual).toBe(100);
+      expect(totals.totalActualExpenses).toBe(300);
+    });
+
+    it('groups the month\'s actuals by each part\'s category', async () => {
+      const transactionService = require('../../services/transactionService');
+
+      const period = await budgetPeriodService.getPeriod(user._id, 2026, 3);
+      const actuals = await transactionService.getMonthlyBudgetActuals(user._id, period);
+      const byCategory = Object.fromEntries(actuals.map(row => [String(row._id.category), row.totalAmount]));
+
+      expect(byCategory).toEqual({ [String(health._id)]: 200, [String(home._id)]: 100 });
+    });
+  });
+});
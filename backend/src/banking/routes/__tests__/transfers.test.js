@@ -0,0 +1,127 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { createTestUser } = require('../../../test/testUtils');
+const { User } = require('../../../auth');
+const { BankAccount, Category, Transaction, TransferMatch } = require('../../models');
+const { CategorizationMethod } = require('../../constants/enums');
+
+describe('Transfers between accounts', () => {
+  let user;
+  let token;
+  let checking;
+  let savings;
+  let internal;
+
+  const as = (sessionToken) => ({ Authorization: `Bearer ${sessionToken}` });
+
+  const transaction = (account, fields) => Transaction.create({
+    identifier: `transfer-${Math.random()}`,
+    accountId: account._id,
+    userId: user._id,
+    currency: 'ILS',
+    date: new Date(2026, 2, 10),
+    processedDate: new Date(2026, 2, 10),
+    rawData: {},
+    ...fields
+  });
+
+  beforeEach(async () => {
+    ({ user, token } = await createTestUser(User, { email: `transfers${Date.now()}@example.com` }));
+    checking = await BankAccount.create({ userId: user._id, bankId: 'file-import', name: 'Checking', status: 'active' });
+    savings = await BankAccount.create({ userId: user._id, bankId: 'file-import', name: 'Savings', status: 'active' });
+    internal = await Category.create({ name: 'Internal Transfers - Miscellaneous', type: 'Transfer', userId: user._id });
+  });
+
+  const detect = () => request(app)
+    .post('/api/transactions/transfers/detect')
+    .set(as(token));
+
+  it('links a clear transfer on both sides', async () => {
+    const out = await transaction(checking, { amount: -2500, description: 'העברה לחיסכון', date: new Date() });
+    const into = await transaction(savings, { amount: 2500, description: 'Deposit', date: new Date() });
+
+    const res = await detect().expect(200);
+    expect(res.body).toEqual({ linked: 1, suggested: 0 });
+
+    const [savedOut, savedIn] = await Promise.all([Transaction.findById(out._id), Transaction.findById(into._id)]);
+    expect(savedOut.transferCounterpart).toEqual(into._id);
+    expect(savedIn.transferCounterpart).toEqual(out._id);
+    expect(savedOut.type).toBe('Transfer');
+    expect(savedIn.category).toEqual(internal._id);
+    expect(savedIn.categorizationMethod).toBe(CategorizationMethod.TRANSFER_MATCH);
+  });
+
+  it('queues an uncertain pair for review and links it once confirmed', async () => {
+    const out = await transaction(checking, { amount: -700, description: 'Payment', date: new Date() });
+    const into = await transaction(savings, { amount: 700, description: 'Deposit', date: new Date() });
+
+    expect((await detect().expect(200)).body).toEqual({ linked: 0, suggested: 1 });
+
+    const queue = await request(app).get('/api/transactions/transfers/review').set(as(token)).expect(200);
+    expect(queue.body).toHaveLength(1);
+    expect(queue.body[0].outgoingTransaction).toMatchObject({ description: 'Payment', accountName: 'Checking' });
+    expect(queue.body[0].incomingTransaction.accountName).toBe('Savings');
+
+    await request(app)
+      .post(`/api/transactions/transfers/${queue.body[0]._id}/confirm`)
+      .set(as(token))
+      .expect(200);
+
+    expect((await Transaction.findById(out._id)).transferCounterpart).toEqual(into._id);
+    const empty = await request(app).get('/api/transactions/transfers/review').set(as(token)).expect(200);
+    expect(empty.body).toEqual([]);
+  });
+
+  it('does not offer a rejected pair again', async () => {
+    await transaction(checking, { amount: -700, description: 'Payment', date: new Date() });
+    await transaction(savings, { amount: 700, description: 'Deposit', date: new Date() });
+    await detect();
+    const match = await TransferMatch.findOne({ userId: user._id });
+
+    await request(app).post(`/api/transactions/transfers/${match._id}/reject`).set(as(token)).expect(200);
+
+    expect((await detect().expect(200)).body).toEqual({ linked: 0, suggested: 0 });
+  });
+
+  it('unlinks a transfer back into an uncategorised expense and income', async () => {
+    const out = await transaction(checking, { amount: -2500, description: 'העברה לחיסכון', date: new Date() });
+    const into = await transaction(savings, { amount: 2500, description: 'Deposit', date: new Date() });
+    await detect();
+
+    const res = await request(app).delete(`/api/transactions/${into._id}/transfer`).set(as(token)).expect(200);
+    expect(res.body).toMatchObject({ _id: String(into._id), type: 'Income', transferCounterpart: null });
+
+    const [savedOut, savedIn] = await Promise.all([Transaction.findById(out._id), Transaction.findById(into._id)]);
+    expect(savedOut.transferCounterpart).toBeNull();
+    expect(savedOut.type).toBe('Expense');
+    expect(savedIn.type).toBe('Income');
+    expect(savedIn.category).toBeNull();
+    expect((await detect().expect(200)).body).toEqual({ linked: 0, suggested: 0 });
+  });
+
+  it('leaves transactions the user categorised alone', async () => {
+    await transaction(checking, {
+      amount: -2500,
+      description: 'העברה',
+      date: new Date(),
+      category: internal._id,
+      categorizationMethod: CategorizationMethod.MANUAL
+    });
+    await transaction(savings, { amount: 2500, description: 'Deposit', date: new Date() });
+
+    expect((await detect().expect(200)).body).toEqual({ linked: 0, suggested: 0 });
+  });
+
+  it('reports an unknown suggestion and a transaction that is not a transfer', async () => {
+    const lone = await transaction(checking, { amount: -50, description: 'Coffee' });
+
+    const missing = await request(app)
+      .post('/api/transactions/transfers/000000000000000000000000/confirm')
+      .set(as(token))
+      .expect(404);
+    expect(missing.body.code).toBe('MATCH_NOT_FOUND');
+
+    const notTransfer = await request(app).delete(`/api/transactions/${lone._id}/transfer`).set(as(token)).expect(400);
+    expect(notTransfer.body.code).toBe('NOT_A_TRANSFER');
+  });
+});
@@ -1,20 +1,22 @@
 const express = require('express');
 const BankAccount = require('../models/BankAccount');
 const { User } = require('../../auth');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const bankAccountService = require('../services/bankAccountService.js');
+const syncRunService = require('../services/syncRunService');
 const { OTP_BANKS } = require('../constants/enums');
 const {
   isValidCard6Digits,
   requiresCard6Digits
 } = require('../utils/scraperCredentials');
+const { nextRunFor } = require('../utils/scrapingSchedule');
 
 const router = express.Router();
 
-// Get all bank accounts for the authenticated user
-router.get('/', auth, async (req, res) => {
+// Get all bank accounts of the user's household
+router.get('/', householdAuth, async (req, res) => {
   try {
-    const accounts = await BankAccount.find({ userId: req.user._id });
+    const accounts = await BankAccount.find({ userId: req.dataOwnerId });
     res.json(accounts);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -22,7 +24,7 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Add a new bank account
-router.post('/', auth, async (req, res) => {
+router.post('/', householdAuth, async (req, res) => {
   try {
     const { bankId, name, credentials } = req.body;
 
@@ -47,7 +49,7 @@ router.post('/', auth, async (req, res) => {
       }
     }
 
-    const bankAccount = await bankAccountService.create(req.user._id, {
+    const bankAccount = await bankAccountService.create(req.dataOwnerId, {
       bankId,
       name,
       username: credentials.username,
@@ -57,7 +59,7 @@ router.post('/', auth, async (req, res) => {
       flexToken: credentials.flexToken,
       queryId: credentials.queryId,
       phoneOrEmail: credentials.phoneOrEmail
-    });
+    }, { connectedBy: req.user._id });
 
     // Return without sensitive data
     const response = bankAccount.toJSON();
@@ -68,14 +70,14 @@ router.post('/', auth, async (req, res) => {
 });
 
 // Update bank account (name, scrapingConfig only)
-router.patch('/:id', auth, async (req, res) => {
+router.patch('/:id', householdAuth, async (req, res) => {
   try {
-    const bankAccount = await bankAccountService.update(req.params.id, req.user._id, req.body);
+    const bankAccount = await bankAccountService.update(req.params.id, req.dataOwnerId, req.body);
 
     if (Object.prototype.hasOwnProperty.call(req.body, 'name')) {
       await User.updateOne(
         {
-          _id: req.user._id,
+          _id: req.dataOwnerId,
           'onboarding.creditCardSetup.creditCardAccounts.accountId': bankAccount._id
         },
         {
@@ -89,7 +91,7 @@ router.patch('/:id', auth, async (req, res) => {
       );
       await User.updateOne(
         {
-          _id: req.user._id,
+          _id: req.dataOwnerId,
           'onboarding.creditCardMatching.failedAccount.accountId': bankAccount._id
         },
         {
@@ -106,13 +108,48 @@ router.patch('/:id', auth, async (req, res) => {
   }
 });
 
+// Each account's sync schedule and next scheduled run
+router.get('/schedule', householdAuth, async (req, res) => {
+  try {
+    const schedules = await bankAccountService.getSchedules(req.dataOwnerId);
+    res.json(schedules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get an account's scraping config and next scheduled run
+router.get('/:id/scraping-config', householdAuth, async (req, res) => {
+  try {
+    const bankAccount = await BankAccount.findOne({ _id: req.params.id, userId: req.dataOwnerId });
+    if (!bankAccount) {
+      return res.status(404).json({ error: 'Bank account not found' });
+    }
+    res.json({ scrapingConfig: bankAccount.scrapingConfig, nextScrapingTime: nextRunFor(bankAccount) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an account's scraping config; the new schedule applies straight away
+router.patch('/:id/scraping-config', householdAuth, async (req, res) => {
+  try {
+    const bankAccount = await bankAccountService.update(req.params.id, req.dataOwnerId, {
+      scrapingConfig: req.body
+    });
+    res.json({ scrapingConfig: bankAccount.scrapingConfig, nextScrapingTime: nextRunFor(bankAccount) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Update bank account credentials
-router.put('/:id/credentials', auth, async (req, res) => {
+router.put('/:id/credentials', householdAuth, async (req, res) => {
   try {
     const { username, password, card6Digits, apiToken, flexToken, queryId } = req.body;
 
     // Look up account to determine bank type
-    const account = await BankAccount.findOne({ _id: req.params.id, userId: req.user._id });
+    const account = await BankAccount.findOne({ _id: req.params.id, userId: req.dataOwnerId });
     if (!account) {
       return res.status(404).json({ error: 'Bank account not found' });
     }
@@ -136,8 +173,9 @@ router.put('/:id/credentials', auth, async (req, res) => {
 
     const bankAccount = await bankAccountService.updateCredentials(
       req.params.id,
-      req.user._id,
-      { username, password, card6Digits, apiToken, flexToken, queryId }
+      req.dataOwnerId,
+      { username, password, card6Digits, apiToken, flexToken, queryId },
+      { connectedBy: req.user._id }
     );
 
     res.json({
@@ -153,16 +191,16 @@ router.put('/:id/credentials', auth, async (req, res) => {
 });
 
 // Test bank connection
-router.post('/:id/test', auth, async (req, res) => {
+router.post('/:id/test', householdAuth, async (req, res) => {
   try {
-    const bankAccount = await bankAccountService.updateStatus(req.params.id, req.user._id, 'active');
+    const bankAccount = await bankAccountService.updateStatus(req.params.id, req.dataOwnerId, 'active');
     if (!bankAccount) {
       return res.status(404).json({ error: 'Bank account not found' });
     }
     
     res.json({ 
       message: 'Connection test successful',
-      nextScrapingTime: bankAccount.getNextScrapingTime()
+      nextScrapingTime: nextRunFor(bankAccount)
     });
   } catch (error) {
     res.status(400).json({
@@ -173,9 +211,9 @@ router.post('/:id/test', auth, async (req, res) => {
 });
 
 // Delete bank account
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', householdAuth, async (req, res) => {
   try {
-    const result = await bankAccountService.delete(req.params.id, req.user._id);
+    const result = await bankAccountService.delete(req.params.id, req.dataOwnerId);
     
     if (!result) {
       return res.status(404).json({ error: 'Bank account not found' });
@@ -188,13 +226,13 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Queue scraping jobs for all accounts
-router.post('/scrape-all', auth, async (req, res) => {
+router.post('/scrape-all', householdAuth, async (req, res) => {
   try {
     const options = {
       priority: req.body.priority || 'normal'
     };
 
-    const result = await bankAccountService.queueAllAccountsScraping(req.user._id, options);
+    const result = await bankAccountService.queueAllAccountsScraping(req.dataOwnerId, options);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -202,38 +240,38 @@ router.post('/scrape-all', auth, async (req, res) => {
 });
 
 // Queue scraping jobs for a single account (all strategies)
-router.post('/:id/scrape', auth, async (req, res) => {
+router.post('/:id/scrape', householdAuth, async (req, res) => {
   try {
     const options = {
       priority: req.body.priority || 'high' // Single account scrapes get high priority
     };
 
-    const result = await bankAccountService.queueAccountScraping(req.params.id, req.user._id, options);
+    const result = await bankAccountService.queueAccountScraping(req.params.id, req.dataOwnerId, options);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.code === 'NEEDS_REAUTH' ? 409 : 500).json({ error: error.message, code: error.code });
   }
 });
 
 // Queue a specific strategy for a specific account
-router.post('/:id/scrape/:strategy', auth, async (req, res) => {
+router.post('/:id/scrape/:strategy', householdAuth, async (req, res) => {
   try {
     const { strategy } = req.params;
     const options = {
       priority: req.body.priority || 'normal'
     };
 
-    const result = await bankAccountService.queueStrategyForAccount(req.params.id, req.user._id, strategy, options);
+    const result = await bankAccountService.queueStrategyForAccount(req.params.id, req.dataOwnerId, strategy, options);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.code === 'NEEDS_REAUTH' ? 409 : 500).json({ error: error.message, code: error.code });
   }
 });
 
 // Recover missing transactions by recalculating lastScraped from actual transaction data
-router.post('/:id/recover-transactions', auth, async (req, res) => {
+router.post('/:id/recover-transactions', householdAuth, async (req, res) => {
   try {
-    const result = await bankAccountService.recoverMissingTransactions(req.params.id, req.user._id);
+    const result = await bankAccountService.recoverMissingTransactions(req.params.id, req.dataOwnerId);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -241,7 +279,7 @@ router.post('/:id/recover-transactions', auth, async (req, res) => {
 });
 
 // Get queue statistics
-router.get('/queue/stats', auth, async (req, res) => {
+router.get('/queue/stats', householdAuth, async (req, res) => {
   try {
     const stats = await bankAccountService.getQueueStats();
     res.json(stats);
@@ -251,7 +289,7 @@ router.get('/queue/stats', auth, async (req, res) => {
 });
 
 // Get queue health status
-router.get('/queue/health', auth, async (req, res) => {
+router.get('/queue/health', householdAuth, async (req, res) => {
   try {
     const health = await bankAccountService.getQueueHealth();
     res.json(health);
@@ -265,9 +303,9 @@ router.get('/queue/health', auth, async (req, res) => {
 const balanceService = require('../services/balanceService');
 
 // Get current balance summary for all user accounts
-router.get('/balance/summary', auth, async (req, res) => {
+router.get('/balance/summary', householdAuth, async (req, res) => {
   try {
-    const summary = await balanceService.getAccountSummary(req.user._id);
+    const summary = await balanceService.getAccountSummary(req.dataOwnerId);
     res.json(summary);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -275,21 +313,33 @@ router.get('/balance/summary', auth, async (req, res) => {
 });
 
 // Get aggregated net worth history
-router.get('/balance/net-worth', auth, async (req, res) => {
+router.get('/balance/net-worth', householdAuth, async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
-    const history = await balanceService.getNetWorthHistory(req.user._id, days);
+    const history = await balanceService.getNetWorthHistory(req.dataOwnerId, days);
     res.json(history);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Project each checking account's balance over the coming days, with warnings
+// where it runs below the user's low-balance threshold
+router.get('/balance/forecast', householdAuth, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || undefined;
+    const forecast = await balanceService.getForecast(req.dataOwnerId, { days });
+    res.json(forecast);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get balance history for a specific account
-router.get('/:id/balance/history', auth, async (req, res) => {
+router.get('/:id/balance/history', householdAuth, async (req, res) => {
   try {
     // Verify ownership
-    const bankAccount = await BankAccount.findOne({ _id: req.params.id, userId: req.user._id });
+    const bankAccount = await BankAccount.findOne({ _id: req.params.id, userId: req.dataOwnerId });
     if (!bankAccount) {
       return res.status(404).json({ error: 'Bank account not found' });
     }
@@ -301,4 +351,21 @@ router.get('/:id/balance/history', auth, async (req, res) => {
   }
 });
 
+// Get an account's sync runs, newest first
+router.get('/:id/sync-history', householdAuth, async (req, res) => {
+  try {
+    const bankAccount = await BankAccount.findOne({ _id: req.params.id, userId: req.dataOwnerId });
+    if (!bankAccount) {
+      return res.status(404).json({ error: 'Bank account not found' });
+    }
+    const runs = await syncRunService.getHistory(bankAccount._id, {
+      limit: req.query.limit,
+      strategyName: req.query.strategy
+    });
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
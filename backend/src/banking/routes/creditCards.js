@@ -1,13 +1,13 @@
 const express = require('express');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const creditCardService = require('../services/creditCardService');
 
 const router = express.Router();
 
 // Get all credit cards for the authenticated user
-router.get('/', auth, async (req, res) => {
+router.get('/', householdAuth, async (req, res) => {
   try {
-    const creditCards = await creditCardService.getUserCreditCards(req.user._id);
+    const creditCards = await creditCardService.getUserCreditCards(req.dataOwnerId);
     res.json(creditCards);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -15,9 +15,9 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get credit card details with basic stats
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', householdAuth, async (req, res) => {
   try {
-    const creditCard = await creditCardService.getCreditCardDetails(req.params.id, req.user._id);
+    const creditCard = await creditCardService.getCreditCardDetails(req.params.id, req.dataOwnerId);
     
     if (!creditCard) {
       return res.status(404).json({ error: 'Credit card not found' });
@@ -30,9 +30,9 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Get credit card basic statistics (6-month summary)
-router.get('/:id/stats', auth, async (req, res) => {
+router.get('/:id/stats', householdAuth, async (req, res) => {
   try {
-    const stats = await creditCardService.getCreditCardBasicStats(req.params.id, req.user._id);
+    const stats = await creditCardService.getCreditCardBasicStats(req.params.id, req.dataOwnerId);
     
     if (!stats) {
       return res.status(404).json({ error: 'Credit card not found' });
@@ -45,7 +45,7 @@ router.get('/:id/stats', auth, async (req, res) => {
 });
 
 // Get monthly statistics for a specific month
-router.get('/:id/stats/:year/:month', auth, async (req, res) => {
+router.get('/:id/stats/:year/:month', householdAuth, async (req, res) => {
   try {
     const { year, month } = req.params;
     
@@ -61,7 +61,7 @@ router.get('/:id/stats/:year/:month', auth, async (req, res) => {
       req.params.id, 
       yearNum, 
       monthNum, 
-      req.user._id
+      req.dataOwnerId
     );
     
     if (!monthlyStats) {
@@ -75,7 +75,7 @@ router.get('/:id/stats/:year/:month', auth, async (req, res) => {
 });
 
 // Get credit card transactions with filtering and pagination
-router.get('/:id/transactions', auth, async (req, res) => {
+router.get('/:id/transactions', householdAuth, async (req, res) => {
   try {
     const filters = {};
     
@@ -122,7 +122,7 @@ router.get('/:id/transactions', auth, async (req, res) => {
     const result = await creditCardService.getCreditCardTransactions(
       req.params.id, 
       filters, 
-      req.user._id
+      req.dataOwnerId
     );
     
     if (!result) {
@@ -136,9 +136,9 @@ router.get('/:id/transactions', auth, async (req, res) => {
 });
 
 // Get credit card trend data (6-month trend)
-router.get('/:id/trend', auth, async (req, res) => {
+router.get('/:id/trend', householdAuth, async (req, res) => {
   try {
-    const trendData = await creditCardService.getCreditCardTrend(req.params.id, req.user._id);
+    const trendData = await creditCardService.getCreditCardTrend(req.params.id, req.dataOwnerId);
     
     if (!trendData) {
       return res.status(404).json({ error: 'Credit card not found' });
@@ -150,4 +150,27 @@ router.get('/:id/trend', auth, async (req, res) => {
   }
 });
 
+// Get billing-cycle statements, each reconciled against the checking-account debit that paid it
+router.get('/:id/statements', householdAuth, async (req, res) => {
+  try {
+    let months;
+    if (req.query.months !== undefined) {
+      months = parseInt(req.query.months);
+      if (isNaN(months) || months < 1 || months > creditCardService.MAX_STATEMENT_MONTHS) {
+        return res.status(400).json({ error: `months must be between 1 and ${creditCardService.MAX_STATEMENT_MONTHS}` });
+      }
+    }
+
+    const statements = await creditCardService.getCreditCardStatements(req.params.id, req.dataOwnerId, { months });
+
+    if (!statements) {
+      return res.status(404).json({ error: 'Credit card not found' });
+    }
+
+    res.json(statements);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
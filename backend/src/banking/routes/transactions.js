@@ -1,15 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const { Category, SubCategory, Transaction, Tag } = require('../models');
 const transactionService = require('../services/transactionService');
 const transactionClassifier = require('../services/transactionClassifier');
 const logger = require('../../shared/utils/logger');
 const tagService = require('../services/tagService');
-const { findSalaryCategory, adjustForSalaryEarlyPayment } = require('../../monthly-budgets/services/salaryAttributionHelper');
+const transactionSplitService = require('../services/transactionSplitService');
+const { TransactionSplitError } = require('../services/transactionSplitService');
+const transferMatchingService = require('../services/transferMatchingService');
+const { TransferMatchError } = require('../services/transferMatchingService');
+const refundLinkingService = require('../services/refundLinkingService');
+const { RefundLinkError } = require('../services/refundLinkingService');
+const { findSalaryCategory, adjustForSalaryInPeriod } = require('../../monthly-budgets/services/salaryAttributionHelper');
+const budgetPeriodService = require('../../monthly-budgets/services/budgetPeriodService');
 
 // Get transactions with pagination and filtering
-router.get('/', auth, async (req, res) => {
+router.get('/', householdAuth, async (req, res) => {
   try {
     const {
       startDate,
@@ -40,7 +47,7 @@ router.get('/', auth, async (req, res) => {
       limit: parseInt(limit),
       skip: parseInt(skip),
       accountId,
-      userId: req.user._id, // User ID from auth middleware
+      userId: req.dataOwnerId,
       useProcessedDate: useProcessedDate === 'true', // Convert string to boolean
     };
     
@@ -48,12 +55,12 @@ router.get('/', auth, async (req, res) => {
 
     // Adjust salary transactions for budget views (early-payment attribution)
     if (query.useProcessedDate && query.startDate && query.category) {
-      const salaryCategory = await findSalaryCategory(req.user._id);
+      const salaryCategory = await findSalaryCategory(req.dataOwnerId);
       if (salaryCategory && query.category === salaryCategory._id.toString()) {
-        const year = query.startDate.getFullYear();
-        const month = query.startDate.getMonth() + 1;
-        result.transactions = await adjustForSalaryEarlyPayment(
-          result.transactions, req.user._id, year, month, {}, salaryCategory
+        // Budget views ask for one budget period, which starts on startDate
+        const period = await budgetPeriodService.getPeriodOn(req.dataOwnerId, query.startDate);
+        result.transactions = await adjustForSalaryInPeriod(
+          result.transactions, req.dataOwnerId, period, {}, salaryCategory
         );
         result.total = result.transactions.length;
         result.hasMore = false;
@@ -68,14 +75,14 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get transactions for a specific bank account
-router.get('/account/:accountId', auth, async (req, res) => {
+router.get('/account/:accountId', householdAuth, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     const transactions = await transactionService.getTransactionsByDateRange(
       req.params.accountId,
       startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
       endDate ? new Date(endDate) : new Date(),
-      req.user._id
+      req.dataOwnerId
     );
 
     res.json(transactions);
@@ -85,11 +92,11 @@ router.get('/account/:accountId', auth, async (req, res) => {
 });
 
 // Get uncategorized transactions
-router.get('/uncategorized/:accountId', auth, async (req, res) => {
+router.get('/uncategorized/:accountId', householdAuth, async (req, res) => {
   try {
     const transactions = await transactionService.getUncategorizedTransactions(
       req.params.accountId,
-      req.user._id
+      req.dataOwnerId
     );
     res.json(transactions);
   } catch (error) {
@@ -98,9 +105,9 @@ router.get('/uncategorized/:accountId', auth, async (req, res) => {
 });
 
 // Get uncategorized transactions statistics for dashboard
-router.get('/uncategorized-stats', auth, async (req, res) => {
+router.get('/uncategorized-stats', householdAuth, async (req, res) => {
   try {
-    const stats = await transactionService.getUncategorizedStats(req.user._id);
+    const stats = await transactionService.getUncategorizedStats(req.dataOwnerId);
     res.json(stats);
   } catch (error) {
     console.error('Error fetching uncategorized stats:', error);
@@ -109,7 +116,7 @@ router.get('/uncategorized-stats', auth, async (req, res) => {
 });
 
 // Get spending summary
-router.get('/summary/:accountId', auth, async (req, res) => {
+router.get('/summary/:accountId', householdAuth, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     const rawSummary = await transactionService.getSpendingSummary(
@@ -125,7 +132,7 @@ router.get('/summary/:accountId', auth, async (req, res) => {
 });
 
 // Categorize a transaction
-router.post('/:transactionId/categorize', auth, async (req, res) => {
+router.post('/:transactionId/categorize', householdAuth, async (req, res) => {
   try {
     const { categoryId, subCategoryId, saveAsManual = false, matchingFields = {} } = req.body;
     
@@ -135,7 +142,7 @@ router.post('/:transactionId/categorize', auth, async (req, res) => {
 
     const category = await Category.findOne({
       _id: categoryId,
-      userId: req.user._id
+      userId: req.dataOwnerId
     });
 
     if (!category) {
@@ -154,7 +161,7 @@ router.post('/:transactionId/categorize', auth, async (req, res) => {
     if (finalSubCategoryId) {
       const subCategory = await SubCategory.findOne({
         _id: finalSubCategoryId,
-        userId: req.user._id,
+        userId: req.dataOwnerId,
         parentCategory: categoryId
       });
 
@@ -194,9 +201,9 @@ router.post('/:transactionId/categorize', auth, async (req, res) => {
 });
 
 // Get all categories with subcategories
-router.get('/categories', auth, async (req, res) => {
+router.get('/categories', householdAuth, async (req, res) => {
   try {
-    const categories = await Category.getAllWithSubCategories(req.user._id);
+    const categories = await Category.getAllWithSubCategories(req.dataOwnerId);
     if (!categories) {
       return res.status(500).json({ error: 'Failed to fetch categories' });
     }
@@ -207,7 +214,7 @@ router.get('/categories', auth, async (req, res) => {
 });
 
 // Create a new category
-router.post('/categories', auth, async (req, res) => {
+router.post('/categories', householdAuth, async (req, res) => {
   try {
     const { name, type } = req.body;
     
@@ -218,7 +225,7 @@ router.post('/categories', auth, async (req, res) => {
     const category = await Category.findOrCreate({ 
       name, 
       type,
-      userId: req.user._id 
+      userId: req.dataOwnerId 
     });
     res.json(category);
   } catch (error) {
@@ -227,7 +234,7 @@ router.post('/categories', auth, async (req, res) => {
 });
 
 // Create a new subcategory
-router.post('/categories/:categoryId/subcategories', auth, async (req, res) => {
+router.post('/categories/:categoryId/subcategories', householdAuth, async (req, res) => {
   try {
     const { name, keywords = [], isDefault = false } = req.body;
     
@@ -238,7 +245,7 @@ router.post('/categories/:categoryId/subcategories', auth, async (req, res) => {
     // Verify that parent category exists and belongs to the user
     const parentCategory = await Category.findOne({
       _id: req.params.categoryId,
-      userId: req.user._id
+      userId: req.dataOwnerId
     });
     if (!parentCategory) {
       return res.status(404).json({ error: 'Parent category not found' });
@@ -249,7 +256,7 @@ router.post('/categories/:categoryId/subcategories', auth, async (req, res) => {
       keywords,
       isDefault,
       parentCategory: req.params.categoryId,
-      userId: req.user._id
+      userId: req.dataOwnerId
     });
 
     // Return populated subcategory
@@ -264,7 +271,7 @@ router.post('/categories/:categoryId/subcategories', auth, async (req, res) => {
 });
 
 // Update subcategory keywords
-router.patch('/subcategories/:subCategoryId/keywords', auth, async (req, res) => {
+router.patch('/subcategories/:subCategoryId/keywords', householdAuth, async (req, res) => {
   try {
     const { keywords } = req.body;
     
@@ -275,7 +282,7 @@ router.patch('/subcategories/:subCategoryId/keywords', auth, async (req, res) =>
     const subCategory = await SubCategory.findOneAndUpdate(
       {
         _id: req.params.subCategoryId,
-        userId: req.user._id
+        userId: req.dataOwnerId
       },
       { $set: { keywords } },
       { new: true }
@@ -292,11 +299,11 @@ router.patch('/subcategories/:subCategoryId/keywords', auth, async (req, res) =>
 });
 
 // Delete a category (and its subcategories)
-router.delete('/categories/:categoryId', auth, async (req, res) => {
+router.delete('/categories/:categoryId', householdAuth, async (req, res) => {
   try {
     const category = await Category.findOne({
       _id: req.params.categoryId,
-      userId: req.user._id
+      userId: req.dataOwnerId
     });
     if (!category) {
       return res.status(404).json({ error: 'Category not found' });
@@ -305,13 +312,13 @@ router.delete('/categories/:categoryId', auth, async (req, res) => {
     // Remove all subcategories
     await SubCategory.deleteMany({ 
       parentCategory: category._id,
-      userId: req.user._id 
+      userId: req.dataOwnerId 
     });
     
     // Remove the category
     await Category.deleteOne({ 
       _id: category._id,
-      userId: req.user._id 
+      userId: req.dataOwnerId 
     });
 
     res.json({ message: 'Category and subcategories deleted successfully' });
@@ -323,11 +330,11 @@ router.delete('/categories/:categoryId', auth, async (req, res) => {
 
 // Suggest a category for one transaction, on demand, from the user's own past
 // corrections.
-router.post('/:transactionId/suggest-category', auth, async (req, res) => {
+router.post('/:transactionId/suggest-category', householdAuth, async (req, res) => {
   try {
     const transaction = await Transaction.findOne({
       _id: req.params.transactionId,
-      userId: req.user._id
+      userId: req.dataOwnerId
     });
 
     if (!transaction) {
@@ -335,7 +342,7 @@ router.post('/:transactionId/suggest-category', auth, async (req, res) => {
     }
 
     const suggestion = await transactionClassifier.suggest({
-      userId: req.user._id,
+      userId: req.dataOwnerId,
       description: transaction.description,
       memo: transaction.memo || transaction.rawData?.memo || null
     });
@@ -357,9 +364,9 @@ router.post('/:transactionId/suggest-category', auth, async (req, res) => {
 // ===== TAG MANAGEMENT ENDPOINTS =====
 
 // Get all tags for the user
-router.get('/tags', auth, async (req, res) => {
+router.get('/tags', householdAuth, async (req, res) => {
   try {
-    const tags = await tagService.getUserTags(req.user._id);
+    const tags = await tagService.getUserTags(req.dataOwnerId);
     res.json(tags);
   } catch (error) {
     console.error('Error fetching tags:', error);
@@ -368,10 +375,10 @@ router.get('/tags', auth, async (req, res) => {
 });
 
 // Create or get existing tag
-router.post('/tags', auth, async (req, res) => {
+router.post('/tags', householdAuth, async (req, res) => {
   try {
     const { name, color = '#1976d2' } = req.body;
-    const tag = await tagService.createOrGetTag(req.user._id, name, color);
+    const tag = await tagService.createOrGetTag(req.dataOwnerId, name, color);
     res.json(tag);
   } catch (error) {
     console.error('Error creating tag:', error);
@@ -384,11 +391,11 @@ router.post('/tags', auth, async (req, res) => {
 });
 
 // Add tags to transaction
-router.post('/:transactionId/tags', auth, async (req, res) => {
+router.post('/:transactionId/tags', householdAuth, async (req, res) => {
   try {
     const { tagNames } = req.body;
     const result = await tagService.addTagsToTransaction(
-      req.user._id,
+      req.dataOwnerId,
       req.params.transactionId,
       tagNames
     );
@@ -406,11 +413,11 @@ router.post('/:transactionId/tags', auth, async (req, res) => {
 });
 
 // Remove tags from transaction
-router.delete('/:transactionId/tags', auth, async (req, res) => {
+router.delete('/:transactionId/tags', householdAuth, async (req, res) => {
   try {
     const { tagIds } = req.body;
     const result = await tagService.removeTagsFromTransaction(
-      req.user._id,
+      req.dataOwnerId,
       req.params.transactionId,
       tagIds
     );
@@ -427,4 +434,119 @@ router.delete('/:transactionId/tags', auth, async (req, res) => {
   }
 });
 
+const SPLIT_FIELDS = 'category subCategory tags splits.category splits.subCategory splits.tags';
+
+const sendSplitError = (res, error, fallback) => {
+  if (error instanceof TransactionSplitError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Split a transaction across categories, subcategories and tags. The parts
+// replace any earlier split and must add up to the transaction's amount.
+router.put('/:transactionId/splits', householdAuth, async (req, res) => {
+  try {
+    const transaction = await transactionSplitService.setSplits(
+      req.dataOwnerId,
+      req.params.transactionId,
+      req.body.splits
+    );
+    res.json(await Transaction.findById(transaction._id).populate(SPLIT_FIELDS));
+  } catch (error) {
+    sendSplitError(res, error, 'Failed to split transaction');
+  }
+});
+
+// Undo a split, leaving the transaction in its largest part's category
+router.delete('/:transactionId/splits', householdAuth, async (req, res) => {
+  try {
+    const transaction = await transactionSplitService.clearSplits(req.dataOwnerId, req.params.transactionId);
+    res.json(await Transaction.findById(transaction._id).populate(SPLIT_FIELDS));
+  } catch (error) {
+    sendSplitError(res, error, 'Failed to undo split');
+  }
+});
+
+const sendTransferError = (res, error, fallback) => {
+  if (error instanceof TransferMatchError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Pairs of transactions that look like a transfer between the user's own
+// accounts but were not certain enough to link without asking
+router.get('/transfers/review', householdAuth, async (req, res) => {
+  try {
+    res.json(await transferMatchingService.getReviewQueue(req.dataOwnerId));
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to load suggested transfers');
+  }
+});
+
+// Look for transfers now rather than after the next sync
+router.post('/transfers/detect', householdAuth, async (req, res) => {
+  try {
+    res.json(await transferMatchingService.detectTransfers(req.dataOwnerId));
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to detect transfers');
+  }
+});
+
+router.post('/transfers/:matchId/confirm', householdAuth, async (req, res) => {
+  try {
+    res.json(await transferMatchingService.confirm(req.dataOwnerId, req.params.matchId));
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to confirm transfer');
+  }
+});
+
+router.post('/transfers/:matchId/reject', householdAuth, async (req, res) => {
+  try {
+    res.json(await transferMatchingService.reject(req.dataOwnerId, req.params.matchId));
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to reject transfer');
+  }
+});
+
+// Split a linked transfer back into an expense and an income
+router.delete('/:transactionId/transfer', householdAuth, async (req, res) => {
+  try {
+    await transferMatchingService.unlink(req.dataOwnerId, req.params.transactionId);
+    res.json(await Transaction.findById(req.params.transactionId).populate(SPLIT_FIELDS));
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to unlink transfer');
+  }
+});
+
+const sendRefundError = (res, error, fallback) => {
+  if (error instanceof RefundLinkError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Link card refunds to their purchases now rather than after the next sync
+router.post('/refunds/detect', householdAuth, async (req, res) => {
+  try {
+    res.json(await refundLinkingService.detectRefunds(req.dataOwnerId));
+  } catch (error) {
+    sendRefundError(res, error, 'Failed to detect refunds');
+  }
+});
+
+// Not a refund of the purchase it was linked to; it counts on its own again
+router.delete('/:transactionId/refund', householdAuth, async (req, res) => {
+  try {
+    await refundLinkingService.unlink(req.dataOwnerId, req.params.transactionId);
+    res.json(await Transaction.findById(req.params.transactionId).populate(SPLIT_FIELDS));
+  } catch (error) {
+    sendRefundError(res, error, 'Failed to unlink refund');
+  }
+});
+
 module.exports = router;
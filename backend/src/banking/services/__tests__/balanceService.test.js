@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
-const { BankAccount, BalanceSnapshot } = require('../../models');
+const { BankAccount, BalanceSnapshot, Category, CreditCard, Transaction } = require('../../models');
+const User = require('../../../auth/models/User');
 const balanceService = require('../balanceService');
 
 describe('BalanceService', () => {
@@ -265,4 +266,80 @@ describe('BalanceService', () => {
       expect(history[0].accountCount).toBe(2);
     });
   });
+
+  describe('getForecast', () => {
+    const now = new Date(2026, 0, 15, 12);
+
+    const makeTransaction = (fields) => Transaction.create({
+      identifier: `tx-${Math.random()}`,
+      userId: testUser._id,
+      accountId: testAccount._id,
+      currency: 'ILS',
+      description: 'Transaction',
+      rawData: {},
+      ...fields,
+      date: fields.processedDate
+    });
+
+    beforeEach(async () => {
+      await Promise.all([Transaction.deleteMany({}), Category.deleteMany({}), CreditCard.deleteMany({})]);
+      await BankAccount.updateOne({ _id: testAccount._id }, { currentBalance: 3000 });
+      await User.updateOne({ _id: testUser._id }, { $set: { 'settings.lowBalanceThreshold': 1000 } });
+
+      const salary = await Category.create({ name: 'Salary', type: 'Income', userId: testUser._id });
+      for (const month of [9, 10, 11, 12]) {
+        await makeTransaction({ amount: 12000, category: salary._id, processedDate: new Date(2025, month, 10) });
+      }
+
+      const cardAccount = await BankAccount.create({
+        userId: testUser._id,
+        bankId: 'visaCal',
+        name: 'Cal',
+        credentials: { username: 'card', password: 'pass' },
+        status: 'active'
+      });
+      const card = await CreditCard.create({
+        userId: testUser._id,
+        bankAccountId: cardAccount._id,
+        cardNumber: '1234',
+        displayName: 'Cal 1234',
+        timingFlexibility: { cutoffDay: 2 }
+      });
+      for (const month of [9, 10, 11, 12]) {
+        await makeTransaction({
+          accountId: cardAccount._id,
+          creditCardId: card._id,
+          amount: -6000,
+          processedDate: new Date(2025, month, 2)
+        });
+      }
+    });
+
+    test('should project salary and card statements into the checking balance', async () => {
+      const forecast = await balanceService.getForecast(testUser._id, { days: 30, now });
+
+      expect(forecast.accounts).toHaveLength(1);
+      const [account] = forecast.accounts;
+      expect(account.events.map(({ date, type, amount }) => ({ date, type, amount }))).toEqual([
+        { date: '2026-02-02', type: 'card_debit', amount: -6000 },
+        { date: '2026-02-10', type: 'salary', amount: 12000 }
+      ]);
+      expect(account.series).toHaveLength(31);
+      expect(account.series[30]).toEqual({ date: '2026-02-14', balance: 9000 });
+    });
+
+    test('should warn where the balance runs below the threshold', async () => {
+      const forecast = await balanceService.getForecast(testUser._id, { days: 30, now });
+
+      expect(forecast.lowBalanceThreshold).toBe(1000);
+      expect(forecast.warnings).toEqual([
+        expect.objectContaining({
+          accountName: 'Test Checking',
+          from: '2026-02-02',
+          to: '2026-02-09',
+          lowest: { date: '2026-02-02', balance: -3000 }
+        })
+      ]);
+    });
+  });
 });
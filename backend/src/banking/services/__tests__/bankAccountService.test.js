@@ -207,6 +207,55 @@ describe('BankAccountService', () => {
     });
   });
 
+  describe('update', () => {
+    it('merges a partial schedule and reschedules the account', async () => {
+      const account = await BankAccount.create({
+        userId,
+        bankId: mockAccountData.bankId,
+        name: mockAccountData.name,
+        credentials: {
+          username: mockAccountData.username,
+          password: mockAccountData.password
+        },
+        scrapingConfig: { schedule: { frequency: 'daily', timeOfDay: '06:30' } },
+        status: 'active'
+      });
+      const scheduleChanged = jest.fn();
+      bankAccountService.events.on('accountScheduleChanged', scheduleChanged);
+
+      const updated = await bankAccountService.update(account._id, userId, {
+        scrapingConfig: { schedule: { frequency: 'weekly', dayOfWeek: 5 } }
+      });
+
+      expect(updated.scrapingConfig.schedule).toMatchObject({ frequency: 'weekly', dayOfWeek: 5, timeOfDay: '06:30' });
+      expect(scheduleChanged).toHaveBeenCalledWith(expect.objectContaining({ _id: account._id }));
+
+      scheduleChanged.mockClear();
+      await bankAccountService.update(account._id, userId, { name: 'Renamed' });
+      expect(scheduleChanged).not.toHaveBeenCalled();
+    });
+
+    it('lists when each account next syncs', async () => {
+      await BankAccount.create([
+        {
+          userId,
+          bankId: mockAccountData.bankId,
+          name: 'Checking',
+          credentials: { username: mockAccountData.username, password: mockAccountData.password },
+          status: 'active'
+        },
+        { userId, bankId: 'file-import', name: 'Statements', status: 'active' }
+      ]);
+
+      const schedules = await bankAccountService.getSchedules(userId);
+
+      expect(schedules.map(schedule => schedule.name)).toEqual(['Checking', 'Statements']);
+      expect(schedules[0].nextRun).toBeInstanceOf(Date);
+      expect(schedules[0].nextRun.getTime()).toBeGreaterThan(Date.now());
+      expect(schedules[1]).toMatchObject({ nextRun: null, unscheduledReason: 'file_import' });
+    });
+  });
+
   describe('updateStatus', () => {
     let account;
 
@@ -285,6 +334,18 @@ describe('BankAccountService', () => {
       expect(eventListeners.accountActivated).not.toHaveBeenCalled();
     });
 
+    it('refuses to reactivate an account suspended for refused credentials', async () => {
+      account.status = 'needs-reauth';
+      await account.save();
+
+      await expect(bankAccountService.updateStatus(account._id, userId, 'active'))
+        .rejects.toThrow('Enter new credentials to reconnect this account');
+
+      expect(bankScraperService.testConnection).not.toHaveBeenCalled();
+      expect(eventListeners.accountActivated).not.toHaveBeenCalled();
+      expect((await BankAccount.findById(account._id)).status).toBe('needs-reauth');
+    });
+
     it('should return null if account not found', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
       const result = await bankAccountService.updateStatus(nonExistentId, userId, 'active');
@@ -332,6 +393,66 @@ describe('BankAccountService', () => {
       });
     });
 
+    it('resumes an account suspended for refused credentials once the new ones log in', async () => {
+      const account = await BankAccount.create({
+        userId,
+        bankId: mockAccountData.bankId,
+        name: mockAccountData.name,
+        credentials: {
+          username: mockAccountData.username,
+          password: mockAccountData.password
+        },
+        status: 'needs-reauth',
+        lastError: { message: 'Invalid password', date: new Date(), isCredentialsError: true }
+      });
+      bankScraperService.validateCredentials.mockResolvedValueOnce(true);
+      queuedDataSyncService.queueBankAccountSync.mockResolvedValueOnce();
+
+      const updatedAccount = await bankAccountService.updateCredentials(
+        account._id,
+        userId,
+        {
+          username: 'new-user',
+          password: 'new-password'
+        }
+      );
+
+      expect(bankScraperService.validateCredentials).toHaveBeenCalled();
+      expect(updatedAccount.status).toBe('active');
+      expect(updatedAccount.lastError).toBeNull();
+      expect(eventListeners.accountActivated).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: account._id })
+      );
+      expect(queuedDataSyncService.queueBankAccountSync)
+        .toHaveBeenCalledWith(account._id, { priority: 'high' });
+    });
+
+    it('keeps a suspended account suspended when the new credentials are refused too', async () => {
+      const account = await BankAccount.create({
+        userId,
+        bankId: mockAccountData.bankId,
+        name: mockAccountData.name,
+        credentials: {
+          username: mockAccountData.username,
+          password: mockAccountData.password
+        },
+        status: 'needs-reauth'
+      });
+      bankScraperService.validateCredentials.mockRejectedValueOnce(new Error('Invalid credentials'));
+
+      await expect(bankAccountService.updateCredentials(
+        account._id,
+        userId,
+        {
+          username: 'new-user',
+          password: 'wrong-again'
+        }
+      )).rejects.toThrow('Invalid credentials');
+
+      expect(eventListeners.accountActivated).not.toHaveBeenCalled();
+      expect((await BankAccount.findById(account._id)).status).toBe('needs-reauth');
+    });
+
     it('surfaces a required retry queue failure without leaving the account active', async () => {
       const account = await BankAccount.create({
         userId,
@@ -0,0 +1,115 @@
+const {
+  PaymentStatus,
+  cycleOf,
+  lineKind,
+  buildStatements,
+  reconcileStatements
+} = require('../cardStatementBuilder');
+
+let nextId = 0;
+const charge = (fields) => ({
+  _id: `tx-${nextId += 1}`,
+  amount: -100,
+  currency: 'ILS',
+  description: 'SHUFERSAL DEAL',
+  date: new Date(2026, 1, 5, 12),
+  processedDate: new Date(2026, 2, 10),
+  rawData: {},
+  ...fields
+});
+
+describe('cycleOf', () => {
+  it('closes a cycle on the cutoff day and opens it the day after the previous one', () => {
+    const cycle = cycleOf(new Date(2026, 2, 10), 10);
+    expect(cycle).toEqual({ opensOn: new Date(2026, 1, 11), closesOn: new Date(2026, 2, 10) });
+
+    expect(cycleOf(new Date(2026, 2, 11), 10).closesOn).toEqual(new Date(2026, 3, 10));
+    expect(cycleOf(new Date(2026, 1, 20), 31).closesOn).toEqual(new Date(2026, 1, 28));
+  });
+});
+
+describe('lineKind', () => {
+  it('tells installments, foreign fees and refunds from charges', () => {
+    expect(lineKind(charge({}))).toBe('charge');
+    expect(lineKind(charge({ rawData: { type: 'installments', installments: { number: 2, total: 6 } } }))).toBe('installment');
+    expect(lineKind(charge({ description: 'עמלת עסקה במט"ח', amount: -4.5 }))).toBe('foreign_fee');
+    expect(lineKind(charge({ description: 'FOREIGN TRANSACTION FEE' }))).toBe('foreign_fee');
+    expect(lineKind(charge({ amount: 50 }))).toBe('refund');
+  });
+});
+
+describe('buildStatements', () => {
+  const transactions = [
+    charge({ amount: -300 }),
+    charge({ amount: -200, rawData: { type: 'installments', installments: { number: 2, total: 5 } } }),
+    charge({
+      amount: -185,
+      description: 'AMAZON.COM',
+      rawData: { originalCurrency: 'USD', originalAmount: -50, chargedCurrency: 'ILS' }
+    }),
+    charge({ amount: -5.5, description: 'עמלת המרה' }),
+    charge({ amount: 40, description: 'SHUFERSAL REFUND' }),
+    charge({ amount: -120, processedDate: new Date(2026, 1, 10) }),
+    charge({ amount: -30, currency: 'USD', rawData: { chargedCurrency: 'USD' } })
+  ];
+
+  it('groups charges into cycles and totals each kind of line', () => {
+    const [march, february] = buildStatements(transactions, { cutoffDay: 10, currency: 'ILS' });
+
+    expect(march).toMatchObject({
+      billingDate: '2026-03-10',
+      period: { opensOn: '2026-02-11', closesOn: '2026-03-10' },
+      currency: 'ILS',
+      charges: { amount: 485, count: 2 },
+      installments: { amount: 200, count: 1, remaining: 600 },
+      foreignFees: { amount: 5.5, count: 1 },
+      refunds: { amount: -40, count: 1 },
+      foreignCharges: { amount: 185, count: 1 },
+      totalDebit: 650.5,
+      otherCurrencies: [{ currency: 'USD', totalDebit: 30 }]
+    });
+    expect(march.transactions).toHaveLength(6);
+    expect(february).toMatchObject({ billingDate: '2026-02-10', totalDebit: 120 });
+  });
+
+  it('takes the billing date from the charges when the cutoff day was never set', () => {
+    const [statement] = buildStatements([charge({ amount: -80 })], { cutoffDay: 1 });
+
+    expect(statement.billingDate).toBe('2026-03-10');
+    expect(statement.period.closesOn).toBe('2026-04-01');
+  });
+});
+
+describe('reconcileStatements', () => {
+  const statementsFor = () => buildStatements([
+    charge({ amount: -1000 }),
+    charge({ amount: -500, processedDate: new Date(2026, 1, 10) }),
+    charge({ amount: -700, processedDate: new Date(2026, 0, 10) }),
+    charge({ amount: -250, processedDate: new Date(2026, 3, 10) })
+  ], { cutoffDay: 10, currency: 'ILS' });
+
+  it('matches each statement to the debit that paid it and flags a different amount', () => {
+    const statements = reconcileStatements(statementsFor(), [
+      { _id: 'march', accountId: 'checking', date: new Date(2026, 2, 10, 12), amount: -1000.4, description: 'כרטיסי אשראי' },
+      { _id: 'february', accountId: 'checking', date: new Date(2026, 1, 11, 12), amount: -550, description: 'ישראכרט' }
+    ], { now: new Date(2026, 2, 20) });
+
+    const byDate = Object.fromEntries(statements.map(statement => [statement.billingDate, statement.payment]));
+    expect(byDate['2026-03-10']).toMatchObject({ status: PaymentStatus.MATCHED, transactionId: 'march', amount: 1000.4 });
+    expect(byDate['2026-02-10']).toMatchObject({ status: PaymentStatus.MISMATCH, difference: 50 });
+    expect(byDate['2026-01-10']).toEqual({ status: PaymentStatus.NOT_FOUND });
+    expect(byDate['2026-04-10']).toEqual({ status: PaymentStatus.UPCOMING });
+  });
+
+  it("matches a debit that paid all of the login's cards together", () => {
+    const statements = reconcileStatements(statementsFor(), [
+      { _id: 'both', accountId: 'checking', date: new Date(2026, 2, 10, 12), amount: -1800 }
+    ], {
+      providerTotals: new Map([['2026-03-10', { amount: 1800, cards: 2 }]]),
+      now: new Date(2026, 2, 20)
+    });
+
+    expect(statements.find(statement => statement.billingDate === '2026-03-10').payment)
+      .toMatchObject({ status: PaymentStatus.MATCHED, sharedWithCards: 1, difference: 0 });
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  dateInMonth,
+  typicalDay,
+  monthlyDates,
+  projectBalances,
+  findShortfalls,
+  lowestPoint
+} = require('../cashFlowForecast');
+
+const today = new Date(2026, 0, 28);
+
+describe('monthlyDates', () => {
+  it('moves a late day back to the end of a short month', () => {
+    expect(dateInMonth(2026, 1, 31)).toEqual(new Date(2026, 1, 28));
+
+    const dates = monthlyDates(31, today, new Date(2026, 3, 30));
+    expect(dates).toEqual([
+      new Date(2026, 0, 31), new Date(2026, 1, 28), new Date(2026, 2, 31), new Date(2026, 3, 30)
+    ]);
+  });
+
+  it('keeps to the scheduled months and leaves out dates too early', () => {
+    expect(monthlyDates(10, today, new Date(2026, 11, 31), { months: [3, 6, 9] }))
+      .toEqual([new Date(2026, 2, 10), new Date(2026, 5, 10), new Date(2026, 8, 10)]);
+    expect(monthlyDates(1, today, new Date(2026, 3, 30), { notBefore: new Date(2026, 2, 1) }))
+      .toEqual([new Date(2026, 2, 1), new Date(2026, 3, 1)]);
+  });
+});
+
+describe('typicalDay', () => {
+  it('is the median day, so one early payment does not move it', () => {
+    expect(typicalDay([new Date(2026, 0, 10), new Date(2025, 11, 7), new Date(2025, 10, 10)])).toBe(10);
+    expect(typicalDay([])).toBeNull();
+  });
+});
+
+describe('projectBalances', () => {
+  it('adds each day\'s events to the running balance', () => {
+    const series = projectBalances(1000, [
+      { date: new Date(2026, 0, 30), amount: -1500 },
+      { date: new Date(2026, 0, 30), amount: 200 },
+      { date: new Date(2026, 1, 1), amount: 8000 }
+    ], { today, days: 4 });
+
+    expect(series).toEqual([
+      { date: '2026-01-28', balance: 1000 },
+      { date: '2026-01-29', balance: 1000 },
+      { date: '2026-01-30', balance: -300 },
+      { date: '2026-01-31', balance: -300 },
+      { date: '2026-02-01', balance: 7700 }
+    ]);
+  });
+
+  it('expects overdue events on the first projected day', () => {
+    const series = projectBalances(500, [{ date: new Date(2026, 0, 2), amount: -100 }], { today, days: 1 });
+
+    expect(series[1]).toEqual({ date: '2026-01-29', balance: 400 });
+  });
+});
+
+describe('findShortfalls', () => {
+  it('reports each stretch below the threshold with its lowest day', () => {
+    const series = [
+      { date: '2026-01-28', balance: 900 },
+      { date: '2026-01-29', balance: 400 },
+      { date: '2026-01-30', balance: -300 },
+      { date: '2026-01-31', balance: 600 },
+      { date: '2026-02-01', balance: 450 }
+    ];
+
+    expect(findShortfalls(series, 500)).toEqual([
+      { from: '2026-01-29', to: '2026-01-30', lowest: { date: '2026-01-30', balance: -300 } },
+      { from: '2026-02-01', to: '2026-02-01', lowest: { date: '2026-02-01', balance: 450 } }
+    ]);
+    expect(findShortfalls(series, -1000)).toEqual([]);
+    expect(lowestPoint(series)).toEqual({ date: '2026-01-30', balance: -300 });
+  });
+});
@@ -1,12 +1,13 @@
 const mongoose = require('mongoose');
 const creditCardService = require('../creditCardService');
-const { CreditCard, Transaction } = require('../../models');
+const { BankAccount, CreditCard, Transaction } = require('../../models');
 const { User } = require('../../../auth');
 
 describe('CreditCardService', () => {
   beforeEach(async () => {
     await CreditCard.deleteMany({});
     await Transaction.deleteMany({});
+    await BankAccount.deleteMany({});
   });
 
   describe('getUserCreditCards', () => {
@@ -403,6 +404,95 @@ describe('CreditCardService', () => {
     });
   });
 
+  describe('getCreditCardStatements', () => {
+    it('should build statements per cycle and reconcile them with checking debits', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const [checking, cardLogin] = await BankAccount.create([
+        {
+          userId,
+          bankId: 'hapoalim',
+          name: 'Checking',
+          credentials: { username: 'user', password: 'pass' },
+          defaultCurrency: 'ILS'
+        },
+        {
+          userId,
+          bankId: 'isracard',
+          name: 'Isracard',
+          credentials: { username: '123456789', card6Digits: '123456', password: 'pass' },
+          defaultCurrency: 'ILS'
+        }
+      ]);
+      const creditCard = await CreditCard.create({
+        bankAccountId: cardLogin._id,
+        userId,
+        cardNumber: '1234',
+        displayName: 'Isracard 1234',
+        timingFlexibility: { cutoffDay: 10, gracePeriodDays: 0 }
+      });
+
+      const charge = (identifier, amount, processedDate) => ({
+        identifier,
+        accountId: cardLogin._id,
+        creditCardId: creditCard._id,
+        userId,
+        date: new Date(processedDate.getFullYear(), processedDate.getMonth() - 1, 20),
+        processedDate,
+        amount,
+        currency: 'ILS',
+        description: `Purchase ${identifier}`,
+        rawData: { source: 'test' }
+      });
+      await Transaction.create([
+        charge('march-1', -600, new Date(2026, 2, 10)),
+        charge('march-2', -400, new Date(2026, 2, 10)),
+        charge('february-1', -500, new Date(2026, 1, 10)),
+        {
+          identifier: 'march-payment',
+          accountId: checking._id,
+          userId,
+          date: new Date(2026, 2, 10, 12),
+          processedDate: new Date(2026, 2, 10, 12),
+          amount: -1000,
+          currency: 'ILS',
+          description: 'ישראכרט',
+          rawData: { source: 'test' }
+        },
+        {
+          identifier: 'february-payment',
+          accountId: checking._id,
+          userId,
+          date: new Date(2026, 1, 11, 12),
+          processedDate: new Date(2026, 1, 11, 12),
+          amount: -560,
+          currency: 'ILS',
+          description: 'ישראכרט',
+          rawData: { source: 'test' }
+        }
+      ]);
+
+      const result = await creditCardService.getCreditCardStatements(creditCard._id, userId, {
+        now: new Date(2026, 2, 20)
+      });
+
+      expect(result).toMatchObject({ displayName: 'Isracard 1234', cutoffDay: 10 });
+      expect(result.statements.map(statement => [statement.billingDate, statement.totalDebit, statement.payment.status]))
+        .toEqual([
+          ['2026-03-10', 1000, 'matched'],
+          ['2026-02-10', 500, 'mismatch']
+        ]);
+      expect(result.statements[1].payment.difference).toBe(60);
+    });
+
+    it('should return null for non-existent credit card', async () => {
+      const result = await creditCardService.getCreditCardStatements(
+        new mongoose.Types.ObjectId(),
+        new mongoose.Types.ObjectId()
+      );
+      expect(result).toBeNull();
+    });
+  });
+
   describe('error handling', () => {
     it('should handle invalid ObjectId gracefully', async () => {
       const userId = new mongoose.Types.ObjectId();
@@ -5,6 +5,7 @@ const { Category, SubCategory } = require('../../models');
 const llmService = require('../../../shared/services/ai/llmService');
 const { AiBudgetExceededError } = require('../../../shared/services/ai/aiBudget');
 const config = require('../../../shared/config');
+const { User } = require('../../../auth');
 
 const {
   parseAnswer,
@@ -156,6 +157,16 @@ describe('llmCategorizer', () => {
       expect(await llmCategorizer.forUser(userId)).toBeNull();
     });
 
+    it('returns nothing when the user switched it off in their settings', async () => {
+      await seedCategories();
+      await User.collection.insertOne({ _id: userId, settings: { aiCategorization: { enabled: false } } });
+      try {
+        expect(await llmCategorizer.forUser(userId)).toBeNull();
+      } finally {
+        await User.collection.deleteOne({ _id: userId });
+      }
+    });
+
     it('returns nothing for a user with no categories at all', async () => {
       expect(await llmCategorizer.forUser(userId)).toBeNull();
     });
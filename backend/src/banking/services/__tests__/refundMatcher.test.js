@@ -0,0 +1,65 @@
+const { merchantKey, scoreRefundPair, matchRefunds } = require('../refundMatcher');
+
+const purchase = (fields = {}) => ({
+  _id: 'purchase-1',
+  amount: -400,
+  currency: 'ILS',
+  date: '2026-03-03',
+  description: 'ZARA RAMAT AVIV',
+  creditCardId: 'card-1',
+  ...fields
+});
+
+const refund = (fields = {}) => ({
+  _id: 'refund-1',
+  amount: 400,
+  currency: 'ILS',
+  date: '2026-03-12',
+  description: 'זיכוי ZARA RAMAT AVIV',
+  creditCardId: 'card-1',
+  ...fields
+});
+
+describe('refund matcher', () => {
+  it('reduces a card description to its merchant', () => {
+    expect(merchantKey('זיכוי ZARA RAMAT AVIV 123')).toBe('zara ramat aviv');
+    expect(merchantKey('AMAZON.COM REFUND')).toBe('amazon com');
+  });
+
+  it('scores a full refund from the same merchant on the same card highest', () => {
+    const full = scoreRefundPair(refund(), purchase());
+    const partial = scoreRefundPair(refund({ amount: 150 }), purchase());
+
+    expect(full.reasons).toEqual(['same_merchant', 'full_amount', 'same_card']);
+    expect(partial.reasons).toContain('partial_amount');
+    expect(full.score).toBeGreaterThan(partial.score);
+  });
+
+  it('does not pair a refund with a later purchase, another merchant or another currency', () => {
+    expect(scoreRefundPair(refund({ date: '2026-03-01' }), purchase())).toBeNull();
+    expect(scoreRefundPair(refund({ description: 'H&M DIZENGOFF' }), purchase())).toBeNull();
+    expect(scoreRefundPair(refund({ currency: 'USD' }), purchase())).toBeNull();
+    expect(scoreRefundPair(refund({ date: '2026-07-01' }), purchase())).toBeNull();
+  });
+
+  it('matches a merchant name cut short differently', () => {
+    expect(scoreRefundPair(refund({ description: 'ZARA' }), purchase()).reasons).toContain('similar_merchant');
+  });
+
+  it('never refunds more than the purchase across several partial refunds', () => {
+    const first = refund({ _id: 'refund-1', amount: 250, date: '2026-03-10' });
+    const second = refund({ _id: 'refund-2', amount: 200, date: '2026-03-12' });
+
+    const matches = matchRefunds([second, first], [purchase()]);
+
+    expect(matches.map(match => match.refund._id)).toEqual(['refund-1']);
+    expect(matchRefunds([second], [purchase()], { refundedSoFar: new Map([['purchase-1', 250]]) })).toEqual([]);
+  });
+
+  it('picks the most recent of two purchases it could refund', () => {
+    const older = purchase({ _id: 'older', date: '2026-02-01' });
+    const recent = purchase({ _id: 'recent', date: '2026-03-01' });
+
+    expect(matchRefunds([refund()], [older, recent])[0].purchase._id).toBe('recent');
+  });
+});
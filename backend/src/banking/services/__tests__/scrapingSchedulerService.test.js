@@ -41,6 +41,7 @@ const transactionService = require('../transactionService');
 const { User } = require('../../../auth');
 const { BankAccount } = require('../../models');
 const logger = require('../../../shared/utils/logger');
+const { jitterMs } = require('../../utils/scrapingSchedule');
 
 let testUser;
 
@@ -127,6 +128,51 @@ describe('ScrapingSchedulerService', () => {
     });
   });
 
+  describe('per-account schedules', () => {
+    const cron = require('node-cron');
+    const queuedDataSyncService = require('../queuedDataSyncService');
+
+    it('runs on the account\'s own schedule and queues the sync after its delay', async () => {
+      const account = {
+        _id: '64f000000000000000000001',
+        bankId: 'hapoalim',
+        status: 'active',
+        isOtpBank: () => false,
+        scrapingConfig: { schedule: { frequency: 'weekly', dayOfWeek: 3, timeOfDay: '06:30' } }
+      };
+      queuedDataSyncService.queueBankAccountSync.mockResolvedValue({ totalJobs: 3 });
+
+      scrapingSchedulerService.scheduleAccount(account);
+      await mockCronCallback();
+
+      expect(cron.schedule).toHaveBeenCalledWith('30 6 * * 3', expect.any(Function));
+      expect(queuedDataSyncService.queueBankAccountSync).toHaveBeenCalledWith(account._id, expect.objectContaining({
+        reason: 'scheduled',
+        delay: jitterMs(account._id)
+      }));
+    });
+
+    it('replaces the job when an account is rescheduled', () => {
+      const account = {
+        _id: '2',
+        bankId: 'leumi',
+        isOtpBank: () => false,
+        scrapingConfig: { schedule: { frequency: 'daily', timeOfDay: '03:00' } }
+      };
+      mockStop.mockClear();
+
+      scrapingSchedulerService.scheduleAccount(account);
+      scrapingSchedulerService.scheduleAccount({
+        ...account,
+        scrapingConfig: { schedule: { frequency: 'monthly', dayOfMonth: 1, timeOfDay: '03:00' } }
+      });
+
+      expect(mockStop).toHaveBeenCalledTimes(1);
+      expect(scrapingSchedulerService.jobs.size).toBe(1);
+      expect(cron.schedule).toHaveBeenLastCalledWith('0 3 1 * *', expect.any(Function));
+    });
+  });
+
   describe('stopAccount', () => {
     it('should stop and remove a specific job', () => {
       const mockAccount = { 
@@ -560,6 +560,73 @@ describe('transactionCategorizationService', () => {
     });
   });
 
+  describe('user rules', () => {
+    const { TransactionRule } = require('../../../rules/models');
+    let subCategory;
+
+    beforeEach(async () => {
+      subCategory = await SubCategory.create({
+        name: 'Coffee', parentCategory: category._id, userId: user._id, keywords: []
+      });
+      jest.spyOn(transactionClassifier, 'forUser').mockResolvedValue(null);
+    });
+
+    const addRule = (fields) => TransactionRule.create({
+      userId: user._id,
+      name: 'Coffee',
+      conditions: { descriptionPattern: 'aroma' },
+      actions: { categoryId: category._id, subCategoryId: subCategory._id },
+      ...fields
+    });
+
+    it('categorises by rule before the cascade is asked', async () => {
+      await addRule();
+      const attempt = jest.spyOn(categoryMappingService, 'attemptAutoCategorization');
+      const transaction = await makeTransaction('AROMA TEL AVIV');
+
+      const results = await transactionCategorizationService.processBatch({
+        userId: user._id,
+        transactionIds: [transaction._id]
+      });
+
+      expect(attempt).not.toHaveBeenCalled();
+      expect(results).toEqual({ categorized: 1, uncategorized: 0, failed: 0 });
+      const saved = await Transaction.findById(transaction._id);
+      expect(saved.subCategory).toEqual(subCategory._id);
+      expect(saved.categorizationMethod).toBe(CategorizationMethod.RULE);
+      expect((await TransactionRule.findOne()).matchCount).toBe(1);
+    });
+
+    it('still runs the cascade after a rule that only tags', async () => {
+      const { Tag } = require('../../models');
+      const tag = await Tag.create({ name: 'work', userId: user._id });
+      await addRule({ actions: { tagIds: [tag._id] } });
+      const attempt = jest.spyOn(categoryMappingService, 'attemptAutoCategorization').mockResolvedValue(null);
+      const transaction = await makeTransaction('AROMA TEL AVIV');
+
+      await transactionCategorizationService.processBatch({
+        userId: user._id,
+        transactionIds: [transaction._id]
+      });
+
+      expect(attempt).toHaveBeenCalledTimes(1);
+      expect((await Transaction.findById(transaction._id)).tags).toEqual([tag._id]);
+    });
+
+    it('leaves transactions no rule matches to the cascade', async () => {
+      await addRule();
+      const attempt = jest.spyOn(categoryMappingService, 'attemptAutoCategorization').mockResolvedValue(null);
+      const transaction = await makeTransaction('Some Shop');
+
+      await transactionCategorizationService.processBatch({
+        userId: user._id,
+        transactionIds: [transaction._id]
+      });
+
+      expect(attempt).toHaveBeenCalledTimes(1);
+    });
+  });
+
   // A transaction cannot be matched to a project until it has a category to
   // match a budget line with, so the end of a categorisation run is the first
   // moment the question can be asked.
@@ -2,9 +2,9 @@ const mongoose = require('mongoose');
 const transactionService = require('../transactionService');
 const transactionCategorizationService = require('../transactionCategorizationService');
 const { User } = require('../../../auth');
-const { Transaction, Category, SubCategory, ManualCategorized } = require('../../models');
+const { Transaction, Category, SubCategory, ManualCategorized, Tag } = require('../../models');
 const { createTestUser } = require('../../../test/testUtils');
-const { TransactionType, CategorizationMethod } = require('../../constants/enums');
+const { TransactionType, CategorizationMethod, TransactionStatus } = require('../../constants/enums');
 
 describe('TransactionService', () => {
   let user, category, subCategory, accountId;
@@ -212,10 +212,86 @@ describe('TransactionService', () => {
       const result = await transactionService.processScrapedTransactions(accounts, mockBankAccount);
 
       expect(result.mostRecentTransactionDate).toEqual(completedDate);
-      expect(result.skippedPending).toBe(1);
+      expect(result.newPending).toBe(1);
       expect(result.newTransactions).toBe(1);
     });
 
+    describe('pending charges', () => {
+      const DAY_MS = 24 * 60 * 60 * 1000;
+
+      it('keeps a pending charge and settles it in place when the bank reports it again', async () => {
+        const authorised = new Date(Date.now() - 2 * DAY_MS);
+        await transactionService.processScrapedTransactions([{
+          txns: [{ date: authorised, chargedAmount: -100, originalAmount: -100, description: 'WOLT', status: 'pending' }]
+        }], mockBankAccount);
+
+        const pending = await Transaction.findOne({ accountId: mockBankAccount._id });
+        expect(pending.status).toBe(TransactionStatus.PENDING);
+        expect(pending.processedDate).toEqual(authorised);
+
+        const tag = await Tag.create({ name: 'friday', userId: user._id });
+        pending.category = category._id;
+        pending.subCategory = subCategory._id;
+        pending.tags = [tag._id];
+        await pending.save();
+
+        const chargeDate = new Date(Date.now() + 20 * DAY_MS);
+        const result = await transactionService.processScrapedTransactions([{
+          txns: [{
+            identifier: 'settled-1',
+            date: new Date(authorised.getTime() + DAY_MS),
+            processedDate: chargeDate,
+            chargedAmount: -104.5,
+            description: 'WOLT TEL AVIV',
+            status: 'completed'
+          }]
+        }], mockBankAccount);
+
+        expect(result).toMatchObject({ newTransactions: 0, settledPending: 1, removedPending: 0 });
+        const [settled] = await Transaction.find({ accountId: mockBankAccount._id });
+        expect(String(settled._id)).toBe(String(pending._id));
+        expect(settled).toMatchObject({
+          status: TransactionStatus.VERIFIED,
+          identifier: 'settled-1',
+          amount: -104.5,
+          description: 'WOLT TEL AVIV'
+        });
+        expect(settled.processedDate).toEqual(chargeDate);
+        expect(String(settled.category)).toBe(String(category._id));
+        expect(settled.tags.map(String)).toEqual([String(tag._id)]);
+      });
+
+      it('does not mistake a different charge for the pending one', async () => {
+        await transactionService.processScrapedTransactions([{
+          txns: [{ date: new Date(), chargedAmount: -100, description: 'WOLT', status: 'pending' }]
+        }], mockBankAccount);
+
+        const result = await transactionService.processScrapedTransactions([{
+          txns: [
+            { identifier: 'other-1', date: new Date(), chargedAmount: -300, description: 'WOLT', status: 'completed' },
+            { identifier: 'other-2', date: new Date(), chargedAmount: -100, description: 'SUPER PHARM', status: 'completed' },
+            { date: new Date(), chargedAmount: -100, description: 'WOLT', status: 'pending' }
+          ]
+        }], mockBankAccount);
+
+        expect(result).toMatchObject({ newTransactions: 2, settledPending: 0, duplicates: 1 });
+        expect(await Transaction.countDocuments({ accountId: mockBankAccount._id, status: TransactionStatus.PENDING })).toBe(1);
+      });
+
+      it('removes a pending charge the bank stopped reporting', async () => {
+        await transactionService.processScrapedTransactions([{
+          txns: [{ date: new Date(), chargedAmount: -80, description: 'HOTEL DEPOSIT', status: 'pending' }]
+        }], mockBankAccount);
+
+        const result = await transactionService.processScrapedTransactions([{
+          txns: [{ identifier: 'older', date: new Date(Date.now() - 3 * DAY_MS), chargedAmount: -20, description: 'CAFE' }]
+        }], mockBankAccount);
+
+        expect(result.removedPending).toBe(1);
+        expect(await Transaction.countDocuments({ accountId: mockBankAccount._id, status: TransactionStatus.PENDING })).toBe(0);
+      });
+    });
+
     // The queue is fed only by newly-saved transactions, so a backlog the AI
     // budget cut off on an earlier run would never be looked at again. A scrape
     // is when the allowance has rolled over and the work is already batched.
@@ -0,0 +1,85 @@
+const {
+  AUTO_MATCH_CONFIDENCE,
+  scoreTransferPair,
+  pairTransfers
+} = require('../transferMatcher');
+
+const leg = (fields) => ({
+  _id: fields._id,
+  accountId: 'checking',
+  amount: -1000,
+  currency: 'ILS',
+  date: new Date('2026-03-10T08:00:00Z'),
+  description: '',
+  ...fields,
+  baseAmount: fields.baseAmount ?? (fields.currency && fields.currency !== 'ILS' ? null : fields.amount ?? -1000)
+});
+
+describe('scoreTransferPair', () => {
+  it('is sure of an exact amount moved the same day under a transfer description', () => {
+    const score = scoreTransferPair(
+      leg({ _id: 'out', amount: -2500, description: 'העברה לחשבון חיסכון' }),
+      leg({ _id: 'in', accountId: 'savings', amount: 2500, description: 'Deposit' })
+    );
+
+    expect(score.confidence).toBe(100);
+    expect(score.reasons).toEqual(['exact_amount', 'same_day', 'transfer_description']);
+  });
+
+  it('compares converted amounts across currencies', () => {
+    const score = scoreTransferPair(
+      leg({ _id: 'out', accountId: 'mercury', amount: -1000, currency: 'USD', baseAmount: -3700, description: 'Wire to Leumi' }),
+      leg({ _id: 'in', amount: 3650, date: new Date('2026-03-12T08:00:00Z') })
+    );
+
+    expect(score.reasons).toEqual(['converted_amount', 'within_days', 'transfer_description']);
+    expect(score.confidence).toBe(70);
+  });
+
+  it('leaves out legs in one account, far apart or of different amounts', () => {
+    const out = leg({ _id: 'out', amount: -500, description: 'transfer' });
+
+    expect(scoreTransferPair(out, leg({ _id: 'in', amount: 500 }))).toBeNull();
+    expect(scoreTransferPair(out, leg({ _id: 'in', accountId: 'savings', amount: 500, date: new Date('2026-03-20') }))).toBeNull();
+    expect(scoreTransferPair(out, leg({ _id: 'in', accountId: 'savings', amount: 560 }))).toBeNull();
+    expect(scoreTransferPair(
+      leg({ _id: 'out', amount: -500, currency: 'USD' }),
+      leg({ _id: 'in', accountId: 'savings', amount: 1800 })
+    )).toBeNull();
+  });
+});
+
+describe('pairTransfers', () => {
+  it('uses each transaction once, best pair first', () => {
+    const pairs = pairTransfers([
+      leg({ _id: 'out', amount: -300, description: 'העברה' }),
+      leg({ _id: 'next-day', accountId: 'savings', amount: 300, date: new Date('2026-03-11T08:00:00Z') }),
+      leg({ _id: 'same-day', accountId: 'savings', amount: 300 })
+    ]);
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].incoming._id).toBe('same-day');
+    expect(pairs[0].confidence).toBeGreaterThanOrEqual(AUTO_MATCH_CONFIDENCE);
+  });
+
+  it('sends a pair with an equally good rival to review', () => {
+    const pairs = pairTransfers([
+      leg({ _id: 'out', amount: -300, description: 'העברה' }),
+      leg({ _id: 'savings', accountId: 'savings', amount: 300 }),
+      leg({ _id: 'usd', accountId: 'foreign', amount: 300 })
+    ]);
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].confidence).toBeLessThan(AUTO_MATCH_CONFIDENCE);
+    expect(pairs[0].reasons).toContain('several_candidates');
+  });
+
+  it('does not offer a pair the user already turned down', () => {
+    const pairs = pairTransfers([
+      leg({ _id: 'out', amount: -300, description: 'העברה' }),
+      leg({ _id: 'in', accountId: 'savings', amount: 300 })
+    ], { knownPairs: new Set(['out:in']) });
+
+    expect(pairs).toEqual([]);
+  });
+});
@@ -1,7 +1,41 @@
-const { BalanceSnapshot, BankAccount } = require('../models');
+const { BalanceSnapshot, BankAccount, CreditCard, Transaction } = require('../models');
 const logger = require('../../shared/utils/logger');
 const currencyExchangeService = require('../../foreign-currency/services/currencyExchangeService');
 const User = require('../../auth/models/User');
+const BankClassificationService = require('./bankClassificationService');
+const { likelyPaymentTextQuery } = require('./creditCardPaymentMatcher');
+const { ForecastEventType } = require('../constants/enums');
+const {
+  FORECAST_DAYS,
+  MAX_FORECAST_DAYS,
+  dayKey,
+  startOfDay,
+  addDays,
+  dateInMonth,
+  typicalDay,
+  monthlyDates,
+  projectBalances,
+  findShortfalls,
+  lowestPoint
+} = require('./cashFlowForecast');
+
+// How far back salary and card statements are read to tell what is usual
+const SALARY_LOOKBACK_MONTHS = 6;
+const SALARY_AVERAGE_OF = 3;
+const CARD_AVERAGE_MONTHS = 3;
+const CARD_PAYMENT_LOOKBACK_DAYS = 90;
+
+const monthKey = (date) => dayKey(date).slice(0, 7);
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) best = value;
+  }
+  return best;
+};
 
 class BalanceService {
   /**
@@ -166,6 +200,366 @@ class BalanceService {
 
     return Array.from(dateMap.values()).sort((a, b) => new Date(a.date) - new Date(b.date));
   }
+
+  /**
+   * Projects each checking account's balance for the coming days from its
+   * current balance and what is known to be coming: salary on its usual day,
+   * approved recurring patterns in their scheduled months, card statements,
+   * and real-estate installments falling due. RSU vests are listed alongside
+   * rather than added, since the shares land with the broker and not in the
+   * account. Days below the user's low-balance threshold come back as
+   * warnings.
+   *
+   * Card statements and installments are paid from the checking account that
+   * has been paying the cards, or failing that the one with most money in it.
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {number} [options.days] - Up to MAX_FORECAST_DAYS
+   * @param {Date} [options.now]
+   */
+  async getForecast(userId, { days = FORECAST_DAYS, now = new Date() } = {}) {
+    const settingsService = require('../../settings/services/settingsService');
+    const horizonDays = Math.min(Math.max(1, days), MAX_FORECAST_DAYS);
+    const today = startOfDay(now);
+    const tomorrow = addDays(today, 1);
+    const horizon = addDays(today, horizonDays);
+
+    const [accounts, settings] = await Promise.all([
+      BankAccount.find({ userId, currentBalance: { $ne: null } })
+        .select('name bankId defaultCurrency currentBalance lastBalanceUpdate')
+        .sort({ createdAt: 1 })
+        .lean(),
+      settingsService.getForUser(userId)
+    ]);
+    const displayCurrency = settings.displayCurrency;
+    const checking = accounts.filter(account => !BankClassificationService.isCreditCardProvider(account.bankId));
+
+    const rates = new Map();
+    const convert = async (amount, from, to) => {
+      if (!from || from === to) return amount;
+      const pair = `${from}:${to}`;
+      if (!rates.has(pair)) rates.set(pair, await this.convertToTargetCurrency(1, from, to));
+      return amount * rates.get(pair);
+    };
+
+    const window = { today, horizon };
+    const payingAccount = await this.findPayingAccount(userId, checking, displayCurrency, convert, today);
+    const [salary, recurring, cardDebits, installments, rsuVests] = payingAccount
+      ? await Promise.all([
+        this.forecastSalary(userId, checking, window),
+        this.forecastRecurring(userId, checking, payingAccount, window),
+        this.forecastCardDebits(userId, payingAccount, convert, window),
+        this.forecastInstallments(userId, payingAccount, convert, window),
+        this.upcomingVests(userId, window)
+      ])
+      : [[], [], [], [], await this.upcomingVests(userId, window)];
+    const events = [...salary, ...recurring, ...cardDebits, ...installments];
+
+    const warnings = [];
+    const projected = [];
+    for (const account of checking) {
+      const accountId = account._id.toString();
+      const currency = account.defaultCurrency || displayCurrency;
+      const accountEvents = [];
+      for (const { accountId: omitted, ...event } of events.filter(item => item.accountId === accountId)) {
+        const amount = await convert(event.amount, event.currency, currency);
+        accountEvents.push({ ...event, amount: Math.round(amount * 100) / 100, currency });
+      }
+      accountEvents.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      const threshold = Math.round(await convert(settings.lowBalanceThreshold, displayCurrency, currency) * 100) / 100;
+      const series = projectBalances(account.currentBalance, accountEvents, { today, days: horizonDays });
+      const shortfalls = findShortfalls(series, threshold);
+      for (const shortfall of shortfalls) {
+        warnings.push({ accountId, accountName: account.name, currency, threshold, ...shortfall });
+      }
+
+      projected.push({
+        accountId,
+        name: account.name,
+        bankId: account.bankId,
+        currency,
+        startingBalance: account.currentBalance,
+        balanceUpdatedAt: account.lastBalanceUpdate || null,
+        threshold,
+        series,
+        // Overdue events are shown where projectBalances counts them
+        events: accountEvents.map(event => ({ ...event, date: dayKey(new Date(event.date) < tomorrow ? tomorrow : event.date) })),
+        lowest: lowestPoint(series),
+        shortfalls
+      });
+    }
+
+    warnings.sort((a, b) => a.from.localeCompare(b.from));
+    return {
+      generatedAt: now,
+      days: horizonDays,
+      displayCurrency,
+      lowBalanceThreshold: settings.lowBalanceThreshold,
+      accounts: projected,
+      rsuVests,
+      warnings
+    };
+  }
+
+  /**
+   * The checking account card statements come out of: the one most card
+   * payments left lately, else the one with the largest balance.
+   */
+  async findPayingAccount(userId, checking, displayCurrency, convert, today) {
+    if (checking.length === 0) return null;
+
+    const payments = await Transaction.find({
+      userId,
+      accountId: { $in: checking.map(account => account._id) },
+      processedDate: { $gte: addDays(today, -CARD_PAYMENT_LOOKBACK_DAYS) },
+      ...likelyPaymentTextQuery()
+    }).select('accountId').lean();
+    const paying = mostCommon(payments.map(payment => payment.accountId.toString()));
+    if (paying) return checking.find(account => account._id.toString() === paying);
+
+    let largest = null;
+    let largestBalance = -Infinity;
+    for (const account of checking) {
+      const balance = await convert(account.currentBalance, account.defaultCurrency || displayCurrency, displayCurrency);
+      if (balance > largestBalance) {
+        largest = account;
+        largestBalance = balance;
+      }
+    }
+    return largest;
+  }
+
+  /**
+   * Salary into each checking account it has been arriving in, on its usual
+   * day at the average of the latest payslips. A month whose salary came
+   * early is not paid twice.
+   */
+  async forecastSalary(userId, checking, { today, horizon }) {
+    const { findSalaryCategory, SALARY_EARLY_DAYS } = require('../../monthly-budgets/services/salaryAttributionHelper');
+    const salaryCategory = await findSalaryCategory(userId);
+    if (!salaryCategory) return [];
+
+    const since = new Date(today);
+    since.setMonth(since.getMonth() - SALARY_LOOKBACK_MONTHS);
+    const payslips = await Transaction.find({
+      userId,
+      category: salaryCategory._id,
+      accountId: { $in: checking.map(account => account._id) },
+      amount: { $gt: 0 },
+      processedDate: { $gte: since }
+    }).select('accountId amount currency processedDate').sort({ processedDate: 1 }).lean();
+
+    const byAccount = new Map();
+    for (const payslip of payslips) {
+      const key = payslip.accountId.toString();
+      if (!byAccount.has(key)) byAccount.set(key, []);
+      byAccount.get(key).push(payslip);
+    }
+
+    const events = [];
+    for (const [accountId, received] of byAccount) {
+      const latest = received.slice(-SALARY_AVERAGE_OF);
+      const amount = latest.reduce((sum, payslip) => sum + payslip.amount, 0) / latest.length;
+      const last = received[received.length - 1];
+      const day = typicalDay(received.map(payslip => payslip.processedDate));
+      // The next salary is a month after the last one, give or take its
+      // coming early at either end
+      const notBefore = addDays(startOfDay(last.processedDate), 30 - 2 * SALARY_EARLY_DAYS);
+      for (const date of monthlyDates(day, today, horizon, { notBefore })) {
+        events.push({
+          accountId,
+          date,
+          amount,
+          currency: last.currency,
+          type: ForecastEventType.SALARY,
+          description: salaryCategory.name
+        });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Approved recurring patterns in their scheduled months, on the day their
+   * sample transactions fell, from the account they were paid from. Patterns
+   * paid by card are left to the card statement, and salary to forecastSalary.
+   */
+  async forecastRecurring(userId, checking, payingAccount, { today, horizon }) {
+    const { TransactionPattern } = require('../../monthly-budgets/models');
+    const patterns = await TransactionPattern.getActivePatterns(userId);
+    if (patterns.length === 0) return [];
+
+    const sampleIds = patterns.flatMap(pattern =>
+      (pattern.detectionData?.sampleTransactions || []).map(sample => sample.transactionId).filter(Boolean));
+    const samples = await Transaction.find({ _id: { $in: sampleIds }, userId })
+      .select('accountId creditCardId')
+      .lean();
+    const sampleById = new Map(samples.map(sample => [sample._id.toString(), sample]));
+    const checkingIds = new Set(checking.map(account => account._id.toString()));
+
+    const events = [];
+    for (const pattern of patterns) {
+      const category = pattern.transactionIdentifier.categoryId;
+      if (category?.name === 'Salary' && category?.type === 'Income') continue;
+
+      const patternSamples = pattern.detectionData?.sampleTransactions || [];
+      const found = patternSamples
+        .map(sample => sampleById.get(String(sample.transactionId)))
+        .filter(Boolean);
+      if (found.length > 0 && found.filter(sample => sample.creditCardId).length * 2 > found.length) continue;
+
+      const sampleAccount = mostCommon(found.map(sample => sample.accountId.toString()));
+      const accountId = checkingIds.has(sampleAccount) ? sampleAccount : payingAccount._id.toString();
+      const day = typicalDay(patternSamples.map(sample => sample.date).filter(Boolean)) || 1;
+      const sign = category?.type === 'Income' ? 1 : -1;
+
+      for (const date of monthlyDates(day, today, horizon, { months: pattern.scheduledMonths })) {
+        events.push({
+          accountId,
+          date,
+          amount: sign * pattern.averageAmount,
+          currency: null,
+          type: ForecastEventType.RECURRING,
+          description: pattern.transactionIdentifier.description,
+          patternId: pattern._id.toString()
+        });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Each active card's statements, debited from the paying account. A
+   * statement already scraped is charged on its billing date; one still
+   * open keeps growing, so it is never taken as smaller than a usual month.
+   * Months beyond what was scraped are a usual month on the card's cutoff day.
+   */
+  async forecastCardDebits(userId, payingAccount, convert, { today, horizon }) {
+    const cards = await CreditCard.find({ userId, isActive: true })
+      .select('displayName timingFlexibility')
+      .lean();
+    if (cards.length === 0) return [];
+
+    const tomorrow = addDays(today, 1);
+    const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+    const historyStart = new Date(today.getFullYear(), today.getMonth() - CARD_AVERAGE_MONTHS, 1);
+    const charges = await Transaction.find({
+      userId,
+      creditCardId: { $in: cards.map(card => card._id) },
+      processedDate: { $gte: historyStart }
+    }).select('creditCardId amount currency processedDate').lean();
+
+    const paymentCurrency = payingAccount.defaultCurrency || 'ILS';
+    const events = [];
+    for (const card of cards) {
+      const cardCharges = charges.filter(charge => String(charge.creditCardId) === card._id.toString());
+      let history = 0;
+      const billed = new Set();
+      const upcoming = new Map();
+      for (const charge of cardCharges) {
+        const amount = await convert(charge.amount, charge.currency, paymentCurrency);
+        const billingDate = new Date(charge.processedDate);
+        if (billingDate < monthStart) {
+          history += amount;
+        } else if (billingDate < tomorrow) {
+          billed.add(monthKey(billingDate));
+        } else {
+          const key = monthKey(billingDate);
+          if (!upcoming.has(key)) upcoming.set(key, { amount: 0, dates: [] });
+          upcoming.get(key).amount += amount;
+          upcoming.get(key).dates.push(billingDate);
+        }
+      }
+      const usual = Math.min(history / CARD_AVERAGE_MONTHS, 0);
+
+      const cutoffDay = card.timingFlexibility?.cutoffDay || 1;
+      const months = new Set(monthlyDates(cutoffDay, today, horizon).map(monthKey));
+      for (const key of upcoming.keys()) months.add(key);
+      for (const key of months) {
+        const known = upcoming.get(key);
+        if (billed.has(key) && !known) continue;
+
+        const [year, month] = key.split('-').map(Number);
+        const date = known ? dateInMonth(year, month - 1, typicalDay(known.dates)) : dateInMonth(year, month - 1, cutoffDay);
+        if (date > horizon) continue;
+        const amount = known && billed.has(key) ? known.amount : Math.min(known?.amount || 0, usual);
+        if (amount === 0) continue;
+
+        events.push({
+          accountId: payingAccount._id.toString(),
+          date,
+          amount,
+          currency: paymentCurrency,
+          type: ForecastEventType.CARD_DEBIT,
+          description: card.displayName,
+          creditCardId: card._id.toString(),
+          estimated: !known
+        });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Unpaid installments of active real-estate investments falling due, paid
+   * from the paying account. Overdue ones are expected straight away.
+   */
+  async forecastInstallments(userId, payingAccount, convert, { horizon }) {
+    const { RealEstateInvestment } = require('../../real-estate/models');
+    const investments = await RealEstateInvestment.find({ userId, status: 'active' })
+      .select('name currency installments')
+      .lean();
+
+    const events = [];
+    for (const investment of investments) {
+      for (const installment of investment.installments || []) {
+        if (!['pending', 'overdue'].includes(installment.status)) continue;
+        if (new Date(installment.dueDate) > horizon) continue;
+        events.push({
+          accountId: payingAccount._id.toString(),
+          date: installment.dueDate,
+          amount: -installment.amount,
+          currency: installment.currency || investment.currency,
+          type: ForecastEventType.INSTALLMENT,
+          description: `${investment.name}: ${installment.description}`,
+          investmentId: investment._id.toString()
+        });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * RSU vests in the forecast window, valued at the grant's current price,
+   * which like every RSU price is in dollars.
+   */
+  async upcomingVests(userId, { today, horizon }) {
+    const { RSUGrant } = require('../../rsu');
+    const grants = await RSUGrant.find({
+      userId,
+      status: 'active',
+      vestingSchedule: { $elemMatch: { vestDate: { $gt: today, $lte: horizon }, vested: { $ne: true } } }
+    }).select('stockSymbol name currentPrice vestingSchedule').lean();
+
+    const vests = [];
+    for (const grant of grants) {
+      for (const vest of grant.vestingSchedule) {
+        if (vest.vested || vest.vestDate <= today || vest.vestDate > horizon) continue;
+        vests.push({
+          date: dayKey(vest.vestDate),
+          grantId: grant._id.toString(),
+          stockSymbol: grant.stockSymbol,
+          name: grant.name || null,
+          shares: vest.shares,
+          estimatedValue: Math.round(vest.shares * (grant.currentPrice || 0) * 100) / 100,
+          currency: 'USD'
+        });
+      }
+    }
+    return vests.sort((a, b) => a.date.localeCompare(b.date));
+  }
 }
 
 module.exports = new BalanceService();
@@ -1,15 +1,17 @@
-const { BankAccount, Transaction } = require('../models');
+const { BankAccount, SyncRun, Transaction } = require('../models');
 const bankScraperService = require('./bankScraperService');
 const queuedDataSyncService = require('./queuedDataSyncService');
 const logger = require('../../shared/utils/logger');
 const bankAccountEvents = require('./bankAccountEvents');
 const ForeignCurrencyAccount = require('../../foreign-currency/models/ForeignCurrencyAccount');
-const { OTP_BANKS } = require('../constants/enums');
+const { BankAccountStatus, OTP_BANKS } = require('../constants/enums');
+const { settingsService } = require('../../settings');
 const {
   buildScraperCredentials,
   isValidCard6Digits,
   requiresCard6Digits
 } = require('../utils/scraperCredentials');
+const { nextRunFor, unscheduledReason } = require('../utils/scrapingSchedule');
 
 const normalizeAccountName = (name) => {
   if (typeof name !== 'string' || !name.trim()) {
@@ -31,7 +33,7 @@ class BankAccountService {
     flexToken,
     queryId,
     phoneOrEmail
-  }, { deferCredentialValidation = false } = {}) {
+  }, { deferCredentialValidation = false, connectedBy = null } = {}) {
     name = normalizeAccountName(name);
     const duplicateName = await BankAccount.exists({
       userId,
@@ -74,9 +76,11 @@ class BankAccountService {
 
     const bankAccount = new BankAccount({
       userId,
+      connectedBy,
       bankId,
       name,
       credentials,
+      scrapingConfig: { schedule: await settingsService.getDefaultScrapingSchedule(userId) },
       defaultCurrency: bankId === 'mercury' ? 'USD' : bankId === 'ibkr' ? 'USD' : 'ILS',
       status: 'active'
     });
@@ -100,12 +104,17 @@ class BankAccountService {
     }
 
     await BankAccount.deleteOne({ _id: accountId });
+    await SyncRun.deleteMany({ bankAccountId: accountId });
     return true;
   }
 
   async updateStatus(accountId, userId, status) {
     const bankAccount = await BankAccount.findOne({ _id: accountId, userId });
     if (!bankAccount) return null;
+    if (status === 'active' && bankAccount.status === BankAccountStatus.NEEDS_REAUTH) {
+      // Testing the refused login again is what gets users locked out
+      throw new Error('Enter new credentials to reconnect this account');
+    }
     const wasActive = bankAccount.status === 'active';
     bankAccount.status = status;
 
@@ -150,7 +159,8 @@ class BankAccountService {
     queryId
   }, {
     requireQueuedSync = false,
-    deferCredentialValidation = false
+    deferCredentialValidation = false,
+    connectedBy = null
   } = {}) {
     const bankAccount = await BankAccount.findOne({ _id: accountId, userId });
     if (!bankAccount) {
@@ -185,11 +195,19 @@ class BankAccountService {
       };
     }
 
+    // The whole credentials object was replaced above, so every secret is
+    // re-encrypted with the key of the member who entered it.
+    bankAccount.connectedBy = connectedBy;
+
     // Clear any previous errors
     bankAccount.lastError = null;
 
+    // An account suspended for refused credentials resumes once the new ones
+    // have logged in (API-token accounts are tried by the sync queued below)
+    const resumed = bankAccount.status === BankAccountStatus.NEEDS_REAUTH;
+
     // If account was in error status, reactivate it
-    if (bankAccount.status === 'error') {
+    if (bankAccount.status === 'error' || resumed) {
       bankAccount.status = 'active';
     }
 
@@ -197,6 +215,10 @@ class BankAccountService {
 
     logger.info(`Credentials updated successfully for bank account ${accountId}`);
 
+    if (resumed) {
+      bankAccountEvents.emitAccountActivated(bankAccount);
+    }
+
     // Automatically queue scraping to verify credentials and get latest data
     try {
       await queuedDataSyncService.queueBankAccountSync(accountId, { priority: 'high' });
@@ -222,6 +244,40 @@ class BankAccountService {
     return bankAccount;
   }
 
+  /**
+   * Drops the credentials a household member entered on the household's
+   * accounts, when that member leaves. They were encrypted with the member's
+   * own key and are theirs to take; the accounts and their history stay, but
+   * are disabled until someone else enters credentials.
+   */
+  async releaseCredentials(userId, memberId) {
+    const bankAccounts = await BankAccount.find({ userId, connectedBy: memberId });
+
+    for (const bankAccount of bankAccounts) {
+      // Bypasses validation, which would insist on the credentials being removed
+      await BankAccount.updateOne({ _id: bankAccount._id }, {
+        $unset: { credentials: 1 },
+        $set: {
+          connectedBy: null,
+          status: 'disabled',
+          lastError: {
+            message: 'The member who connected this account left the household. Update the credentials to resume syncing.',
+            date: new Date()
+          }
+        }
+      });
+
+      if (bankAccount.status === 'active') {
+        bankAccountEvents.emit('accountDeactivated', { accountId: bankAccount._id, bankAccount });
+      }
+    }
+
+    if (bankAccounts.length > 0) {
+      logger.info(`Released credentials of ${bankAccounts.length} bank account(s) connected by departing member ${memberId}`);
+    }
+    return bankAccounts.length;
+  }
+
   async update(accountId, userId, updates) {
     const bankAccount = await BankAccount.findOne({ _id: accountId, userId });
     if (!bankAccount) {
@@ -249,6 +305,20 @@ class BankAccountService {
       }
     }
 
+    const scheduleBefore = JSON.stringify(bankAccount.scrapingConfig.schedule);
+
+    // A partial scrapingConfig only changes the fields it names
+    if (Object.prototype.hasOwnProperty.call(updates, 'scrapingConfig')) {
+      if (typeof updates.scrapingConfig !== 'object' || updates.scrapingConfig === null) {
+        throw new Error('scrapingConfig must be an object');
+      }
+      const current = bankAccount.toObject().scrapingConfig;
+      updates.scrapingConfig = {
+        schedule: { ...current.schedule, ...updates.scrapingConfig.schedule },
+        options: { ...current.options, ...updates.scrapingConfig.options }
+      };
+    }
+
     // Apply updates
     updateKeys.forEach(key => {
       bankAccount[key] = updates[key];
@@ -258,9 +328,32 @@ class BankAccountService {
 
     logger.info(`Bank account ${accountId} updated successfully`);
 
+    if (bankAccount.status === 'active' && JSON.stringify(bankAccount.scrapingConfig.schedule) !== scheduleBefore) {
+      bankAccountEvents.emit('accountScheduleChanged', bankAccount);
+      logger.info(`Emitted accountScheduleChanged event for bank account: ${accountId}`);
+    }
+
     return bankAccount;
   }
 
+  /**
+   * Each account's sync schedule and when it next runs. `nextRun` is null,
+   * with the reason, for accounts that are never synced on a schedule.
+   */
+  async getSchedules(userId) {
+    const bankAccounts = await BankAccount.find({ userId }).sort({ createdAt: 1, _id: 1 });
+
+    return bankAccounts.map(bankAccount => ({
+      accountId: bankAccount._id,
+      name: bankAccount.name,
+      bankId: bankAccount.bankId,
+      status: bankAccount.status,
+      schedule: bankAccount.scrapingConfig.schedule,
+      nextRun: nextRunFor(bankAccount),
+      unscheduledReason: unscheduledReason(bankAccount)
+    }));
+  }
+
   async getScrapingStatus(userId) {
     try {
       const bankAccounts = await BankAccount.find({ userId });
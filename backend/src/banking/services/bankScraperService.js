@@ -5,7 +5,7 @@ const scraperModule = ['test', 'e2e'].includes(process.env.NODE_ENV)
 const { createScraper } = scraperModule;
 const logger = require('../../shared/utils/logger');
 const { BankAccount } = require('../models');
-const { resolveStartDate } = require('../utils/scraperDates');
+const { resolveStartDate, scrapeWindowStart } = require('../utils/scraperDates');
 const { getScraperErrorMessage } = require('../utils/scraperErrors');
 const { toIsoCurrency } = require('../utils/currency');
 
@@ -47,10 +47,8 @@ class BankScraperService {
       timeout = this.DEFAULT_TIMEOUT
     } = options;
 
-    // Create a copy to avoid mutating the input parameter
-    const startDateCopy = new Date(startDate);
     // Scan a week back to catch transactions that clear out of order
-    startDateCopy.setDate(startDateCopy.getDate() - 7);
+    const startDateCopy = scrapeWindowStart(startDate);
 
     // Log the scraping strategy being used
     const isIncrementalScraping = !!startDate;
@@ -64,7 +62,8 @@ class BankScraperService {
       defaultTimeout: timeout,
       startDate: startDateCopy,
       combineInstallments: false,
-      excludePendingTransactions: true,
+      // Pending charges are kept and settled by transactionService
+      excludePendingTransactions: false,
       args: this.getBrowserArgs()
     });
     
@@ -0,0 +1,293 @@
+/**
+ * Billing-cycle statements for a credit card, with no database access:
+ * creditCardService loads a card's charges and the checking-account payments
+ * that may have settled them, this groups the charges into the statements the
+ * issuer would have sent and says whether each was paid in full.
+ *
+ * A cycle ends on the card's cutoff day. Israeli issuers stamp every charge
+ * with the date it is debited (`processedDate`), so a cycle is the charges
+ * debited after one cutoff and up to the next, and the statement's billing
+ * date is the debit date most of them carry - which is right even when the
+ * cutoff day was never set and is still the default.
+ */
+
+const { transactionCurrencyDetails } = require('../utils/currency');
+const { dayKey, dateInMonth, addDays } = require('./cashFlowForecast');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A checking-account debit this many days either side of the billing date can
+// be the statement's payment; banks move debits off weekends and holidays
+const PAYMENT_DAY_WINDOW = 3;
+
+// Rounding between the issuer's figure and the sum of its lines
+const AMOUNT_TOLERANCE = 1;
+
+// Conversion and foreign-transaction fees the issuers add as lines of their own
+const FOREIGN_FEE_DESCRIPTION_PATTERN =
+  /עמל[הת]\s*(?:עסק[הת]\s*)?(?:ב?מט"?ח|חו"?ל|המרה)|דמי\s*(?:המרה|שימוש\s*בחו"?ל)|foreign\s+(?:transaction\s+|currency\s+)?fee|(?:fx|conversion|currency\s+conversion)\s+fee/i;
+
+const LineKind = {
+  CHARGE: 'charge',
+  INSTALLMENT: 'installment',
+  FOREIGN_FEE: 'foreign_fee',
+  REFUND: 'refund'
+};
+
+const PaymentStatus = {
+  MATCHED: 'matched',
+  MISMATCH: 'mismatch',
+  NOT_FOUND: 'not_found',
+  UPCOMING: 'upcoming'
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The cycle a charge belongs to: the first cutoff on or after the day it is
+ * debited, and the day after the cutoff before.
+ *
+ * @param {Date} processedDate
+ * @param {number} cutoffDay
+ * @returns {{opensOn: Date, closesOn: Date}}
+ */
+function cycleOf(processedDate, cutoffDay) {
+  const date = new Date(processedDate);
+  const thisMonth = dateInMonth(date.getFullYear(), date.getMonth(), cutoffDay);
+  const closesOn = date.getDate() <= thisMonth.getDate()
+    ? thisMonth
+    : dateInMonth(date.getFullYear(), date.getMonth() + 1, cutoffDay);
+  const previous = dateInMonth(closesOn.getFullYear(), closesOn.getMonth() - 1, cutoffDay);
+  return { opensOn: addDays(previous, 1), closesOn };
+}
+
+/**
+ * What a line on a statement is.
+ */
+function lineKind(transaction) {
+  const text = [transaction.description, transaction.memo].filter(Boolean).join(' ');
+  if (FOREIGN_FEE_DESCRIPTION_PATTERN.test(text)) return LineKind.FOREIGN_FEE;
+  if (transaction.amount > 0) return LineKind.REFUND;
+  if (transaction.rawData?.type === 'installments') return LineKind.INSTALLMENT;
+  return LineKind.CHARGE;
+}
+
+const installmentOf = (transaction) => {
+  const installments = transaction.rawData?.installments;
+  const number = installments?.number ?? null;
+  const total = installments?.total ?? transaction.rawData?.totalInstallments ?? null;
+  return total ? { number, total } : null;
+};
+
+// The day most of the dates fall on; the later of equals
+const mostCommonDay = (dates) => {
+  const counts = new Map();
+  for (const date of dates) {
+    const key = dayKey(date);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  let best = null;
+  for (const [key, count] of counts) {
+    const bestCount = best === null ? 0 : counts.get(best);
+    if (count > bestCount || (count === bestCount && key > best)) best = key;
+  }
+  return best;
+};
+
+const emptyTotals = () => ({ amount: 0, count: 0 });
+
+/**
+ * Groups a card's charges into statements, newest first.
+ *
+ * Amounts on a statement are what it debits, so positive; refunds are
+ * negative. Lines charged in a currency other than the statement's are kept
+ * apart in `otherCurrencies`, since the issuer debits those separately.
+ *
+ * @param {Array<Object>} transactions - The card's transactions, with rawData
+ * @param {Object} options
+ * @param {number} options.cutoffDay
+ * @param {string} [options.currency] - The statement currency; the most used if unset
+ * @returns {Array<Object>}
+ */
+function buildStatements(transactions, { cutoffDay, currency = null }) {
+  const cycles = new Map();
+  for (const transaction of transactions) {
+    if (!transaction.processedDate) continue;
+    const cycle = cycleOf(transaction.processedDate, cutoffDay);
+    const key = dayKey(cycle.closesOn);
+    if (!cycles.has(key)) cycles.set(key, { ...cycle, transactions: [] });
+    cycles.get(key).transactions.push(transaction);
+  }
+
+  const statementCurrency = currency || mostUsedCurrency(transactions);
+  const statements = [];
+  for (const cycle of cycles.values()) {
+    const totals = {
+      charges: emptyTotals(),
+      installments: { ...emptyTotals(), remaining: 0 },
+      foreignFees: emptyTotals(),
+      refunds: emptyTotals(),
+      foreignCharges: emptyTotals()
+    };
+    const otherCurrencies = new Map();
+    const lines = [];
+
+    for (const transaction of cycle.transactions) {
+      const details = transactionCurrencyDetails(transaction);
+      const kind = lineKind(transaction);
+      const debit = -transaction.amount;
+      const installment = installmentOf(transaction);
+
+      lines.push({
+        _id: transaction._id,
+        date: transaction.date,
+        processedDate: transaction.processedDate,
+        description: transaction.description,
+        amount: round(debit),
+        currency: details.chargedCurrency,
+        originalAmount: details.originalAmount,
+        originalCurrency: details.originalCurrency,
+        kind,
+        installment
+      });
+
+      if (details.chargedCurrency !== statementCurrency) {
+        otherCurrencies.set(details.chargedCurrency, (otherCurrencies.get(details.chargedCurrency) || 0) + debit);
+        continue;
+      }
+
+      const bucket = {
+        [LineKind.CHARGE]: totals.charges,
+        [LineKind.INSTALLMENT]: totals.installments,
+        [LineKind.FOREIGN_FEE]: totals.foreignFees,
+        [LineKind.REFUND]: totals.refunds
+      }[kind];
+      bucket.amount += debit;
+      bucket.count += 1;
+
+      if (kind === LineKind.INSTALLMENT && installment?.number) {
+        totals.installments.remaining += debit * Math.max(0, installment.total - installment.number);
+      }
+      if (kind !== LineKind.REFUND && details.isForeignCurrency) {
+        totals.foreignCharges.amount += debit;
+        totals.foreignCharges.count += 1;
+      }
+    }
+
+    for (const bucket of Object.values(totals)) {
+      bucket.amount = round(bucket.amount);
+      if (bucket.remaining !== undefined) bucket.remaining = round(bucket.remaining);
+    }
+    const totalDebit = round(totals.charges.amount + totals.installments.amount +
+      totals.foreignFees.amount + totals.refunds.amount);
+
+    lines.sort((a, b) => new Date(b.date) - new Date(a.date));
+    statements.push({
+      billingDate: mostCommonDay(cycle.transactions.map(transaction => transaction.processedDate)),
+      period: { opensOn: dayKey(cycle.opensOn), closesOn: dayKey(cycle.closesOn) },
+      currency: statementCurrency,
+      ...totals,
+      totalDebit,
+      otherCurrencies: Array.from(otherCurrencies, ([code, amount]) => ({ currency: code, totalDebit: round(amount) })),
+      transactions: lines
+    });
+  }
+
+  return statements.sort((a, b) => b.period.closesOn.localeCompare(a.period.closesOn));
+}
+
+const mostUsedCurrency = (transactions) => {
+  const counts = new Map();
+  for (const transaction of transactions) {
+    const code = transactionCurrencyDetails(transaction).chargedCurrency;
+    counts.set(code, (counts.get(code) || 0) + 1);
+  }
+  let best = 'ILS';
+  for (const [code, count] of counts) {
+    if (count > (counts.get(best) || 0)) best = code;
+  }
+  return best;
+};
+
+const daysApart = (left, right) =>
+  Math.abs(new Date(`${dayKey(left)}T00:00:00`) - new Date(`${dayKey(right)}T00:00:00`)) / DAY_MS;
+
+const closeEnough = (left, right) => Math.abs(left - right) <= AMOUNT_TOLERANCE;
+
+/**
+ * Finds the checking-account debit that paid each statement and flags those
+ * paid a different amount.
+ *
+ * Issuers often debit all of a login's cards together, so a debit that does
+ * not match the statement alone but matches every card billed that day
+ * together (`providerTotals`) is a match too, shared with the other cards.
+ *
+ * @param {Array<Object>} statements - From buildStatements
+ * @param {Array<Object>} payments - Candidate debits: `_id`, `accountId`, `date`, `amount` (negative), `description`
+ * @param {Object} [options]
+ * @param {Map<string, {amount: number, cards: number}>} [options.providerTotals] - By billing date
+ * @param {Date} [options.now]
+ * @returns {Array<Object>} The statements, each with `payment`
+ */
+function reconcileStatements(statements, payments, { providerTotals = new Map(), now = new Date() } = {}) {
+  const used = new Set();
+  const oldestFirst = [...statements].sort((a, b) => a.billingDate.localeCompare(b.billingDate));
+
+  for (const statement of oldestFirst) {
+    const shared = providerTotals.get(statement.billingDate);
+    const candidates = payments
+      .filter(payment => !used.has(String(payment._id)))
+      .filter(payment => daysApart(payment.date, statement.billingDate) <= PAYMENT_DAY_WINDOW)
+      .map(payment => {
+        const paid = -payment.amount;
+        const alone = closeEnough(paid, statement.totalDebit);
+        const together = !alone && shared && shared.cards > 1 && closeEnough(paid, shared.amount);
+        return {
+          payment,
+          paid,
+          alone,
+          together,
+          distance: Math.abs(paid - statement.totalDebit),
+          days: daysApart(payment.date, statement.billingDate)
+        };
+      })
+      .sort((a, b) =>
+        Number(b.alone || b.together) - Number(a.alone || a.together) ||
+        a.days - b.days ||
+        a.distance - b.distance);
+
+    const best = candidates[0];
+    if (!best) {
+      const due = new Date(`${statement.billingDate}T00:00:00`) > now;
+      statement.payment = { status: due ? PaymentStatus.UPCOMING : PaymentStatus.NOT_FOUND };
+      continue;
+    }
+
+    used.add(String(best.payment._id));
+    const matched = best.alone || best.together;
+    statement.payment = {
+      status: matched ? PaymentStatus.MATCHED : PaymentStatus.MISMATCH,
+      transactionId: best.payment._id,
+      accountId: best.payment.accountId,
+      date: best.payment.date,
+      description: best.payment.description,
+      amount: round(best.paid),
+      difference: matched ? 0 : round(best.paid - statement.totalDebit),
+      sharedWithCards: best.together ? shared.cards - 1 : 0
+    };
+  }
+
+  return statements;
+}
+
+module.exports = {
+  PAYMENT_DAY_WINDOW,
+  AMOUNT_TOLERANCE,
+  FOREIGN_FEE_DESCRIPTION_PATTERN,
+  LineKind,
+  PaymentStatus,
+  cycleOf,
+  lineKind,
+  buildStatements,
+  reconcileStatements
+};
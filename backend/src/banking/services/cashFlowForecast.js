@@ -0,0 +1,167 @@
+/**
+ * Projecting a checking account's balance forward, with no database access:
+ * balanceService gathers what is known to be coming - salary, approved
+ * recurring payments, card statements, installments - as dated events, and
+ * this turns them into a day-by-day balance and the stretches where it runs
+ * below the user's threshold.
+ *
+ * Dates are local calendar days, keyed 'YYYY-MM-DD', the way the balance
+ * history is drawn.
+ */
+
+const FORECAST_DAYS = 90;
+const MAX_FORECAST_DAYS = 180;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The calendar day of a date as 'YYYY-MM-DD'.
+ */
+const dayKey = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const startOfDay = (date) => {
+  const value = new Date(date);
+  value.setHours(0, 0, 0, 0);
+  return value;
+};
+
+const addDays = (date, days) => {
+  const value = new Date(date);
+  value.setDate(value.getDate() + days);
+  return value;
+};
+
+/**
+ * A day of a month, moved back to the month's last day when the month is
+ * shorter - a payment due on the 31st falls on the 30th in April.
+ *
+ * @param {number} year
+ * @param {number} monthIndex - 0-based, as Date takes it
+ * @param {number} day
+ */
+const dateInMonth = (year, monthIndex, day) => {
+  const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+  return new Date(year, monthIndex, Math.min(day, lastDay));
+};
+
+/**
+ * The day of the month most of the dates fall on: the median, so one salary
+ * paid early before a holiday does not move the rest.
+ *
+ * @param {Date[]} dates
+ * @returns {number|null} Null when there are no dates
+ */
+function typicalDay(dates) {
+  const days = dates.map(date => new Date(date).getDate()).sort((a, b) => a - b);
+  if (days.length === 0) return null;
+  return days[Math.floor((days.length - 1) / 2)];
+}
+
+/**
+ * Every date on `day` of a month that falls after `from` and no later than
+ * `to`.
+ *
+ * @param {number} day - Day of the month
+ * @param {Date} from - Exclusive
+ * @param {Date} to - Inclusive
+ * @param {Object} [options]
+ * @param {number[]} [options.months] - Only these months, 1-12
+ * @param {Date} [options.notBefore] - Skip dates before this one
+ * @returns {Date[]}
+ */
+function monthlyDates(day, from, to, { months = null, notBefore = null } = {}) {
+  const dates = [];
+  const cursor = new Date(from.getFullYear(), from.getMonth(), 1);
+  while (cursor <= to) {
+    const date = dateInMonth(cursor.getFullYear(), cursor.getMonth(), day);
+    const inMonths = !months || months.includes(date.getMonth() + 1);
+    if (inMonths && date > from && date <= to && (!notBefore || date >= notBefore)) {
+      dates.push(date);
+    }
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return dates;
+}
+
+/**
+ * The projected balance at the end of each day, starting from today's.
+ * Events dated today or earlier land on the first projected day: they are
+ * due but have not reached the balance yet.
+ *
+ * @param {number} startingBalance - Today's balance
+ * @param {Array<{date: Date, amount: number}>} events - Amounts signed as they move the balance
+ * @param {Object} options
+ * @param {Date} options.today
+ * @param {number} options.days - How many days after today to project
+ * @returns {Array<{date: string, balance: number}>} Today first, then one entry a day
+ */
+function projectBalances(startingBalance, events, { today, days }) {
+  const first = startOfDay(addDays(today, 1));
+  const byDay = new Map();
+  for (const event of events) {
+    const key = dayKey(new Date(event.date) < first ? first : event.date);
+    byDay.set(key, (byDay.get(key) || 0) + event.amount);
+  }
+
+  let balance = startingBalance;
+  const series = [{ date: dayKey(today), balance: round(balance) }];
+  for (let offset = 1; offset <= days; offset += 1) {
+    const key = dayKey(addDays(today, offset));
+    balance += byDay.get(key) || 0;
+    series.push({ date: key, balance: round(balance) });
+  }
+  return series;
+}
+
+/**
+ * Stretches of the series where the balance is below the threshold, each
+ * with its lowest day.
+ *
+ * @param {Array<{date: string, balance: number}>} series
+ * @param {number} threshold
+ * @returns {Array<{from: string, to: string, lowest: {date: string, balance: number}}>}
+ */
+function findShortfalls(series, threshold) {
+  const shortfalls = [];
+  let current = null;
+  for (const point of series) {
+    if (point.balance < threshold) {
+      if (!current) {
+        current = { from: point.date, to: point.date, lowest: point };
+        shortfalls.push(current);
+      }
+      current.to = point.date;
+      if (point.balance < current.lowest.balance) current.lowest = point;
+    } else {
+      current = null;
+    }
+  }
+  return shortfalls;
+}
+
+/**
+ * The lowest day of a series; the earliest of equals.
+ */
+const lowestPoint = (series) => series.reduce(
+  (lowest, point) => (!lowest || point.balance < lowest.balance ? point : lowest),
+  null
+);
+
+module.exports = {
+  FORECAST_DAYS,
+  MAX_FORECAST_DAYS,
+  dayKey,
+  startOfDay,
+  addDays,
+  dateInMonth,
+  typicalDay,
+  monthlyDates,
+  projectBalances,
+  findShortfalls,
+  lowestPoint
+};
@@ -69,6 +69,31 @@ class CategoryMappingService {
       .populate('subCategory');
   }
 
+  /**
+   * What the transaction's merchant says about its category, when that is a
+   * category of a type the transaction may take.
+   *
+   * Required lazily so that banking does not load the merchants subsystem at
+   * startup; merchants reads banking's own models. A failure only skips this
+   * tier.
+   */
+  async suggestFromMerchant(transaction, categoryTypes) {
+    if (!transaction.merchantId) return null;
+
+    try {
+      const { merchantService } = require('../../merchants');
+      const suggestion = await merchantService.suggestCategory(transaction);
+      if (!suggestion) return null;
+
+      const category = await Category.findOne({ _id: suggestion.categoryId, userId: transaction.userId });
+      if (!category || !categoryTypes.includes(category.type)) return null;
+      return { ...suggestion, categoryType: category.type };
+    } catch (error) {
+      logger.warn(`Merchant categorization failed for transaction ${transaction._id}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Nothing placed it, so record what its amount implies and leave it for the
    * user - along with whether the model actually looked at it.
@@ -177,18 +202,21 @@ class CategoryMappingService {
    * how much the evidence is worth:
    *
    * 1. An exact match against something this user categorised by hand.
-   * 2. Keywords on the user's categories, then on their subcategories.
-   * 3. The nearest of the user's own past corrections, by meaning.
-   * 4. A language model choosing from the user's own list of categories.
+   * 2. The transaction's merchant: the default category the user gave it, or
+   *    how they last categorised that merchant by hand, however the
+   *    description was spelled then.
+   * 3. Keywords on the user's categories, then on their subcategories.
+   * 4. The nearest of the user's own past corrections, by meaning.
+   * 5. A language model choosing from the user's own list of categories.
    *
    * Anything that reaches the end is left uncategorised on purpose; the user
-   * sees it and decides, and that decision feeds tier 1 and tier 3.
+   * sees it and decides, and that decision feeds tiers 1, 2 and 4.
    *
    * `corpus` and `catalogue` let a caller working through many transactions load
    * the user's corrections and categories once instead of once per transaction.
    * Omit either and it is loaded on demand.
    *
-   * `deferModel` stops before tier 4 and returns DEFERRED instead, so a caller
+   * `deferModel` stops before tier 5 and returns DEFERRED instead, so a caller
    * driving many transactions can collect everything the cheap tiers could not
    * place and ask the model about them together.
    */
@@ -248,6 +276,11 @@ class CategoryMappingService {
           .populate('subCategory');
       }
 
+      const merchantSuggestion = await this.suggestFromMerchant(transaction, categoryTypes);
+      if (merchantSuggestion) {
+        return await this.applySuggestion(transaction, merchantSuggestion, CategorizationMethod.PREVIOUS_DATA);
+      }
+
       if (
         categoryTypes.includes(TransactionType.TRANSFER) &&
         isLikelyCreditCardPayment(transaction)
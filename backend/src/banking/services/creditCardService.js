@@ -1,6 +1,14 @@
-const { CreditCard, Transaction } = require('../models');
+const { BankAccount, Category, CreditCard, Transaction } = require('../models');
 const logger = require('../../shared/utils/logger');
 const { ObjectId } = require('mongodb');
+const BankClassificationService = require('./bankClassificationService');
+const { likelyPaymentTextQuery, inferCreditCardProvider } = require('./creditCardPaymentMatcher');
+const { buildStatements, reconcileStatements, PAYMENT_DAY_WINDOW } = require('./cardStatementBuilder');
+const { dayKey } = require('./cashFlowForecast');
+
+// How many months of statements are shown unless asked for more
+const DEFAULT_STATEMENT_MONTHS = 12;
+const MAX_STATEMENT_MONTHS = 36;
 
 const convertToObjectId = (id) => {
   try {
@@ -721,6 +729,148 @@ class CreditCardService {
       return null;
     }
   }
+
+  /**
+   * Billing-cycle statements for a credit card, newest first: what each cycle
+   * charged, its installments, foreign fees and refunds, what it debits, and
+   * the checking-account debit that paid it - flagged when the amounts differ.
+   * See cardStatementBuilder for how cycles and payments are decided.
+   * @param {string} cardId - Credit card ID
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {number} [options.months] - How far back, up to MAX_STATEMENT_MONTHS
+   * @param {Date} [options.now] - Statements billed after this are upcoming
+   * @returns {Promise<Object>} The card's cycle settings and its statements
+   */
+  async getCreditCardStatements(cardId, userId, { months = DEFAULT_STATEMENT_MONTHS, now = new Date() } = {}) {
+    try {
+      if (!cardId || !userId) {
+        return null;
+      }
+
+      const cardObjectId = convertToObjectId(cardId);
+      const userObjectId = convertToObjectId(userId);
+
+      const creditCard = await CreditCard.findOne({
+        _id: cardObjectId,
+        userId: userObjectId,
+        isActive: true
+      }).populate('bankAccountId', 'bankId defaultCurrency');
+
+      if (!creditCard) {
+        return null;
+      }
+
+      logger.info(`Getting statements for card ${cardId}, user ${userId}`);
+
+      const cutoffDay = creditCard.timingFlexibility?.cutoffDay || 1;
+      const since = new Date(now.getFullYear(), now.getMonth() - Math.min(months, MAX_STATEMENT_MONTHS), 1);
+      const transactions = await Transaction.find({
+        creditCardId: cardObjectId,
+        userId: userObjectId,
+        processedDate: { $gte: since }
+      })
+        .select('date processedDate amount currency description memo rawData')
+        .lean();
+
+      const statements = buildStatements(transactions, {
+        cutoffDay,
+        currency: creditCard.bankAccountId?.defaultCurrency || null
+      });
+
+      if (statements.length > 0) {
+        const billingDates = statements.map(statement => new Date(`${statement.billingDate}T00:00:00`));
+        const window = {
+          from: new Date(Math.min(...billingDates) - PAYMENT_DAY_WINDOW * 24 * 60 * 60 * 1000),
+          to: new Date(Math.max(...billingDates) + (PAYMENT_DAY_WINDOW + 1) * 24 * 60 * 60 * 1000)
+        };
+        const [payments, providerTotals] = await Promise.all([
+          this.findStatementPayments(creditCard, userObjectId, window),
+          this.getProviderDebitTotals(creditCard, userObjectId, window)
+        ]);
+        reconcileStatements(statements, payments, { providerTotals, now });
+      }
+
+      return {
+        cardId: cardId.toString(),
+        displayName: creditCard.displayName,
+        cutoffDay,
+        statements
+      };
+
+    } catch (error) {
+      logger.error(`Error getting statements for card ${cardId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Checking-account debits that may have paid one of the card's statements:
+   * those categorised as a credit card payment or described like one, and
+   * not naming a different issuer or matched to a different card.
+   */
+  async findStatementPayments(creditCard, userObjectId, { from, to }) {
+    const provider = creditCard.bankAccountId?.bankId || null;
+    const [accounts, paymentCategories] = await Promise.all([
+      BankAccount.find({ userId: userObjectId }).select('bankId').lean(),
+      Category.find({ userId: userObjectId, name: 'Credit Card', type: 'Transfer' }).select('_id').lean()
+    ]);
+    const checkingIds = accounts
+      .filter(account => !BankClassificationService.isCreditCardProvider(account.bankId))
+      .map(account => account._id);
+
+    const payments = await Transaction.find({
+      userId: userObjectId,
+      accountId: { $in: checkingIds },
+      amount: { $lt: 0 },
+      date: { $gte: from, $lt: to },
+      $or: [
+        ...likelyPaymentTextQuery().$or,
+        { category: { $in: paymentCategories.map(category => category._id) } },
+        { 'matchedCreditCard.creditCardId': creditCard._id }
+      ]
+    })
+      .select('accountId date amount description memo rawData matchedCreditCard')
+      .lean();
+
+    return payments.filter(payment => {
+      const matchedCard = payment.matchedCreditCard?.creditCardId;
+      if (matchedCard) return matchedCard.toString() === creditCard._id.toString();
+      const named = inferCreditCardProvider(payment);
+      return !named || !provider || named === provider;
+    });
+  }
+
+  /**
+   * What all the active cards under the same issuer login charge on each
+   * billing day, since the issuer may debit them as one payment.
+   */
+  async getProviderDebitTotals(creditCard, userObjectId, { from, to }) {
+    const siblings = await CreditCard.find({
+      userId: userObjectId,
+      bankAccountId: creditCard.bankAccountId?._id || creditCard.bankAccountId,
+      isActive: true
+    }).select('_id').lean();
+
+    const charges = await Transaction.find({
+      userId: userObjectId,
+      creditCardId: { $in: siblings.map(card => card._id) },
+      processedDate: { $gte: from, $lt: to }
+    })
+      .select('creditCardId amount processedDate')
+      .lean();
+
+    const byDay = new Map();
+    for (const charge of charges) {
+      const key = dayKey(charge.processedDate);
+      if (!byDay.has(key)) byDay.set(key, { amount: 0, cardIds: new Set() });
+      byDay.get(key).amount -= charge.amount;
+      byDay.get(key).cardIds.add(charge.creditCardId.toString());
+    }
+
+    return new Map(Array.from(byDay, ([key, day]) => [key, { amount: day.amount, cards: day.cardIds.size }]));
+  }
 }
 
 module.exports = new CreditCardService();
+module.exports.MAX_STATEMENT_MONTHS = MAX_STATEMENT_MONTHS;
@@ -1,9 +1,12 @@
 const { BankAccount, Transaction } = require('../models');
-const { TransactionType } = require('../constants/enums');
+const { BankAccountStatus, TransactionType } = require('../constants/enums');
+const { isCredentialsError } = require('../utils/scraperErrors');
 const { ForeignCurrencyAccount } = require('../../foreign-currency');
 const bankScraperService = require('./bankScraperService');
 const logger = require('../../shared/utils/logger');
 const queuedDataSyncService = require('./queuedDataSyncService');
+const bankAccountEvents = require('./bankAccountEvents');
+const scrapingEvents = require('./scrapingEvents');
 
 class DataSyncService {
   constructor() {
@@ -144,13 +147,24 @@ class DataSyncService {
     }
   }
 
-  async updateBankAccountError(bankAccount, errorMessage) {
-    // Only mark account as inactive/error for credentials-related issues
-    const isCredentialsError = this.isCredentialsRelatedError(errorMessage);
-    
+  /**
+   * Record a failed sync on the account. When the bank refused the saved login
+   * the account is suspended as needing new credentials: its scheduled syncs
+   * stop and the user is told, since logging in again with the same password
+   * is how banks come to lock users out. Saving new credentials resumes it.
+   *
+   * @param {BankAccount} bankAccount
+   * @param {Error|string} error
+   * @returns {Promise<boolean>} whether the account was suspended
+   */
+  async updateBankAccountError(bankAccount, error) {
+    const errorMessage = typeof error === 'string' ? error : error?.message || 'Sync failed';
+    const isCredentialsError = this.isCredentialsRelatedError(error);
+    const wasSuspended = bankAccount.status === BankAccountStatus.NEEDS_REAUTH;
+
     if (isCredentialsError) {
-      bankAccount.status = 'error';
-      logger.warn(`Marking bank account ${bankAccount._id} as inactive due to credentials error: ${errorMessage}`);
+      bankAccount.status = BankAccountStatus.NEEDS_REAUTH;
+      logger.warn(`Suspending bank account ${bankAccount._id} until its credentials are replaced: ${errorMessage}`);
     } else {
       // For other errors (network, timeout, bank website issues), keep account active
       // but log the error for monitoring
@@ -163,27 +177,22 @@ class DataSyncService {
       isCredentialsError
     };
     await bankAccount.save();
+
+    if (isCredentialsError && !wasSuspended) {
+      bankAccountEvents.emitAccountDeactivated({ accountId: bankAccount._id, bankAccount });
+      scrapingEvents.emitAccountNeedsReauth({
+        bankAccountId: bankAccount._id,
+        userId: bankAccount.userId,
+        name: bankAccount.name,
+        message: errorMessage
+      });
+    }
+    return isCredentialsError;
   }
 
   // Helper method to determine if an error is credentials-related
-  isCredentialsRelatedError(errorMessage) {
-    const credentialsErrorPatterns = [
-      'invalid credentials',
-      'invalid bank credentials',
-      'login failed',
-      'authentication failed',
-      'wrong username',
-      'wrong password',
-      'incorrect credentials',
-      'unauthorized',
-      'access denied',
-      'forbidden',
-      'invalid user',
-      'invalid password'
-    ];
-    
-    const lowerErrorMessage = errorMessage.toLowerCase();
-    return credentialsErrorPatterns.some(pattern => lowerErrorMessage.includes(pattern));
+  isCredentialsRelatedError(error) {
+    return isCredentialsError(error);
   }
 
   // Update scraping status to complete after transactions are processed and categorized
@@ -4,6 +4,7 @@ const { AiBudgetExceededError } = require('../../shared/services/ai/aiBudget');
 const config = require('../../shared/config');
 const logger = require('../../shared/utils/logger');
 const { toIsoCurrency } = require('../utils/currency');
+const { settingsService } = require('../../settings');
 
 /**
  * Asks a language model to place a transaction the earlier tiers could not.
@@ -250,6 +251,8 @@ class LlmCategorizer {
    */
   async forUser(userId) {
     if (!this.isEnabled()) return null;
+    // Users can turn the tier off for themselves, whatever the server allows.
+    if (!(await settingsService.isAiCategorizationEnabled(userId))) return null;
 
     const [categories, subCategories] = await Promise.all([
       Category.find({ userId }).select('name type').lean(),
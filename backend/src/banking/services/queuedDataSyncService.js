@@ -2,6 +2,7 @@ const scrapingQueue = require('../../shared/services/scrapingQueue');
 const scrapingJobProcessors = require('./scrapingJobProcessors');
 const transactionCategorizationService = require('./transactionCategorizationService');
 const { BankAccount } = require('../models');
+const { BankAccountStatus } = require('../constants/enums');
 const logger = require('../../shared/utils/logger');
 
 /**
@@ -26,6 +27,10 @@ class QueuedDataSyncService {
       // Register job processors
       await scrapingJobProcessors.registerProcessors();
       transactionCategorizationService.registerProcessor();
+      // Required here rather than at the top: the rules subsystem reads
+      // banking's models and queues through this service, so taking it at
+      // require time would close the loop.
+      require('../../rules').ruleService.registerProcessor();
       
       // Start processing jobs
       await scrapingQueue.startProcessing();
@@ -52,12 +57,15 @@ class QueuedDataSyncService {
     if (!bankAccount) {
       throw new Error(`Bank account not found: ${bankAccountId}`);
     }
+    this.assertCanSync(bankAccount);
 
     logger.info(`Queueing sync jobs for bank account ${bankAccount.name} (${bankAccountId})`);
 
     const jobIds = [];
     const strategies = bankAccount.isOtpBank()
       ? [] // OTP banks require manual login — sync via pension OTP flow, not queue
+      : bankAccount.isFileImport()
+      ? [] // Statement-import accounts are fed by uploaded files
       : bankAccount.bankId === 'mercury'
       ? ['mercury-checking']
       : bankAccount.bankId === 'ibkr'
@@ -192,6 +200,7 @@ class QueuedDataSyncService {
     if (!bankAccount) {
       throw new Error(`Bank account not found: ${bankAccountId}`);
     }
+    this.assertCanSync(bankAccount);
 
     const validStrategies = ['checking-accounts', 'investment-portfolios', 'foreign-currency', 'mercury-checking', 'ibkr-flex'];
     if (!validStrategies.includes(strategyName)) {
@@ -228,6 +237,18 @@ class QueuedDataSyncService {
     };
   }
 
+  /**
+   * Refuse to queue an account whose saved login the bank refused: it would
+   * only be refused again, and repeated failures get users locked out.
+   */
+  assertCanSync(bankAccount) {
+    if (bankAccount.status === BankAccountStatus.NEEDS_REAUTH) {
+      const error = new Error('Bank account needs new credentials before it can sync');
+      error.code = 'NEEDS_REAUTH';
+      throw error;
+    }
+  }
+
   /**
    * Get queue statistics
    */
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { Tag, Transaction } = require('../models');
+const { CategorizationMethod, TransactionStatus, TransactionType } = require('../constants/enums');
+const { REFUND_WINDOW_DAYS, matchRefunds } = require('./refundMatcher');
+const logger = require('../../shared/utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back each detection run looks for refunds still unlinked
+const DETECTION_LOOKBACK_DAYS = 45;
+
+const CARD_FIELDS = 'amount currency date description rawData.description creditCardId';
+
+class RefundLinkError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'RefundLinkError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Linking card refunds and chargebacks to the purchases they give back. A
+ * linked refund takes the purchase's category, subcategory and project tags,
+ * and budgets count it against that category instead of as income.
+ */
+class RefundLinkingService {
+  /**
+   * Links the user's recent unlinked card refunds to their purchases.
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {Date} [options.since] - Oldest refund date to consider
+   * @returns {Promise<{linked: number}>}
+   */
+  async detectRefunds(userId, { since } = {}) {
+    const from = since || new Date(Date.now() - DETECTION_LOOKBACK_DAYS * DAY_MS);
+
+    const refunds = await this.findRefundCandidates(userId, from);
+    if (refunds.length === 0) return { linked: 0 };
+
+    const purchases = await Transaction.find({
+      userId,
+      amount: { $lt: 0 },
+      creditCardId: { $ne: null },
+      status: { $ne: TransactionStatus.PENDING },
+      date: { $gte: new Date(from.getTime() - REFUND_WINDOW_DAYS * DAY_MS) }
+    }).select(CARD_FIELDS).lean();
+
+    const result = { linked: 0 };
+    const refundedSoFar = await this.refundedAmounts(userId, purchases.map(purchase => purchase._id));
+    for (const { refund, purchase } of matchRefunds(refunds, purchases, { refundedSoFar })) {
+      try {
+        if (await this.link(userId, refund._id, purchase._id)) result.linked += 1;
+      } catch (error) {
+        logger.warn(`Could not link refund ${refund._id} to ${purchase._id}: ${error.message}`);
+      }
+    }
+
+    if (result.linked) {
+      logger.info(`Refunds for user ${userId}: ${result.linked} linked to their purchases`);
+    }
+    return result;
+  }
+
+  /**
+   * Positive card transactions that could be a refund: settled, unlinked, not
+   * split, not turned down by the user, and not placed by the user or one of
+   * their rules.
+   */
+  async findRefundCandidates(userId, since) {
+    return Transaction.find({
+      userId,
+      date: { $gte: since },
+      amount: { $gt: 0 },
+      creditCardId: { $ne: null },
+      status: { $ne: TransactionStatus.PENDING },
+      refundOf: null,
+      refundDismissedAt: null,
+      transferCounterpart: null,
+      'splits.0': { $exists: false },
+      $or: [
+        { category: null },
+        { categorizationMethod: { $nin: [CategorizationMethod.MANUAL, CategorizationMethod.RULE] } }
+      ]
+    }).select(CARD_FIELDS).lean();
+  }
+
+  /**
+   * How much of each purchase earlier refunds already gave back.
+   *
+   * @returns {Promise<Map<string, number>>}
+   */
+  async refundedAmounts(userId, purchaseIds) {
+    const totals = await Transaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), refundOf: { $in: purchaseIds } } },
+      { $group: { _id: '$refundOf', total: { $sum: '$amount' } } }
+    ]);
+    return new Map(totals.map(({ _id, total }) => [String(_id), total]));
+  }
+
+  /**
+   * Links a refund to its purchase and files it where the purchase is. The
+   * refund is claimed only while it is still unlinked, so two runs cannot
+   * link it twice.
+   *
+   * @returns {Promise<boolean>} false when the refund was already linked or either is gone
+   */
+  async link(userId, refundId, purchaseId) {
+    const purchase = await Transaction.findOne({ _id: purchaseId, userId })
+      .select('category subCategory tags type description date')
+      .lean();
+    if (!purchase) return false;
+
+    const projectTags = await Tag.find({ _id: { $in: purchase.tags || [] }, userId, type: 'project' })
+      .select('_id')
+      .lean();
+
+    const update = {
+      $set: {
+        refundOf: purchase._id,
+        categorizationReasoning: `Refund of "${purchase.description}" from ${new Date(purchase.date).toISOString().slice(0, 10)}`
+      },
+      $addToSet: { tags: { $each: projectTags.map(tag => tag._id) } }
+    };
+    if (purchase.category) {
+      Object.assign(update.$set, {
+        category: purchase.category,
+        subCategory: purchase.subCategory || null,
+        type: purchase.type || TransactionType.EXPENSE,
+        categorizationMethod: CategorizationMethod.REFUND_MATCH,
+        awaitingModelCategorization: false
+      });
+    }
+
+    const claimed = await Transaction.updateOne({ _id: refundId, userId, refundOf: null }, update);
+    if (!claimed.modifiedCount) return false;
+
+    logger.info(`Linked refund ${refundId} to purchase ${purchaseId} for user ${userId}`);
+    return true;
+  }
+
+  /**
+   * The user says a linked transaction is not a refund of that purchase. A
+   * refund the matcher filed goes back to uncategorised income; one the user
+   * has since recategorised keeps its category. It is not linked again.
+   */
+  async unlink(userId, transactionId) {
+    const refund = await Transaction.findOne({ _id: transactionId, userId })
+      .select('refundOf categorizationMethod')
+      .lean()
+      .catch(() => null);
+    if (!refund) {
+      throw new RefundLinkError('TRANSACTION_NOT_FOUND', 'Transaction not found', 404);
+    }
+    if (!refund.refundOf) {
+      throw new RefundLinkError('NOT_A_REFUND', 'Transaction is not linked to a purchase');
+    }
+
+    const update = { refundOf: null, refundDismissedAt: new Date() };
+    if (refund.categorizationMethod === CategorizationMethod.REFUND_MATCH) {
+      Object.assign(update, {
+        type: TransactionType.INCOME,
+        category: null,
+        subCategory: null,
+        categorizationMethod: CategorizationMethod.MANUAL,
+        categorizationReasoning: null
+      });
+    }
+    await Transaction.updateOne({ _id: refund._id }, { $set: update });
+    logger.info(`Unlinked refund ${transactionId} from purchase ${refund.refundOf} for user ${userId}`);
+  }
+}
+
+module.exports = new RefundLinkingService();
+module.exports.RefundLinkingService = RefundLinkingService;
+module.exports.RefundLinkError = RefundLinkError;
+module.exports.DETECTION_LOOKBACK_DAYS = DETECTION_LOOKBACK_DAYS;
@@ -0,0 +1,125 @@
+/**
+ * Pairing a card refund with the purchase it gives back. A refund arrives as a
+ * positive card transaction from the same merchant as an earlier charge; once
+ * linked it takes the purchase's category and nets against it in budgets
+ * instead of counting as income.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns and chargebacks are usually credited within a few weeks, disputes
+// can take a couple of months
+const REFUND_WINDOW_DAYS = 90;
+
+// Words card companies add to the merchant name on a refund or a reversal
+const REFUND_WORDS_PATTERN =
+  /זיכוי|זכוי|החזר(?:ה)?|ביטול|בטול|\b(?:refund(?:ed)?|reversal|chargeback|credit|return(?:ed)?|cancel(?:led|ed)?)\b/gi;
+
+// Shorter merchant names match too much when compared by prefix
+const MIN_MERCHANT_LENGTH = 3;
+
+const textOf = transaction =>
+  [transaction?.description, transaction?.rawData?.description].find(value => typeof value === 'string') || '';
+
+/**
+ * The merchant part of a card description: refund words, digits and
+ * punctuation dropped, lower case, single spaces.
+ */
+const merchantKey = description => String(description || '')
+  .replace(REFUND_WORDS_PATTERN, ' ')
+  .replace(/[\d\p{P}\p{S}]+/gu, ' ')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * How well two merchant names agree: 'same_merchant' when equal,
+ * 'similar_merchant' when one starts with the other (branch numbers and
+ * locations are often cut off differently), otherwise null.
+ */
+function compareMerchants(refundKey, purchaseKey) {
+  if (refundKey.length < MIN_MERCHANT_LENGTH || purchaseKey.length < MIN_MERCHANT_LENGTH) return null;
+  if (refundKey === purchaseKey) return 'same_merchant';
+  if (refundKey.startsWith(purchaseKey) || purchaseKey.startsWith(refundKey)) return 'similar_merchant';
+  return null;
+}
+
+const toCents = amount => Math.round(Math.abs(amount) * 100);
+
+/**
+ * How likely a purchase is the one a refund gives back.
+ *
+ * @param {Object} refund - Positive card transaction
+ * @param {Object} purchase - Negative card transaction
+ * @param {number} [alreadyRefunded=0] - Amount of the purchase earlier refunds gave back
+ * @returns {{score: number, reasons: string[]}|null} Null when they cannot be a pair
+ */
+function scoreRefundPair(refund, purchase, alreadyRefunded = 0) {
+  if (!(refund?.amount > 0) || !(purchase?.amount < 0)) return null;
+  if (refund.currency && purchase.currency && refund.currency !== purchase.currency) return null;
+
+  const days = (new Date(refund.date) - new Date(purchase.date)) / DAY_MS;
+  if (days < 0 || days > REFUND_WINDOW_DAYS) return null;
+
+  // A refund never gives back more than was left of the purchase
+  const remaining = toCents(purchase.amount) - toCents(alreadyRefunded);
+  if (toCents(refund.amount) > remaining) return null;
+
+  const merchant = compareMerchants(merchantKey(textOf(refund)), merchantKey(textOf(purchase)));
+  if (!merchant) return null;
+
+  const reasons = [merchant];
+  let score = merchant === 'same_merchant' ? 40 : 25;
+  if (toCents(refund.amount) === remaining) {
+    score += 40;
+    reasons.push('full_amount');
+  } else {
+    score += 10;
+    reasons.push('partial_amount');
+  }
+  if (refund.creditCardId && String(refund.creditCardId) === String(purchase.creditCardId)) {
+    score += 15;
+    reasons.push('same_card');
+  }
+  // Of two otherwise equal purchases, the more recent one
+  score -= days / REFUND_WINDOW_DAYS;
+
+  return { score, reasons };
+}
+
+/**
+ * Finds the purchase each refund gives back, oldest refund first. Partial
+ * refunds of one purchase are allowed as long as together they do not exceed it.
+ *
+ * @param {Array<Object>} refunds - Unlinked positive card transactions
+ * @param {Array<Object>} purchases - Negative card transactions they may refund
+ * @param {Object} [options]
+ * @param {Map<string, number>} [options.refundedSoFar] - Purchase id -> amount already refunded
+ * @returns {Array<{refund: Object, purchase: Object, reasons: string[]}>}
+ */
+function matchRefunds(refunds, purchases, { refundedSoFar = new Map() } = {}) {
+  const refunded = new Map(refundedSoFar);
+  const ordered = [...refunds].sort((left, right) => new Date(left.date) - new Date(right.date));
+
+  const matches = [];
+  for (const refund of ordered) {
+    let best = null;
+    for (const purchase of purchases) {
+      const score = scoreRefundPair(refund, purchase, refunded.get(String(purchase._id)) || 0);
+      if (score && (!best || score.score > best.score)) best = { purchase, ...score };
+    }
+    if (!best) continue;
+
+    const purchaseId = String(best.purchase._id);
+    refunded.set(purchaseId, (refunded.get(purchaseId) || 0) + refund.amount);
+    matches.push({ refund, purchase: best.purchase, reasons: best.reasons });
+  }
+  return matches;
+}
+
+module.exports = {
+  REFUND_WINDOW_DAYS,
+  merchantKey,
+  scoreRefundPair,
+  matchRefunds
+};
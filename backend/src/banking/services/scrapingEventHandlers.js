@@ -1,5 +1,7 @@
 const scrapingEvents = require('./scrapingEvents');
 const creditCardDetectionService = require('./creditCardDetectionService');
+const transferMatchingService = require('./transferMatchingService');
+const refundLinkingService = require('./refundLinkingService');
 const { User } = require('../../auth');
 const logger = require('../../shared/utils/logger');
 
@@ -24,6 +26,11 @@ class ScrapingEventHandlers {
     // Listen for checking-accounts strategy completion
     scrapingEvents.on('checking-accounts:completed', this.handleCheckingAccountsCompleted.bind(this));
 
+    // Transfers and refunds are looked for once the synced transactions have
+    // their categories, so a leg the categoriser filed first is matched as
+    // well and a refund takes its purchase's final category
+    scrapingEvents.on('categorization:completed', this.handleCategorizationCompleted.bind(this));
+
     // Listen for general strategy completion (for logging/monitoring)
     scrapingEvents.on('strategySyncCompleted', this.handleStrategySyncCompleted.bind(this));
 
@@ -62,6 +69,46 @@ class ScrapingEventHandlers {
     }
   }
 
+  /**
+   * Handle a finished categorisation batch
+   * Pairs transfers between the user's accounts among the new transactions,
+   * links card refunds to their purchases, refreshes subscriptions and
+   * matches planned one-time budget items to what arrived
+   */
+  async handleCategorizationCompleted(data) {
+    const { userId } = data;
+
+    try {
+      await transferMatchingService.detectTransfers(userId);
+    } catch (error) {
+      // Log error but don't throw - this is async post-processing
+      logger.error(`❌ Transfer detection failed for user ${userId}:`, error.message);
+    }
+
+    try {
+      await refundLinkingService.detectRefunds(userId);
+    } catch (error) {
+      logger.error(`❌ Refund linking failed for user ${userId}:`, error.message);
+    }
+
+    // Last, so charges already known to be transfers are left out. Required
+    // here so banking does not load the subscriptions subsystem at startup.
+    try {
+      const { subscriptionService } = require('../../subscriptions');
+      await subscriptionService.detect(userId);
+    } catch (error) {
+      logger.error(`❌ Subscription detection failed for user ${userId}:`, error.message);
+    }
+
+    // Transfers are known by now, so none is taken for a planned bonus
+    try {
+      const { yearlyBudgetService } = require('../../monthly-budgets');
+      await yearlyBudgetService.matchOneTimeItems(userId);
+    } catch (error) {
+      logger.error(`❌ One-time item matching failed for user ${userId}:`, error.message);
+    }
+  }
+
   /**
    * Handle general strategy completion (for monitoring/logging)
    */
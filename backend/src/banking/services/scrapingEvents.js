@@ -59,6 +59,17 @@ class ScrapingEvents extends EventEmitter {
     logger.info(`Emitting accountSyncCompleted event for account ${bankAccountId}, user ${userId}`);
     this.emit('accountSyncCompleted', data);
   }
+
+  /**
+   * Emit when the bank refused an account's saved login and the account was
+   * suspended until new credentials are entered
+   * @param {Object} data - Object containing bankAccountId, userId, name, message
+   */
+  emitAccountNeedsReauth(data) {
+    const { bankAccountId, userId } = data;
+    logger.info(`Emitting accountNeedsReauth event for account ${bankAccountId}, user ${userId}`);
+    this.emit('accountNeedsReauth', data);
+  }
 }
 
 // Export a singleton instance
@@ -2,9 +2,15 @@ const scrapingQueue = require('../../shared/services/scrapingQueue');
 const strategyRegistry = require('../../shared/services/strategyRegistry');
 const distributedLock = require('../../shared/services/distributedLock');
 const scrapingEvents = require('./scrapingEvents');
+const syncRunService = require('./syncRunService');
 const { BankAccount } = require('../models');
+const { BankAccountStatus } = require('../constants/enums');
+const { isCredentialsError } = require('../utils/scraperErrors');
 const logger = require('../../shared/utils/logger');
 
+// Returned from inside the lock when the account was suspended meanwhile
+const SKIPPED_NEEDS_REAUTH = Symbol('skippedNeedsReauth');
+
 /**
  * Generic Scraping Job Processor for Bull Queue
  * Handles any strategy type for any bank account instance
@@ -39,6 +45,7 @@ class ScrapingJobProcessors {
   async processStrategyJob(jobData, job) {
     const { bankAccountId, strategyName, options = {} } = jobData;
     let bankAccount = null; // Declare outside try block for error handling access
+    let syncRun = null;
     
     logger.info(`🚀 Starting job processing for ${strategyName} - account ${bankAccountId}`);
     
@@ -64,6 +71,19 @@ class ScrapingJobProcessors {
         };
       }
 
+      // Queued before the bank refused the login; trying it again risks a lockout
+      if (bankAccount.status === BankAccountStatus.NEEDS_REAUTH) {
+        logger.info(`Skipping ${strategyName} for account ${bankAccountId}: it needs new credentials`);
+        await job.updateProgress(100);
+        return this.skippedResult(strategyName, bankAccountId);
+      }
+
+      syncRun = await syncRunService.start(bankAccount, strategyName, {
+        jobId: job.id,
+        attempt: (job.attemptsMade || 0) + 1,
+        reason: options.reason
+      });
+
       await job.updateProgress(20);
       
       // Debug: Check strategy registry
@@ -104,6 +124,13 @@ class ScrapingJobProcessors {
         lockResourceId,
         async () => {
           logger.info(`🔓 Lock acquired for account ${bankAccountId}, executing ${strategyName} strategy`);
+
+          // Another strategy of this account may have had its login refused
+          // while this job waited for the lock
+          const current = await BankAccount.findById(bankAccountId).select('status').lean();
+          if (current?.status === BankAccountStatus.NEEDS_REAUTH) {
+            return SKIPPED_NEEDS_REAUTH;
+          }
           
           // Execute the strategy with lock held
           const strategyResult = await strategy.executeSync(bankAccount, options, this.createJobContext(job));
@@ -119,6 +146,13 @@ class ScrapingJobProcessors {
         }
       );
       
+      if (result === SKIPPED_NEEDS_REAUTH) {
+        logger.info(`Skipped ${strategyName} for account ${bankAccountId}: it needs new credentials`);
+        await syncRunService.skip(syncRun, 'The account needs new credentials');
+        await job.updateProgress(100);
+        return this.skippedResult(strategyName, bankAccountId);
+      }
+
       await job.updateProgress(90);
       
       // Extract latest transaction date from result for accurate lastScraped tracking
@@ -129,6 +163,7 @@ class ScrapingJobProcessors {
       // Update strategy-specific sync status - SUCCESS
       bankAccount.updateStrategySync(strategyName, true, null, lastTransactionDate);
       await bankAccount.save();
+      await syncRunService.succeed(syncRun, result);
       
       await job.updateProgress(100);
       
@@ -157,12 +192,23 @@ class ScrapingJobProcessors {
       logger.error(`❌ ${strategyName} sync failed for account ${bankAccountId}:`, error);
       logger.error(`❌ Error stack:`, error.stack);
       
+      await syncRunService.fail(syncRun, error);
+
       // Update strategy-specific sync status - FAILURE (only if bankAccount was found)
       if (bankAccount) {
         try {
           bankAccount.updateStrategySync(strategyName, false, error.message);
           await bankAccount.save();
           logger.info(`📝 Updated ${strategyName} sync status to 'failed' for account ${bankAccountId}`);
+
+          if (isCredentialsError(error)) {
+            // Required here: dataSyncService queues through the service that
+            // registers these processors
+            const dataSyncService = require('./dataSyncService');
+            await dataSyncService.updateBankAccountError(bankAccount, error);
+            // The remaining attempts would only repeat the refused login
+            job.discard?.();
+          }
           
           // Emit failure event (for onboarding error tracking)
           scrapingEvents.emitStrategySyncFailed({
@@ -182,6 +228,16 @@ class ScrapingJobProcessors {
     }
   }
 
+  skippedResult(strategyName, bankAccountId) {
+    return {
+      strategyName,
+      bankAccountId,
+      success: false,
+      skipped: true,
+      reason: 'Bank account needs new credentials'
+    };
+  }
+
   /**
    * Create job context with utilities
    */
@@ -1,10 +1,11 @@
 const cron = require('node-cron');
 const { BankAccount } = require('../models');
-const dataSyncService = require('./dataSyncService');
 const queuedDataSyncService = require('./queuedDataSyncService');
 const logger = require('../../shared/utils/logger');
 const rateLimiter = require('../../shared/utils/rateLimiter');
 const bankAccountEvents = require('./bankAccountEvents');
+const { FILE_IMPORT_BANK_ID } = require('../constants/enums');
+const { cronExpression, isScheduledDay, jitterMs } = require('../utils/scrapingSchedule');
 
 class ScrapingSchedulerService {
   constructor() {
@@ -40,6 +41,11 @@ class ScrapingSchedulerService {
         this.scheduleAccount(bankAccount);
       });
 
+      bankAccountEvents.on('accountScheduleChanged', (bankAccount) => {
+        logger.info(`Handling accountScheduleChanged event for bank account: ${bankAccount._id}`);
+        this.scheduleAccount(bankAccount);
+      });
+
       bankAccountEvents.on('accountDeleted', ({ accountId }) => {
         logger.info(`Handling accountDeleted event for bank account: ${accountId}`);
         this.stopAccount(accountId);
@@ -99,29 +105,39 @@ class ScrapingSchedulerService {
       return;
     }
 
-    // Run daily at 3 AM
-    const job = cron.schedule('0 3 * * *', async () => {
+    // Statement-import accounts have no bank to scrape
+    if (account.bankId === FILE_IMPORT_BANK_ID) {
+      logger.info(`Skipping scheduled scraping for statement-import account ${account._id}`);
+      return;
+    }
+
+    // Replaces the job of any earlier schedule
+    this.stopAccount(account._id);
+
+    const schedule = account.scrapingConfig?.schedule || {};
+    const expression = cronExpression(schedule);
+
+    const job = cron.schedule(expression, async () => {
+      if (!isScheduledDay(schedule)) return;
+
       try {
-        // Use rate limiter to prevent overwhelming the bank's API
-        await this.rateLimiter.acquire(account.bankId);
-        
-        logger.info(`Starting scheduled scraping for account ${account._id}`);
-        
-        const result = await dataSyncService.syncBankAccountData(account, {
-          startDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // Last 7 days
-          showBrowser: false
+        // Through the queue each strategy scrapes from where it last got to,
+        // however long ago that was; the per-account delay keeps accounts on
+        // the same schedule from all starting at once.
+        const result = await queuedDataSyncService.queueBankAccountSync(account._id, {
+          priority: 'normal',
+          reason: 'scheduled',
+          delay: jitterMs(account._id)
         });
 
-        logger.info(`Completed scheduled scraping for account ${account._id}:`, result);
+        logger.info(`Queued scheduled sync for account ${account._id}: ${result.totalJobs} jobs`);
       } catch (error) {
-        logger.error(`Failed to scrape account ${account._id}:`, error);
-      } finally {
-        this.rateLimiter.release(account.bankId);
+        logger.error(`Failed to queue scheduled sync for account ${account._id}:`, error);
       }
     });
 
     this.jobs.set(account._id.toString(), job);
-    logger.info(`Scheduled scraping job for account ${account._id}`);
+    logger.info(`Scheduled scraping job for account ${account._id} (${expression})`);
   }
 
   /**
@@ -248,6 +264,8 @@ class ScrapingSchedulerService {
     try {
       const strategies = account.isOtpBank()
         ? [] // OTP banks require manual login — no automatic sync
+        : account.isFileImport()
+        ? [] // Statement-import accounts are fed by uploaded files
         : account.bankId === 'mercury'
         ? ['mercury-checking']
         : account.bankId === 'ibkr'
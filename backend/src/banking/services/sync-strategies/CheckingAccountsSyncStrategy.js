@@ -43,11 +43,16 @@ class CheckingAccountsSyncStrategy extends IsraeliScraperSyncStrategy {
     // Record aggregated balance from all scraped sub-accounts
     const accounts = scrapingResult.accounts || [];
     const balances = accounts.filter(a => a.balance != null).map(a => a.balance);
+    let balance = null;
     if (balances.length > 0) {
+      balance = {
+        amount: balances.reduce((sum, b) => sum + b, 0),
+        currency: bankAccount.defaultCurrency || 'ILS'
+      };
       try {
         await balanceService.recordBalance(bankAccount._id, {
-          balance: balances.reduce((sum, b) => sum + b, 0),
-          currency: bankAccount.defaultCurrency || 'ILS',
+          balance: balance.amount,
+          currency: balance.currency,
           source: 'scraper'
         });
       } catch (err) {
@@ -57,6 +62,7 @@ class CheckingAccountsSyncStrategy extends IsraeliScraperSyncStrategy {
     
     return {
       transactions: transactionResults,
+      balance,
       metadata: {
         scrapingTimestamp: new Date().toISOString(),
         accountType: 'checking',
@@ -1,6 +1,7 @@
 const logger = require('../../../shared/utils/logger');
 const BaseSyncStrategy = require('./BaseSyncStrategy');
 const { getScraperErrorMessage } = require('../../utils/scraperErrors');
+const { scrapeWindowStart } = require('../../utils/scraperDates');
 
 /**
  * Sync strategy for banks that use the israeli-bank-scrapers library.
@@ -63,13 +64,19 @@ class IsraeliScraperSyncStrategy extends BaseSyncStrategy {
       const scrapingResult = await scraper[this.scrapingMethod](credentials);
       
       if (!scrapingResult?.success) {
-        throw new Error(`${this.displayName} scraping failed: ${getScraperErrorMessage(scrapingResult)}`);
+        const error = new Error(`${this.displayName} scraping failed: ${getScraperErrorMessage(scrapingResult)}`);
+        // Kept for the sync history, which files failures by it
+        error.errorType = typeof scrapingResult?.errorType === 'string' ? scrapingResult.errorType : null;
+        throw error;
       }
       
       const processedResults = await this.processScrapedData(scrapingResult, bankAccount, context);
       
       logger.info(`✅ ${this.displayName} sync completed successfully for ${bankAccount._id}`);
-      return processedResults;
+      return {
+        ...processedResults,
+        window: { from: scrapeWindowStart(mergedOptions.startDate), to: new Date() }
+      };
       
     } catch (error) {
       logger.error(`❌ ${this.displayName} sync failed for ${bankAccount._id}: ${error.message}`);
@@ -40,7 +40,7 @@ class MercurySyncStrategy extends BaseSyncStrategy {
       }
 
       const client = await MercuryApiClient.fromEncryptedToken(
-        bankAccount.userId,
+        bankAccount.getCredentialUserId(),
         bankAccount.credentials.apiToken
       );
 
@@ -65,13 +65,14 @@ class MercurySyncStrategy extends BaseSyncStrategy {
           totalBalance += account.currentBalance;
         }
       }
+      const balance = { amount: totalBalance, currency: bankAccount.defaultCurrency || 'USD' };
       try {
         await balanceService.recordBalance(bankAccount._id, {
           balance: totalBalance,
           availableBalance: mercuryAccounts
             .filter(a => a.status === 'active')
             .reduce((sum, a) => sum + (a.availableBalance || 0), 0),
-          currency: bankAccount.defaultCurrency || 'USD',
+          currency: balance.currency,
           source: 'api'
         });
       } catch (err) {
@@ -79,13 +80,14 @@ class MercurySyncStrategy extends BaseSyncStrategy {
       }
 
       // Fetch transactions for each account and map to scraper format
+      const endDate = new Date();
       const scrapedAccounts = [];
       for (const account of mercuryAccounts) {
         if (account.status !== 'active') continue;
 
         const transactions = await client.getTransactions(account.id, {
           startDate,
-          endDate: new Date()
+          endDate
         });
 
         logger.info(`Mercury account ${account.name || account.id}: ${transactions.length} transactions`);
@@ -105,6 +107,8 @@ class MercurySyncStrategy extends BaseSyncStrategy {
       logger.info(`✅ Mercury sync completed for ${bankAccount._id}`);
       return {
         transactions: transactionResults,
+        balance,
+        window: { from: startDate, to: endDate },
         metadata: {
           scrapingTimestamp: new Date().toISOString(),
           accountType: 'mercury',
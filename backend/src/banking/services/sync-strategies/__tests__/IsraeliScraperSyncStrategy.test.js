@@ -61,6 +61,27 @@ describe('IsraeliScraperSyncStrategy', () => {
     );
   });
 
+  it('keeps the scraper\'s error type on the error for the sync history', async () => {
+    bankScraperService.createScraper.mockReturnValue({
+      scrape: jest.fn().mockResolvedValue({ success: false, errorType: 'INVALID_PASSWORD' })
+    });
+
+    await expect(strategy.executeSync(bankAccount, {}, {})).rejects.toMatchObject({
+      errorType: 'INVALID_PASSWORD'
+    });
+  });
+
+  it('reports the dates it asked the bank for, a week before its start date', async () => {
+    bankScraperService.createScraper.mockReturnValue({
+      scrape: jest.fn().mockResolvedValue({ success: true, accounts: [] })
+    });
+
+    const result = await strategy.executeSync(bankAccount, {}, {});
+
+    expect(result.window.from).toEqual(new Date('2025-12-25T00:00:00.000Z'));
+    expect(result.window.to).toBeInstanceOf(Date);
+  });
+
   it('preserves a detailed error message returned by the scraper', async () => {
     bankScraperService.createScraper.mockReturnValue({
       scrape: jest.fn().mockResolvedValue({
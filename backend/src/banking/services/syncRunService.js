@@ -0,0 +1,94 @@
+const { SyncRun } = require('../models');
+const { SyncRunStatus } = require('../constants/enums');
+const { classifySyncError } = require('../utils/scraperErrors');
+const { summarizeSyncResult } = require('../utils/syncRunSummary');
+const logger = require('../../shared/utils/logger');
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+/**
+ * Records each strategy run of the sync queue. Recording is best effort: a
+ * run that cannot be written is logged and the sync itself carries on.
+ */
+class SyncRunService {
+  /**
+   * Record that a strategy job started on an account.
+   * @returns {Promise<SyncRun|null>}
+   */
+  async start(bankAccount, strategyName, { jobId = null, attempt = 1, reason } = {}) {
+    try {
+      return await SyncRun.create({
+        userId: bankAccount.userId,
+        bankAccountId: bankAccount._id,
+        strategyName,
+        jobId: jobId == null ? null : String(jobId),
+        attempt,
+        reason: reason || 'manual'
+      });
+    } catch (error) {
+      logger.warn(`Failed to record ${strategyName} sync run for account ${bankAccount._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record what a run that finished imported.
+   */
+  async succeed(run, result) {
+    if (!run) return;
+
+    const { counts, window, balance } = summarizeSyncResult(result);
+    run.status = SyncRunStatus.SUCCEEDED;
+    run.finishedAt = new Date();
+    run.counts = counts;
+    if (window) run.window = window;
+    if (balance) run.balance = balance;
+    await this.save(run);
+  }
+
+  /**
+   * Record why a run failed.
+   */
+  async fail(run, error) {
+    if (!run) return;
+
+    run.status = SyncRunStatus.FAILED;
+    run.finishedAt = new Date();
+    run.error = { class: classifySyncError(error), message: error?.message || null };
+    await this.save(run);
+  }
+
+  /**
+   * Record that a run stopped before reaching the bank, and why.
+   */
+  async skip(run, reason) {
+    if (!run) return;
+
+    run.status = SyncRunStatus.SKIPPED;
+    run.finishedAt = new Date();
+    run.error = { class: null, message: reason };
+    await this.save(run);
+  }
+
+  async save(run) {
+    try {
+      await run.save();
+    } catch (error) {
+      logger.warn(`Failed to record the outcome of sync run ${run._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * An account's runs, newest first.
+   */
+  async getHistory(bankAccountId, { limit, strategyName } = {}) {
+    const query = { bankAccountId };
+    if (strategyName) query.strategyName = strategyName;
+
+    const size = Math.min(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    return SyncRun.find(query).sort({ startedAt: -1, _id: -1 }).limit(size).lean();
+  }
+}
+
+module.exports = new SyncRunService();
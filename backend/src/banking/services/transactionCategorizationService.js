@@ -142,6 +142,7 @@ class TransactionCategorizationService {
   }
 
   async runBatch({ userId, transactionIds }, job) {
+    const rules = await this.loadRules(userId);
     const corpus = await transactionClassifier.forUser(userId);
     const catalogue = await llmCategorizer.forUser(userId);
     // Clients are keyed by the string form of the id, and the job payload may
@@ -188,6 +189,19 @@ class TransactionCategorizationService {
           continue;
         }
 
+        // The user's own rules come first, and a category from one of them
+        // is final: the cascade only guesses at what a rule states.
+        if (rules) {
+          const { categorized } = await rules.apply(transaction);
+          if (categorized) {
+            results.categorized += 1;
+            categorizedIds.push(transaction._id);
+            settled += 1;
+            await report();
+            continue;
+          }
+        }
+
         const updated = await categoryMappingService.attemptAutoCategorization(
           transaction, { corpus, catalogue, deferModel: true }
         );
@@ -243,6 +257,9 @@ class TransactionCategorizationService {
     }
 
     await report(true);
+    await rules?.flush().catch((error) => {
+      logger.warn(`Could not record rule matches for user ${userId}: ${error.message}`);
+    });
 
     sseService.emit(userIdStr, 'categorization:completed', {
       total: transactionIds.length,
@@ -268,6 +285,24 @@ class TransactionCategorizationService {
     return results;
   }
 
+  /**
+   * The user's rules, or null when they have none or they cannot be read.
+   *
+   * Required lazily for the same reason as the project matcher below. A
+   * failure here falls back to the cascade alone: rules missing from one
+   * batch can be re-applied later, a batch that never ran cannot.
+   */
+  async loadRules(userId) {
+    try {
+      const { ruleService } = require('../../rules');
+      const rules = await ruleService.forUser(userId);
+      return rules.isEmpty ? null : rules;
+    } catch (error) {
+      logger.error(`Could not load rules for user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Offers what was just categorised to whichever projects could own it.
    *
@@ -6,6 +6,16 @@ const categoryMappingService = require('./categoryMappingService');
 const transactionCategorizationService = require('./transactionCategorizationService');
 const { CategorizationMethod, TransactionStatus, TransactionType } = require('../constants/enums');
 const logger = require('../../shared/utils/logger');
+const { categoryQuery } = require('../utils/transactionSplits');
+const {
+  PENDING_MATCH_WINDOW_DAYS,
+  PENDING_MAX_AGE_DAYS,
+  findPendingMatch,
+  pendingIdentifier,
+  rescaleSplits
+} = require('../utils/pendingTransactions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const convertToObjectId = (id) => {
   try {
@@ -23,12 +33,17 @@ class TransactionService {
 
   /**
    * Check if a transaction is a duplicate using multi-field matching
-   * More reliable than single identifier field
+   * More reliable than single identifier field. A settled transaction that
+   * matches nothing exactly is also looked for among the account's pending
+   * charges, which settle under another identifier and often a slightly
+   * different amount, date or description; the caller tells the two apart by
+   * the status of what is returned.
    * @param {Object} transactionData - Transaction data to check
+   * @param {boolean} [transactionData.pending] - The incoming transaction is itself pending
    * @returns {Promise<Object|null>} - Existing transaction if duplicate found, null otherwise
    */
   async findPotentialDuplicate(transactionData) {
-    const { accountId, userId, date, amount, description, memo, uniqueId } = transactionData;
+    const { accountId, userId, date, amount, description, memo, uniqueId, pending = false } = transactionData;
     
     try {
       // If uniqueId is available, use it as the primary dedup method
@@ -78,8 +93,19 @@ class TransactionService {
         duplicate.uniqueId = uniqueId;
         await duplicate.save();
       }
-      
-      return duplicate;
+
+      if (duplicate || pending) return duplicate;
+
+      const candidates = await Transaction.find({
+        accountId: convertToObjectId(accountId),
+        userId: convertToObjectId(userId),
+        status: TransactionStatus.PENDING,
+        date: {
+          $gte: new Date(transactionDate.getTime() - PENDING_MATCH_WINDOW_DAYS * DAY_MS),
+          $lte: new Date(transactionDate.getTime() + PENDING_MATCH_WINDOW_DAYS * DAY_MS)
+        }
+      });
+      return findPendingMatch(candidates, { amount, date: transactionDate, description });
     } catch (error) {
       logger.error('Error checking for duplicate transaction:', error);
       return null;
@@ -90,7 +116,9 @@ class TransactionService {
     const results = {
       newTransactions: 0,
       duplicates: 0,
-      skippedPending: 0,
+      newPending: 0,
+      settledPending: 0,
+      removedPending: 0,
       errors: [],
       mostRecentTransactionDate: null,
       creditCardsCreated: 0
@@ -100,6 +128,10 @@ class TransactionService {
     const isCreditCardProvider = BankClassificationService.isCreditCardProvider(bankAccount.bankId);
     const now = new Date();
     const pendingCategorization = [];
+    // Pending charges this scrape still reports, and how far back it reached
+    const reportedPending = new Set();
+    let earliestReported = null;
+    const merchants = await this.loadMerchants(bankAccount.userId);
 
     for (const account of scrapedAccounts) {
       let creditCard = null;
@@ -131,17 +163,20 @@ class TransactionService {
       for (const transaction of account.txns) {
         try {
           const transactionDate = new Date(transaction.date);
-          
-          // Skip transactions with pending status from scraper
-          if (transaction.status === 'pending') {
-            logger.info(`Skipping pending transaction: ${transaction.description}, date: ${transactionDate}`);
-            results.skippedPending++;
-            continue;
+          const isPending = transaction.status === TransactionStatus.PENDING;
+          // Some banks only give a pending charge its original amount
+          const amount = isPending
+            ? (transaction.chargedAmount || transaction.originalAmount)
+            : transaction.chargedAmount;
+
+          if (!earliestReported || transactionDate < earliestReported) {
+            earliestReported = transactionDate;
           }
 
-          // Track the most recent transaction date (exclude future-dated installments)
-          // Must be AFTER pending check so lastScraped doesn't advance past unskipped transactions
-          if (transactionDate <= now && (!results.mostRecentTransactionDate || transactionDate > results.mostRecentTransactionDate)) {
+          // Track the most recent transaction date (exclude future-dated installments).
+          // Pending charges don't count, so lastScraped never moves past a
+          // charge that has yet to settle.
+          if (!isPending && transactionDate <= now && (!results.mostRecentTransactionDate || transactionDate > results.mostRecentTransactionDate)) {
             results.mostRecentTransactionDate = transactionDate;
           }
 
@@ -150,13 +185,24 @@ class TransactionService {
             accountId: bankAccount._id,
             userId: bankAccount.userId,
             date: transactionDate,
-            amount: transaction.chargedAmount,
+            amount,
             description: transaction.description,
             memo: transaction.rawData?.memo || transaction.memo || null,
-            uniqueId: transaction.uniqueId || null
+            uniqueId: transaction.uniqueId || null,
+            pending: isPending
           });
 
+          if (existingTransaction && !isPending && existingTransaction.status === TransactionStatus.PENDING) {
+            await this.settlePending(existingTransaction, transaction, bankAccount);
+            reportedPending.add(existingTransaction._id.toString());
+            results.settledPending++;
+            continue;
+          }
+
           if (existingTransaction) {
+            if (existingTransaction.status === TransactionStatus.PENDING) {
+              reportedPending.add(existingTransaction._id.toString());
+            }
             logger.info(`Duplicate transaction detected via multi-field match: ${transaction.description}, date: ${transactionDate}, amount: ${transaction.chargedAmount}, existing ID: ${existingTransaction._id}`);
             results.duplicates++;
             continue; // Skip this transaction
@@ -175,21 +221,29 @@ class TransactionService {
           }
 
           const savedTx = await Transaction.create({
-            identifier: transaction.identifier,
+            identifier: transaction.identifier || (isPending ? pendingIdentifier(transaction) : transaction.identifier),
             uniqueId: transaction.uniqueId || null,
             accountId: bankAccount._id,
             userId: bankAccount.userId,
             creditCardId: creditCard?._id || null, // Link transaction to specific credit card
             date: transactionDate,
-            processedDate: transaction.processedDate || transactionDate, // Copy processedDate from scraped data
+            // A pending charge counts in the month it was made; the date the
+            // card will charge it arrives when it settles
+            processedDate: isPending ? transactionDate : (transaction.processedDate || transactionDate),
             description: transaction.description,
-            amount: transaction.chargedAmount,
+            merchantId: await merchants?.resolve(transaction.description) || null,
+            amount,
             currency: bankAccount.defaultCurrency,
             rawData,
-            status: TransactionStatus.VERIFIED
+            status: isPending ? TransactionStatus.PENDING : TransactionStatus.VERIFIED
           });
-          
-          results.newTransactions++;
+
+          if (isPending) {
+            reportedPending.add(savedTx._id.toString());
+            results.newPending++;
+          } else {
+            results.newTransactions++;
+          }
           logger.debug(`Created new transaction: ${savedTx.description}, date: ${savedTx.date}, amount: ${savedTx.amount}, ID: ${savedTx._id}`);
 
           // Categorisation is queued once the whole batch is in, rather than
@@ -218,6 +272,10 @@ class TransactionService {
       }
     }
 
+    if (results.errors.length === 0) {
+      results.removedPending = await this.removeReleasedPending(bankAccount, reportedPending, earliestReported);
+    }
+
     // Update account status on successful scraping (even if no new transactions).
     // Note: lastScraped is managed per-strategy by scrapingJobProcessors via updateStrategySync().
     if (results.errors.length === 0 || results.newTransactions > 0) {
@@ -254,6 +312,88 @@ class TransactionService {
 
 
 
+  /**
+   * A resolver from descriptions to the user's merchants for one batch, or
+   * null when it cannot be loaded - the transactions are still saved, and
+   * get their merchants when they are assigned later.
+   *
+   * Required lazily so that banking does not load the merchants subsystem at
+   * startup; merchants reads banking's own models.
+   */
+  async loadMerchants(userId) {
+    try {
+      const { merchantService } = require('../../merchants');
+      return await merchantService.forUser(userId);
+    } catch (error) {
+      logger.error(`Could not load merchants for user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Turn a pending charge into the settled transaction the bank now reports.
+   * The pending record is updated in place, so its category, tags, split and
+   * anything else the user set stay with it.
+   *
+   * @param {Object} pending - Transaction document with status pending
+   * @param {Object} scraped - The settled transaction as scraped
+   * @param {Object} bankAccount
+   * @returns {Promise<Object>} The settled transaction
+   */
+  async settlePending(pending, scraped, bankAccount) {
+    const date = new Date(scraped.date);
+    const amount = scraped.chargedAmount;
+
+    if (pending.splits?.length && amount !== pending.amount) {
+      pending.splits = rescaleSplits(pending.splits.map(split => split.toObject()), pending.amount, amount);
+    }
+
+    pending.identifier = scraped.identifier || pending.identifier;
+    pending.uniqueId = scraped.uniqueId || pending.uniqueId;
+    pending.date = date;
+    pending.processedDate = scraped.processedDate || date;
+    pending.description = scraped.description;
+    pending.amount = amount;
+    pending.currency = bankAccount.defaultCurrency || pending.currency;
+    pending.rawData = { ...scraped, memo: scraped.rawData?.memo || scraped.memo || null };
+    pending.status = TransactionStatus.VERIFIED;
+    await pending.save();
+
+    logger.info(`Settled pending transaction ${pending._id}: ${pending.description}, amount: ${amount}`);
+    return pending;
+  }
+
+  /**
+   * Remove pending charges the bank has dropped: ones within the dates this
+   * scrape covered that it no longer reports, and any left pending for longer
+   * than an authorisation lasts.
+   *
+   * @param {Object} bankAccount
+   * @param {Set<string>} reportedPending - Ids of pending charges the scrape reported or settled
+   * @param {Date|null} earliestReported - Date of the earliest transaction the scrape returned
+   * @returns {Promise<number>} How many were removed
+   */
+  async removeReleasedPending(bankAccount, reportedPending, earliestReported) {
+    const conditions = [{ date: { $lt: new Date(Date.now() - PENDING_MAX_AGE_DAYS * DAY_MS) } }];
+    if (earliestReported) {
+      conditions.push({ date: { $gte: earliestReported } });
+    }
+
+    const released = await Transaction.find({
+      accountId: bankAccount._id,
+      userId: bankAccount.userId,
+      status: TransactionStatus.PENDING,
+      _id: { $nin: [...reportedPending].map(convertToObjectId) },
+      $or: conditions
+    }, '_id description');
+
+    if (released.length === 0) return 0;
+
+    await Transaction.deleteMany({ _id: { $in: released.map(transaction => transaction._id) } });
+    logger.info(`Removed ${released.length} pending transaction(s) no longer reported for account ${bankAccount._id}`);
+    return released.length;
+  }
+
   async getTransactionsByDateRange(accountId, startDate, endDate, userId) {
     if (!userId) throw new Error('userId is required');
     return Transaction.findByDateRange(accountId, startDate, endDate, userId);
@@ -299,9 +439,11 @@ class TransactionService {
       reasoning = `Manual categorization: User manually selected "${category.name}" (${category.type}) for transaction with description: "${transaction.description}"`;
     }
 
-    // Update and save transaction
+    // Update and save transaction. One category for the whole transaction
+    // replaces any split.
     transaction.category = categoryId;
     transaction.subCategory = subCategoryId;
+    transaction.splits = undefined;
     transaction.type = category.type; // Set transaction type based on category type
     transaction.categorizationMethod = CategorizationMethod.MANUAL;
     transaction.categorizationReasoning = reasoning;
@@ -408,19 +550,18 @@ class TransactionService {
         console.warn('Invalid transaction type received:', type);
       }
     }
-    if (category) {
-      if (category === 'uncategorized') {
-        query.category = null; // Filter for uncategorized transactions
-      } else {
-        query.category = convertToObjectId(category);
-      }
+    if (category === 'uncategorized') {
+      query.category = null; // Filter for uncategorized transactions
     }
-    if (subCategory) {
-      if (subCategory === 'uncategorized') {
-        query.subCategory = null; // Filter for transactions without subcategory
-      } else {
-        query.subCategory = convertToObjectId(subCategory);
-      }
+    if (subCategory === 'uncategorized') {
+      query.subCategory = null; // Filter for transactions without subcategory
+    }
+    if (category && category !== 'uncategorized') {
+      // A split transaction is listed under each of its parts' categories
+      const subCategoryId = subCategory && subCategory !== 'uncategorized' ? convertToObjectId(subCategory) : null;
+      Object.assign(query, categoryQuery(convertToObjectId(category), subCategoryId));
+    } else if (subCategory && subCategory !== 'uncategorized') {
+      query.subCategory = convertToObjectId(subCategory);
     }
     if (search) {
       query.description = { $regex: search, $options: 'i' };
@@ -432,7 +573,7 @@ class TransactionService {
       .sort({ [sortField]: -1 })
       .skip(skip)
       .limit(limit)
-      .populate('category subCategory tags');
+      .populate('category subCategory tags splits.category splits.subCategory splits.tags');
 
     const hasMore = total > skip + transactions.length;
 
@@ -644,28 +785,61 @@ class TransactionService {
   // ============================================
 
   /**
-   * Get monthly budget actuals from transactions
+   * Get monthly budget actuals from transactions over a budget month's period
+   *
+   * @param {string} userId
+   * @param {{start: Date, end: Date}} period - From budgetPeriodService.getPeriod
    */
-  async getMonthlyBudgetActuals(userId, year, month) {
+  async getMonthlyBudgetActuals(userId, period) {
     try {
-      const startDate = new Date(year, month - 1, 1);
-      const endDate = new Date(year, month, 0, 23, 59, 59);
-
       const actuals = await Transaction.aggregate([
         {
           $match: {
             userId: convertToObjectId(userId),
-            processedDate: { $gte: startDate, $lte: endDate },
+            processedDate: { $gte: period.start, $lte: period.end },
             category: { $ne: null }
           }
         },
+        // A split transaction counts once per allocation, in the allocation's category
+        {
+          $project: {
+            allocation: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+                {
+                  $map: {
+                    input: '$splits',
+                    as: 'split',
+                    in: {
+                      category: '$$split.category',
+                      subCategory: '$$split.subCategory',
+                      amount: '$$split.amount',
+                      refundOf: '$refundOf'
+                    }
+                  }
+                },
+                [{ category: '$category', subCategory: '$subCategory', amount: '$amount', refundOf: '$refundOf' }]
+              ]
+            }
+          }
+        },
+        { $unwind: '$allocation' },
         {
           $group: {
             _id: {
-              category: '$category',
-              subCategory: '$subCategory'
+              category: '$allocation.category',
+              subCategory: '$allocation.subCategory'
+            },
+            // A linked refund nets against its purchase's category, as in refunds.budgetAmount
+            totalAmount: {
+              $sum: {
+                $cond: [
+                  { $ifNull: ['$allocation.refundOf', false] },
+                  { $multiply: [-1, { $abs: '$allocation.amount' }] },
+                  { $abs: '$allocation.amount' }
+                ]
+              }
             },
-            totalAmount: { $sum: { $abs: '$amount' } },
             transactionCount: { $sum: 1 }
           }
         },
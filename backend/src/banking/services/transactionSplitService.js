@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const { Transaction, Category, SubCategory, Tag } = require('../models');
+const { CategorizationMethod } = require('../constants/enums');
+const { largestAllocation } = require('../utils/transactionSplits');
+const logger = require('../../shared/utils/logger');
+
+const MAX_SPLITS = 20;
+
+class TransactionSplitError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'TransactionSplitError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Splitting a transaction across categories, subcategories and tags.
+ */
+class TransactionSplitService {
+  /**
+   * Replaces a transaction's allocations.
+   *
+   * @param {string} userId - Whose books the transaction is in
+   * @param {string} transactionId
+   * @param {Array<{ amount: number, categoryId: string, subCategoryId?: string, tagIds?: string[], note?: string }>} splits
+   *   Two or more, each with the transaction's sign, adding up to its amount
+   * @returns {Promise<Object>} The transaction
+   */
+  async setSplits(userId, transactionId, splits) {
+    const transaction = await this.findTransaction(userId, transactionId);
+    const allocations = await this.validate(userId, transaction, splits);
+
+    this.assign(transaction, allocations);
+    transaction.categorizationMethod = CategorizationMethod.MANUAL;
+    transaction.categorizationReasoning = `Manual categorization: split into ${allocations.length} parts`;
+    await this.save(transaction);
+
+    const tagIds = [...new Set(allocations.flatMap(split => split.tags.map(String)))];
+    if (tagIds.length) {
+      await Tag.updateMany({ _id: { $in: tagIds } }, { $inc: { usageCount: 1 }, $set: { lastUsed: new Date() } });
+    }
+
+    logger.info(`Split transaction ${transaction._id} into ${allocations.length} parts`);
+    return transaction;
+  }
+
+  /**
+   * Puts a split transaction back to one category, the largest part's.
+   */
+  async clearSplits(userId, transactionId) {
+    const transaction = await this.findTransaction(userId, transactionId);
+    if (!transaction.splits?.length) {
+      throw new TransactionSplitError('NOT_SPLIT', 'Transaction is not split');
+    }
+    transaction.splits = undefined;
+    await this.save(transaction);
+    return transaction;
+  }
+
+  /**
+   * Sets the allocations and the category the transaction itself shows.
+   * The category types must be known: `type` is taken from the largest part.
+   *
+   * @param {Object} transaction - A Transaction document, not saved here
+   * @param {Array} allocations - { amount, category, subCategory, tags, note, type }
+   */
+  assign(transaction, allocations) {
+    const largest = largestAllocation(allocations);
+    transaction.splits = allocations.map(({ type, ...split }) => split);
+    transaction.category = largest.category;
+    transaction.subCategory = largest.subCategory;
+    transaction.type = largest.type;
+    transaction.awaitingModelCategorization = false;
+  }
+
+  async findTransaction(userId, transactionId) {
+    const transaction = await Transaction.findOne({ _id: transactionId, userId });
+    if (!transaction) {
+      throw new TransactionSplitError('TRANSACTION_NOT_FOUND', 'Transaction not found', 404);
+    }
+    return transaction;
+  }
+
+  async save(transaction) {
+    // Older transactions may have been saved without rawData, which is required
+    if (!transaction.rawData) transaction.rawData = {};
+    await transaction.save();
+  }
+
+  /**
+   * Checks the allocations against the transaction and the user's records and
+   * returns them ready to store, each with its category's type.
+   */
+  async validate(userId, transaction, splits) {
+    if (!Array.isArray(splits) || splits.length < 2) {
+      throw new TransactionSplitError('TOO_FEW_SPLITS', 'A split needs at least two parts');
+    }
+    if (splits.length > MAX_SPLITS) {
+      throw new TransactionSplitError('TOO_MANY_SPLITS', `A transaction can be split into at most ${MAX_SPLITS} parts`);
+    }
+
+    const total = toCents(transaction.amount);
+    for (const split of splits) {
+      const cents = toCents(split.amount);
+      if (!Number.isFinite(cents) || cents === 0 || Math.sign(cents) !== Math.sign(total)) {
+        throw new TransactionSplitError(
+          'INVALID_SPLIT_AMOUNT',
+          'Each part needs an amount with the same sign as the transaction'
+        );
+      }
+    }
+    const sum = splits.reduce((acc, split) => acc + toCents(split.amount), 0);
+    if (sum !== total) {
+      throw new TransactionSplitError(
+        'SPLIT_TOTAL_MISMATCH',
+        `The parts add up to ${sum / 100}, not the transaction's ${total / 100}`
+      );
+    }
+
+    return this.resolveAllocations(userId, splits.map(split => ({
+      ...split,
+      amount: toCents(split.amount) / 100
+    })));
+  }
+
+  /**
+   * Checks each part's category, subcategory and tags belong to the user, and
+   * returns the parts in stored form with their category's type.
+   *
+   * @param {Array<{ amount: number, categoryId: string, subCategoryId?: string, tagIds?: string[], note?: string }>} splits
+   */
+  async resolveAllocations(userId, splits) {
+    const ids = splits.flatMap(split => [split.categoryId, split.subCategoryId, ...(split.tagIds || [])]);
+    if (ids.some(id => id != null && !mongoose.isValidObjectId(id))) {
+      throw new TransactionSplitError('UNKNOWN_REFERENCE', 'Unknown category, subcategory or tag');
+    }
+
+    const categoryIds = [...new Set(splits.map(split => String(split.categoryId || '')))];
+    const categories = await Category.find({ _id: { $in: categoryIds.filter(Boolean) }, userId }).select('type').lean();
+    const types = new Map(categories.map(category => [String(category._id), category.type]));
+
+    const subCategoryIds = [...new Set(splits.map(split => split.subCategoryId).filter(Boolean).map(String))];
+    const subCategories = subCategoryIds.length
+      ? await SubCategory.find({ _id: { $in: subCategoryIds }, userId }).select('parentCategory').lean()
+      : [];
+    const parents = new Map(subCategories.map(subCategory => [String(subCategory._id), String(subCategory.parentCategory)]));
+
+    const tagIds = [...new Set(splits.flatMap(split => split.tagIds || []).map(String))];
+    if (tagIds.length && await Tag.countDocuments({ _id: { $in: tagIds }, userId }) !== tagIds.length) {
+      throw new TransactionSplitError('UNKNOWN_REFERENCE', 'Unknown tag');
+    }
+
+    return splits.map(split => {
+      const type = types.get(String(split.categoryId || ''));
+      if (!type) {
+        throw new TransactionSplitError('UNKNOWN_REFERENCE', 'Each part needs one of your categories');
+      }
+      let subCategory = null;
+      if (type === 'Expense') {
+        if (!split.subCategoryId) {
+          throw new TransactionSplitError('SUBCATEGORY_REQUIRED', 'An expense part needs a subcategory');
+        }
+        if (parents.get(String(split.subCategoryId)) !== String(split.categoryId)) {
+          throw new TransactionSplitError('UNKNOWN_REFERENCE', 'Unknown subcategory for this category');
+        }
+        subCategory = split.subCategoryId;
+      }
+      return {
+        amount: split.amount,
+        category: split.categoryId,
+        subCategory,
+        tags: [...new Set((split.tagIds || []).map(String))],
+        note: split.note || undefined,
+        type
+      };
+    });
+  }
+}
+
+module.exports = new TransactionSplitService();
+module.exports.TransactionSplitService = TransactionSplitService;
+module.exports.TransactionSplitError = TransactionSplitError;
+module.exports.MAX_SPLITS = MAX_SPLITS;
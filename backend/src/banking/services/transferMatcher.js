@@ -0,0 +1,159 @@
+/**
+ * Pairing money that left one of a user's accounts with the money that arrived
+ * in another. Each leg on its own looks like an expense or an income; a pair
+ * is one movement and counts in neither budget column.
+ *
+ * Legs are plain transactions carrying `baseAmount`, their amount in ILS, so
+ * that a transfer between accounts in different currencies can be compared.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transfers between banks, and wires abroad, can take a few business days
+const MAX_DAY_GAP = 4;
+
+// The arriving amount may be short of what left by a transfer fee
+const SAME_CURRENCY_TOLERANCE = 0.01;
+
+// Conversion spreads and fees, on top of the day's rate differing between banks
+const CONVERTED_TOLERANCE = 0.03;
+
+// At or above this a pair is linked without asking; below it, and above the
+// review threshold, it waits in the review queue.
+const AUTO_MATCH_CONFIDENCE = 85;
+const REVIEW_MIN_CONFIDENCE = 50;
+
+const TRANSFER_DESCRIPTION_PATTERN =
+  /העברה|העברת|העב['׳]|המר[הת]|מט"?ח|transfer|\bwire\b|\bswift\b|\bach\b|\bfx\b|currency\s+exchange|conversion/i;
+
+const DAY_GAP_POINTS = [30, 25, 20, 10, 10];
+
+const textValues = transaction => [
+  transaction?.description,
+  transaction?.memo,
+  transaction?.rawData?.description,
+  transaction?.rawData?.memo
+].filter(value => typeof value === 'string');
+
+const hasTransferDescription = transaction =>
+  textValues(transaction).some(value => TRANSFER_DESCRIPTION_PATTERN.test(value));
+
+const dayGap = (left, right) =>
+  Math.round(Math.abs(new Date(left.date) - new Date(right.date)) / DAY_MS);
+
+const relativeDifference = (left, right) => Math.abs(left - right) / Math.max(left, right);
+
+const toCents = amount => Math.round(Math.abs(amount) * 100);
+
+const pairKey = (outgoingId, incomingId) => `${outgoingId}:${incomingId}`;
+
+/**
+ * How the two amounts compare, or null when they are too far apart.
+ */
+function scoreAmounts(outgoing, incoming) {
+  if (outgoing.currency === incoming.currency) {
+    if (toCents(outgoing.amount) === toCents(incoming.amount)) {
+      return { points: 50, reason: 'exact_amount' };
+    }
+    return relativeDifference(Math.abs(outgoing.amount), incoming.amount) <= SAME_CURRENCY_TOLERANCE
+      ? { points: 35, reason: 'close_amount' }
+      : null;
+  }
+
+  if (outgoing.baseAmount == null || incoming.baseAmount == null) return null;
+
+  const difference = relativeDifference(Math.abs(outgoing.baseAmount), Math.abs(incoming.baseAmount));
+  if (difference <= SAME_CURRENCY_TOLERANCE) return { points: 40, reason: 'converted_amount' };
+  if (difference <= CONVERTED_TOLERANCE) return { points: 30, reason: 'converted_amount' };
+  return null;
+}
+
+/**
+ * How likely two transactions are the two legs of one transfer.
+ *
+ * @param {Object} outgoing - The leg that left an account (negative amount)
+ * @param {Object} incoming - The leg that arrived (positive amount)
+ * @returns {{confidence: number, reasons: string[]}|null} Null when they are not a plausible pair
+ */
+function scoreTransferPair(outgoing, incoming) {
+  if (!(outgoing?.amount < 0) || !(incoming?.amount > 0)) return null;
+  if (String(outgoing.accountId) === String(incoming.accountId)) return null;
+
+  const days = dayGap(outgoing, incoming);
+  if (days > MAX_DAY_GAP) return null;
+
+  const amount = scoreAmounts(outgoing, incoming);
+  if (!amount) return null;
+
+  const reasons = [amount.reason, days === 0 ? 'same_day' : 'within_days'];
+  let confidence = amount.points + DAY_GAP_POINTS[days];
+  if (hasTransferDescription(outgoing) || hasTransferDescription(incoming)) {
+    confidence += 20;
+    reasons.push('transfer_description');
+  }
+
+  confidence = Math.min(confidence, 100);
+  return confidence >= REVIEW_MIN_CONFIDENCE ? { confidence, reasons } : null;
+}
+
+/**
+ * Pairs a user's transactions into transfers, best pairs first, each
+ * transaction in at most one pair. A leg with another candidate just as good
+ * is never linked automatically, since either could be the real counterpart.
+ *
+ * @param {Array<Object>} transactions - Candidate legs of any sign
+ * @param {Object} [options]
+ * @param {Set<string>} [options.knownPairs] - `outgoingId:incomingId` keys not to offer again
+ * @returns {Array<{outgoing: Object, incoming: Object, confidence: number, reasons: string[]}>}
+ */
+function pairTransfers(transactions, { knownPairs = new Set() } = {}) {
+  const outgoing = transactions.filter(transaction => transaction.amount < 0);
+  const incoming = transactions.filter(transaction => transaction.amount > 0);
+
+  const candidates = [];
+  for (const out of outgoing) {
+    for (const into of incoming) {
+      if (knownPairs.has(pairKey(out._id, into._id))) continue;
+      const score = scoreTransferPair(out, into);
+      if (score) candidates.push({ outgoing: out, incoming: into, ...score });
+    }
+  }
+  candidates.sort((left, right) => right.confidence - left.confidence);
+
+  const rivals = (legId, confidence) => candidates.filter(candidate =>
+    candidate.confidence >= confidence &&
+    (String(candidate.outgoing._id) === legId || String(candidate.incoming._id) === legId)
+  ).length;
+
+  const used = new Set();
+  const pairs = [];
+  for (const candidate of candidates) {
+    const outId = String(candidate.outgoing._id);
+    const inId = String(candidate.incoming._id);
+    if (used.has(outId) || used.has(inId)) continue;
+    used.add(outId);
+    used.add(inId);
+
+    if (rivals(outId, candidate.confidence) > 1 || rivals(inId, candidate.confidence) > 1) {
+      pairs.push({
+        ...candidate,
+        confidence: Math.min(candidate.confidence, AUTO_MATCH_CONFIDENCE - 1),
+        reasons: [...candidate.reasons, 'several_candidates']
+      });
+    } else {
+      pairs.push(candidate);
+    }
+  }
+  return pairs;
+}
+
+module.exports = {
+  MAX_DAY_GAP,
+  AUTO_MATCH_CONFIDENCE,
+  REVIEW_MIN_CONFIDENCE,
+  TRANSFER_DESCRIPTION_PATTERN,
+  hasTransferDescription,
+  scoreTransferPair,
+  pairTransfers,
+  pairKey
+};
@@ -0,0 +1,330 @@
+const { BankAccount, Category, Transaction, TransferMatch } = require('../models');
+const {
+  CategorizationMethod,
+  TransactionStatus,
+  TransactionType,
+  TransferMatchStatus
+} = require('../constants/enums');
+const { ForeignCurrencyAccount, currencyExchangeService } = require('../../foreign-currency');
+const { AUTO_MATCH_CONFIDENCE, pairTransfers, pairKey } = require('./transferMatcher');
+const logger = require('../../shared/utils/logger');
+
+// How far back each detection run looks for legs still unpaired
+const DETECTION_LOOKBACK_DAYS = 45;
+
+// The default Transfer category linked legs are filed under, unless they
+// already sit in a Transfer category such as Savings
+const INTERNAL_TRANSFER_CATEGORY = 'Internal Transfers - Miscellaneous';
+
+const LEG_FIELDS = 'accountId amount currency date description memo rawData category type';
+
+class TransferMatchError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'TransferMatchError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const dayKey = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Finding transfers between a user's own accounts, bank and foreign currency
+ * alike, and linking both legs as one Transfer so neither counts as spending
+ * or income.
+ */
+class TransferMatchingService {
+  /**
+   * Pairs the user's recent unlinked transactions. Confident pairs are linked
+   * at once; the rest are left for the user to review.
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {Date} [options.since] - Oldest transaction date to consider
+   * @returns {Promise<{linked: number, suggested: number}>}
+   */
+  async detectTransfers(userId, { since } = {}) {
+    const from = since || new Date(Date.now() - DETECTION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    const known = await TransferMatch.find({ userId })
+      .select('outgoingTransaction incomingTransaction status')
+      .lean();
+    const knownPairs = new Set(known.map(match => pairKey(match.outgoingTransaction, match.incomingTransaction)));
+    // Legs already waiting for the user are not offered with another partner
+    const awaitingReview = new Set(known
+      .filter(match => match.status === TransferMatchStatus.SUGGESTED)
+      .flatMap(match => [String(match.outgoingTransaction), String(match.incomingTransaction)]));
+
+    const legs = (await this.findCandidates(userId, from))
+      .filter(leg => !awaitingReview.has(String(leg._id)));
+    await this.addBaseAmounts(legs);
+
+    const result = { linked: 0, suggested: 0 };
+    for (const pair of pairTransfers(legs, { knownPairs })) {
+      try {
+        if (pair.confidence >= AUTO_MATCH_CONFIDENCE) {
+          if (await this.link(userId, pair.outgoing._id, pair.incoming._id)) {
+            await this.record(userId, pair, TransferMatchStatus.CONFIRMED);
+            result.linked += 1;
+          }
+        } else {
+          await this.record(userId, pair, TransferMatchStatus.SUGGESTED);
+          result.suggested += 1;
+        }
+      } catch (error) {
+        logger.warn(`Could not record transfer ${pair.outgoing._id} -> ${pair.incoming._id}: ${error.message}`);
+      }
+    }
+
+    if (result.linked || result.suggested) {
+      logger.info(`Transfers for user ${userId}: ${result.linked} linked, ${result.suggested} waiting for review`);
+    }
+    return result;
+  }
+
+  /**
+   * Transactions that could be one leg of a transfer: settled, unlinked, not
+   * split, not card charges, and not placed by the user or one of their rules.
+   */
+  async findCandidates(userId, since) {
+    return Transaction.find({
+      userId,
+      date: { $gte: since },
+      status: { $ne: TransactionStatus.PENDING },
+      transferCounterpart: null,
+      creditCardId: null,
+      excludeFromBudgetCalculation: { $ne: true },
+      'splits.0': { $exists: false },
+      $or: [
+        { category: null },
+        { categorizationMethod: { $nin: [CategorizationMethod.MANUAL, CategorizationMethod.RULE] } }
+      ]
+    }).select(LEG_FIELDS).lean();
+  }
+
+  /**
+   * Sets each leg's amount in ILS, one rate lookup per currency and day. A leg
+   * whose rate cannot be found is left without one and only pairs in its own
+   * currency.
+   */
+  async addBaseAmounts(legs) {
+    const rates = new Map();
+    for (const leg of legs) {
+      if (!leg.currency || leg.currency === 'ILS') {
+        leg.baseAmount = leg.amount;
+        continue;
+      }
+
+      const key = `${leg.currency}:${dayKey(leg.date)}`;
+      if (!rates.has(key)) {
+        try {
+          const { exchangeRate } = await currencyExchangeService.convertAmount(1, leg.currency, 'ILS', new Date(leg.date));
+          rates.set(key, exchangeRate);
+        } catch (error) {
+          rates.set(key, null);
+        }
+      }
+      const rate = rates.get(key);
+      leg.baseAmount = rate == null ? null : leg.amount * rate;
+    }
+  }
+
+  async record(userId, pair, status) {
+    await TransferMatch.create({
+      userId,
+      outgoingTransaction: pair.outgoing._id,
+      incomingTransaction: pair.incoming._id,
+      confidence: pair.confidence,
+      reasons: pair.reasons,
+      status,
+      automatic: status === TransferMatchStatus.CONFIRMED
+    });
+  }
+
+  /**
+   * Links two transactions as the legs of one transfer. Each leg is claimed
+   * only while it is still unlinked, so two runs cannot give a leg two
+   * counterparts.
+   *
+   * @returns {Promise<boolean>} false when either leg was already linked or is gone
+   */
+  async link(userId, outgoingId, incomingId) {
+    const claim = (id, counterpart) => Transaction.updateOne(
+      { _id: id, userId, transferCounterpart: null },
+      { $set: { transferCounterpart: counterpart } }
+    );
+
+    if (!(await claim(outgoingId, incomingId)).modifiedCount) return false;
+    if (!(await claim(incomingId, outgoingId)).modifiedCount) {
+      await Transaction.updateOne({ _id: outgoingId, userId }, { $set: { transferCounterpart: null } });
+      return false;
+    }
+
+    const legs = await Transaction.find({ _id: { $in: [outgoingId, incomingId] }, userId })
+      .select('category description')
+      .populate('category', 'type')
+      .lean();
+    const transferCategory = await Category.findOne({
+      userId,
+      name: INTERNAL_TRANSFER_CATEGORY,
+      type: TransactionType.TRANSFER
+    }).select('_id').lean();
+
+    for (const leg of legs) {
+      const other = legs.find(candidate => String(candidate._id) !== String(leg._id));
+      const update = { type: TransactionType.TRANSFER };
+      if (transferCategory && leg.category?.type !== TransactionType.TRANSFER) {
+        Object.assign(update, {
+          category: transferCategory._id,
+          subCategory: null,
+          categorizationMethod: CategorizationMethod.TRANSFER_MATCH,
+          categorizationReasoning: `Transfer between your accounts, matched with "${other?.description}"`,
+          awaitingModelCategorization: false
+        });
+      }
+      await Transaction.updateOne({ _id: leg._id }, { $set: update });
+    }
+
+    logger.info(`Linked transfer ${outgoingId} -> ${incomingId} for user ${userId}`);
+    return true;
+  }
+
+  /**
+   * Pairs waiting for the user, most likely first, each leg with the name of
+   * its account.
+   */
+  async getReviewQueue(userId) {
+    const matches = await TransferMatch.find({ userId, status: TransferMatchStatus.SUGGESTED })
+      .sort({ confidence: -1, createdAt: -1 })
+      .populate('outgoingTransaction', `${LEG_FIELDS} transferCounterpart`)
+      .populate('incomingTransaction', `${LEG_FIELDS} transferCounterpart`)
+      .lean();
+
+    // A leg deleted or linked some other way since leaves nothing to review
+    const open = matches.filter(match =>
+      match.outgoingTransaction && match.incomingTransaction &&
+      !match.outgoingTransaction.transferCounterpart && !match.incomingTransaction.transferCounterpart
+    );
+
+    const accountIds = [...new Set(open.flatMap(match => [
+      String(match.outgoingTransaction.accountId),
+      String(match.incomingTransaction.accountId)
+    ]))];
+    const [bankAccounts, foreignAccounts] = await Promise.all([
+      BankAccount.find({ _id: { $in: accountIds }, userId }).select('name').lean(),
+      ForeignCurrencyAccount.find({ _id: { $in: accountIds }, userId }).select('currency accountNumber')
+    ]);
+    const names = new Map([
+      ...bankAccounts.map(account => [String(account._id), account.name]),
+      ...foreignAccounts.map(account => [String(account._id), account.displayName])
+    ]);
+
+    const withAccount = ({ rawData, ...leg }) => ({ ...leg, accountName: names.get(String(leg.accountId)) || null });
+    return open.map(match => ({
+      ...match,
+      outgoingTransaction: withAccount(match.outgoingTransaction),
+      incomingTransaction: withAccount(match.incomingTransaction)
+    }));
+  }
+
+  /**
+   * The user agrees a suggested pair is a transfer.
+   */
+  async confirm(userId, matchId) {
+    const match = await this.findSuggestion(userId, matchId);
+    const linked = await this.link(userId, match.outgoingTransaction, match.incomingTransaction);
+    if (!linked) {
+      throw new TransferMatchError('ALREADY_LINKED', 'One of these transactions is already part of another transfer', 409);
+    }
+
+    match.status = TransferMatchStatus.CONFIRMED;
+    match.reviewedAt = new Date();
+    await match.save();
+
+    // Other pairings offered for either leg are settled by this one
+    await TransferMatch.deleteMany({
+      userId,
+      status: TransferMatchStatus.SUGGESTED,
+      $or: [
+        { outgoingTransaction: { $in: [match.outgoingTransaction, match.incomingTransaction] } },
+        { incomingTransaction: { $in: [match.outgoingTransaction, match.incomingTransaction] } }
+      ]
+    });
+    return match;
+  }
+
+  /**
+   * The user says a suggested pair is not a transfer; it is not offered again.
+   */
+  async reject(userId, matchId) {
+    const match = await this.findSuggestion(userId, matchId);
+    match.status = TransferMatchStatus.REJECTED;
+    match.reviewedAt = new Date();
+    await match.save();
+    return match;
+  }
+
+  /**
+   * Undoes a transfer. Legs the matcher filed under the transfer category go
+   * back to uncategorised expense and income; legs that were already in a
+   * Transfer category of their own keep it. The pair is not matched again.
+   */
+  async unlink(userId, transactionId) {
+    const leg = await Transaction.findOne({ _id: transactionId, userId })
+      .select('amount transferCounterpart')
+      .lean()
+      .catch(() => null);
+    if (!leg) {
+      throw new TransferMatchError('TRANSACTION_NOT_FOUND', 'Transaction not found', 404);
+    }
+    if (!leg.transferCounterpart) {
+      throw new TransferMatchError('NOT_A_TRANSFER', 'Transaction is not linked to a transfer');
+    }
+
+    const [outgoingId, incomingId] = leg.amount < 0
+      ? [leg._id, leg.transferCounterpart]
+      : [leg.transferCounterpart, leg._id];
+    const legs = await Transaction.find({ _id: { $in: [outgoingId, incomingId] }, userId })
+      .select('amount categorizationMethod')
+      .lean();
+
+    for (const { _id, amount, categorizationMethod } of legs) {
+      const update = { transferCounterpart: null };
+      if (categorizationMethod === CategorizationMethod.TRANSFER_MATCH) {
+        Object.assign(update, {
+          type: amount < 0 ? TransactionType.EXPENSE : TransactionType.INCOME,
+          category: null,
+          subCategory: null,
+          categorizationMethod: CategorizationMethod.MANUAL,
+          categorizationReasoning: null
+        });
+      }
+      await Transaction.updateOne({ _id }, { $set: update });
+    }
+
+    await TransferMatch.findOneAndUpdate(
+      { outgoingTransaction: outgoingId, incomingTransaction: incomingId },
+      {
+        $set: { status: TransferMatchStatus.REJECTED, reviewedAt: new Date() },
+        $setOnInsert: { userId, confidence: 0 }
+      },
+      { upsert: true }
+    );
+    logger.info(`Unlinked transfer ${outgoingId} -> ${incomingId} for user ${userId}`);
+  }
+
+  async findSuggestion(userId, matchId) {
+    const match = await TransferMatch.findOne({ _id: matchId, userId, status: TransferMatchStatus.SUGGESTED })
+      .catch(() => null);
+    if (!match) {
+      throw new TransferMatchError('MATCH_NOT_FOUND', 'Suggested transfer not found', 404);
+    }
+    return match;
+  }
+}
+
+module.exports = new TransferMatchingService();
+module.exports.TransferMatchingService = TransferMatchingService;
+module.exports.TransferMatchError = TransferMatchError;
+module.exports.DETECTION_LOOKBACK_DAYS = DETECTION_LOOKBACK_DAYS;
@@ -0,0 +1,50 @@
+const {
+  descriptionSimilarity,
+  findPendingMatch,
+  pendingIdentifier,
+  rescaleSplits
+} = require('../pendingTransactions');
+
+describe('pendingTransactions', () => {
+  const pending = (fields) => ({ amount: -100, date: new Date('2026-03-10'), description: 'WOLT', ...fields });
+
+  it('treats a description cut short as the same one', () => {
+    expect(descriptionSimilarity('WOLT', 'Wolt Tel-Aviv')).toBe(1);
+    expect(descriptionSimilarity('שופרסל דיל', 'שופרסל דיל רמת גן')).toBe(1);
+    expect(descriptionSimilarity('SUPER PHARM', 'WOLT')).toBe(0);
+  });
+
+  it('matches a settled charge to the closest pending one', () => {
+    const candidates = [
+      pending({ _id: 'far', date: new Date('2026-03-04') }),
+      pending({ _id: 'near', date: new Date('2026-03-10') }),
+      pending({ _id: 'other', description: 'SUPER PHARM' })
+    ];
+
+    expect(findPendingMatch(candidates, { amount: -103, date: new Date('2026-03-11'), description: 'WOLT TLV' })._id)
+      .toBe('near');
+  });
+
+  it('refuses a match too far off in amount, date or direction', () => {
+    const candidates = [pending({})];
+
+    expect(findPendingMatch(candidates, { amount: -125, date: new Date('2026-03-10'), description: 'WOLT' })).toBeNull();
+    expect(findPendingMatch(candidates, { amount: -100, date: new Date('2026-03-20'), description: 'WOLT' })).toBeNull();
+    expect(findPendingMatch(candidates, { amount: 100, date: new Date('2026-03-10'), description: 'WOLT' })).toBeNull();
+  });
+
+  it('gives a pending charge without an identifier the same one on every scrape', () => {
+    const scraped = { date: '2026-03-10T08:00:00.000Z', chargedAmount: -100, description: 'WOLT' };
+
+    expect(pendingIdentifier(scraped)).toMatch(/^pending:[0-9a-f]{16}$/);
+    expect(pendingIdentifier({ ...scraped })).toBe(pendingIdentifier(scraped));
+    expect(pendingIdentifier({ ...scraped, chargedAmount: -101 })).not.toBe(pendingIdentifier(scraped));
+  });
+
+  it('rescales a split to the settled amount, still adding up exactly', () => {
+    const splits = rescaleSplits([{ amount: -66.67, note: 'a' }, { amount: -33.33, note: 'b' }], -100, -104.5);
+
+    expect(splits.map(split => split.amount)).toEqual([-69.67, -34.83]);
+    expect(splits[0].note).toBe('a');
+  });
+});
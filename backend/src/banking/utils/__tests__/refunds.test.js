@@ -0,0 +1,16 @@
+const { isLinkedRefund, budgetAmount } = require('../refunds');
+
+describe('refunds in budgets', () => {
+  it('counts spending and income by their size', () => {
+    expect(budgetAmount({ amount: -120 })).toBe(120);
+    expect(budgetAmount({ amount: 9000 })).toBe(9000);
+  });
+
+  it('counts a linked refund against its category', () => {
+    const refund = { amount: 150, refundOf: 'purchase-1' };
+
+    expect(isLinkedRefund(refund)).toBe(true);
+    expect(budgetAmount(refund)).toBe(-150);
+    expect(isLinkedRefund({ amount: 150, refundOf: null })).toBe(false);
+  });
+});
@@ -0,0 +1,29 @@
+const { isCredentialsError, classifySyncError } = require('../scraperErrors');
+
+describe('isCredentialsError', () => {
+  it('trusts the scraper error type when there is one', () => {
+    const error = Object.assign(new Error('Something went wrong'), { errorType: 'CHANGE_PASSWORD' });
+
+    expect(isCredentialsError(error)).toBe(true);
+  });
+
+  it('falls back to the message for errors without a type', () => {
+    expect(isCredentialsError(new Error('Login failed: wrong password'))).toBe(true);
+    expect(isCredentialsError('Request returned 401 Unauthorized')).toBe(true);
+  });
+
+  it('does not treat timeouts or two-factor prompts as refused logins', () => {
+    expect(isCredentialsError(new Error('Navigation timed out after 30000 ms'))).toBe(false);
+    expect(isCredentialsError(Object.assign(new Error('OTP needed'), { errorType: 'TWO_FACTOR_RETRIEVER_MISSING' })))
+      .toBe(false);
+    expect(isCredentialsError(null)).toBe(false);
+  });
+});
+
+describe('classifySyncError', () => {
+  it('prefers the scraper error type, then recognises timeouts', () => {
+    expect(classifySyncError(Object.assign(new Error('x'), { errorType: 'INVALID_PASSWORD' }))).toBe('INVALID_PASSWORD');
+    expect(classifySyncError(new Error('Operation timed-out'))).toBe('TIMEOUT');
+    expect(classifySyncError(new Error('boom'))).toBe('UNKNOWN');
+  });
+});
@@ -0,0 +1,58 @@
+const {
+  JITTER_WINDOW_MS,
+  cronExpression,
+  isScheduledDay,
+  jitterMs,
+  nextRunFor,
+  unscheduledReason
+} = require('../scrapingSchedule');
+
+describe('scrapingSchedule', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('builds a cron expression for each frequency', () => {
+    expect(cronExpression({ frequency: 'daily', timeOfDay: '06:30' })).toBe('30 6 * * *');
+    expect(cronExpression({ frequency: 'weekly', dayOfWeek: 3, timeOfDay: '23:05' })).toBe('5 23 * * 3');
+    expect(cronExpression({ frequency: 'monthly', dayOfMonth: 10, timeOfDay: '00:00' })).toBe('0 0 10 * *');
+  });
+
+  it('runs a monthly schedule past the 28th on the last day of shorter months', () => {
+    const schedule = { frequency: 'monthly', dayOfMonth: 31, timeOfDay: '04:00' };
+
+    expect(cronExpression(schedule)).toBe('0 4 28-31 * *');
+    expect(isScheduledDay(schedule, new Date(2026, 1, 28))).toBe(true);
+    expect(isScheduledDay(schedule, new Date(2026, 3, 29))).toBe(false);
+    expect(isScheduledDay(schedule, new Date(2026, 3, 30))).toBe(true);
+    expect(isScheduledDay(schedule, new Date(2026, 4, 30))).toBe(false);
+    expect(isScheduledDay(schedule, new Date(2026, 4, 31))).toBe(true);
+  });
+
+  it('gives each account its own delay, the same every time', () => {
+    const delays = ['64f000000000000000000001', '64f000000000000000000002', '64f000000000000000000003'].map(jitterMs);
+
+    expect(new Set(delays).size).toBe(3);
+    delays.forEach(delay => {
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThan(JITTER_WINDOW_MS);
+    });
+    expect(jitterMs('64f000000000000000000001')).toBe(delays[0]);
+  });
+
+  it('has no next run for accounts that are not synced on a schedule', () => {
+    const account = (fields) => ({
+      _id: 'account-1',
+      bankId: 'hapoalim',
+      status: 'active',
+      getNextScrapingTime: () => new Date('2026-05-02T03:00:00.000Z'),
+      ...fields
+    });
+
+    expect(unscheduledReason(account({ status: 'disabled' }))).toBe('inactive');
+    expect(unscheduledReason(account({ bankId: 'phoenix' }))).toBe('otp');
+    expect(nextRunFor(account({ bankId: 'file-import' }))).toBeNull();
+    expect(nextRunFor(account({})).getTime())
+      .toBe(new Date('2026-05-02T03:00:00.000Z').getTime() + jitterMs('account-1'));
+  });
+});
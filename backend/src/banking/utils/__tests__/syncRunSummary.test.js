@@ -0,0 +1,35 @@
+const { summarizeSyncResult } = require('../syncRunSummary');
+
+describe('summarizeSyncResult', () => {
+  it('counts a checking account run, pending charges included', () => {
+    const window = { from: new Date('2026-03-01'), to: new Date('2026-03-10') };
+
+    expect(summarizeSyncResult({
+      transactions: { newTransactions: 4, newPending: 1, duplicates: 12, settledPending: 2, errors: [{}] },
+      balance: { amount: 1520.4, currency: 'ILS' },
+      window
+    })).toEqual({
+      counts: { new: 5, duplicates: 12, updated: 2, failed: 1 },
+      balance: { amount: 1520.4, currency: 'ILS' },
+      window
+    });
+  });
+
+  it('adds up the sections of a portfolio and foreign currency run', () => {
+    const { counts } = summarizeSyncResult({
+      portfolios: { newPortfolios: 1, updatedPortfolios: 0, errors: [] },
+      investmentTransactions: { newTransactions: 3, updatedTransactions: 1, duplicatesSkipped: 6, errors: [] },
+      foreignCurrency: { newAccounts: 0, updatedAccounts: 1, newTransactions: 2, errors: [] }
+    });
+
+    expect(counts).toEqual({ new: 5, duplicates: 6, updated: 1, failed: 0 });
+  });
+
+  it('reads a run that found nothing as zeros', () => {
+    expect(summarizeSyncResult({})).toEqual({
+      counts: { new: 0, duplicates: 0, updated: 0, failed: 0 },
+      window: null,
+      balance: null
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  isSplit,
+  allocationsOf,
+  expandSplits,
+  amountForTag,
+  recategorizeTagged,
+  categoryQuery,
+  divideAmount,
+  largestAllocation
+} = require('../transactionSplits');
+
+const transaction = (fields = {}) => ({
+  _id: 'tx-1',
+  description: 'SUPER-PHARM',
+  amount: -300,
+  currency: 'ILS',
+  category: 'cat-health',
+  subCategory: 'sub-pharmacy',
+  tags: [],
+  ...fields
+});
+
+const split = transaction({
+  splits: [
+    { _id: 'split-1', amount: -200, category: 'cat-health', subCategory: 'sub-pharmacy', tags: [] },
+    { _id: 'split-2', amount: -100, category: 'cat-home', subCategory: 'sub-cleaning', tags: ['tag-renovation'], note: 'Paint' }
+  ]
+});
+
+describe('transaction split utilities', () => {
+  it('counts a transaction that is not split as itself', () => {
+    const whole = transaction();
+
+    expect(isSplit(whole)).toBe(false);
+    expect(isSplit(transaction({ splits: [] }))).toBe(false);
+    expect(allocationsOf(whole)).toEqual([whole]);
+  });
+
+  it('counts each allocation of a split transaction in its own category', () => {
+    const parts = allocationsOf({ ...split, tags: ['tag-shared'] });
+
+    expect(parts).toHaveLength(2);
+    expect(parts[1]).toMatchObject({
+      _id: 'tx-1',
+      description: 'SUPER-PHARM',
+      amount: -100,
+      category: 'cat-home',
+      subCategory: 'sub-cleaning',
+      tags: ['tag-shared', 'tag-renovation'],
+      splitId: 'split-2',
+      splitNote: 'Paint'
+    });
+    expect(parts[0]).not.toHaveProperty('splits');
+    expect(expandSplits([split, transaction({ _id: 'tx-2' })])).toHaveLength(3);
+  });
+
+  it('gives a tag the allocations carrying it, or all of a transaction carrying it itself', () => {
+    expect(amountForTag(split, 'tag-renovation')).toBe(-100);
+    expect(amountForTag(split, 'tag-other')).toBe(0);
+    expect(amountForTag({ ...split, tags: ['tag-renovation'] }, 'tag-renovation')).toBe(-300);
+    expect(amountForTag(transaction({ tags: ['tag-renovation'] }), 'tag-renovation')).toBe(-300);
+  });
+
+  it('moves only the tagged allocations to another category', () => {
+    const moved = { ...split, splits: split.splits.map(part => ({ ...part })) };
+
+    recategorizeTagged(moved, 'tag-renovation', 'cat-project', 'sub-materials');
+
+    expect(moved.splits[1]).toMatchObject({ category: 'cat-project', subCategory: 'sub-materials' });
+    expect(moved.splits[0].category).toBe('cat-health');
+    expect(moved.category).toBe('cat-health');
+
+    const whole = transaction({ tags: ['tag-renovation'] });
+    recategorizeTagged(whole, 'tag-renovation', 'cat-project', 'sub-materials');
+    expect(whole).toMatchObject({ category: 'cat-project', subCategory: 'sub-materials', splits: undefined });
+  });
+
+  it('finds transactions with any part in a category', () => {
+    expect(categoryQuery('cat-home', 'sub-cleaning')).toEqual({
+      $or: [
+        { category: 'cat-home', subCategory: 'sub-cleaning' },
+        { splits: { $elemMatch: { category: 'cat-home', subCategory: 'sub-cleaning' } } }
+      ]
+    });
+    expect(categoryQuery('cat-income').$or[0]).toEqual({ category: 'cat-income' });
+  });
+
+  it('divides an amount by percentages to the agora', () => {
+    expect(divideAmount(-100, [50, 50])).toEqual([-50, -50]);
+    expect(divideAmount(-100, [33.33, 33.33, 33.34])).toEqual([-33.33, -33.33, -33.34]);
+
+    const parts = divideAmount(10, [33.3, 33.3, 33.4]);
+    expect(Math.round(parts.reduce((sum, part) => sum + part, 0) * 100)).toBe(1000);
+    expect(parts[2]).toBe(3.34);
+  });
+
+  it('picks the largest allocation whichever way the money moved', () => {
+    expect(largestAllocation(split.splits)._id).toBe('split-1');
+    expect(largestAllocation([{ amount: 5 }, { amount: 40 }]).amount).toBe(40);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Pending card charges. A bank reports a charge as pending when it is
+ * authorised and again, usually under a different identifier, once it
+ * settles. The settled version is recognised as the same charge by its
+ * amount, date and description, none of which need to match exactly: the
+ * settled amount can differ after currency conversion or a tip, the date by a
+ * few days, and the description is often cut short while pending.
+ */
+
+const crypto = require('crypto');
+
+// How far apart the pending and settled dates may be, in days.
+const PENDING_MATCH_WINDOW_DAYS = 7;
+
+// How far the settled amount may be from the pending one, as a share of it.
+const PENDING_AMOUNT_TOLERANCE = 0.1;
+
+const MIN_DESCRIPTION_SIMILARITY = 0.5;
+
+// An authorisation that never settled has been released by the bank.
+const PENDING_MAX_AGE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const words = (description) => String(description || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean);
+
+/**
+ * How alike two descriptions are, from 0 to 1. One cut short is a match.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function descriptionSimilarity(a, b) {
+  const first = words(a);
+  const second = words(b);
+  if (first.length === 0 || second.length === 0) return 0;
+
+  const joinedFirst = first.join(' ');
+  const joinedSecond = second.join(' ');
+  if (joinedFirst === joinedSecond) return 1;
+  if (joinedFirst.startsWith(joinedSecond) || joinedSecond.startsWith(joinedFirst)) return 1;
+
+  const common = first.filter(word => second.includes(word)).length;
+  return common / Math.max(first.length, second.length);
+}
+
+/**
+ * Whether a settled charge can be the pending one, and how far off it is.
+ * Returns null when it cannot; otherwise a score where lower is closer.
+ *
+ * @param {Object} pending - Transaction with `amount`, `date`, `description`
+ * @param {Object} settled - Same fields, of the incoming transaction
+ * @returns {number|null}
+ */
+function pendingMatchDistance(pending, settled) {
+  if (Math.sign(pending.amount) !== Math.sign(settled.amount)) return null;
+
+  const amountDifference = Math.abs(settled.amount - pending.amount) / Math.abs(pending.amount || 1);
+  if (amountDifference > PENDING_AMOUNT_TOLERANCE) return null;
+
+  const daysApart = Math.abs(new Date(settled.date) - new Date(pending.date)) / DAY_MS;
+  if (daysApart > PENDING_MATCH_WINDOW_DAYS) return null;
+
+  const similarity = descriptionSimilarity(pending.description, settled.description);
+  if (similarity < MIN_DESCRIPTION_SIMILARITY) return null;
+
+  return amountDifference * 10 + daysApart / PENDING_MATCH_WINDOW_DAYS + (1 - similarity);
+}
+
+/**
+ * The pending charge a settled one is, among candidates, or null.
+ *
+ * @param {Array<Object>} candidates - Pending transactions of the account
+ * @param {Object} settled
+ * @returns {Object|null}
+ */
+function findPendingMatch(candidates, settled) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = pendingMatchDistance(candidate, settled);
+    if (distance !== null && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * An identifier for a pending charge the bank gave none, stable across
+ * scrapes while the charge stays pending.
+ *
+ * @param {Object} transaction - As scraped
+ * @returns {string}
+ */
+function pendingIdentifier(transaction) {
+  const key = [
+    new Date(transaction.date).toISOString().slice(0, 10),
+    transaction.chargedAmount ?? transaction.originalAmount,
+    transaction.description
+  ].join('|');
+  return `pending:${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * A split's allocations rescaled to a new transaction amount, keeping their
+ * proportions. Rounding is settled on the largest allocation so they still
+ * add up exactly.
+ *
+ * @param {Array<Object>} splits
+ * @param {number} fromAmount
+ * @param {number} toAmount
+ * @returns {Array<Object>}
+ */
+function rescaleSplits(splits, fromAmount, toAmount) {
+  const ratio = toAmount / fromAmount;
+  const scaled = splits.map(split => ({ ...split, amount: toCents(split.amount * ratio) / 100 }));
+
+  const remainder = toCents(toAmount) - scaled.reduce((sum, split) => sum + toCents(split.amount), 0);
+  if (remainder !== 0) {
+    const largest = scaled.reduce((max, split) => (Math.abs(split.amount) > Math.abs(max.amount) ? split : max));
+    largest.amount = (toCents(largest.amount) + remainder) / 100;
+  }
+  return scaled;
+}
+
+module.exports = {
+  PENDING_MATCH_WINDOW_DAYS,
+  PENDING_AMOUNT_TOLERANCE,
+  PENDING_MAX_AGE_DAYS,
+  descriptionSimilarity,
+  pendingMatchDistance,
+  findPendingMatch,
+  pendingIdentifier,
+  rescaleSplits
+};
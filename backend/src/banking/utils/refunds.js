@@ -0,0 +1,24 @@
+/**
+ * Counting refunds in budgets. Spending and income count by their size, but a
+ * card refund linked to its purchase (`refundOf`) sits in the purchase's
+ * category and gives money back to it, so it counts negatively there instead
+ * of adding to the category or to income.
+ */
+
+const isLinkedRefund = (transaction) => Boolean(transaction?.refundOf);
+
+/**
+ * How much a transaction, or one allocation of a split transaction, adds to
+ * its category's actuals: its size, or minus its size for a linked refund.
+ *
+ * @param {Object} transaction - A Transaction document, lean object or allocation
+ * @returns {number}
+ */
+const budgetAmount = (transaction) => (isLinkedRefund(transaction)
+  ? -Math.abs(transaction.amount)
+  : Math.abs(transaction.amount));
+
+module.exports = {
+  isLinkedRefund,
+  budgetAmount
+};
@@ -1,5 +1,9 @@
 const DEFAULT_LOOKBACK_MONTHS = 12;
 
+// Transactions can clear out of order, so each scrape reaches this far back
+// before its start date.
+const OUT_OF_ORDER_DAYS = 7;
+
 /**
  * Resolves the date a scrape should start from. Incremental when the account
  * has been scraped before, otherwise a fixed look-back window.
@@ -16,4 +20,13 @@ function resolveStartDate(lastScraped) {
   return startDate;
 }
 
-module.exports = { resolveStartDate, DEFAULT_LOOKBACK_MONTHS };
+/**
+ * The first day a scrape starting from `startDate` actually asks the bank for.
+ */
+function scrapeWindowStart(startDate) {
+  const windowStart = new Date(startDate);
+  windowStart.setDate(windowStart.getDate() - OUT_OF_ORDER_DAYS);
+  return windowStart;
+}
+
+module.exports = { resolveStartDate, scrapeWindowStart, DEFAULT_LOOKBACK_MONTHS, OUT_OF_ORDER_DAYS };
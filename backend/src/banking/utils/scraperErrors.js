@@ -8,6 +8,25 @@ const SCRAPER_ERROR_MESSAGES = {
   GENERAL_ERROR: 'The bank website returned an unexpected login error'
 };
 
+// Scraper error types that mean the bank refused the saved login. Trying it
+// again will not help and may get the user locked out.
+const CREDENTIALS_ERROR_TYPES = ['INVALID_PASSWORD', 'CHANGE_PASSWORD', 'ACCOUNT_BLOCKED'];
+
+const CREDENTIALS_ERROR_PATTERNS = [
+  'invalid credentials',
+  'invalid bank credentials',
+  'login failed',
+  'authentication failed',
+  'wrong username',
+  'wrong password',
+  'incorrect credentials',
+  'unauthorized',
+  'access denied',
+  'forbidden',
+  'invalid user',
+  'invalid password'
+];
+
 function getScraperErrorMessage(scrapingResult) {
   const errorMessage = typeof scrapingResult?.errorMessage === 'string'
     ? scrapingResult.errorMessage.trim()
@@ -30,6 +49,39 @@ function getScraperErrorMessage(scrapingResult) {
     : 'Scraper failed without error details';
 }
 
+/**
+ * The class of error a failed sync run is filed under: the scraper's own
+ * error type when it reported one, otherwise TIMEOUT or UNKNOWN.
+ */
+function classifySyncError(error) {
+  const errorType = typeof error?.errorType === 'string' ? error.errorType.trim() : '';
+  if (errorType) {
+    return errorType;
+  }
+
+  return /time[d\s-]*out/i.test(error?.message || '') ? 'TIMEOUT' : 'UNKNOWN';
+}
+
+/**
+ * Whether a sync failed because the bank refused the saved login, judged by
+ * the scraper's error type when there is one, otherwise by the message.
+ *
+ * @param {Error|string} error
+ * @returns {boolean}
+ */
+function isCredentialsError(error) {
+  if (CREDENTIALS_ERROR_TYPES.includes(error?.errorType)) {
+    return true;
+  }
+
+  const message = (typeof error === 'string' ? error : error?.message || '').toLowerCase();
+  return CREDENTIALS_ERROR_PATTERNS.some(pattern => message.includes(pattern));
+}
+
 module.exports = {
-  getScraperErrorMessage
+  SCRAPER_ERROR_MESSAGES,
+  CREDENTIALS_ERROR_TYPES,
+  isCredentialsError,
+  getScraperErrorMessage,
+  classifySyncError
 };
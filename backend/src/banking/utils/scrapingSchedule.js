@@ -0,0 +1,119 @@
+/**
+ * When a bank account syncs on its own. The scheduler turns an account's
+ * `scrapingConfig.schedule` into a cron expression, and when that fires it
+ * queues the sync after a delay fixed per account, so accounts left on the
+ * same time of day reach their banks spread over the following hour rather
+ * than all at once.
+ */
+
+const crypto = require('crypto');
+const { FILE_IMPORT_BANK_ID, OTP_BANKS } = require('../constants/enums');
+
+const JITTER_WINDOW_MS = 60 * 60 * 1000;
+
+// The last day every month has. A monthly schedule on a later day runs on the
+// last day of the months too short for it.
+const LAST_DAY_IN_EVERY_MONTH = 28;
+
+/**
+ * Why an account is not synced on a schedule, or null when it is.
+ *
+ * @param {Object} account - BankAccount document or lean object
+ * @returns {'inactive'|'otp'|'file_import'|null}
+ */
+function unscheduledReason(account) {
+  if (account.status && account.status !== 'active') return 'inactive';
+  if (OTP_BANKS.includes(account.bankId)) return 'otp';
+  if (account.bankId === FILE_IMPORT_BANK_ID) return 'file_import';
+  return null;
+}
+
+const timeOf = (schedule) => {
+  const [hours, minutes] = (schedule.timeOfDay || '00:00').split(':').map(part => parseInt(part, 10));
+  return { hours, minutes };
+};
+
+/**
+ * The cron expression a schedule fires on. A monthly schedule past the 28th
+ * fires on each of the month's last days; `isScheduledDay` picks the one.
+ *
+ * @param {Object} schedule - `scrapingConfig.schedule`
+ * @returns {string}
+ */
+function cronExpression(schedule) {
+  const { hours, minutes } = timeOf(schedule);
+
+  switch (schedule.frequency) {
+    case 'weekly':
+      return `${minutes} ${hours} * * ${schedule.dayOfWeek ?? 0}`;
+    case 'monthly': {
+      const day = schedule.dayOfMonth ?? 1;
+      return day > LAST_DAY_IN_EVERY_MONTH
+        ? `${minutes} ${hours} ${LAST_DAY_IN_EVERY_MONTH}-31 * *`
+        : `${minutes} ${hours} ${day} * *`;
+    }
+    default:
+      return `${minutes} ${hours} * * *`;
+  }
+}
+
+/**
+ * The day of `month` a monthly schedule runs on: its day of month, or the
+ * month's last day when the month is shorter.
+ *
+ * @param {Object} schedule
+ * @param {number} year
+ * @param {number} month - 0-11
+ * @returns {number}
+ */
+function monthlyRunDay(schedule, year, month) {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return Math.min(schedule.dayOfMonth ?? 1, daysInMonth);
+}
+
+/**
+ * Whether a run the cron fired at `date` is one the schedule asked for. Only
+ * monthly schedules past the 28th fire on days they must skip.
+ *
+ * @param {Object} schedule
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+function isScheduledDay(schedule, date = new Date()) {
+  if (schedule.frequency !== 'monthly') return true;
+  return date.getDate() === monthlyRunDay(schedule, date.getFullYear(), date.getMonth());
+}
+
+/**
+ * How long after its scheduled time an account's sync is queued. Derived from
+ * the account id, so it is the same on every run and after a restart.
+ *
+ * @param {string|Object} accountId
+ * @returns {number} milliseconds, under an hour
+ */
+function jitterMs(accountId) {
+  const digest = crypto.createHash('sha1').update(String(accountId)).digest();
+  return digest.readUInt32BE(0) % JITTER_WINDOW_MS;
+}
+
+/**
+ * When the account's next scheduled sync is queued, or null when it has no
+ * schedule.
+ *
+ * @param {Object} account - BankAccount document
+ * @returns {Date|null}
+ */
+function nextRunFor(account) {
+  if (unscheduledReason(account)) return null;
+  return new Date(account.getNextScrapingTime().getTime() + jitterMs(account._id));
+}
+
+module.exports = {
+  JITTER_WINDOW_MS,
+  unscheduledReason,
+  cronExpression,
+  monthlyRunDay,
+  isScheduledDay,
+  jitterMs,
+  nextRunFor
+};
@@ -0,0 +1,36 @@
+/**
+ * What a sync run did, read from its strategy's result. Strategies report in
+ * their own shapes: checking accounts under `transactions`, portfolios under
+ * `investmentTransactions` and foreign currency accounts under
+ * `foreignCurrency`, each counting a little differently.
+ */
+
+const TRANSACTION_SECTIONS = ['transactions', 'investmentTransactions', 'foreignCurrency'];
+
+const count = (value) => (Number.isFinite(value) ? value : 0);
+
+/**
+ * @param {Object} result - What the strategy's executeSync returned
+ * @returns {{counts: Object, window: Object|null, balance: Object|null}}
+ */
+function summarizeSyncResult(result) {
+  const counts = { new: 0, duplicates: 0, updated: 0, failed: 0 };
+
+  for (const section of TRANSACTION_SECTIONS) {
+    const results = result?.[section];
+    if (!results) continue;
+
+    counts.new += count(results.newTransactions) + count(results.newPending);
+    counts.duplicates += count(results.duplicates) + count(results.duplicatesSkipped);
+    counts.updated += count(results.settledPending) + count(results.updatedTransactions);
+    counts.failed += Array.isArray(results.errors) ? results.errors.length : 0;
+  }
+
+  return {
+    counts,
+    window: result?.window || null,
+    balance: result?.balance || null
+  };
+}
+
+module.exports = { summarizeSyncResult };
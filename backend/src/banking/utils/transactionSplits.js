@@ -0,0 +1,173 @@
+/**
+ * Reading split transactions. A split transaction carries `splits`, each with
+ * its own amount, category, subcategory and tags; everything that totals
+ * spending by category or by project counts those allocations rather than the
+ * transaction's own `category` and `amount`.
+ */
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => a != null && b != null && String(idOf(a)) === String(idOf(b));
+
+const isSplit = (transaction) => Array.isArray(transaction?.splits) && transaction.splits.length > 0;
+
+const plain = (transaction) => (typeof transaction.toObject === 'function' ? transaction.toObject() : transaction);
+
+const unionTags = (...lists) => {
+  const seen = new Map();
+  for (const tag of lists.flat()) {
+    if (tag != null && !seen.has(String(idOf(tag)))) seen.set(String(idOf(tag)), tag);
+  }
+  return [...seen.values()];
+};
+
+/**
+ * The parts a transaction counts as in budgets: the transaction itself when
+ * it is not split, otherwise one plain object per allocation carrying the
+ * transaction's other fields with the allocation's amount, category,
+ * subcategory and tags. Tags on the transaction apply to every allocation.
+ *
+ * @param {Object} transaction - A Transaction document or lean object
+ * @returns {Array<Object>}
+ */
+function allocationsOf(transaction) {
+  if (!isSplit(transaction)) return [transaction];
+
+  const { splits, ...base } = plain(transaction);
+  return splits.map(split => ({
+    ...base,
+    amount: split.amount,
+    category: split.category,
+    subCategory: split.subCategory || null,
+    tags: unionTags(base.tags || [], split.tags || []),
+    splitId: split._id,
+    splitNote: split.note || null
+  }));
+}
+
+/**
+ * allocationsOf over a list of transactions.
+ */
+const expandSplits = (transactions) => transactions.flatMap(allocationsOf);
+
+/**
+ * How much of a transaction found by a tag belongs to it, keeping its sign:
+ * the allocations carrying the tag when the transaction is split and does not
+ * carry the tag itself, otherwise all of it.
+ */
+function amountForTag(transaction, tagId) {
+  if (!isSplit(transaction) || (transaction.tags || []).some(tag => sameId(tag, tagId))) {
+    return transaction.amount;
+  }
+  return transaction.splits
+    .filter(split => (split.tags || []).some(tag => sameId(tag, tagId)))
+    .reduce((sum, split) => sum + split.amount, 0);
+}
+
+/**
+ * Moves the part of a transaction carrying a tag to another category, as
+ * assigning a project expense to a planned category does: the whole
+ * transaction when it carries the tag itself (ending any split), otherwise the
+ * allocations that do. Does not save.
+ *
+ * @param {Object} transaction - A Transaction document
+ */
+function recategorizeTagged(transaction, tagId, categoryId, subCategoryId) {
+  if (!isSplit(transaction) || (transaction.tags || []).some(tag => sameId(tag, tagId))) {
+    transaction.category = categoryId;
+    transaction.subCategory = subCategoryId;
+    transaction.splits = undefined;
+    return;
+  }
+  for (const split of transaction.splits) {
+    if ((split.tags || []).some(tag => sameId(tag, tagId))) {
+      split.category = categoryId;
+      split.subCategory = subCategoryId;
+    }
+  }
+  const largest = largestAllocation(transaction.splits);
+  transaction.category = largest.category;
+  transaction.subCategory = largest.subCategory;
+}
+
+/**
+ * A query clause for transactions carrying a tag on the whole transaction or
+ * on one of its allocations.
+ */
+const tagQuery = (tagId) => ({ $or: [{ tags: tagId }, { 'splits.tags': tagId }] });
+
+/**
+ * An aggregation stage setting `allocation` to the parts of each transaction
+ * that carry a tag, ready for `$unwind`: the whole transaction when it carries
+ * the tag itself, otherwise its tagged allocations. Match with tagQuery first.
+ *
+ * @param {ObjectId} tagId - An ObjectId, not a string, to compare in the pipeline
+ */
+const tagAllocationsStage = (tagId) => ({
+  $addFields: {
+    allocation: {
+      $cond: [
+        { $in: [tagId, { $ifNull: ['$tags', []] }] },
+        [{ category: '$category', subCategory: '$subCategory', amount: '$amount' }],
+        {
+          $filter: {
+            input: { $ifNull: ['$splits', []] },
+            as: 'split',
+            cond: { $in: [tagId, { $ifNull: ['$$split.tags', []] }] }
+          }
+        }
+      ]
+    }
+  }
+});
+
+/**
+ * A query clause for transactions with any part in a category, and
+ * subcategory when given. The transaction's own category is always that of one
+ * of its allocations, so matching either finds every transaction with a part
+ * there; callers still pick the matching allocations out with allocationsOf.
+ */
+function categoryQuery(categoryId, subCategoryId = null) {
+  const own = { category: categoryId };
+  const allocation = { category: categoryId };
+  if (subCategoryId) {
+    own.subCategory = subCategoryId;
+    allocation.subCategory = subCategoryId;
+  }
+  return { $or: [own, { splits: { $elemMatch: allocation } }] };
+}
+
+/**
+ * Divides an amount by percentages, to the agora. Rounding is settled on the
+ * largest share so the parts always add up to the whole.
+ *
+ * @param {number} amount
+ * @param {number[]} percentages - Adding up to 100
+ * @returns {number[]}
+ */
+function divideAmount(amount, percentages) {
+  const cents = Math.round(amount * 100);
+  const parts = percentages.map(percentage => Math.round((cents * percentage) / 100));
+  const largest = percentages.indexOf(Math.max(...percentages));
+  parts[largest] += cents - parts.reduce((sum, part) => sum + part, 0);
+  return parts.map(part => part / 100);
+}
+
+/**
+ * The allocation whose category the transaction itself shows.
+ */
+const largestAllocation = (splits) =>
+  splits.reduce((largest, split) => (Math.abs(split.amount) > Math.abs(largest.amount) ? split : largest));
+
+module.exports = {
+  isSplit,
+  allocationsOf,
+  expandSplits,
+  amountForTag,
+  recategorizeTagged,
+  tagQuery,
+  tagAllocationsStage,
+  categoryQuery,
+  divideAmount,
+  largestAllocation
+};
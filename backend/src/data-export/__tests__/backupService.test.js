@@ -0,0 +1,276 @@
+const { Writable } = require('stream');
+const { User } = require('../../auth');
+const { BankAccount, Transaction, TransferMatch, Category, SubCategory, Tag } = require('../../banking/models');
+const { BudgetScenario, MonthlyBudget, TransactionPattern } = require('../../monthly-budgets/models');
+const { RealEstateInvestment } = require('../../real-estate/models');
+const backupService = require('../services/backupService');
+const { BACKUP_FORMAT_VERSION, RESTORED_ACCOUNT_MESSAGE } = require('../services/backupService');
+
+const collector = () => {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  stream.text = () => Buffer.concat(chunks).toString('utf8');
+  return stream;
+};
+
+const backupOf = async (userId) => {
+  const out = collector();
+  await backupService.write(out, userId);
+  return JSON.parse(out.text());
+};
+
+describe('backupService', () => {
+  let source;
+  let target;
+  let account;
+  let category;
+  let subCategory;
+  let tag;
+  let transaction;
+
+  beforeEach(async () => {
+    await Promise.all([
+      Transaction.deleteMany({}), BankAccount.deleteMany({}), Category.deleteMany({}),
+      SubCategory.deleteMany({}), Tag.deleteMany({}), MonthlyBudget.deleteMany({}),
+      TransactionPattern.deleteMany({}), RealEstateInvestment.deleteMany({}), TransferMatch.deleteMany({}),
+      BudgetScenario.deleteMany({})
+    ]);
+
+    source = await global.createTestUser({ email: 'source@example.com' });
+    target = await global.createTestUser({ email: 'target@example.com' });
+    await User.updateOne({ _id: source._id }, { displayCurrency: 'USD' });
+
+    account = await BankAccount.create({
+      userId: source._id, bankId: 'hapoalim', name: 'Checking', status: 'active',
+      credentials: { username: 'bank-user', password: 'bank-password' }
+    });
+    category = await Category.create({ name: 'Food', type: 'Expense', userId: source._id });
+    subCategory = await SubCategory.create({
+      name: 'Groceries', parentCategory: category._id, userId: source._id, keywords: []
+    });
+    tag = await Tag.create({ name: 'Renovation', userId: source._id });
+    transaction = await Transaction.create({
+      identifier: 'tx-1',
+      userId: source._id,
+      accountId: account._id,
+      amount: -250,
+      currency: 'ILS',
+      date: new Date('2025-03-10'),
+      type: 'Expense',
+      description: 'Supermarket',
+      category: category._id,
+      subCategory: subCategory._id,
+      tags: [tag._id],
+      rawData: {}
+    });
+    await MonthlyBudget.create({
+      userId: source._id, year: 2025, month: 3, salaryBudget: 20000,
+      expenseBudgets: [{ categoryId: category._id, subCategoryId: subCategory._id, budgetedAmount: 1500 }]
+    });
+  });
+
+  describe('write', () => {
+    it('writes every collection the user owns, without credentials', async () => {
+      const archive = await backupOf(source._id);
+
+      expect(archive.format).toBe('gerifinancial-backup');
+      expect(archive.version).toBe(BACKUP_FORMAT_VERSION);
+      expect(archive.source.userId).toBe(String(source._id));
+      expect(archive.user.displayCurrency).toBe('USD');
+      expect(Object.keys(archive.collections)).toEqual(backupService.listCollections());
+      expect(archive.collections.transactions).toHaveLength(1);
+      expect(archive.collections.bankAccounts).toHaveLength(1);
+      expect(archive.collections.bankAccounts[0].credentials).toBeUndefined();
+      expect(JSON.stringify(archive)).not.toContain('bank-password');
+    });
+
+    it('never includes another user\'s records', async () => {
+      const archive = await backupOf(target._id);
+
+      expect(archive.collections.transactions).toEqual([]);
+      expect(archive.collections.bankAccounts).toEqual([]);
+    });
+  });
+
+  describe('restore', () => {
+    it('restores into an empty account under new ids with references intact', async () => {
+      const archive = await backupOf(source._id);
+
+      const counts = await backupService.restore(target._id, archive);
+      expect(counts).toMatchObject({ bankAccounts: 1, transactions: 1, categories: 1, monthlyBudgets: 1 });
+
+      const restoredAccount = await BankAccount.findOne({ userId: target._id });
+      const restoredCategory = await Category.findOne({ userId: target._id });
+      const restoredSubCategory = await SubCategory.findOne({ userId: target._id });
+      const restoredTag = await Tag.findOne({ userId: target._id });
+      const restored = await Transaction.findOne({ userId: target._id });
+      const budget = await MonthlyBudget.findOne({ userId: target._id });
+
+      expect(restored._id).not.toEqual(transaction._id);
+      expect(restoredAccount._id).not.toEqual(account._id);
+      expect(restored.accountId).toEqual(restoredAccount._id);
+      expect(restored.category).toEqual(restoredCategory._id);
+      expect(restored.subCategory).toEqual(restoredSubCategory._id);
+      expect(restored.tags.map(String)).toEqual([String(restoredTag._id)]);
+      expect(restoredSubCategory.parentCategory).toEqual(restoredCategory._id);
+      expect(restored.date).toEqual(new Date('2025-03-10'));
+      expect(budget.expenseBudgets[0].categoryId).toEqual(restoredCategory._id);
+
+      const updatedTarget = await User.findById(target._id);
+      expect(updatedTarget.displayCurrency).toBe('USD');
+
+      // The original account is untouched.
+      expect(await Transaction.countDocuments({ userId: source._id })).toBe(1);
+    });
+
+    it('brings bank accounts back disabled and without credentials', async () => {
+      await backupService.restore(target._id, await backupOf(source._id));
+
+      const restoredAccount = await BankAccount.findOne({ userId: target._id }).lean();
+      expect(restoredAccount.status).toBe('disabled');
+      expect(restoredAccount.credentials).toBeUndefined();
+      expect(restoredAccount.lastError.message).toBe(RESTORED_ACCOUNT_MESSAGE);
+    });
+
+    it('remaps subdocument ids referenced from other records', async () => {
+      const investment = new RealEstateInvestment({
+        userId: source._id,
+        name: 'Haifa flat',
+        type: 'flip',
+        currency: 'ILS',
+        fundingSources: [{ type: 'mortgage', description: 'Bank mortgage', expectedAmount: 600000 }]
+      });
+      investment.installments.push({
+        description: 'Down payment',
+        installmentType: 'investment',
+        amount: 100000,
+        dueDate: new Date('2025-01-01'),
+        fundingSourceId: investment.fundingSources[0]._id,
+        linkedTransactions: [transaction._id]
+      });
+      await investment.save();
+
+      await backupService.restore(target._id, await backupOf(source._id));
+
+      const restoredInvestment = await RealEstateInvestment.findOne({ userId: target._id });
+      const restored = await Transaction.findOne({ userId: target._id });
+      const [installment] = restoredInvestment.installments;
+      expect(restoredInvestment.fundingSources[0]._id).not.toEqual(investment.fundingSources[0]._id);
+      expect(installment.fundingSourceId).toEqual(restoredInvestment.fundingSources[0]._id);
+      expect(installment.linkedTransactions.map(String)).toEqual([String(restored._id)]);
+    });
+
+    it('keeps transfer matches pointing at the restored transactions', async () => {
+      const incoming = await Transaction.create({
+        identifier: 'tx-2',
+        userId: source._id,
+        accountId: account._id,
+        amount: 250,
+        currency: 'ILS',
+        date: new Date('2025-03-11'),
+        type: 'Income',
+        description: 'Transfer in',
+        rawData: {}
+      });
+      await TransferMatch.create({
+        userId: source._id,
+        outgoingTransaction: transaction._id,
+        incomingTransaction: incoming._id,
+        confidence: 90,
+        status: 'rejected'
+      });
+
+      await backupService.restore(target._id, await backupOf(source._id));
+
+      const match = await TransferMatch.findOne({ userId: target._id });
+      const outgoing = await Transaction.findOne({ userId: target._id, identifier: 'tx-1' });
+      const restoredIncoming = await Transaction.findOne({ userId: target._id, identifier: 'tx-2' });
+      expect(match.outgoingTransaction).toEqual(outgoing._id);
+      expect(match.incomingTransaction).toEqual(restoredIncoming._id);
+      expect(match.status).toBe('rejected');
+    });
+
+    it('restores budget scenarios against the restored categories', async () => {
+      await BudgetScenario.create({
+        userId: source._id,
+        name: 'New flat',
+        budgets: [{ categoryId: category._id, subCategoryId: subCategory._id, fixedAmount: 1800 }],
+        events: [{
+          description: 'Down payment', type: 'expense', amount: 150000, date: new Date('2025-06-01'),
+          categoryId: category._id, subCategoryId: subCategory._id
+        }]
+      });
+
+      const counts = await backupService.restore(target._id, await backupOf(source._id));
+      expect(counts).toMatchObject({ budgetScenarios: 1 });
+
+      const scenario = await BudgetScenario.findOne({ userId: target._id });
+      const restoredCategory = await Category.findOne({ userId: target._id });
+      const restoredSubCategory = await SubCategory.findOne({ userId: target._id });
+      expect(scenario.name).toBe('New flat');
+      expect(scenario.budgets[0].categoryId).toEqual(restoredCategory._id);
+      expect(scenario.budgets[0].subCategoryId).toEqual(restoredSubCategory._id);
+      expect(scenario.events[0].subCategoryId).toEqual(restoredSubCategory._id);
+    });
+
+    it('gives restored patterns a fresh pattern id', async () => {
+      const pattern = await TransactionPattern.create({
+        userId: source._id,
+        patternId: 'pattern-1',
+        transactionIdentifier: {
+          description: 'Arnona',
+          amountRange: { min: 900, max: 1100 },
+          categoryId: category._id,
+          subCategoryId: subCategory._id
+        },
+        recurrencePattern: 'bi-monthly',
+        scheduledMonths: [1, 3, 5, 7, 9, 11],
+        averageAmount: 1000,
+        detectionData: {
+          confidence: 0.9,
+          lastDetected: new Date(),
+          analysisMonths: 6,
+          sampleTransactions: [{ transactionId: transaction._id, description: 'Arnona', amount: -1000 }]
+        }
+      });
+
+      await backupService.restore(target._id, await backupOf(source._id));
+
+      const restored = await TransactionPattern.findOne({ userId: target._id });
+      expect(restored.patternId).not.toBe(pattern.patternId);
+    });
+
+    it('refuses an account that already has data', async () => {
+      const archive = await backupOf(source._id);
+
+      await expect(backupService.restore(source._id, archive))
+        .rejects.toMatchObject({ code: 'ACCOUNT_NOT_EMPTY', status: 409 });
+    });
+
+    it('rejects files that are not backups or are from a newer version', async () => {
+      await expect(backupService.restore(target._id, { format: 'gerifinancial-export', version: 1 }))
+        .rejects.toMatchObject({ code: 'INVALID_BACKUP' });
+
+      const archive = await backupOf(source._id);
+      await expect(backupService.restore(target._id, { ...archive, version: BACKUP_FORMAT_VERSION + 1 }))
+        .rejects.toMatchObject({ code: 'UNSUPPORTED_VERSION' });
+    });
+
+    it('rolls back everything inserted when a collection fails', async () => {
+      const archive = await backupOf(source._id);
+      // Two categories with the same name violate the unique index part-way
+      // through the restore, after bank accounts and credit cards are in.
+      archive.collections.categories.push({ ...archive.collections.categories[0], _id: { $oid: '0123456789abcdef01234567' } });
+
+      await expect(backupService.restore(target._id, archive)).rejects.toMatchObject({ code: 'CONFLICT' });
+
+      expect(await BankAccount.countDocuments({ userId: target._id })).toBe(0);
+      expect(await Category.countDocuments({ userId: target._id })).toBe(0);
+    });
+  });
+});
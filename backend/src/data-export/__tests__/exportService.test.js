@@ -0,0 +1,197 @@
+const { Writable } = require('stream');
+const { BankAccount, Transaction, Category, SubCategory, Tag } = require('../../banking/models');
+const { CategoryBudget, MonthlyBudget } = require('../../monthly-budgets/models');
+const { RSUGrant } = require('../../rsu');
+const exportService = require('../services/exportService');
+const { EXPORT_FORMAT_VERSION } = require('../services/exportService');
+
+// Collects everything written to it, the way a response body would arrive.
+const collector = () => {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  stream.buffer = () => Buffer.concat(chunks);
+  stream.text = () => stream.buffer().toString('utf8');
+  return stream;
+};
+
+describe('exportService', () => {
+  let user;
+  let account;
+  let otherAccount;
+  let category;
+  let subCategory;
+  let tag;
+
+  const createTransaction = (overrides = {}) => Transaction.create({
+    identifier: `tx-${Math.random()}`,
+    userId: user._id,
+    accountId: account._id,
+    amount: -100,
+    currency: 'ILS',
+    date: new Date('2025-03-10'),
+    type: 'Expense',
+    description: 'Supermarket',
+    rawData: {},
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Transaction.deleteMany({}), BankAccount.deleteMany({}), Category.deleteMany({}),
+      SubCategory.deleteMany({}), Tag.deleteMany({}), CategoryBudget.deleteMany({}),
+      MonthlyBudget.deleteMany({}), RSUGrant.deleteMany({})
+    ]);
+
+    user = await global.createTestUser({ email: 'owner@example.com' });
+    account = await BankAccount.create({
+      userId: user._id, bankId: 'hapoalim', name: 'Checking',
+      credentials: { username: 'u', password: 'p' }
+    });
+    otherAccount = await BankAccount.create({
+      userId: user._id, bankId: 'max', name: 'Card',
+      credentials: { username: 'u2', password: 'p' }
+    });
+    category = await Category.create({ name: 'Food', type: 'Expense', userId: user._id });
+    subCategory = await SubCategory.create({
+      name: 'Groceries', parentCategory: category._id, userId: user._id, keywords: []
+    });
+    tag = await Tag.create({ name: 'Kitchen renovation', userId: user._id });
+  });
+
+  const datasets = (...names) => exportService.resolveDatasets(names);
+
+  describe('csv', () => {
+    it('writes categories, tags and exclusion flags by name', async () => {
+      await createTransaction({
+        category: category._id,
+        subCategory: subCategory._id,
+        tags: [tag._id],
+        excludeFromBudgetCalculation: true,
+        exclusionReason: 'Reimbursed by work'
+      });
+
+      const out = collector();
+      const counts = await exportService.write(out, {
+        userId: user._id, datasets: datasets('transactions'), format: 'csv'
+      });
+
+      const [header, row] = out.text().trim().split('\r\n');
+      expect(counts).toEqual({ transactions: 1 });
+      expect(header).toContain('Excluded From Budget');
+      expect(row).toContain('2025-03-10');
+      expect(row).toContain('Checking');
+      expect(row).toContain('Food,Groceries,Kitchen renovation,true,Reimbursed by work');
+    });
+
+    it('filters transactions by date range and account', async () => {
+      await createTransaction({ description: 'In range' });
+      await createTransaction({ description: 'Too early', date: new Date('2025-01-01') });
+      await createTransaction({ description: 'Other account', accountId: otherAccount._id });
+
+      const out = collector();
+      await exportService.write(out, {
+        userId: user._id,
+        datasets: datasets('transactions'),
+        format: 'csv',
+        filters: {
+          startDate: new Date('2025-03-01'),
+          endDate: new Date('2025-03-31'),
+          accountId: account._id
+        }
+      });
+
+      const text = out.text();
+      expect(text).toContain('In range');
+      expect(text).not.toContain('Too early');
+      expect(text).not.toContain('Other account');
+    });
+
+    it('never includes another user\'s records', async () => {
+      const other = await global.createTestUser({ email: 'other@example.com' });
+      await createTransaction({ userId: other._id, description: 'Not mine' });
+
+      const out = collector();
+      const counts = await exportService.write(out, {
+        userId: user._id, datasets: datasets('transactions'), format: 'csv'
+      });
+
+      expect(counts.transactions).toBe(0);
+      expect(out.text()).not.toContain('Not mine');
+    });
+
+    it('refuses more than one dataset', async () => {
+      await expect(exportService.write(collector(), {
+        userId: user._id, datasets: datasets('transactions', 'rsu-grants'), format: 'csv'
+      })).rejects.toThrow('exactly one dataset');
+    });
+  });
+
+  describe('json archive', () => {
+    it('writes a versioned archive with every requested dataset', async () => {
+      await createTransaction();
+      await CategoryBudget.create({
+        userId: user._id, categoryId: category._id, subCategoryId: subCategory._id,
+        budgetType: 'fixed', fixedAmount: 1500
+      });
+      await MonthlyBudget.create({
+        userId: user._id, year: 2025, month: 3, salaryBudget: 20000,
+        expenseBudgets: [{ categoryId: category._id, subCategoryId: subCategory._id, budgetedAmount: 1500 }]
+      });
+
+      const out = collector();
+      await exportService.write(out, {
+        userId: user._id,
+        datasets: datasets('transactions', 'category-budgets', 'monthly-budgets'),
+        format: 'json',
+        filters: { startDate: new Date('2025-03-01') }
+      });
+
+      const archive = JSON.parse(out.text());
+      expect(archive.format).toBe('gerifinancial-export');
+      expect(archive.version).toBe(EXPORT_FORMAT_VERSION);
+      expect(archive.filters.startDate).toBe('2025-03-01T00:00:00.000Z');
+      expect(archive.datasets.transactions).toHaveLength(1);
+      expect(archive.datasets.transactions[0].date).toBe('2025-03-10T00:00:00.000Z');
+      expect(archive.datasets['category-budgets'][0]).toMatchObject({ m1: 1500, m12: 1500, budgetType: 'fixed' });
+      expect(archive.datasets['monthly-budgets'].map(row => row.kind)).toEqual(['salary', 'expense']);
+    });
+
+    it('stays valid JSON when a dataset is empty', async () => {
+      const out = collector();
+      await exportService.write(out, {
+        userId: user._id, datasets: datasets('rsu-grants', 'rsu-sales'), format: 'json'
+      });
+
+      const archive = JSON.parse(out.text());
+      expect(archive.datasets).toEqual({ 'rsu-grants': [], 'rsu-sales': [] });
+    });
+  });
+
+  describe('xlsx', () => {
+    it('writes a workbook', async () => {
+      await createTransaction();
+
+      const out = collector();
+      const counts = await exportService.write(out, {
+        userId: user._id, datasets: datasets('transactions', 'rsu-grants'), format: 'xlsx'
+      });
+
+      expect(counts).toEqual({ transactions: 1, 'rsu-grants': 0 });
+      // An XLSX file is a zip archive.
+      expect(out.buffer().subarray(0, 2).toString()).toBe('PK');
+    });
+  });
+
+  it('names the file after the dataset or the archive', () => {
+    const now = new Date('2025-05-01T12:00:00Z');
+    expect(exportService.fileName(datasets('transactions'), 'csv', now))
+      .toBe('gerifinancial-transactions-2025-05-01.csv');
+    expect(exportService.fileName(datasets(), 'xlsx', now))
+      .toBe('gerifinancial-archive-2025-05-01.xlsx');
+  });
+});
@@ -0,0 +1,11 @@
+// Data export subsystem public interface
+
+// Services (used by other subsystems)
+const exportService = require('./services/exportService');
+const backupService = require('./services/backupService');
+
+module.exports = {
+  // Services
+  exportService,
+  backupService
+};
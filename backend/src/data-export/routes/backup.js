@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const householdAuth = require('../../shared/middleware/householdAuth');
+const logger = require('../../shared/utils/logger');
+const backupService = require('../services/backupService');
+const { BackupRestoreError } = require('../services/backupService');
+
+router.use(householdAuth);
+
+/**
+ * GET /api/backup
+ * Downloads a full-account backup: every record the user owns, as one JSON
+ * file. Bank credentials are never included.
+ */
+router.get('/', async (req, res) => {
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${backupService.fileName()}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    await backupService.write(res, req.dataOwnerId);
+    if (!res.writableEnded) res.end();
+  } catch (error) {
+    logger.error('Error streaming backup:', error);
+    if (!res.headersSent) {
+      return res.status(error.status || 500).json({ error: 'Failed to create backup' });
+    }
+    // Cut the download short so the browser reports it as failed instead of
+    // saving a truncated backup.
+    res.destroy(error);
+  }
+});
+
+/**
+ * POST /api/backup/restore
+ * Restores a backup file (sent as the JSON request body) into the current
+ * account. The account must have no data yet. Restored bank accounts come back
+ * disabled until their credentials are entered again.
+ */
+router.post('/restore', async (req, res) => {
+  try {
+    const restored = await backupService.restore(req.dataOwnerId, req.body);
+    res.json({ success: true, restored });
+  } catch (error) {
+    if (error instanceof BackupRestoreError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error restoring backup:', error);
+    res.status(500).json({ error: 'Failed to restore backup' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const logger = require('../../shared/utils/logger');
+const exportService = require('../services/exportService');
+const { DATASET_NAMES, userOwnsAccount } = require('../services/exportDatasets');
+
+router.use(householdAuth);
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const filterValidators = [
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  query('accountId').optional().isMongoId()
+];
+
+const parseFilters = (req) => ({
+  startDate: req.query.startDate ? new Date(req.query.startDate) : undefined,
+  endDate: req.query.endDate ? new Date(req.query.endDate) : undefined,
+  accountId: req.query.accountId || undefined
+});
+
+/**
+ * Validates the account filter, sets the download headers and streams the
+ * export. Once the first byte is out the status line has gone with it, so a
+ * failure after that point can only cut the download short - which the browser
+ * reports as a failed download rather than a truncated file.
+ */
+const streamExport = async (req, res, datasets, format) => {
+  const filters = parseFilters(req);
+
+  if (filters.accountId && !(await userOwnsAccount(req.dataOwnerId, filters.accountId))) {
+    return res.status(404).json({ error: 'Bank account not found' });
+  }
+
+  res.setHeader('Content-Type', exportService.contentType(format));
+  res.setHeader('Content-Disposition', `attachment; filename="${exportService.fileName(datasets, format)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    await exportService.write(res, { userId: req.dataOwnerId, datasets, format, filters });
+    if (!res.writableEnded) res.end();
+  } catch (error) {
+    logger.error('Error streaming export:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export data' });
+    }
+    res.destroy(error);
+  }
+};
+
+/**
+ * GET /api/export/datasets
+ * Lists what can be exported, for building the export menu.
+ */
+router.get('/datasets', (req, res) => {
+  res.json({
+    formats: exportService.getFormats(),
+    datasets: exportService.listDatasets()
+  });
+});
+
+/**
+ * GET /api/export?format=xlsx|json&datasets=transactions,rsu-grants
+ * Exports several datasets as one workbook (a sheet each) or one JSON archive.
+ * Without `datasets`, everything is included.
+ */
+router.get('/',
+  [
+    query('format').optional().isIn(['xlsx', 'json']),
+    query('datasets').optional().isString().custom(value =>
+      value.split(',').every(name => DATASET_NAMES.includes(name.trim()))
+    ).withMessage('Unknown dataset'),
+    ...filterValidators
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const names = req.query.datasets ? req.query.datasets.split(',').map(name => name.trim()) : [];
+    await streamExport(req, res, exportService.resolveDatasets(names), req.query.format || 'json');
+  }
+);
+
+/**
+ * GET /api/export/:dataset?format=csv|xlsx|json&startDate=&endDate=&accountId=
+ * Exports a single dataset.
+ */
+router.get('/:dataset',
+  [
+    param('dataset').isIn(DATASET_NAMES),
+    query('format').optional().isIn(exportService.getFormats()),
+    ...filterValidators
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const datasets = exportService.resolveDatasets([req.params.dataset]);
+    await streamExport(req, res, datasets, req.query.format || 'csv');
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('../../shared/utils/logger');
+const { writeChunk } = require('../utils/stream');
+const { User } = require('../../auth');
+const {
+  BankAccount, BalanceSnapshot, CreditCard, Transaction, Tag, ManualCategorized,
+  TransactionExclusion, TransferMatch, SyncRun, Category, SubCategory
+} = require('../../banking/models');
+const {
+  BudgetScenario, CategoryBudget, MonthlyBudget, TransactionPattern, YearlyBudget
+} = require('../../monthly-budgets/models');
+const { ProjectBudget } = require('../../project-budgets/models');
+const { RSUGrant, RSUSale } = require('../../rsu');
+const {
+  Investment, InvestmentSnapshot, InvestmentTransaction, Portfolio, PortfolioSnapshot
+} = require('../../investments');
+const { PensionAccount, PensionSnapshot } = require('../../pension/models');
+const { RealEstateInvestment } = require('../../real-estate/models');
+const { ForeignCurrencyAccount } = require('../../foreign-currency/models');
+const { ImportProfile } = require('../../statement-import/models');
+const { TransactionRule } = require('../../rules/models');
+const { Merchant } = require('../../merchants/models');
+const { Subscription } = require('../../subscriptions/models');
+const { SavingsGoal } = require('../../savings-goals/models');
+const { NotificationRule } = require('../../notifications/models');
+const { FILE_IMPORT_BANK_ID } = require('../../banking/constants/enums');
+
+const { ObjectId, EJSON } = mongoose.mongo.BSON;
+
+// Bumped whenever a collection is added, renamed or changes shape in a way an
+// older restore could not read.
+const BACKUP_FORMAT_VERSION = 6;
+const BACKUP_FORMAT_NAME = 'gerifinancial-backup';
+
+const RESTORED_ACCOUNT_MESSAGE = 'Restored from backup - re-enter credentials to resume syncing';
+
+/**
+ * Every user-owned collection, in the order it is written. Each is selected by
+ * `userId`. Shared reference data (stock prices, exchange rates) is rebuilt by
+ * the app and is not part of a user's backup.
+ *
+ * `sanitize` runs on the way out and decides what never leaves the database;
+ * `prepare` runs on the way in, after ids have been remapped.
+ */
+const COLLECTIONS = [
+  {
+    name: 'bankAccounts',
+    model: BankAccount,
+    // Credentials are never written to a backup, and the archive carries no
+    // encryption key that could open them anyway.
+    sanitize: ({ credentials, ...doc }) => doc,
+    // Without credentials an account cannot sync. It comes back disabled, so
+    // the scheduler leaves it alone until the user re-enters them. Statement-
+    // import accounts never had credentials and come back as they were.
+    prepare: ({ credentials, ...doc }) => ({
+      ...doc,
+      ...(doc.bankId !== FILE_IMPORT_BANK_ID && {
+        status: 'disabled',
+        lastError: { message: RESTORED_ACCOUNT_MESSAGE, date: new Date() }
+      }),
+      scrapingStatus: { isActive: false, status: 'idle', progress: 0 }
+    })
+  },
+  { name: 'creditCards', model: CreditCard },
+  { name: 'categories', model: Category },
+  { name: 'subCategories', model: SubCategory },
+  { name: 'tags', model: Tag },
+  { name: 'manualCategorized', model: ManualCategorized },
+  { name: 'merchants', model: Merchant },
+  { name: 'transactions', model: Transaction },
+  { name: 'transactionExclusions', model: TransactionExclusion },
+  { name: 'transferMatches', model: TransferMatch },
+  { name: 'subscriptions', model: Subscription },
+  { name: 'balanceSnapshots', model: BalanceSnapshot },
+  { name: 'monthlyBudgets', model: MonthlyBudget },
+  { name: 'yearlyBudgets', model: YearlyBudget },
+  { name: 'categoryBudgets', model: CategoryBudget },
+  { name: 'budgetScenarios', model: BudgetScenario },
+  {
+    name: 'transactionPatterns',
+    model: TransactionPattern,
+    // patternId is unique across all users, so restoring next to the
+    // original account would collide with it.
+    prepare: (doc) => ({ ...doc, patternId: crypto.randomUUID() })
+  },
+  { name: 'projectBudgets', model: ProjectBudget },
+  { name: 'rsuGrants', model: RSUGrant },
+  { name: 'rsuSales', model: RSUSale },
+  { name: 'portfolios', model: Portfolio },
+  { name: 'portfolioSnapshots', model: PortfolioSnapshot },
+  { name: 'investments', model: Investment },
+  { name: 'investmentTransactions', model: InvestmentTransaction },
+  { name: 'investmentSnapshots', model: InvestmentSnapshot },
+  { name: 'pensionAccounts', model: PensionAccount },
+  { name: 'pensionSnapshots', model: PensionSnapshot },
+  { name: 'realEstateInvestments', model: RealEstateInvestment },
+  { name: 'foreignCurrencyAccounts', model: ForeignCurrencyAccount },
+  { name: 'savingsGoals', model: SavingsGoal },
+  { name: 'importProfiles', model: ImportProfile },
+  { name: 'transactionRules', model: TransactionRule },
+  { name: 'notificationRules', model: NotificationRule }
+];
+
+// User-owned records that are deleted with the account but left out of
+// backups on purpose. Sync runs are a short-lived log of what the scheduler
+// did with accounts that a restore brings back disabled, and they expire on
+// their own, so there is nothing in them worth carrying over.
+const UNBACKED_COLLECTIONS = [
+  { name: 'syncRuns', model: SyncRun }
+];
+
+// The parts of the user document that are settings rather than identity. The
+// GitHub identity and the credential key belong to whoever restores.
+const USER_FIELDS = ['displayCurrency', 'settings', 'onboarding'];
+
+const INSERT_BATCH_SIZE = 1000;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+class BackupRestoreError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'BackupRestoreError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const isObjectId = (value) => value?._bsontype === 'ObjectId';
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const pick = (source, fields) => {
+  const out = {};
+  for (const field of fields) {
+    if (source && source[field] !== undefined) out[field] = source[field];
+  }
+  return out;
+};
+
+// Finds every _id in a document, top-level and embedded alike: subdocument ids
+// are referenced too (installments, expense budget lines), so they move with
+// everything else.
+const collectIds = (value, ids) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectIds(item, ids));
+  } else if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (key === '_id' && isObjectId(child)) ids.add(child.toHexString());
+      collectIds(child, ids);
+    }
+  }
+};
+
+// Rewrites every id the map knows about. Ids kept as strings - in rawData and
+// other free-form fields - are swapped too; anything the map does not know is a
+// reference outside the backup and is left as it was.
+const remapIds = (value, idMap) => {
+  if (isObjectId(value)) {
+    return idMap.get(value.toHexString()) || value;
+  }
+  if (typeof value === 'string' && OBJECT_ID_PATTERN.test(value)) {
+    const mapped = idMap.get(value.toLowerCase());
+    return mapped ? mapped.toHexString() : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap));
+  }
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [key, child] of Object.entries(value)) {
+      out[key] = remapIds(child, idMap);
+    }
+    return out;
+  }
+  return value;
+};
+
+/**
+ * Full-account backup and restore.
+ *
+ * A backup is one JSON document holding every record the user owns, written
+ * as Extended JSON so ObjectIds and dates survive the round trip exactly. It is
+ * streamed collection by collection through cursors, like the export.
+ *
+ * A restore loads a backup into an account that has no data yet. Every id in
+ * the archive is replaced with a fresh one and every reference rewritten to
+ * match, so a backup can be restored next to the account it came from - on the
+ * same database - without either seeing the other's records.
+ */
+class BackupService {
+  listCollections() {
+    return COLLECTIONS.map(collection => collection.name);
+  }
+
+  fileName(now = new Date()) {
+    return `gerifinancial-backup-${now.toISOString().slice(0, 10)}.json`;
+  }
+
+  async write(stream, userId, now = new Date()) {
+    const user = await User.findById(userId).select(USER_FIELDS.join(' ')).lean();
+    if (!user) {
+      throw new BackupRestoreError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    const header = {
+      format: BACKUP_FORMAT_NAME,
+      version: BACKUP_FORMAT_VERSION,
+      createdAt: now.toISOString(),
+      source: { userId: String(userId) },
+      user: EJSON.serialize(pick(user, USER_FIELDS), { relaxed: true })
+    };
+    // The header is serialised whole and reopened, so the archive stays valid
+    // JSON however its fields change.
+    await writeChunk(stream, `${JSON.stringify(header).slice(0, -1)},"collections":{`);
+
+    const counts = {};
+    for (let i = 0; i < COLLECTIONS.length; i++) {
+      const { name, model, sanitize } = COLLECTIONS[i];
+      await writeChunk(stream, `${i > 0 ? ',' : ''}${JSON.stringify(name)}:[`);
+
+      let count = 0;
+      for await (const doc of model.find({ userId }).lean().cursor()) {
+        const clean = sanitize ? sanitize(doc) : doc;
+        await writeChunk(stream, `${count > 0 ? ',' : ''}${EJSON.stringify(clean, { relaxed: true })}`);
+        count++;
+      }
+      await writeChunk(stream, ']');
+      counts[name] = count;
+    }
+
+    await writeChunk(stream, '}}');
+    return counts;
+  }
+
+  /**
+   * Checks that an uploaded document is a backup this version can read, and
+   * turns its Extended JSON back into ObjectIds and dates.
+   */
+  parse(archive) {
+    if (!isPlainObject(archive) || archive.format !== BACKUP_FORMAT_NAME) {
+      throw new BackupRestoreError('INVALID_BACKUP', 'Not a GeriFinancial backup file');
+    }
+    if (!Number.isInteger(archive.version) || archive.version > BACKUP_FORMAT_VERSION) {
+      throw new BackupRestoreError(
+        'UNSUPPORTED_VERSION',
+        `Backup version ${archive.version} is not supported (newest known: ${BACKUP_FORMAT_VERSION})`
+      );
+    }
+    if (!isPlainObject(archive.collections)) {
+      throw new BackupRestoreError('INVALID_BACKUP', 'Backup has no collections');
+    }
+
+    const collections = {};
+    for (const { name } of COLLECTIONS) {
+      const docs = archive.collections[name] || [];
+      if (!Array.isArray(docs)) {
+        throw new BackupRestoreError('INVALID_BACKUP', `Collection ${name} is not a list`);
+      }
+      collections[name] = EJSON.deserialize(docs, { relaxed: true });
+    }
+
+    return {
+      sourceUserId: archive.source?.userId,
+      user: archive.user ? EJSON.deserialize(archive.user, { relaxed: true }) : {},
+      collections
+    };
+  }
+
+  /**
+   * Removes every record backed up for the user, collection by collection.
+   * Used when the account itself is being deleted.
+   *
+   * @returns {Promise<Object>} Number of records removed per collection
+   */
+  async deleteAllData(userId) {
+    const counts = {};
+    for (const { name, model } of [...COLLECTIONS, ...UNBACKED_COLLECTIONS]) {
+      const { deletedCount } = await model.deleteMany({ userId });
+      counts[name] = deletedCount;
+    }
+    return counts;
+  }
+
+  async isAccountEmpty(userId) {
+    for (const { model } of COLLECTIONS) {
+      if (await model.exists({ userId })) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Restores a backup into the given user's account, which must be empty.
+   * Either everything lands or nothing does: a failure part-way removes what
+   * had already been inserted.
+   *
+   * @param {string} userId - The account to restore into
+   * @param {Object} archive - The parsed backup JSON
+   * @returns {Promise<Object>} Number of records restored per collection
+   */
+  async restore(userId, archive) {
+    const { sourceUserId, user, collections } = this.parse(archive);
+    const targetUserId = new ObjectId(String(userId));
+
+    if (!(await this.isAccountEmpty(targetUserId))) {
+      throw new BackupRestoreError(
+        'ACCOUNT_NOT_EMPTY',
+        'Backups can only be restored into an account with no data',
+        409
+      );
+    }
+
+    const ids = new Set();
+    Object.values(collections).forEach(docs => collectIds(docs, ids));
+    const idMap = new Map([...ids].map(id => [id.toLowerCase(), new ObjectId()]));
+    if (sourceUserId && OBJECT_ID_PATTERN.test(sourceUserId)) {
+      idMap.set(sourceUserId.toLowerCase(), targetUserId);
+    }
+
+    const inserted = [];
+    const counts = {};
+    try {
+      for (const { name, model, prepare } of COLLECTIONS) {
+        const docs = collections[name].map(doc => {
+          const remapped = { ...remapIds(doc, idMap), userId: targetUserId };
+          return prepare ? prepare(remapped) : remapped;
+        });
+
+        for (let start = 0; start < docs.length; start += INSERT_BATCH_SIZE) {
+          const batch = docs.slice(start, start + INSERT_BATCH_SIZE);
+          // Straight to the driver: these are stored documents, not new input,
+          // and save hooks would re-encrypt or re-derive fields that are
+          // already in their final form.
+          await model.collection.insertMany(batch, { ordered: true });
+          inserted.push({ model, ids: batch.map(doc => doc._id) });
+        }
+        counts[name] = docs.length;
+      }
+    } catch (error) {
+      logger.error(`Restore into user ${userId} failed, rolling back:`, error);
+      await this.rollback(inserted);
+      if (error.code === 11000) {
+        throw new BackupRestoreError('CONFLICT', 'Backup conflicts with existing records', 409);
+      }
+      throw error;
+    }
+
+    const settings = pick(remapIds(user, idMap), USER_FIELDS);
+    if (Object.keys(settings).length > 0) {
+      await User.collection.updateOne({ _id: targetUserId }, { $set: settings });
+    }
+
+    logger.info(`Restored backup into user ${userId}: ${JSON.stringify(counts)}`);
+    return counts;
+  }
+
+  async rollback(inserted) {
+    for (const { model, ids } of inserted) {
+      try {
+        await model.collection.deleteMany({ _id: { $in: ids } });
+      } catch (error) {
+        logger.error(`Rollback of ${model.modelName} failed:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new BackupService();
+module.exports.BackupService = BackupService;
+module.exports.BackupRestoreError = BackupRestoreError;
+module.exports.BACKUP_FORMAT_VERSION = BACKUP_FORMAT_VERSION;
+module.exports.BACKUP_FORMAT_NAME = BACKUP_FORMAT_NAME;
+module.exports.RESTORED_ACCOUNT_MESSAGE = RESTORED_ACCOUNT_MESSAGE;
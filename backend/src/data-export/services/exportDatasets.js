@@ -0,0 +1,479 @@
+const { Transaction, BankAccount } = require('../../banking');
+const { MonthlyBudget, CategoryBudget } = require('../../monthly-budgets/models');
+const { RSUGrant, RSUSale } = require('../../rsu');
+const { Investment } = require('../../investments');
+const { RealEstateInvestment } = require('../../real-estate/models');
+
+/**
+ * The record sets a user can export.
+ *
+ * Every dataset is described the same way - a list of columns and an async
+ * generator of flat rows - so CSV, XLSX and the JSON archive are three
+ * renderings of one definition rather than three exports that drift apart.
+ * Rows hold plain values (strings, numbers, booleans, Dates); formatting is the
+ * writer's job.
+ *
+ * Generators read through a cursor. A user with years of scraped history has
+ * tens of thousands of transactions, and an export that loaded them all before
+ * writing the first byte would hold the whole set in memory for the length of
+ * the download.
+ *
+ * Filters are { startDate, endDate, accountId }. A dataset ignores a filter it
+ * has no field for - holdings have no date, budgets belong to no account -
+ * rather than returning nothing, because "everything I own in this window" is
+ * what the user asked for.
+ */
+
+const nameOf = (doc) => (doc && doc.name) || '';
+
+const dateRange = (field, { startDate, endDate }) => {
+  if (!startDate && !endDate) return {};
+  const range = {};
+  if (startDate) range.$gte = startDate;
+  if (endDate) range.$lte = endDate;
+  return { [field]: range };
+};
+
+// Budgets are keyed by (year, month) rather than by a date, so a date window is
+// turned into the months it touches.
+const monthKey = (date) => date.getFullYear() * 12 + date.getMonth();
+
+const budgetMonthInRange = (budget, { startDate, endDate }) => {
+  const key = budget.year * 12 + (budget.month - 1);
+  if (startDate && key < monthKey(startDate)) return false;
+  if (endDate && key > monthKey(endDate)) return false;
+  return true;
+};
+
+const transactions = {
+  name: 'transactions',
+  label: 'Transactions',
+  columns: [
+    { key: 'id', header: 'ID' },
+    { key: 'date', header: 'Date' },
+    { key: 'processedDate', header: 'Processed Date' },
+    { key: 'account', header: 'Account' },
+    { key: 'description', header: 'Description' },
+    { key: 'memo', header: 'Memo' },
+    { key: 'amount', header: 'Amount' },
+    { key: 'currency', header: 'Currency' },
+    { key: 'type', header: 'Type' },
+    { key: 'category', header: 'Category' },
+    { key: 'subCategory', header: 'Subcategory' },
+    { key: 'tags', header: 'Tags' },
+    { key: 'excludeFromBudgetCalculation', header: 'Excluded From Budget' },
+    { key: 'exclusionReason', header: 'Exclusion Reason' },
+    { key: 'status', header: 'Status' }
+  ],
+  async *rows(userId, filters) {
+    const query = {
+      userId,
+      ...dateRange('date', filters),
+      ...(filters.accountId ? { accountId: filters.accountId } : {})
+    };
+
+    const cursor = Transaction.find(query)
+      .sort({ date: 1, _id: 1 })
+      .populate('accountId', 'name')
+      .populate('category', 'name')
+      .populate('subCategory', 'name')
+      .populate('tags', 'name')
+      .lean()
+      .cursor();
+
+    for await (const tx of cursor) {
+      yield {
+        id: tx._id.toString(),
+        date: tx.date,
+        processedDate: tx.processedDate,
+        account: nameOf(tx.accountId),
+        description: tx.description,
+        memo: tx.memo,
+        amount: tx.amount,
+        currency: tx.currency,
+        type: tx.type,
+        category: nameOf(tx.category),
+        subCategory: nameOf(tx.subCategory),
+        tags: (tx.tags || []).map(nameOf).filter(Boolean).join('; '),
+        excludeFromBudgetCalculation: Boolean(tx.excludeFromBudgetCalculation),
+        exclusionReason: tx.exclusionReason,
+        status: tx.status
+      };
+    }
+  }
+};
+
+const monthlyBudgets = {
+  name: 'monthly-budgets',
+  label: 'Monthly Budgets',
+  columns: [
+    { key: 'year', header: 'Year' },
+    { key: 'month', header: 'Month' },
+    { key: 'kind', header: 'Kind' },
+    { key: 'category', header: 'Category' },
+    { key: 'subCategory', header: 'Subcategory' },
+    { key: 'budgetedAmount', header: 'Budgeted Amount' },
+    { key: 'currency', header: 'Currency' },
+    { key: 'status', header: 'Status' }
+  ],
+  async *rows(userId, filters) {
+    const cursor = MonthlyBudget.find({ userId })
+      .sort({ year: 1, month: 1 })
+      .populate('otherIncomeBudgets.categoryId', 'name')
+      .populate('expenseBudgets.categoryId', 'name')
+      .populate('expenseBudgets.subCategoryId', 'name')
+      .lean()
+      .cursor();
+
+    for await (const budget of cursor) {
+      if (!budgetMonthInRange(budget, filters)) continue;
+
+      const base = {
+        year: budget.year,
+        month: budget.month,
+        currency: budget.currency,
+        status: budget.status
+      };
+
+      yield { ...base, kind: 'salary', category: 'Salary', subCategory: '', budgetedAmount: budget.salaryBudget || 0 };
+      for (const line of budget.otherIncomeBudgets || []) {
+        yield { ...base, kind: 'income', category: nameOf(line.categoryId), subCategory: '', budgetedAmount: line.amount };
+      }
+      for (const line of budget.expenseBudgets || []) {
+        yield {
+          ...base,
+          kind: 'expense',
+          category: nameOf(line.categoryId),
+          subCategory: nameOf(line.subCategoryId),
+          budgetedAmount: line.budgetedAmount
+        };
+      }
+    }
+  }
+};
+
+const MONTH_COLUMNS = Array.from({ length: 12 }, (_, i) => ({ key: `m${i + 1}`, header: `Month ${i + 1}` }));
+
+const categoryBudgets = {
+  name: 'category-budgets',
+  label: 'Category Budgets',
+  columns: [
+    { key: 'category', header: 'Category' },
+    { key: 'subCategory', header: 'Subcategory' },
+    { key: 'budgetType', header: 'Budget Type' },
+    ...MONTH_COLUMNS,
+    { key: 'currency', header: 'Currency' },
+    { key: 'isActive', header: 'Active' },
+    { key: 'notes', header: 'Notes' }
+  ],
+  async *rows(userId) {
+    const cursor = CategoryBudget.find({ userId })
+      .populate('categoryId', 'name')
+      .populate('subCategoryId', 'name')
+      .lean()
+      .cursor();
+
+    for await (const budget of cursor) {
+      // One column per month for both kinds, so fixed and variable budgets sit
+      // in the same table and sum the same way.
+      const months = {};
+      for (let month = 1; month <= 12; month++) {
+        const variable = (budget.monthlyAmounts || []).find(entry => entry.month === month);
+        months[`m${month}`] = budget.budgetType === 'fixed' ? budget.fixedAmount : (variable ? variable.amount : 0);
+      }
+
+      yield {
+        category: nameOf(budget.categoryId),
+        subCategory: nameOf(budget.subCategoryId),
+        budgetType: budget.budgetType,
+        ...months,
+        currency: budget.currency,
+        isActive: budget.isActive,
+        notes: budget.notes
+      };
+    }
+  }
+};
+
+const rsuGrants = {
+  name: 'rsu-grants',
+  label: 'RSU Grants',
+  columns: [
+    { key: 'id', header: 'ID' },
+    { key: 'stockSymbol', header: 'Symbol' },
+    { key: 'name', header: 'Name' },
+    { key: 'company', header: 'Company' },
+    { key: 'grantDate', header: 'Grant Date' },
+    { key: 'totalShares', header: 'Total Shares' },
+    { key: 'vestedShares', header: 'Vested Shares' },
+    { key: 'pricePerShare', header: 'Grant Price Per Share' },
+    { key: 'totalValue', header: 'Grant Value' },
+    { key: 'currentPrice', header: 'Current Price' },
+    { key: 'currentValue', header: 'Current Value' },
+    { key: 'vestingPlan', header: 'Vesting Plan' },
+    { key: 'status', header: 'Status' }
+  ],
+  async *rows(userId, filters) {
+    const cursor = RSUGrant.find({ userId, ...dateRange('grantDate', filters) })
+      .sort({ grantDate: 1 })
+      .lean()
+      .cursor();
+
+    const now = Date.now();
+    for await (const grant of cursor) {
+      // Computed here because lean documents carry no virtuals.
+      const vestedShares = (grant.vestingSchedule || [])
+        .filter(entry => entry.vestDate && new Date(entry.vestDate).getTime() <= now)
+        .reduce((sum, entry) => sum + (entry.shares || 0), 0);
+
+      yield {
+        id: grant._id.toString(),
+        stockSymbol: grant.stockSymbol,
+        name: grant.name,
+        company: grant.company,
+        grantDate: grant.grantDate,
+        totalShares: grant.totalShares,
+        vestedShares,
+        pricePerShare: grant.pricePerShare,
+        totalValue: grant.totalValue,
+        currentPrice: grant.currentPrice,
+        currentValue: grant.currentValue,
+        vestingPlan: grant.vestingPlan,
+        status: grant.status
+      };
+    }
+  }
+};
+
+const rsuSales = {
+  name: 'rsu-sales',
+  label: 'RSU Sales',
+  columns: [
+    { key: 'id', header: 'ID' },
+    { key: 'grantId', header: 'Grant ID' },
+    { key: 'stockSymbol', header: 'Symbol' },
+    { key: 'saleDate', header: 'Sale Date' },
+    { key: 'sharesAmount', header: 'Shares' },
+    { key: 'pricePerShare', header: 'Price Per Share' },
+    { key: 'totalSaleValue', header: 'Sale Value' },
+    { key: 'profit', header: 'Profit' },
+    { key: 'isLongTerm', header: 'Long Term' },
+    { key: 'wageIncomeTax', header: 'Wage Income Tax' },
+    { key: 'capitalGainsTax', header: 'Capital Gains Tax' },
+    { key: 'totalTax', header: 'Total Tax' },
+    { key: 'netValue', header: 'Net Value' }
+  ],
+  async *rows(userId, filters) {
+    const cursor = RSUSale.find({ userId, ...dateRange('saleDate', filters) })
+      .sort({ saleDate: 1 })
+      .populate('grantId', 'stockSymbol')
+      .lean()
+      .cursor();
+
+    for await (const sale of cursor) {
+      const tax = sale.taxCalculation || {};
+      yield {
+        id: sale._id.toString(),
+        grantId: sale.grantId ? sale.grantId._id.toString() : '',
+        stockSymbol: sale.grantId ? sale.grantId.stockSymbol : '',
+        saleDate: sale.saleDate,
+        sharesAmount: sale.sharesAmount,
+        pricePerShare: sale.pricePerShare,
+        totalSaleValue: sale.totalSaleValue,
+        profit: tax.profit,
+        isLongTerm: tax.isLongTerm,
+        wageIncomeTax: tax.wageIncomeTax,
+        capitalGainsTax: tax.capitalGainsTax,
+        totalTax: tax.totalTax,
+        netValue: tax.netValue
+      };
+    }
+  }
+};
+
+const investmentHoldings = {
+  name: 'investment-holdings',
+  label: 'Investment Holdings',
+  columns: [
+    { key: 'account', header: 'Account' },
+    { key: 'accountNumber', header: 'Account Number' },
+    { key: 'symbol', header: 'Symbol' },
+    { key: 'name', header: 'Name' },
+    { key: 'holdingType', header: 'Holding Type' },
+    { key: 'quantity', header: 'Quantity' },
+    { key: 'currentPrice', header: 'Current Price' },
+    { key: 'marketValue', header: 'Market Value' },
+    { key: 'costBasis', header: 'Cost Basis' },
+    { key: 'currency', header: 'Currency' },
+    { key: 'lastUpdated', header: 'Last Updated' }
+  ],
+  async *rows(userId, filters) {
+    const query = { userId, ...(filters.accountId ? { bankAccountId: filters.accountId } : {}) };
+    const cursor = Investment.find(query).sort({ accountName: 1 }).lean().cursor();
+
+    for await (const investment of cursor) {
+      const account = investment.accountName || investment.accountNumber;
+      for (const holding of investment.holdings || []) {
+        yield {
+          account,
+          accountNumber: investment.accountNumber,
+          symbol: holding.symbol,
+          name: holding.name,
+          holdingType: holding.holdingType,
+          quantity: holding.quantity,
+          currentPrice: holding.currentPrice,
+          marketValue: holding.marketValue,
+          costBasis: holding.costBasis,
+          currency: holding.currency || investment.currency,
+          lastUpdated: investment.lastUpdated
+        };
+      }
+      // Cash is a holding in every sense that matters to someone reconciling
+      // the export against a broker statement.
+      if (investment.cashBalance) {
+        yield {
+          account,
+          accountNumber: investment.accountNumber,
+          symbol: 'CASH',
+          name: 'Cash balance',
+          holdingType: 'cash',
+          quantity: investment.cashBalance,
+          currentPrice: 1,
+          marketValue: investment.cashBalance,
+          costBasis: investment.cashBalance,
+          currency: investment.currency,
+          lastUpdated: investment.lastUpdated
+        };
+      }
+    }
+  }
+};
+
+const realEstate = {
+  name: 'real-estate',
+  label: 'Real Estate',
+  columns: [
+    { key: 'id', header: 'ID' },
+    { key: 'name', header: 'Name' },
+    { key: 'type', header: 'Type' },
+    { key: 'status', header: 'Status' },
+    { key: 'address', header: 'Address' },
+    { key: 'currency', header: 'Currency' },
+    { key: 'totalInvestment', header: 'Total Investment' },
+    { key: 'estimatedCurrentValue', header: 'Estimated Current Value' },
+    { key: 'paidInstallments', header: 'Paid Installments' },
+    { key: 'pendingInstallments', header: 'Pending Installments' },
+    { key: 'rentalIncomeReceived', header: 'Rental Income Received' },
+    { key: 'salePrice', header: 'Sale Price' },
+    { key: 'saleDate', header: 'Sale Date' },
+    { key: 'linkedAccount', header: 'Linked Account' }
+  ],
+  async *rows(userId, filters) {
+    const query = { userId, ...(filters.accountId ? { linkedBankAccountId: filters.accountId } : {}) };
+    const cursor = RealEstateInvestment.find(query)
+      .sort({ name: 1 })
+      .populate('linkedBankAccountId', 'name')
+      .lean()
+      .cursor();
+
+    for await (const investment of cursor) {
+      const installments = investment.installments || [];
+      const sum = (items) => items.reduce((total, item) => total + (item || 0), 0);
+
+      yield {
+        id: investment._id.toString(),
+        name: investment.name,
+        type: investment.type,
+        status: investment.status,
+        address: investment.address,
+        currency: investment.currency,
+        totalInvestment: investment.totalInvestment,
+        estimatedCurrentValue: investment.estimatedCurrentValue,
+        paidInstallments: sum(installments.filter(i => i.status === 'paid').map(i => i.amount)),
+        pendingInstallments: sum(installments.filter(i => i.status !== 'paid').map(i => i.amount)),
+        rentalIncomeReceived: sum((investment.rentalIncome || [])
+          .filter(r => r.received)
+          .map(r => r.actualAmount ?? r.expectedAmount)),
+        salePrice: investment.salePrice,
+        saleDate: investment.saleDate,
+        linkedAccount: nameOf(investment.linkedBankAccountId)
+      };
+    }
+  }
+};
+
+const realEstateInstallments = {
+  name: 'real-estate-installments',
+  label: 'Real Estate Installments',
+  columns: [
+    { key: 'investment', header: 'Investment' },
+    { key: 'description', header: 'Description' },
+    { key: 'installmentType', header: 'Installment Type' },
+    { key: 'dueDate', header: 'Due Date' },
+    { key: 'amount', header: 'Amount' },
+    { key: 'currency', header: 'Currency' },
+    { key: 'status', header: 'Status' },
+    { key: 'paidDate', header: 'Paid Date' },
+    { key: 'linkedTransactions', header: 'Linked Transactions' }
+  ],
+  async *rows(userId, filters) {
+    const query = { userId, ...(filters.accountId ? { linkedBankAccountId: filters.accountId } : {}) };
+    const cursor = RealEstateInvestment.find(query).sort({ name: 1 }).lean().cursor();
+
+    for await (const investment of cursor) {
+      const installments = [...(investment.installments || [])]
+        .sort((a, b) => new Date(a.dueDate || 0) - new Date(b.dueDate || 0));
+
+      for (const installment of installments) {
+        const due = installment.dueDate ? new Date(installment.dueDate) : null;
+        if (due && filters.startDate && due < filters.startDate) continue;
+        if (due && filters.endDate && due > filters.endDate) continue;
+
+        yield {
+          investment: investment.name,
+          description: installment.description,
+          installmentType: installment.installmentType,
+          dueDate: installment.dueDate,
+          amount: installment.amount,
+          currency: installment.currency || investment.currency,
+          status: installment.status,
+          paidDate: installment.paidDate,
+          linkedTransactions: (installment.linkedTransactions || []).length
+        };
+      }
+    }
+  }
+};
+
+const DATASETS = [
+  transactions,
+  monthlyBudgets,
+  categoryBudgets,
+  rsuGrants,
+  rsuSales,
+  investmentHoldings,
+  realEstate,
+  realEstateInstallments
+];
+
+const DATASET_NAMES = DATASETS.map(dataset => dataset.name);
+
+const getDataset = (name) => DATASETS.find(dataset => dataset.name === name) || null;
+
+/**
+ * An account filter is only honoured for an account the user owns. The dataset
+ * queries all include userId, so a foreign id could never leak another user's
+ * rows - but it would quietly produce an empty file, which reads as "you have
+ * no transactions" rather than "that is not your account".
+ */
+const userOwnsAccount = async (userId, accountId) => {
+  const count = await BankAccount.countDocuments({ _id: accountId, userId });
+  return count > 0;
+};
+
+module.exports = {
+  DATASETS,
+  DATASET_NAMES,
+  getDataset,
+  userOwnsAccount
+};
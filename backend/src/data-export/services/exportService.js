@@ -0,0 +1,179 @@
+const ExcelJS = require('exceljs');
+const logger = require('../../shared/utils/logger');
+const { toCsvLine } = require('../utils/csv');
+const { writeChunk } = require('../utils/stream');
+const { DATASETS, getDataset } = require('./exportDatasets');
+
+// Bumped whenever a dataset's columns change meaning, so anything reading an
+// archive can tell which layout it is looking at.
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_FORMAT_NAME = 'gerifinancial-export';
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Excel caps sheet names at 31 characters.
+const sheetName = (dataset) => dataset.label.slice(0, 31);
+
+const toJsonValue = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  return value === undefined ? null : value;
+};
+
+const toJsonRow = (dataset, row) => {
+  const out = {};
+  for (const column of dataset.columns) {
+    out[column.key] = toJsonValue(row[column.key]);
+  }
+  return out;
+};
+
+/**
+ * Streams a user's records out as CSV, XLSX or a versioned JSON archive.
+ *
+ * The writers never see a Mongoose document: they consume the flat rows the
+ * dataset definitions produce, one at a time, and push them straight to the
+ * response. Nothing is assembled in memory first, so exporting ten years of
+ * history costs the same memory as exporting ten rows.
+ */
+class ExportService {
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  listDatasets() {
+    return DATASETS.map(dataset => ({
+      name: dataset.name,
+      label: dataset.label,
+      columns: dataset.columns.map(column => column.header)
+    }));
+  }
+
+  /**
+   * Names of the datasets to include, in their canonical order. Unknown names
+   * are the caller's validation problem and are dropped here.
+   */
+  resolveDatasets(names) {
+    if (!names || names.length === 0) return DATASETS;
+    return DATASETS.filter(dataset => names.includes(dataset.name));
+  }
+
+  contentType(format) {
+    return FORMATS[format].contentType;
+  }
+
+  fileName(datasets, format, now = new Date()) {
+    const scope = datasets.length === 1 ? datasets[0].name : 'archive';
+    return `gerifinancial-${scope}-${now.toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+  }
+
+  async writeCsv(stream, dataset, userId, filters) {
+    await writeChunk(stream, toCsvLine(dataset.columns.map(column => column.header)));
+    let count = 0;
+    for await (const row of dataset.rows(userId, filters)) {
+      await writeChunk(stream, toCsvLine(dataset.columns.map(column => row[column.key])));
+      count++;
+    }
+    return { [dataset.name]: count };
+  }
+
+  async writeXlsx(stream, datasets, userId, filters) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const counts = {};
+
+    for (const dataset of datasets) {
+      const worksheet = workbook.addWorksheet(sheetName(dataset));
+      worksheet.columns = dataset.columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: Math.max(12, column.header.length + 2)
+      }));
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.getRow(1).commit();
+
+      let count = 0;
+      for await (const row of dataset.rows(userId, filters)) {
+        const values = {};
+        for (const column of dataset.columns) {
+          values[column.key] = row[column.key] ?? null;
+        }
+        worksheet.addRow(values).commit();
+        count++;
+      }
+      worksheet.commit();
+      counts[dataset.name] = count;
+    }
+
+    await workbook.commit();
+    return counts;
+  }
+
+  async writeJson(stream, datasets, userId, filters, now = new Date()) {
+    const header = {
+      format: EXPORT_FORMAT_NAME,
+      version: EXPORT_FORMAT_VERSION,
+      exportedAt: now.toISOString(),
+      filters: {
+        startDate: filters.startDate ? filters.startDate.toISOString() : null,
+        endDate: filters.endDate ? filters.endDate.toISOString() : null,
+        accountId: filters.accountId ? String(filters.accountId) : null
+      }
+    };
+    // The header is serialised whole and reopened, so the archive stays valid
+    // JSON however its fields change.
+    await writeChunk(stream, `${JSON.stringify(header).slice(0, -1)},"datasets":{`);
+
+    const counts = {};
+    for (let i = 0; i < datasets.length; i++) {
+      const dataset = datasets[i];
+      await writeChunk(stream, `${i > 0 ? ',' : ''}${JSON.stringify(dataset.name)}:[`);
+      let count = 0;
+      for await (const row of dataset.rows(userId, filters)) {
+        await writeChunk(stream, `${count > 0 ? ',' : ''}${JSON.stringify(toJsonRow(dataset, row))}`);
+        count++;
+      }
+      await writeChunk(stream, ']');
+      counts[dataset.name] = count;
+    }
+
+    await writeChunk(stream, '}}');
+    return counts;
+  }
+
+  /**
+   * Writes the export to a stream. CSV holds a single table, so it accepts
+   * exactly one dataset; the other two formats take any number.
+   *
+   * @returns {Promise<Object>} rows written per dataset
+   */
+  async write(stream, { userId, datasets, format, filters = {} }) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    if (format === 'csv' && datasets.length !== 1) {
+      throw new Error('CSV export takes exactly one dataset');
+    }
+
+    let counts;
+    if (format === 'csv') {
+      counts = await this.writeCsv(stream, datasets[0], userId, filters);
+    } else if (format === 'xlsx') {
+      counts = await this.writeXlsx(stream, datasets, userId, filters);
+    } else {
+      counts = await this.writeJson(stream, datasets, userId, filters);
+    }
+
+    logger.info(`Export for user ${userId} (${format}): ${JSON.stringify(counts)}`);
+    return counts;
+  }
+}
+
+const exportService = new ExportService();
+
+module.exports = exportService;
+module.exports.EXPORT_FORMAT_VERSION = EXPORT_FORMAT_VERSION;
+module.exports.EXPORT_FORMAT_NAME = EXPORT_FORMAT_NAME;
+module.exports.getDataset = getDataset;
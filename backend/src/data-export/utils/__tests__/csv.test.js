@@ -0,0 +1,28 @@
+const { toCsvLine, encodeValue } = require('../csv');
+
+describe('csv encoding', () => {
+  it('quotes cells containing separators, quotes and line breaks', () => {
+    expect(encodeValue('Coffee, large')).toBe('"Coffee, large"');
+    expect(encodeValue('say "hi"')).toBe('"say ""hi"""');
+    expect(encodeValue('two\nlines')).toBe('"two\nlines"');
+  });
+
+  it('writes numbers, booleans, dates and empty values plainly', () => {
+    expect(encodeValue(-120.5)).toBe('-120.5');
+    expect(encodeValue(true)).toBe('true');
+    expect(encodeValue(new Date('2025-03-04T10:00:00Z'))).toBe('2025-03-04');
+    expect(encodeValue(null)).toBe('');
+    expect(encodeValue(undefined)).toBe('');
+    expect(encodeValue(NaN)).toBe('');
+  });
+
+  it('neutralises text a spreadsheet would run as a formula', () => {
+    expect(encodeValue('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+    expect(encodeValue('+972 transfer')).toBe("'+972 transfer");
+    expect(encodeValue('@SUM(A1)')).toBe("'@SUM(A1)");
+  });
+
+  it('terminates each line with CRLF', () => {
+    expect(toCsvLine(['a', 1, null])).toBe('a,1,\r\n');
+  });
+});
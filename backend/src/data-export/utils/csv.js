@@ -0,0 +1,45 @@
+/**
+ * CSV encoding for exported rows.
+ *
+ * Kept separate from the export service so the quoting rules can be tested on
+ * their own: they are the part most likely to corrupt a file silently.
+ */
+
+// A spreadsheet treats a cell starting with one of these as a formula.
+// Transaction descriptions are written by whoever moved the money, so a
+// description such as `=HYPERLINK(...)` would otherwise run when the user opens
+// their own export. Numbers are written as numbers and never reach this check,
+// so a negative amount keeps its sign.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatDate = (value) => {
+  if (Number.isNaN(value.getTime())) return '';
+  return value.toISOString().slice(0, 10);
+};
+
+const encodeValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Encodes one row as a CSV line, terminated with CRLF as RFC 4180 asks and
+ * Excel expects.
+ */
+const toCsvLine = (values) => `${values.map(encodeValue).join(',')}\r\n`;
+
+module.exports = {
+  toCsvLine,
+  encodeValue
+};
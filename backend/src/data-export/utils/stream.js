@@ -0,0 +1,13 @@
+/**
+ * Writes a chunk and waits for a slow client instead of buffering the whole
+ * download in memory behind it.
+ */
+const writeChunk = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.write(chunk)) return resolve();
+  const onDrain = () => { stream.off('error', onError); resolve(); };
+  const onError = (error) => { stream.off('drain', onDrain); reject(error); };
+  stream.once('drain', onDrain);
+  stream.once('error', onError);
+});
+
+module.exports = { writeChunk };
@@ -3,14 +3,14 @@ const { body, query, param, validationResult } = require('express-validator');
 const ForeignCurrencyAccount = require('../models/ForeignCurrencyAccount');
 const CurrencyExchange = require('../models/CurrencyExchange');
 const Transaction = require('../../banking/models/Transaction');
-const authMiddleware = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const logger = require('../../shared/utils/logger');
 const currencyExchangeService = require('../services/currencyExchangeService');
 
 const router = express.Router();
 
 // Apply authentication to all foreign currency routes
-router.use(authMiddleware);
+router.use(householdAuth);
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -41,7 +41,7 @@ router.get('/accounts', [
     if (currency) options.currency = currency;
     if (bankAccountId) options.bankAccountId = bankAccountId;
     
-    const accounts = await ForeignCurrencyAccount.getUserAccounts(req.user.id, options);
+    const accounts = await ForeignCurrencyAccount.getUserAccounts(req.dataOwnerId, options);
     
     res.json({
       success: true,
@@ -78,7 +78,7 @@ router.get('/accounts/:accountNumber', [
     
     const account = await ForeignCurrencyAccount.findOne({
       accountNumber: accountNumber,
-      userId: req.user.id
+      userId: req.dataOwnerId
     }).populate('bankAccountId', 'name bankId');
     
     if (!account) {
@@ -133,7 +133,7 @@ router.get('/accounts/:accountNumber/transactions', [
     // Verify account belongs to user
     const account = await ForeignCurrencyAccount.findOne({
       accountNumber: accountNumber,
-      userId: req.user.id
+      userId: req.dataOwnerId
     });
     
     if (!account) {
@@ -145,7 +145,7 @@ router.get('/accounts/:accountNumber/transactions', [
     // Build query - use the MongoDB ObjectId for transaction lookup
     const query = {
       accountId: account._id,
-      userId: req.user.id
+      userId: req.dataOwnerId
     };
     
     if (startDate || endDate) {
@@ -196,7 +196,7 @@ router.get('/accounts/:accountNumber/transactions', [
  */
 router.get('/summary', async (req, res) => {
   try {
-    const summary = await ForeignCurrencyAccount.getCurrencySummary(req.user.id);
+    const summary = await ForeignCurrencyAccount.getCurrencySummary(req.dataOwnerId);
     
     // Get latest exchange rates
     const currencies = summary.map(item => item._id);
@@ -329,7 +329,7 @@ router.put('/accounts/:accountNumber/balance', [
     
     const account = await ForeignCurrencyAccount.findOne({
       accountNumber: accountNumber,
-      userId: req.user.id
+      userId: req.dataOwnerId
     });
     
     if (!account) {
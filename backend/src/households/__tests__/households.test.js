@@ -0,0 +1,151 @@
+// Mock queuedDataSyncService BEFORE any imports to avoid Redis dependency
+jest.mock('../../banking/services/queuedDataSyncService');
+
+const request = require('supertest');
+const app = require('../../app');
+const { User } = require('../../auth');
+const { BankAccount } = require('../../banking/models');
+const { Household } = require('../models');
+const { createTestUser } = require('../../test/testUtils');
+const credentialEncryption = require('../../shared/services/credentialEncryption');
+
+describe('Households', () => {
+  let owner;
+  let ownerToken;
+  let partner;
+  let partnerToken;
+
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+  beforeEach(async () => {
+    await Promise.all([Household.deleteMany({}), BankAccount.deleteMany({})]);
+    ({ user: owner, token: ownerToken } = await createTestUser(User, { email: 'owner@example.com' }));
+    ({ user: partner, token: partnerToken } = await createTestUser(User, {
+      email: 'partner@example.com',
+      githubLogin: 'Partner-Login'
+    }));
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({ _id: { $in: [owner._id, partner._id] } });
+  });
+
+  const joinAs = async (role) => {
+    await request(app).post('/api/households').set(as(ownerToken)).send({ name: 'Home' }).expect(201);
+    const invited = await request(app)
+      .post('/api/households/invitations')
+      .set(as(ownerToken))
+      .send({ githubLogin: '@partner-login', role })
+      .expect(201);
+    const [invitation] = invited.body.data.household.invitations;
+
+    await request(app)
+      .post(`/api/households/invitations/${invitation.id}/accept`)
+      .set(as(partnerToken))
+      .expect(200);
+  };
+
+  it('lets an invited user join and work on the owner\'s records', async () => {
+    const ownAccount = await BankAccount.create({
+      userId: owner._id, bankId: 'file-import', name: 'Joint statements', status: 'active'
+    });
+
+    const pending = await request(app).get('/api/households').set(as(partnerToken)).expect(200);
+    expect(pending.body.data).toMatchObject({ household: null, invitations: [] });
+
+    await joinAs('editor');
+
+    const overview = await request(app).get('/api/households').set(as(partnerToken)).expect(200);
+    expect(overview.body.data.household).toMatchObject({ name: 'Home', role: 'editor' });
+    expect(overview.body.data.household.members.map(m => m.role)).toEqual(['owner', 'editor']);
+
+    const accounts = await request(app).get('/api/bank-accounts').set(as(partnerToken)).expect(200);
+    expect(accounts.body.map(a => a._id)).toEqual([String(ownAccount._id)]);
+
+    // A new member has nothing to onboard
+    const joined = await User.findById(partner._id);
+    expect(joined.onboarding.isComplete).toBe(true);
+  });
+
+  it('invites someone without GitHub by email', async () => {
+    await User.updateOne({ _id: partner._id }, { $unset: { githubId: 1, githubLogin: 1 } });
+    await request(app).post('/api/households').set(as(ownerToken)).send({ name: 'Home' }).expect(201);
+    await request(app)
+      .post('/api/households/invitations')
+      .set(as(ownerToken))
+      .send({ githubLogin: 'partner-login', email: 'partner@example.com', role: 'viewer' })
+      .expect(400);
+    await request(app)
+      .post('/api/households/invitations')
+      .set(as(ownerToken))
+      .send({ email: 'Partner@Example.com', role: 'viewer' })
+      .expect(201);
+
+    const overview = await request(app).get('/api/households').set(as(partnerToken)).expect(200);
+    const [invitation] = overview.body.data.invitations;
+    expect(invitation.householdName).toBe('Home');
+
+    await request(app)
+      .post(`/api/households/invitations/${invitation.id}/accept`)
+      .set(as(partnerToken))
+      .expect(200);
+    expect((await Household.findOne()).roleOf(partner._id)).toBe('viewer');
+  });
+
+  it('keeps viewers to reading', async () => {
+    await joinAs('viewer');
+
+    await request(app).get('/api/bank-accounts').set(as(partnerToken)).expect(200);
+    const refused = await request(app)
+      .post('/api/transactions/tags')
+      .set(as(partnerToken))
+      .send({ name: 'trip' })
+      .expect(403);
+    expect(refused.body.code).toBe('READ_ONLY_MEMBER');
+  });
+
+  it('encrypts a member\'s credentials with their own key and drops them when they leave', async () => {
+    await joinAs('editor');
+    const account = new BankAccount({
+      userId: owner._id,
+      connectedBy: partner._id,
+      bankId: 'hapoalim',
+      name: 'Partner checking',
+      status: 'active',
+      credentials: { username: 'partner', password: 'secret' }
+    });
+    await account.save();
+
+    expect(await credentialEncryption.decryptForUser(partner._id, account.credentials.password)).toBe('secret');
+
+    await request(app).post('/api/households/leave').set(as(partnerToken)).expect(200);
+
+    const released = await BankAccount.findById(account._id).lean();
+    expect(released).toMatchObject({ userId: owner._id, status: 'disabled', connectedBy: null });
+    expect(released.credentials).toBeUndefined();
+
+    const accounts = await request(app).get('/api/bank-accounts').set(as(partnerToken)).expect(200);
+    expect(accounts.body).toEqual([]);
+  });
+
+  it('leaves membership changes to the owner', async () => {
+    await joinAs('editor');
+
+    const invite = await request(app)
+      .post('/api/households/invitations')
+      .set(as(partnerToken))
+      .send({ githubLogin: 'someone', role: 'viewer' })
+      .expect(403);
+    expect(invite.body.code).toBe('OWNER_ONLY');
+
+    const leave = await request(app).post('/api/households/leave').set(as(ownerToken)).expect(400);
+    expect(leave.body.code).toBe('OWNER_CANNOT_LEAVE');
+
+    await request(app)
+      .patch(`/api/households/members/${partner._id}`)
+      .set(as(ownerToken))
+      .send({ role: 'viewer' })
+      .expect(200);
+    expect((await Household.findOne()).roleOf(partner._id)).toBe('viewer');
+  });
+});
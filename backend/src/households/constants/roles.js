@@ -0,0 +1,17 @@
+/**
+ * Household member roles. The owner created the household, manages its members
+ * and keeps its shared records under their own user id; editors change those
+ * records; viewers only read them.
+ */
+const HOUSEHOLD_ROLES = ['owner', 'editor', 'viewer'];
+
+// There is one owner per household, so invitations offer only the others.
+const INVITABLE_ROLES = ['editor', 'viewer'];
+
+const WRITE_ROLES = ['owner', 'editor'];
+
+module.exports = {
+  HOUSEHOLD_ROLES,
+  INVITABLE_ROLES,
+  WRITE_ROLES
+};
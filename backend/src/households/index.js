@@ -0,0 +1,23 @@
+// Households subsystem public interface
+
+// Models (used by other subsystems)
+const { Household } = require('./models');
+
+// Services (used by other subsystems)
+const householdService = require('./services/householdService');
+
+// Constants (used by other subsystems)
+const { HOUSEHOLD_ROLES, INVITABLE_ROLES, WRITE_ROLES } = require('./constants/roles');
+
+module.exports = {
+  // Models
+  Household,
+
+  // Services
+  householdService,
+
+  // Constants
+  HOUSEHOLD_ROLES,
+  INVITABLE_ROLES,
+  WRITE_ROLES
+};
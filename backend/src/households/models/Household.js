@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { HOUSEHOLD_ROLES, INVITABLE_ROLES } = require('../constants/roles');
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: HOUSEHOLD_ROLES,
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Invitations name a GitHub login, or for people without GitHub an email
+// address, rather than carrying a secret code: only the person signed in with
+// that login or verified address can accept, and nothing needs passing on.
+const invitationSchema = new mongoose.Schema({
+  githubLogin: {
+    type: String,
+    required: function() { return !this.email; },
+    trim: true,
+    lowercase: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: INVITABLE_ROLES,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * People who share one set of books. The household's bank accounts,
+ * transactions, budgets, projects and assets are kept under the owner's user
+ * id, so every member reads and writes the same records; see the
+ * householdAuth middleware for how a request is pointed at them.
+ */
+const householdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: (members) => members.filter(member => member.role === 'owner').length === 1,
+      message: 'A household has exactly one owner'
+    }
+  },
+  invitations: [invitationSchema]
+}, {
+  timestamps: true
+});
+
+// A user belongs to at most one household.
+householdSchema.index({ 'members.userId': 1 }, { unique: true });
+householdSchema.index({ 'invitations.githubLogin': 1 });
+householdSchema.index({ 'invitations.email': 1 });
+
+householdSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => m.userId.equals(userId));
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Household', householdSchema);
@@ -0,0 +1,5 @@
+const Household = require('./Household');
+
+module.exports = {
+  Household
+};
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../../shared/middleware/auth');
+const logger = require('../../shared/utils/logger');
+const householdService = require('../services/householdService');
+const { HouseholdError } = require('../services/householdService');
+const { INVITABLE_ROLES } = require('../constants/roles');
+
+// Membership is about the signed-in person, not about whose records they are
+// looking at, so these routes use plain auth rather than householdAuth.
+router.use(auth);
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const nameValidator = body('name').isString().trim().isLength({ min: 1, max: 100 });
+const roleValidator = body('role').isIn(INVITABLE_ROLES);
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof HouseholdError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Every change answers with the household as it now stands, so the client
+// never has to follow up with a GET.
+const respondWithOverview = async (req, res, status = 200) => {
+  const overview = await householdService.getOverview(req.user);
+  res.status(status).json({ success: true, data: overview });
+};
+
+/**
+ * GET /api/households
+ * The user's household, if any, and invitations waiting for them.
+ */
+router.get('/', async (req, res) => {
+  try {
+    await respondWithOverview(req, res);
+  } catch (error) {
+    sendError(res, error, 'Failed to load household');
+  }
+});
+
+/**
+ * POST /api/households
+ * Starts a household with the user as its owner. Their existing records
+ * become the household's.
+ */
+router.post('/', [nameValidator], handleValidationErrors, async (req, res) => {
+  try {
+    await householdService.create(req.user._id, req.body.name);
+    await respondWithOverview(req, res, 201);
+  } catch (error) {
+    sendError(res, error, 'Failed to create household');
+  }
+});
+
+/**
+ * PATCH /api/households
+ */
+router.patch('/', [nameValidator], handleValidationErrors, async (req, res) => {
+  try {
+    await householdService.rename(req.user._id, req.body.name);
+    await respondWithOverview(req, res);
+  } catch (error) {
+    sendError(res, error, 'Failed to rename household');
+  }
+});
+
+/**
+ * DELETE /api/households
+ * Owner only. The records stay with the owner; other members go back to
+ * their own.
+ */
+router.delete('/', async (req, res) => {
+  try {
+    await householdService.deleteHousehold(req.user._id);
+    await respondWithOverview(req, res);
+  } catch (error) {
+    sendError(res, error, 'Failed to delete household');
+  }
+});
+
+/**
+ * POST /api/households/leave
+ */
+router.post('/leave', async (req, res) => {
+  try {
+    await householdService.leave(req.user._id);
+    await respondWithOverview(req, res);
+  } catch (error) {
+    sendError(res, error, 'Failed to leave household');
+  }
+});
+
+/**
+ * POST /api/households/invitations
+ * Invites someone by GitHub login, or by email if they sign in another way.
+ * Only they can accept, once signed in.
+ */
+router.post('/invitations',
+  [
+    body('githubLogin').optional().isString().trim().matches(/^@?[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/),
+    body('email').optional().isString().trim().isEmail(),
+    body().custom(({ githubLogin, email }) => Boolean(githubLogin) !== Boolean(email))
+      .withMessage('Give either a GitHub username or an email address'),
+    roleValidator
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { githubLogin, email } = req.body;
+      await householdService.invite(req.user._id, { githubLogin, email }, req.body.role);
+      await respondWithOverview(req, res, 201);
+    } catch (error) {
+      sendError(res, error, 'Failed to send invitation');
+    }
+  }
+);
+
+/**
+ * DELETE /api/households/invitations/:invitationId
+ * Withdraws an invitation the household sent.
+ */
+router.delete('/invitations/:invitationId', [param('invitationId').isMongoId()], handleValidationErrors, async (req, res) => {
+  try {
+    await householdService.cancelInvitation(req.user._id, req.params.invitationId);
+    await respondWithOverview(req, res);
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel invitation');
+  }
+});
+
+/**
+ * POST /api/households/invitations/:invitationId/accept
+ */
+router.post('/invitations/:invitationId/accept', [param('invitationId').isMongoId()], handleValidationErrors, async (req, res) => {
+  try {
+    await householdService.acceptInvitation(req.user, req.params.invitationId);
+    await respondWithOverview(req, res);
+  } catch (error) {
+    sendError(res, error, 'Failed to join household');
+  }
+});
+
+/**
+ * POST /api/households/invitations/:invitationId/decline
+ */
+router.post('/invitations/:invitationId/decline', [param('invitationId').isMongoId()], handleValidationErrors, async (req, res) => {
+  try {
+    await householdService.declineInvitation(req.user, req.params.invitationId);
+    await respondWithOverview(req, res);
+  } catch (error) {
+    sendError(res, error, 'Failed to decline invitation');
+  }
+});
+
+/**
+ * PATCH /api/households/members/:userId
+ * Makes a member an editor or a viewer.
+ */
+router.patch('/members/:userId', [param('userId').isMongoId(), roleValidator], handleValidationErrors, async (req, res) => {
+  try {
+    await householdService.changeRole(req.user._id, req.params.userId, req.body.role);
+    await respondWithOverview(req, res);
+  } catch (error) {
+    sendError(res, error, 'Failed to change member role');
+  }
+});
+
+/**
+ * DELETE /api/households/members/:userId
+ */
+router.delete('/members/:userId', [param('userId').isMongoId()], handleValidationErrors, async (req, res) => {
+  try {
+    await householdService.removeMember(req.user._id, req.params.userId);
+    await respondWithOverview(req, res);
+  } catch (error) {
+    sendError(res, error, 'Failed to remove member');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+const { Household } = require('../models');
+const { User } = require('../../auth');
+const { bankAccountService } = require('../../banking');
+const logger = require('../../shared/utils/logger');
+const { INVITABLE_ROLES } = require('../constants/roles');
+
+class HouseholdError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'HouseholdError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const MEMBER_FIELDS = 'name githubLogin avatarUrl';
+
+const normalizeLogin = (login) => String(login || '').trim().replace(/^@/, '').toLowerCase();
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Matches invitations addressed to the user by GitHub login or by email.
+const addressedTo = (user) => {
+  const clauses = [];
+  if (user.githubLogin) clauses.push({ githubLogin: normalizeLogin(user.githubLogin) });
+  if (user.email) clauses.push({ email: normalizeEmail(user.email) });
+  return clauses;
+};
+
+const isAddressedTo = (invitation, user) => addressedTo(user)
+  .some(clause => Object.entries(clause).every(([field, value]) => invitation[field] === value));
+
+/**
+ * Households let several signed-in users share one set of books. Membership is
+ * checked here rather than in the routes, so every method takes the acting
+ * user and refuses what their role does not allow.
+ */
+class HouseholdService {
+  async findForUser(userId) {
+    return Household.findOne({ 'members.userId': userId });
+  }
+
+  /**
+   * The user's household, if any, and the invitations waiting for them.
+   */
+  async getOverview(user) {
+    const household = await this.findForUser(user._id);
+    return {
+      household: household ? await this.describe(household, user._id) : null,
+      invitations: await this.listInvitations(user)
+    };
+  }
+
+  async describe(household, userId) {
+    await household.populate([
+      { path: 'members.userId', select: MEMBER_FIELDS },
+      { path: 'invitations.invitedBy', select: MEMBER_FIELDS }
+    ]);
+
+    const role = household.members.find(member => member.userId._id.equals(userId))?.role || null;
+    return {
+      id: household._id,
+      name: household.name,
+      role,
+      members: household.members.map(member => ({
+        userId: member.userId._id,
+        name: member.userId.name,
+        githubLogin: member.userId.githubLogin,
+        avatarUrl: member.userId.avatarUrl,
+        role: member.role,
+        joinedAt: member.joinedAt
+      })),
+      invitations: household.invitations.map(invitation => ({
+        id: invitation._id,
+        githubLogin: invitation.githubLogin || null,
+        email: invitation.email || null,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy?.name || null,
+        createdAt: invitation.createdAt
+      }))
+    };
+  }
+
+  async create(userId, name) {
+    if (await this.findForUser(userId)) {
+      throw new HouseholdError('ALREADY_MEMBER', 'You already belong to a household', 409);
+    }
+
+    try {
+      const household = await Household.create({
+        name,
+        ownerId: userId,
+        members: [{ userId, role: 'owner' }]
+      });
+      logger.info(`User ${userId} created household ${household._id}`);
+      return household;
+    } catch (error) {
+      // Another request made the user a member in the meantime
+      if (error.code === 11000) {
+        throw new HouseholdError('ALREADY_MEMBER', 'You already belong to a household', 409);
+      }
+      throw error;
+    }
+  }
+
+  async rename(userId, name) {
+    const household = await this.getOwnedHousehold(userId);
+    household.name = name;
+    await household.save();
+    return household;
+  }
+
+  /**
+   * @param {Object} invitee - `githubLogin` or, for someone without GitHub, `email`
+   */
+  async invite(userId, { githubLogin, email }, role) {
+    const household = await this.getOwnedHousehold(userId);
+    const [field, address] = githubLogin
+      ? ['githubLogin', normalizeLogin(githubLogin)]
+      : ['email', normalizeEmail(email)];
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new HouseholdError('INVALID_ROLE', `Members can be invited as ${INVITABLE_ROLES.join(' or ')}`);
+    }
+    if (!address) {
+      throw new HouseholdError('INVALID_INVITEE', 'Name a GitHub username or an email address');
+    }
+    if (household.invitations.some(invitation => invitation[field] === address)) {
+      throw new HouseholdError('ALREADY_INVITED', `${address} has already been invited`, 409);
+    }
+
+    const members = await User.find({ _id: { $in: household.members.map(member => member.userId) } })
+      .select('githubLogin email');
+    const normalize = field === 'githubLogin' ? normalizeLogin : normalizeEmail;
+    if (members.some(member => member[field] && normalize(member[field]) === address)) {
+      throw new HouseholdError('ALREADY_MEMBER', `${address} is already a member`, 409);
+    }
+
+    household.invitations.push({ [field]: address, role, invitedBy: userId });
+    await household.save();
+    return household;
+  }
+
+  async cancelInvitation(userId, invitationId) {
+    const household = await this.getOwnedHousehold(userId);
+    const invitation = household.invitations.id(invitationId);
+    if (!invitation) {
+      throw new HouseholdError('INVITATION_NOT_FOUND', 'Invitation not found', 404);
+    }
+    invitation.deleteOne();
+    await household.save();
+    return household;
+  }
+
+  /**
+   * Invitations addressed to the user's GitHub login or email, from any
+   * household.
+   */
+  async listInvitations(user) {
+    const clauses = addressedTo(user);
+    if (clauses.length === 0) return [];
+
+    const households = await Household.find({ invitations: { $elemMatch: { $or: clauses } } })
+      .populate('invitations.invitedBy', MEMBER_FIELDS);
+
+    return households.flatMap(household => household.invitations
+      .filter(invitation => isAddressedTo(invitation, user))
+      .map(invitation => ({
+        id: invitation._id,
+        householdId: household._id,
+        householdName: household.name,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy?.name || null,
+        createdAt: invitation.createdAt
+      })));
+  }
+
+  async acceptInvitation(user, invitationId) {
+    const household = await this.findInvitedHousehold(user, invitationId);
+    if (await this.findForUser(user._id)) {
+      throw new HouseholdError('ALREADY_MEMBER', 'Leave your current household before joining another', 409);
+    }
+
+    const invitation = household.invitations.id(invitationId);
+    household.members.push({ userId: user._id, role: invitation.role });
+    invitation.deleteOne();
+
+    try {
+      await household.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new HouseholdError('ALREADY_MEMBER', 'Leave your current household before joining another', 409);
+      }
+      throw error;
+    }
+
+    // The household is already set up, so a new member has nothing to onboard.
+    await User.updateOne(
+      { _id: user._id, 'onboarding.isComplete': { $ne: true } },
+      { $set: { 'onboarding.isComplete': true, 'onboarding.currentStep': 'complete', 'onboarding.completedAt': new Date() } }
+    );
+
+    logger.info(`User ${user._id} joined household ${household._id} as ${invitation.role}`);
+    return household;
+  }
+
+  async declineInvitation(user, invitationId) {
+    const household = await this.findInvitedHousehold(user, invitationId);
+    household.invitations.id(invitationId).deleteOne();
+    await household.save();
+  }
+
+  async changeRole(userId, memberId, role) {
+    const household = await this.getOwnedHousehold(userId);
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new HouseholdError('INVALID_ROLE', `Members can be made ${INVITABLE_ROLES.join(' or ')}`);
+    }
+
+    const member = this.getOtherMember(household, memberId);
+    member.role = role;
+    await household.save();
+    return household;
+  }
+
+  async removeMember(userId, memberId) {
+    const household = await this.getOwnedHousehold(userId);
+    const member = this.getOtherMember(household, memberId);
+
+    household.members = household.members.filter(m => m !== member);
+    await household.save();
+    await bankAccountService.releaseCredentials(household.ownerId, member.userId);
+
+    logger.info(`User ${memberId} was removed from household ${household._id}`);
+    return household;
+  }
+
+  async leave(userId) {
+    const household = await this.findForUser(userId);
+    if (!household) {
+      throw new HouseholdError('NOT_A_MEMBER', 'You do not belong to a household', 404);
+    }
+    if (household.ownerId.equals(userId)) {
+      throw new HouseholdError('OWNER_CANNOT_LEAVE', 'The owner cannot leave; delete the household instead');
+    }
+
+    household.members = household.members.filter(member => !member.userId.equals(userId));
+    await household.save();
+    await bankAccountService.releaseCredentials(household.ownerId, userId);
+
+    logger.info(`User ${userId} left household ${household._id}`);
+  }
+
+  /**
+   * Ends the household. The shared records were always the owner's, so they
+   * stay with the owner; every other member goes back to their own books.
+   */
+  async deleteHousehold(userId) {
+    const household = await this.getOwnedHousehold(userId);
+
+    for (const member of household.members) {
+      if (!member.userId.equals(household.ownerId)) {
+        await bankAccountService.releaseCredentials(household.ownerId, member.userId);
+      }
+    }
+    await household.deleteOne();
+
+    logger.info(`Household ${household._id} was deleted by its owner`);
+  }
+
+  async getOwnedHousehold(userId) {
+    const household = await this.findForUser(userId);
+    if (!household) {
+      throw new HouseholdError('NOT_A_MEMBER', 'You do not belong to a household', 404);
+    }
+    if (household.roleOf(userId) !== 'owner') {
+      throw new HouseholdError('OWNER_ONLY', 'Only the household owner can do this', 403);
+    }
+    return household;
+  }
+
+  getOtherMember(household, memberId) {
+    const member = household.members.find(m => m.userId.equals(memberId));
+    if (!member) {
+      throw new HouseholdError('MEMBER_NOT_FOUND', 'Member not found', 404);
+    }
+    if (member.role === 'owner') {
+      throw new HouseholdError('CANNOT_CHANGE_OWNER', 'The owner\'s membership cannot be changed');
+    }
+    return member;
+  }
+
+  async findInvitedHousehold(user, invitationId) {
+    const clauses = addressedTo(user);
+    const household = clauses.length > 0 && await Household.findOne({
+      invitations: { $elemMatch: { _id: invitationId, $or: clauses } }
+    });
+    if (!household) {
+      throw new HouseholdError('INVITATION_NOT_FOUND', 'Invitation not found', 404);
+    }
+    return household;
+  }
+}
+
+module.exports = new HouseholdService();
+module.exports.HouseholdService = HouseholdService;
+module.exports.HouseholdError = HouseholdError;
@@ -2,11 +2,11 @@ const express = require('express');
 const router = express.Router();
 const investmentService = require('../services/investmentService');
 const { dataSyncService, queuedDataSyncService } = require('../../banking');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const logger = require('../../shared/utils/logger');
 
 // Apply authentication middleware to all routes
-router.use(auth);
+router.use(householdAuth);
 
 // Get user's investments
 router.get('/', async (req, res) => {
@@ -14,13 +14,13 @@ router.get('/', async (req, res) => {
     const { bankAccountId } = req.query;
     const options = bankAccountId ? { bankAccountId } : {};
     
-    const investments = await investmentService.getUserInvestments(req.user.id, options);
+    const investments = await investmentService.getUserInvestments(req.dataOwnerId, options);
     
     // Include portfolio-level cash balances (cash is not an investment, it belongs to the account)
-    const portfolioCashBalances = await investmentService.getPortfolioCashBalances(req.user.id);
+    const portfolioCashBalances = await investmentService.getPortfolioCashBalances(req.dataOwnerId);
     
     // Include latest stock price data for holdings
-    const holdingsPriceData = await investmentService.getHoldingsPriceData(req.user.id);
+    const holdingsPriceData = await investmentService.getHoldingsPriceData(req.dataOwnerId);
     
     res.json({ investments, portfolioCashBalances, holdingsPriceData });
   } catch (error) {
@@ -34,7 +34,7 @@ router.get('/', async (req, res) => {
 // Get portfolio summary
 router.get('/portfolio/summary', async (req, res) => {
   try {
-    const summary = await investmentService.getPortfolioSummary(req.user.id);
+    const summary = await investmentService.getPortfolioSummary(req.dataOwnerId);
     res.json({ portfolio: summary });
   } catch (error) {
     logger.error('Error fetching portfolio summary:', error);
@@ -47,7 +47,7 @@ router.get('/portfolio/trends', async (req, res) => {
   try {
     const { days = 30 } = req.query;
     const trends = await investmentService.getPortfolioTrends(
-      req.user.id, 
+      req.dataOwnerId, 
       parseInt(days)
     );
     res.json({ trends });
@@ -62,7 +62,7 @@ router.get('/portfolio/performance', async (req, res) => {
   try {
     const { days = 30 } = req.query;
     const performance = await investmentService.getPerformanceMetrics(
-      req.user.id, 
+      req.dataOwnerId, 
       parseInt(days)
     );
     res.json({ performance });
@@ -76,7 +76,7 @@ router.get('/portfolio/timeline', async (req, res) => {
   try {
     const { days = 365 } = req.query;
     const timeline = await investmentService.getPortfolioTimeline(
-      req.user.id,
+      req.dataOwnerId,
       parseInt(days)
     );
     res.json(timeline);
@@ -110,7 +110,7 @@ router.get('/transactions', async (req, res) => {
     if (startDate) options.startDate = new Date(startDate);
     if (endDate) options.endDate = new Date(endDate);
 
-    const result = await investmentService.getInvestmentTransactions(req.user.id, options);
+    const result = await investmentService.getInvestmentTransactions(req.dataOwnerId, options);
     res.json(result);
   } catch (error) {
     logger.error('Error fetching investment transactions:', error);
@@ -131,7 +131,7 @@ router.get('/transactions/symbol/:symbol', async (req, res) => {
     if (endDate) options.endDate = new Date(endDate);
 
     const transactions = await investmentService.getTransactionsBySymbol(
-      req.user.id, 
+      req.dataOwnerId, 
       req.params.symbol.toUpperCase(), 
       options
     );
@@ -152,7 +152,7 @@ router.get('/transactions/summary', async (req, res) => {
     if (startDate) options.startDate = new Date(startDate);
     if (endDate) options.endDate = new Date(endDate);
 
-    const summary = await investmentService.getInvestmentTransactionSummary(req.user.id, options);
+    const summary = await investmentService.getInvestmentTransactionSummary(req.dataOwnerId, options);
     res.json({ summary });
   } catch (error) {
     logger.error('Error fetching investment transaction summary:', error);
@@ -164,7 +164,7 @@ router.get('/transactions/summary', async (req, res) => {
 router.get('/cost-basis/:symbol', async (req, res) => {
   try {
     const costBasis = await investmentService.getCostBasisBySymbol(
-      req.user.id, 
+      req.dataOwnerId, 
       req.params.symbol.toUpperCase()
     );
     res.json({ costBasis });
@@ -179,7 +179,7 @@ router.get('/holdings/:symbol/history', async (req, res) => {
   try {
     const { days = 90 } = req.query;
     const history = await investmentService.getHoldingsHistory(
-      req.user.id,
+      req.dataOwnerId,
       req.params.symbol,
       parseInt(days)
     );
@@ -196,7 +196,7 @@ router.get('/holdings/:symbol/timeline', async (req, res) => {
     const { days = 365 } = req.query;
     const symbol = req.params.symbol.toUpperCase();
     const timeline = await investmentService.getHoldingTimeline(
-      req.user.id,
+      req.dataOwnerId,
       symbol,
       parseInt(days)
     );
@@ -211,7 +211,7 @@ router.get('/holdings/:symbol/timeline', async (req, res) => {
 router.get('/by-bank/:bankAccountId', async (req, res) => {
   try {
     const investments = await investmentService.getInvestmentsByBankAccount(
-      req.user.id, 
+      req.dataOwnerId, 
       req.params.bankAccountId
     );
     res.json({ investments });
@@ -224,7 +224,7 @@ router.get('/by-bank/:bankAccountId', async (req, res) => {
 // Get sync status for a bank account
 router.get('/sync/status/:bankAccountId', async (req, res) => {
   try {
-    const status = await dataSyncService.getSyncStatus(req.params.bankAccountId, req.user.id);
+    const status = await dataSyncService.getSyncStatus(req.params.bankAccountId, req.dataOwnerId);
     res.json({ status });
   } catch (error) {
     logger.error('Error fetching sync status:', error);
@@ -237,7 +237,7 @@ router.get('/sync/status/:bankAccountId', async (req, res) => {
 // Get investment by ID
 router.get('/:id', async (req, res) => {
   try {
-    const investment = await investmentService.getInvestmentById(req.params.id, req.user.id);
+    const investment = await investmentService.getInvestmentById(req.params.id, req.dataOwnerId);
     res.json({ investment });
   } catch (error) {
     logger.error('Error fetching investment:', error);
@@ -256,7 +256,7 @@ router.post('/prices/update', async (req, res) => {
       return res.status(400).json({ error: 'Price updates object is required' });
     }
 
-    const updatedCount = await investmentService.updateInvestmentPrices(req.user.id, priceUpdates);
+    const updatedCount = await investmentService.updateInvestmentPrices(req.dataOwnerId, priceUpdates);
     
     res.json({
       message: `Updated prices for ${updatedCount} investment accounts`,
@@ -280,7 +280,7 @@ router.put('/:investmentId/holdings/:symbol/type', async (req, res) => {
 
     const investment = await investmentService.updateHoldingType(
       req.params.investmentId,
-      req.user.id,
+      req.dataOwnerId,
       decodeURIComponent(req.params.symbol),
       holdingType
     );
@@ -295,7 +295,7 @@ router.put('/:investmentId/holdings/:symbol/type', async (req, res) => {
 // Delete/close an investment account
 router.delete('/:id', async (req, res) => {
   try {
-    const investment = await investmentService.deleteInvestment(req.params.id, req.user.id);
+    const investment = await investmentService.deleteInvestment(req.params.id, req.dataOwnerId);
     res.json({
       message: 'Investment account marked as closed',
       investment
@@ -335,7 +335,7 @@ router.get('/:id/transactions', async (req, res) => {
     if (startDate) options.startDate = new Date(startDate);
     if (endDate) options.endDate = new Date(endDate);
 
-    const result = await investmentService.getInvestmentTransactions(req.user.id, options);
+    const result = await investmentService.getInvestmentTransactions(req.dataOwnerId, options);
     res.json(result);
   } catch (error) {
     logger.error('Error fetching investment transactions:', error);
@@ -357,7 +357,7 @@ router.get('/:id/performance', async (req, res) => {
 // Create manual snapshot (for testing or manual updates)
 router.post('/:id/snapshot', async (req, res) => {
   try {
-    const investment = await investmentService.getInvestmentById(req.params.id, req.user.id);
+    const investment = await investmentService.getInvestmentById(req.params.id, req.dataOwnerId);
     const snapshot = await investmentService.createDailySnapshot(investment);
     res.json({ 
       message: 'Snapshot created successfully',
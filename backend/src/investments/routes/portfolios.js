@@ -1,17 +1,17 @@
 const express = require('express');
 const portfolioService = require('../services/portfolioService');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const logger = require('../../shared/utils/logger');
 
 const router = express.Router();
 
 // Get all portfolios for user
-router.get('/', auth, async (req, res) => {
+router.get('/', householdAuth, async (req, res) => {
   try {
     const { bankAccountId } = req.query;
     const options = bankAccountId ? { bankAccountId } : {};
     
-    const portfolios = await portfolioService.getUserPortfolios(req.user.id, options);
+    const portfolios = await portfolioService.getUserPortfolios(req.dataOwnerId, options);
     res.json(portfolios);
   } catch (error) {
     logger.error('Error fetching portfolios:', error);
@@ -20,9 +20,9 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get portfolio by ID
-router.get('/:portfolioId', auth, async (req, res) => {
+router.get('/:portfolioId', householdAuth, async (req, res) => {
   try {
-    const portfolio = await portfolioService.getPortfolioById(req.params.portfolioId, req.user.id);
+    const portfolio = await portfolioService.getPortfolioById(req.params.portfolioId, req.dataOwnerId);
     res.json(portfolio);
   } catch (error) {
     logger.error('Error fetching portfolio:', error);
@@ -35,9 +35,9 @@ router.get('/:portfolioId', auth, async (req, res) => {
 });
 
 // Get portfolio summary
-router.get('/summary/overview', auth, async (req, res) => {
+router.get('/summary/overview', householdAuth, async (req, res) => {
   try {
-    const summary = await portfolioService.getPortfolioSummary(req.user.id);
+    const summary = await portfolioService.getPortfolioSummary(req.dataOwnerId);
     res.json(summary);
   } catch (error) {
     logger.error('Error fetching portfolio summary:', error);
@@ -46,10 +46,10 @@ router.get('/summary/overview', auth, async (req, res) => {
 });
 
 // Get portfolio performance metrics
-router.get('/metrics/performance', auth, async (req, res) => {
+router.get('/metrics/performance', householdAuth, async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
-    const metrics = await portfolioService.getPerformanceMetrics(req.user.id, days);
+    const metrics = await portfolioService.getPerformanceMetrics(req.dataOwnerId, days);
     res.json(metrics);
   } catch (error) {
     logger.error('Error fetching performance metrics:', error);
@@ -58,10 +58,10 @@ router.get('/metrics/performance', auth, async (req, res) => {
 });
 
 // Get portfolio trends
-router.get('/trends/history', auth, async (req, res) => {
+router.get('/trends/history', householdAuth, async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
-    const trends = await portfolioService.getPortfolioTrends(req.user.id, days);
+    const trends = await portfolioService.getPortfolioTrends(req.dataOwnerId, days);
     res.json(trends);
   } catch (error) {
     logger.error('Error fetching portfolio trends:', error);
@@ -70,7 +70,7 @@ router.get('/trends/history', auth, async (req, res) => {
 });
 
 // Get portfolio history for specific portfolio
-router.get('/:portfolioId/history', auth, async (req, res) => {
+router.get('/:portfolioId/history', householdAuth, async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
     const history = await portfolioService.getPortfolioHistory(req.params.portfolioId, days);
@@ -82,10 +82,10 @@ router.get('/:portfolioId/history', auth, async (req, res) => {
 });
 
 // Get investments history by symbol across all portfolios
-router.get('/investments/:symbol/history', auth, async (req, res) => {
+router.get('/investments/:symbol/history', householdAuth, async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 90;
-    const history = await portfolioService.getInvestmentsHistory(req.user.id, req.params.symbol, days);
+    const history = await portfolioService.getInvestmentsHistory(req.dataOwnerId, req.params.symbol, days);
     res.json(history);
   } catch (error) {
     logger.error('Error fetching investments history:', error);
@@ -94,7 +94,7 @@ router.get('/investments/:symbol/history', auth, async (req, res) => {
 });
 
 // Update portfolio prices
-router.put('/prices/update', auth, async (req, res) => {
+router.put('/prices/update', householdAuth, async (req, res) => {
   try {
     const { priceUpdates } = req.body;
     
@@ -102,7 +102,7 @@ router.put('/prices/update', auth, async (req, res) => {
       return res.status(400).json({ error: 'Invalid price updates format' });
     }
     
-    const updatedCount = await portfolioService.updatePortfolioPrices(req.user.id, priceUpdates);
+    const updatedCount = await portfolioService.updatePortfolioPrices(req.dataOwnerId, priceUpdates);
     res.json({ 
       message: 'Prices updated successfully', 
       updatedPortfolios: updatedCount 
@@ -114,9 +114,9 @@ router.put('/prices/update', auth, async (req, res) => {
 });
 
 // Delete/close portfolio
-router.delete('/:portfolioId', auth, async (req, res) => {
+router.delete('/:portfolioId', householdAuth, async (req, res) => {
   try {
-    const portfolio = await portfolioService.deletePortfolio(req.params.portfolioId, req.user.id);
+    const portfolio = await portfolioService.deletePortfolio(req.params.portfolioId, req.dataOwnerId);
     res.json({ 
       message: 'Portfolio closed successfully', 
       portfolio 
@@ -132,9 +132,9 @@ router.delete('/:portfolioId', auth, async (req, res) => {
 });
 
 // Get portfolios by bank account
-router.get('/bank-account/:bankAccountId', auth, async (req, res) => {
+router.get('/bank-account/:bankAccountId', householdAuth, async (req, res) => {
   try {
-    const portfolios = await portfolioService.getPortfoliosByBankAccount(req.user.id, req.params.bankAccountId);
+    const portfolios = await portfolioService.getPortfoliosByBankAccount(req.dataOwnerId, req.params.bankAccountId);
     res.json(portfolios);
   } catch (error) {
     logger.error('Error fetching portfolios by bank account:', error);
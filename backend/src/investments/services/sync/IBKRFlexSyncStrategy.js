@@ -40,7 +40,7 @@ class IBKRFlexSyncStrategy extends BaseSyncStrategy {
       }
 
       const client = await IBKRFlexClient.fromEncryptedToken(
-        bankAccount.userId,
+        bankAccount.getCredentialUserId(),
         bankAccount.credentials.flexToken,
         bankAccount.credentials.queryId
       );
@@ -0,0 +1,44 @@
+const {
+  stripProcessor,
+  merchantKey,
+  findByAlias,
+  findKnownMerchant,
+  newMerchantFor
+} = require('../services/merchantNormalizer');
+
+describe('merchantNormalizer', () => {
+  it('drops payment processor prefixes', () => {
+    expect(stripProcessor('PAYPAL *SPOTIFY')).toBe('SPOTIFY');
+    expect(stripProcessor('SQ * BLUE BOTTLE')).toBe('BLUE BOTTLE');
+    expect(stripProcessor('SHUFERSAL')).toBe('SHUFERSAL');
+  });
+
+  it('reduces a description to its merchant key', () => {
+    expect(merchantKey('SHUFERSAL DEAL #123 TEL-AVIV')).toBe('shufersal deal tel aviv');
+    expect(merchantKey('WWW.NETFLIX.COM')).toBe('netflix');
+    expect(merchantKey('שופרסל בע"מ סניף 12')).toBe('שופרסל');
+    expect(merchantKey('12345')).toBe('');
+  });
+
+  it('prefers the longest alias a key starts with', () => {
+    const apple = { name: 'Apple', aliases: ['apple'] };
+    const music = { name: 'Apple Music', aliases: ['apple music'] };
+
+    expect(findByAlias('apple music ie', [apple, music])).toBe(music);
+    expect(findByAlias('apple store', [apple, music])).toBe(apple);
+    expect(findByAlias('applebees', [apple, music])).toBeNull();
+  });
+
+  it('recognises well-known merchants in Hebrew and English', () => {
+    expect(findKnownMerchant(merchantKey('AROMA TEL AVIV 123')).name).toBe('Aroma');
+    expect(findKnownMerchant(merchantKey('ארומה רמת גן')).name).toBe('Aroma');
+    expect(findKnownMerchant(merchantKey('PAYPAL *WOLT')).name).toBe('Wolt');
+    expect(findKnownMerchant(merchantKey('CORNER BAKERY'))).toBeNull();
+  });
+
+  it('names a merchant it has not seen after the first words of the description', () => {
+    expect(newMerchantFor('PAYPAL *BURGERS BAR HERZLIYA 5')).toEqual({ name: 'Burgers Bar', alias: 'burgers bar' });
+    expect(newMerchantFor('מאפיית הכרמל תל אביב')).toEqual({ name: 'מאפיית הכרמל', alias: 'מאפיית הכרמל' });
+    expect(newMerchantFor('1234')).toBeNull();
+  });
+});
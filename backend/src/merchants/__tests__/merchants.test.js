@@ -0,0 +1,169 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User } = require('../../auth');
+const { BankAccount, Transaction, Category, SubCategory } = require('../../banking/models');
+const { CategorizationMethod } = require('../../banking/constants/enums');
+const categoryMappingService = require('../../banking/services/categoryMappingService');
+const { Merchant } = require('../models');
+const merchantService = require('../services/merchantService');
+const { createTestUser } = require('../../test/testUtils');
+
+describe('Merchants', () => {
+  let user;
+  let token;
+  let account;
+  let food;
+  let coffee;
+
+  const as = (sessionToken) => ({ Authorization: `Bearer ${sessionToken}` });
+
+  const makeTransaction = (description, fields = {}) => Transaction.create({
+    identifier: `tx-${Math.random()}`,
+    accountId: account._id,
+    userId: user._id,
+    amount: -24,
+    currency: 'ILS',
+    date: new Date(),
+    processedDate: new Date(),
+    description,
+    rawData: {},
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Merchant.deleteMany({}), Transaction.deleteMany({}), BankAccount.deleteMany({}),
+      Category.deleteMany({}), SubCategory.deleteMany({})
+    ]);
+    ({ user, token } = await createTestUser(User, { email: 'merchants@example.com' }));
+    account = await BankAccount.create({ userId: user._id, bankId: 'file-import', name: 'Checking', status: 'active' });
+    food = await Category.create({ name: 'Food', type: 'Expense', userId: user._id });
+    coffee = await SubCategory.create({ name: 'Coffee', parentCategory: food._id, userId: user._id, keywords: [] });
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({ email: 'merchants@example.com' });
+  });
+
+  it('recognises the same merchant under branch numbers and Hebrew or English names', async () => {
+    const resolver = await merchantService.forUser(user._id);
+
+    const first = await resolver.resolve('AROMA TEL AVIV 123');
+    const hebrew = await resolver.resolve('ארומה רמת גן');
+    const fresh = await resolver.resolve('PAYPAL *BURGERS BAR HERZLIYA');
+    const sameFresh = await resolver.resolve('BURGERS BAR RAANANA');
+
+    expect(hebrew).toEqual(first);
+    expect(sameFresh).toEqual(fresh);
+    const merchants = await Merchant.find({ userId: user._id }).sort({ name: 1 }).lean();
+    expect(merchants.map(merchant => merchant.name)).toEqual(['Aroma', 'Burgers Bar']);
+    expect(merchants[0]).toMatchObject({ known: true, iconKey: 'coffee' });
+  });
+
+  it('assigns merchants to earlier transactions and lists what was spent at each', async () => {
+    await makeTransaction('AROMA TEL AVIV', { amount: -30 });
+    await makeTransaction('ארומה רמת גן', { amount: -20 });
+    await makeTransaction('SHUFERSAL DEAL 12', { amount: -400 });
+
+    const assigned = await request(app).post('/api/merchants/assign').set(as(token)).expect(200);
+    expect(assigned.body.data).toEqual({ assigned: 3 });
+
+    const res = await request(app).get('/api/merchants').set(as(token)).expect(200);
+    expect(res.body.data.map(merchant => merchant.name)).toEqual(['Shufersal', 'Aroma']);
+    expect(res.body.data[1]).toMatchObject({
+      transactionCount: 2,
+      totals: [expect.objectContaining({ currency: 'ILS', spent: 50, received: 0 })]
+    });
+  });
+
+  it('shows a merchant with its spending month by month', async () => {
+    const merchantId = await (await merchantService.forUser(user._id)).resolve('AROMA');
+    const now = new Date();
+    await makeTransaction('AROMA', { amount: -30, merchantId });
+    await makeTransaction('AROMA', { amount: -12, merchantId });
+    await makeTransaction('AROMA', {
+      amount: -50,
+      merchantId,
+      processedDate: new Date(now.getFullYear(), now.getMonth() - 1, 15)
+    });
+
+    const res = await request(app).get(`/api/merchants/${merchantId}`).set(as(token)).expect(200);
+
+    expect(res.body.data.monthly).toHaveLength(2);
+    expect(res.body.data.monthly[1]).toMatchObject({
+      year: now.getFullYear(),
+      month: now.getMonth() + 1,
+      spent: 42,
+      transactionCount: 2
+    });
+    expect(res.body.data.recentTransactions).toHaveLength(3);
+  });
+
+  it("categorises by the merchant's default category whatever the description says", async () => {
+    const merchantId = await (await merchantService.forUser(user._id)).resolve('AROMA');
+
+    await request(app)
+      .put(`/api/merchants/${merchantId}`)
+      .set(as(token))
+      .send({ defaultCategory: food._id })
+      .expect(400);
+    await request(app)
+      .put(`/api/merchants/${merchantId}`)
+      .set(as(token))
+      .send({ defaultCategory: food._id, defaultSubCategory: coffee._id })
+      .expect(200);
+
+    const transaction = await makeTransaction('ארומה דיזנגוף סנטר', { merchantId });
+    const categorized = await categoryMappingService.attemptAutoCategorization(transaction, { deferModel: true });
+
+    expect(String(categorized.category._id)).toBe(String(food._id));
+    expect(String(categorized.subCategory._id)).toBe(String(coffee._id));
+    expect(categorized.categorizationMethod).toBe(CategorizationMethod.PREVIOUS_DATA);
+  });
+
+  it('categorises like the last transaction the user categorised at that merchant', async () => {
+    const merchantId = await (await merchantService.forUser(user._id)).resolve('BURGERS BAR');
+    await makeTransaction('BURGERS BAR HERZLIYA', {
+      merchantId,
+      category: food._id,
+      subCategory: coffee._id,
+      categorizationMethod: CategorizationMethod.MANUAL
+    });
+
+    const transaction = await makeTransaction('BURGERS BAR RAANANA', { merchantId });
+    const categorized = await categoryMappingService.attemptAutoCategorization(transaction, { deferModel: true });
+
+    expect(String(categorized.subCategory._id)).toBe(String(coffee._id));
+  });
+
+  it('merges one merchant into another with its transactions and aliases', async () => {
+    const resolver = await merchantService.forUser(user._id);
+    const target = await resolver.resolve('BURGERS BAR');
+    const source = await resolver.resolve('בורגרס בר');
+    await makeTransaction('בורגרס בר', { merchantId: source });
+
+    const res = await request(app)
+      .post(`/api/merchants/${target}/merge`)
+      .set(as(token))
+      .send({ sourceId: source })
+      .expect(200);
+
+    expect(res.body.data.aliases).toEqual(['burgers bar', 'בורגרס בר']);
+    expect(res.body.data.recentTransactions).toHaveLength(1);
+    expect(await Merchant.findById(source)).toBeNull();
+
+    await request(app)
+      .post(`/api/merchants/${target}/merge`)
+      .set(as(token))
+      .send({ sourceId: target })
+      .expect(400);
+  });
+
+  it("does not show another user's merchant", async () => {
+    const { user: other } = await createTestUser(User, { email: 'merchants-other@example.com' });
+    const merchant = await Merchant.create({ userId: other._id, name: 'Private', aliases: ['private'] });
+
+    await request(app).get(`/api/merchants/${merchant._id}`).set(as(token)).expect(404);
+    await User.deleteMany({ email: 'merchants-other@example.com' });
+  });
+});
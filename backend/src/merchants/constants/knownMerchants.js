@@ -0,0 +1,60 @@
+// Merchants common enough on Israeli statements to be recognised out of the
+// box, under every spelling issuers use for them. Aliases are written the way
+// merchantNormalizer reduces a description: lower case, no digits or
+// punctuation. A description belongs to a merchant when it starts with one of
+// its aliases, so branch names and numbers after it do not matter.
+//
+// `iconKey` names an icon the frontend knows; it falls back to the first
+// letter of the name for anything it does not.
+const KNOWN_MERCHANTS = [
+  { name: 'Shufersal', aliases: ['shufersal', 'שופרסל', 'שופר סל'], iconKey: 'grocery', website: 'https://www.shufersal.co.il' },
+  { name: 'Rami Levy', aliases: ['rami levy', 'רמי לוי'], iconKey: 'grocery', website: 'https://www.rami-levy.co.il' },
+  { name: 'Victory', aliases: ['victory', 'ויקטורי'], iconKey: 'grocery', website: 'https://www.victoryonline.co.il' },
+  { name: 'Yochananof', aliases: ['yochananof', 'יוחננוף'], iconKey: 'grocery', website: 'https://www.yochananof.co.il' },
+  { name: 'Osher Ad', aliases: ['osher ad', 'אושר עד'], iconKey: 'grocery', website: 'https://www.osherad.co.il' },
+  { name: 'Tiv Taam', aliases: ['tiv taam', 'טיב טעם'], iconKey: 'grocery', website: 'https://www.tivtaam.co.il' },
+  { name: 'AM:PM', aliases: ['am pm', 'ampm', 'איי אם פי אם'], iconKey: 'grocery', website: 'https://www.ampm.co.il' },
+  { name: 'Super-Pharm', aliases: ['super pharm', 'superpharm', 'סופר פארם', 'סופרפארם'], iconKey: 'pharmacy', website: 'https://shop.super-pharm.co.il' },
+  { name: 'Be Pharm', aliases: ['be pharm', 'בי פארם'], iconKey: 'pharmacy', website: 'https://www.bestore.co.il' },
+  { name: 'Aroma', aliases: ['aroma', 'ארומה'], iconKey: 'coffee', website: 'https://www.aroma.co.il' },
+  { name: 'Cafe Cafe', aliases: ['cafe cafe', 'קפה קפה'], iconKey: 'coffee', website: 'https://www.cafecafe.co.il' },
+  { name: 'Wolt', aliases: ['wolt', 'וולט'], iconKey: 'delivery', website: 'https://wolt.com' },
+  { name: 'Tenbis', aliases: ['tenbis', 'ten bis', 'תן ביס'], iconKey: 'delivery', website: 'https://www.10bis.co.il' },
+  { name: 'Paz', aliases: ['paz', 'פז'], iconKey: 'fuel', website: 'https://www.paz.co.il' },
+  { name: 'Delek', aliases: ['delek', 'דלק', 'menta', 'מנטה'], iconKey: 'fuel', website: 'https://www.delek.co.il' },
+  { name: 'Sonol', aliases: ['sonol', 'סונול'], iconKey: 'fuel', website: 'https://www.sonol.co.il' },
+  { name: 'Ten', aliases: ['ten petrol', 'תן דלק', 'טן דלק'], iconKey: 'fuel', website: 'https://www.ten.co.il' },
+  { name: 'Pango', aliases: ['pango', 'פנגו'], iconKey: 'parking', website: 'https://www.pango.co.il' },
+  { name: 'Cellopark', aliases: ['cellopark', 'סלופארק'], iconKey: 'parking', website: 'https://www.cellopark.co.il' },
+  { name: 'Rav-Kav', aliases: ['rav kav', 'רב קו', 'רבקו'], iconKey: 'transit', website: 'https://ravkavonline.co.il' },
+  { name: 'Gett', aliases: ['gett', 'גט טקסי'], iconKey: 'transit', website: 'https://www.gett.com' },
+  { name: 'Israel Electric', aliases: ['israel electric', 'iec', 'חברת החשמל', 'חברת חשמל', 'חחי'], iconKey: 'utility', website: 'https://www.iec.co.il' },
+  { name: 'Bezeq', aliases: ['bezeq', 'בזק'], iconKey: 'telecom', website: 'https://www.bezeq.co.il' },
+  { name: 'Partner', aliases: ['partner', 'פרטנר'], iconKey: 'telecom', website: 'https://www.partner.co.il' },
+  { name: 'Cellcom', aliases: ['cellcom', 'סלקום'], iconKey: 'telecom', website: 'https://www.cellcom.co.il' },
+  { name: 'Pelephone', aliases: ['pelephone', 'פלאפון'], iconKey: 'telecom', website: 'https://www.pelephone.co.il' },
+  { name: 'HOT', aliases: ['hot mobile', 'hot telecom', 'הוט'], iconKey: 'telecom', website: 'https://www.hot.net.il' },
+  { name: 'yes', aliases: ['yes satellite', 'יס'], iconKey: 'telecom', website: 'https://www.yes.co.il' },
+  { name: 'IKEA', aliases: ['ikea', 'איקאה'], iconKey: 'home', website: 'https://www.ikea.co.il' },
+  { name: 'Ace', aliases: ['ace', 'אייס'], iconKey: 'home', website: 'https://www.ace.co.il' },
+  { name: 'Zara', aliases: ['zara', 'זארה'], iconKey: 'clothing', website: 'https://www.zara.com' },
+  { name: 'H&M', aliases: ['h m', 'hm', 'אייץ אנד אם'], iconKey: 'clothing', website: 'https://www2.hm.com' },
+  { name: 'Castro', aliases: ['castro', 'קסטרו'], iconKey: 'clothing', website: 'https://www.castro.com' },
+  { name: 'Fox', aliases: ['fox', 'פוקס'], iconKey: 'clothing', website: 'https://www.fox.co.il' },
+  { name: 'KSP', aliases: ['ksp', 'קי אס פי'], iconKey: 'electronics', website: 'https://ksp.co.il' },
+  { name: 'Amazon', aliases: ['amazon', 'amzn', 'אמזון'], iconKey: 'shopping', website: 'https://www.amazon.com' },
+  { name: 'AliExpress', aliases: ['aliexpress', 'ali express', 'עליאקספרס'], iconKey: 'shopping', website: 'https://www.aliexpress.com' },
+  { name: 'eBay', aliases: ['ebay'], iconKey: 'shopping', website: 'https://www.ebay.com' },
+  { name: 'Netflix', aliases: ['netflix', 'נטפליקס'], iconKey: 'streaming', website: 'https://www.netflix.com' },
+  { name: 'Spotify', aliases: ['spotify', 'ספוטיפיי'], iconKey: 'streaming', website: 'https://www.spotify.com' },
+  { name: 'Disney+', aliases: ['disney plus', 'disneyplus', 'דיסני'], iconKey: 'streaming', website: 'https://www.disneyplus.com' },
+  { name: 'Apple', aliases: ['apple', 'אפל'], iconKey: 'apple', website: 'https://www.apple.com' },
+  { name: 'Google', aliases: ['google', 'גוגל'], iconKey: 'google', website: 'https://www.google.com' },
+  { name: 'Microsoft', aliases: ['microsoft', 'msft', 'מיקרוסופט'], iconKey: 'software', website: 'https://www.microsoft.com' },
+  { name: 'Bit', aliases: ['bit', 'ביט'], iconKey: 'payment', website: 'https://www.bitpay.co.il' },
+  { name: 'PayBox', aliases: ['paybox', 'פייבוקס'], iconKey: 'payment', website: 'https://www.payboxapp.com' }
+];
+
+module.exports = {
+  KNOWN_MERCHANTS
+};
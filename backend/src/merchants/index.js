@@ -0,0 +1,15 @@
+// Merchants subsystem public interface
+
+// Models (used by other subsystems)
+const { Merchant } = require('./models');
+
+// Services (used by other subsystems)
+const merchantService = require('./services/merchantService');
+
+module.exports = {
+  // Models
+  Merchant,
+
+  // Services
+  merchantService
+};
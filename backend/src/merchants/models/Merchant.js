@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+/**
+ * Someone a user pays or is paid by, under one name however their statements
+ * spell it. Transactions point at it through `merchantId`, set when they are
+ * brought in, so spending can be followed per merchant and categorisation can
+ * go by who was paid rather than by the exact string.
+ */
+const merchantSchema = new mongoose.Schema({
+  userId: {
+    type: ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Merchant keys as merchantNormalizer reduces descriptions; a description
+  // belongs here when its key starts with one of them
+  aliases: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 100
+  }],
+  // An icon the frontend knows, e.g. 'grocery', 'fuel', 'streaming'
+  iconKey: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: null
+  },
+  website: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  // Where this merchant's transactions go unless a rule or the user says otherwise
+  defaultCategory: {
+    type: ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  defaultSubCategory: {
+    type: ObjectId,
+    ref: 'SubCategory',
+    default: null
+  },
+  // Created from the directory of well-known merchants rather than from a description
+  known: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+merchantSchema.index({ userId: 1, aliases: 1 });
+merchantSchema.index({ userId: 1, name: 1 });
+
+module.exports = mongoose.model('Merchant', merchantSchema);
@@ -0,0 +1,5 @@
+const Merchant = require('./Merchant');
+
+module.exports = {
+  Merchant
+};
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const logger = require('../../shared/utils/logger');
+const merchantService = require('../services/merchantService');
+const { MerchantError } = require('../services/merchantService');
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof MerchantError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+const merchantValidators = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('iconKey').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('website').optional({ nullable: true }).isURL({ require_protocol: true }).isLength({ max: 200 }),
+  body('aliases').optional().isArray({ min: 1, max: 50 }),
+  body('aliases.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('defaultCategory').optional({ nullable: true }).isMongoId(),
+  body('defaultSubCategory').optional({ nullable: true }).isMongoId()
+];
+
+/**
+ * GET /api/merchants
+ * The user's merchants with what was spent at each, most spent first.
+ */
+router.get('/', householdAuth.allowViewers, async (req, res) => {
+  try {
+    const merchants = await merchantService.list(req.dataOwnerId);
+    res.json({ success: true, data: merchants });
+  } catch (error) {
+    sendError(res, error, 'Failed to load merchants');
+  }
+});
+
+/**
+ * POST /api/merchants/assign
+ * Recognises the merchant of every transaction that has none yet, for
+ * transactions brought in before merchants were.
+ */
+router.post('/assign', householdAuth, async (req, res) => {
+  try {
+    const result = await merchantService.assignMissing(req.dataOwnerId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to assign merchants');
+  }
+});
+
+/**
+ * GET /api/merchants/:id
+ * One merchant with its spending month by month and its latest transactions.
+ */
+router.get('/:id',
+  householdAuth.allowViewers,
+  [param('id').isMongoId(), query('months').optional().isInt({ min: 1, max: 60 }).toInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const merchant = await merchantService.get(req.dataOwnerId, req.params.id, { months: req.query.months });
+      res.json({ success: true, data: merchant });
+    } catch (error) {
+      sendError(res, error, 'Failed to load merchant');
+    }
+  }
+);
+
+/**
+ * PUT /api/merchants/:id
+ * Changes a merchant's name, icon, website, aliases or default category.
+ */
+router.put('/:id',
+  householdAuth,
+  [param('id').isMongoId(), ...merchantValidators],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const merchant = await merchantService.update(req.dataOwnerId, req.params.id, req.body);
+      res.json({ success: true, data: merchant });
+    } catch (error) {
+      sendError(res, error, 'Failed to update merchant');
+    }
+  }
+);
+
+/**
+ * POST /api/merchants/:id/merge
+ * Folds the merchant `sourceId` into this one, transactions and aliases alike.
+ */
+router.post('/:id/merge',
+  householdAuth,
+  [param('id').isMongoId(), body('sourceId').isMongoId()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const merchant = await merchantService.merge(req.dataOwnerId, req.params.id, req.body.sourceId);
+      res.json({ success: true, data: merchant });
+    } catch (error) {
+      sendError(res, error, 'Failed to merge merchants');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * Reducing a raw card or bank description to the merchant behind it, with no
+ * database access: the service loads the user's merchants, this decides which
+ * one a description belongs to.
+ *
+ * Issuers describe the same shop many ways - a branch number or city after
+ * the name, a payment processor in front of it ("PAYPAL *", "SQ *"), Hebrew on
+ * one card and English on another. A description is reduced to a key without
+ * any of that, and a merchant owns every key that starts with one of its
+ * aliases.
+ */
+
+const { KNOWN_MERCHANTS } = require('../constants/knownMerchants');
+
+// Payment processors that put their own name before the merchant's
+const PROCESSOR_PREFIX_PATTERN =
+  /^\s*(?:paypal|pp|sq|sumup|zettle|izettle|payoneer|2co|fs|dlo|פייפאל)\s*\*\s*/i;
+
+// Words that say nothing about which merchant it is
+const NOISE_WORDS = new Set([
+  'www', 'com', 'co', 'il', 'net', 'ltd', 'inc', 'llc', 'branch',
+  'בעמ', 'בע', 'סניף'
+]);
+
+// A merchant first seen in a description is named after this many of its words,
+// which is usually the name without the branch
+const NEW_MERCHANT_WORDS = 2;
+
+/**
+ * The description with any payment processor prefix removed.
+ */
+const stripProcessor = (description) => String(description || '').replace(PROCESSOR_PREFIX_PATTERN, '');
+
+// Hebrew abbreviations carry a quote inside the word, as in בע"מ
+const ABBREVIATION_QUOTE_PATTERN = /(\p{L})["'\u05F3\u05F4](?=\p{L})/gu;
+
+const wordsOf = (description) => stripProcessor(description)
+  .replace(ABBREVIATION_QUOTE_PATTERN, '$1')
+  .replace(/[\d\p{P}\p{S}]+/gu, ' ')
+  .split(/\s+/)
+  .filter(word => word && !NOISE_WORDS.has(word.toLowerCase()));
+
+/**
+ * The merchant key of a description: lower case, no processor prefix, digits,
+ * punctuation or noise words, single spaces.
+ *
+ * @param {string} description
+ * @returns {string} Empty when nothing is left to identify a merchant by
+ */
+const merchantKey = (description) => wordsOf(description).join(' ').toLowerCase();
+
+/**
+ * Whether a key belongs under an alias: the same words, or the alias's words
+ * followed by more.
+ */
+const matchesAlias = (key, alias) => Boolean(alias) && (key === alias || key.startsWith(`${alias} `));
+
+/**
+ * The merchant among `merchants` with the longest alias the key starts with,
+ * so "apple music" can belong to a merchant with that alias rather than to one
+ * with "apple".
+ *
+ * @param {string} key - A merchantKey
+ * @param {Array<{aliases: string[]}>} merchants
+ * @returns {Object|null}
+ */
+function findByAlias(key, merchants) {
+  let best = null;
+  let bestLength = 0;
+  for (const merchant of merchants) {
+    for (const alias of merchant.aliases || []) {
+      if (alias.length > bestLength && matchesAlias(key, alias)) {
+        best = merchant;
+        bestLength = alias.length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * The entry in the directory of well-known merchants a key belongs to.
+ */
+const findKnownMerchant = (key) => findByAlias(key, KNOWN_MERCHANTS);
+
+const titleCase = (word) => (/^[a-z]/i.test(word)
+  ? word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+  : word);
+
+/**
+ * Name and alias for a merchant not seen before, from the first words of the
+ * description.
+ *
+ * @param {string} description
+ * @returns {{name: string, alias: string}|null} Null when the description has no words
+ */
+function newMerchantFor(description) {
+  const words = wordsOf(description).slice(0, NEW_MERCHANT_WORDS);
+  if (words.length === 0) return null;
+  return {
+    name: words.map(titleCase).join(' '),
+    alias: words.join(' ').toLowerCase()
+  };
+}
+
+module.exports = {
+  NEW_MERCHANT_WORDS,
+  stripProcessor,
+  merchantKey,
+  matchesAlias,
+  findByAlias,
+  findKnownMerchant,
+  newMerchantFor
+};
@@ -0,0 +1,381 @@
+const mongoose = require('mongoose');
+const { Transaction, Category, SubCategory } = require('../../banking/models');
+const { CategorizationMethod, TransactionType } = require('../../banking/constants/enums');
+const logger = require('../../shared/utils/logger');
+const { Merchant } = require('../models');
+const {
+  merchantKey,
+  findByAlias,
+  findKnownMerchant,
+  newMerchantFor
+} = require('./merchantNormalizer');
+
+const DEFAULT_HISTORY_MONTHS = 12;
+const RECENT_TRANSACTIONS = 20;
+
+const MERCHANT_FIELDS = ['name', 'iconKey', 'website', 'aliases', 'defaultCategory', 'defaultSubCategory'];
+
+class MerchantError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'MerchantError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Money out and money in, kept apart so a refund does not hide a purchase
+const SPENT = { $sum: { $cond: [{ $lt: ['$amount', 0] }, { $multiply: ['$amount', -1] }, 0] } };
+const RECEIVED = { $sum: { $cond: [{ $gt: ['$amount', 0] }, '$amount', 0] } };
+
+/**
+ * A user's merchants, loaded once and matched against as many descriptions as
+ * the caller has. A description no merchant claims creates one, from the
+ * directory of well-known merchants where it is listed there.
+ */
+class MerchantResolver {
+  constructor(userId, merchants) {
+    this.userId = userId;
+    this.merchants = merchants;
+    this.byKey = new Map();
+  }
+
+  /**
+   * The id of the merchant a description belongs to. Never throws: a
+   * transaction is saved without a merchant rather than not at all.
+   *
+   * @param {string} description
+   * @returns {Promise<ObjectId|null>}
+   */
+  async resolve(description) {
+    const key = merchantKey(description);
+    if (!key) return null;
+    if (this.byKey.has(key)) return this.byKey.get(key);
+
+    try {
+      const merchant = findByAlias(key, this.merchants) || await this.create(key, description);
+      const id = merchant?._id || null;
+      this.byKey.set(key, id);
+      return id;
+    } catch (error) {
+      logger.warn(`Could not find the merchant for "${description}": ${error.message}`);
+      return null;
+    }
+  }
+
+  async create(key, description) {
+    const known = findKnownMerchant(key);
+    const fresh = known ? null : newMerchantFor(description);
+    if (!known && !fresh) return null;
+
+    const { name, aliases, iconKey = null, website = null } = known || { name: fresh.name, aliases: [fresh.alias] };
+    // By name, so two batches meeting the same new merchant end up with one
+    const merchant = await Merchant.findOneAndUpdate(
+      { userId: this.userId, name },
+      {
+        $setOnInsert: { iconKey, website, known: Boolean(known) },
+        $addToSet: { aliases: { $each: aliases } }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+
+    this.merchants = [...this.merchants.filter(other => String(other._id) !== String(merchant._id)), merchant];
+    return merchant;
+  }
+}
+
+/**
+ * The merchant directory: recognising merchants in descriptions, following
+ * spending per merchant, and the category each merchant's transactions
+ * usually get.
+ */
+class MerchantService {
+  /**
+   * A resolver over the user's merchants, for one batch of transactions.
+   */
+  async forUser(userId) {
+    const merchants = await Merchant.find({ userId }).select('name aliases').lean();
+    return new MerchantResolver(userId, merchants);
+  }
+
+  /**
+   * Gives every transaction without a merchant one, for transactions brought
+   * in before merchants were recognised.
+   *
+   * @returns {Promise<{assigned: number}>}
+   */
+  async assignMissing(userId) {
+    const resolver = await this.forUser(userId);
+    const transactions = await Transaction.find({ userId, merchantId: null })
+      .select('description')
+      .lean();
+
+    const byMerchant = new Map();
+    for (const { _id, description } of transactions) {
+      const merchantId = await resolver.resolve(description);
+      if (!merchantId) continue;
+      const key = String(merchantId);
+      if (!byMerchant.has(key)) byMerchant.set(key, []);
+      byMerchant.get(key).push(_id);
+    }
+
+    let assigned = 0;
+    for (const [merchantId, ids] of byMerchant) {
+      const { modifiedCount } = await Transaction.updateMany(
+        { _id: { $in: ids }, userId, merchantId: null },
+        { $set: { merchantId: toObjectId(merchantId) } }
+      );
+      assigned += modifiedCount;
+    }
+
+    logger.info(`Assigned merchants to ${assigned} of ${transactions.length} transactions for user ${userId}`);
+    return { assigned };
+  }
+
+  /**
+   * The user's merchants with what was spent at each, most spent first.
+   * Totals are per currency, since a merchant can be paid from accounts in
+   * more than one.
+   */
+  async list(userId) {
+    const [merchants, stats] = await Promise.all([
+      Merchant.find({ userId })
+        .populate('defaultCategory', 'name type')
+        .populate('defaultSubCategory', 'name')
+        .lean(),
+      Transaction.aggregate([
+        { $match: { userId: toObjectId(userId), merchantId: { $ne: null } } },
+        {
+          $group: {
+            _id: { merchantId: '$merchantId', currency: '$currency' },
+            spent: SPENT,
+            received: RECEIVED,
+            transactionCount: { $sum: 1 },
+            lastSeen: { $max: '$date' }
+          }
+        }
+      ])
+    ]);
+
+    const byMerchant = new Map();
+    for (const { _id, ...totals } of stats) {
+      const key = String(_id.merchantId);
+      if (!byMerchant.has(key)) byMerchant.set(key, []);
+      byMerchant.get(key).push({ currency: _id.currency, ...totals });
+    }
+
+    return merchants
+      .map(merchant => {
+        const totals = (byMerchant.get(String(merchant._id)) || []).sort((a, b) => b.spent - a.spent);
+        return {
+          ...merchant,
+          totals,
+          transactionCount: totals.reduce((sum, total) => sum + total.transactionCount, 0),
+          lastSeen: totals.reduce((latest, total) => (!latest || total.lastSeen > latest ? total.lastSeen : latest), null)
+        };
+      })
+      .filter(merchant => merchant.transactionCount > 0)
+      .sort((a, b) => (b.totals[0]?.spent || 0) - (a.totals[0]?.spent || 0));
+  }
+
+  /**
+   * One merchant with its spending month by month and its latest transactions.
+   *
+   * @param {string} userId
+   * @param {string} merchantId
+   * @param {Object} [options]
+   * @param {number} [options.months=12] - How many months of history, this one included
+   */
+  async get(userId, merchantId, { months = DEFAULT_HISTORY_MONTHS } = {}) {
+    const merchant = await Merchant.findOne({ _id: merchantId, userId })
+      .populate('defaultCategory', 'name type')
+      .populate('defaultSubCategory', 'name')
+      .lean()
+      .catch(() => null);
+    if (!merchant) {
+      throw new MerchantError('MERCHANT_NOT_FOUND', 'Merchant not found', 404);
+    }
+
+    const now = new Date();
+    const from = new Date(now.getFullYear(), now.getMonth() - (months - 1), 1);
+
+    const [monthly, recentTransactions] = await Promise.all([
+      Transaction.aggregate([
+        { $match: { userId: toObjectId(userId), merchantId: merchant._id, processedDate: { $gte: from } } },
+        {
+          $group: {
+            _id: {
+              year: { $year: { date: '$processedDate', timezone: 'Asia/Jerusalem' } },
+              month: { $month: { date: '$processedDate', timezone: 'Asia/Jerusalem' } },
+              currency: '$currency'
+            },
+            spent: SPENT,
+            received: RECEIVED,
+            transactionCount: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.year': 1, '_id.month': 1 } }
+      ]),
+      Transaction.find({ userId, merchantId: merchant._id })
+        .sort({ date: -1 })
+        .limit(RECENT_TRANSACTIONS)
+        .select('date processedDate description amount currency category subCategory type status')
+        .populate('category', 'name type')
+        .populate('subCategory', 'name')
+        .lean()
+    ]);
+
+    return {
+      ...merchant,
+      monthly: monthly.map(({ _id, ...totals }) => ({ ..._id, ...totals })),
+      recentTransactions
+    };
+  }
+
+  /**
+   * Changes a merchant's name, icon, website, aliases or default category.
+   */
+  async update(userId, merchantId, changes) {
+    const merchant = await this.findOwned(userId, merchantId);
+    const fields = Object.fromEntries(
+      MERCHANT_FIELDS.filter(field => changes[field] !== undefined).map(field => [field, changes[field]])
+    );
+
+    if (fields.aliases) {
+      fields.aliases = [...new Set(fields.aliases.map(merchantKey).filter(Boolean))];
+      if (fields.aliases.length === 0) {
+        throw new MerchantError('ALIASES_REQUIRED', 'A merchant needs at least one alias');
+      }
+    }
+    if (fields.defaultCategory !== undefined || fields.defaultSubCategory !== undefined) {
+      Object.assign(fields, await this.checkDefaultCategory(
+        userId,
+        fields.defaultCategory !== undefined ? fields.defaultCategory : merchant.defaultCategory,
+        fields.defaultSubCategory !== undefined ? fields.defaultSubCategory : merchant.defaultSubCategory
+      ));
+    }
+
+    merchant.set(fields);
+    await merchant.save();
+    return Merchant.findById(merchant._id)
+      .populate('defaultCategory', 'name type')
+      .populate('defaultSubCategory', 'name')
+      .lean();
+  }
+
+  /**
+   * A default category must be the user's, and an Expense one needs one of
+   * its subcategories; Income and Transfer categories have none.
+   */
+  async checkDefaultCategory(userId, categoryId, subCategoryId) {
+    if (!categoryId) return { defaultCategory: null, defaultSubCategory: null };
+
+    const category = await Category.findOne({ _id: categoryId, userId }).select('type').lean().catch(() => null);
+    if (!category) {
+      throw new MerchantError('CATEGORY_NOT_FOUND', 'Category not found', 404);
+    }
+    if (category.type !== TransactionType.EXPENSE) {
+      return { defaultCategory: category._id, defaultSubCategory: null };
+    }
+
+    const subCategory = subCategoryId && await SubCategory.findOne({
+      _id: subCategoryId,
+      userId,
+      parentCategory: category._id
+    }).select('_id').lean().catch(() => null);
+    if (!subCategory) {
+      throw new MerchantError('SUBCATEGORY_REQUIRED', 'An Expense category needs one of its subcategories');
+    }
+    return { defaultCategory: category._id, defaultSubCategory: subCategory._id };
+  }
+
+  /**
+   * Folds one merchant into another: its aliases and transactions move over,
+   * and its icon, website and default category fill in whatever the other
+   * lacks. For the same merchant spelled in two ways the directory did not know.
+   */
+  async merge(userId, targetId, sourceId) {
+    if (String(targetId) === String(sourceId)) {
+      throw new MerchantError('SAME_MERCHANT', 'Cannot merge a merchant into itself');
+    }
+    const [target, source] = await Promise.all([
+      this.findOwned(userId, targetId),
+      this.findOwned(userId, sourceId)
+    ]);
+
+    target.aliases = [...new Set([...target.aliases, ...source.aliases])];
+    for (const field of ['iconKey', 'website']) {
+      if (!target[field] && source[field]) target[field] = source[field];
+    }
+    if (!target.defaultCategory && source.defaultCategory) {
+      target.defaultCategory = source.defaultCategory;
+      target.defaultSubCategory = source.defaultSubCategory;
+    }
+    await target.save();
+
+    const { modifiedCount } = await Transaction.updateMany(
+      { userId, merchantId: source._id },
+      { $set: { merchantId: target._id } }
+    );
+    await Merchant.deleteOne({ _id: source._id });
+
+    logger.info(`Merged merchant ${source._id} into ${target._id} for user ${userId}, ${modifiedCount} transactions moved`);
+    return this.get(userId, target._id);
+  }
+
+  /**
+   * The category a transaction's merchant suggests: the default the user gave
+   * the merchant, otherwise how they last categorised one of its transactions
+   * by hand. Null when the merchant says nothing.
+   *
+   * @param {Object} transaction - Carrying userId and merchantId
+   * @returns {Promise<{categoryId, subCategoryId, reasoning: string}|null>}
+   */
+  async suggestCategory(transaction) {
+    if (!transaction.merchantId) return null;
+
+    const merchant = await Merchant.findOne({ _id: transaction.merchantId, userId: transaction.userId })
+      .select('name defaultCategory defaultSubCategory')
+      .lean();
+    if (!merchant) return null;
+
+    if (merchant.defaultCategory) {
+      return {
+        categoryId: merchant.defaultCategory,
+        subCategoryId: merchant.defaultSubCategory || null,
+        reasoning: `Default category of merchant "${merchant.name}"`
+      };
+    }
+
+    const previous = await Transaction.findOne({
+      userId: transaction.userId,
+      merchantId: merchant._id,
+      _id: { $ne: transaction._id },
+      category: { $ne: null },
+      categorizationMethod: CategorizationMethod.MANUAL,
+      'splits.0': { $exists: false }
+    }).sort({ date: -1 }).select('category subCategory').lean();
+    if (!previous) return null;
+
+    return {
+      categoryId: previous.category,
+      subCategoryId: previous.subCategory || null,
+      reasoning: `Categorised like your last "${merchant.name}" transaction`
+    };
+  }
+
+  async findOwned(userId, merchantId) {
+    const merchant = await Merchant.findOne({ _id: merchantId, userId }).catch(() => null);
+    if (!merchant) {
+      throw new MerchantError('MERCHANT_NOT_FOUND', 'Merchant not found', 404);
+    }
+    return merchant;
+  }
+}
+
+module.exports = new MerchantService();
+module.exports.MerchantService = MerchantService;
+module.exports.MerchantResolver = MerchantResolver;
+module.exports.MerchantError = MerchantError;
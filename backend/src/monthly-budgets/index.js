@@ -1,7 +1,7 @@
 // Monthly budgets subsystem public interface
 
 // Models (used by other subsystems)
-const { MonthlyBudget, YearlyBudget, CategoryBudget, TransactionPattern } = require('./models');
+const { MonthlyBudget, YearlyBudget, CategoryBudget, TransactionPattern, BudgetScenario } = require('./models');
 
 // Services (used by other subsystems)
 const budgetService = require('./services/budgetService');
@@ -9,6 +9,7 @@ const budgetCalculationService = require('./services/budgetCalculationService');
 const yearlyBudgetService = require('./services/yearlyBudgetService');
 const smartBudgetService = require('./services/smartBudgetService');
 const recurrenceDetectionService = require('./services/recurrenceDetectionService');
+const budgetScenarioService = require('./services/budgetScenarioService');
 const { initializeUserCategories, defaultCategories } = require('./services/userCategoryService');
 
 module.exports = {
@@ -17,6 +18,7 @@ module.exports = {
   YearlyBudget,
   CategoryBudget,
   TransactionPattern,
+  BudgetScenario,
   
   // Services
   budgetService,
@@ -24,6 +26,7 @@ module.exports = {
   yearlyBudgetService,
   smartBudgetService,
   recurrenceDetectionService,
+  budgetScenarioService,
   initializeUserCategories,
   defaultCategories
 };
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const CategoryBudget = require('./CategoryBudget');
+const { ALL_PATTERN_TYPES, PATTERN_TYPES } = require('../constants/patternTypes');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const ENTRY_TYPES = ['income', 'expense'];
+
+// One line of the scenario's copy of the CategoryBudget set
+const scenarioBudgetSchema = new mongoose.Schema({
+  categoryId: {
+    type: ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  // Null for income lines, as on CategoryBudget
+  subCategoryId: {
+    type: ObjectId,
+    ref: 'SubCategory',
+    default: null
+  },
+  budgetType: {
+    type: String,
+    enum: ['fixed', 'variable'],
+    default: 'fixed'
+  },
+  fixedAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  monthlyAmounts: [{
+    month: { type: Number, required: true, min: 1, max: 12 },
+    amount: { type: Number, required: true, min: 0 }
+  }]
+}, { _id: false });
+
+// Read exactly as the live budget reads its own lines
+scenarioBudgetSchema.methods.getAmountForMonth = CategoryBudget.schema.methods.getAmountForMonth;
+
+// A hypothetical income or expense that repeats, such as a new mortgage or a pay cut
+const recurringItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  categoryId: {
+    type: ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  subCategoryId: {
+    type: ObjectId,
+    ref: 'SubCategory',
+    required: function() { return this.type === 'expense'; },
+    default: null
+  },
+  recurrence: {
+    type: String,
+    enum: ALL_PATTERN_TYPES,
+    default: PATTERN_TYPES.MONTHLY
+  },
+  // The months it falls in, for anything less often than monthly
+  scheduledMonths: {
+    type: [{ type: Number, min: 1, max: 12 }],
+    validate: {
+      validator: function(months) {
+        return this.recurrence === PATTERN_TYPES.MONTHLY || months.length > 0;
+      },
+      message: 'Scheduled months are required for items that are not monthly'
+    }
+  },
+  // Open-ended on either side when not set
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  }
+});
+
+// A hypothetical one-off income or expense, such as a down payment
+const eventSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  categoryId: {
+    type: ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  subCategoryId: {
+    type: ObjectId,
+    ref: 'SubCategory',
+    required: function() { return this.type === 'expense'; },
+    default: null
+  }
+});
+
+/**
+ * A what-if budget: a named copy of the CategoryBudget set, changed freely,
+ * plus hypothetical recurring items and one-off events. It is only ever
+ * compared against the live budget until it is promoted, which rewrites the
+ * CategoryBudget set from it; MonthlyBudget documents are never involved.
+ */
+const budgetScenarioSchema = new mongoose.Schema({
+  userId: {
+    type: ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  budgets: [scenarioBudgetSchema],
+  recurring: [recurringItemSchema],
+  events: [eventSchema],
+  // When it last became the live budget
+  promotedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const BudgetScenario = mongoose.model('BudgetScenario', budgetScenarioSchema);
+
+module.exports = BudgetScenario;
@@ -64,6 +64,39 @@ const categoryBudgetSchema = new mongoose.Schema({
     default: true
   },
   
+  // Envelope-style rollover (expense budgets only): each month's surplus or
+  // deficit carries into the next month's available amount
+  rollover: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Months before this one do not carry
+    since: {
+      type: Date,
+      default: null
+    },
+    // Most that can be carried forward; null for no cap
+    maxSurplus: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Most overspending that can be carried forward; null for no cap
+    maxDeficit: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // The carried balance starts again from zero at this month each year; null never resets
+    resetMonth: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: null
+    }
+  },
+
   // Notes for this budget
   notes: {
     type: String,
@@ -302,6 +335,26 @@ categoryBudgetSchema.methods.getAllMonthsData = function() {
   return monthsData;
 };
 
+// Method to change rollover settings; turning it on starts carrying from the current month
+categoryBudgetSchema.methods.setRollover = function(settings = {}, now = new Date()) {
+  if (!this.subCategoryId && settings.enabled) {
+    throw new Error('Rollover is only available for expense budgets');
+  }
+
+  const wasEnabled = Boolean(this.rollover?.enabled);
+  const current = this.rollover?.toObject ? this.rollover.toObject() : (this.rollover || {});
+  const next = { ...current };
+  for (const field of ['enabled', 'maxSurplus', 'maxDeficit', 'resetMonth']) {
+    if (settings[field] !== undefined) next[field] = settings[field];
+  }
+  if (next.enabled && !wasEnabled) {
+    next.since = new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+
+  this.rollover = next;
+  return this;
+};
+
 // Static method to find or create category budget
 categoryBudgetSchema.statics.findOrCreate = async function(userId, categoryId, subCategoryId = null) {
   let budget = await this.findOne({ 
@@ -50,6 +50,18 @@ const yearlyBudgetSchema = new mongoose.Schema({
       type: Date,
       default: null
     },
+    // What actually arrived or was paid, once it has
+    actualAmount: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // The transaction it was matched to, automatically or by hand
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category',
@@ -88,6 +100,18 @@ const yearlyBudgetSchema = new mongoose.Schema({
       type: Date,
       default: null
     },
+    // What actually arrived or was paid, once it has
+    actualAmount: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // The transaction it was matched to, automatically or by hand
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category',
@@ -139,7 +163,7 @@ yearlyBudgetSchema.index({ userId: 1, year: 1 }, { unique: true });
 // Virtual for total one-time income
 yearlyBudgetSchema.virtual('totalOneTimeIncome').get(function() {
   return this.oneTimeIncome.reduce((sum, item) => {
-    return item.status === 'received' ? sum + item.amount : sum;
+    return item.status === 'received' ? sum + (item.actualAmount ?? item.amount) : sum;
   }, 0);
 });
 
@@ -153,7 +177,7 @@ yearlyBudgetSchema.virtual('totalPlannedOneTimeIncome').get(function() {
 // Virtual for total one-time expenses
 yearlyBudgetSchema.virtual('totalOneTimeExpenses').get(function() {
   return this.oneTimeExpenses.reduce((sum, item) => {
-    return item.status === 'spent' ? sum + item.amount : sum;
+    return item.status === 'spent' ? sum + (item.actualAmount ?? item.amount) : sum;
   }, 0);
 });
 
@@ -328,7 +352,7 @@ yearlyBudgetSchema.methods.getYearlyOverview = function() {
   // Distribute one-time items to quarters
   this.oneTimeIncome.forEach(item => {
     if (item.status !== 'cancelled') {
-      const quarter = Math.ceil(item.expectedDate.getMonth() + 1 / 3);
+      const quarter = Math.ceil((item.expectedDate.getMonth() + 1) / 3);
       const quarterKey = `Q${quarter}`;
       if (quarters[quarterKey]) {
         quarters[quarterKey].income += item.amount;
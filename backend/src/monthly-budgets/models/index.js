@@ -1,9 +1,11 @@
+const BudgetScenario = require('./BudgetScenario');
 const CategoryBudget = require('./CategoryBudget');
 const MonthlyBudget = require('./MonthlyBudget');
 const TransactionPattern = require('./TransactionPattern');
 const YearlyBudget = require('./YearlyBudget');
 
 module.exports = {
+  BudgetScenario,
   CategoryBudget,
   MonthlyBudget,
   TransactionPattern,
@@ -0,0 +1,192 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { createTestUser } = require('../../../test/testUtils');
+const app = require('../../../app');
+const { User } = require('../../../auth');
+const { Category, SubCategory } = require('../../../banking');
+const { BudgetScenario, CategoryBudget, MonthlyBudget, YearlyBudget } = require('../../models');
+
+let testUser;
+let authToken;
+let incomeCategory;
+let expenseCategory;
+let rentSubCategory;
+let mortgageSubCategory;
+
+beforeEach(async () => {
+  // Create test user using testUtils (in beforeEach because beforeEach clears DB)
+  const testData = await createTestUser(User, {
+    email: 'scenario-test@example.com',
+    name: 'Scenario Test User'
+  });
+  testUser = testData.user;
+  authToken = testData.token;
+
+  incomeCategory = await Category.create({ name: 'Salary', type: 'Income', userId: testUser._id });
+  expenseCategory = await Category.create({ name: 'Housing', type: 'Expense', userId: testUser._id });
+  rentSubCategory = await SubCategory.create({ name: 'Rent', parentCategory: expenseCategory._id, userId: testUser._id });
+  mortgageSubCategory = await SubCategory.create({ name: 'Mortgage', parentCategory: expenseCategory._id, userId: testUser._id });
+
+  await CategoryBudget.create([
+    { userId: testUser._id, categoryId: incomeCategory._id, budgetType: 'fixed', fixedAmount: 20000 },
+    { userId: testUser._id, categoryId: expenseCategory._id, subCategoryId: rentSubCategory._id, budgetType: 'fixed', fixedAmount: 6000 }
+  ]);
+});
+
+afterAll(async () => {
+  // Clean up test data - use try-catch in case connection is closed
+  try {
+    if (testUser) {
+      await BudgetScenario.deleteMany({ userId: testUser._id });
+      await CategoryBudget.deleteMany({ userId: testUser._id });
+      await YearlyBudget.deleteMany({ userId: testUser._id });
+      await SubCategory.deleteMany({ userId: testUser._id });
+      await Category.deleteMany({ userId: testUser._id });
+      await User.deleteOne({ _id: testUser._id });
+    }
+  } catch (error) {
+    // Ignore cleanup errors - likely due to connection being closed
+    console.log('Cleanup error (ignored):', error.message);
+  }
+});
+
+const createScenario = async (name = 'New mortgage') => {
+  const response = await request(app)
+    .post('/api/budgets/scenarios')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ name })
+    .expect(201);
+  return response.body.data;
+};
+
+// Swaps rent for a mortgage from the given date
+const mortgageInstead = (startDate) => ({
+  budgets: [{ categoryId: incomeCategory._id, budgetType: 'fixed', fixedAmount: 20000 }],
+  recurring: [{
+    description: 'Mortgage',
+    type: 'expense',
+    amount: 7500,
+    categoryId: expenseCategory._id,
+    subCategoryId: mortgageSubCategory._id,
+    recurrence: 'monthly',
+    startDate
+  }]
+});
+
+describe('Budget Scenario API Endpoints', () => {
+  describe('POST /api/budgets/scenarios', () => {
+    test('starts from a copy of the live budget', async () => {
+      const scenario = await createScenario();
+
+      expect(scenario.name).toBe('New mortgage');
+      expect(scenario.budgets).toHaveLength(2);
+      expect(scenario.budgets.map(line => line.fixedAmount).sort((a, b) => a - b)).toEqual([6000, 20000]);
+
+      const list = await request(app)
+        .get('/api/budgets/scenarios')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(list.body.data).toHaveLength(1);
+    });
+
+    test('requires a name', async () => {
+      await request(app)
+        .post('/api/budgets/scenarios')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/budgets/scenarios/:id', () => {
+    test('rejects expense items without a subcategory', async () => {
+      const scenario = await createScenario();
+
+      await request(app)
+        .put(`/api/budgets/scenarios/${scenario._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          recurring: [{ description: 'Mortgage', type: 'expense', amount: 7500, categoryId: expenseCategory._id }]
+        })
+        .expect(400);
+    });
+
+    test('returns 404 for another user\'s scenario', async () => {
+      await request(app)
+        .put(`/api/budgets/scenarios/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Nope' })
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/budgets/scenarios/:id/comparison', () => {
+    test('compares 12 months against the live budget', async () => {
+      const scenario = await createScenario();
+      await request(app)
+        .put(`/api/budgets/scenarios/${scenario._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          ...mortgageInstead(new Date(2026, 2, 1)),
+          events: [{
+            description: 'Down payment',
+            type: 'expense',
+            amount: 100000,
+            date: new Date(2026, 1, 15),
+            categoryId: expenseCategory._id,
+            subCategoryId: mortgageSubCategory._id
+          }]
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/budgets/scenarios/${scenario._id}/comparison?year=2026&month=1`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { months, totals } = response.body.data;
+      expect(months).toHaveLength(12);
+      expect(months[0]).toMatchObject({
+        year: 2026,
+        month: 1,
+        live: { income: 20000, expenses: 6000, net: 14000 },
+        scenario: { income: 20000, expenses: 0, net: 20000 }
+      });
+      expect(months[1].scenario.expenses).toBe(100000);
+      expect(months[2].difference.expenses).toBe(1500);
+      expect(totals.difference.expenses).toBe(100000 + 10 * 7500 - 12 * 6000);
+    });
+  });
+
+  describe('POST /api/budgets/scenarios/:id/promote', () => {
+    test('rewrites the category budgets and leaves monthly budgets alone', async () => {
+      const monthlyBudget = await MonthlyBudget.create({ userId: testUser._id, year: 2026, month: 1 });
+      const scenario = await createScenario();
+      await request(app)
+        .put(`/api/budgets/scenarios/${scenario._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(mortgageInstead(null))
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/budgets/scenarios/${scenario._id}/promote`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ budgetsUpdated: 2, budgetsDeactivated: 1 });
+
+      const mortgage = await CategoryBudget.findOne({ userId: testUser._id, subCategoryId: mortgageSubCategory._id });
+      expect(mortgage.isActive).toBe(true);
+      expect(mortgage.fixedAmount).toBe(7500);
+      const rent = await CategoryBudget.findOne({ userId: testUser._id, subCategoryId: rentSubCategory._id });
+      expect(rent.isActive).toBe(false);
+
+      const unchanged = await MonthlyBudget.findById(monthlyBudget._id);
+      expect(unchanged.updatedAt).toEqual(monthlyBudget.updatedAt);
+      expect(await MonthlyBudget.countDocuments({ userId: testUser._id })).toBe(1);
+
+      const promoted = await BudgetScenario.findById(scenario._id);
+      expect(promoted.promotedAt).not.toBeNull();
+    });
+  });
+});
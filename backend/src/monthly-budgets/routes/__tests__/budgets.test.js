@@ -3,8 +3,9 @@ const mongoose = require('mongoose');
 const { createTestUser } = require('../../../test/testUtils');
 const app = require('../../../app');
 const { User } = require('../../../auth');
-const { Category, SubCategory, Transaction, Tag } = require('../../../banking');
-const { MonthlyBudget } = require('../../models');
+const { Category, SubCategory, Transaction, Tag, transactionService } = require('../../../banking');
+const { MonthlyBudget, YearlyBudget, CategoryBudget } = require('../../models');
+const budgetPeriodService = require('../../services/budgetPeriodService');
 const { ProjectBudget } = require('../../../project-budgets');
 
 let testUser;
@@ -42,6 +43,7 @@ afterAll(async () => {
   try {
     if (testUser) {
       await MonthlyBudget.deleteMany({ userId: testUser._id });
+      await YearlyBudget.deleteMany({ userId: testUser._id });
       await ProjectBudget.deleteMany({ userId: testUser._id });
       await Tag.deleteMany({ userId: testUser._id });
       await Transaction.deleteMany({ userId: testUser._id });
@@ -530,6 +532,278 @@ describe('Budget API Endpoints', () => {
     });
   });
 
+  describe('Rollover Budgets', () => {
+    const spend = (amount, date, identifier) => ({
+      identifier,
+      accountId: new mongoose.Types.ObjectId(),
+      userId: testUser._id,
+      date,
+      processedDate: date,
+      amount: -amount,
+      currency: 'ILS',
+      description: 'Zara',
+      category: testCategory._id,
+      subCategory: testSubCategory._id,
+      rawData: { source: 'test' }
+    });
+
+    test('carries each month\'s surplus or deficit into the next month', async () => {
+      await request(app)
+        .put(`/api/budgets/category/${testCategory._id}/subcategory/${testSubCategory._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ budgetType: 'fixed', fixedAmount: 500, rollover: { enabled: true, maxSurplus: 800 } })
+        .expect(200);
+
+      // Rollover started in January; February is the month viewed
+      await CategoryBudget.updateOne(
+        { userId: testUser._id, subCategoryId: testSubCategory._id },
+        { 'rollover.since': new Date(2025, 10, 1) }
+      );
+      await Transaction.create([
+        spend(100, new Date(2025, 10, 15), 'rollover-nov'),
+        spend(1200, new Date(2026, 0, 15), 'rollover-jan'),
+        spend(50, new Date(2026, 1, 15), 'rollover-feb')
+      ]);
+
+      const monthly = await request(app)
+        .get('/api/budgets/monthly/2026/2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      // 400 carried from November, 800 (capped) after December, 100 after January
+      const expense = monthly.body.data.expenseBudgets
+        .find(budget => String(budget.subCategoryId._id) === String(testSubCategory._id));
+      expect(expense).toMatchObject({ rollover: true, budgetedAmount: 500, carriedAmount: 100, availableAmount: 600, actualAmount: 50 });
+      expect(monthly.body.data.totalCarriedExpenses).toBe(100);
+
+      const summary = await request(app)
+        .get('/api/category-budgets/summary/2026/2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(summary.body.data.expenses).toMatchObject({ totalBudgeted: 500, totalCarried: 100, totalAvailable: 600 });
+    });
+
+    test('resets the carried balance at the reset month', async () => {
+      await CategoryBudget.updateOne(
+        { userId: testUser._id, subCategoryId: testSubCategory._id },
+        {
+          fixedAmount: 500,
+          rollover: { enabled: true, since: new Date(2025, 10, 1), resetMonth: 1, maxSurplus: null, maxDeficit: null }
+        }
+      );
+      await Transaction.create(spend(100, new Date(2025, 11, 15), 'rollover-reset'));
+
+      const response = await request(app)
+        .get('/api/budgets/monthly/2026/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const expense = response.body.data.expenseBudgets
+        .find(budget => String(budget.subCategoryId._id) === String(testSubCategory._id));
+      expect(expense).toMatchObject({ carriedAmount: 0, availableAmount: 500 });
+    });
+
+    test('rejects rollover on an income budget', async () => {
+      const response = await request(app)
+        .put(`/api/budgets/category/${testCategory._id}/subcategory/null`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ budgetType: 'fixed', fixedAmount: 10000, rollover: { enabled: true } })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('One-Time Items', () => {
+    const transaction = (amount, date, identifier, extra = {}) => ({
+      identifier,
+      accountId: new mongoose.Types.ObjectId(),
+      userId: testUser._id,
+      date,
+      processedDate: date,
+      amount,
+      currency: 'ILS',
+      description: 'Test',
+      rawData: { source: 'test' },
+      ...extra
+    });
+
+    test('plans items and matches them to the transactions that arrive', async () => {
+      const salary = await Category.create({ name: 'Salary', type: 'Income', userId: testUser._id });
+      await Transaction.create([
+        transaction(21000, new Date(2026, 2, 25), 'one-time-bonus', { category: salary._id }),
+        transaction(-5200, new Date(2026, 5, 3), 'one-time-insurance', { category: testCategory._id, subCategory: testSubCategory._id })
+      ]);
+
+      const bonus = await request(app)
+        .post('/api/budgets/yearly/2026/one-time')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'income', description: 'Annual bonus', amount: 20000, expectedDate: '2026-03-15', categoryId: salary._id })
+        .expect(201);
+
+      // Added after the money arrived, so matched straight away
+      expect(bonus.body.data).toMatchObject({ type: 'income', status: 'received', actualAmount: 21000 });
+
+      await request(app)
+        .post('/api/budgets/yearly/2026/one-time')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', description: 'Car insurance', amount: 4800, expectedDate: '2026-09-01', categoryId: testCategory._id, subCategoryId: testSubCategory._id })
+        .expect(201);
+
+      // Three months out is too far for the June payment
+      let plan = await request(app)
+        .get('/api/budgets/yearly/2026/one-time')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      const insurance = plan.body.data.items.find(item => item.type === 'expense');
+      expect(insurance.status).toBe('planned');
+      expect(plan.body.data.totals).toMatchObject({ plannedIncome: 0, receivedIncome: 21000, plannedExpenses: 4800 });
+
+      await request(app)
+        .put(`/api/budgets/yearly/2026/one-time/expense/${insurance._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ expectedDate: '2026-06-01' })
+        .expect(200);
+      const matched = await request(app)
+        .post('/api/budgets/yearly/2026/one-time/match')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(matched.body.data.matched).toBe(1);
+      expect(matched.body.data.totals).toMatchObject({ plannedExpenses: 0, spentExpenses: 5200 });
+    });
+
+    test('completes, reopens and removes items by hand', async () => {
+      const created = await request(app)
+        .post('/api/budgets/yearly/2026/one-time')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', description: 'Tuition', amount: 12000, expectedDate: '2026-10-01', categoryId: testCategory._id, subCategoryId: testSubCategory._id })
+        .expect(201);
+      const path = `/api/budgets/yearly/2026/one-time/expense/${created.body.data._id}`;
+
+      const completed = await request(app)
+        .post(`${path}/complete`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ actualAmount: 11500 })
+        .expect(200);
+      expect(completed.body.data).toMatchObject({ status: 'spent', actualAmount: 11500 });
+
+      const reopened = await request(app)
+        .put(path)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'planned' })
+        .expect(200);
+      expect(reopened.body.data).toMatchObject({ status: 'planned', actualAmount: null });
+
+      await request(app).delete(path).set('Authorization', `Bearer ${authToken}`).expect(200);
+      await request(app).delete(path).set('Authorization', `Bearer ${authToken}`).expect(404);
+    });
+
+    test('rejects items outside the year or missing a subcategory', async () => {
+      const item = { type: 'expense', description: 'Insurance', amount: 100, categoryId: testCategory._id };
+
+      await request(app)
+        .post('/api/budgets/yearly/2026/one-time')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...item, expectedDate: '2027-01-10', subCategoryId: testSubCategory._id })
+        .expect(400);
+      await request(app)
+        .post('/api/budgets/yearly/2026/one-time')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...item, expectedDate: '2026-01-10' })
+        .expect(400);
+    });
+  });
+
+  describe('Budget Periods', () => {
+    const transaction = (amount, date, identifier, extra = {}) => ({
+      identifier,
+      accountId: new mongoose.Types.ObjectId(),
+      userId: testUser._id,
+      date,
+      processedDate: date,
+      amount,
+      currency: 'ILS',
+      description: 'Test',
+      category: testCategory._id,
+      subCategory: testSubCategory._id,
+      rawData: { source: 'test' },
+      ...extra
+    });
+
+    const expenseActual = (budget) => budget.expenseBudgets
+      .find(expense => String(expense.subCategoryId._id) === String(testSubCategory._id)).actualAmount;
+
+    beforeEach(async () => {
+      await request(app)
+        .put(`/api/budgets/category/${testCategory._id}/subcategory/${testSubCategory._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ budgetType: 'fixed', fixedAmount: 500 })
+        .expect(200);
+    });
+
+    test('counts a month from its start day to the day before the next', async () => {
+      await User.updateOne({ _id: testUser._id }, { 'settings.budgetMonthStartDay': 10 });
+      await Transaction.create([
+        transaction(-100, new Date(2026, 1, 12), 'period-day-feb'),
+        transaction(-40, new Date(2026, 2, 5), 'period-day-early-mar'),
+        transaction(-70, new Date(2026, 2, 11), 'period-day-mar')
+      ]);
+
+      const response = await request(app)
+        .get('/api/budgets/monthly/2026/2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(new Date(response.body.data.period.start)).toEqual(new Date(2026, 1, 10));
+      expect(new Date(response.body.data.period.end)).toEqual(new Date(2026, 2, 9, 23, 59, 59, 999));
+      expect(expenseActual(response.body.data)).toBe(140);
+
+      const summary = await request(app)
+        .get('/api/category-budgets/summary/2026/2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(summary.body.data.expenses.totalActual).toBe(140);
+
+      const period = await budgetPeriodService.getPeriod(testUser._id, 2026, 2);
+      const [actuals] = await transactionService.getMonthlyBudgetActuals(testUser._id, period);
+      expect(actuals).toMatchObject({ totalAmount: 140, transactionCount: 2 });
+    });
+
+    test('starts a month when its salary arrives', async () => {
+      await User.updateOne({ _id: testUser._id }, { 'settings.budgetMonthStartsOn': 'salary' });
+      const salary = await Category.create({ name: 'Salary', type: 'Income', userId: testUser._id });
+      await Transaction.create([
+        transaction(20000, new Date(2026, 1, 26), 'period-salary-mar', { category: salary._id, subCategory: null }),
+        transaction(-90, new Date(2026, 1, 27), 'period-salary-after'),
+        transaction(20000, new Date(2026, 2, 27), 'period-salary-apr', { category: salary._id, subCategory: null }),
+        transaction(-60, new Date(2026, 2, 28), 'period-salary-next')
+      ]);
+
+      const response = await request(app)
+        .get('/api/budgets/monthly/2026/3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.period).toMatchObject({ year: 2026, month: 3, startsOn: 'salary', fromSalary: true });
+      expect(new Date(response.body.data.period.start)).toEqual(new Date(2026, 1, 26));
+      expect(new Date(response.body.data.period.end)).toEqual(new Date(2026, 2, 26, 23, 59, 59, 999));
+      expect(response.body.data.totalActualIncome).toBe(20000);
+      expect(expenseActual(response.body.data)).toBe(90);
+    });
+
+    test('returns the period today falls in', async () => {
+      const response = await request(app)
+        .get('/api/budgets/period/current')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const today = new Date();
+      expect(response.body.data).toMatchObject({ year: today.getFullYear(), month: today.getMonth() + 1, startsOn: 'day' });
+    });
+  });
+
   // ============================================
   // VALIDATION & ERROR HANDLING TESTS
   // ============================================
@@ -1,8 +1,10 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const budgetService = require('../services/budgetService');
 const smartBudgetService = require('../services/smartBudgetService');
+const yearlyBudgetService = require('../services/yearlyBudgetService');
+const budgetPeriodService = require('../services/budgetPeriodService');
 const logger = require('../../shared/utils/logger');
 
 const router = express.Router();
@@ -29,7 +31,7 @@ const handleValidationErrors = (req, res, next) => {
  * Get monthly budget for specific month
  */
 router.get('/monthly/:year/:month',
-  auth,
+  householdAuth,
   [
     param('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
     param('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12')
@@ -38,7 +40,7 @@ router.get('/monthly/:year/:month',
   async (req, res) => {
     try {
       const { year, month } = req.params;
-      const budget = await budgetService.getMonthlyBudget(req.user._id, parseInt(year), parseInt(month));
+      const budget = await budgetService.getMonthlyBudget(req.dataOwnerId, parseInt(year), parseInt(month));
       
       res.json({
         success: true,
@@ -60,7 +62,7 @@ router.get('/monthly/:year/:month',
  * Create new monthly budget
  */
 router.post('/monthly',
-  auth,
+  householdAuth,
   [
     body('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
     body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
@@ -74,7 +76,7 @@ router.post('/monthly',
   async (req, res) => {
     try {
       const { year, month, ...budgetData } = req.body;
-      const budget = await budgetService.createMonthlyBudget(req.user._id, year, month, budgetData);
+      const budget = await budgetService.createMonthlyBudget(req.dataOwnerId, year, month, budgetData);
       
       res.status(201).json({
         success: true,
@@ -105,7 +107,7 @@ router.post('/monthly',
  * Update existing monthly budget
  */
 router.put('/monthly/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid budget ID'),
     body('salaryBudget').optional().isFloat({ min: 0 }).withMessage('Salary budget must be non-negative'),
@@ -148,7 +150,7 @@ router.put('/monthly/:id',
  * Auto-calculate monthly budget from history
  */
 router.post('/monthly/calculate',
-  auth,
+  householdAuth,
   [
     body('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
     body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
@@ -159,7 +161,7 @@ router.post('/monthly/calculate',
     try {
       const { year, month, monthsToAnalyze = 6 } = req.body;
       const budget = await budgetService.calculateMonthlyBudgetFromHistory(
-        req.user._id, 
+        req.dataOwnerId, 
         year, 
         month, 
         monthsToAnalyze
@@ -186,7 +188,7 @@ router.post('/monthly/calculate',
  * Smart budget calculation with pattern-aware workflow
  */
 router.post('/monthly/smart-calculate',
-  auth,
+  householdAuth,
   [
     body('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
     body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
@@ -199,7 +201,7 @@ router.post('/monthly/smart-calculate',
       
       // Execute smart budget workflow
       const result = await smartBudgetService.executeSmartBudgetWorkflow(
-        req.user._id, 
+        req.dataOwnerId, 
         year, 
         month, 
         monthsToAnalyze
@@ -255,7 +257,7 @@ router.post('/monthly/smart-calculate',
  * Get budget vs actual analysis for a month
  */
 router.get('/monthly/:year/:month/actual',
-  auth,
+  householdAuth,
   [
     param('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
     param('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12')
@@ -264,7 +266,7 @@ router.get('/monthly/:year/:month/actual',
   async (req, res) => {
     try {
       const { year, month } = req.params;
-      const analysis = await budgetService.getBudgetVsActual(req.user._id, 'monthly', {
+      const analysis = await budgetService.getBudgetVsActual(req.dataOwnerId, 'monthly', {
         year: parseInt(year),
         month: parseInt(month)
       });
@@ -284,6 +286,36 @@ router.get('/monthly/:year/:month/actual',
   }
 );
 
+// ============================================
+// BUDGET PERIOD ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/budgets/period/current
+ * The budget month today falls in, with the dates its period covers. With a
+ * late start day or salary-driven months this is often not the calendar month.
+ */
+router.get('/period/current',
+  householdAuth,
+  async (req, res) => {
+    try {
+      const period = await budgetPeriodService.getPeriodOn(req.dataOwnerId, new Date());
+
+      res.json({
+        success: true,
+        data: period
+      });
+    } catch (error) {
+      logger.error('Error fetching current budget period:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch current budget period',
+        error: error.message
+      });
+    }
+  }
+);
+
 // ============================================
 // YEARLY BUDGET ENDPOINTS
 // ============================================
@@ -293,14 +325,14 @@ router.get('/monthly/:year/:month/actual',
  * Get yearly budget
  */
 router.get('/yearly/:year',
-  auth,
+  householdAuth,
   [
     param('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const budget = await budgetService.getYearlyBudget(req.user._id, parseInt(req.params.year));
+      const budget = await budgetService.getYearlyBudget(req.dataOwnerId, parseInt(req.params.year));
       
       res.json({
         success: true,
@@ -322,7 +354,7 @@ router.get('/yearly/:year',
  * Create new yearly budget
  */
 router.post('/yearly',
-  auth,
+  householdAuth,
   [
     body('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
     body('currency').optional().isString().withMessage('Currency must be a string'),
@@ -336,7 +368,7 @@ router.post('/yearly',
   async (req, res) => {
     try {
       const { year, ...budgetData } = req.body;
-      const budget = await budgetService.createYearlyBudget(req.user._id, year, budgetData);
+      const budget = await budgetService.createYearlyBudget(req.dataOwnerId, year, budgetData);
       
       res.status(201).json({
         success: true,
@@ -367,7 +399,7 @@ router.post('/yearly',
  * Update yearly budget
  */
 router.put('/yearly/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid budget ID'),
     body('totalIncome').optional().isFloat({ min: 0 }).withMessage('Total income must be non-negative'),
@@ -406,4 +438,255 @@ router.put('/yearly/:id',
   }
 );
 
+// ============================================
+// ONE-TIME ITEM ENDPOINTS
+// ============================================
+
+const yearParam = param('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050');
+const itemParams = [
+  yearParam,
+  param('type').isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+  param('itemId').isMongoId().withMessage('Invalid item ID')
+];
+
+// Service errors worth telling the client about rather than a 500
+const oneTimeItemErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('must fall within')) return 400;
+  return null;
+};
+
+/**
+ * GET /api/budgets/yearly/:year/one-time
+ * Get the year's planned one-time income and expenses with totals
+ */
+router.get('/yearly/:year/one-time',
+  householdAuth,
+  [yearParam],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const plan = await yearlyBudgetService.getOneTimePlan(req.dataOwnerId, parseInt(req.params.year));
+
+      res.json({
+        success: true,
+        data: plan
+      });
+    } catch (error) {
+      logger.error('Error fetching one-time items:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch one-time items',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/budgets/yearly/:year/one-time
+ * Plan a one-time income (bonus, tax refund) or expense (annual insurance, tuition)
+ */
+router.post('/yearly/:year/one-time',
+  householdAuth,
+  [
+    yearParam,
+    body('type').isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+    body('description').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Description is required and must be under 200 characters'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+    body('expectedDate').isISO8601().withMessage('Expected date must be a valid date'),
+    body('categoryId').isMongoId().withMessage('Invalid category ID'),
+    body('subCategoryId')
+      .if(body('type').equals('expense'))
+      .isMongoId().withMessage('Expenses need a subcategory'),
+    body('notes').optional().isString().isLength({ max: 300 }).withMessage('Notes must be under 300 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { type, ...itemData } = req.body;
+      const item = await yearlyBudgetService.addOneTimeItem(req.dataOwnerId, parseInt(req.params.year), type, itemData);
+
+      res.status(201).json({
+        success: true,
+        data: item,
+        message: `One-time ${type} added successfully`
+      });
+    } catch (error) {
+      logger.error('Error adding one-time item:', error);
+
+      const status = oneTimeItemErrorStatus(error);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add one-time item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/budgets/yearly/:year/one-time/:type/:itemId
+ * Update a one-time item; setting it back to planned unlinks its transaction
+ */
+router.put('/yearly/:year/one-time/:type/:itemId',
+  householdAuth,
+  [
+    ...itemParams,
+    body('description').optional().isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Description must be under 200 characters'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+    body('expectedDate').optional().isISO8601().withMessage('Expected date must be a valid date'),
+    body('categoryId').optional().isMongoId().withMessage('Invalid category ID'),
+    body('subCategoryId').optional().isMongoId().withMessage('Invalid subcategory ID'),
+    body('notes').optional().isString().isLength({ max: 300 }).withMessage('Notes must be under 300 characters'),
+    body('status').optional().isIn(['planned', 'cancelled']).withMessage('Status must be planned or cancelled')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { year, type, itemId } = req.params;
+      const item = await yearlyBudgetService.updateOneTimeItem(req.dataOwnerId, parseInt(year), type, itemId, req.body);
+
+      res.json({
+        success: true,
+        data: item,
+        message: `One-time ${type} updated successfully`
+      });
+    } catch (error) {
+      logger.error('Error updating one-time item:', error);
+
+      const status = oneTimeItemErrorStatus(error);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update one-time item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/budgets/yearly/:year/one-time/:type/:itemId
+ * Remove a one-time item
+ */
+router.delete('/yearly/:year/one-time/:type/:itemId',
+  householdAuth,
+  itemParams,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { year, type, itemId } = req.params;
+      await yearlyBudgetService.removeOneTimeItem(req.dataOwnerId, parseInt(year), type, itemId);
+
+      res.json({
+        success: true,
+        message: `One-time ${type} removed successfully`
+      });
+    } catch (error) {
+      logger.error('Error removing one-time item:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove one-time item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/budgets/yearly/:year/one-time/:type/:itemId/complete
+ * Mark a one-time item received or spent by hand, for when no transaction matched
+ */
+router.post('/yearly/:year/one-time/:type/:itemId/complete',
+  householdAuth,
+  [
+    ...itemParams,
+    body('actualAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Actual amount must be non-negative'),
+    body('actualDate').optional().isISO8601().withMessage('Actual date must be a valid date')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { year, type, itemId } = req.params;
+      const { actualAmount = null, actualDate } = req.body;
+      const item = await yearlyBudgetService.markOneTimeItemCompleted(
+        req.dataOwnerId, parseInt(year), itemId, type, actualAmount, actualDate ? new Date(actualDate) : new Date()
+      );
+
+      res.json({
+        success: true,
+        data: item,
+        message: `One-time ${type} marked as ${item.status}`
+      });
+    } catch (error) {
+      logger.error('Error completing one-time item:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete one-time item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/budgets/yearly/:year/one-time/match
+ * Match the year's planned items to transactions now rather than after the next sync
+ */
+router.post('/yearly/:year/one-time/match',
+  householdAuth,
+  [yearParam],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const year = parseInt(req.params.year);
+      const matched = await yearlyBudgetService.matchOneTimeItems(req.dataOwnerId, year);
+      const plan = await yearlyBudgetService.getOneTimePlan(req.dataOwnerId, year);
+
+      res.json({
+        success: true,
+        data: { matched, ...plan },
+        message: `Matched ${matched} one-time item${matched === 1 ? '' : 's'}`
+      });
+    } catch (error) {
+      logger.error('Error matching one-time items:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to match one-time items',
+        error: error.message
+      });
+    }
+  }
+);
+
 module.exports = router;
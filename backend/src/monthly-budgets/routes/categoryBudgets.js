@@ -1,5 +1,5 @@
 const express = require('express');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const categoryBudgetService = require('../services/categoryBudgetService');
 const { body, param, query, validationResult } = require('express-validator');
 
@@ -26,13 +26,13 @@ const handleValidationErrors = (req, res, next) => {
  * GET /api/category-budgets
  * Get all category budgets for the authenticated user
  */
-router.get('/', auth, [
+router.get('/', householdAuth, [
   query('month').optional().isInt({ min: 1, max: 12 }),
   query('type').optional().isIn(['income', 'expense'])
 ], handleValidationErrors, async (req, res) => {
   try {
     const { month, type } = req.query;
-    const userId = req.user.id;
+    const userId = req.dataOwnerId;
 
     let budgets;
     
@@ -63,14 +63,14 @@ router.get('/', auth, [
  * GET /api/category-budgets/:id
  * Get a specific category budget by ID
  */
-router.get('/:id', auth, [
+router.get('/:id', householdAuth, [
   param('id').isMongoId()
 ], handleValidationErrors, async (req, res) => {
   try {
     const budget = await categoryBudgetService.getCategoryBudget(req.params.id);
     
     // Verify ownership
-    if (budget.userId.toString() !== req.user.id) {
+    if (budget.userId.toString() !== req.dataOwnerId.toString()) {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
@@ -94,7 +94,7 @@ router.get('/:id', auth, [
  * POST /api/category-budgets
  * Create or update a category budget
  */
-router.post('/', auth, [
+router.post('/', householdAuth, [
   body('categoryId').isMongoId(),
   body('subCategoryId').optional().isMongoId(),
   body('budgetType').isIn(['fixed', 'variable']),
@@ -102,11 +102,18 @@ router.post('/', auth, [
   body('monthlyAmounts').optional().isArray(),
   body('monthlyAmounts.*.month').optional().isInt({ min: 1, max: 12 }),
   body('monthlyAmounts.*.amount').optional().isNumeric({ min: 0 }),
+  body('rollover').optional().isObject(),
+  body('rollover.enabled').optional().isBoolean()
+    .custom((enabled, { req }) => !enabled || Boolean(req.body.subCategoryId))
+    .withMessage('Rollover is only available for expense budgets'),
+  body('rollover.maxSurplus').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('rollover.maxDeficit').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('rollover.resetMonth').optional({ nullable: true }).isInt({ min: 1, max: 12 }),
   body('notes').optional().isLength({ max: 500 })
 ], handleValidationErrors, async (req, res) => {
   try {
     const { categoryId, subCategoryId, ...budgetData } = req.body;
-    const userId = req.user.id;
+    const userId = req.dataOwnerId;
 
     const budget = await categoryBudgetService.createOrUpdateCategoryBudget(
       userId,
@@ -132,7 +139,7 @@ router.post('/', auth, [
  * PUT /api/category-budgets/:id/amount
  * Update budget amount for a specific month
  */
-router.put('/:id/amount', auth, [
+router.put('/:id/amount', householdAuth, [
   param('id').isMongoId(),
   body('month').isInt({ min: 1, max: 12 }),
   body('amount').isNumeric({ min: 0 })
@@ -143,7 +150,7 @@ router.put('/:id/amount', auth, [
     
     // First verify ownership
     const budget = await categoryBudgetService.getCategoryBudget(budgetId);
-    if (budget.userId.toString() !== req.user.id) {
+    if (budget.userId.toString() !== req.dataOwnerId.toString()) {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
@@ -151,7 +158,7 @@ router.put('/:id/amount', auth, [
     }
 
     const updatedBudget = await categoryBudgetService.updateBudgetAmount(
-      req.user.id,
+      req.dataOwnerId,
       budget.categoryId,
       budget.subCategoryId,
       month,
@@ -175,7 +182,7 @@ router.put('/:id/amount', auth, [
  * PUT /api/category-budgets/:id/convert
  * Convert budget type (fixed to variable or vice versa)
  */
-router.put('/:id/convert', auth, [
+router.put('/:id/convert', householdAuth, [
   param('id').isMongoId(),
   body('budgetType').isIn(['fixed', 'variable']),
   body('fixedAmount').optional().isNumeric({ min: 0 }),
@@ -187,7 +194,7 @@ router.put('/:id/convert', auth, [
 
     // Verify ownership
     const budget = await categoryBudgetService.getCategoryBudget(budgetId);
-    if (budget.userId.toString() !== req.user.id) {
+    if (budget.userId.toString() !== req.dataOwnerId.toString()) {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
@@ -217,7 +224,7 @@ router.put('/:id/convert', auth, [
  * DELETE /api/category-budgets/:id
  * Delete a category budget
  */
-router.delete('/:id', auth, [
+router.delete('/:id', householdAuth, [
   param('id').isMongoId()
 ], handleValidationErrors, async (req, res) => {
   try {
@@ -225,7 +232,7 @@ router.delete('/:id', auth, [
 
     // Verify ownership
     const budget = await categoryBudgetService.getCategoryBudget(budgetId);
-    if (budget.userId.toString() !== req.user.id) {
+    if (budget.userId.toString() !== req.dataOwnerId.toString()) {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
@@ -255,13 +262,13 @@ router.delete('/:id', auth, [
  * GET /api/category-budgets/summary/:year/:month
  * Get budget summary for a specific month
  */
-router.get('/summary/:year/:month', auth, [
+router.get('/summary/:year/:month', householdAuth, [
   param('year').isInt({ min: 2020, max: 2050 }),
   param('month').isInt({ min: 1, max: 12 })
 ], handleValidationErrors, async (req, res) => {
   try {
     const { year, month } = req.params;
-    const userId = req.user.id;
+    const userId = req.dataOwnerId;
 
     const summary = await categoryBudgetService.getMonthlyBudgetSummary(
       userId,
@@ -286,7 +293,7 @@ router.get('/summary/:year/:month', auth, [
  * GET /api/category-budgets/vs-actual/:categoryId/:year/:month
  * Get budget vs actual comparison for a category
  */
-router.get('/vs-actual/:categoryId/:year/:month', auth, [
+router.get('/vs-actual/:categoryId/:year/:month', householdAuth, [
   param('categoryId').isMongoId(),
   param('year').isInt({ min: 2020, max: 2050 }),
   param('month').isInt({ min: 1, max: 12 }),
@@ -295,7 +302,7 @@ router.get('/vs-actual/:categoryId/:year/:month', auth, [
   try {
     const { categoryId, year, month } = req.params;
     const { subCategoryId } = req.query;
-    const userId = req.user.id;
+    const userId = req.dataOwnerId;
 
     const comparison = await categoryBudgetService.getBudgetVsActual(
       userId,
@@ -322,9 +329,9 @@ router.get('/vs-actual/:categoryId/:year/:month', auth, [
  * POST /api/category-budgets/initialize
  * Initialize default budgets for the user based on their categories
  */
-router.post('/initialize', auth, async (req, res) => {
+router.post('/initialize', householdAuth, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.dataOwnerId;
     const budgets = await categoryBudgetService.initializeUserBudgets(userId);
 
     res.json({
@@ -345,9 +352,9 @@ router.post('/initialize', auth, async (req, res) => {
  * GET /api/category-budgets/dashboard
  * Get budget overview for dashboard
  */
-router.get('/dashboard', auth, async (req, res) => {
+router.get('/dashboard', householdAuth, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.dataOwnerId;
     const overview = await categoryBudgetService.getDashboardOverview(userId);
 
     res.json({
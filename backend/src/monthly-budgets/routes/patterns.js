@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const patternService = require('../services/patternService');
 const smartBudgetService = require('../services/smartBudgetService');
 const budgetService = require('../services/budgetService');
@@ -26,22 +26,23 @@ const handleValidationErrors = (req, res, next) => {
  * Get detected patterns for user (pending approval)
  */
 router.get('/detected/:userId',
-  auth,
+  householdAuth,
   [
     param('userId').isMongoId().withMessage('Invalid user ID')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      // Ensure user can only access their own patterns
-      if (req.params.userId !== req.user._id.toString()) {
+      // Ensure user can only access their own household's patterns. Members
+      // ask with their own id, which the household's records are not under.
+      if (![req.user._id.toString(), req.dataOwnerId.toString()].includes(req.params.userId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
         });
       }
 
-      const patterns = await patternService.getPendingPatterns(req.user._id);
+      const patterns = await patternService.getPendingPatterns(req.dataOwnerId);
       
       res.json({
         success: true,
@@ -66,10 +67,10 @@ router.get('/detected/:userId',
  * Get all pending patterns for the current user
  */
 router.get('/pending',
-  auth,
+  householdAuth,
   async (req, res) => {
     try {
-      const patterns = await patternService.getPendingPatterns(req.user._id);
+      const patterns = await patternService.getPendingPatterns(req.dataOwnerId);
       
       res.json({
         success: true,
@@ -92,10 +93,10 @@ router.get('/pending',
  * Get all approved patterns for the current user
  */
 router.get('/approved',
-  auth,
+  householdAuth,
   async (req, res) => {
     try {
-      const patterns = await patternService.getActivePatterns(req.user._id);
+      const patterns = await patternService.getActivePatterns(req.dataOwnerId);
       
       res.json({
         success: true,
@@ -118,7 +119,7 @@ router.get('/approved',
  * Get pattern preview for a specific month
  */
 router.get('/preview/:year/:month',
-  auth,
+  householdAuth,
   [
     param('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
     param('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12')
@@ -129,7 +130,7 @@ router.get('/preview/:year/:month',
       const year = parseInt(req.params.year);
       const month = parseInt(req.params.month);
       
-      const preview = await patternService.getPatternPreview(req.user._id, year, month);
+      const preview = await patternService.getPatternPreview(req.dataOwnerId, year, month);
       
       res.json({
         success: true,
@@ -151,14 +152,14 @@ router.get('/preview/:year/:month',
  * Approve a detected pattern
  */
 router.post('/approve',
-  auth,
+  householdAuth,
   [
     body('patternId').isMongoId().withMessage('Invalid pattern ID')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const pattern = await patternService.approvePattern(req.user._id, req.body.patternId);
+      const pattern = await patternService.approvePattern(req.dataOwnerId, req.body.patternId);
       
       res.json({
         success: true,
@@ -196,7 +197,7 @@ router.post('/approve',
  * Reject a detected pattern
  */
 router.post('/reject',
-  auth,
+  householdAuth,
   [
     body('patternId').isMongoId().withMessage('Invalid pattern ID'),
     body('reason').optional().isString().isLength({ max: 200 }).withMessage('Reason must be under 200 characters')
@@ -205,7 +206,7 @@ router.post('/reject',
   async (req, res) => {
     try {
       const pattern = await patternService.rejectPattern(
-        req.user._id,
+        req.dataOwnerId,
         req.body.patternId,
         req.body.reason
       );
@@ -246,7 +247,7 @@ router.post('/reject',
  * Approve multiple patterns at once
  */
 router.put('/bulk-approve',
-  auth,
+  householdAuth,
   [
     body('patternIds').isArray({ min: 1 }).withMessage('patternIds must be a non-empty array'),
     body('patternIds.*').isMongoId().withMessage('Each patternId must be a valid MongoDB ID')
@@ -254,7 +255,7 @@ router.put('/bulk-approve',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const result = await patternService.bulkApprovePatterns(req.user._id, req.body.patternIds);
+      const result = await patternService.bulkApprovePatterns(req.dataOwnerId, req.body.patternIds);
       
       res.json({
         success: true,
@@ -277,7 +278,7 @@ router.put('/bulk-approve',
  * Reject all remaining pending patterns and proceed with budget calculation
  */
 router.post('/reject-remaining-and-proceed',
-  auth,
+  householdAuth,
   [
     body('year').isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
     body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
@@ -287,7 +288,7 @@ router.post('/reject-remaining-and-proceed',
   async (req, res) => {
     try {
       const { year, month, monthsToAnalyze = 6 } = req.body;
-      const userId = req.user._id;
+      const userId = req.dataOwnerId;
 
       logger.info(`Rejecting remaining patterns and proceeding with budget calculation for user ${userId}`);
 
@@ -0,0 +1,255 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const budgetScenarioService = require('../services/budgetScenarioService');
+const { ALL_PATTERN_TYPES } = require('../constants/patternTypes');
+const logger = require('../../shared/utils/logger');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Service errors worth telling the client about rather than a 500
+const scenarioErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.name === 'ValidationError') return 400;
+  return null;
+};
+
+const sendError = (res, error, failure) => {
+  const status = scenarioErrorStatus(error);
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: failure,
+    error: error.message
+  });
+};
+
+const idParam = param('id').isMongoId().withMessage('Invalid scenario ID');
+
+const entryValidation = (list) => [
+  body(list).optional().isArray().withMessage(`${list} must be an array`),
+  body(`${list}.*.description`).isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Description is required and must be under 200 characters'),
+  body(`${list}.*.type`).isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+  body(`${list}.*.amount`).isFloat({ min: 0 }).withMessage('Amount must be zero or more'),
+  body(`${list}.*.categoryId`).isMongoId().withMessage('Invalid category ID'),
+  body(`${list}.*.subCategoryId`).optional({ values: 'null' }).isMongoId().withMessage('Invalid subcategory ID')
+];
+
+const scenarioValidation = [
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
+  body('budgets').optional().isArray().withMessage('Budgets must be an array'),
+  body('budgets.*.categoryId').isMongoId().withMessage('Invalid category ID'),
+  body('budgets.*.subCategoryId').optional({ values: 'null' }).isMongoId().withMessage('Invalid subcategory ID'),
+  body('budgets.*.budgetType').optional().isIn(['fixed', 'variable']).withMessage('Budget type must be fixed or variable'),
+  body('budgets.*.fixedAmount').optional().isFloat({ min: 0 }).withMessage('Fixed amount must be zero or more'),
+  body('budgets.*.monthlyAmounts').optional().isArray().withMessage('Monthly amounts must be an array'),
+  body('budgets.*.monthlyAmounts.*.month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  body('budgets.*.monthlyAmounts.*.amount').isFloat({ min: 0 }).withMessage('Amount must be zero or more'),
+  ...entryValidation('recurring'),
+  body('recurring.*.recurrence').optional().isIn(ALL_PATTERN_TYPES).withMessage(`Recurrence must be one of: ${ALL_PATTERN_TYPES.join(', ')}`),
+  body('recurring.*.scheduledMonths').optional().isArray().withMessage('Scheduled months must be an array'),
+  body('recurring.*.scheduledMonths.*').isInt({ min: 1, max: 12 }).withMessage('Scheduled months must be between 1 and 12'),
+  body('recurring.*.startDate').optional({ values: 'null' }).isISO8601().withMessage('Start date must be a valid date'),
+  body('recurring.*.endDate').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+  ...entryValidation('events'),
+  body('events.*.date').isISO8601().withMessage('Date must be a valid date')
+];
+
+/**
+ * GET /api/budgets/scenarios
+ * List the user's what-if scenarios
+ */
+router.get('/',
+  householdAuth,
+  async (req, res) => {
+    try {
+      const scenarios = await budgetScenarioService.getScenarios(req.dataOwnerId);
+
+      res.json({
+        success: true,
+        data: scenarios
+      });
+    } catch (error) {
+      logger.error('Error fetching budget scenarios:', error);
+      sendError(res, error, 'Failed to fetch budget scenarios');
+    }
+  }
+);
+
+/**
+ * POST /api/budgets/scenarios
+ * Start a scenario from a copy of the live budget
+ */
+router.post('/',
+  householdAuth,
+  [
+    body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required and must be under 100 characters'),
+    body('description').optional().isString().isLength({ max: 500 }).withMessage('Description must be under 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const scenario = await budgetScenarioService.createScenario(req.dataOwnerId, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: scenario,
+        message: 'Scenario created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating budget scenario:', error);
+      sendError(res, error, 'Failed to create budget scenario');
+    }
+  }
+);
+
+/**
+ * GET /api/budgets/scenarios/:id
+ * Get a scenario with its budget lines, recurring items and events
+ */
+router.get('/:id',
+  householdAuth,
+  [idParam],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const scenario = await budgetScenarioService.getScenario(req.dataOwnerId, req.params.id);
+
+      res.json({
+        success: true,
+        data: scenario
+      });
+    } catch (error) {
+      logger.error('Error fetching budget scenario:', error);
+      sendError(res, error, 'Failed to fetch budget scenario');
+    }
+  }
+);
+
+/**
+ * PUT /api/budgets/scenarios/:id
+ * Change a scenario; budgets, recurring and events are replaced whole
+ */
+router.put('/:id',
+  householdAuth,
+  [
+    idParam,
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be under 100 characters'),
+    ...scenarioValidation
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const scenario = await budgetScenarioService.updateScenario(req.dataOwnerId, req.params.id, req.body);
+
+      res.json({
+        success: true,
+        data: scenario,
+        message: 'Scenario updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating budget scenario:', error);
+      sendError(res, error, 'Failed to update budget scenario');
+    }
+  }
+);
+
+/**
+ * DELETE /api/budgets/scenarios/:id
+ * Delete a scenario; the live budget is unaffected
+ */
+router.delete('/:id',
+  householdAuth,
+  [idParam],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await budgetScenarioService.deleteScenario(req.dataOwnerId, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Scenario deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting budget scenario:', error);
+      sendError(res, error, 'Failed to delete budget scenario');
+    }
+  }
+);
+
+/**
+ * GET /api/budgets/scenarios/:id/comparison
+ * The scenario against the live budget over the 12 budget months from the
+ * given one, or from the current one
+ */
+router.get('/:id/comparison',
+  householdAuth,
+  [
+    idParam,
+    query('year').optional().isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
+    query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { year, month } = req.query;
+      const comparison = await budgetScenarioService.compareScenario(req.dataOwnerId, req.params.id, {
+        year: year ? parseInt(year) : undefined,
+        month: month ? parseInt(month) : undefined
+      });
+
+      res.json({
+        success: true,
+        data: comparison
+      });
+    } catch (error) {
+      logger.error('Error comparing budget scenario:', error);
+      sendError(res, error, 'Failed to compare budget scenario');
+    }
+  }
+);
+
+/**
+ * POST /api/budgets/scenarios/:id/promote
+ * Make the scenario the live budget
+ */
+router.post('/:id/promote',
+  householdAuth,
+  [idParam],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await budgetScenarioService.promoteScenario(req.dataOwnerId, req.params.id);
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'Scenario promoted to the live budget'
+      });
+    } catch (error) {
+      logger.error('Error promoting budget scenario:', error);
+      sendError(res, error, 'Failed to promote budget scenario');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const {
+  SALARY_EARLY_DAYS,
+  shiftMonth,
+  salaryWindow,
+  buildPeriods,
+  periodContaining
+} = require('../budgetPeriod');
+
+describe('shiftMonth', () => {
+  it('crosses year boundaries both ways', () => {
+    expect(shiftMonth(2026, 12, 1)).toEqual({ year: 2027, month: 1 });
+    expect(shiftMonth(2026, 1, -1)).toEqual({ year: 2025, month: 12 });
+    expect(shiftMonth(2026, 3, 0)).toEqual({ year: 2026, month: 3 });
+  });
+});
+
+describe('buildPeriods', () => {
+  it('matches the calendar month when months start on the 1st', () => {
+    const [period] = buildPeriods({ year: 2026, month: 2 });
+
+    expect(period.start).toEqual(new Date(2026, 1, 1));
+    expect(period.end).toEqual(new Date(2026, 1, 28, 23, 59, 59, 999));
+    expect(period).toMatchObject({ year: 2026, month: 2, startsOn: 'day', fromSalary: false });
+  });
+
+  it('runs from the start day to the day before the next one', () => {
+    const periods = buildPeriods({ year: 2026, month: 12, count: 2, startDay: 10 });
+
+    expect(periods.map(({ year, month }) => ({ year, month }))).toEqual([
+      { year: 2026, month: 12 },
+      { year: 2027, month: 1 }
+    ]);
+    expect(periods[0].start).toEqual(new Date(2026, 11, 10));
+    expect(periods[0].end).toEqual(new Date(2027, 0, 9, 23, 59, 59, 999));
+    expect(periods[1].start).toEqual(new Date(2027, 0, 10));
+  });
+
+  it('starts on the day the salary arrived, and on the start day when it has not', () => {
+    const periods = buildPeriods({
+      year: 2026,
+      month: 3,
+      count: 2,
+      startDay: 1,
+      startsOn: 'salary',
+      salaryDates: [new Date(2026, 2, 27, 14, 30), new Date(2026, 1, 26)]
+    });
+
+    expect(periods[0]).toMatchObject({ startsOn: 'salary', fromSalary: true, start: new Date(2026, 1, 26) });
+    expect(periods[0].end).toEqual(new Date(2026, 2, 26, 23, 59, 59, 999));
+    expect(periods[1]).toMatchObject({ fromSalary: true, start: new Date(2026, 2, 27) });
+    // April's salary is not in yet
+    expect(periods[1].end).toEqual(new Date(2026, 4, 0, 23, 59, 59, 999));
+  });
+
+  it('ignores salary outside the window around the start day', () => {
+    const { from, to } = salaryWindow(2026, 4, 10);
+    expect(from).toEqual(new Date(2026, 3, 10 - SALARY_EARLY_DAYS));
+    expect(to).toEqual(new Date(2026, 3, 10 + SALARY_EARLY_DAYS, 23, 59, 59, 999));
+
+    const [period] = buildPeriods({
+      year: 2026, month: 4, startDay: 10, startsOn: 'salary', salaryDates: [new Date(2026, 3, 20)]
+    });
+    expect(period).toMatchObject({ fromSalary: false, start: new Date(2026, 3, 10) });
+  });
+});
+
+describe('periodContaining', () => {
+  const periods = buildPeriods({ year: 2026, month: 5, count: 2, startDay: 15 });
+
+  it('finds the period a date falls in', () => {
+    expect(periodContaining(new Date(2026, 5, 14, 23), periods)).toBe(periods[0]);
+    expect(periodContaining(new Date(2026, 5, 15), periods)).toBe(periods[1]);
+  });
+
+  it('returns null outside all of them', () => {
+    expect(periodContaining(new Date(2026, 4, 14), periods)).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+const { MAX_ROLLOVER_MONTHS, carriedMonths, carryForward } = require('../budgetRollover');
+
+describe('carriedMonths', () => {
+  it('counts from the month rollover started up to the month before', () => {
+    expect(carriedMonths({ since: new Date(2025, 10, 1) }, 2026, 2)).toEqual([
+      { year: 2025, month: 11 },
+      { year: 2025, month: 12 },
+      { year: 2026, month: 1 }
+    ]);
+    expect(carriedMonths({ since: new Date(2026, 1, 1) }, 2026, 2)).toEqual([]);
+    expect(carriedMonths({ since: null }, 2026, 2)).toEqual([]);
+  });
+
+  it('starts again from the latest reset', () => {
+    const rollover = { since: new Date(2024, 5, 1), resetMonth: 1 };
+
+    expect(carriedMonths(rollover, 2026, 3)).toEqual([{ year: 2026, month: 1 }, { year: 2026, month: 2 }]);
+    expect(carriedMonths(rollover, 2026, 1)).toEqual([]);
+    expect(carriedMonths({ ...rollover, resetMonth: 4 }, 2026, 2).map(({ month }) => month))
+      .toEqual([4, 5, 6, 7, 8, 9, 10, 11, 12, 1]);
+  });
+
+  it('looks back no further than the limit', () => {
+    expect(carriedMonths({ since: new Date(2015, 0, 1) }, 2026, 2)).toHaveLength(MAX_ROLLOVER_MONTHS);
+  });
+});
+
+describe('carryForward', () => {
+  const history = [
+    { budgeted: 500, actual: 100 },
+    { budgeted: 500, actual: 200 },
+    { budgeted: 500, actual: 1500 }
+  ];
+
+  it('adds each surplus and takes away each overspend', () => {
+    expect(carryForward(history)).toBe(-300);
+    expect(carryForward([])).toBe(0);
+  });
+
+  it('applies the caps as it goes', () => {
+    // 400, then 700 capped to 500, then -500
+    expect(carryForward(history, { maxSurplus: 500 })).toBe(-500);
+    expect(carryForward(history, { maxDeficit: 200 })).toBe(-200);
+    expect(carryForward(history.slice(0, 2), { maxSurplus: 0 })).toBe(0);
+  });
+});
@@ -0,0 +1,50 @@
+const { couldBe, matchItems } = require('../oneTimeItemMatcher');
+
+const salary = 'salary-category';
+const insurance = 'insurance-subcategory';
+
+const bonus = { _id: 'bonus', type: 'income', amount: 20000, expectedDate: new Date(2026, 2, 10), categoryId: salary };
+const carInsurance = {
+  _id: 'car', type: 'expense', amount: 4800, expectedDate: new Date(2026, 5, 1), categoryId: 'car', subCategoryId: insurance
+};
+
+describe('couldBe', () => {
+  it('needs the direction, category, amount and date to fit', () => {
+    const paid = { amount: 17500, date: new Date(2026, 2, 28), category: salary };
+
+    expect(couldBe(bonus, paid)).toBe(true);
+    expect(couldBe(bonus, { ...paid, amount: -17500 })).toBe(false);
+    expect(couldBe(bonus, { ...paid, category: 'other' })).toBe(false);
+    expect(couldBe(bonus, { ...paid, amount: 14000 })).toBe(false);
+    expect(couldBe(bonus, { ...paid, date: new Date(2026, 3, 15) })).toBe(false);
+  });
+
+  it('matches expenses by subcategory', () => {
+    expect(couldBe(carInsurance, { amount: -5100, date: new Date(2026, 4, 20), subCategory: insurance })).toBe(true);
+    expect(couldBe(carInsurance, { amount: -5100, date: new Date(2026, 4, 20), category: 'car' })).toBe(false);
+  });
+});
+
+describe('matchItems', () => {
+  it('takes the closest amount, then the closest date, and uses a transaction once', () => {
+    const transactions = [
+      { _id: 'far', amount: 20000, date: new Date(2026, 3, 5), category: salary },
+      { _id: 'near', amount: 20000, date: new Date(2026, 2, 12), category: salary },
+      { _id: 'off', amount: 18000, date: new Date(2026, 2, 10), category: salary }
+    ];
+    const secondBonus = { ...bonus, _id: 'second', expectedDate: new Date(2026, 2, 20) };
+
+    const matches = matchItems([secondBonus, bonus], transactions);
+
+    expect(matches.map(({ item, transaction }) => [item._id, transaction._id])).toEqual([
+      ['bonus', 'near'],
+      ['second', 'far']
+    ]);
+  });
+
+  it('leaves alone transactions already matched to another item', () => {
+    const transactions = [{ _id: 'paid', amount: 20000, date: new Date(2026, 2, 10), category: salary }];
+
+    expect(matchItems([bonus], transactions, ['paid'])).toEqual([]);
+  });
+});
@@ -16,6 +16,12 @@ jest.mock('../../models/TransactionPattern', () => ({
   getPatternsForMonth: jest.fn()
 }));
 
+// Budget months are calendar months here
+jest.mock('../budgetPeriodService', () => {
+  const { calendarMonthOf } = jest.requireActual('../budgetPeriod');
+  return { monthResolver: jest.fn().mockResolvedValue(calendarMonthOf) };
+});
+
 // Mock logger
 jest.mock('../../../shared/utils/logger', () => ({
   info: jest.fn(),
@@ -276,6 +282,22 @@ describe('RecurrenceDetectionService', () => {
       const result = recurrenceDetectionService.validateSingleTransactionPerPeriod(transactions);
       expect(result).toBe(false);
     });
+
+    test('should count occurrences by budget month when given one', () => {
+      // Budget months starting on the 25th
+      const { buildPeriods, periodContaining } = jest.requireActual('../budgetPeriod');
+      const periods = buildPeriods({ year: 2024, month: 1, count: 6, startDay: 25 });
+      const monthOf = (date) => periodContaining(date, periods);
+      const transactions = [
+        { processedDate: new Date(2024, 0, 28) }, // January's budget
+        { processedDate: new Date(2024, 2, 2) },  // February's
+        { processedDate: new Date(2024, 2, 29) }  // March's
+      ];
+
+      expect(recurrenceDetectionService.validateSingleTransactionPerPeriod(transactions)).toBe(false);
+      expect(recurrenceDetectionService.validateSingleTransactionPerPeriod(transactions, monthOf)).toBe(true);
+      expect(recurrenceDetectionService.getMonthOccurrences(transactions, monthOf)).toEqual([1, 2, 3]);
+    });
   });
 
   describe('validateSpacingConsistency', () => {
@@ -0,0 +1,137 @@
+const { projectMonths, compareProjections, promotedBudgets } = require('../scenarioProjection');
+
+// A budget line as CategoryBudget reads it
+const line = ({ subCategoryId = null, fixedAmount = 0, monthlyAmounts = [] } = {}) => ({
+  categoryId: 'cat',
+  subCategoryId,
+  budgetType: monthlyAmounts.length ? 'variable' : 'fixed',
+  fixedAmount,
+  monthlyAmounts,
+  getAmountForMonth(month) {
+    if (this.budgetType === 'fixed') return this.fixedAmount;
+    const entry = this.monthlyAmounts.find(ma => ma.month === month);
+    return entry ? entry.amount : 0;
+  }
+});
+
+const months = [
+  { year: 2026, month: 11 },
+  { year: 2026, month: 12 },
+  { year: 2027, month: 1 }
+];
+
+// Stands in for the budget engine's pattern rules
+const occursIn = (item, month) => item.recurrence === 'monthly' || item.scheduledMonths.includes(month);
+
+describe('projectMonths', () => {
+  it('sums income and expense lines for each month', () => {
+    const projection = projectMonths({
+      months,
+      budgets: [
+        line({ fixedAmount: 20000 }),
+        line({ subCategoryId: 'rent', fixedAmount: 6000 }),
+        line({ subCategoryId: 'gifts', monthlyAmounts: [{ month: 12, amount: 1500 }] })
+      ]
+    });
+
+    expect(projection).toEqual([
+      { year: 2026, month: 11, income: 20000, expenses: 6000, net: 14000 },
+      { year: 2026, month: 12, income: 20000, expenses: 7500, net: 12500 },
+      { year: 2027, month: 1, income: 20000, expenses: 6000, net: 14000 }
+    ]);
+  });
+
+  it('adds recurring items only in months they fall in and are running', () => {
+    const projection = projectMonths({
+      months,
+      occursIn,
+      recurring: [
+        { type: 'expense', amount: 7000, recurrence: 'monthly', scheduledMonths: [], startDate: new Date(2026, 11, 1) },
+        { type: 'income', amount: 3000, recurrence: 'monthly', scheduledMonths: [], endDate: new Date(2026, 10, 30) },
+        { type: 'expense', amount: 1200, recurrence: 'yearly', scheduledMonths: [1] }
+      ]
+    });
+
+    expect(projection.map(({ income, expenses }) => ({ income, expenses }))).toEqual([
+      { income: 3000, expenses: 0 },
+      { income: 0, expenses: 7000 },
+      { income: 0, expenses: 8200 }
+    ]);
+  });
+
+  it('puts one-off events in the budget month their date falls in', () => {
+    // Budget months starting on the 25th
+    const monthOf = (date) => (date.getDate() >= 25
+      ? { year: date.getFullYear() + (date.getMonth() === 11 ? 1 : 0), month: (date.getMonth() + 1) % 12 + 1 }
+      : { year: date.getFullYear(), month: date.getMonth() + 1 });
+
+    const projection = projectMonths({
+      months,
+      monthOf,
+      events: [{ type: 'expense', amount: 50000, date: new Date(2026, 10, 27) }]
+    });
+
+    expect(projection.map(month => month.expenses)).toEqual([0, 50000, 0]);
+  });
+});
+
+describe('compareProjections', () => {
+  it('lines the months up and totals what the scenario changes', () => {
+    const live = projectMonths({ months, budgets: [line({ fixedAmount: 20000 }), line({ subCategoryId: 'rent', fixedAmount: 6000 })] });
+    const scenario = projectMonths({ months, budgets: [line({ fixedAmount: 17000 }), line({ subCategoryId: 'rent', fixedAmount: 6000 })] });
+
+    const { months: compared, totals } = compareProjections(live, scenario);
+
+    expect(compared[0]).toEqual({
+      year: 2026,
+      month: 11,
+      live: { income: 20000, expenses: 6000, net: 14000 },
+      scenario: { income: 17000, expenses: 6000, net: 11000 },
+      difference: { income: -3000, expenses: 0, net: -3000 }
+    });
+    expect(totals.live.net).toBe(42000);
+    expect(totals.scenario.net).toBe(33000);
+    expect(totals.difference).toEqual({ income: -9000, expenses: 0, net: -9000 });
+  });
+});
+
+describe('promotedBudgets', () => {
+  const now = new Date(2026, 10, 15);
+
+  it('adds monthly items to fixed lines and creates lines for new categories', () => {
+    const lines = [{ categoryId: 'cat', subCategoryId: 'rent', budgetType: 'fixed', fixedAmount: 6000, monthlyAmounts: [] }];
+    const promoted = promotedBudgets(lines, [
+      { categoryId: 'cat', subCategoryId: 'rent', type: 'expense', amount: 1000, recurrence: 'monthly', scheduledMonths: [] },
+      { categoryId: 'cat', subCategoryId: 'mortgage', type: 'expense', amount: 7000, recurrence: 'monthly', scheduledMonths: [] }
+    ], occursIn, now);
+
+    expect(promoted).toEqual([
+      { categoryId: 'cat', subCategoryId: 'rent', budgetType: 'fixed', fixedAmount: 7000, monthlyAmounts: [] },
+      { categoryId: 'cat', subCategoryId: 'mortgage', budgetType: 'fixed', fixedAmount: 7000, monthlyAmounts: [] }
+    ]);
+    expect(lines[0].fixedAmount).toBe(6000);
+  });
+
+  it('turns a line variable for items that are not monthly', () => {
+    const [promoted] = promotedBudgets(
+      [{ categoryId: 'cat', subCategoryId: 'insurance', budgetType: 'fixed', fixedAmount: 100, monthlyAmounts: [] }],
+      [{ categoryId: 'cat', subCategoryId: 'insurance', type: 'expense', amount: 900, recurrence: 'quarterly', scheduledMonths: [3, 6, 9, 12] }],
+      occursIn,
+      now
+    );
+
+    expect(promoted.budgetType).toBe('variable');
+    expect(promoted.fixedAmount).toBe(0);
+    expect(promoted.monthlyAmounts).toHaveLength(12);
+    expect(promoted.monthlyAmounts.find(ma => ma.month === 3).amount).toBe(1000);
+    expect(promoted.monthlyAmounts.find(ma => ma.month === 4).amount).toBe(100);
+  });
+
+  it('leaves out items that have already ended', () => {
+    const promoted = promotedBudgets([], [
+      { categoryId: 'salary', subCategoryId: null, type: 'income', amount: 500, recurrence: 'monthly', scheduledMonths: [], endDate: new Date(2026, 9, 31) }
+    ], occursIn, now);
+
+    expect(promoted).toEqual([]);
+  });
+});
@@ -1,5 +1,5 @@
 const { CategoryBudget, TransactionPattern } = require('../models');
-const { Transaction } = require('../../banking');
+const { Transaction, transactionSplits, refunds } = require('../../banking');
 const logger = require('../../shared/utils/logger');
 const averagingDenominatorService = require('./averagingDenominatorService');
 const PatternMatchingUtils = require('../utils/patternMatching');
@@ -69,7 +69,9 @@ class BudgetCalculationService {
       excludeFromBudgetCalculation: { $ne: true }
     })
     .populate('category', 'name type')
-    .populate('subCategory', 'name');
+    .populate('subCategory', 'name')
+    .populate('splits.category', 'name type')
+    .populate('splits.subCategory', 'name');
 
     logger.info(`Found ${transactions.length} transactions for analysis`);
 
@@ -90,7 +92,8 @@ class BudgetCalculationService {
       }
       
       if (!isPatternedTransaction) {
-        nonPatternedTransactions.push(transaction);
+        // Each part of a split transaction averages into its own category
+        nonPatternedTransactions.push(...transactionSplits.allocationsOf(transaction));
       }
     }
 
@@ -116,7 +119,8 @@ class BudgetCalculationService {
     // Group non-patterned transactions by category/subcategory
     const categoryTransactions = {};
     for (const transaction of nonPatternedTransactions) {
-      const amount = Math.abs(transaction.amount);
+      // A linked refund lowers its purchase's category rather than counting as income
+      const amount = refunds.budgetAmount(transaction);
       
       // Extract proper ObjectIds from populated fields
       const categoryId = transaction.category?._id?.toString() || transaction.category?.toString();
@@ -511,7 +515,7 @@ class BudgetCalculationService {
       
       if (categoryTransactions.length > 0) {
         const categoryData = {
-          amounts: categoryTransactions.map(t => Math.abs(t.amount)),
+          amounts: categoryTransactions.map(t => refunds.budgetAmount(t)),
           monthsPresent: new Set(categoryTransactions.map(t => t.processedDate.getMonth() + 1))
         };
 
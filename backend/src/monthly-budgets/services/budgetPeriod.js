@@ -0,0 +1,96 @@
+/**
+ * Budget periods: the stretch of days a budget month covers, with no database
+ * access. A month starts on the user's start day, or with `salary` on the
+ * day the month's salary arrived; each ends the moment the next one starts.
+ * budgetPeriodService supplies the settings and the salary dates.
+ */
+
+// How far from the expected day salary may arrive and still be that month's
+const SALARY_EARLY_DAYS = 5;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * The month `delta` months from the given one.
+ *
+ * @returns {{year: number, month: number}} Month is 1-indexed
+ */
+function shiftMonth(year, month, delta) {
+  const date = new Date(year, month - 1 + delta, 1);
+  return { year: date.getFullYear(), month: date.getMonth() + 1 };
+}
+
+/**
+ * The calendar month a date falls in, for users whose months start on the 1st.
+ */
+function calendarMonthOf(date) {
+  return { year: date.getFullYear(), month: date.getMonth() + 1 };
+}
+
+/**
+ * Where salary for a budget month is looked for: SALARY_EARLY_DAYS either side
+ * of the month's start day.
+ *
+ * @returns {{from: Date, to: Date}} Both inclusive
+ */
+function salaryWindow(year, month, startDay) {
+  return {
+    from: new Date(year, month - 1, startDay - SALARY_EARLY_DAYS),
+    to: new Date(new Date(year, month - 1, startDay + SALARY_EARLY_DAYS + 1).getTime() - 1)
+  };
+}
+
+/**
+ * Consecutive budget periods from a month on.
+ *
+ * @param {Object} options
+ * @param {number} options.year - First budget year
+ * @param {number} options.month - First budget month (1-indexed)
+ * @param {number} [options.count=1] - How many periods
+ * @param {number} [options.startDay=1] - Day of the month a period starts on
+ * @param {string} [options.startsOn='day'] - `day` or `salary`
+ * @param {Array<Date>} [options.salaryDates] - When salary arrived, for `salary`
+ * @returns {Array<Object>} `{year, month, start, end, startsOn, fromSalary}` each
+ */
+function buildPeriods({ year, month, count = 1, startDay = 1, startsOn = 'day', salaryDates = [] }) {
+  const paid = salaryDates.map(date => new Date(date)).sort((a, b) => a - b);
+
+  // One more start than periods, as each ends where the next starts
+  const starts = Array.from({ length: count + 1 }, (_, i) => {
+    const current = shiftMonth(year, month, i);
+    const nominal = new Date(current.year, current.month - 1, startDay);
+    if (startsOn !== 'salary') return { ...current, start: nominal, fromSalary: false };
+
+    const { from, to } = salaryWindow(current.year, current.month, startDay);
+    const salary = paid.find(date => date >= from && date <= to);
+    return salary
+      ? { ...current, start: startOfDay(salary), fromSalary: true }
+      : { ...current, start: nominal, fromSalary: false };
+  });
+
+  return starts.slice(0, count).map((current, i) => ({
+    year: current.year,
+    month: current.month,
+    start: current.start,
+    end: new Date(starts[i + 1].start.getTime() - 1),
+    startsOn,
+    fromSalary: current.fromSalary
+  }));
+}
+
+/**
+ * The period a date falls in, or null when none of them covers it.
+ */
+function periodContaining(date, periods) {
+  const time = new Date(date).getTime();
+  return periods.find(period => period.start.getTime() <= time && time <= period.end.getTime()) || null;
+}
+
+module.exports = {
+  SALARY_EARLY_DAYS,
+  shiftMonth,
+  calendarMonthOf,
+  salaryWindow,
+  buildPeriods,
+  periodContaining
+};
@@ -0,0 +1,88 @@
+const { Transaction } = require('../../banking');
+const { settingsService } = require('../../settings');
+const { findSalaryCategory } = require('./salaryAttributionHelper');
+const { shiftMonth, calendarMonthOf, salaryWindow, buildPeriods, periodContaining } = require('./budgetPeriod');
+
+/**
+ * The date ranges a user's budget months cover, from their budget month
+ * settings and, for months that start on salary arrival, their salary
+ * transactions. Everything that works out a month's actual amounts asks here.
+ */
+class BudgetPeriodService {
+  /**
+   * Consecutive budget periods, starting with `year`/`month`.
+   *
+   * @param {string} userId - The data owner, whose settings the budget follows
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @param {number} [count=1]
+   * @returns {Promise<Array<Object>>} `{year, month, start, end, startsOn, fromSalary}` each
+   */
+  async getPeriods(userId, year, month, count = 1) {
+    const { budgetMonthStartDay: startDay, budgetMonthStartsOn: startsOn } = await settingsService.getForUser(userId);
+
+    let salaryDates = [];
+    if (startsOn === 'salary') {
+      const salaryCategory = await findSalaryCategory(userId);
+      if (salaryCategory) {
+        // The next month's salary is needed too, as it ends the last period
+        const last = shiftMonth(year, month, count);
+        const salaries = await Transaction.find({
+          userId,
+          category: salaryCategory._id,
+          amount: { $gt: 0 },
+          processedDate: {
+            $gte: salaryWindow(year, month, startDay).from,
+            $lte: salaryWindow(last.year, last.month, startDay).to
+          }
+        }).select('processedDate').lean();
+        salaryDates = salaries.map(tx => tx.processedDate);
+      }
+    }
+
+    return buildPeriods({ year, month, count, startDay, startsOn, salaryDates });
+  }
+
+  /**
+   * The period of one budget month.
+   */
+  async getPeriod(userId, year, month) {
+    const [period] = await this.getPeriods(userId, year, month);
+    return period;
+  }
+
+  /**
+   * The budget month a date falls in. A period can start days before or
+   * after its calendar month does, and with a late start day it takes most
+   * of the next one, so the months either side are checked too.
+   *
+   * @param {string} userId
+   * @param {Date} [date=new Date()]
+   */
+  async getPeriodOn(userId, date = new Date()) {
+    const { year, month } = shiftMonth(date.getFullYear(), date.getMonth() + 1, -2);
+    const periods = await this.getPeriods(userId, year, month, 4);
+    return periodContaining(date, periods);
+  }
+
+  /**
+   * A function giving the budget month of any date between `from` and `to`,
+   * for grouping many transactions by month with one lookup. Dates outside
+   * the range get their calendar month.
+   *
+   * @returns {Promise<function(Date): {year: number, month: number}>}
+   */
+  async monthResolver(userId, from, to) {
+    const first = shiftMonth(from.getFullYear(), from.getMonth() + 1, -2);
+    const last = calendarMonthOf(to);
+    const count = (last.year - first.year) * 12 + (last.month - first.month) + 2;
+    const periods = await this.getPeriods(userId, first.year, first.month, count);
+
+    return (date) => {
+      const period = periodContaining(date, periods);
+      return period ? { year: period.year, month: period.month } : calendarMonthOf(date);
+    };
+  }
+}
+
+module.exports = new BudgetPeriodService();
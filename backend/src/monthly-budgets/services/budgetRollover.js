@@ -0,0 +1,71 @@
+/**
+ * Envelope-style rollover for expense budgets, with no database access: what
+ * a month has left over (or overspent) carries into the next month's available
+ * amount, within the budget's caps, until the yearly reset if it has one.
+ * budgetService supplies each month's budgeted and actual amounts.
+ */
+
+// The carried balance never looks further back than this, so a budget rolled
+// over for years stays cheap to work out
+const MAX_ROLLOVER_MONTHS = 24;
+
+const monthIndex = (year, month) => year * 12 + (month - 1);
+const fromIndex = (index) => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+
+/**
+ * The months whose surplus or deficit carries into `year`/`month`, oldest
+ * first: from the month rollover started, or the latest reset, to the month
+ * before.
+ *
+ * @param {Object} rollover - The budget's rollover settings
+ * @param {Date} rollover.since - Rollover counts from this date's month
+ * @param {number|null} [rollover.resetMonth] - 1-12; the balance starts again from zero at this month
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {Array<{year: number, month: number}>}
+ */
+function carriedMonths(rollover, year, month) {
+  const target = monthIndex(year, month);
+  const since = rollover?.since ? new Date(rollover.since) : null;
+  let start = since ? monthIndex(since.getFullYear(), since.getMonth() + 1) : target;
+
+  if (rollover?.resetMonth) {
+    const resetThisYear = monthIndex(year, rollover.resetMonth);
+    const lastReset = resetThisYear <= target ? resetThisYear : resetThisYear - 12;
+    start = Math.max(start, lastReset);
+  }
+  start = Math.max(start, target - MAX_ROLLOVER_MONTHS);
+
+  const months = [];
+  for (let index = start; index < target; index += 1) {
+    months.push(fromIndex(index));
+  }
+  return months;
+}
+
+/**
+ * Runs the balance forward month by month. Each month adds what was budgeted
+ * and takes away what was spent; the caps apply as it goes, so a surplus cut
+ * back one month does not reappear the next.
+ *
+ * @param {Array<{budgeted: number, actual: number}>} history - Oldest first
+ * @param {Object} [caps]
+ * @param {number|null} [caps.maxSurplus] - Most that can be carried forward
+ * @param {number|null} [caps.maxDeficit] - Most overspending that can be carried, as a positive amount
+ * @returns {number} The balance carried into the month after the last
+ */
+function carryForward(history, { maxSurplus = null, maxDeficit = null } = {}) {
+  let balance = 0;
+  for (const { budgeted, actual } of history) {
+    balance += budgeted - actual;
+    if (maxSurplus !== null && maxSurplus !== undefined) balance = Math.min(balance, maxSurplus);
+    if (maxDeficit !== null && maxDeficit !== undefined) balance = Math.max(balance, -maxDeficit);
+  }
+  return Math.round(balance * 100) / 100;
+}
+
+module.exports = {
+  MAX_ROLLOVER_MONTHS,
+  carriedMonths,
+  carryForward
+};
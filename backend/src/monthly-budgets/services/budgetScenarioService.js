@@ -0,0 +1,245 @@
+const { BudgetScenario, CategoryBudget } = require('../models');
+const logger = require('../../shared/utils/logger');
+const budgetCalculationService = require('./budgetCalculationService');
+const budgetPeriodService = require('./budgetPeriodService');
+const yearlyBudgetService = require('./yearlyBudgetService');
+const { shiftMonth, calendarMonthOf, periodContaining } = require('./budgetPeriod');
+const { lineKey, projectMonths, compareProjections, promotedBudgets } = require('./scenarioProjection');
+const { PATTERN_TYPES } = require('../constants/patternTypes');
+
+// How far ahead a scenario is compared with the live budget
+const COMPARISON_MONTHS = 12;
+
+const ALL_MONTHS = Array.from({ length: 12 }, (_, i) => i + 1);
+
+// Fields a scenario can be changed through; the lists are replaced whole
+const EDITABLE_FIELDS = ['name', 'description', 'budgets', 'recurring', 'events'];
+
+const plainLine = (budget) => ({
+  categoryId: budget.categoryId?._id || budget.categoryId,
+  subCategoryId: budget.subCategoryId?._id || budget.subCategoryId || null,
+  budgetType: budget.budgetType,
+  fixedAmount: budget.fixedAmount,
+  monthlyAmounts: budget.monthlyAmounts.map(({ month, amount }) => ({ month, amount }))
+});
+
+/**
+ * What-if budget scenarios: copies of the CategoryBudget set to change
+ * freely, with hypothetical recurring items and one-off events, compared
+ * against the live budget month by month. Only promoting one writes to the
+ * live budget, and nothing here reads or writes MonthlyBudget documents.
+ */
+class BudgetScenarioService {
+  /**
+   * Whether a recurring item falls in a month (1-12), by the same rules the
+   * budget engine applies to approved transaction patterns.
+   */
+  occursIn(item, month) {
+    return budgetCalculationService.shouldPatternOccurInMonth({
+      patternId: `scenario-${item._id}`,
+      recurrencePattern: item.recurrence,
+      scheduledMonths: item.recurrence === PATTERN_TYPES.MONTHLY ? ALL_MONTHS : item.scheduledMonths
+    }, month);
+  }
+
+  /**
+   * The live budget lines: active income budgets and expense budgets.
+   */
+  async getLiveBudgets(userId) {
+    const [income, expenses] = await Promise.all([
+      CategoryBudget.getIncomeBudgets(userId),
+      CategoryBudget.getExpenseBudgets(userId)
+    ]);
+    return [...income, ...expenses];
+  }
+
+  async getScenarios(userId) {
+    return BudgetScenario.find({ userId })
+      .select('name description promotedAt createdAt updatedAt')
+      .sort({ updatedAt: -1 });
+  }
+
+  async getScenario(userId, scenarioId) {
+    const scenario = await BudgetScenario.findOne({ _id: scenarioId, userId })
+      .populate('budgets.categoryId', 'name type')
+      .populate('budgets.subCategoryId', 'name')
+      .populate('recurring.categoryId', 'name type')
+      .populate('recurring.subCategoryId', 'name')
+      .populate('events.categoryId', 'name type')
+      .populate('events.subCategoryId', 'name');
+
+    if (!scenario) {
+      throw new Error('Scenario not found');
+    }
+    return scenario;
+  }
+
+  /**
+   * Start a scenario from a copy of the live budget.
+   */
+  async createScenario(userId, { name, description }) {
+    try {
+      const budgets = await this.getLiveBudgets(userId);
+      const scenario = await BudgetScenario.create({
+        userId,
+        name,
+        description,
+        budgets: budgets.map(plainLine)
+      });
+
+      logger.info(`Created budget scenario ${scenario._id} for user ${userId} from ${budgets.length} budgets`);
+      return this.getScenario(userId, scenario._id);
+    } catch (error) {
+      logger.error('Error creating budget scenario:', error);
+      throw error;
+    }
+  }
+
+  async updateScenario(userId, scenarioId, updates) {
+    const scenario = await BudgetScenario.findOne({ _id: scenarioId, userId });
+    if (!scenario) {
+      throw new Error('Scenario not found');
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (updates[field] !== undefined) scenario[field] = updates[field];
+    }
+    await scenario.save();
+
+    return this.getScenario(userId, scenarioId);
+  }
+
+  async deleteScenario(userId, scenarioId) {
+    const scenario = await BudgetScenario.findOneAndDelete({ _id: scenarioId, userId });
+    if (!scenario) {
+      throw new Error('Scenario not found');
+    }
+    return scenario;
+  }
+
+  /**
+   * The scenario and the live budget side by side over COMPARISON_MONTHS
+   * budget months, from the given month or the current one.
+   *
+   * @param {string} userId
+   * @param {string} scenarioId
+   * @param {{year?: number, month?: number}} [from]
+   */
+  async compareScenario(userId, scenarioId, from = {}) {
+    const scenario = await this.getScenario(userId, scenarioId);
+
+    let start = from.year && from.month ? { year: from.year, month: from.month } : null;
+    if (!start) {
+      const current = await budgetPeriodService.getPeriodOn(userId);
+      start = current ? { year: current.year, month: current.month } : calendarMonthOf(new Date());
+    }
+
+    // Dated items land in the budget month their date falls in
+    const periods = await budgetPeriodService.getPeriods(userId, start.year, start.month, COMPARISON_MONTHS);
+    const monthOf = (date) => {
+      const period = periodContaining(date, periods);
+      return period ? { year: period.year, month: period.month } : calendarMonthOf(date);
+    };
+    const months = Array.from({ length: COMPARISON_MONTHS }, (_, i) => shiftMonth(start.year, start.month, i));
+    const occursIn = (item, month) => this.occursIn(item, month);
+
+    const live = projectMonths({ months, budgets: await this.getLiveBudgets(userId), occursIn, monthOf });
+    const projected = projectMonths({
+      months,
+      budgets: scenario.budgets,
+      recurring: scenario.recurring,
+      events: scenario.events,
+      occursIn,
+      monthOf
+    });
+
+    return {
+      scenario: { _id: scenario._id, name: scenario.name, promotedAt: scenario.promotedAt },
+      from: start,
+      ...compareProjections(live, projected)
+    };
+  }
+
+  /**
+   * Make a scenario the live budget. Its lines, with its recurring items
+   * folded in, replace the CategoryBudget set: matching budgets are updated
+   * in place, keeping their rollover and notes, new ones are created, and live
+   * budgets the scenario dropped are deactivated. One-off events still to
+   * come are planned on their year's one-time items.
+   */
+  async promoteScenario(userId, scenarioId, now = new Date()) {
+    try {
+      const scenario = await BudgetScenario.findOne({ _id: scenarioId, userId });
+      if (!scenario) {
+        throw new Error('Scenario not found');
+      }
+
+      const reason = `Promoted scenario "${scenario.name}"`.slice(0, 200);
+      const lines = promotedBudgets(
+        scenario.budgets.map(plainLine),
+        scenario.recurring,
+        (item, month) => this.occursIn(item, month),
+        now
+      );
+      const live = await this.getLiveBudgets(userId);
+
+      const promotedKeys = new Set();
+      for (const line of lines) {
+        const budget = await CategoryBudget.findOrCreate(userId, line.categoryId, line.subCategoryId);
+        const month = now.getMonth() + 1;
+        const previousAmount = budget.getAmountForMonth(month);
+
+        budget.budgetType = line.budgetType;
+        budget.fixedAmount = line.fixedAmount;
+        budget.monthlyAmounts = line.monthlyAmounts;
+        budget.isActive = true;
+        budget.isManuallyEdited = true;
+        budget.lastEditedAt = now;
+        budget.editHistory.push({
+          date: now,
+          previousAmount,
+          newAmount: budget.getAmountForMonth(month),
+          month: line.budgetType === 'variable' ? month : null,
+          reason,
+          editType: 'bulk_edit'
+        });
+        await budget.save();
+        promotedKeys.add(lineKey(budget.categoryId, budget.subCategoryId));
+      }
+
+      const dropped = live.filter(budget => !promotedKeys.has(lineKey(budget.categoryId, budget.subCategoryId)));
+      for (const budget of dropped) {
+        budget.isActive = false;
+        await budget.save();
+      }
+
+      const upcoming = scenario.events.filter(event => event.date >= now);
+      for (const event of upcoming) {
+        await yearlyBudgetService.addOneTimeItem(userId, event.date.getFullYear(), event.type, {
+          description: event.description,
+          amount: event.amount,
+          expectedDate: event.date,
+          categoryId: event.categoryId,
+          subCategoryId: event.subCategoryId,
+          notes: reason
+        });
+      }
+
+      scenario.promotedAt = now;
+      await scenario.save();
+
+      logger.info(`Promoted budget scenario ${scenarioId} for user ${userId}: ${lines.length} budgets, ${dropped.length} deactivated, ${upcoming.length} one-time items`);
+      return {
+        budgetsUpdated: lines.length,
+        budgetsDeactivated: dropped.length,
+        oneTimeItemsPlanned: upcoming.length,
+        promotedAt: now
+      };
+    } catch (error) {
+      logger.error('Error promoting budget scenario:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new BudgetScenarioService();
@@ -1,11 +1,14 @@
 const { MonthlyBudget, CategoryBudget } = require('../models');
-const { Transaction, TransactionExclusion, Category, SubCategory } = require('../../banking');
+const { Transaction, TransactionExclusion, Category, SubCategory, transactionSplits, refunds } = require('../../banking');
 const logger = require('../../shared/utils/logger');
 const yearlyBudgetService = require('./yearlyBudgetService');
 const budgetCalculationService = require('./budgetCalculationService');
 const { projectBudgetService, BUDGET_STATUS } = require('../../project-budgets');
-const { adjustForSalaryEarlyPayment } = require('./salaryAttributionHelper');
+const { adjustForSalaryInPeriod } = require('./salaryAttributionHelper');
+const budgetPeriodService = require('./budgetPeriodService');
+const { carriedMonths, carryForward } = require('./budgetRollover');
 const ProjectBudget = require('../../project-budgets/models/ProjectBudget');
+const { savingsGoalService } = require('../../savings-goals');
 
 class BudgetService {
   // ============================================
@@ -93,9 +96,14 @@ class BudgetService {
             });
           }
           
+          const savings = await savingsGoalService.getBudgetLines(userId, year, month, oldBudget.currency);
+
           return {
             ...oldBudget.toObject(),
+            period: actualAmounts.period,
             expenseBudgets: updatedExpenseBudgets,
+            savingsGoals: savings.lines,
+            totalSavingsBudgeted: savings.total,
             totalActualIncome: actualAmounts.totalActualIncome,
             totalActualExpenses: actualAmounts.totalActualExpenses,
             totalProjectExpenses: actualAmounts.totalProjectExpenses,
@@ -107,7 +115,11 @@ class BudgetService {
       }
       
       // Only calculate actual amounts if we have budgets
-      const actualAmounts = await this.getActualAmountsForMonth(userId, year, month);
+      const [actualAmounts, rolloverBalances, savings] = await Promise.all([
+        this.getActualAmountsForMonth(userId, year, month),
+        this.getRolloverBalances(userId, year, month),
+        savingsGoalService.getBudgetLines(userId, year, month, 'ILS')
+      ]);
       
       // Format ALL income budgets consistently (including salary) with actual amounts
       const allIncomeBudgets = incomeBudgets.map(budget => ({
@@ -121,12 +133,21 @@ class BudgetService {
       const formattedExpenseBudgets = expenseBudgets.map(budget => {
         const key = `${budget.categoryId._id}_${budget.subCategoryId._id}`;
         budgetedKeys.add(key);
-        return {
+        const formatted = {
           categoryId: budget.categoryId,
           subCategoryId: budget.subCategoryId,
           budgetedAmount: budget.amountForMonth,
           actualAmount: actualAmounts.expensesBySubCategory[key] || 0
         };
+        if (rolloverBalances.has(key)) {
+          const carriedAmount = rolloverBalances.get(key);
+          Object.assign(formatted, {
+            rollover: true,
+            carriedAmount,
+            availableAmount: budget.amountForMonth + carriedAmount
+          });
+        }
+        return formatted;
       });
 
       // Include unbudgeted subcategories that have actual expenses
@@ -141,10 +162,12 @@ class BudgetService {
         });
       }
       
-      // Calculate totals — use actual transaction total which includes unbudgeted subcategories
+      // Calculate totals — use actual transaction total which includes unbudgeted subcategories.
+      // Savings goals have their own total and stay out of the expenses
       const totalBudgetedIncome = allIncomeBudgets.reduce((sum, budget) => sum + budget.amount, 0);
       const totalBudgetedExpenses = expenseBudgets.reduce((sum, budget) => sum + budget.amountForMonth, 0);
       const totalActualExpenses = actualAmounts.totalActualExpenses;
+      const totalCarriedExpenses = Array.from(rolloverBalances.values()).reduce((sum, carried) => sum + carried, 0);
 
       // Return budget structure compatible with existing frontend
       return {
@@ -152,13 +175,17 @@ class BudgetService {
         userId,
         year,
         month,
+        period: actualAmounts.period,
         currency: 'ILS',
         salaryBudget: 0, // Deprecated - now all income is in otherIncomeBudgets
         salaryActual: 0, // Deprecated - now all income is in otherIncomeBudgets  
         otherIncomeBudgets: allIncomeBudgets,
         expenseBudgets: formattedExpenseBudgets,
+        savingsGoals: savings.lines,
         totalBudgetedIncome,
         totalBudgetedExpenses,
+        totalCarriedExpenses,
+        totalSavingsBudgeted: savings.total,
         totalActualIncome: actualAmounts.totalActualIncome,
         totalActualExpenses,
         totalProjectExpenses: actualAmounts.totalProjectExpenses,
@@ -361,6 +388,8 @@ class BudgetService {
         monthly: monthlyBudget ? {
           totalBudgetedIncome: monthlyBudget.totalBudgetedIncome,
           totalBudgetedExpenses: monthlyBudget.totalBudgetedExpenses,
+          totalCarriedExpenses: monthlyBudget.totalCarriedExpenses || 0,
+          totalSavingsBudgeted: monthlyBudget.totalSavingsBudgeted || 0,
           totalActualIncome: monthlyBudget.totalActualIncome,
           totalActualExpenses: monthlyBudget.totalActualExpenses,
           totalProjectExpenses: monthlyBudget.totalProjectExpenses || 0,
@@ -377,21 +406,25 @@ class BudgetService {
   }
 
   /**
-   * Get actual amounts from transactions for a specific month
+   * Get actual amounts from transactions for a specific budget month, over the
+   * dates its budget period covers
    */
   async getActualAmountsForMonth(userId, year, month) {
     try {
-      const startDate = new Date(year, month - 1, 1);
-      const endDate = new Date(year, month, 0, 23, 59, 59);
+      const period = await budgetPeriodService.getPeriod(userId, year, month);
 
       let transactions = await Transaction.find({
         userId,
-        processedDate: { $gte: startDate, $lte: endDate },
+        processedDate: { $gte: period.start, $lte: period.end },
         category: { $ne: null }
-      }).populate('category', 'type').populate('subCategory', 'name').populate('tags', 'type');
+      }).populate('category', 'type').populate('subCategory', 'name').populate('tags', 'type')
+        .populate('splits.category', 'type').populate('splits.subCategory', 'name').populate('splits.tags', 'type');
+
+      // Adjust for salary arriving up to 5 days before the period starts
+      transactions = await adjustForSalaryInPeriod(transactions, userId, period);
 
-      // Adjust for salary arriving up to 5 days before month start
-      transactions = await adjustForSalaryEarlyPayment(transactions, userId, year, month);
+      // A split transaction counts each part under its own category
+      transactions = transactionSplits.expandSplits(transactions);
 
       // Build set of project tag IDs for non-ongoing-funded projects
       // These transactions should be separated from the regular monthly budget
@@ -420,7 +453,8 @@ class BudgetService {
       const subCategoryRefs = {};
 
       transactions.forEach(transaction => {
-        const amount = Math.abs(transaction.amount);
+        // A linked refund nets against its purchase's category
+        const amount = refunds.budgetAmount(transaction);
         
         if (transaction.category && transaction.category.type === 'Income') {
           totalActualIncome += amount;
@@ -442,6 +476,7 @@ class BudgetService {
       });
 
       return { 
+        period,
         totalActualIncome, 
         totalActualExpenses,
         totalProjectExpenses,
@@ -456,6 +491,42 @@ class BudgetService {
     }
   }
 
+  /**
+   * The balance each rollover budget carries into a month, keyed like
+   * `expensesBySubCategory` (`categoryId_subCategoryId`). Budgets without
+   * rollover are left out. Each earlier month is counted the way the month
+   * view counts it, and fetched once however many budgets need it.
+   */
+  async getRolloverBalances(userId, year, month) {
+    const budgets = await CategoryBudget.find({
+      userId,
+      isActive: true,
+      subCategoryId: { $ne: null },
+      'rollover.enabled': true
+    });
+
+    const actualsByMonth = new Map();
+    const actualsFor = ({ year: y, month: m }) => {
+      const key = `${y}-${m}`;
+      if (!actualsByMonth.has(key)) actualsByMonth.set(key, this.getActualAmountsForMonth(userId, y, m));
+      return actualsByMonth.get(key);
+    };
+
+    const balances = new Map();
+    for (const budget of budgets) {
+      const key = `${budget.categoryId}_${budget.subCategoryId}`;
+      const history = await Promise.all(carriedMonths(budget.rollover, year, month).map(async (period) => {
+        const actuals = await actualsFor(period);
+        return {
+          budgeted: budget.getAmountForMonth(period.month),
+          actual: actuals.expensesBySubCategory[key] || 0
+        };
+      }));
+      balances.set(key, carryForward(history, budget.rollover));
+    }
+    return balances;
+  }
+
   // ============================================
   // UTILITY METHODS
   // ============================================
@@ -526,7 +597,7 @@ class BudgetService {
         budget = await CategoryBudget.findOrCreate(userId, categoryId, subCategoryId);
       }
 
-      const { budgetType, fixedAmount, monthlyAmounts, reason } = budgetData;
+      const { budgetType, fixedAmount, monthlyAmounts, rollover, reason } = budgetData;
 
       // Handle budget type conversion if needed
       if (budgetType && budgetType !== budget.budgetType) {
@@ -544,6 +615,10 @@ class BudgetService {
         budget.updateMultipleMonths(monthlyAmounts, reason || 'Manual edit');
       }
 
+      if (rollover) {
+        budget.setRollover(rollover);
+      }
+
       await budget.save();
       
       logger.info(`Updated category budget for user ${userId}: category ${categoryId}, subcategory ${subCategoryId}`);
@@ -581,6 +656,7 @@ class BudgetService {
           budgetType: 'fixed',
           fixedAmount: 0,
           monthlyAmounts: [],
+          rollover: { enabled: false, since: null, maxSurplus: null, maxDeficit: null, resetMonth: null },
           isManuallyEdited: false,
           isUniformAcrossMonths: true,
           allMonthsData: Array.from({ length: 12 }, (_, i) => ({ month: i + 1, amount: 0 })),
@@ -764,27 +840,29 @@ class BudgetService {
    */
   async getActualAmountsForMonthWithExclusions(userId, year, month) {
     try {
-      const startDate = new Date(year, month - 1, 1);
-      const endDate = new Date(year, month, 0, 23, 59, 59);
+      const period = await budgetPeriodService.getPeriod(userId, year, month);
 
       const exclusionFilter = { excludeFromBudgetCalculation: { $ne: true } };
 
       let transactions = await Transaction.find({
         userId,
-        processedDate: { $gte: startDate, $lte: endDate },
+        processedDate: { $gte: period.start, $lte: period.end },
         category: { $ne: null },
         ...exclusionFilter
-      }).populate('category', 'type').populate('subCategory', 'name');
+      }).populate('category', 'type').populate('subCategory', 'name')
+        .populate('splits.category', 'type').populate('splits.subCategory', 'name');
 
-      // Adjust for salary arriving up to 5 days before month start
-      transactions = await adjustForSalaryEarlyPayment(transactions, userId, year, month, exclusionFilter);
+      // Adjust for salary arriving up to 5 days before the period starts
+      transactions = await adjustForSalaryInPeriod(transactions, userId, period, exclusionFilter);
+      transactions = transactionSplits.expandSplits(transactions);
 
       let totalActualIncome = 0;
       let totalActualExpenses = 0;
       const expensesBySubCategory = {};
 
       transactions.forEach(transaction => {
-        const amount = Math.abs(transaction.amount);
+        // A linked refund nets against its purchase's category
+        const amount = refunds.budgetAmount(transaction);
         
         if (transaction.category && transaction.category.type === 'Income') {
           totalActualIncome += amount;
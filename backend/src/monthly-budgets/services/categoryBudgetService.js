@@ -1,7 +1,8 @@
 const { CategoryBudget } = require('../models');
-const { Category, SubCategory, Transaction } = require('../../banking');
+const { Category, SubCategory, Transaction, transactionSplits, refunds } = require('../../banking');
 const logger = require('../../shared/utils/logger');
-const { adjustForSalaryEarlyPayment, findSalaryCategory } = require('./salaryAttributionHelper');
+const { adjustForSalaryInPeriod, findSalaryCategory } = require('./salaryAttributionHelper');
+const budgetPeriodService = require('./budgetPeriodService');
 
 class CategoryBudgetService {
   
@@ -14,6 +15,7 @@ class CategoryBudgetService {
    */
   async createOrUpdateCategoryBudget(userId, categoryId, subCategoryId, budgetData) {
     try {
+      const { rollover, ...amounts } = budgetData;
       let budget = await CategoryBudget.findOne({
         userId,
         categoryId,
@@ -22,7 +24,8 @@ class CategoryBudgetService {
 
       if (budget) {
         // Update existing budget
-        Object.assign(budget, budgetData);
+        Object.assign(budget, amounts);
+        if (rollover) budget.setRollover(rollover);
         await budget.save();
         logger.info(`Updated category budget for user ${userId}, category ${categoryId}`);
       } else {
@@ -31,8 +34,9 @@ class CategoryBudgetService {
           userId,
           categoryId,
           subCategoryId: subCategoryId || null,
-          ...budgetData
+          ...amounts
         });
+        if (rollover) budget.setRollover(rollover);
         await budget.save();
         logger.info(`Created category budget for user ${userId}, category ${categoryId}`);
       }
@@ -199,19 +203,32 @@ class CategoryBudgetService {
    */
   async getMonthlyBudgetSummary(userId, year, month) {
     try {
-      const [incomeBudgets, expenseBudgets] = await Promise.all([
+      // Lazy: budgetService is the heavier module and works out the carried balances
+      const budgetService = require('./budgetService');
+      const [incomeBudgets, rawExpenseBudgets, rolloverBalances] = await Promise.all([
         this.getIncomeBudgets(userId, month),
-        this.getExpenseBudgets(userId, month)
+        this.getExpenseBudgets(userId, month),
+        budgetService.getRolloverBalances(userId, year, month)
       ]);
 
+      // A rollover budget has what it carried in available on top of this month's amount
+      const expenseBudgets = rawExpenseBudgets.map(budget => {
+        const key = `${budget.categoryId._id}_${budget.subCategoryId._id}`;
+        if (!rolloverBalances.has(key)) return budget;
+        const carriedAmount = rolloverBalances.get(key);
+        return { ...budget, carriedAmount, availableAmount: budget.amountForMonth + carriedAmount };
+      });
+
       // Calculate totals
       const totalBudgetedIncome = incomeBudgets.reduce((sum, budget) => sum + budget.amountForMonth, 0);
       const totalBudgetedExpenses = expenseBudgets.reduce((sum, budget) => sum + budget.amountForMonth, 0);
+      const totalCarriedExpenses = Array.from(rolloverBalances.values()).reduce((sum, carried) => sum + carried, 0);
 
       // Get actual amounts from transactions
       const actualAmounts = await this.getActualAmountsForMonth(userId, year, month);
 
       return {
+        period: actualAmounts.period,
         income: {
           budgets: incomeBudgets,
           totalBudgeted: totalBudgetedIncome,
@@ -220,6 +237,8 @@ class CategoryBudgetService {
         expenses: {
           budgets: expenseBudgets,
           totalBudgeted: totalBudgetedExpenses,
+          totalCarried: totalCarriedExpenses,
+          totalAvailable: totalBudgetedExpenses + totalCarriedExpenses,
           totalActual: actualAmounts.totalActualExpenses
         },
         summary: {
@@ -234,27 +253,30 @@ class CategoryBudgetService {
   }
 
   /**
-   * Get actual amounts from transactions for a specific month
+   * Get actual amounts from transactions for a specific budget month's period
    */
   async getActualAmountsForMonth(userId, year, month) {
     try {
-      const startDate = new Date(year, month - 1, 1);
-      const endDate = new Date(year, month, 0, 23, 59, 59);
+      const period = await budgetPeriodService.getPeriod(userId, year, month);
 
       let transactions = await Transaction.find({
         userId,
-        processedDate: { $gte: startDate, $lte: endDate },
+        processedDate: { $gte: period.start, $lte: period.end },
         category: { $ne: null }
-      }).populate('category', 'type').populate('subCategory', 'name');
+      }).populate('category', 'type').populate('subCategory', 'name')
+        .populate('splits.category', 'type').populate('splits.subCategory', 'name');
+
+      // Adjust for salary arriving up to 5 days before the period starts
+      transactions = await adjustForSalaryInPeriod(transactions, userId, period);
 
-      // Adjust for salary arriving up to 5 days before month start
-      transactions = await adjustForSalaryEarlyPayment(transactions, userId, year, month);
+      // A split transaction counts each part under its own category
+      transactions = transactionSplits.expandSplits(transactions);
 
       let totalActualIncome = 0;
       let totalActualExpenses = 0;
 
       transactions.forEach(transaction => {
-        const amount = Math.abs(transaction.amount);
+        const amount = refunds.budgetAmount(transaction);
         
         if (transaction.category && transaction.category.type === 'Income') {
           totalActualIncome += amount;
@@ -263,7 +285,7 @@ class CategoryBudgetService {
         }
       });
 
-      return { totalActualIncome, totalActualExpenses };
+      return { period, totalActualIncome, totalActualExpenses };
     } catch (error) {
       logger.error('Error getting actual amounts for month:', error);
       throw error;
@@ -293,23 +315,26 @@ class CategoryBudgetService {
 
       const budgetedAmount = budget.getAmountForMonth(month);
 
-      const startDate = new Date(year, month - 1, 1);
-      const endDate = new Date(year, month, 0, 23, 59, 59);
+      const period = await budgetPeriodService.getPeriod(userId, year, month);
 
       let transactions = await Transaction.find({
         userId,
-        processedDate: { $gte: startDate, $lte: endDate },
-        category: categoryId,
-        ...(subCategoryId && { subCategory: subCategoryId })
+        processedDate: { $gte: period.start, $lte: period.end },
+        ...transactionSplits.categoryQuery(categoryId, subCategoryId)
       }).populate('category', 'type').populate('subCategory', 'name');
 
       // Only adjust for salary early-payment when viewing the Salary category
       const salaryCategory = await findSalaryCategory(userId);
       if (salaryCategory && categoryId.toString() === salaryCategory._id.toString()) {
-        transactions = await adjustForSalaryEarlyPayment(transactions, userId, year, month, {}, salaryCategory);
+        transactions = await adjustForSalaryInPeriod(transactions, userId, period, {}, salaryCategory);
       }
 
-      const actualAmount = transactions.reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+      // Of a split transaction, only the parts in this category count
+      const inBudget = (part) => String(part.category?._id || part.category) === String(categoryId) &&
+        (!subCategoryId || String(part.subCategory?._id || part.subCategory) === String(subCategoryId));
+      const actualAmount = transactionSplits.expandSplits(transactions)
+        .filter(inBudget)
+        .reduce((sum, tx) => sum + refunds.budgetAmount(tx), 0);
       const variance = actualAmount - budgetedAmount;
 
       return {
@@ -379,6 +404,8 @@ class CategoryBudgetService {
           year: currentYear,
           totalBudgetedIncome: summary.income.totalBudgeted,
           totalBudgetedExpenses: summary.expenses.totalBudgeted,
+          totalCarriedExpenses: summary.expenses.totalCarried,
+          totalAvailableExpenses: summary.expenses.totalAvailable,
           totalActualIncome: summary.income.totalActual,
           totalActualExpenses: summary.expenses.totalActual,
           budgetBalance: summary.summary.budgetBalance,
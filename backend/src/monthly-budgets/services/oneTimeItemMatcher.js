@@ -0,0 +1,73 @@
+/**
+ * Matches a yearly budget's planned one-time items (a bonus, a tax refund,
+ * annual insurance, tuition) to the transactions that turned out to be them,
+ * with no database access. yearlyBudgetService supplies the candidates.
+ */
+
+// How far from its expected date an item may arrive, either way
+const MATCH_WINDOW_DAYS = 30;
+
+// How far the amount may be off, as a fraction of the planned amount; a bonus
+// or a renewed premium is rarely exactly what was planned
+const AMOUNT_TOLERANCE = 0.25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+/**
+ * Whether a transaction could be the item: the right direction, the item's
+ * category (subcategory for expenses), close enough in amount and date.
+ *
+ * @param {Object} item - `{type: 'income'|'expense', amount, expectedDate, categoryId, subCategoryId}`
+ * @param {Object} transaction - `{amount, date, category, subCategory}`, signed as stored
+ * @returns {boolean}
+ */
+function couldBe(item, transaction) {
+  if (item.type === 'income') {
+    if (transaction.amount <= 0 || !sameId(transaction.category, item.categoryId)) return false;
+  } else if (transaction.amount >= 0 || !sameId(transaction.subCategory, item.subCategoryId)) {
+    return false;
+  }
+
+  const amountOff = Math.abs(Math.abs(transaction.amount) - item.amount);
+  const daysOff = Math.abs(new Date(transaction.date) - new Date(item.expectedDate)) / DAY_MS;
+  return amountOff <= item.amount * AMOUNT_TOLERANCE && daysOff <= MATCH_WINDOW_DAYS;
+}
+
+/**
+ * Pairs items with transactions, soonest item first. Each takes the candidate
+ * closest in amount, then in date, and no transaction is used twice.
+ *
+ * @param {Array<Object>} items - Planned items, each with `_id` and `type`
+ * @param {Array<Object>} transactions - Candidates, each with `_id`
+ * @param {Iterable<string>} [taken] - Transaction ids already matched to other items
+ * @returns {Array<{item: Object, transaction: Object}>}
+ */
+function matchItems(items, transactions, taken = []) {
+  const used = new Set([...taken].map(String));
+  const matches = [];
+
+  const ordered = [...items].sort((a, b) => new Date(a.expectedDate) - new Date(b.expectedDate));
+  for (const item of ordered) {
+    const best = transactions
+      .filter(transaction => !used.has(String(transaction._id)) && couldBe(item, transaction))
+      .sort((a, b) =>
+        Math.abs(Math.abs(a.amount) - item.amount) - Math.abs(Math.abs(b.amount) - item.amount)
+        || Math.abs(new Date(a.date) - new Date(item.expectedDate)) - Math.abs(new Date(b.date) - new Date(item.expectedDate))
+      )[0];
+    if (best) {
+      used.add(String(best._id));
+      matches.push({ item, transaction: best });
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  MATCH_WINDOW_DAYS,
+  AMOUNT_TOLERANCE,
+  couldBe,
+  matchItems
+};
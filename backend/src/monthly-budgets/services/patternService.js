@@ -1,6 +1,7 @@
 const { TransactionPattern } = require('../models');
 const { APPROVAL_STATUS } = require('../constants/statusTypes');
 const logger = require('../../shared/utils/logger');
+const budgetPeriodService = require('./budgetPeriodService');
 
 class PatternService {
   /**
@@ -170,7 +171,8 @@ class PatternService {
   }
 
   /**
-   * Get pattern preview for a specific month
+   * Get pattern preview for a specific budget month. Patterns are scheduled
+   * by budget month, so the period says which dates the preview covers.
    * @param {string} userId - User ID
    * @param {number} year - Year
    * @param {number} month - Month (1-12)
@@ -178,7 +180,10 @@ class PatternService {
    */
   async getPatternPreview(userId, year, month) {
     try {
-      const patterns = await TransactionPattern.getPatternsForMonth(userId, month);
+      const [patterns, period] = await Promise.all([
+        TransactionPattern.getPatternsForMonth(userId, month),
+        budgetPeriodService.getPeriod(userId, year, month)
+      ]);
       
       const monthNames = [
         'January', 'February', 'March', 'April', 'May', 'June',
@@ -191,6 +196,7 @@ class PatternService {
         year,
         month,
         monthName: monthNames[month - 1],
+        period,
         patterns: patterns.map(pattern => ({
           id: pattern._id,
           patternId: pattern.patternId,
@@ -3,6 +3,8 @@ const { TransactionPattern } = require('../models');
 const logger = require('../../shared/utils/logger');
 const { v4: uuidv4 } = require('uuid');
 const { PATTERN_TYPES } = require('../constants/patternTypes');
+const { calendarMonthOf } = require('./budgetPeriod');
+const budgetPeriodService = require('./budgetPeriodService');
 
 class RecurrenceDetectionService {
   /**
@@ -38,6 +40,10 @@ class RecurrenceDetectionService {
         return [];
       }
 
+      // Occurrences are counted per budget month, so a bill paid just before
+      // the salary lands is scheduled in the month it is budgeted in
+      const monthOf = await budgetPeriodService.monthResolver(userId, startDate, endDate);
+
       // Group transactions by similarity
       const transactionGroups = this.groupSimilarTransactions(transactions);
       logger.info(`Grouped transactions into ${transactionGroups.length} potential patterns`);
@@ -48,7 +54,7 @@ class RecurrenceDetectionService {
       for (const group of transactionGroups) {
         if (group.transactions.length < 2) continue; // Need at least 2 occurrences
         
-        const pattern = this.analyzeTransactionPattern(group, monthsToAnalyze);
+        const pattern = this.analyzeTransactionPattern(group, monthsToAnalyze, monthOf);
         if (!pattern) {
           continue; // No valid pattern found
         }
@@ -190,18 +196,19 @@ class RecurrenceDetectionService {
    * Analyze a transaction group for recurrence patterns
    * @param {Object} group - Transaction group
    * @param {number} analysisMonths - Number of months analyzed
+   * @param {Function} [monthOf] - Budget month `{year, month}` of a date; calendar months by default
    * @returns {Object|null} Pattern details or null if no pattern found
    */
-  analyzeTransactionPattern(group, analysisMonths) {
+  analyzeTransactionPattern(group, analysisMonths, monthOf = calendarMonthOf) {
     const { transactions } = group;
     
     // Apply single-transaction-per-period constraint
-    if (!this.validateSingleTransactionPerPeriod(transactions)) {
+    if (!this.validateSingleTransactionPerPeriod(transactions, monthOf)) {
       return null; // Reject if multiple transactions in same period
     }
 
     // Get month occurrences
-    const monthOccurrences = this.getMonthOccurrences(transactions);
+    const monthOccurrences = this.getMonthOccurrences(transactions, monthOf);
     
     // Check for monthly pattern (every month) - check this first as it's most common
     const monthlyPattern = this.checkMonthlyPattern(monthOccurrences, analysisMonths);
@@ -222,7 +229,7 @@ class RecurrenceDetectionService {
     }
     
     // Check for yearly pattern (same month each year)
-    const yearlyPattern = this.checkYearlyPattern(transactions);
+    const yearlyPattern = this.checkYearlyPattern(transactions, monthOf);
     if (yearlyPattern) {
       return yearlyPattern;
     }
@@ -234,9 +241,10 @@ class RecurrenceDetectionService {
    * Validate that there's only one transaction per occurrence period
    * This reduces false positives by ensuring true recurring patterns
    * @param {Array} transactions - Array of transactions
+   * @param {Function} [monthOf] - Budget month `{year, month}` of a date
    * @returns {boolean} True if constraint is satisfied
    */
-  validateSingleTransactionPerPeriod(transactions) {
+  validateSingleTransactionPerPeriod(transactions, monthOf = calendarMonthOf) {
     if (transactions.length < 2) {
       return false;
     }
@@ -245,8 +253,8 @@ class RecurrenceDetectionService {
     const monthlyGroups = {};
     
     for (const transaction of transactions) {
-      const date = transaction.processedDate;
-      const monthYear = `${date.getFullYear()}-${date.getMonth() + 1}`;
+      const { year, month } = monthOf(transaction.processedDate);
+      const monthYear = `${year}-${month}`;
       
       if (!monthlyGroups[monthYear]) {
         monthlyGroups[monthYear] = [];
@@ -327,10 +335,11 @@ class RecurrenceDetectionService {
   /**
    * Get month occurrences from transactions
    * @param {Array} transactions - Array of transactions
+   * @param {Function} [monthOf] - Budget month `{year, month}` of a date
    * @returns {Array} Array of month numbers (1-12)
    */
-  getMonthOccurrences(transactions) {
-    return transactions.map(t => t.processedDate.getMonth() + 1);
+  getMonthOccurrences(transactions, monthOf = calendarMonthOf) {
+    return transactions.map(t => monthOf(t.processedDate).month);
   }
 
   /**
@@ -556,15 +565,16 @@ class RecurrenceDetectionService {
   /**
    * Check for yearly pattern (same month each year)
    * @param {Array} transactions - Array of transactions
+   * @param {Function} [monthOf] - Budget month `{year, month}` of a date
    * @returns {Object|null} Pattern details or null
    */
-  checkYearlyPattern(transactions) {
+  checkYearlyPattern(transactions, monthOf = calendarMonthOf) {
     if (transactions.length < 3) return null; // Need at least 3 transactions for yearly
     
     // Group by month
     const monthGroups = {};
     transactions.forEach(t => {
-      const month = t.processedDate.getMonth() + 1;
+      const { month } = monthOf(t.processedDate);
       if (!monthGroups[month]) {
         monthGroups[month] = [];
       }
@@ -586,7 +596,7 @@ class RecurrenceDetectionService {
     }
     
     // Check if transactions span multiple years (allow consecutive months for flexibility)
-    const years = [...new Set(primaryMonthTransactions.map(t => t.processedDate.getFullYear()))];
+    const years = [...new Set(primaryMonthTransactions.map(t => monthOf(t.processedDate).year))];
     
     // For yearly pattern, need at least 2 different years OR 3+ transactions in recent timeframe
     const hasMultipleYears = years.length >= 2;
@@ -1,6 +1,5 @@
 const { Transaction, Category } = require('../../banking');
-
-const SALARY_EARLY_DAYS = 5;
+const { SALARY_EARLY_DAYS, buildPeriods } = require('./budgetPeriod');
 
 /**
  * Find the Salary category for a user.
@@ -11,21 +10,23 @@ async function findSalaryCategory(userId) {
 }
 
 /**
- * Adjust a month's transactions for salary early-payment attribution.
- * 
- * Salary arriving up to SALARY_EARLY_DAYS before the month starts is attributed
- * to that month (not the previous month). Conversely, salary arriving in the last
- * SALARY_EARLY_DAYS of a month is excluded (it belongs to the next month).
+ * Adjust a budget period's transactions for salary early-payment attribution.
+ *
+ * Salary arriving up to SALARY_EARLY_DAYS before the period starts is
+ * attributed to it (not the previous period). Conversely, salary arriving in
+ * the last SALARY_EARLY_DAYS of the period is excluded (it belongs to the next).
+ * Periods that start on salary arrival need none of this and are returned as is.
  *
- * @param {Array} transactions - Already-queried transactions for the month
+ * @param {Array} transactions - Already-queried transactions for the period
  * @param {string} userId - User ID
- * @param {number} year - Budget year
- * @param {number} month - Budget month (1-indexed)
+ * @param {Object} period - `{start, end, startsOn}`, as from budgetPeriodService
  * @param {Object} extraFilters - Additional MongoDB filters (e.g., excludeFromBudgetCalculation)
  * @param {Object} [salaryCategory] - Pre-fetched salary category to avoid duplicate DB lookup
  * @returns {Array} Adjusted transactions array
  */
-async function adjustForSalaryEarlyPayment(transactions, userId, year, month, extraFilters = {}, salaryCategory = null) {
+async function adjustForSalaryInPeriod(transactions, userId, period, extraFilters = {}, salaryCategory = null) {
+  if (period.startsOn === 'salary') return transactions;
+
   if (!salaryCategory) {
     salaryCategory = await findSalaryCategory(userId);
   }
@@ -33,9 +34,9 @@ async function adjustForSalaryEarlyPayment(transactions, userId, year, month, ex
 
   const salaryCategoryId = salaryCategory._id.toString();
 
-  // Late window: last N days of this month — salary here belongs to NEXT month
-  const nextMonthStart = new Date(year, month, 1);
-  const lateWindowStart = new Date(nextMonthStart);
+  // Late window: last N days of this period — salary here belongs to the NEXT one
+  const nextPeriodStart = new Date(period.end.getTime() + 1);
+  const lateWindowStart = new Date(nextPeriodStart);
   lateWindowStart.setDate(lateWindowStart.getDate() - SALARY_EARLY_DAYS);
 
   const filtered = transactions.filter(tx => {
@@ -45,11 +46,10 @@ async function adjustForSalaryEarlyPayment(transactions, userId, year, month, ex
     return txDate < lateWindowStart;
   });
 
-  // Early window: last N days of previous month — salary here belongs to THIS month
-  const monthStart = new Date(year, month - 1, 1);
-  const earlyWindowStart = new Date(monthStart);
+  // Early window: last N days of the previous period — salary here belongs to THIS one
+  const earlyWindowStart = new Date(period.start);
   earlyWindowStart.setDate(earlyWindowStart.getDate() - SALARY_EARLY_DAYS);
-  const earlyWindowEnd = new Date(year, month - 1, 0, 23, 59, 59);
+  const earlyWindowEnd = new Date(period.start.getTime() - 1);
 
   if (earlyWindowEnd < earlyWindowStart) return filtered;
 
@@ -63,8 +63,20 @@ async function adjustForSalaryEarlyPayment(transactions, userId, year, month, ex
   return [...filtered, ...earlySalaryTxns];
 }
 
+/**
+ * adjustForSalaryInPeriod for a calendar month.
+ *
+ * @param {number} year - Budget year
+ * @param {number} month - Budget month (1-indexed)
+ */
+async function adjustForSalaryEarlyPayment(transactions, userId, year, month, extraFilters = {}, salaryCategory = null) {
+  const [period] = buildPeriods({ year, month });
+  return adjustForSalaryInPeriod(transactions, userId, period, extraFilters, salaryCategory);
+}
+
 module.exports = {
   SALARY_EARLY_DAYS,
   findSalaryCategory,
+  adjustForSalaryInPeriod,
   adjustForSalaryEarlyPayment
 };
@@ -0,0 +1,177 @@
+/**
+ * What-if budget scenarios, with no database access: the budgeted income and
+ * expenses, month by month, of a set of budget lines plus hypothetical
+ * recurring items and one-off events, and the budget lines promoting a
+ * scenario leaves behind. budgetScenarioService supplies the lines and decides
+ * which months a recurring item falls in, by the budget engine's pattern rules.
+ */
+const { calendarMonthOf } = require('./budgetPeriod');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const monthIndex = ({ year, month }) => year * 12 + month - 1;
+
+const idOf = (ref) => (ref ? String(ref._id || ref) : '');
+
+const lineKey = (categoryId, subCategoryId) => `${idOf(categoryId)}:${idOf(subCategoryId)}`;
+
+// Income lines have no subcategory, as on CategoryBudget
+const lineType = (line) => (line.subCategoryId ? 'expense' : 'income');
+
+/**
+ * Whether a recurring item has started and not yet ended by a budget month.
+ */
+function isRunning(item, current, monthOf) {
+  const index = monthIndex(current);
+  if (item.startDate && index < monthIndex(monthOf(new Date(item.startDate)))) return false;
+  if (item.endDate && index > monthIndex(monthOf(new Date(item.endDate)))) return false;
+  return true;
+}
+
+/**
+ * Budgeted income, expenses and net for each month.
+ *
+ * @param {Object} options
+ * @param {Array<{year: number, month: number}>} options.months - Budget months, in order
+ * @param {Array<Object>} [options.budgets] - Budget lines with `getAmountForMonth(month)`
+ * @param {Array<Object>} [options.recurring] - `{type, amount, startDate, endDate}` and whatever occursIn reads
+ * @param {Array<Object>} [options.events] - One-off `{type, amount, date}`
+ * @param {function(Object, number): boolean} [options.occursIn] - Whether a recurring item falls in a month (1-12)
+ * @param {function(Date): {year: number, month: number}} [options.monthOf] - The budget month of a date
+ * @returns {Array<{year: number, month: number, income: number, expenses: number, net: number}>}
+ */
+function projectMonths({
+  months,
+  budgets = [],
+  recurring = [],
+  events = [],
+  occursIn = () => true,
+  monthOf = calendarMonthOf
+}) {
+  return months.map((current) => {
+    const totals = { income: 0, expenses: 0 };
+    const add = (type, amount) => {
+      totals[type === 'income' ? 'income' : 'expenses'] += amount;
+    };
+
+    for (const line of budgets) {
+      add(lineType(line), line.getAmountForMonth(current.month));
+    }
+    for (const item of recurring) {
+      if (isRunning(item, current, monthOf) && occursIn(item, current.month)) add(item.type, item.amount);
+    }
+    for (const event of events) {
+      if (monthIndex(monthOf(new Date(event.date))) === monthIndex(current)) add(event.type, event.amount);
+    }
+
+    return {
+      year: current.year,
+      month: current.month,
+      income: round(totals.income),
+      expenses: round(totals.expenses),
+      net: round(totals.income - totals.expenses)
+    };
+  });
+}
+
+/**
+ * Two projections over the same months side by side, with what the scenario
+ * changes each month and in total. Differences are scenario minus live.
+ */
+function compareProjections(live, scenario) {
+  const sum = (projection) => projection.reduce((totals, month) => ({
+    income: round(totals.income + month.income),
+    expenses: round(totals.expenses + month.expenses),
+    net: round(totals.net + month.net)
+  }), { income: 0, expenses: 0, net: 0 });
+  const difference = (a, b) => ({
+    income: round(b.income - a.income),
+    expenses: round(b.expenses - a.expenses),
+    net: round(b.net - a.net)
+  });
+
+  const totalsOf = ({ income, expenses, net }) => ({ income, expenses, net });
+
+  const months = live.map((liveMonth, i) => {
+    const liveTotals = totalsOf(liveMonth);
+    const scenarioTotals = totalsOf(scenario[i]);
+    return {
+      year: liveMonth.year,
+      month: liveMonth.month,
+      live: liveTotals,
+      scenario: scenarioTotals,
+      difference: difference(liveTotals, scenarioTotals)
+    };
+  });
+
+  const totals = { live: sum(live), scenario: sum(scenario) };
+  totals.difference = difference(totals.live, totals.scenario);
+
+  return { months, totals };
+}
+
+/**
+ * The budget lines a scenario becomes when promoted: its own lines with its
+ * recurring items folded into the lines of their categories. Budget lines
+ * repeat every year, so an item's start date does not carry over, and items
+ * that have already ended are left out. A monthly item adds to a fixed line;
+ * anything else turns its line variable.
+ *
+ * @param {Array<Object>} lines - Plain `{categoryId, subCategoryId, budgetType, fixedAmount, monthlyAmounts}`
+ * @param {Array<Object>} recurring - The scenario's recurring items
+ * @param {function(Object, number): boolean} occursIn - Whether an item falls in a month (1-12)
+ * @param {Date} [now=new Date()]
+ * @returns {Array<Object>} New lines, in the same shape; the inputs are not changed
+ */
+function promotedBudgets(lines, recurring, occursIn, now = new Date()) {
+  const byKey = new Map(lines.map(line => [
+    lineKey(line.categoryId, line.subCategoryId),
+    { ...line, monthlyAmounts: (line.monthlyAmounts || []).map(({ month, amount }) => ({ month, amount })) }
+  ]));
+
+  for (const item of recurring) {
+    if (item.endDate && new Date(item.endDate) < now) continue;
+
+    const key = lineKey(item.categoryId, item.subCategoryId);
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        categoryId: item.categoryId,
+        subCategoryId: item.subCategoryId || null,
+        budgetType: 'fixed',
+        fixedAmount: 0,
+        monthlyAmounts: []
+      });
+    }
+    const line = byKey.get(key);
+
+    const months = Array.from({ length: 12 }, (_, i) => i + 1).filter(month => occursIn(item, month));
+    if (line.budgetType === 'fixed' && months.length === 12) {
+      line.fixedAmount = round(line.fixedAmount + item.amount);
+      continue;
+    }
+
+    if (line.budgetType === 'fixed') {
+      line.budgetType = 'variable';
+      line.monthlyAmounts = Array.from({ length: 12 }, (_, i) => ({ month: i + 1, amount: line.fixedAmount }));
+      line.fixedAmount = 0;
+    }
+    for (const month of months) {
+      const entry = line.monthlyAmounts.find(ma => ma.month === month);
+      if (entry) {
+        entry.amount = round(entry.amount + item.amount);
+      } else {
+        line.monthlyAmounts.push({ month, amount: item.amount });
+      }
+    }
+    line.monthlyAmounts.sort((a, b) => a.month - b.month);
+  }
+
+  return [...byKey.values()];
+}
+
+module.exports = {
+  lineKey,
+  projectMonths,
+  compareProjections,
+  promotedBudgets
+};
@@ -2,6 +2,7 @@ const recurrenceDetectionService = require('./recurrenceDetectionService');
 const TransactionPattern = require('../models/TransactionPattern');
 const BudgetService = require('./budgetService');
 const Transaction = require('../../banking/models/Transaction');
+const { budgetAmount } = require('../../banking/utils/refunds');
 const PatternMatchingUtils = require('../utils/patternMatching');
 
 /**
@@ -185,7 +186,7 @@ class SmartBudgetService {
       const [categoryId, subCategoryId] = key.split('|');
       
       // Calculate average for non-recurring transactions in this category
-      const totalAmount = transactions.reduce((sum, t) => sum + Math.abs(t.amount), 0);
+      const totalAmount = transactions.reduce((sum, t) => sum + budgetAmount(t), 0);
       const averageAmount = totalAmount / analysisMonths; // Average per month
       
       if (averageAmount > 0) {
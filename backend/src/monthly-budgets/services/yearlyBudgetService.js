@@ -1,6 +1,13 @@
 const { YearlyBudget, MonthlyBudget } = require('../models');
+const { Transaction } = require('../../banking');
 const logger = require('../../shared/utils/logger');
 const { BUDGET_STATUS } = require('../../project-budgets');
+const { MATCH_WINDOW_DAYS, matchItems } = require('./oneTimeItemMatcher');
+
+const ONE_TIME_TYPES = ['income', 'expense'];
+
+// What a one-time item becomes once it has happened
+const COMPLETED_STATUS = { income: 'received', expense: 'spent' };
 
 class YearlyBudgetService {
   // ============================================
@@ -164,152 +171,284 @@ class YearlyBudgetService {
     }
   }
 
+  // ============================================
+  // ONE-TIME ITEMS
+  // ============================================
+
   /**
-   * Add one-time income to yearly budget
+   * The item list of a yearly budget, income or expense
    */
-  async addOneTimeIncome(userId, year, incomeData) {
+  itemList(budget, type) {
+    if (!ONE_TIME_TYPES.includes(type)) {
+      throw new Error(`Unknown one-time item type: ${type}`);
+    }
+    return type === 'income' ? budget.oneTimeIncome : budget.oneTimeExpenses;
+  }
+
+  /**
+   * Find a user's yearly budget and one of its one-time items
+   */
+  async findOneTimeItem(userId, year, type, itemId) {
+    const budget = await YearlyBudget.findOne({ userId, year });
+    if (!budget) {
+      throw new Error('Yearly budget not found');
+    }
+
+    const item = this.itemList(budget, type).id(itemId);
+    if (!item) {
+      throw new Error('One-time item not found');
+    }
+
+    return { budget, item };
+  }
+
+  /**
+   * Get a year's one-time income and expenses, soonest first, with totals
+   */
+  async getOneTimePlan(userId, year) {
     try {
-      let budget = await YearlyBudget.findOne({ userId, year });
+      const budget = await this.getYearlyBudget(userId, year);
       if (!budget) {
-        budget = await this.createYearlyBudget(userId, year, {});
+        return {
+          year,
+          items: [],
+          totals: { plannedIncome: 0, plannedExpenses: 0, receivedIncome: 0, spentExpenses: 0 }
+        };
       }
 
-      budget.oneTimeIncome.push({
-        categoryId: incomeData.categoryId,
-        amount: incomeData.amount,
-        description: incomeData.description,
-        plannedDate: incomeData.plannedDate,
-        status: incomeData.status || 'planned'
-      });
+      const items = [
+        ...budget.oneTimeIncome.map(item => ({ type: 'income', ...item.toObject() })),
+        ...budget.oneTimeExpenses.map(item => ({ type: 'expense', ...item.toObject() }))
+      ].sort((a, b) => a.expectedDate - b.expectedDate);
 
-      await budget.save();
-      logger.info(`Added one-time income to yearly budget ${year} for user ${userId}`);
-      
-      return budget;
+      return {
+        year,
+        items,
+        totals: {
+          plannedIncome: budget.totalPlannedOneTimeIncome,
+          plannedExpenses: budget.totalPlannedOneTimeExpenses,
+          receivedIncome: budget.totalOneTimeIncome,
+          spentExpenses: budget.totalOneTimeExpenses
+        }
+      };
     } catch (error) {
-      logger.error('Error adding one-time income:', error);
+      logger.error('Error fetching one-time plan:', error);
       throw error;
     }
   }
 
   /**
-   * Add one-time expense to yearly budget
+   * Plan a one-time income or expense, creating the yearly budget if needed.
+   * An item that already arrived is matched straight away.
    */
-  async addOneTimeExpense(userId, year, expenseData) {
+  async addOneTimeItem(userId, year, type, itemData) {
     try {
+      const expectedDate = new Date(itemData.expectedDate);
+      if (expectedDate.getFullYear() !== year) {
+        throw new Error(`Expected date must fall within ${year}`);
+      }
+
       let budget = await YearlyBudget.findOne({ userId, year });
       if (!budget) {
         budget = await this.createYearlyBudget(userId, year, {});
       }
 
-      budget.oneTimeExpenses.push({
-        categoryId: expenseData.categoryId,
-        subCategoryId: expenseData.subCategoryId,
-        amount: expenseData.amount,
-        description: expenseData.description,
-        plannedDate: expenseData.plannedDate,
-        status: expenseData.status || 'planned'
+      const items = this.itemList(budget, type);
+      items.push({
+        description: itemData.description,
+        amount: itemData.amount,
+        expectedDate,
+        categoryId: itemData.categoryId,
+        ...(type === 'expense' && { subCategoryId: itemData.subCategoryId }),
+        notes: itemData.notes || ''
       });
+      const itemId = items[items.length - 1]._id;
 
       await budget.save();
-      logger.info(`Added one-time expense to yearly budget ${year} for user ${userId}`);
-      
-      return budget;
+      logger.info(`Added one-time ${type} to yearly budget ${year} for user ${userId}`);
+
+      await this.matchOneTimeItems(userId, year);
+      const { item } = await this.findOneTimeItem(userId, year, type, itemId);
+      return { type, ...item.toObject() };
     } catch (error) {
-      logger.error('Error adding one-time expense:', error);
+      logger.error(`Error adding one-time ${type}:`, error);
       throw error;
     }
   }
 
   /**
-   * Get upcoming one-time items for a yearly budget
+   * Add one-time income to yearly budget
    */
-  async getUpcomingItems(userId, year, daysAhead = 30) {
-    try {
-      const budget = await YearlyBudget.findOne({ userId, year })
-        .populate('oneTimeIncome.categoryId', 'name type')
-        .populate('oneTimeExpenses.categoryId', 'name type')
-        .populate('oneTimeExpenses.subCategoryId', 'name');
+  async addOneTimeIncome(userId, year, incomeData) {
+    return this.addOneTimeItem(userId, year, 'income', incomeData);
+  }
 
-      if (!budget) {
-        return [];
-      }
+  /**
+   * Add one-time expense to yearly budget
+   */
+  async addOneTimeExpense(userId, year, expenseData) {
+    return this.addOneTimeItem(userId, year, 'expense', expenseData);
+  }
 
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() + daysAhead);
+  /**
+   * Update a one-time item. Setting it back to planned forgets what it was
+   * matched to, so it can be matched again.
+   */
+  async updateOneTimeItem(userId, year, type, itemId, updates) {
+    try {
+      const { budget, item } = await this.findOneTimeItem(userId, year, type, itemId);
 
-      const upcomingItems = [];
+      if (updates.expectedDate !== undefined && new Date(updates.expectedDate).getFullYear() !== year) {
+        throw new Error(`Expected date must fall within ${year}`);
+      }
 
-      // Check one-time income
-      budget.oneTimeIncome.forEach(income => {
-        if (income.plannedDate && 
-            income.plannedDate <= cutoffDate && 
-            income.status === 'planned') {
-          upcomingItems.push({
-            type: 'income',
-            ...income.toObject()
-          });
+      const allowedUpdates = ['description', 'amount', 'expectedDate', 'categoryId', 'notes', 'status'];
+      if (type === 'expense') {
+        allowedUpdates.push('subCategoryId');
+      }
+      allowedUpdates.forEach(field => {
+        if (updates[field] !== undefined) {
+          item[field] = updates[field];
         }
       });
 
-      // Check one-time expenses
-      budget.oneTimeExpenses.forEach(expense => {
-        if (expense.plannedDate && 
-            expense.plannedDate <= cutoffDate && 
-            expense.status === 'planned') {
-          upcomingItems.push({
-            type: 'expense',
-            ...expense.toObject()
-          });
-        }
-      });
+      if (item.status === 'planned') {
+        item.actualDate = null;
+        item.actualAmount = null;
+        item.transactionId = null;
+      }
 
-      // Sort by planned date
-      upcomingItems.sort((a, b) => a.plannedDate - b.plannedDate);
+      await budget.save();
+      logger.info(`Updated one-time ${type} ${itemId} in yearly budget ${year}`);
 
-      return upcomingItems;
+      return { type, ...item.toObject() };
     } catch (error) {
-      logger.error('Error getting upcoming items:', error);
+      logger.error(`Error updating one-time ${type}:`, error);
       throw error;
     }
   }
 
   /**
-   * Mark one-time item as completed
+   * Remove a one-time item
    */
-  async markOneTimeItemCompleted(userId, year, itemId, type, actualAmount = null) {
+  async removeOneTimeItem(userId, year, type, itemId) {
     try {
-      const budget = await YearlyBudget.findOne({ userId, year });
+      const { budget, item } = await this.findOneTimeItem(userId, year, type, itemId);
+
+      item.deleteOne();
+      await budget.save();
+      logger.info(`Removed one-time ${type} ${itemId} from yearly budget ${year}`);
+
+      return { success: true };
+    } catch (error) {
+      logger.error(`Error removing one-time ${type}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get upcoming one-time items for a yearly budget
+   */
+  async getUpcomingItems(userId, year, daysAhead = 30) {
+    try {
+      const budget = await this.getYearlyBudget(userId, year);
       if (!budget) {
-        throw new Error('Yearly budget not found');
+        return [];
       }
 
-      let item;
-      if (type === 'income') {
-        item = budget.oneTimeIncome.id(itemId);
-      } else if (type === 'expense') {
-        item = budget.oneTimeExpenses.id(itemId);
-      }
+      const { income, expenses } = budget.getUpcomingItems(daysAhead);
 
-      if (!item) {
-        throw new Error('One-time item not found');
-      }
+      return [
+        ...income.map(item => ({ type: 'income', ...item.toObject() })),
+        ...expenses.map(item => ({ type: 'expense', ...item.toObject() }))
+      ].sort((a, b) => a.expectedDate - b.expectedDate);
+    } catch (error) {
+      logger.error('Error getting upcoming items:', error);
+      throw error;
+    }
+  }
 
-      item.status = 'completed';
-      item.completedDate = new Date();
-      if (actualAmount !== null) {
-        item.actualAmount = actualAmount;
-      }
+  /**
+   * Mark a one-time item as received (income) or spent (expense) by hand
+   */
+  async markOneTimeItemCompleted(userId, year, itemId, type, actualAmount = null, actualDate = new Date()) {
+    try {
+      const { budget, item } = await this.findOneTimeItem(userId, year, type, itemId);
+
+      item.status = COMPLETED_STATUS[type];
+      item.actualDate = actualDate;
+      item.actualAmount = actualAmount;
 
       await budget.save();
-      logger.info(`Marked one-time ${type} as completed in yearly budget ${year} for user ${userId}`);
-      
-      return budget;
+      logger.info(`Marked one-time ${type} as ${item.status} in yearly budget ${year} for user ${userId}`);
+
+      return { type, ...item.toObject() };
     } catch (error) {
       logger.error('Error marking one-time item as completed:', error);
       throw error;
     }
   }
+
+  /**
+   * Match a user's planned one-time items to the transactions that turned out
+   * to be them, marking each received or spent with the actual amount and date
+   *
+   * @param {string} userId
+   * @param {number} [year] - Only this year's items; every year when not given
+   * @returns {Promise<number>} How many items were matched
+   */
+  async matchOneTimeItems(userId, year) {
+    const budgets = await YearlyBudget.find({ userId, ...(year && { year }) });
+
+    const taken = [];
+    const planned = [];
+    for (const budget of budgets) {
+      for (const type of ONE_TIME_TYPES) {
+        for (const item of this.itemList(budget, type)) {
+          if (item.transactionId) taken.push(item.transactionId);
+          if (item.status === 'planned') planned.push({ budget, type, item });
+        }
+      }
+    }
+    if (planned.length === 0) {
+      return 0;
+    }
+
+    const dates = planned.map(({ item }) => item.expectedDate.getTime());
+    const windowMs = MATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const transactions = await Transaction.find({
+      userId,
+      date: { $gte: new Date(Math.min(...dates) - windowMs), $lte: new Date(Math.max(...dates) + windowMs) },
+      // A transfer between the user's own accounts is never the bonus or the premium
+      transferCounterpart: null
+    }).select('amount date category subCategory').lean();
+
+    const candidates = planned.map(({ type, item }) => ({
+      _id: item._id,
+      type,
+      amount: item.amount,
+      expectedDate: item.expectedDate,
+      categoryId: item.categoryId,
+      subCategoryId: item.subCategoryId
+    }));
+    const matches = matchItems(candidates, transactions, taken);
+
+    const changed = new Set();
+    for (const { item: candidate, transaction } of matches) {
+      const { budget, type, item } = planned.find(entry => entry.item._id.equals(candidate._id));
+      item.status = COMPLETED_STATUS[type];
+      item.actualDate = transaction.date;
+      item.actualAmount = Math.abs(transaction.amount);
+      item.transactionId = transaction._id;
+      changed.add(budget);
+    }
+    await Promise.all([...changed].map(budget => budget.save()));
+
+    if (matches.length > 0) {
+      logger.info(`Matched ${matches.length} one-time items to transactions for user ${userId}`);
+    }
+    return matches.length;
+  }
 }
 
 module.exports = new YearlyBudgetService();
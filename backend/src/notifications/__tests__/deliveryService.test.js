@@ -0,0 +1,113 @@
+jest.mock('nodemailer', () => ({ createTransport: jest.fn() }));
+jest.mock('web-push', () => ({ setVapidDetails: jest.fn(), sendNotification: jest.fn() }));
+jest.mock('dns', () => ({ promises: { lookup: jest.fn() } }));
+jest.mock('../models', () => ({
+  PushSubscription: { find: jest.fn(), deleteOne: jest.fn() }
+}));
+jest.mock('../../shared/config', () => ({
+  notifications: {
+    emailEnabled: true,
+    pushEnabled: true,
+    appUrl: 'https://app.example.com',
+    smtp: { host: 'smtp.example.com', port: 587, secure: false, from: 'alerts@example.com' },
+    vapid: { publicKey: 'public', privateKey: 'private', subject: 'mailto:admin@example.com' },
+    webhookTimeoutMs: 1000
+  }
+}));
+
+const dns = require('dns');
+const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+const { PushSubscription } = require('../models');
+const { DeliveryService, compose } = require('../services/deliveryService');
+
+const user = { _id: 'user-1', email: 'dana@example.com' };
+const preferences = { email: true, push: true, webhookUrl: 'https://hooks.example.com/alerts', digest: 'immediate' };
+const alert = (title, fields = {}) => ({
+  _id: `id-${title}`,
+  type: 'budget_threshold',
+  title,
+  body: `${title} details`,
+  link: '/budgets',
+  createdAt: new Date('2026-03-10T08:00:00Z'),
+  ...fields
+});
+
+describe('deliveryService', () => {
+  let service;
+  let sendMail;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sendMail = jest.fn().mockResolvedValue({});
+    nodemailer.createTransport.mockReturnValue({ sendMail });
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    dns.promises.lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    PushSubscription.find.mockResolvedValue([]);
+    service = new DeliveryService();
+  });
+
+  it('writes one alert as itself and several as a list with links back to the app', () => {
+    const single = compose([alert('Groceries is at 95% of its budget')]);
+    expect(single.subject).toBe('Groceries is at 95% of its budget');
+    expect(single.text).toContain('https://app.example.com/budgets');
+
+    const digest = compose([alert('One'), alert('Two')], { digest: 'weekly' });
+    expect(digest.subject).toBe('Your weekly summary: 2 alerts');
+    expect(digest.text).toContain('- One\n  One details');
+    expect(digest.push).toMatchObject({ title: 'Your weekly summary: 2 alerts', body: 'One\nTwo' });
+  });
+
+  it('sends on every channel the user has and the server supports', async () => {
+    const save = jest.fn();
+    PushSubscription.find.mockResolvedValue([{ endpoint: 'https://push.example.com/1', keys: { p256dh: 'k', auth: 'a' }, save }]);
+    webpush.sendNotification.mockResolvedValue({});
+
+    const results = await service.deliver(user, preferences, [alert('Large expense')]);
+
+    expect(results).toEqual({ email: 'sent', webhook: 'sent', push: 'sent' });
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'dana@example.com',
+      from: 'alerts@example.com',
+      subject: 'GeriFinancial: Large expense'
+    }));
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/alerts');
+    expect(JSON.parse(request.body)).toMatchObject({
+      event: 'notifications',
+      notifications: [{ title: 'Large expense', link: 'https://app.example.com/budgets' }]
+    });
+    expect(webpush.setVapidDetails).toHaveBeenCalledWith('mailto:admin@example.com', 'public', 'private');
+    expect(save).toHaveBeenCalled();
+  });
+
+  it('skips what is switched off and reports failures without throwing', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 500 });
+
+    const results = await service.deliver(user, { ...preferences, email: false }, [alert('Sync failed')]);
+
+    expect(results).toEqual({ email: 'skipped', webhook: 'failed', push: 'skipped' });
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('refuses a webhook that is not https or whose host resolves to a private address', async () => {
+    const plain = await service.deliver(user, { ...preferences, webhookUrl: 'http://hooks.example.com/alerts' }, [alert('Low balance')]);
+    expect(plain.webhook).toBe('failed');
+
+    dns.promises.lookup.mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+    const metadata = await service.deliver(user, preferences, [alert('Low balance')]);
+    expect(metadata.webhook).toBe('failed');
+
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('forgets a browser the push service says is gone', async () => {
+    PushSubscription.find.mockResolvedValue([{ _id: 'sub-1', endpoint: 'https://push.example.com/1', keys: {} }]);
+    webpush.sendNotification.mockRejectedValue(Object.assign(new Error('Gone'), { statusCode: 410 }));
+
+    const results = await service.deliver(user, { ...preferences, webhookUrl: null }, [alert('Vesting')]);
+
+    expect(results.push).toBe('failed');
+    expect(PushSubscription.deleteOne).toHaveBeenCalledWith({ _id: 'sub-1' });
+  });
+});
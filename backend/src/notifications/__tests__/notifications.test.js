@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User } = require('../../auth');
+const { BankAccount, Category, SubCategory, Transaction } = require('../../banking/models');
+const { CategoryBudget } = require('../../monthly-budgets/models');
+const { Household } = require('../../households/models');
+const { NotificationRule, Notification, PushSubscription } = require('../models');
+const notificationService = require('../services/notificationService');
+const deliveryService = require('../services/deliveryService');
+const { createTestUser } = require('../../test/testUtils');
+
+describe('Notifications', () => {
+  let user;
+  let token;
+  let account;
+  let food;
+  let groceries;
+  let deliver;
+
+  const as = (sessionToken) => ({ Authorization: `Bearer ${sessionToken}` });
+
+  const spend = (amount, fields = {}) => Transaction.create({
+    identifier: `tx-${Math.random()}`,
+    accountId: account._id,
+    userId: user._id,
+    amount,
+    currency: 'ILS',
+    date: new Date(),
+    processedDate: new Date(),
+    description: 'SHUFERSAL',
+    category: food._id,
+    subCategory: groceries._id,
+    rawData: {},
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      NotificationRule.deleteMany({}), Notification.deleteMany({}), PushSubscription.deleteMany({}),
+      Transaction.deleteMany({}), BankAccount.deleteMany({}), CategoryBudget.deleteMany({})
+    ]);
+    ({ user, token } = await createTestUser(User, { email: 'alerts@example.com' }));
+    account = await BankAccount.create({ userId: user._id, bankId: 'file-import', name: 'Checking', status: 'active' });
+    food = await Category.create({ name: 'Food', type: 'Expense', userId: user._id });
+    groceries = await SubCategory.create({ name: 'Groceries', parentCategory: food._id, userId: user._id, keywords: [] });
+    deliver = jest.spyOn(deliveryService, 'deliver').mockResolvedValue({ email: 'sent', webhook: 'skipped', push: 'skipped' });
+  });
+
+  afterEach(async () => {
+    deliver.mockRestore();
+    await User.deleteMany({ email: { $in: ['alerts@example.com', 'member@example.com'] } });
+    await Household.deleteMany({});
+  });
+
+  describe('rules', () => {
+    it('creates a rule with the type\'s defaults and changes its parameters', async () => {
+      const created = await request(app).post('/api/notifications/rules').set(as(token))
+        .send({ type: 'large_transaction' })
+        .expect(201);
+      expect(created.body.data.params.amount).toBe(2000);
+
+      const updated = await request(app).put(`/api/notifications/rules/${created.body.data._id}`).set(as(token))
+        .send({ params: { amount: 500 }, enabled: false })
+        .expect(200);
+      expect(updated.body.data).toMatchObject({ enabled: false, params: { amount: 500 } });
+
+      const list = await request(app).get('/api/notifications/rules').set(as(token)).expect(200);
+      expect(list.body.data).toHaveLength(1);
+
+      await request(app).delete(`/api/notifications/rules/${created.body.data._id}`).set(as(token)).expect(200);
+      await request(app).delete(`/api/notifications/rules/${created.body.data._id}`).set(as(token)).expect(404);
+    });
+
+    it('refuses an unknown type and a category outside the books', async () => {
+      const { user: other } = await createTestUser(User, { email: 'member@example.com' });
+      const theirs = await Category.create({ name: 'Food', type: 'Expense', userId: other._id });
+
+      await request(app).post('/api/notifications/rules').set(as(token)).send({ type: 'weather' }).expect(400);
+      const foreign = await request(app).post('/api/notifications/rules').set(as(token))
+        .send({ type: 'budget_threshold', params: { categoryId: theirs._id } })
+        .expect(400);
+      expect(foreign.body.code).toBe('UNKNOWN_REFERENCE');
+    });
+  });
+
+  describe('checks', () => {
+    it('raises a budget alert once per month and sends it straight away', async () => {
+      await CategoryBudget.create({
+        userId: user._id, categoryId: food._id, subCategoryId: groceries._id, budgetType: 'fixed', fixedAmount: 1000
+      });
+      await notificationService.createRule(user._id, user._id, { type: 'budget_threshold', params: { threshold: 80 } });
+      await spend(-850);
+      await spend(-500, { excludeFromBudgetCalculation: true });
+
+      const res = await request(app).post('/api/notifications/check').set(as(token)).expect(200);
+      expect(res.body.data.raised).toBe(1);
+      await request(app).post('/api/notifications/check').set(as(token)).expect(200);
+
+      const [notification] = await Notification.find({ userId: user._id });
+      expect(notification.title).toBe('Groceries is at 85% of its budget');
+      expect(notification.channels).toEqual(['email']);
+      expect(deliver).toHaveBeenCalledTimes(1);
+    });
+
+    it('raises one alert per failed sync, large transaction and stale account', async () => {
+      await Promise.all(['account_error', 'account_stale', 'large_transaction'].map(type =>
+        notificationService.createRule(user._id, user._id, { type })));
+      await BankAccount.updateOne({ _id: account._id }, {
+        status: 'error',
+        lastError: { message: 'Wrong password', date: new Date() },
+        lastScraped: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000)
+      });
+      await spend(-2500, { description: 'IKEA' });
+      await spend(-40);
+
+      const raised = await notificationService.evaluateUser(user._id);
+
+      expect(raised.map(notification => notification.type).sort())
+        .toEqual(['account_error', 'account_stale', 'large_transaction']);
+      expect(raised.find(notification => notification.type === 'account_error').body).toBe('Wrong password');
+      expect(raised.find(notification => notification.type === 'large_transaction').title).toContain('IKEA');
+    });
+
+    it('holds alerts for the digest and sends them together', async () => {
+      await User.updateOne({ _id: user._id }, { 'settings.notifications.digest': 'weekly' });
+      await notificationService.createRule(user._id, user._id, { type: 'uncategorized_backlog', params: { count: 1 } });
+      await notificationService.createRule(user._id, user._id, { type: 'large_transaction', params: { amount: 100 } });
+      await spend(-150, { category: null, subCategory: null });
+      await spend(-20, { category: null, subCategory: null });
+
+      await notificationService.evaluateUser(user._id);
+      expect(deliver).not.toHaveBeenCalled();
+      expect(await notificationService.sendDigests('daily')).toEqual({ users: 0, notifications: 0 });
+
+      const results = await notificationService.sendDigests('weekly');
+
+      expect(results).toEqual({ users: 1, notifications: 2 });
+      expect(deliver).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'alerts@example.com' }),
+        expect.objectContaining({ digest: 'weekly' }),
+        expect.any(Array),
+        { digest: 'weekly' }
+      );
+      expect(await Notification.countDocuments({ deliveredAt: null })).toBe(0);
+    });
+
+    it('alerts household members about the shared books', async () => {
+      const { user: member, token: memberToken } = await createTestUser(User, { email: 'member@example.com' });
+      await Household.create({
+        name: 'Home',
+        ownerId: user._id,
+        members: [{ userId: user._id, role: 'owner' }, { userId: member._id, role: 'viewer' }]
+      });
+      await request(app).post('/api/notifications/rules').set(as(memberToken))
+        .send({ type: 'large_transaction', params: { amount: 1000 } })
+        .expect(201);
+      await spend(-1200);
+
+      await notificationService.evaluateBooks(user._id);
+
+      const res = await request(app).get('/api/notifications').set(as(memberToken)).expect(200);
+      expect(res.body.data.unreadCount).toBe(1);
+      expect(await Notification.countDocuments({ userId: user._id })).toBe(0);
+    });
+  });
+
+  describe('the in-app list', () => {
+    it('lists alerts newest first and marks them read', async () => {
+      const [first, second] = await Notification.create([
+        { userId: user._id, type: 'account_error', key: 'a', title: 'Older', createdAt: new Date(Date.now() - 1000) },
+        { userId: user._id, type: 'account_error', key: 'b', title: 'Newer' }
+      ]);
+
+      const list = await request(app).get('/api/notifications').set(as(token)).expect(200);
+      expect(list.body.data.notifications.map(notification => notification.title)).toEqual(['Newer', 'Older']);
+      expect(list.body.data.unreadCount).toBe(2);
+
+      await request(app).post(`/api/notifications/${first._id}/read`).set(as(token)).expect(200);
+      const unread = await request(app).get('/api/notifications').query({ unread: 'true' }).set(as(token)).expect(200);
+      expect(unread.body.data.notifications.map(notification => String(notification._id))).toEqual([String(second._id)]);
+
+      await request(app).post('/api/notifications/read-all').set(as(token)).expect(200);
+      expect(await Notification.countDocuments({ readAt: null })).toBe(0);
+    });
+  });
+
+  it('reports push as unavailable when the server has no VAPID keys', async () => {
+    const res = await request(app).get('/api/notifications/push').set(as(token)).expect(200);
+    expect(res.body.data).toEqual({ available: false, publicKey: null });
+
+    const refused = await request(app).post('/api/notifications/push/subscriptions').set(as(token))
+      .send({ endpoint: 'https://push.example.com/abc', keys: { p256dh: 'key', auth: 'secret' } })
+      .expect(503);
+    expect(refused.body.code).toBe('PUSH_UNAVAILABLE');
+  });
+});
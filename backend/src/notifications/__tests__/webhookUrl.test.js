@@ -0,0 +1,40 @@
+const { isPrivateAddress, isWebhookUrl } = require('../utils/webhookUrl');
+
+describe('webhookUrl', () => {
+  it('accepts public https URLs', () => {
+    expect(isWebhookUrl('https://hooks.example.com/alerts')).toBe(true);
+    expect(isWebhookUrl('https://8.8.8.8/alerts')).toBe(true);
+  });
+
+  it('refuses anything but https', () => {
+    expect(isWebhookUrl('http://hooks.example.com/alerts')).toBe(false);
+    expect(isWebhookUrl('javascript:alert(1)')).toBe(false);
+    expect(isWebhookUrl('not a url')).toBe(false);
+    expect(isWebhookUrl(null)).toBe(false);
+  });
+
+  it('refuses loopback, link-local and private hosts however they are written', () => {
+    [
+      'https://localhost/alerts',
+      'https://api.localhost/alerts',
+      'https://127.0.0.1/alerts',
+      'https://2130706433/alerts',
+      'https://169.254.169.254/latest/meta-data',
+      'https://10.1.2.3/alerts',
+      'https://172.16.0.1/alerts',
+      'https://192.168.1.10/alerts',
+      'https://[::1]/alerts',
+      'https://[fe80::1]/alerts',
+      'https://[fd00::1]/alerts',
+      'https://[::ffff:10.0.0.1]/alerts'
+    ].forEach(url => expect(isWebhookUrl(url)).toBe(false));
+  });
+
+  it('tells private addresses from public ones', () => {
+    expect(isPrivateAddress('172.31.255.255')).toBe(true);
+    expect(isPrivateAddress('172.32.0.1')).toBe(false);
+    expect(isPrivateAddress('100.64.0.1')).toBe(true);
+    expect(isPrivateAddress('::ffff:127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('2606:4700::1111')).toBe(false);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * What an alert rule can watch for. Each type reads the few parameters listed
+ * in ALERT_DEFAULTS and ignores the rest.
+ */
+const ALERT_TYPES = {
+  // A category's spending this month has reached `threshold` percent of its
+  // CategoryBudget. Limited to one category when `categoryId` is set.
+  BUDGET_THRESHOLD: 'budget_threshold',
+  // More than `count` transactions are waiting for a category.
+  UNCATEGORIZED_BACKLOG: 'uncategorized_backlog',
+  // A bank account's last sync failed.
+  ACCOUNT_ERROR: 'account_error',
+  // A bank account has not synced for `days` days.
+  ACCOUNT_STALE: 'account_stale',
+  // RSU shares vest within the next `days` days.
+  RSU_VESTING: 'rsu_vesting',
+  // A real-estate installment is past its due date and not paid.
+  INSTALLMENT_OVERDUE: 'installment_overdue',
+  // A single transaction of at least `amount`, in either direction.
+  LARGE_TRANSACTION: 'large_transaction'
+};
+
+const ALERT_DEFAULTS = {
+  [ALERT_TYPES.BUDGET_THRESHOLD]: { threshold: 90 },
+  [ALERT_TYPES.UNCATEGORIZED_BACKLOG]: { count: 20 },
+  [ALERT_TYPES.ACCOUNT_ERROR]: {},
+  [ALERT_TYPES.ACCOUNT_STALE]: { days: 3 },
+  [ALERT_TYPES.RSU_VESTING]: { days: 7 },
+  [ALERT_TYPES.INSTALLMENT_OVERDUE]: {},
+  [ALERT_TYPES.LARGE_TRANSACTION]: { amount: 2000 }
+};
+
+const NOTIFICATION_CHANNELS = ['email', 'webhook', 'push'];
+
+// A large transaction is only worth an alert while it is news. Rules added
+// today do not go back through years of history either: they look no further
+// back than they have existed.
+const LARGE_TRANSACTION_LOOKBACK_DAYS = 7;
+
+// How long an alert is kept. Also how long its key holds back the same alert,
+// so a problem that outlives this is raised again.
+const NOTIFICATION_RETENTION_DAYS = 180;
+
+const MAX_RULES_PER_USER = 50;
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_DEFAULTS,
+  NOTIFICATION_CHANNELS,
+  LARGE_TRANSACTION_LOOKBACK_DAYS,
+  NOTIFICATION_RETENTION_DAYS,
+  MAX_RULES_PER_USER
+};
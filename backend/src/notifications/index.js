@@ -0,0 +1,31 @@
+// Notifications subsystem public interface
+
+// Models (used by other subsystems)
+const { NotificationRule, Notification, PushSubscription } = require('./models');
+
+// Services (used by other subsystems)
+const notificationService = require('./services/notificationService');
+const notificationScheduler = require('./services/notificationScheduler');
+
+// Constants (used by other subsystems)
+const { ALERT_TYPES } = require('./constants/alertTypes');
+
+// Utils (used by other subsystems)
+const { isWebhookUrl } = require('./utils/webhookUrl');
+
+module.exports = {
+  // Models
+  NotificationRule,
+  Notification,
+  PushSubscription,
+
+  // Services
+  notificationService,
+  notificationScheduler,
+
+  // Constants
+  ALERT_TYPES,
+
+  // Utils
+  isWebhookUrl
+};
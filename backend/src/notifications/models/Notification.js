@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { ALERT_TYPES, NOTIFICATION_CHANNELS, NOTIFICATION_RETENTION_DAYS } = require('../constants/alertTypes');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+/**
+ * One alert raised for one person. Every alert is shown in the app; the
+ * channels it also went out on are recorded once it has been sent, which for
+ * someone on a digest is only when the digest goes.
+ */
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ruleId: {
+    type: ObjectId,
+    ref: 'NotificationRule',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: Object.values(ALERT_TYPES),
+    required: true
+  },
+  // Names the situation rather than the check that found it - a budget in a
+  // given month, a failed sync at a given time - so that checking again finds
+  // the alert already raised instead of raising it twice.
+  key: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    default: '',
+    maxlength: 1000
+  },
+  // Path within the frontend
+  link: {
+    type: String,
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Null while it waits for the next digest
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  channels: [{
+    type: String,
+    enum: NOTIFICATION_CHANNELS
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60
+  }
+});
+
+notificationSchema.index({ userId: 1, key: 1 }, { unique: true });
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ deliveredAt: 1, userId: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { ALERT_TYPES } = require('../constants/alertTypes');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// Which parameters a rule reads depends on its type (see ALERT_DEFAULTS);
+// the rest stay null.
+const paramsSchema = new mongoose.Schema({
+  // Percent of the month's budget
+  threshold: { type: Number, min: 1, max: 1000, default: null },
+  categoryId: { type: ObjectId, ref: 'Category', default: null },
+  count: { type: Number, min: 1, max: 100000, default: null },
+  days: { type: Number, min: 1, max: 365, default: null },
+  // Compared with the size of the amount, whichever way the money moved
+  amount: { type: Number, min: 0, default: null }
+}, { _id: false });
+
+/**
+ * Something a person wants to be told about. Alerts are personal: a rule
+ * belongs to the person who receives it, and watches whichever books they
+ * currently work on - their own, or their household's.
+ */
+const notificationRuleSchema = new mongoose.Schema({
+  userId: {
+    type: ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(ALERT_TYPES),
+    required: true
+  },
+  params: {
+    type: paramsSchema,
+    default: () => ({})
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationRuleSchema.index({ enabled: 1, userId: 1 });
+
+module.exports = mongoose.model('NotificationRule', notificationRuleSchema);
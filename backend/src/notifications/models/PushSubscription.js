@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * A browser that agreed to receive Web Push messages. The push service hands
+ * the browser these details and the browser hands them to us; the endpoint is
+ * unique to that browser, so subscribing again replaces rather than adds.
+ */
+const pushSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  // Shown in the settings page so people can tell their browsers apart
+  userAgent: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,9 @@
+const NotificationRule = require('./NotificationRule');
+const Notification = require('./Notification');
+const PushSubscription = require('./PushSubscription');
+
+module.exports = {
+  NotificationRule,
+  Notification,
+  PushSubscription
+};
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const logger = require('../../shared/utils/logger');
+const notificationService = require('../services/notificationService');
+const { NotificationError } = require('../services/notificationService');
+const { ALERT_TYPES } = require('../constants/alertTypes');
+
+// Alerts are personal, so household viewers manage their own like anyone else.
+router.use(householdAuth.allowViewers);
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof NotificationError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+const ruleValidators = (required) => [
+  (required ? body('type') : body('type').optional()).isIn(Object.values(ALERT_TYPES)),
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('params').optional().isObject(),
+  body('params.threshold').optional({ nullable: true }).isFloat({ min: 1, max: 1000 }).toFloat(),
+  body('params.categoryId').optional({ nullable: true }).isMongoId(),
+  body('params.count').optional({ nullable: true }).isInt({ min: 1, max: 100000 }).toInt(),
+  body('params.days').optional({ nullable: true }).isInt({ min: 1, max: 365 }).toInt(),
+  body('params.amount').optional({ nullable: true }).isFloat({ min: 0 }).toFloat()
+];
+
+/**
+ * GET /api/notifications
+ * The user's alerts, newest first, with how many are unread.
+ */
+router.get('/',
+  [
+    query('unread').optional().isBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const data = await notificationService.list(req.user._id, {
+        unreadOnly: req.query.unread === 'true',
+        limit: parseInt(req.query.limit) || 50
+      });
+      res.json({ success: true, data });
+    } catch (error) {
+      sendError(res, error, 'Failed to load notifications');
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/read-all
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user._id);
+    res.json({ success: true, data: { updated } });
+  } catch (error) {
+    sendError(res, error, 'Failed to mark notifications read');
+  }
+});
+
+/**
+ * POST /api/notifications/check
+ * Runs the user's alert rules now instead of waiting for the hourly check.
+ */
+router.post('/check', async (req, res) => {
+  try {
+    const raised = await notificationService.evaluateUser(req.user._id);
+    res.json({ success: true, data: { raised: raised.length } });
+  } catch (error) {
+    sendError(res, error, 'Failed to check alerts');
+  }
+});
+
+/**
+ * POST /api/notifications/test
+ * Sends a test alert on every channel the user has switched on, and reports
+ * which ones it reached.
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const results = await notificationService.sendTest(req.user);
+    res.json({ success: true, data: results });
+  } catch (error) {
+    sendError(res, error, 'Failed to send test alert');
+  }
+});
+
+/**
+ * GET /api/notifications/rules
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await notificationService.listRules(req.user._id);
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    sendError(res, error, 'Failed to load alert rules');
+  }
+});
+
+/**
+ * POST /api/notifications/rules
+ * Unset parameters take the type's defaults.
+ */
+router.post('/rules', ruleValidators(true), handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await notificationService.createRule(req.user._id, req.dataOwnerId, req.body);
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error, 'Failed to create alert rule');
+  }
+});
+
+/**
+ * PUT /api/notifications/rules/:ruleId
+ * Parameters given are merged into the ones the rule has.
+ */
+router.put('/rules/:ruleId',
+  [param('ruleId').isMongoId(), ...ruleValidators(false)],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rule = await notificationService.updateRule(req.user._id, req.dataOwnerId, req.params.ruleId, req.body);
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      sendError(res, error, 'Failed to update alert rule');
+    }
+  }
+);
+
+/**
+ * DELETE /api/notifications/rules/:ruleId
+ * Alerts it already raised stay.
+ */
+router.delete('/rules/:ruleId', [param('ruleId').isMongoId()], handleValidationErrors, async (req, res) => {
+  try {
+    await notificationService.deleteRule(req.user._id, req.params.ruleId);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete alert rule');
+  }
+});
+
+/**
+ * GET /api/notifications/push
+ * Whether this server sends Web Push, and the VAPID public key a browser
+ * subscribes with.
+ */
+router.get('/push', (req, res) => {
+  res.json({ success: true, data: notificationService.pushConfig() });
+});
+
+/**
+ * POST /api/notifications/push/subscriptions
+ * Body: the PushSubscription the browser returned, as JSON.
+ */
+router.post('/push/subscriptions',
+  [
+    body('endpoint').isURL({ protocols: ['https'], require_protocol: true }).isLength({ max: 2000 }),
+    body('keys.p256dh').isString().isLength({ min: 1, max: 200 }),
+    body('keys.auth').isString().isLength({ min: 1, max: 100 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { endpoint, keys } = req.body;
+      await notificationService.subscribePush(
+        req.user._id,
+        { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+        req.get('User-Agent')
+      );
+      res.status(201).json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to subscribe to push notifications');
+    }
+  }
+);
+
+/**
+ * DELETE /api/notifications/push/subscriptions
+ * Body: `endpoint` of the browser to stop pushing to.
+ */
+router.delete('/push/subscriptions',
+  [body('endpoint').isString().isLength({ min: 1, max: 2000 })],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await notificationService.unsubscribePush(req.user._id, req.body.endpoint);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to unsubscribe from push notifications');
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/:notificationId/read
+ */
+router.post('/:notificationId/read', [param('notificationId').isMongoId()], handleValidationErrors, async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.user._id, req.params.notificationId);
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    sendError(res, error, 'Failed to mark notification read');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const { Transaction, BankAccount, transactionSplits } = require('../../banking');
+const { CategoryBudget } = require('../../monthly-budgets/models');
+const budgetPeriodService = require('../../monthly-budgets/services/budgetPeriodService');
+const { RSUGrant } = require('../../rsu');
+const { RealEstateInvestment } = require('../../real-estate/models');
+const {
+  ALERT_TYPES,
+  ALERT_DEFAULTS,
+  LARGE_TRANSACTION_LOOKBACK_DAYS
+} = require('../constants/alertTypes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatMoney = (amount, currency = 'ILS') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  } catch (error) {
+    // An unknown currency code
+    return `${Math.round(amount).toLocaleString('en-US')} ${currency}`;
+  }
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Asia/Jerusalem'
+});
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// The Sunday a date falls in, so a standing condition is raised once a week.
+const weekKey = (date) => {
+  const sunday = new Date(date);
+  sunday.setUTCDate(sunday.getUTCDate() - sunday.getUTCDay());
+  return dayKey(sunday);
+};
+
+/**
+ * A rule's parameters with the type's defaults under the ones it leaves unset.
+ */
+const paramsOf = (rule) => {
+  const params = { ...ALERT_DEFAULTS[rule.type] };
+  for (const [name, value] of Object.entries(rule.params || {})) {
+    if (value !== null && value !== undefined) params[name] = value;
+  }
+  return params;
+};
+
+const percentOfBudget = (actual, budgeted) => (budgeted > 0 ? Math.round((actual / budgeted) * 100) : 0);
+
+/**
+ * Spending this budget month per expense CategoryBudget, as CategoryBudget
+ * itself measures it, less what the user excluded from budgets.
+ */
+const budgetThreshold = async (rule, { ownerId, now, currency }) => {
+  const { threshold, categoryId } = paramsOf(rule);
+  const period = await budgetPeriodService.getPeriodOn(ownerId, now);
+  const { year, month } = period;
+
+  const budgets = await CategoryBudget.find({
+    userId: ownerId,
+    isActive: true,
+    ...(categoryId ? { categoryId } : {})
+  }).populate('categoryId', 'name type').populate('subCategoryId', 'name');
+  const expenseBudgets = budgets.filter(budget => budget.categoryId?.type === 'Expense' && budget.getAmountForMonth(month) > 0);
+  if (expenseBudgets.length === 0) return [];
+
+  const transactions = await Transaction.find({
+    userId: ownerId,
+    processedDate: { $gte: period.start, $lte: period.end },
+    category: { $ne: null },
+    excludeFromBudgetCalculation: { $ne: true }
+  }).select('amount category subCategory splits').lean();
+
+  // A split transaction counts each part against its own budget
+  const spent = new Map();
+  for (const part of transactionSplits.expandSplits(transactions)) {
+    for (const key of [String(part.category), `${part.category}:${part.subCategory}`]) {
+      spent.set(key, (spent.get(key) || 0) + Math.abs(part.amount));
+    }
+  }
+
+  const monthName = new Date(year, month - 1, 1).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+  return expenseBudgets.flatMap((budget) => {
+    const budgeted = budget.getAmountForMonth(month);
+    const actual = spent.get(budget.subCategoryId
+      ? `${budget.categoryId._id}:${budget.subCategoryId._id}`
+      : String(budget.categoryId._id)) || 0;
+    const percent = percentOfBudget(actual, budgeted);
+    if (percent < threshold) return [];
+
+    const name = budget.subCategoryId?.name || budget.categoryId.name;
+    return [{
+      key: `budget:${budget._id}:${year}-${month}:${threshold}`,
+      title: `${name} is at ${percent}% of its budget`,
+      body: `${formatMoney(actual, budget.currency || currency)} of ${formatMoney(budgeted, budget.currency || currency)} spent in ${monthName}.`,
+      link: '/budgets',
+      data: { categoryBudgetId: budget._id, actual, budgeted, percent }
+    }];
+  });
+};
+
+const uncategorizedBacklog = async (rule, { ownerId, now }) => {
+  const { count } = paramsOf(rule);
+  const waiting = await Transaction.countDocuments({ userId: ownerId, category: null });
+  if (waiting <= count) return [];
+
+  return [{
+    key: `uncategorized:${rule._id}:${weekKey(now)}`,
+    title: `${waiting} transactions need a category`,
+    body: `More than ${count} transactions are waiting to be categorised.`,
+    link: '/transactions',
+    data: { count: waiting }
+  }];
+};
+
+const accountError = async (rule, { ownerId }) => {
+  const accounts = await BankAccount.find({ userId: ownerId, status: { $in: ['error', 'needs-reauth'] } })
+    .select('name status lastError updatedAt').lean();
+
+  return accounts.map(account => ({
+    // Once per failure: a later failure has a later date
+    key: `account-error:${account._id}:${new Date(account.lastError?.date || account.updatedAt).toISOString()}`,
+    title: account.status === 'needs-reauth'
+      ? `${account.name} needs new credentials`
+      : `${account.name} could not sync`,
+    body: account.lastError?.message || 'The last sync failed.',
+    link: '/banks',
+    data: { bankAccountId: account._id }
+  }));
+};
+
+const accountStale = async (rule, { ownerId, now }) => {
+  const { days } = paramsOf(rule);
+  const accounts = await BankAccount.find({
+    userId: ownerId,
+    status: { $in: ['active', 'error'] },
+    lastScraped: { $ne: null, $lt: new Date(now.getTime() - days * DAY_MS) }
+  }).select('name lastScraped').lean();
+
+  return accounts.map((account) => {
+    const since = Math.floor((now - account.lastScraped) / DAY_MS);
+    return {
+      // Once per stretch without a sync
+      key: `account-stale:${account._id}:${new Date(account.lastScraped).toISOString()}`,
+      title: `${account.name} has not synced for ${since} days`,
+      body: `Last synced on ${formatDate(account.lastScraped)}.`,
+      link: '/banks',
+      data: { bankAccountId: account._id, lastScraped: account.lastScraped }
+    };
+  });
+};
+
+const rsuVesting = async (rule, { ownerId, now }) => {
+  const { days } = paramsOf(rule);
+  const until = new Date(now.getTime() + days * DAY_MS);
+  const grants = await RSUGrant.find({
+    userId: ownerId,
+    status: 'active',
+    vestingSchedule: { $elemMatch: { vestDate: { $gte: now, $lte: until } } }
+  }).select('stockSymbol name vestingSchedule').lean();
+
+  return grants.flatMap(grant => grant.vestingSchedule
+    .filter(vest => vest.vestDate >= now && vest.vestDate <= until)
+    .map(vest => ({
+      key: `rsu-vesting:${grant._id}:${dayKey(vest.vestDate)}`,
+      title: `${vest.shares} ${grant.stockSymbol} shares vest on ${formatDate(vest.vestDate)}`,
+      body: grant.name ? `From ${grant.name}.` : '',
+      link: '/rsus',
+      data: { grantId: grant._id, vestDate: vest.vestDate, shares: vest.shares }
+    })));
+};
+
+const installmentOverdue = async (rule, { ownerId, now }) => {
+  const investments = await RealEstateInvestment.find({
+    userId: ownerId,
+    status: 'active',
+    installments: { $elemMatch: { status: { $ne: 'paid' }, dueDate: { $lt: now } } }
+  }).select('name installments').lean();
+
+  return investments.flatMap(investment => investment.installments
+    .filter(installment => installment.status !== 'paid' && installment.dueDate < now)
+    .map(installment => ({
+      key: `installment-overdue:${installment._id}`,
+      title: `Overdue: ${installment.description} for ${investment.name}`,
+      body: `${formatMoney(installment.amount, installment.currency)} was due on ${formatDate(installment.dueDate)}.`,
+      link: '/real-estate',
+      data: { investmentId: investment._id, installmentId: installment._id }
+    })));
+};
+
+const largeTransaction = async (rule, { ownerId, now }) => {
+  const { amount } = paramsOf(rule);
+  const lookback = new Date(now.getTime() - LARGE_TRANSACTION_LOOKBACK_DAYS * DAY_MS);
+  const since = rule.createdAt && rule.createdAt > lookback ? rule.createdAt : lookback;
+
+  const transactions = await Transaction.find({
+    userId: ownerId,
+    createdAt: { $gte: since },
+    $or: [{ amount: { $gte: amount } }, { amount: { $lte: -amount } }]
+  }).sort({ date: -1 }).limit(50)
+    .select('amount currency description date accountId')
+    .populate('accountId', 'name')
+    .lean();
+
+  return transactions.map(transaction => ({
+    key: `large-transaction:${transaction._id}`,
+    title: `${transaction.amount < 0 ? 'Large expense' : 'Large deposit'}: ` +
+      `${formatMoney(Math.abs(transaction.amount), transaction.currency)} - ${transaction.description}`,
+    body: `On ${formatDate(transaction.date)}${transaction.accountId?.name ? ` in ${transaction.accountId.name}` : ''}.`,
+    link: '/transactions',
+    data: { transactionId: transaction._id, amount: transaction.amount }
+  }));
+};
+
+/**
+ * One check per alert type. Each finds what currently warrants an alert and
+ * describes it; the keys it gives are what stop the same alert from being
+ * raised on every run.
+ */
+const CHECKS = {
+  [ALERT_TYPES.BUDGET_THRESHOLD]: budgetThreshold,
+  [ALERT_TYPES.UNCATEGORIZED_BACKLOG]: uncategorizedBacklog,
+  [ALERT_TYPES.ACCOUNT_ERROR]: accountError,
+  [ALERT_TYPES.ACCOUNT_STALE]: accountStale,
+  [ALERT_TYPES.RSU_VESTING]: rsuVesting,
+  [ALERT_TYPES.INSTALLMENT_OVERDUE]: installmentOverdue,
+  [ALERT_TYPES.LARGE_TRANSACTION]: largeTransaction
+};
+
+module.exports = {
+  CHECKS,
+  paramsOf,
+  percentOfBudget,
+  weekKey,
+  formatMoney
+};
@@ -0,0 +1,178 @@
+const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+const config = require('../../shared/config');
+const logger = require('../../shared/utils/logger');
+const { PushSubscription } = require('../models');
+const { isDeliverableWebhookUrl } = require('../utils/webhookUrl');
+
+// Push services answer these for a subscription the browser has dropped.
+const GONE_STATUSES = [404, 410];
+
+const absoluteLink = (link) => (link ? `${config.notifications.appUrl}${link}` : config.notifications.appUrl);
+
+/**
+ * One message for one or more alerts: the alert itself when there is one, a
+ * list when a digest batches several.
+ */
+const compose = (notifications, { digest = null } = {}) => {
+  if (notifications.length === 1 && !digest) {
+    const [only] = notifications;
+    return {
+      subject: only.title,
+      text: `${only.title}\n\n${only.body ? `${only.body}\n\n` : ''}${absoluteLink(only.link)}\n`,
+      push: { title: only.title, body: only.body, link: only.link || '/' }
+    };
+  }
+
+  const heading = digest
+    ? `Your ${digest} summary: ${notifications.length} alert${notifications.length === 1 ? '' : 's'}`
+    : `${notifications.length} new alerts`;
+  const lines = notifications.map(notification =>
+    `- ${notification.title}${notification.body ? `\n  ${notification.body}` : ''}\n  ${absoluteLink(notification.link)}`);
+  return {
+    subject: heading,
+    text: `${heading}\n\n${lines.join('\n\n')}\n`,
+    push: {
+      title: heading,
+      body: notifications.slice(0, 3).map(notification => notification.title).join('\n'),
+      link: '/'
+    }
+  };
+};
+
+/**
+ * Sends alerts out of the app: by email over SMTP, to a webhook of the user's
+ * choosing and to the browsers they subscribed to Web Push. Each channel is
+ * used when the server has it configured and the user has it switched on, and
+ * one failing does not stop the others - a failure is logged and reported,
+ * never thrown.
+ */
+class DeliveryService {
+  constructor() {
+    this.transport = null;
+    this.vapidConfigured = false;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const { host, port, secure, user, pass } = config.notifications.smtp;
+      this.transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user ? { auth: { user, pass } } : {})
+      });
+    }
+    return this.transport;
+  }
+
+  configurePush() {
+    if (!this.vapidConfigured) {
+      const { subject, publicKey, privateKey } = config.notifications.vapid;
+      webpush.setVapidDetails(subject, publicKey, privateKey);
+      this.vapidConfigured = true;
+    }
+  }
+
+  /**
+   * @param {Object} user - The recipient; needs `_id` and `email`
+   * @param {Object} preferences - Their resolved notification settings
+   * @param {Array} notifications - What to send, as one message per channel
+   * @param {Object} options - `digest` names the period a digest covers
+   * @returns {Promise<Object>} 'sent', 'failed' or 'skipped' per channel
+   */
+  async deliver(user, preferences, notifications, { digest = null } = {}) {
+    const message = compose(notifications, { digest });
+    const [email, webhook, push] = await Promise.all([
+      this.sendEmail(user, preferences, message),
+      this.sendWebhook(user, preferences, notifications, digest),
+      this.sendPush(user, preferences, message)
+    ]);
+    return { email, webhook, push };
+  }
+
+  async sendEmail(user, preferences, message) {
+    if (!config.notifications.emailEnabled || !preferences.email || !user.email) return 'skipped';
+    try {
+      await this.getTransport().sendMail({
+        from: config.notifications.smtp.from,
+        to: user.email,
+        subject: `GeriFinancial: ${message.subject}`,
+        text: message.text
+      });
+      return 'sent';
+    } catch (error) {
+      logger.error(`Alert email to user ${user._id} failed: ${error.message}`);
+      return 'failed';
+    }
+  }
+
+  async sendWebhook(user, preferences, notifications, digest) {
+    if (!preferences.webhookUrl) return 'skipped';
+    // Checked again here: the host may have moved to a private address since it was saved
+    if (!(await isDeliverableWebhookUrl(preferences.webhookUrl))) {
+      logger.warn(`Alert webhook for user ${user._id} refused: not a public https URL`);
+      return 'failed';
+    }
+    try {
+      const response = await fetch(preferences.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'GeriFinancial-Alerts' },
+        body: JSON.stringify({
+          event: digest ? 'notifications.digest' : 'notifications',
+          digest,
+          notifications: notifications.map(notification => ({
+            id: notification._id,
+            type: notification.type,
+            title: notification.title,
+            body: notification.body,
+            link: absoluteLink(notification.link),
+            data: notification.data,
+            createdAt: notification.createdAt
+          }))
+        }),
+        signal: AbortSignal.timeout(config.notifications.webhookTimeoutMs),
+        redirect: 'error'
+      });
+      if (!response.ok) {
+        logger.warn(`Alert webhook for user ${user._id} answered ${response.status}`);
+        return 'failed';
+      }
+      return 'sent';
+    } catch (error) {
+      logger.error(`Alert webhook for user ${user._id} failed: ${error.message}`);
+      return 'failed';
+    }
+  }
+
+  async sendPush(user, preferences, message) {
+    if (!config.notifications.pushEnabled || !preferences.push) return 'skipped';
+    const subscriptions = await PushSubscription.find({ userId: user._id });
+    if (subscriptions.length === 0) return 'skipped';
+
+    this.configurePush();
+    const payload = JSON.stringify(message.push);
+    let delivered = 0;
+    for (const subscription of subscriptions) {
+      try {
+        await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+        subscription.lastSuccessAt = new Date();
+        await subscription.save();
+        delivered += 1;
+      } catch (error) {
+        if (GONE_STATUSES.includes(error.statusCode)) {
+          // Unsubscribed in the browser, or the browser is gone
+          await PushSubscription.deleteOne({ _id: subscription._id });
+          logger.info(`Removed expired push subscription ${subscription._id} of user ${user._id}`);
+        } else {
+          logger.error(`Push to user ${user._id} failed: ${error.message}`);
+        }
+      }
+    }
+    return delivered > 0 ? 'sent' : 'failed';
+  }
+}
+
+module.exports = new DeliveryService();
+module.exports.DeliveryService = DeliveryService;
+module.exports.compose = compose;
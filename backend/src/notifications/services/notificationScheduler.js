@@ -0,0 +1,99 @@
+const cron = require('node-cron');
+const { scrapingEvents } = require('../../banking');
+const logger = require('../../shared/utils/logger');
+const notificationService = require('./notificationService');
+
+// Several strategies of one account finish within moments of each other, and
+// an account in error is marked so just after its failure is announced. One
+// check shortly after the last of them sees the settled result.
+const SYNC_SETTLE_MS = 60 * 1000;
+
+/**
+ * Runs the alert checks every hour and after each sync, and sends the daily
+ * and weekly digests.
+ */
+class NotificationScheduler {
+  constructor() {
+    this.isRunning = false;
+    this.scheduledTasks = [];
+    this.pendingSyncChecks = new Map();
+  }
+
+  async initialize() {
+    if (this.scheduledTasks.length > 0) {
+      logger.warn('Notification scheduler is already running');
+      return;
+    }
+
+    const options = { scheduled: true, timezone: 'Asia/Jerusalem' };
+    this.scheduledTasks = [
+      // Hourly, away from the top of the hour when the scraping scheduler is busy
+      cron.schedule('20 * * * *', () => this.runChecks(), options),
+      cron.schedule('0 8 * * *', () => this.runDigests('daily'), options),
+      // The Israeli week starts on Sunday
+      cron.schedule('0 8 * * 0', () => this.runDigests('weekly'), options)
+    ];
+
+    scrapingEvents.on('strategySyncCompleted', this.handleSync.bind(this));
+    scrapingEvents.on('strategySyncFailed', this.handleSync.bind(this));
+
+    logger.info('Notification scheduler started (checks hourly at :20, digests at 08:00 IST)');
+  }
+
+  async runChecks() {
+    if (this.isRunning) {
+      logger.warn('Alert checks already in progress, skipping...');
+      return;
+    }
+    this.isRunning = true;
+    try {
+      const results = await notificationService.evaluateAll();
+      logger.info(`Alert checks completed: ${JSON.stringify(results)}`);
+    } catch (error) {
+      logger.error(`Alert checks failed: ${error.message}`);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async runDigests(period) {
+    try {
+      const results = await notificationService.sendDigests(period);
+      logger.info(`Sent ${period} alert digests: ${JSON.stringify(results)}`);
+    } catch (error) {
+      logger.error(`Sending ${period} alert digests failed: ${error.message}`);
+    }
+  }
+
+  handleSync({ userId }) {
+    if (!userId) return;
+    const key = String(userId);
+    clearTimeout(this.pendingSyncChecks.get(key));
+    this.pendingSyncChecks.set(key, setTimeout(async () => {
+      this.pendingSyncChecks.delete(key);
+      try {
+        await notificationService.evaluateBooks(userId);
+      } catch (error) {
+        logger.error(`Alert checks after sync for user ${key} failed: ${error.message}`);
+      }
+    }, SYNC_SETTLE_MS));
+  }
+
+  stop() {
+    this.scheduledTasks.forEach(task => task.stop());
+    this.scheduledTasks = [];
+    this.pendingSyncChecks.forEach(timer => clearTimeout(timer));
+    this.pendingSyncChecks.clear();
+  }
+
+  getStatus() {
+    return {
+      isScheduled: this.scheduledTasks.length > 0,
+      isRunning: this.isRunning,
+      pendingSyncChecks: this.pendingSyncChecks.size,
+      timezone: 'Asia/Jerusalem'
+    };
+  }
+}
+
+module.exports = new NotificationScheduler();
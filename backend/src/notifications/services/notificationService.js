@@ -0,0 +1,362 @@
+const mongoose = require('mongoose');
+const { User } = require('../../auth');
+const { Category } = require('../../banking');
+const { householdService } = require('../../households');
+const { settingsService } = require('../../settings');
+const sseService = require('../../shared/services/sseService');
+const config = require('../../shared/config');
+const logger = require('../../shared/utils/logger');
+const { NotificationRule, Notification, PushSubscription } = require('../models');
+const { ALERT_TYPES, ALERT_DEFAULTS, MAX_RULES_PER_USER } = require('../constants/alertTypes');
+const { CHECKS } = require('./alertChecks');
+const deliveryService = require('./deliveryService');
+
+class NotificationError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const RULE_FIELDS = ['type', 'params', 'enabled'];
+const PARAM_FIELDS = ['threshold', 'categoryId', 'count', 'days', 'amount'];
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Alert rules, the alerts they raise, and getting those alerts to people.
+ *
+ * Checks run every hour and again after each sync. An alert is raised once
+ * per situation (see Notification.key) and shown in the app straight away;
+ * whether it also goes out by email, webhook and push now or in the next
+ * digest follows the recipient's notification settings.
+ */
+class NotificationService {
+  // ============================================
+  // RULES
+  // ============================================
+
+  async listRules(userId) {
+    return NotificationRule.find({ userId }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * @param {string} userId - Who receives the alerts
+   * @param {string} ownerId - Whose books they watch, for checking references
+   * @param {Object} data - `type`, `params` and `enabled`
+   */
+  async createRule(userId, ownerId, data) {
+    if (await NotificationRule.countDocuments({ userId }) >= MAX_RULES_PER_USER) {
+      throw new NotificationError('TOO_MANY_RULES', `At most ${MAX_RULES_PER_USER} alert rules`);
+    }
+    const fields = this.pickRule(data);
+    fields.params = { ...ALERT_DEFAULTS[fields.type], ...fields.params };
+    await this.validateRule(ownerId, fields);
+
+    const rule = await NotificationRule.create({ ...fields, userId });
+    logger.info(`Alert rule ${rule._id} (${rule.type}) created for user ${userId}`);
+    return rule.toObject();
+  }
+
+  async updateRule(userId, ownerId, ruleId, changes) {
+    const rule = await this.findRule(userId, ruleId);
+    const fields = this.pickRule(changes);
+    if (fields.type && fields.type !== rule.type) {
+      throw new NotificationError('TYPE_CHANGE', 'An alert rule cannot change type; add a new one instead');
+    }
+    if (fields.params) fields.params = { ...rule.params.toObject(), ...fields.params };
+    await this.validateRule(ownerId, { type: rule.type, ...fields });
+
+    Object.assign(rule, fields);
+    await rule.save();
+    return rule.toObject();
+  }
+
+  async deleteRule(userId, ruleId) {
+    const rule = await this.findRule(userId, ruleId);
+    await rule.deleteOne();
+  }
+
+  async findRule(userId, ruleId) {
+    const rule = mongoose.isValidObjectId(ruleId) ? await NotificationRule.findOne({ _id: ruleId, userId }) : null;
+    if (!rule) throw new NotificationError('RULE_NOT_FOUND', 'Alert rule not found', 404);
+    return rule;
+  }
+
+  pickRule(data) {
+    const fields = {};
+    for (const field of RULE_FIELDS) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    if (fields.params) {
+      fields.params = Object.fromEntries(PARAM_FIELDS
+        .filter(field => fields.params[field] !== undefined)
+        .map(field => [field, fields.params[field]]));
+    }
+    return fields;
+  }
+
+  async validateRule(ownerId, { type, params = {} }) {
+    if (!Object.values(ALERT_TYPES).includes(type)) {
+      throw new NotificationError('INVALID_TYPE', 'Unknown alert type');
+    }
+    if (params.categoryId) {
+      if (type !== ALERT_TYPES.BUDGET_THRESHOLD) {
+        throw new NotificationError('INVALID_PARAMS', 'Only budget alerts can be limited to a category');
+      }
+      if (!(await Category.exists({ _id: params.categoryId, userId: ownerId }))) {
+        throw new NotificationError('UNKNOWN_REFERENCE', 'Category not found');
+      }
+    }
+  }
+
+  // ============================================
+  // CHECKING
+  // ============================================
+
+  /**
+   * Whose books the user works on right now. Looked up on every check rather
+   * than stored with the rule, so someone who leaves a household stops being
+   * alerted about its books.
+   */
+  async booksOf(userId) {
+    const household = await householdService.findForUser(userId);
+    return household ? household.ownerId : userId;
+  }
+
+  /**
+   * Runs a user's enabled rules and raises whatever they find that has not
+   * been raised before.
+   *
+   * @returns {Promise<Array>} The alerts raised
+   */
+  async evaluateUser(userId, { now = new Date() } = {}) {
+    const rules = await NotificationRule.find({ userId, enabled: true });
+    if (rules.length === 0) return [];
+
+    const ownerId = await this.booksOf(userId);
+    const { displayCurrency } = await settingsService.getForUser(ownerId);
+    const raised = [];
+
+    for (const rule of rules) {
+      let alerts;
+      try {
+        alerts = await CHECKS[rule.type](rule, { ownerId, now, currency: displayCurrency });
+      } catch (error) {
+        logger.error(`Alert rule ${rule._id} (${rule.type}) failed to check: ${error.message}`);
+        continue;
+      }
+
+      let triggered = false;
+      for (const alert of alerts) {
+        const notification = await this.record(userId, rule, alert);
+        if (notification) {
+          raised.push(notification);
+          triggered = true;
+        }
+      }
+      if (triggered) {
+        rule.lastTriggeredAt = now;
+        await rule.save();
+      }
+    }
+
+    if (raised.length > 0) {
+      sseService.emit(String(userId), 'notifications:created', { count: raised.length });
+      await this.dispatch(userId, raised);
+    }
+    return raised;
+  }
+
+  /**
+   * Checks everyone who can see the given books, after something changed in
+   * them - a sync finishing, for instance.
+   */
+  async evaluateBooks(ownerId) {
+    const household = await householdService.findForUser(ownerId);
+    const recipients = household ? household.members.map(member => member.userId) : [ownerId];
+    for (const userId of recipients) {
+      await this.evaluateUser(userId);
+    }
+  }
+
+  async evaluateAll() {
+    const userIds = await NotificationRule.distinct('userId', { enabled: true });
+    const results = { users: userIds.length, raised: 0, failed: 0 };
+    for (const userId of userIds) {
+      try {
+        results.raised += (await this.evaluateUser(userId)).length;
+      } catch (error) {
+        results.failed += 1;
+        logger.error(`Alert checks for user ${userId} failed: ${error.message}`);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Stores an alert unless one with the same key exists already.
+   *
+   * @returns {Promise<Object|null>} The new alert, or null when it was not new
+   */
+  async record(userId, rule, alert) {
+    try {
+      const notification = await Notification.create({ ...alert, userId, ruleId: rule._id, type: rule.type });
+      return notification.toObject();
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return null;
+      throw error;
+    }
+  }
+
+  // ============================================
+  // DELIVERY
+  // ============================================
+
+  /**
+   * Sends newly raised alerts now, unless the user collects them in a digest.
+   */
+  async dispatch(userId, notifications) {
+    const { notifications: preferences } = await settingsService.getForUser(userId);
+    if (preferences.digest !== 'immediate') return;
+    await this.send(userId, preferences, notifications);
+  }
+
+  async send(userId, preferences, notifications, { digest = null } = {}) {
+    const user = await User.findById(userId).select('email').lean();
+    if (!user) return null;
+
+    const results = await deliveryService.deliver(user, preferences, notifications, { digest });
+    await Notification.updateMany(
+      { _id: { $in: notifications.map(notification => notification._id) } },
+      {
+        $set: {
+          deliveredAt: new Date(),
+          channels: Object.keys(results).filter(channel => results[channel] === 'sent')
+        }
+      }
+    );
+    return results;
+  }
+
+  /**
+   * Sends everything held back for a digest of the given period. Alerts of
+   * people who have since switched to immediate delivery go out with the
+   * daily run rather than waiting for their next alert.
+   *
+   * @param {'daily'|'weekly'} period
+   */
+  async sendDigests(period) {
+    const userIds = await Notification.distinct('userId', { deliveredAt: null });
+    const results = { users: 0, notifications: 0 };
+
+    for (const userId of userIds) {
+      try {
+        const { notifications: preferences } = await settingsService.getForUser(userId);
+        const due = preferences.digest === period || (period === 'daily' && preferences.digest === 'immediate');
+        if (!due) continue;
+
+        const pending = await Notification.find({ userId, deliveredAt: null }).sort({ createdAt: 1 }).lean();
+        if (pending.length === 0) continue;
+        await this.send(userId, preferences, pending, { digest: preferences.digest === 'immediate' ? null : period });
+        results.users += 1;
+        results.notifications += pending.length;
+      } catch (error) {
+        logger.error(`Alert digest for user ${userId} failed: ${error.message}`);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Sends a made-up alert straight away on every channel the user has, so
+   * they can see which ones reach them.
+   */
+  async sendTest(user) {
+    const { notifications: preferences } = await settingsService.getForUser(user._id);
+    const sample = {
+      _id: new mongoose.Types.ObjectId(),
+      type: ALERT_TYPES.LARGE_TRANSACTION,
+      title: 'Test alert',
+      body: 'Alerts will reach you here.',
+      link: '/settings',
+      createdAt: new Date()
+    };
+    return deliveryService.deliver(user, preferences, [sample]);
+  }
+
+  // ============================================
+  // THE IN-APP LIST
+  // ============================================
+
+  async list(userId, { unreadOnly = false, limit = 50 } = {}) {
+    const query = { userId, ...(unreadOnly ? { readAt: null } : {}) };
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(limit).lean(),
+      Notification.countDocuments({ userId, readAt: null })
+    ]);
+    return { notifications, unreadCount };
+  }
+
+  async markRead(userId, notificationId) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!notification) throw new NotificationError('NOT_FOUND', 'Notification not found', 404);
+    return notification;
+  }
+
+  async markAllRead(userId) {
+    const { modifiedCount } = await Notification.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+    return modifiedCount;
+  }
+
+  // ============================================
+  // WEB PUSH
+  // ============================================
+
+  pushConfig() {
+    return {
+      available: config.notifications.pushEnabled,
+      publicKey: config.notifications.pushEnabled ? config.notifications.vapid.publicKey : null
+    };
+  }
+
+  /**
+   * Remembers a browser's push subscription. A browser that was subscribed by
+   * someone else before - a shared computer - now belongs to this user.
+   */
+  async subscribePush(userId, { endpoint, keys }, userAgent = null) {
+    if (!config.notifications.pushEnabled) {
+      throw new NotificationError('PUSH_UNAVAILABLE', 'Push notifications are not configured on this server', 503);
+    }
+    await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      { $set: { userId, keys, userAgent: userAgent ? userAgent.slice(0, 500) : null } },
+      { upsert: true, runValidators: true }
+    );
+  }
+
+  async unsubscribePush(userId, endpoint) {
+    await PushSubscription.deleteOne({ userId, endpoint });
+  }
+
+  /**
+   * Everything here that is the user's alone, which a backup does not carry.
+   * Alert rules are in the backup; see backupService.
+   */
+  async deleteForUser(userId) {
+    await Promise.all([
+      Notification.deleteMany({ userId }),
+      PushSubscription.deleteMany({ userId })
+    ]);
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.NotificationService = NotificationService;
+module.exports.NotificationError = NotificationError;
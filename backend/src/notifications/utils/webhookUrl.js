@@ -0,0 +1,112 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Where alert webhooks may go. The server posts amounts and account names to
+ * the URL a user sets, so it must be https and must not point back into the
+ * server's own network: loopback, link-local (cloud metadata lives there),
+ * private and other non-public ranges are refused.
+ */
+
+const MAX_LENGTH = 2000;
+
+// [first address, prefix length] of every IPv4 range that is not the public internet
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = (address) => address.split('.')
+  .reduce((value, octet) => value * 256 + Number(octet), 0);
+
+const inIpv4Range = (address, [first, prefix]) => {
+  const size = 2 ** (32 - prefix);
+  return Math.floor(ipv4ToNumber(address) / size) === Math.floor(ipv4ToNumber(first) / size);
+};
+
+/**
+ * Whether an IP address is outside the public internet.
+ *
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    return PRIVATE_IPV4_RANGES.some(range => inIpv4Range(address, range));
+  }
+
+  const lower = address.toLowerCase();
+  // An IPv4 address written as IPv6 goes wherever the IPv4 one does
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  // URLs write those in hex, which is refused rather than decoded
+  if (lower.startsWith('::ffff:')) return true;
+
+  return lower === '::'
+    || lower === '::1'
+    || /^f[cd]/.test(lower) // unique local, fc00::/7
+    || /^fe[89ab]/.test(lower) // link-local, fe80::/10
+    || lower.startsWith('ff'); // multicast
+};
+
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+/**
+ * Whether a value can be saved as a webhook URL: https, and not naming a
+ * local or private host.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isWebhookUrl = (value) => {
+  if (typeof value !== 'string' || value.length > MAX_LENGTH) return false;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:') return false;
+
+  const host = hostOf(url);
+  if (host === 'localhost' || host.endsWith('.localhost')) return false;
+  return !(net.isIP(host) && isPrivateAddress(host));
+};
+
+/**
+ * Whether a webhook URL is still safe to post to right now: it passes
+ * isWebhookUrl, and every address its host resolves to is public, so a name
+ * pointed at a private address is refused too.
+ *
+ * @param {string} value
+ * @returns {Promise<boolean>}
+ */
+const isDeliverableWebhookUrl = async (value) => {
+  if (!isWebhookUrl(value)) return false;
+
+  const host = hostOf(new URL(value));
+  if (net.isIP(host)) return true;
+
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address));
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  isPrivateAddress,
+  isWebhookUrl,
+  isDeliverableWebhookUrl
+};
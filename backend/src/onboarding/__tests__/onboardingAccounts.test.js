@@ -5,6 +5,7 @@ const app = require('../../app');
 const config = require('../../shared/config');
 const { User } = require('../../auth');
 const { BankAccount, Transaction, Category } = require('../../banking');
+const { Household } = require('../../households');
 const scrapingEvents = require('../../banking/services/scrapingEvents');
 
 // Mock the banking module
@@ -41,6 +42,7 @@ describe('Onboarding Accounts API', () => {
     await BankAccount.deleteMany({});
     await Transaction.deleteMany({});
     await Category.deleteMany({});
+    await Household.deleteMany({});
 
     // Create test user
     testUser = await User.create({
@@ -103,6 +105,51 @@ describe('Onboarding Accounts API', () => {
       expect(updatedUser.onboarding.completedSteps).toContain('checking-account');
     });
 
+    it("adds a household editor's account to the household's books", async () => {
+      const editor = await User.create({
+        email: 'editor@example.com',
+        githubId: 90402,
+        githubLogin: 'editor-user',
+        name: 'Editor User'
+      });
+      const editorToken = jwt.sign({ userId: editor._id }, config.jwtSecret, {
+        expiresIn: config.jwtExpiration
+      });
+      await Household.create({
+        name: 'Home',
+        ownerId: testUser._id,
+        members: [{ userId: testUser._id, role: 'owner' }, { userId: editor._id, role: 'editor' }]
+      });
+      bankAccountService.create.mockImplementationOnce((userId, { bankId, name, username, password }) =>
+        BankAccount.create({ userId, bankId, name, status: 'active', credentials: { username, password } }));
+
+      await request(app)
+        .post('/api/onboarding/checking-account')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({
+          bankId: 'hapoalim',
+          credentials: { username: 'user123', password: 'pass123' },
+          displayName: 'Joint Checking'
+        })
+        .expect(200);
+
+      expect(bankAccountService.create).toHaveBeenCalledWith(
+        testUser._id,
+        expect.objectContaining({ bankId: 'hapoalim', name: 'Joint Checking' }),
+        { connectedBy: editor._id }
+      );
+
+      const ownerAccounts = await request(app)
+        .get('/api/bank-accounts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(ownerAccounts.body.map(account => account.name)).toEqual(['Joint Checking']);
+
+      const owner = await User.findById(testUser._id);
+      expect(owner.onboarding.checkingAccount.connected).toBe(true);
+      expect(await BankAccount.countDocuments({ userId: editor._id })).toBe(0);
+    });
+
     it('should return 400 if bankId is missing', async () => {
       const response = await request(app)
         .post('/api/onboarding/checking-account')
@@ -196,7 +243,7 @@ describe('Onboarding Accounts API', () => {
           name: 'Isracard',
           card6Digits: '123456'
         }),
-        { deferCredentialValidation: true }
+        { deferCredentialValidation: true, connectedBy: testUser._id }
       );
 
       // Verify onboarding structure was updated
@@ -244,7 +291,7 @@ describe('Onboarding Accounts API', () => {
           bankId: 'amex',
           card6Digits: '654321'
         }),
-        { deferCredentialValidation: true }
+        { deferCredentialValidation: true, connectedBy: testUser._id }
       );
       const updatedUser = await User.findById(testUser._id);
       expect(updatedUser.onboarding.creditCardSetup.creditCardAccounts[0].bankId).toBe('amex');
@@ -401,7 +448,8 @@ describe('Onboarding Accounts API', () => {
         },
         {
           requireQueuedSync: true,
-          deferCredentialValidation: true
+          deferCredentialValidation: true,
+          connectedBy: testUser._id
         }
       );
 
@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const logger = require('../../shared/utils/logger');
 
-// Import account-specific onboarding routes (these have their own auth middleware)
+// Import account-specific onboarding routes (these have their own householdAuth middleware)
 const onboardingAccountRoutes = require('./onboardingAccounts');
 
-// Mount account-specific routes - they already have auth middleware applied
+// Mount account-specific routes - they already have householdAuth middleware applied
 router.use('/', onboardingAccountRoutes);
 
 // Import onboarding services
@@ -24,9 +24,9 @@ const onboardingTransactionService = require('../services/onboardingTransactionS
  * @desc    Analyze user's transaction history for credit card usage
  * @access  Private
  */
-router.post('/analyze-credit-cards', auth, async (req, res) => {
+router.post('/analyze-credit-cards', householdAuth, async (req, res) => {
   try {
-    const userId = req.user._id || req.user.userId;
+    const userId = req.dataOwnerId;
     const { monthsBack = 6 } = req.body;
     
     logger.info(`Credit card analysis requested for user ${userId}`);
@@ -72,9 +72,9 @@ router.post('/analyze-credit-cards', auth, async (req, res) => {
  * @desc    Get quick credit card statistics for dashboard
  * @access  Private
  */
-router.get('/credit-card-stats', auth, async (req, res) => {
+router.get('/credit-card-stats', householdAuth, async (req, res) => {
   try {
-    const { userId } = req.user;
+    const userId = req.dataOwnerId;
     
     const stats = await creditCardDetectionService.getCreditCardStats(userId);
     
@@ -98,9 +98,9 @@ router.get('/credit-card-stats', auth, async (req, res) => {
  * @desc    Create CreditCard instances from scraped account data
  * @access  Private
  */
-router.post('/create-credit-cards', auth, async (req, res) => {
+router.post('/create-credit-cards', householdAuth, async (req, res) => {
   try {
-    const { userId } = req.user;
+    const userId = req.dataOwnerId;
     const { bankAccountId, scrapedAccounts } = req.body;
     
     // Validate required fields
@@ -170,9 +170,9 @@ router.post('/create-credit-cards', auth, async (req, res) => {
  * @desc    Get comprehensive onboarding summary for user
  * @access  Private
  */
-router.get('/summary', auth, async (req, res) => {
+router.get('/summary', householdAuth, async (req, res) => {
   try {
-    const { userId } = req.user;
+    const userId = req.dataOwnerId;
     
     logger.info(`Getting onboarding summary for user ${userId}`);
     
@@ -228,7 +228,7 @@ router.get('/summary', auth, async (req, res) => {
  * @desc    Get banks filtered by type for onboarding
  * @access  Private
  */
-router.get('/banks', auth, async (req, res) => {
+router.get('/banks', householdAuth, async (req, res) => {
   try {
     const { type } = req.query; // 'checking' or 'credit'
     
@@ -264,7 +264,7 @@ router.get('/banks', auth, async (req, res) => {
  * @desc    Validate bank selection for onboarding step
  * @access  Private
  */
-router.post('/validate-bank', auth, async (req, res) => {
+router.post('/validate-bank', householdAuth, async (req, res) => {
   try {
     const { bankId, expectedType } = req.body; // expectedType: 'checking' or 'credit'
     
@@ -319,9 +319,9 @@ router.post('/validate-bank', auth, async (req, res) => {
  * @desc    Trigger payment matching for credit cards
  * @access  Private
  */
-router.post('/match-payments', auth, async (req, res) => {
+router.post('/match-payments', householdAuth, async (req, res) => {
   try {
-    const { userId } = req.user;
+    const userId = req.dataOwnerId;
     const { creditCardIds, monthsBack = 6 } = req.body;
     
     if (!creditCardIds || !Array.isArray(creditCardIds)) {
@@ -374,10 +374,9 @@ router.post('/match-payments', auth, async (req, res) => {
  * @desc    Get current scraping status for the user
  * @access  Private
  */
-router.get('/scraping-status', auth, async (req, res) => {
+router.get('/scraping-status', householdAuth, async (req, res) => {
   try {
-    const user = req.user;
-    const userId = user._id || user.userId;
+    const userId = req.dataOwnerId;
     
     logger.info(`Getting scraping status for user ${userId}`);
     
@@ -404,7 +403,7 @@ router.get('/scraping-status', auth, async (req, res) => {
  * @desc    Get real-time status of transaction import
  * @access  Private
  */
-router.get('/import-status/:sessionId', auth, async (req, res) => {
+router.get('/import-status/:sessionId', householdAuth, async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -438,9 +437,9 @@ router.get('/import-status/:sessionId', auth, async (req, res) => {
  * @desc    Analyze credit card transaction coverage after connecting accounts
  * @access  Private
  */
-router.post('/analyze-coverage', auth, async (req, res) => {
+router.post('/analyze-coverage', householdAuth, async (req, res) => {
   try {
-    const userId = req.user._id || req.user.userId;
+    const userId = req.dataOwnerId;
     const { bankAccountId } = req.body; // Get the specific credit card account being verified
     
     logger.info(`Coverage analysis requested for user ${userId}${bankAccountId ? ` for account ${bankAccountId}` : ''}`);
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const logger = require('../../shared/utils/logger');
 const { User } = require('../../auth');
 const { bankAccountService, Transaction, scrapingEvents } = require('../../banking');
@@ -25,9 +25,9 @@ const serializePopulatedAccount = (account) => {
  * @desc    Add main checking account during onboarding
  * @access  Private
  */
-router.post('/checking-account', auth, async (req, res) => {
+router.post('/checking-account', householdAuth, async (req, res) => {
   try {
-    const userId = req.user._id || req.user.userId;
+    const userId = req.dataOwnerId;
     const { bankId, credentials, displayName } = req.body;
     
     logger.info(`Adding checking account for onboarding - User: ${userId}, Bank: ${bankId}`);
@@ -45,7 +45,7 @@ router.post('/checking-account', auth, async (req, res) => {
       name: displayName || bankId,
       username: credentials.username,
       password: credentials.password
-    });
+    }, { connectedBy: req.user._id });
     
     // Update onboarding structure with checking account details
     // Initialize transaction import status to ensure structure exists for event handler
@@ -100,9 +100,9 @@ router.post('/checking-account', auth, async (req, res) => {
  * @desc    Add credit card account during onboarding
  * @access  Private
  */
-router.post('/credit-card-account', auth, async (req, res) => {
+router.post('/credit-card-account', householdAuth, async (req, res) => {
   try {
-    const userId = req.user._id || req.user.userId;
+    const userId = req.dataOwnerId;
     const { bankId, credentials, displayName } = req.body;
     const accountName = typeof displayName === 'string' ? displayName.trim() : '';
     
@@ -136,7 +136,8 @@ router.post('/credit-card-account', auth, async (req, res) => {
       password: credentials.password,
       card6Digits: credentials.card6Digits
     }, {
-      deferCredentialValidation: true
+      deferCredentialValidation: true,
+      connectedBy: req.user._id
     });
     
     // Add to onboarding credit card accounts array
@@ -190,8 +191,8 @@ router.post('/credit-card-account', auth, async (req, res) => {
  * @desc    Repair a failed onboarding credit card account and retry its import
  * @access  Private
  */
-router.put('/credit-card-account/:accountId/credentials', auth, async (req, res) => {
-  const userId = req.user._id || req.user.userId;
+router.put('/credit-card-account/:accountId/credentials', householdAuth, async (req, res) => {
+  const userId = req.dataOwnerId;
   const { accountId } = req.params;
   const { username, password, card6Digits } = req.body;
 
@@ -244,7 +245,8 @@ router.put('/credit-card-account/:accountId/credentials', auth, async (req, res)
         { username, password, card6Digits },
         {
           requireQueuedSync: true,
-          deferCredentialValidation: true
+          deferCredentialValidation: true,
+          connectedBy: req.user._id
         }
       );
 
@@ -299,8 +301,8 @@ router.put('/credit-card-account/:accountId/credentials', auth, async (req, res)
  * @desc    Remove a failed credit card account from onboarding
  * @access  Private
  */
-router.delete('/credit-card-account/:accountId', auth, async (req, res) => {
-  const userId = req.user._id || req.user.userId;
+router.delete('/credit-card-account/:accountId', householdAuth, async (req, res) => {
+  const userId = req.dataOwnerId;
   const { accountId } = req.params;
 
   try {
@@ -377,9 +379,9 @@ router.delete('/credit-card-account/:accountId', auth, async (req, res) => {
  * @desc    Move from detection to setup step
  * @access  Private
  */
-router.post('/proceed-to-credit-card-setup', auth, async (req, res) => {
+router.post('/proceed-to-credit-card-setup', householdAuth, async (req, res) => {
   try {
-    const userId = req.user._id || req.user.userId;
+    const userId = req.dataOwnerId;
     
     logger.info(`User ${userId} proceeding to credit card setup`);
     
@@ -417,9 +419,9 @@ router.post('/proceed-to-credit-card-setup', auth, async (req, res) => {
  * @desc    Skip credit card setup during onboarding
  * @access  Private
  */
-router.post('/skip-credit-cards', auth, async (req, res) => {
+router.post('/skip-credit-cards', householdAuth, async (req, res) => {
   try {
-    const userId = req.user._id || req.user.userId;
+    const userId = req.dataOwnerId;
     
     logger.info(`User ${userId} skipping credit card setup`);
     
@@ -462,9 +464,9 @@ router.post('/skip-credit-cards', auth, async (req, res) => {
  * @desc    Complete onboarding (with or without full credit card coverage)
  * @access  Private
  */
-router.post('/complete-onboarding', auth, async (req, res) => {
+router.post('/complete-onboarding', householdAuth, async (req, res) => {
   try {
-    const userId = req.user._id || req.user.userId;
+    const userId = req.dataOwnerId;
     
     logger.info(`User ${userId} completing onboarding`);
     
@@ -504,9 +506,9 @@ router.post('/complete-onboarding', auth, async (req, res) => {
  * @desc    Get complete onboarding status
  * @access  Private
  */
-router.get('/status', auth, async (req, res) => {
+router.get('/status', householdAuth, async (req, res) => {
   try {
-    const userId = req.user._id || req.user.userId;
+    const userId = req.dataOwnerId;
     
     let user = await User.findById(userId);
     
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const logger = require('../../shared/utils/logger');
 const { PensionAccount, PensionSnapshot } = require('../models');
 const PhoenixApiClient = require('../services/phoenixApiClient');
@@ -14,7 +14,7 @@ const { OTP_BANKS: OTP_PROVIDERS } = require('../../banking/constants/enums');
 const credentialEncryption = require('../../shared/services/credentialEncryption');
 
 // All routes require auth
-router.use(auth);
+router.use(householdAuth);
 
 /**
  * GET /api/pension/summary
@@ -22,7 +22,7 @@ router.use(auth);
  */
 router.get('/summary', async (req, res) => {
   try {
-    const summary = await PensionAccount.getSummary(req.user.id);
+    const summary = await PensionAccount.getSummary(req.dataOwnerId);
     const totalBalance = summary.reduce((sum, group) => sum + group.totalBalance, 0);
     res.json({
       totalBalance,
@@ -46,7 +46,7 @@ router.get('/accounts', async (req, res) => {
     if (productType) options.productType = productType;
     if (provider) options.provider = provider;
 
-    const accounts = await PensionAccount.findByUser(req.user.id, options);
+    const accounts = await PensionAccount.findByUser(req.dataOwnerId, options);
     res.json(accounts);
   } catch (error) {
     logger.error('Error fetching pension accounts:', error);
@@ -62,7 +62,7 @@ router.get('/accounts/:id', async (req, res) => {
   try {
     const account = await PensionAccount.findOne({
       _id: req.params.id,
-      userId: req.user.id
+      userId: req.dataOwnerId
     }).populate('bankAccountId', 'name bankId');
 
     if (!account) {
@@ -96,7 +96,7 @@ router.patch('/accounts/:id', async (req, res) => {
     }
 
     const account = await PensionAccount.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
+      { _id: req.params.id, userId: req.dataOwnerId },
       { $set: update },
       { new: true }
     );
@@ -141,7 +141,7 @@ router.get('/accounts/:id/snapshots', async (req, res) => {
 router.get('/history', async (req, res) => {
   try {
     const { days = 365 } = req.query;
-    const history = await PensionSnapshot.getUserHistory(req.user.id, parseInt(days));
+    const history = await PensionSnapshot.getUserHistory(req.dataOwnerId, parseInt(days));
     res.json(history);
   } catch (error) {
     logger.error('Error fetching pension history:', error);
@@ -160,7 +160,7 @@ router.post('/sync/initiate', async (req, res) => {
 
     const bankAccount = await BankAccount.findOne({
       _id: bankAccountId,
-      userId: req.user.id,
+      userId: req.dataOwnerId,
       bankId: { $in: OTP_PROVIDERS }
     });
 
@@ -171,7 +171,7 @@ router.post('/sync/initiate', async (req, res) => {
     const client = bankAccount.bankId === 'clal' ? new ClalApiClient() : new PhoenixApiClient();
     const idNumber = bankAccount.credentials.username;
     const phoneOrEmail = await credentialEncryption.decryptForUser(
-      bankAccount.userId,
+      bankAccount.getCredentialUserId(),
       bankAccount.credentials.phoneOrEmail
     );
 
@@ -195,7 +195,7 @@ router.post('/sync/verify', async (req, res) => {
 
     const bankAccount = await BankAccount.findOne({
       _id: bankAccountId,
-      userId: req.user.id,
+      userId: req.dataOwnerId,
       bankId: { $in: OTP_PROVIDERS }
     });
 
@@ -214,7 +214,7 @@ router.post('/sync/verify', async (req, res) => {
 
       results = await clalDataMapper.processPortfolioData(
         portfolioData,
-        req.user.id,
+        req.dataOwnerId,
         bankAccountId,
         ownerName
       );
@@ -224,7 +224,7 @@ router.post('/sync/verify', async (req, res) => {
         const details = await client.fetchAccountDetails(page, portfolioData);
         for (const [policyId, { data: detailData, category }] of Object.entries(details)) {
           try {
-            await clalDataMapper.processAccountDetail(detailData, category, policyId, req.user.id);
+            await clalDataMapper.processAccountDetail(detailData, category, policyId, req.dataOwnerId);
             detailCount++;
           } catch (err) {
             logger.warn(`Failed to process Clal detail for ${policyId}: ${err.message}`);
@@ -244,7 +244,7 @@ router.post('/sync/verify', async (req, res) => {
 
       results = await pensionService.processAllProducts(
         allProducts,
-        req.user.id,
+        req.dataOwnerId,
         bankAccountId,
         ownerName
       );
@@ -252,7 +252,7 @@ router.post('/sync/verify', async (req, res) => {
       // Process captured detail data (Phoenix-specific)
       for (const [policyNum, detailData] of Object.entries(details)) {
         try {
-          await pensionService.processAccountDetail(detailData, policyNum, req.user.id);
+          await pensionService.processAccountDetail(detailData, policyNum, req.dataOwnerId);
           detailCount++;
         } catch (err) {
           logger.warn(`Failed to process detail for ${policyNum}: ${err.message}`);
@@ -275,7 +275,7 @@ router.post('/sync/verify', async (req, res) => {
   } catch (error) {
     logger.error('Error during pension sync:', error);
     try {
-      const bankAccount = await BankAccount.findOne({ _id: req.body.bankAccountId, userId: req.user.id });
+      const bankAccount = await BankAccount.findOne({ _id: req.body.bankAccountId, userId: req.dataOwnerId });
       if (bankAccount && bankAccount.isOtpBank()) {
         const strategyName = `${bankAccount.bankId}-pension`;
         bankAccount.updateStrategySync(strategyName, false, error.message);
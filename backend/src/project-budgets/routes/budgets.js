@@ -1,7 +1,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const { body, param, query, validationResult } = require('express-validator');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const projectBudgetService = require('../services/projectBudgetService');
 const projectDrafter = require('../services/projectDrafter');
 const projectExpensesService = require('../services/projectExpensesService');
@@ -36,7 +36,7 @@ const handleValidationErrors = (req, res, next) => {
  * List user's project budgets with filtering
  */
 router.get('/projects',
-  auth,
+  householdAuth,
   [
     query('status').optional().isIn(['planning', 'active', 'completed', 'cancelled']).withMessage('Invalid status'),
     query('year').optional().isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
@@ -57,7 +57,7 @@ router.get('/projects',
       };
       
       // Use the project budget service to get projects with calculated overview data
-      const result = await projectBudgetService.getProjectBudgets(req.user._id, filters);
+      const result = await projectBudgetService.getProjectBudgets(req.dataOwnerId, filters);
       
       res.json({
         success: true,
@@ -85,7 +85,7 @@ router.get('/projects',
  * returned for the user to edit and submit through POST /projects.
  */
 router.post('/projects/draft',
-  auth,
+  householdAuth,
   [
     body('description').isString().isLength({ min: 1, max: 1000 })
       .withMessage('Description must be 1-1000 characters')
@@ -94,7 +94,7 @@ router.post('/projects/draft',
   async (req, res) => {
     try {
       const draft = await projectDrafter.draft({
-        userId: req.user._id,
+        userId: req.dataOwnerId,
         description: req.body.description
       });
 
@@ -125,7 +125,7 @@ router.post('/projects/draft',
  * Create new project budget
  */
 router.post('/projects',
-  auth,
+  householdAuth,
   [
     body('name').isString().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
     body('type').isIn(['vacation', 'home_renovation', 'investment']).withMessage('Project type must be vacation, home_renovation, or investment'),
@@ -152,7 +152,7 @@ router.post('/projects',
         });
       }
       
-      const project = await projectBudgetService.createProjectBudget(req.user._id, req.body);
+      const project = await projectBudgetService.createProjectBudget(req.dataOwnerId, req.body);
       
       res.status(201).json({
         success: true,
@@ -183,7 +183,7 @@ router.post('/projects',
  * Get project budget details
  */
 router.get('/projects/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID')
   ],
@@ -193,7 +193,7 @@ router.get('/projects/:id',
       const project = await projectBudgetService.getProjectBudget(req.params.id);
       
       // Check if user owns this project
-      if (project.userId.toString() !== req.user._id) {
+      if (project.userId.toString() !== req.dataOwnerId.toString()) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
@@ -228,7 +228,7 @@ router.get('/projects/:id',
  * Update project budget
  */
 router.put('/projects/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     body('name').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
@@ -306,7 +306,7 @@ router.put('/projects/:id',
  * Delete project budget
  */
 router.delete('/projects/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID')
   ],
@@ -343,7 +343,7 @@ router.delete('/projects/:id',
  * Get project progress and analytics
  */
 router.get('/projects/:id/progress',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID')
   ],
@@ -380,7 +380,7 @@ router.get('/projects/:id/progress',
  * Add a new planned expense to the project
  */
 router.post('/projects/:id/planned-expenses',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     body('categoryId').isMongoId().withMessage('Invalid category ID'),
@@ -423,7 +423,7 @@ router.post('/projects/:id/planned-expenses',
  * Tag single transaction to project as unplanned expense
  */
 router.post('/projects/:id/expenses/tag',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     body('transactionId').isMongoId().withMessage('Invalid transaction ID')
@@ -434,7 +434,7 @@ router.post('/projects/:id/expenses/tag',
       // Get project and verify ownership
       const project = await ProjectBudget.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.dataOwnerId
       });
       
       if (!project) {
@@ -483,7 +483,7 @@ router.post('/projects/:id/expenses/tag',
  * Tag multiple transactions to project as unplanned expenses
  */
 router.post('/projects/:id/expenses/bulk-tag',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     body('transactionIds').isArray({ min: 1 }).withMessage('At least one transaction ID required'),
@@ -495,7 +495,7 @@ router.post('/projects/:id/expenses/bulk-tag',
       // Get project and verify ownership
       const project = await ProjectBudget.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.dataOwnerId
       });
       
       if (!project) {
@@ -557,7 +557,7 @@ router.post('/projects/:id/expenses/bulk-tag',
  * Remove transaction from project
  */
 router.delete('/projects/:id/expenses/:transactionId',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     param('transactionId').isMongoId().withMessage('Invalid transaction ID')
@@ -568,7 +568,7 @@ router.delete('/projects/:id/expenses/:transactionId',
       // Get project and verify ownership
       const project = await ProjectBudget.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.dataOwnerId
       });
       
       if (!project) {
@@ -616,7 +616,7 @@ router.delete('/projects/:id/expenses/:transactionId',
  * Move expense to planned category (handles both single transactions and installment groups)
  */
 router.put('/projects/:id/expenses/:transactionId/move',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     // transactionId can be either a MongoDB ObjectId OR an installment group ID (string)
@@ -631,7 +631,7 @@ router.put('/projects/:id/expenses/:transactionId/move',
       // Get project and verify ownership
       const project = await ProjectBudget.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.dataOwnerId
       });
       
       if (!project) {
@@ -727,7 +727,7 @@ router.put('/projects/:id/expenses/:transactionId/move',
  * Move expense back from planned to unplanned (keeps project tag)
  */
 router.put('/projects/:id/expenses/:transactionId/unassign',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     param('transactionId').isString().withMessage('Transaction ID is required')
@@ -737,7 +737,7 @@ router.put('/projects/:id/expenses/:transactionId/unassign',
     try {
       const project = await ProjectBudget.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.dataOwnerId
       });
 
       if (!project) {
@@ -767,7 +767,7 @@ router.put('/projects/:id/expenses/:transactionId/unassign',
  * Move multiple expenses to planned category
  */
 router.post('/projects/:id/expenses/bulk-move',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     body('transactionIds').isArray({ min: 1 }).withMessage('At least one transaction ID required'),
@@ -781,7 +781,7 @@ router.post('/projects/:id/expenses/bulk-move',
       // Get project and verify ownership
       const project = await ProjectBudget.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.dataOwnerId
       });
       
       if (!project) {
@@ -801,7 +801,7 @@ router.post('/projects/:id/expenses/bulk-move',
       // Get transaction amounts for totalConvertedAmount calculation
       const transactions = await Transaction.find({
         _id: { $in: req.body.transactionIds },
-        userId: req.user._id
+        userId: req.dataOwnerId
       });
       
       // Build results array and calculate total converted amount
@@ -858,7 +858,7 @@ router.post('/projects/:id/expenses/bulk-move',
  * Get comprehensive expense breakdown for project
  */
 router.get('/projects/:id/expenses/breakdown',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID')
   ],
@@ -868,7 +868,7 @@ router.get('/projects/:id/expenses/breakdown',
       // Get project and verify ownership
       const project = await ProjectBudget.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.dataOwnerId
       }).populate('categoryBudgets.categoryId', 'name')
         .populate('categoryBudgets.subCategoryId', 'name');
       
@@ -925,7 +925,7 @@ router.get('/projects/:id/expenses/breakdown',
  * Query params: currencies (comma-separated), categoryIds (comma-separated), excludeILS (boolean)
  */
 router.get('/projects/:id/discover-transactions',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     query('currencies').optional().isString(),
@@ -938,7 +938,7 @@ router.get('/projects/:id/discover-transactions',
       // Verify project ownership
       const project = await ProjectBudget.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        userId: req.dataOwnerId
       });
 
       if (!project) {
@@ -961,7 +961,7 @@ router.get('/projects/:id/discover-transactions',
 
       const result = await projectTransactionService.discoverTransactions(
         req.params.id,
-        req.user._id,
+        req.dataOwnerId,
         options
       );
 
@@ -987,7 +987,7 @@ router.get('/projects/:id/discover-transactions',
  *               includeUnlikely (boolean, include ones the model doubted)
  */
 router.get('/projects/:id/suggestions',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     query('refresh').optional().isBoolean().toBoolean(),
@@ -997,12 +997,12 @@ router.get('/projects/:id/suggestions',
   async (req, res) => {
     try {
       if (req.query.refresh) {
-        await projectTransactionMatcher.refreshSuggestions(req.params.id, req.user._id);
+        await projectTransactionMatcher.refreshSuggestions(req.params.id, req.dataOwnerId);
       }
 
       const suggestions = await projectTransactionMatcher.getSuggestions(
         req.params.id,
-        req.user._id,
+        req.dataOwnerId,
         { includeUnlikely: Boolean(req.query.includeUnlikely) }
       );
 
@@ -1026,7 +1026,7 @@ router.get('/projects/:id/suggestions',
  * Accept a suggestion (tagging the transaction to the project) or reject it.
  */
 router.post('/projects/:id/suggestions/:transactionId',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId().withMessage('Invalid project ID'),
     param('transactionId').isMongoId().withMessage('Invalid transaction ID'),
@@ -1037,7 +1037,7 @@ router.post('/projects/:id/suggestions/:transactionId',
     try {
       const result = await projectTransactionMatcher.resolveSuggestion(
         req.params.id,
-        req.user._id,
+        req.dataOwnerId,
         req.params.transactionId,
         req.body.action
       );
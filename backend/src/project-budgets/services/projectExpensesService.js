@@ -1,4 +1,4 @@
-const { Transaction, TransactionType } = require('../../banking');
+const { Transaction, TransactionType, transactionSplits } = require('../../banking');
 const { ProjectBudget } = require('../models');
 const { currencyExchangeService } = require('../../foreign-currency');
 const logger = require('../../shared/utils/logger');
@@ -31,7 +31,7 @@ class ProjectExpensesService {
       const transaction = await Transaction.findOne({
         _id: transactionId,
         userId: project.userId,
-        tags: project.projectTag
+        ...transactionSplits.tagQuery(project.projectTag)
       });
 
       if (!transaction) {
@@ -61,11 +61,13 @@ class ProjectExpensesService {
       const resolvedSubCategoryId = targetBudget.subCategoryId._id || targetBudget.subCategoryId;
 
       // Convert transaction amount to project currency if needed
-      let convertedAmount = Math.abs(transaction.amount);
+      // Of a split transaction, only the part tagged for the project
+      const projectAmount = Math.abs(transactionSplits.amountForTag(transaction, project.projectTag));
+      let convertedAmount = projectAmount;
       if (transaction.currency !== project.currency) {
         try {
           const conversionResult = await currencyExchangeService.convertAmount(
-            Math.abs(transaction.amount),
+            projectAmount,
             transaction.currency,
             project.currency,
             transaction.processedDate,
@@ -81,9 +83,8 @@ class ProjectExpensesService {
         }
       }
 
-      // Update the transaction's category/subcategory to match the resolved budget
-      transaction.category = resolvedCategoryId;
-      transaction.subCategory = resolvedSubCategoryId;
+      // Update the project's part of the transaction to the resolved budget's category/subcategory
+      transactionSplits.recategorizeTagged(transaction, project.projectTag, resolvedCategoryId, resolvedSubCategoryId);
       
       // Ensure rawData exists for validation
       if (!transaction.rawData) {
@@ -164,7 +165,7 @@ class ProjectExpensesService {
       // Find all transactions in the installment group
       const transactions = await Transaction.find({
         userId: project.userId,
-        tags: project.projectTag,
+        ...transactionSplits.tagQuery(project.projectTag),
         identifier: { $regex: `^${cleanIdentifier}-*$` }
       });
 
@@ -178,11 +179,12 @@ class ProjectExpensesService {
       // Process each transaction in the group
       for (const transaction of transactions) {
         // Convert transaction amount to project currency if needed
-        let convertedAmount = Math.abs(transaction.amount);
+        const projectAmount = Math.abs(transactionSplits.amountForTag(transaction, project.projectTag));
+        let convertedAmount = projectAmount;
         if (transaction.currency !== project.currency) {
           try {
             const conversionResult = await currencyExchangeService.convertAmount(
-              Math.abs(transaction.amount),
+              projectAmount,
               transaction.currency,
               project.currency,
               transaction.processedDate,
@@ -199,8 +201,7 @@ class ProjectExpensesService {
         }
 
         // Update the transaction's category/subcategory from the resolved budget
-        transaction.category = resolvedCategoryId;
-        transaction.subCategory = resolvedSubCategoryId;
+        transactionSplits.recategorizeTagged(transaction, project.projectTag, resolvedCategoryId, resolvedSubCategoryId);
         
         // Ensure rawData exists for validation
         if (!transaction.rawData) {
@@ -290,7 +291,7 @@ class ProjectExpensesService {
       const transaction = await Transaction.findOne({
         _id: transactionId,
         userId: project.userId,
-        tags: project.projectTag
+        ...transactionSplits.tagQuery(project.projectTag)
       });
 
       if (!transaction) {
@@ -342,7 +343,7 @@ class ProjectExpensesService {
       // Get all transactions tagged with this project
       const transactions = await Transaction.find({
         userId: project.userId,
-        tags: project.projectTag,
+        ...transactionSplits.tagQuery(project.projectTag),
         processedDate: { $gte: project.startDate, $lte: project.endDate }
       })
       .populate('category', 'name')
@@ -402,18 +403,20 @@ class ProjectExpensesService {
             }
 
             // Negate amount: expenses (negative in DB) become positive spent,
-            // refunds (positive in DB) become negative to reduce the total
-            let convertedAmount = -transaction.amount;
+            // refunds (positive in DB) become negative to reduce the total.
+            // Of a split transaction, only the part tagged for the project counts.
+            const projectAmount = transactionSplits.amountForTag(transaction, project.projectTag);
+            let convertedAmount = -projectAmount;
             if (transaction.currency !== project.currency) {
               try {
                 const conversionResult = await currencyExchangeService.convertAmount(
-                  Math.abs(transaction.amount),
+                  Math.abs(projectAmount),
                   transaction.currency,
                   project.currency,
                   transaction.processedDate,
                   true // Allow fallback to nearest rate
                 );
-                convertedAmount = transaction.amount < 0 ? conversionResult.convertedAmount : -conversionResult.convertedAmount;
+                convertedAmount = projectAmount < 0 ? conversionResult.convertedAmount : -conversionResult.convertedAmount;
               } catch (error) {
                 logger.warn(`Currency conversion failed for transaction ${transaction._id}:`, error.message);
               }
@@ -472,7 +475,7 @@ class ProjectExpensesService {
         const groupTransactions = await Transaction.find({
           userId: project.userId,
           identifier: { $regex: `^${cleanIdentifier}-*$` },
-          tags: project.projectTag
+          ...transactionSplits.tagQuery(project.projectTag)
         }).select('_id');
 
         transactionIds = groupTransactions.map(t => t._id.toString());
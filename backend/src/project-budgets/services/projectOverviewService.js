@@ -1,6 +1,6 @@
 const { CurrencyExchange, currencyExchangeService } = require('../../foreign-currency');
 const unplannedExpenseService = require('./unplannedExpenseService');
-const { Category, SubCategory, Transaction, installmentGroupingUtils } = require('../../banking');
+const { Category, SubCategory, Transaction, installmentGroupingUtils, transactionSplits } = require('../../banking');
 const logger = require('../../shared/utils/logger');
 
 /**
@@ -12,9 +12,10 @@ class ProjectOverviewService {
    * Calculate actual amount for a category budget based on allocated transactions
    * @param {Object} budget - Category budget object
    * @param {string} projectCurrency - Project currency
+   * @param {ObjectId} projectTag - The project's tag; of a split transaction only the part carrying it counts
    * @returns {number} - Calculated actual amount in project currency
    */
-  async calculateActualAmountForBudget(budget, projectCurrency) {
+  async calculateActualAmountForBudget(budget, projectCurrency, projectTag) {
     // Return 0 immediately if no allocated transactions
     if (!budget.allocatedTransactions || budget.allocatedTransactions.length === 0) {
       return 0;
@@ -35,20 +36,21 @@ class ProjectOverviewService {
 
       // Negate amount: expenses (negative in DB) become positive spent,
       // refunds (positive in DB) become negative to reduce the total
-      let convertedAmount = -transaction.amount;
+      const projectAmount = transactionSplits.amountForTag(transaction, projectTag);
+      let convertedAmount = -projectAmount;
       
       // Convert to project currency if needed
       if (transaction.currency !== projectCurrency) {
         try {
           const conversionResult = await currencyExchangeService.convertAmount(
-            Math.abs(transaction.amount),
+            Math.abs(projectAmount),
             transaction.currency,
             projectCurrency,
             transaction.processedDate,
             true // Allow fallback to nearest rate
           );
           // Re-apply sign after conversion
-          convertedAmount = transaction.amount < 0 ? conversionResult.convertedAmount : -conversionResult.convertedAmount;
+          convertedAmount = projectAmount < 0 ? conversionResult.convertedAmount : -conversionResult.convertedAmount;
         } catch (error) {
           logger.warn(`Currency conversion failed for transaction ${transaction._id}:`, error.message);
         }
@@ -76,7 +78,7 @@ class ProjectOverviewService {
     for (const budget of project.categoryBudgets) {
       try {
         // Calculate actual amount dynamically from allocated transactions
-        const actualAmount = await this.calculateActualAmountForBudget(budget, project.currency);
+        const actualAmount = await this.calculateActualAmountForBudget(budget, project.currency, project.projectTag);
         
         // Convert budgeted amount to project currency
         if (budget.currency === project.currency) {
@@ -95,7 +97,7 @@ class ProjectOverviewService {
       } catch (error) {
         // If conversion fails, use original amounts as fallback
         logger.warn(`Currency conversion failed for ${budget.currency} to ${project.currency}:`, error.message);
-        const actualAmount = await this.calculateActualAmountForBudget(budget, project.currency);
+        const actualAmount = await this.calculateActualAmountForBudget(budget, project.currency, project.projectTag);
         totalBudgetConverted += budget.budgetedAmount;
         totalPaidConverted += actualAmount;
       }
@@ -222,7 +224,7 @@ class ProjectOverviewService {
         // Calculate budget impact using dynamic actual amount calculation
         const expenseAmount = unplannedExpense.convertedAmount || 0;
         const currentBudgetedAmount = budget.budgetedAmount || 0;
-        const currentActualAmount = await this.calculateActualAmountForBudget(budget, project.currency);
+        const currentActualAmount = await this.calculateActualAmountForBudget(budget, project.currency, project.projectTag);
         const newActualAmount = currentActualAmount + expenseAmount;
         const wouldExceedBudget = newActualAmount > currentBudgetedAmount;
         
@@ -264,7 +266,7 @@ class ProjectOverviewService {
     // Get all transactions tagged with this project
     const transactions = await Transaction.find({
       userId: project.userId,
-      tags: project.projectTag,
+      ...transactionSplits.tagQuery(project.projectTag),
     }).populate('category').populate('subCategory');
 
 
@@ -358,14 +360,16 @@ class ProjectOverviewService {
    * @returns {Object|null} - Processed expense object or null
    */
   async _processRegularExpense(transaction, project) {
-    let convertedAmount = Math.abs(transaction.amount);
+    // Of a split transaction, only the part tagged for the project
+    const projectAmount = Math.abs(transactionSplits.amountForTag(transaction, project.projectTag));
+    let convertedAmount = projectAmount;
     let exchangeRate = 1;
     
     // Convert to project currency if needed
     if (transaction.currency !== project.currency) {
       try {
         const conversionResult = await currencyExchangeService.convertAmount(
-          Math.abs(transaction.amount),
+          projectAmount,
           transaction.currency,
           project.currency,
           transaction.processedDate,
@@ -441,14 +445,15 @@ class ProjectOverviewService {
       
       // Process regular transactions with currency conversion
       const processRegularTransaction = async (transaction) => {
-        let convertedAmount = Math.abs(transaction.amount);
+        const projectAmount = Math.abs(transactionSplits.amountForTag(transaction, project.projectTag));
+        let convertedAmount = projectAmount;
         let exchangeRate = 1;
         
         // Convert to project currency if needed
         if (transaction.currency !== project.currency) {
           try {
             const conversionResult = await currencyExchangeService.convertAmount(
-              Math.abs(transaction.amount),
+              projectAmount,
               transaction.currency,
               project.currency,
               transaction.processedDate,
@@ -522,12 +527,12 @@ class ProjectOverviewService {
         })
         .map(async (budget) => {
         // Calculate actual amount in project currency (for totals/progress)
-        const actualAmountInProjectCurrency = await this.calculateActualAmountForBudget(budget, project.currency);
+        const actualAmountInProjectCurrency = await this.calculateActualAmountForBudget(budget, project.currency, project.projectTag);
         
         // Calculate actual amount in budget's own currency (for per-line-item display)
         let actualAmountInBudgetCurrency = actualAmountInProjectCurrency;
         if (budget.currency !== project.currency) {
-          actualAmountInBudgetCurrency = await this.calculateActualAmountForBudget(budget, budget.currency);
+          actualAmountInBudgetCurrency = await this.calculateActualAmountForBudget(budget, budget.currency, project.projectTag);
         }
         
         const variance = actualAmountInBudgetCurrency - budget.budgetedAmount;
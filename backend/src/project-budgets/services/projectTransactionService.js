@@ -1,5 +1,5 @@
 const { ProjectBudget } = require('../models');
-const { Tag, Transaction, Category, SubCategory } = require('../../banking');
+const { Tag, Transaction, Category, SubCategory, transactionSplits } = require('../../banking');
 const { CategorizationMethod } = require('../../banking/constants/enums');
 const transactionClassifier = require('../../banking/services/transactionClassifier');
 const {
@@ -74,7 +74,7 @@ class ProjectTransactionService {
 
       let query = {
         userId: convertToObjectId(userId),
-        tags: convertToObjectId(project.projectTag._id)
+        ...transactionSplits.tagQuery(convertToObjectId(project.projectTag._id))
       };
 
       // Add date range if provided
@@ -168,17 +168,20 @@ class ProjectTransactionService {
         {
           $match: {
             userId: convertToObjectId(userId),
-            tags: project.projectTag,
+            ...transactionSplits.tagQuery(project.projectTag),
             processedDate: { $gte: project.startDate, $lte: project.endDate }
           }
         },
+        // Of a split transaction, only the allocations tagged for the project count
+        transactionSplits.tagAllocationsStage(project.projectTag),
+        { $unwind: '$allocation' },
         {
           $group: {
             _id: {
-              category: '$category',
-              subCategory: '$subCategory'
+              category: '$allocation.category',
+              subCategory: '$allocation.subCategory'
             },
-            totalAmount: { $sum: { $abs: '$amount' } },
+            totalAmount: { $sum: { $abs: '$allocation.amount' } },
             transactionCount: { $sum: 1 }
           }
         },
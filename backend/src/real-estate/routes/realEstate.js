@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const logger = require('../../shared/utils/logger');
 const realEstateService = require('../services/realEstateService');
 const realEstateTransactionService = require('../services/realEstateTransactionService');
 
-router.use(auth);
+router.use(householdAuth);
 
 // Validate ObjectId middleware
 const validateId = (paramName) => (req, res, next) => {
@@ -22,7 +22,7 @@ const validateId = (paramName) => (req, res, next) => {
 router.get('/summary', async (req, res) => {
   try {
     const displayCurrency = req.query.currency || 'USD';
-    const summary = await realEstateService.getSummary(req.user.id, displayCurrency);
+    const summary = await realEstateService.getSummary(req.dataOwnerId, displayCurrency);
     res.json(summary);
   } catch (error) {
     logger.error('Error fetching real estate summary:', error);
@@ -36,7 +36,7 @@ router.get('/summary', async (req, res) => {
 router.get('/', async (req, res) => {
   try {
     const { type, status } = req.query;
-    const investments = await realEstateService.getAll(req.user.id, { type, status });
+    const investments = await realEstateService.getAll(req.dataOwnerId, { type, status });
     res.json(investments);
   } catch (error) {
     logger.error('Error fetching real estate investments:', error);
@@ -49,7 +49,7 @@ router.get('/', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const investment = await realEstateService.create(req.user.id, req.body);
+    const investment = await realEstateService.create(req.dataOwnerId, req.body);
     res.status(201).json(investment);
   } catch (error) {
     logger.error('Error creating real estate investment:', error);
@@ -65,7 +65,7 @@ router.post('/', async (req, res) => {
  */
 router.get('/:id', validateId('id'), async (req, res) => {
   try {
-    const investment = await realEstateService.getById(req.params.id, req.user.id);
+    const investment = await realEstateService.getById(req.params.id, req.dataOwnerId);
     if (!investment) {
       return res.status(404).json({ error: 'Investment not found' });
     }
@@ -81,7 +81,7 @@ router.get('/:id', validateId('id'), async (req, res) => {
  */
 router.put('/:id', validateId('id'), async (req, res) => {
   try {
-    const investment = await realEstateService.update(req.params.id, req.user.id, req.body);
+    const investment = await realEstateService.update(req.params.id, req.dataOwnerId, req.body);
     if (!investment) {
       return res.status(404).json({ error: 'Investment not found' });
     }
@@ -97,7 +97,7 @@ router.put('/:id', validateId('id'), async (req, res) => {
  */
 router.delete('/:id', validateId('id'), async (req, res) => {
   try {
-    const investment = await realEstateService.delete(req.params.id, req.user.id);
+    const investment = await realEstateService.delete(req.params.id, req.dataOwnerId);
     if (!investment) {
       return res.status(404).json({ error: 'Investment not found' });
     }
@@ -115,7 +115,7 @@ router.delete('/:id', validateId('id'), async (req, res) => {
  */
 router.post('/:id/installments', validateId('id'), async (req, res) => {
   try {
-    const investment = await realEstateService.addInstallment(req.params.id, req.user.id, req.body);
+    const investment = await realEstateService.addInstallment(req.params.id, req.dataOwnerId, req.body);
     if (!investment) {
       return res.status(404).json({ error: 'Investment not found' });
     }
@@ -132,7 +132,7 @@ router.post('/:id/installments', validateId('id'), async (req, res) => {
 router.put('/:id/installments/:installmentId', validateId('id'), async (req, res) => {
   try {
     const investment = await realEstateService.updateInstallment(
-      req.params.id, req.user.id, req.params.installmentId, req.body
+      req.params.id, req.dataOwnerId, req.params.installmentId, req.body
     );
     if (!investment) {
       return res.status(404).json({ error: 'Investment or installment not found' });
@@ -150,7 +150,7 @@ router.put('/:id/installments/:installmentId', validateId('id'), async (req, res
 router.delete('/:id/installments/:installmentId', validateId('id'), async (req, res) => {
   try {
     const investment = await realEstateService.deleteInstallment(
-      req.params.id, req.user.id, req.params.installmentId
+      req.params.id, req.dataOwnerId, req.params.installmentId
     );
     if (!investment) {
       return res.status(404).json({ error: 'Investment or installment not found' });
@@ -168,7 +168,7 @@ router.delete('/:id/installments/:installmentId', validateId('id'), async (req,
 router.post('/:id/installments/:installmentId/link-transaction/:transactionId', validateId('id'), validateId('transactionId'), async (req, res) => {
   try {
     const investment = await realEstateService.linkTransactionToInstallment(
-      req.params.id, req.user.id, req.params.installmentId, req.params.transactionId
+      req.params.id, req.dataOwnerId, req.params.installmentId, req.params.transactionId
     );
     if (!investment) {
       return res.status(404).json({ error: 'Investment or installment not found' });
@@ -186,7 +186,7 @@ router.post('/:id/installments/:installmentId/link-transaction/:transactionId',
 router.delete('/:id/installments/:installmentId/link-transaction/:transactionId', validateId('id'), validateId('transactionId'), async (req, res) => {
   try {
     const investment = await realEstateService.unlinkTransactionFromInstallment(
-      req.params.id, req.user.id, req.params.installmentId, req.params.transactionId
+      req.params.id, req.dataOwnerId, req.params.installmentId, req.params.transactionId
     );
     if (!investment) {
       return res.status(404).json({ error: 'Investment or installment not found' });
@@ -205,7 +205,7 @@ router.delete('/:id/installments/:installmentId/link-transaction/:transactionId'
  */
 router.post('/:id/rental-income', validateId('id'), async (req, res) => {
   try {
-    const investment = await realEstateService.addRentalIncome(req.params.id, req.user.id, req.body);
+    const investment = await realEstateService.addRentalIncome(req.params.id, req.dataOwnerId, req.body);
     if (!investment) {
       return res.status(404).json({ error: 'Investment not found' });
     }
@@ -222,7 +222,7 @@ router.post('/:id/rental-income', validateId('id'), async (req, res) => {
 router.put('/:id/rental-income/:incomeId', validateId('id'), async (req, res) => {
   try {
     const investment = await realEstateService.updateRentalIncome(
-      req.params.id, req.user.id, req.params.incomeId, req.body
+      req.params.id, req.dataOwnerId, req.params.incomeId, req.body
     );
     if (!investment) {
       return res.status(404).json({ error: 'Investment or income record not found' });
@@ -245,7 +245,7 @@ router.post('/:id/sell', validateId('id'), async (req, res) => {
     if (!salePrice || salePrice <= 0) {
       return res.status(400).json({ error: 'Sale price is required and must be positive' });
     }
-    const investment = await realEstateService.markSold(req.params.id, req.user.id, {
+    const investment = await realEstateService.markSold(req.params.id, req.dataOwnerId, {
       salePrice, saleDate, saleExpenses
     });
     if (!investment) {
@@ -265,7 +265,7 @@ router.post('/:id/sell', validateId('id'), async (req, res) => {
  */
 router.get('/:id/transactions', validateId('id'), async (req, res) => {
   try {
-    const transactions = await realEstateTransactionService.getTransactions(req.params.id, req.user.id);
+    const transactions = await realEstateTransactionService.getTransactions(req.params.id, req.dataOwnerId);
     res.json(transactions);
   } catch (error) {
     logger.error('Error fetching investment transactions:', error);
@@ -279,7 +279,7 @@ router.get('/:id/transactions', validateId('id'), async (req, res) => {
 router.post('/:id/transactions/:transactionId/tag', validateId('id'), validateId('transactionId'), async (req, res) => {
   try {
     const transaction = await realEstateTransactionService.tagTransaction(
-      req.params.id, req.user.id, req.params.transactionId
+      req.params.id, req.dataOwnerId, req.params.transactionId
     );
     res.json(transaction);
   } catch (error) {
@@ -294,7 +294,7 @@ router.post('/:id/transactions/:transactionId/tag', validateId('id'), validateId
 router.delete('/:id/transactions/:transactionId/tag', validateId('id'), validateId('transactionId'), async (req, res) => {
   try {
     const transaction = await realEstateTransactionService.untagTransaction(
-      req.params.id, req.user.id, req.params.transactionId
+      req.params.id, req.dataOwnerId, req.params.transactionId
     );
     res.json(transaction);
   } catch (error) {
@@ -313,7 +313,7 @@ router.post('/:id/transactions/bulk-tag', validateId('id'), async (req, res) =>
       return res.status(400).json({ error: 'transactionIds array is required' });
     }
     const result = await realEstateTransactionService.bulkTagTransactions(
-      req.params.id, req.user.id, transactionIds
+      req.params.id, req.dataOwnerId, transactionIds
     );
     res.json(result);
   } catch (error) {
@@ -333,14 +333,14 @@ router.post('/:id/link-account', validateId('id'), async (req, res) => {
     if (!bankAccountId || !mongoose.Types.ObjectId.isValid(bankAccountId)) {
       return res.status(400).json({ error: 'Valid bankAccountId is required' });
     }
-    const investment = await realEstateService.linkBankAccount(req.params.id, req.user.id, bankAccountId);
+    const investment = await realEstateService.linkBankAccount(req.params.id, req.dataOwnerId, bankAccountId);
     if (!investment) {
       return res.status(404).json({ error: 'Investment not found' });
     }
 
     // Auto-tag existing transactions from the linked account
     const result = await realEstateTransactionService.autoTagLinkedAccountTransactions(
-      req.params.id, req.user.id
+      req.params.id, req.dataOwnerId
     );
 
     res.json({ investment, autoTagged: result.tagged });
@@ -355,7 +355,7 @@ router.post('/:id/link-account', validateId('id'), async (req, res) => {
  */
 router.delete('/:id/link-account', validateId('id'), async (req, res) => {
   try {
-    const investment = await realEstateService.unlinkBankAccount(req.params.id, req.user.id);
+    const investment = await realEstateService.unlinkBankAccount(req.params.id, req.dataOwnerId);
     if (!investment) {
       return res.status(404).json({ error: 'Investment not found' });
     }
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_RSU_TAX_RATES } = require('../../settings/constants/defaults');
 
 const taxBasisSchema = new mongoose.Schema({
   grantValue: {
@@ -139,7 +140,8 @@ rsuSaleSchema.pre('save', function(next) {
 });
 
 // Instance methods
-rsuSaleSchema.methods.recalculateTaxes = function(grant, taxRates = { wageIncome: 0.65, capitalGainsLongTerm: 0.25, capitalGainsShortTerm: 0.65 }) {
+// taxRates should be the owner's, from settingsService.getRsuTaxRates.
+rsuSaleSchema.methods.recalculateTaxes = function(grant, taxRates = DEFAULT_RSU_TAX_RATES) {
   const grantValuePerShare = grant.totalValue / grant.totalShares;
   const originalValue = this.sharesAmount * grantValuePerShare;
   const profit = this.totalSaleValue - originalValue;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
-const auth = require('../../shared/middleware/auth');
+const householdAuth = require('../../shared/middleware/householdAuth');
 const { RSUSale } = require('../models');
 const { StockPrice } = require('../../investments');
 const rsuService = require('../services/rsuService');
@@ -30,7 +30,7 @@ const handleValidationErrors = (req, res, next) => {
  * Get user's RSU grants with optional filtering
  */
 router.get('/grants', 
-  auth,
+  householdAuth,
   [
     query('status').optional().isIn(['active', 'completed', 'cancelled']),
     query('stockSymbol').optional().isString().trim().isLength({ min: 1, max: 10 })
@@ -44,7 +44,7 @@ router.get('/grants',
       if (status) filters.status = status;
       if (stockSymbol) filters.stockSymbol = stockSymbol.toUpperCase();
       
-      const grants = await rsuService.getUserGrants(req.user.id, filters);
+      const grants = await rsuService.getUserGrants(req.dataOwnerId, filters);
       
       res.json({
         success: true,
@@ -65,7 +65,7 @@ router.get('/grants',
  * Create a new RSU grant
  */
 router.post('/grants',
-  auth,
+  householdAuth,
   [
     body('stockSymbol').isString().trim().isLength({ min: 1, max: 10 }),
     body('company').optional().isString().trim().isLength({ min: 1, max: 100 }),
@@ -80,7 +80,7 @@ router.post('/grants',
     try {
       const grantData = req.body;
       const { vestingPlan, ...restGrantData } = grantData;
-      const grant = await rsuService.createGrant(req.user.id, restGrantData, vestingPlan);
+      const grant = await rsuService.createGrant(req.dataOwnerId, restGrantData, vestingPlan);
       
       res.status(201).json({
         success: true,
@@ -102,14 +102,14 @@ router.post('/grants',
  * Get a specific grant by ID
  */
 router.get('/grants/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId()
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const grants = await rsuService.getUserGrants(req.user.id);
+      const grants = await rsuService.getUserGrants(req.dataOwnerId);
       const grant = grants.find(g => g._id.toString() === req.params.id);
       
       if (!grant) {
@@ -138,7 +138,7 @@ router.get('/grants/:id',
  * Update a grant
  */
 router.put('/grants/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId(),
     body('stockSymbol').optional().isString().trim().isLength({ min: 1, max: 10 }),
@@ -152,7 +152,7 @@ router.put('/grants/:id',
   async (req, res) => {
     try {
       // Verify grant ownership
-      const grants = await rsuService.getUserGrants(req.user.id);
+      const grants = await rsuService.getUserGrants(req.dataOwnerId);
       const existingGrant = grants.find(g => g._id.toString() === req.params.id);
       
       if (!existingGrant) {
@@ -184,7 +184,7 @@ router.put('/grants/:id',
  * Delete a grant and its associated sales
  */
 router.delete('/grants/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId()
   ],
@@ -192,7 +192,7 @@ router.delete('/grants/:id',
   async (req, res) => {
     try {
       // Verify grant ownership
-      const grants = await rsuService.getUserGrants(req.user.id);
+      const grants = await rsuService.getUserGrants(req.dataOwnerId);
       const existingGrant = grants.find(g => g._id.toString() === req.params.id);
       
       if (!existingGrant) {
@@ -226,7 +226,7 @@ router.delete('/grants/:id',
  * Get user's RSU sales with optional filtering
  */
 router.get('/sales',
-  auth,
+  householdAuth,
   [
     query('grantId').optional().isMongoId(),
     query('startDate').optional().isISO8601().toDate(),
@@ -244,7 +244,7 @@ router.get('/sales',
         filters.endDate = endDate;
       }
       
-      const sales = await rsuService.getUserSales(req.user.id, filters);
+      const sales = await rsuService.getUserSales(req.dataOwnerId, filters);
       
       res.json({
         success: true,
@@ -265,7 +265,7 @@ router.get('/sales',
  * Record a new RSU sale
  */
 router.post('/sales',
-  auth,
+  householdAuth,
   [
     body('grantId').isMongoId(),
     body('saleDate').isISO8601().toDate(),
@@ -277,7 +277,7 @@ router.post('/sales',
   async (req, res) => {
     try {
       // Verify grant ownership
-      const grants = await rsuService.getUserGrants(req.user.id);
+      const grants = await rsuService.getUserGrants(req.dataOwnerId);
       const grant = grants.find(g => g._id.toString() === req.body.grantId);
       
       if (!grant) {
@@ -287,7 +287,7 @@ router.post('/sales',
         });
       }
       
-      const sale = await rsuService.recordSale(req.user.id, req.body);
+      const sale = await rsuService.recordSale(req.dataOwnerId, req.body);
       
       res.status(201).json({
         success: true,
@@ -309,14 +309,14 @@ router.post('/sales',
  * Get a specific sale by ID
  */
 router.get('/sales/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId()
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const sales = await rsuService.getUserSales(req.user.id);
+      const sales = await rsuService.getUserSales(req.dataOwnerId);
       const sale = sales.find(s => s._id.toString() === req.params.id);
       
       if (!sale) {
@@ -345,7 +345,7 @@ router.get('/sales/:id',
  * Update a sale (recalculates taxes)
  */
 router.put('/sales/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId(),
     body('saleDate').optional().isISO8601().toDate(),
@@ -357,7 +357,7 @@ router.put('/sales/:id',
   async (req, res) => {
     try {
       // Verify sale ownership
-      const sales = await rsuService.getUserSales(req.user.id);
+      const sales = await rsuService.getUserSales(req.dataOwnerId);
       const existingSale = sales.find(s => s._id.toString() === req.params.id);
       
       if (!existingSale) {
@@ -378,7 +378,7 @@ router.put('/sales/:id',
         notes: req.body.notes !== undefined ? req.body.notes : existingSale.notes
       };
       
-      const updatedSale = await rsuService.recordSale(req.user.id, updatedSaleData);
+      const updatedSale = await rsuService.recordSale(req.dataOwnerId, updatedSaleData);
       
       res.json({
         success: true,
@@ -400,7 +400,7 @@ router.put('/sales/:id',
  * Delete a sale
  */
 router.delete('/sales/:id',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId()
   ],
@@ -408,7 +408,7 @@ router.delete('/sales/:id',
   async (req, res) => {
     try {
       // Verify sale ownership
-      const sales = await rsuService.getUserSales(req.user.id);
+      const sales = await rsuService.getUserSales(req.dataOwnerId);
       const existingSale = sales.find(s => s._id.toString() === req.params.id);
       
       if (!existingSale) {
@@ -441,10 +441,10 @@ router.delete('/sales/:id',
  * Get comprehensive portfolio summary
  */
 router.get('/portfolio',
-  auth,
+  householdAuth,
   async (req, res) => {
     try {
-      const portfolioSummary = await rsuService.getPortfolioSummary(req.user.id);
+      const portfolioSummary = await rsuService.getPortfolioSummary(req.dataOwnerId);
       
       res.json({
         success: true,
@@ -465,7 +465,7 @@ router.get('/portfolio',
  * Get portfolio performance metrics
  */
 router.get('/performance',
-  auth,
+  householdAuth,
   [
     query('timeframe').optional().isIn(['1M', '3M', '6M', '1Y', 'ALL'])
   ],
@@ -473,7 +473,7 @@ router.get('/performance',
   async (req, res) => {
     try {
       const { timeframe = '1Y' } = req.query;
-      const performance = await rsuService.getPortfolioPerformance(req.user.id, timeframe);
+      const performance = await rsuService.getPortfolioPerformance(req.dataOwnerId, timeframe);
       
       res.json({
         success: true,
@@ -494,7 +494,7 @@ router.get('/performance',
  * Get performance for a specific grant
  */
 router.get('/grants/:id/performance',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId()
   ],
@@ -502,7 +502,7 @@ router.get('/grants/:id/performance',
   async (req, res) => {
     try {
       // Verify grant ownership
-      const grants = await rsuService.getUserGrants(req.user.id);
+      const grants = await rsuService.getUserGrants(req.dataOwnerId);
       const grant = grants.find(g => g._id.toString() === req.params.id);
       
       if (!grant) {
@@ -535,7 +535,7 @@ router.get('/grants/:id/performance',
  * Get available vesting plans
  */
 router.get('/vesting-plans',
-  auth,
+  householdAuth,
   async (req, res) => {
     try {
       const vestingPlans = rsuService.getAvailableVestingPlans();
@@ -559,7 +559,7 @@ router.get('/vesting-plans',
  * Change vesting plan for a grant
  */
 router.put('/grants/:id/vesting-plan',
-  auth,
+  householdAuth,
   [
     param('id').isMongoId(),
     body('newPlanType').isIn(['quarterly-5yr', 'quarterly-4yr', 'semi-annual-4yr'])
@@ -568,7 +568,7 @@ router.put('/grants/:id/vesting-plan',
   async (req, res) => {
     try {
       // Verify grant ownership
-      const grants = await rsuService.getUserGrants(req.user.id);
+      const grants = await rsuService.getUserGrants(req.dataOwnerId);
       const existingGrant = grants.find(g => g._id.toString() === req.params.id);
       
       if (!existingGrant) {
@@ -601,7 +601,7 @@ router.put('/grants/:id/vesting-plan',
  * Preview vesting plan change impact
  */
 router.post('/grants/:id/vesting-plan/preview',
-  auth,
+  householdAuth.allowViewers,
   [
     param('id').isMongoId(),
     body('newPlanType').isIn(['quarterly-5yr', 'quarterly-4yr', 'semi-annual-4yr'])
@@ -610,7 +610,7 @@ router.post('/grants/:id/vesting-plan/preview',
   async (req, res) => {
     try {
       // Verify grant ownership
-      const grants = await rsuService.getUserGrants(req.user.id);
+      const grants = await rsuService.getUserGrants(req.dataOwnerId);
       const existingGrant = grants.find(g => g._id.toString() === req.params.id);
       
       if (!existingGrant) {
@@ -642,7 +642,7 @@ router.post('/grants/:id/vesting-plan/preview',
  * Get upcoming vesting events
  */
 router.get('/vesting/upcoming',
-  auth,
+  householdAuth,
   [
     query('days').optional().isInt({ min: 1, max: 365 })
   ],
@@ -650,7 +650,7 @@ router.get('/vesting/upcoming',
   async (req, res) => {
     try {
       const { days = 30 } = req.query;
-      const upcomingVesting = await rsuService.getUpcomingVesting(req.user.id, parseInt(days));
+      const upcomingVesting = await rsuService.getUpcomingVesting(req.dataOwnerId, parseInt(days));
       
       res.json({
         success: true,
@@ -671,7 +671,7 @@ router.get('/vesting/upcoming',
  * Get vesting calendar
  */
 router.get('/vesting/calendar',
-  auth,
+  householdAuth,
   [
     query('months').optional().isInt({ min: 1, max: 24 })
   ],
@@ -679,7 +679,7 @@ router.get('/vesting/calendar',
   async (req, res) => {
     try {
       const { months = 12 } = req.query;
-      const calendar = await vestingService.getVestingCalendar(req.user.id, parseInt(months));
+      const calendar = await vestingService.getVestingCalendar(req.dataOwnerId, parseInt(months));
       
       res.json({
         success: true,
@@ -702,7 +702,7 @@ router.get('/vesting/calendar',
  * Preview tax calculation for a potential sale
  */
 router.post('/tax/preview',
-  auth,
+  householdAuth.allowViewers,
   [
     body('grantId').isMongoId(),
     body('sharesAmount').isInt({ min: 1 }),
@@ -713,7 +713,7 @@ router.post('/tax/preview',
   async (req, res) => {
     try {
       // Verify grant ownership
-      const grants = await rsuService.getUserGrants(req.user.id);
+      const grants = await rsuService.getUserGrants(req.dataOwnerId);
       const grant = grants.find(g => g._id.toString() === req.body.grantId);
       
       if (!grant) {
@@ -724,7 +724,7 @@ router.post('/tax/preview',
       }
       
       const { grantId, sharesAmount, salePrice, saleDate = new Date() } = req.body;
-      const taxPreview = await rsuService.getTaxPreview(req.user.id, grantId, sharesAmount, salePrice);
+      const taxPreview = await rsuService.getTaxPreview(req.dataOwnerId, grantId, sharesAmount, salePrice);
       
       res.json({
         success: true,
@@ -745,7 +745,7 @@ router.post('/tax/preview',
  * Get tax projections for a year
  */
 router.get('/tax/projections',
-  auth,
+  householdAuth,
   [
     query('year').optional().isInt({ min: 2020, max: 2030 })
   ],
@@ -753,7 +753,7 @@ router.get('/tax/projections',
   async (req, res) => {
     try {
       const { year = new Date().getFullYear() } = req.query;
-      const projections = await rsuService.getTaxProjections(req.user.id, parseInt(year));
+      const projections = await rsuService.getTaxProjections(req.dataOwnerId, parseInt(year));
       
       res.json({
         success: true,
@@ -774,7 +774,7 @@ router.get('/tax/projections',
  * Get annual tax summary
  */
 router.get('/tax/summary/:year',
-  auth,
+  householdAuth,
   [
     param('year').isInt({ min: 2020, max: 2030 })
   ],
@@ -782,7 +782,7 @@ router.get('/tax/summary/:year',
   async (req, res) => {
     try {
       const year = parseInt(req.params.year);
-      const summary = await taxCalculationService.getAnnualTaxSummary(req.user.id, year);
+      const summary = await taxCalculationService.getAnnualTaxSummary(req.dataOwnerId, year);
       
       res.json({
         success: true,
@@ -805,7 +805,7 @@ router.get('/tax/summary/:year',
  * Get current stock price
  */
 router.get('/prices/:symbol',
-  auth,
+  householdAuth,
   [
     param('symbol').isString().trim().isLength({ min: 1, max: 10 })
   ],
@@ -840,7 +840,7 @@ router.get('/prices/:symbol',
  * Update stock price manually
  */
 router.post('/prices/:symbol',
-  auth,
+  householdAuth,
   [
     param('symbol').isString().trim().isLength({ min: 1, max: 10 }),
     body('price').isFloat({ min: 0.01 }),
@@ -881,7 +881,7 @@ router.post('/prices/:symbol',
  * Get stock price history
  */
 router.get('/prices/:symbol/history',
-  auth,
+  householdAuth,
   [
     param('symbol').isString().trim().isLength({ min: 1, max: 10 }),
     query('days').optional().isInt({ min: 1, max: 365 })
@@ -924,7 +924,7 @@ router.get('/prices/:symbol/history',
  * Update all active stock prices
  */
 router.post('/prices/update-all',
-  auth,
+  householdAuth,
   async (req, res) => {
     try {
       const updateResults = await stockPriceService.updateAllActivePrices();
@@ -949,7 +949,7 @@ router.post('/prices/update-all',
  * Force refresh a specific stock price
  */
 router.post('/prices/:symbol/refresh',
-  auth,
+  householdAuth,
   [
     param('symbol').isString().trim().isLength({ min: 1, max: 10 })
   ],
@@ -986,11 +986,11 @@ router.post('/prices/:symbol/refresh',
  * Get market summary for user's portfolio
  */
 router.get('/market/summary',
-  auth,
+  householdAuth,
   async (req, res) => {
     try {
       // Get user's unique stock symbols
-      const grants = await rsuService.getUserGrants(req.user.id, { status: 'active' });
+      const grants = await rsuService.getUserGrants(req.dataOwnerId, { status: 'active' });
       const userSymbols = [...new Set(grants.map(grant => grant.stockSymbol))];
       
       const marketSummary = await stockPriceService.getMarketSummary(userSymbols);
@@ -1019,7 +1019,7 @@ router.get('/market/summary',
  * Populate historical prices for a symbol
  */
 router.post('/prices/:symbol/historical',
-  auth,
+  householdAuth,
   [
     param('symbol').isString().trim().isLength({ min: 1, max: 10 }),
     body('startDate').isISO8601().toDate(),
@@ -1053,7 +1053,7 @@ router.post('/prices/:symbol/historical',
  * Get price for a specific date
  */
 router.get('/prices/:symbol/date/:date',
-  auth,
+  householdAuth,
   [
     param('symbol').isString().trim().isLength({ min: 1, max: 10 }),
     param('date').isISO8601()
@@ -1098,7 +1098,7 @@ router.get('/prices/:symbol/date/:date',
  * Get portfolio timeline with proper event-driven calculation
  */
 router.get('/timeline',
-  auth,
+  householdAuth,
   [
     query('timeframe').optional().isIn(['1Y', '2Y', '5Y', 'ALL']),
     query('startDate').optional().isISO8601().toDate(),
@@ -1111,9 +1111,9 @@ router.get('/timeline',
       
       let timeline;
       if (timeframe) {
-        timeline = await timelineService.getPortfolioTimelineByTimeframe(req.user.id, timeframe);
+        timeline = await timelineService.getPortfolioTimelineByTimeframe(req.dataOwnerId, timeframe);
       } else {
-        timeline = await timelineService.generatePortfolioTimeline(req.user.id, startDate, endDate);
+        timeline = await timelineService.generatePortfolioTimeline(req.dataOwnerId, startDate, endDate);
       }
       
       res.json({
@@ -1143,10 +1143,10 @@ router.get('/timeline',
  * Validate timeline data integrity
  */
 router.get('/timeline/validate',
-  auth,
+  householdAuth,
   async (req, res) => {
     try {
-      const timeline = await timelineService.generatePortfolioTimeline(req.user.id);
+      const timeline = await timelineService.generatePortfolioTimeline(req.dataOwnerId);
       const validation = timelineService.validateTimeline(timeline);
       
       res.json({
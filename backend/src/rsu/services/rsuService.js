@@ -3,6 +3,7 @@ const { StockPrice } = require('../../investments');
 const vestingService = require('./vestingService');
 const taxCalculationService = require('./taxCalculationService');
 const stockPriceService = require('./stockPriceService');
+const { settingsService } = require('../../settings');
 
 class RSUService {
   /**
@@ -205,7 +206,8 @@ class RSUService {
           sharesAmount: saleData.sharesAmount,
           pricePerShare: saleData.pricePerShare,
           saleDate: new Date(saleData.saleDate)
-        }
+        },
+        await settingsService.getRsuTaxRates(userId)
       );
 
       // Calculate total sale value
@@ -320,6 +322,7 @@ class RSUService {
         
         // Get all sales to calculate available shares
         const allSales = await this.getUserSales(userId);
+        const taxRates = await settingsService.getRsuTaxRates(userId);
         
         for (const grant of grants) {
           try {
@@ -349,7 +352,8 @@ class RSUService {
                   const taxEstimate = taxCalculationService.estimateUnrealizedTaxLiabilityWithPeriod(
                     grant, 
                     availableShares, 
-                    isLongTerm
+                    isLongTerm,
+                    taxRates
                   );
                   
                   vestedPostTaxSummary.totalVestedShares += availableShares;
@@ -639,7 +643,8 @@ class RSUService {
    */
   async getTaxPreview(userId, grantId, sharesAmount, salePrice) {
     try {
-      return await taxCalculationService.previewTaxCalculation(grantId, sharesAmount, salePrice);
+      const taxRates = await settingsService.getRsuTaxRates(userId);
+      return await taxCalculationService.previewTaxCalculation(grantId, sharesAmount, salePrice, new Date(), taxRates);
     } catch (error) {
       throw new Error(`Failed to get tax preview: ${error.message}`);
     }
@@ -1,12 +1,12 @@
 const { RSUGrant, RSUSale } = require('../models');
+const { DEFAULT_RSU_TAX_RATES } = require('../../settings/constants/defaults');
 
 class TaxCalculationService {
   constructor() {
-    // Default Israeli tax rates
+    // Default Israeli tax rates. Users can override the three rates in their
+    // settings; callers pass those in as taxRates.
     this.defaultTaxRates = {
-      wageIncome: 0.65,           // 65% on original grant value
-      capitalGainsLongTerm: 0.25, // 25% on profit after 2 years
-      capitalGainsShortTerm: 0.65, // 65% on profit before 2 years
+      ...DEFAULT_RSU_TAX_RATES,
       twoYearThresholdYears: 2    // 2 years threshold (calculated precisely with Date objects)
     };
   }
@@ -19,7 +19,7 @@ class TaxCalculationService {
    * @returns {Object} Tax calculation breakdown
    */
   async calculateSaleTax(grant, sale, taxRates = null) {
-    const rates = taxRates || this.defaultTaxRates;
+    const rates = { ...this.defaultTaxRates, ...taxRates };
     
     // Calculate proportional grant value for the shares being sold
     const grantValuePerShare = grant.totalValue / grant.totalShares;
@@ -179,7 +179,7 @@ class TaxCalculationService {
    * @param {number} taxRate - Wage income tax rate (default: 65%)
    * @returns {number} Wage income tax amount
    */
-  calculateWageIncomeTax(originalValue, taxRate = 0.65) {
+  calculateWageIncomeTax(originalValue, taxRate = DEFAULT_RSU_TAX_RATES.wageIncome) {
     return Math.round(originalValue * taxRate * 100) / 100;
   }
 
@@ -191,7 +191,12 @@ class TaxCalculationService {
    * @param {number} longTermRate - Long-term capital gains rate (default: 25%)
    * @returns {number} Capital gains tax amount
    */
-  calculateCapitalGainsTax(profit, isLongTerm, shortTermRate = 0.65, longTermRate = 0.25) {
+  calculateCapitalGainsTax(
+    profit,
+    isLongTerm,
+    shortTermRate = DEFAULT_RSU_TAX_RATES.capitalGainsShortTerm,
+    longTermRate = DEFAULT_RSU_TAX_RATES.capitalGainsLongTerm
+  ) {
     if (profit <= 0) return 0; // No tax on losses
     
     const rate = isLongTerm ? longTermRate : shortTermRate;
@@ -343,17 +348,21 @@ class TaxCalculationService {
    * @param {Object} grant - Grant object
    * @param {number} shares - Number of shares to estimate for
    * @param {boolean} isLongTerm - Whether the holding period qualifies for long-term treatment
+   * @param {Object} taxRates - Custom tax rates (optional)
    * @returns {Object} Estimated tax liability
    */
-  estimateUnrealizedTaxLiabilityWithPeriod(grant, shares, isLongTerm) {
+  estimateUnrealizedTaxLiabilityWithPeriod(grant, shares, isLongTerm, taxRates = null) {
+    const rates = { ...this.defaultTaxRates, ...taxRates };
     const grantValuePerShare = grant.totalValue / grant.totalShares;
     const originalValue = shares * grantValuePerShare;
     const currentValue = shares * (grant.currentPrice || grant.pricePerShare);
     const profit = currentValue - originalValue;
     
     // Use appropriate tax rates based on holding period
-    const wageIncomeTax = this.calculateWageIncomeTax(originalValue);
-    const capitalGainsTax = this.calculateCapitalGainsTax(profit, isLongTerm);
+    const wageIncomeTax = this.calculateWageIncomeTax(originalValue, rates.wageIncome);
+    const capitalGainsTax = this.calculateCapitalGainsTax(
+      profit, isLongTerm, rates.capitalGainsShortTerm, rates.capitalGainsLongTerm
+    );
     const totalTax = wageIncomeTax + capitalGainsTax;
     const netValue = currentValue - totalTax;
     
@@ -368,7 +377,7 @@ class TaxCalculationService {
       assumptions: {
         longTermHolding: isLongTerm,
         currentPrice: grant.currentPrice || grant.pricePerShare,
-        capitalGainsRate: isLongTerm ? 0.25 : 0.65
+        capitalGainsRate: isLongTerm ? rates.capitalGainsLongTerm : rates.capitalGainsShortTerm
       }
     };
   }
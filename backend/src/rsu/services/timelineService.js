@@ -1,6 +1,7 @@
 const { RSUGrant, RSUSale } = require('../models');
 const taxCalculationService = require('./taxCalculationService');
 const stockPriceService = require('./stockPriceService');
+const { settingsService, DEFAULT_RSU_TAX_RATES } = require('../../settings');
 
 class TimelineService {
   /**
@@ -15,6 +16,7 @@ class TimelineService {
       // Get all user grants and sales
       const grants = await RSUGrant.getUserGrants(userId, { status: 'active' });
       const sales = await RSUSale.getUserSales(userId);
+      const taxRates = await settingsService.getRsuTaxRates(userId);
 
       if (grants.length === 0) {
         return [];
@@ -29,7 +31,7 @@ class TimelineService {
       
       // Generate timeline for each grant first to find the latest event
       const grantTimelines = await Promise.all(
-        grants.map(grant => this.generateGrantTimeline(grant, sales))
+        grants.map(grant => this.generateGrantTimeline(grant, sales, taxRates))
       );
 
       // Find the latest event date across all grants
@@ -94,7 +96,7 @@ class TimelineService {
    * @param {Array} allSales - All user sales to filter for this grant
    * @returns {Array} Grant timeline events
    */
-  async generateGrantTimeline(grant, allSales) {
+  async generateGrantTimeline(grant, allSales, taxRates = DEFAULT_RSU_TAX_RATES) {
     const grantId = grant._id.toString();
     const grantSales = allSales.filter(sale => {
       const saleGrantId = typeof sale.grantId === 'string' ? sale.grantId : sale.grantId._id;
@@ -145,7 +147,7 @@ class TimelineService {
       
       // Use the proper tax calculation service
       try {
-        eventTaxCalculation = await taxCalculationService.calculateSaleTax(grant, tempSale);
+        eventTaxCalculation = await taxCalculationService.calculateSaleTax(grant, tempSale, taxRates);
       } catch (error) {
         console.error(`Error calculating taxes for vesting event:`, error);
         // Fallback to basic calculation if service fails
@@ -153,9 +155,11 @@ class TimelineService {
           originalValue: eventOriginalValue,
           profit: eventGrossValue - eventOriginalValue,
           isLongTerm: vestDate.getTime() - new Date(grant.grantDate).getTime() >= (2 * 365 * 24 * 60 * 60 * 1000),
-          wageIncomeTax: eventOriginalValue * 0.65,
+          wageIncomeTax: eventOriginalValue * taxRates.wageIncome,
           capitalGainsTax: Math.max(0, eventGrossValue - eventOriginalValue) * 
-            (vestDate.getTime() - new Date(grant.grantDate).getTime() >= (2 * 365 * 24 * 60 * 60 * 1000) ? 0.25 : 0.65),
+            (vestDate.getTime() - new Date(grant.grantDate).getTime() >= (2 * 365 * 24 * 60 * 60 * 1000)
+              ? taxRates.capitalGainsLongTerm
+              : taxRates.capitalGainsShortTerm),
           totalTax: 0,
           netValue: 0
         };
@@ -226,7 +230,8 @@ class TimelineService {
           event,
           accumulatedVestedShares,
           originalValue,
-          currentValue
+          currentValue,
+          taxRates
         );
       } else {
         taxDetails = {
@@ -255,9 +260,10 @@ class TimelineService {
    * @param {number} shares - Number of shares held
    * @param {number} originalValue - Original grant value for these shares
    * @param {number} currentValue - Current market value
+   * @param {Object} taxRates - The owner's RSU tax rates
    * @returns {Object} Tax calculation details
    */
-  calculateAccumulatedTaxLiability(event, shares, originalValue, currentValue) {
+  calculateAccumulatedTaxLiability(event, shares, originalValue, currentValue, taxRates = DEFAULT_RSU_TAX_RATES) {
     const profit = currentValue - originalValue;
     
     // Determine if long-term (2+ years from grant date)
@@ -266,8 +272,8 @@ class TimelineService {
     const isLongTerm = holdingPeriodMs >= twoYearsMs;
 
     // Calculate taxes based on Israeli tax rules
-    const wageIncomeTax = originalValue * 0.65; // 65% on original value
-    const capitalGainsTaxRate = isLongTerm ? 0.25 : 0.65;
+    const wageIncomeTax = originalValue * taxRates.wageIncome;
+    const capitalGainsTaxRate = isLongTerm ? taxRates.capitalGainsLongTerm : taxRates.capitalGainsShortTerm;
     const capitalGainsTax = Math.max(0, profit) * capitalGainsTaxRate;
     const totalTax = wageIncomeTax + capitalGainsTax;
     const netValue = currentValue - totalTax;
@@ -0,0 +1,150 @@
+const { compileRule, evaluate, hasConditions, hasActions, dayOfMonth, RuleError } = require('../services/ruleEngine');
+
+const transaction = (fields = {}) => ({
+  description: 'AROMA TEL AVIV',
+  memo: null,
+  amount: -24,
+  currency: 'ILS',
+  // Midnight on 15 March in Israel
+  date: new Date('2026-03-14T22:00:00.000Z'),
+  accountId: 'account-1',
+  creditCardId: null,
+  rawData: {},
+  ...fields
+});
+
+const rule = (conditions, actions = { tagIds: ['tag-1'] }, fields = {}) =>
+  compileRule({ _id: fields.id || 'rule-1', name: fields.name || 'Rule', conditions, actions, ...fields });
+
+describe('ruleEngine', () => {
+  describe('conditions', () => {
+    it('matches description patterns case-insensitively', () => {
+      expect(rule({ descriptionPattern: 'aroma' }).test(transaction())).toBe(true);
+      expect(rule({ descriptionPattern: '^cofix' }).test(transaction())).toBe(false);
+    });
+
+    it('reads the memo from rawData when the transaction has none of its own', () => {
+      const test = rule({ memoPattern: 'standing order' }).test;
+
+      expect(test(transaction({ rawData: { memo: 'Standing order 12' } }))).toBe(true);
+      expect(test(transaction())).toBe(false);
+    });
+
+    it('compares the size of the amount whichever way the money moved', () => {
+      const test = rule({ amountMin: 20, amountMax: 30 }).test;
+
+      expect(test(transaction({ amount: -24 }))).toBe(true);
+      expect(test(transaction({ amount: 24 }))).toBe(true);
+      expect(test(transaction({ amount: -31 }))).toBe(false);
+      expect(test(transaction({ amount: -19.99 }))).toBe(false);
+    });
+
+    it('restricts to accounts, cards and currencies', () => {
+      expect(rule({ accountIds: ['account-2'] }).test(transaction())).toBe(false);
+      expect(rule({ accountIds: ['account-1'] }).test(transaction())).toBe(true);
+      expect(rule({ creditCardIds: ['card-1'] }).test(transaction({ creditCardId: 'card-1' }))).toBe(true);
+      expect(rule({ creditCardIds: ['card-1'] }).test(transaction())).toBe(false);
+      expect(rule({ currencies: ['usd'] }).test(transaction({ currency: 'USD' }))).toBe(true);
+      expect(rule({ currencies: ['USD'] }).test(transaction())).toBe(false);
+    });
+
+    it('reads the day of the month in Israel time', () => {
+      expect(dayOfMonth(transaction().date)).toBe(15);
+      expect(rule({ dayOfMonthFrom: 15, dayOfMonthTo: 15 }).test(transaction())).toBe(true);
+      expect(rule({ dayOfMonthFrom: 1, dayOfMonthTo: 14 }).test(transaction())).toBe(false);
+    });
+
+    it('wraps a day range that runs past the end of the month', () => {
+      const test = rule({ dayOfMonthFrom: 28, dayOfMonthTo: 3 }).test;
+
+      expect(test(transaction({ date: new Date('2026-03-30T10:00:00Z') }))).toBe(true);
+      expect(test(transaction({ date: new Date('2026-04-02T10:00:00Z') }))).toBe(true);
+      expect(test(transaction({ date: new Date('2026-04-10T10:00:00Z') }))).toBe(false);
+    });
+
+    it('needs every condition it sets to hold', () => {
+      const test = rule({ descriptionPattern: 'aroma', amountMax: 10 }).test;
+
+      expect(test(transaction())).toBe(false);
+    });
+
+    it('refuses a pattern that is not a regular expression', () => {
+      expect(() => rule({ descriptionPattern: '(unclosed' })).toThrow(RuleError);
+      expect(() => rule({ descriptionPattern: '(unclosed' })).toThrow(/Description pattern/);
+    });
+  });
+
+  describe('evaluate', () => {
+    const category = (id, name) => rule(
+      { descriptionPattern: 'aroma' },
+      { categoryId: id, subCategoryId: `${id}-sub` },
+      { id: name, name }
+    );
+
+    it('returns nothing when no rule matches', () => {
+      expect(evaluate([rule({ descriptionPattern: 'cofix' })], transaction())).toBeNull();
+    });
+
+    it('lets the first rule to name a category set it', () => {
+      const outcome = evaluate([category('cat-1', 'First'), category('cat-2', 'Second')], transaction());
+
+      expect(outcome.category).toEqual({ categoryId: 'cat-1', subCategoryId: 'cat-1-sub', ruleName: 'First' });
+      expect(outcome.ruleIds).toEqual(['First', 'Second']);
+    });
+
+    it('lets a split decide the category when it comes first', () => {
+      const split = rule({ descriptionPattern: 'aroma' }, {
+        split: [
+          { percentage: 70, categoryId: 'cat-1', subCategoryId: 'sub-1', tagIds: ['trip'] },
+          { percentage: 30, categoryId: 'cat-2', subCategoryId: null }
+        ]
+      }, { id: 'split', name: 'Split' });
+
+      const outcome = evaluate([split, category('cat-3', 'Third')], transaction());
+
+      expect(outcome.category).toEqual({
+        split: [
+          { percentage: 70, categoryId: 'cat-1', subCategoryId: 'sub-1', tagIds: ['trip'] },
+          { percentage: 30, categoryId: 'cat-2', subCategoryId: null, tagIds: [] }
+        ],
+        ruleName: 'Split'
+      });
+      expect(evaluate([category('cat-3', 'Third'), split], transaction()).category.categoryId).toBe('cat-3');
+    });
+
+    it('adds the tags of every matching rule once', () => {
+      const outcome = evaluate([
+        rule({ descriptionPattern: 'aroma' }, { tagIds: ['a', 'b'] }, { id: 'one' }),
+        rule({ amountMax: 100 }, { tagIds: ['b', 'c'] }, { id: 'two' })
+      ], transaction());
+
+      expect(outcome.tagIds).toEqual(['a', 'b', 'c']);
+    });
+
+    it('gives an exclusion a reason even when the rule has none', () => {
+      const outcome = evaluate([
+        rule({ descriptionPattern: 'aroma' }, { excludeFromBudget: true }, { name: 'Reimbursed' })
+      ], transaction());
+
+      expect(outcome.exclusion).toEqual({ reason: 'Excluded by rule "Reimbursed"', ruleName: 'Reimbursed' });
+    });
+
+    it('stops after a matching rule that says so', () => {
+      const outcome = evaluate([
+        rule({ descriptionPattern: 'aroma' }, { tagIds: ['a'] }, { id: 'one', stopProcessing: true }),
+        rule({ descriptionPattern: 'aroma' }, { tagIds: ['b'] }, { id: 'two' })
+      ], transaction());
+
+      expect(outcome.ruleIds).toEqual(['one']);
+      expect(outcome.tagIds).toEqual(['a']);
+    });
+  });
+
+  it('knows a rule with nothing to match or nothing to do', () => {
+    expect(hasConditions({ accountIds: [], descriptionPattern: '' })).toBe(false);
+    expect(hasConditions({ amountMin: 0 })).toBe(true);
+    expect(hasActions({ tagIds: [], excludeFromBudget: false })).toBe(false);
+    expect(hasActions({ excludeFromBudget: true })).toBe(true);
+    expect(hasActions({ split: [{ percentage: 100, categoryId: 'cat-1' }] })).toBe(true);
+  });
+});
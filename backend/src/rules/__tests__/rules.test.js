@@ -0,0 +1,243 @@
+// Mock queuedDataSyncService BEFORE any imports to avoid Redis dependency
+jest.mock('../../banking/services/queuedDataSyncService');
+
+const request = require('supertest');
+const app = require('../../app');
+const { User } = require('../../auth');
+const {
+  BankAccount, Transaction, TransactionExclusion, Category, SubCategory, Tag
+} = require('../../banking/models');
+const { CategorizationMethod } = require('../../banking/constants/enums');
+const scrapingQueue = require('../../shared/services/scrapingQueue');
+const { TransactionRule } = require('../models');
+const ruleService = require('../services/ruleService');
+const { createTestUser } = require('../../test/testUtils');
+
+describe('Rules', () => {
+  let user;
+  let token;
+  let account;
+  let food;
+  let coffee;
+  let tag;
+
+  const as = (sessionToken) => ({ Authorization: `Bearer ${sessionToken}` });
+
+  const makeTransaction = (description, fields = {}) => Transaction.create({
+    identifier: `tx-${Math.random()}`,
+    accountId: account._id,
+    userId: user._id,
+    amount: -24,
+    currency: 'ILS',
+    date: new Date(),
+    description,
+    rawData: {},
+    ...fields
+  });
+
+  const coffeeRule = (fields = {}) => ({
+    name: 'Coffee',
+    conditions: { descriptionPattern: 'aroma|cofix' },
+    actions: { categoryId: food._id, subCategoryId: coffee._id },
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      TransactionRule.deleteMany({}), Transaction.deleteMany({}), TransactionExclusion.deleteMany({}),
+      BankAccount.deleteMany({}), Category.deleteMany({}), SubCategory.deleteMany({}), Tag.deleteMany({})
+    ]);
+    ({ user, token } = await createTestUser(User, { email: 'rules@example.com' }));
+    account = await BankAccount.create({ userId: user._id, bankId: 'file-import', name: 'Checking', status: 'active' });
+    food = await Category.create({ name: 'Food', type: 'Expense', userId: user._id });
+    coffee = await SubCategory.create({ name: 'Coffee', parentCategory: food._id, userId: user._id, keywords: [] });
+    tag = await Tag.create({ name: 'reimbursable', userId: user._id });
+    scrapingQueue.__reset();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({ email: { $in: ['rules@example.com', 'other@example.com'] } });
+  });
+
+  describe('CRUD', () => {
+    it('creates rules at the end of the list and returns them in order', async () => {
+      await request(app).post('/api/rules').set(as(token)).send(coffeeRule()).expect(201);
+      await request(app).post('/api/rules').set(as(token))
+        .send({ name: 'Work', conditions: { amountMin: 500 }, actions: { tagIds: [tag._id] } })
+        .expect(201);
+
+      const res = await request(app).get('/api/rules').set(as(token)).expect(200);
+
+      expect(res.body.data.map(rule => [rule.name, rule.priority])).toEqual([['Coffee', 0], ['Work', 1]]);
+    });
+
+    it('refuses a rule that matches everything or does nothing', async () => {
+      const everything = await request(app).post('/api/rules').set(as(token))
+        .send(coffeeRule({ conditions: {} })).expect(400);
+      const nothing = await request(app).post('/api/rules').set(as(token))
+        .send(coffeeRule({ actions: {} })).expect(400);
+
+      expect(everything.body.code).toBe('NO_CONDITIONS');
+      expect(nothing.body.code).toBe('NO_ACTIONS');
+    });
+
+    it('refuses a pattern that is not a regular expression', async () => {
+      const res = await request(app).post('/api/rules').set(as(token))
+        .send(coffeeRule({ conditions: { descriptionPattern: '(aroma' } })).expect(400);
+
+      expect(res.body.code).toBe('INVALID_PATTERN');
+    });
+
+    it('refuses another user\'s category and an expense without a subcategory', async () => {
+      const { user: other } = await createTestUser(User, { email: 'other@example.com' });
+      const theirs = await Category.create({ name: 'Food', type: 'Expense', userId: other._id });
+
+      const foreign = await request(app).post('/api/rules').set(as(token))
+        .send(coffeeRule({ actions: { categoryId: theirs._id } })).expect(400);
+      const partial = await request(app).post('/api/rules').set(as(token))
+        .send(coffeeRule({ actions: { categoryId: food._id } })).expect(400);
+
+      expect(foreign.body.code).toBe('UNKNOWN_REFERENCE');
+      expect(partial.body.code).toBe('SUBCATEGORY_REQUIRED');
+    });
+
+    it('updates and deletes a rule', async () => {
+      const created = await request(app).post('/api/rules').set(as(token)).send(coffeeRule()).expect(201);
+      const id = created.body.data._id;
+
+      const updated = await request(app).put(`/api/rules/${id}`).set(as(token))
+        .send({ enabled: false, conditions: { descriptionPattern: 'cofix' } })
+        .expect(200);
+      expect(updated.body.data).toMatchObject({ enabled: false, conditions: { descriptionPattern: 'cofix' } });
+
+      await request(app).delete(`/api/rules/${id}`).set(as(token)).expect(200);
+      await request(app).delete(`/api/rules/${id}`).set(as(token)).expect(404);
+    });
+  });
+
+  describe('preview', () => {
+    it('lists the past transactions a draft would match without changing them', async () => {
+      await makeTransaction('AROMA TEL AVIV');
+      await makeTransaction('Cofix', { category: food._id, subCategory: coffee._id });
+      await makeTransaction('Supermarket');
+
+      const res = await request(app).post('/api/rules/preview').set(as(token))
+        .send({ conditions: { descriptionPattern: 'aroma|cofix' } })
+        .expect(200);
+
+      expect(res.body.data).toMatchObject({ scanned: 3, matched: 2 });
+      const cofix = res.body.data.transactions.find(transaction => transaction.description === 'Cofix');
+      expect(cofix).toMatchObject({ category: 'Food', subCategory: 'Coffee', categorizedByHand: true });
+      expect(await Transaction.countDocuments({ category: { $exists: true, $ne: null } })).toBe(1);
+    });
+  });
+
+  describe('re-applying to past transactions', () => {
+    it('queues a job on the scraping queue', async () => {
+      const res = await request(app).post('/api/rules/apply').set(as(token)).send({ months: 6 }).expect(202);
+
+      expect(res.body.data.jobId).toBeDefined();
+      expect(scrapingQueue.jobs).toEqual([
+        { jobType: 'apply-transaction-rules', jobData: expect.objectContaining({ userId: user._id.toString() }) }
+      ]);
+    });
+
+    it('categorises, tags and excludes, but keeps categories set by hand', async () => {
+      const other = await Category.create({ name: 'Treats', type: 'Expense', userId: user._id });
+      const treats = await SubCategory.create({ name: 'Treats', parentCategory: other._id, userId: user._id, keywords: [] });
+      await ruleService.create(user._id, coffeeRule());
+      await ruleService.create(user._id, {
+        name: 'Reimbursed',
+        conditions: { descriptionPattern: 'aroma' },
+        actions: { tagIds: [tag._id], excludeFromBudget: true, exclusionReason: 'Paid back by work' }
+      });
+      const ai = await makeTransaction('AROMA', {
+        category: other._id, subCategory: treats._id, categorizationMethod: CategorizationMethod.AI
+      });
+      const byHand = await makeTransaction('Cofix', {
+        category: other._id, subCategory: treats._id, categorizationMethod: CategorizationMethod.MANUAL
+      });
+      const old = await makeTransaction('AROMA', { date: new Date('2020-01-01') });
+
+      const results = await ruleService.processReapply({
+        userId: user._id,
+        since: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString()
+      });
+
+      expect(results).toEqual({ scanned: 2, matched: 2, updated: 1, failed: 0 });
+
+      const recategorized = await Transaction.findById(ai._id);
+      expect(recategorized).toMatchObject({
+        categorizationMethod: CategorizationMethod.RULE,
+        excludeFromBudgetCalculation: true,
+        exclusionReason: 'Paid back by work'
+      });
+      expect(String(recategorized.subCategory)).toBe(String(coffee._id));
+      expect(recategorized.tags.map(String)).toEqual([String(tag._id)]);
+      expect(await TransactionExclusion.countDocuments({ transactionId: ai._id })).toBe(1);
+
+      expect(String((await Transaction.findById(byHand._id)).subCategory)).toBe(String(treats._id));
+      expect((await Transaction.findById(old._id)).category).toBeUndefined();
+      expect((await TransactionRule.findOne({ name: 'Coffee' })).matchCount).toBe(2);
+    });
+
+    it('leaves alone a rule whose category was deleted', async () => {
+      await ruleService.create(user._id, coffeeRule());
+      await Category.deleteOne({ _id: food._id });
+      const transaction = await makeTransaction('AROMA');
+
+      await ruleService.processReapply({ userId: user._id, since: new Date(0).toISOString() });
+
+      expect((await Transaction.findById(transaction._id)).category).toBeUndefined();
+    });
+
+    it('splits a transaction between the shares of a split rule', async () => {
+      const home = await Category.create({ name: 'Home', type: 'Expense', userId: user._id });
+      const cleaning = await SubCategory.create({ name: 'Cleaning', parentCategory: home._id, userId: user._id, keywords: [] });
+      await ruleService.create(user._id, coffeeRule({
+        name: 'Supermarket',
+        conditions: { descriptionPattern: 'shufersal' },
+        actions: {
+          split: [
+            { percentage: 70, categoryId: food._id, subCategoryId: coffee._id },
+            { percentage: 30, categoryId: home._id, subCategoryId: cleaning._id, tagIds: [tag._id] }
+          ]
+        }
+      }));
+      const transaction = await makeTransaction('SHUFERSAL DEAL', { amount: -100.01 });
+
+      await ruleService.processReapply({ userId: user._id, since: new Date(0).toISOString() });
+
+      const saved = await Transaction.findById(transaction._id);
+      expect(saved.splits.map(part => [part.amount, String(part.category)])).toEqual([
+        [-70.01, String(food._id)],
+        [-30, String(home._id)]
+      ]);
+      expect(saved.splits[1].tags.map(String)).toEqual([String(tag._id)]);
+      expect(String(saved.category)).toBe(String(food._id));
+      expect(saved.categorizationMethod).toBe(CategorizationMethod.RULE);
+    });
+
+    it('refuses a split whose shares do not add up to 100%', async () => {
+      const res = await request(app).post('/api/rules').set(as(token)).send(coffeeRule({
+        actions: {
+          split: [
+            { percentage: 60, categoryId: food._id, subCategoryId: coffee._id },
+            { percentage: 30, categoryId: food._id, subCategoryId: coffee._id }
+          ]
+        }
+      })).expect(400);
+
+      expect(res.body.code).toBe('INVALID_SPLIT');
+    });
+  });
+
+  it('keeps rules to the household\'s books', async () => {
+    await ruleService.create(user._id, coffeeRule());
+    const { token: otherToken } = await createTestUser(User, { email: 'other@example.com' });
+
+    const res = await request(app).get('/api/rules').set(as(otherToken)).expect(200);
+
+    expect(res.body.data).toEqual([]);
+  });
+});
@@ -0,0 +1,19 @@
+// Patterns are user-written regular expressions run against every transaction
+// a scrape brings in, so their size is capped to keep a bad one cheap.
+const MAX_PATTERN_LENGTH = 200;
+
+const MAX_RULES_PER_USER = 200;
+
+// How far back "test against history" looks unless told otherwise, and the
+// most it may be told.
+const DEFAULT_PREVIEW_MONTHS = 12;
+const MAX_PREVIEW_MONTHS = 120;
+const PREVIEW_SAMPLE_SIZE = 50;
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  MAX_RULES_PER_USER,
+  DEFAULT_PREVIEW_MONTHS,
+  MAX_PREVIEW_MONTHS,
+  PREVIEW_SAMPLE_SIZE
+};
@@ -0,0 +1,15 @@
+// Rules subsystem public interface
+
+// Models (used by other subsystems)
+const { TransactionRule } = require('./models');
+
+// Services (used by other subsystems)
+const ruleService = require('./services/ruleService');
+
+module.exports = {
+  // Models
+  TransactionRule,
+
+  // Services
+  ruleService
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { MAX_PATTERN_LENGTH } = require('../constants/limits');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// Every condition is optional, and a rule matches when all the ones it sets
+// hold. The service refuses a rule that sets none, which would match
+// everything.
+const conditionsSchema = new mongoose.Schema({
+  // Case-insensitive regular expressions
+  descriptionPattern: { type: String, trim: true, maxlength: MAX_PATTERN_LENGTH, default: null },
+  memoPattern: { type: String, trim: true, maxlength: MAX_PATTERN_LENGTH, default: null },
+  // Compared with the size of the amount, whichever way the money moved
+  amountMin: { type: Number, min: 0, default: null },
+  amountMax: { type: Number, min: 0, default: null },
+  accountIds: [{ type: ObjectId, ref: 'BankAccount' }],
+  creditCardIds: [{ type: ObjectId, ref: 'CreditCard' }],
+  currencies: [{ type: String, uppercase: true, trim: true }],
+  // Day of the month in Israel time. A range whose start is after its end
+  // wraps past the month's end, so 28 to 3 catches a salary paid around it.
+  dayOfMonthFrom: { type: Number, min: 1, max: 31, default: null },
+  dayOfMonthTo: { type: Number, min: 1, max: 31, default: null }
+}, { _id: false });
+
+// One share of a split: the transaction is divided by percentage, and each
+// part gets its own category and tags.
+const splitShareSchema = new mongoose.Schema({
+  percentage: { type: Number, required: true, min: 0.01, max: 100 },
+  categoryId: { type: ObjectId, ref: 'Category', required: true },
+  subCategoryId: { type: ObjectId, ref: 'SubCategory', default: null },
+  tagIds: [{ type: ObjectId, ref: 'Tag' }]
+}, { _id: false });
+
+const actionsSchema = new mongoose.Schema({
+  categoryId: { type: ObjectId, ref: 'Category', default: null },
+  subCategoryId: { type: ObjectId, ref: 'SubCategory', default: null },
+  tagIds: [{ type: ObjectId, ref: 'Tag' }],
+  excludeFromBudget: { type: Boolean, default: false },
+  exclusionReason: { type: String, trim: true, maxlength: 200, default: null },
+  // Instead of one category, divide the transaction between these
+  split: { type: [splitShareSchema], default: undefined }
+}, { _id: false });
+
+/**
+ * A user-defined rule: conditions on a transaction and what to do to the ones
+ * that meet them. Rules run before the categorisation cascade, in `priority`
+ * order.
+ */
+const transactionRuleSchema = new mongoose.Schema({
+  userId: {
+    type: ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Lower runs first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Leave the transaction to no further rules once this one matched
+  stopProcessing: {
+    type: Boolean,
+    default: false
+  },
+  conditions: {
+    type: conditionsSchema,
+    default: () => ({})
+  },
+  actions: {
+    type: actionsSchema,
+    default: () => ({})
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+transactionRuleSchema.index({ userId: 1, priority: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TransactionRule', transactionRuleSchema);
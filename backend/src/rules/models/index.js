@@ -0,0 +1,5 @@
+const TransactionRule = require('./TransactionRule');
+
+module.exports = {
+  TransactionRule
+};
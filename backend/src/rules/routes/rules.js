@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const logger = require('../../shared/utils/logger');
+const ruleService = require('../services/ruleService');
+const { RuleError } = require('../services/ruleService');
+const { MAX_PATTERN_LENGTH, MAX_PREVIEW_MONTHS } = require('../constants/limits');
+const { MAX_SPLITS } = require('../../banking/services/transactionSplitService');
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof RuleError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+const optionalNumber = (field, options) => body(field).optional({ nullable: true }).isFloat(options).toFloat();
+const optionalDay = (field) => body(field).optional({ nullable: true }).isInt({ min: 1, max: 31 }).toInt();
+const idList = (field) => [
+  body(field).optional().isArray({ max: 50 }),
+  body(`${field}.*`).isMongoId()
+];
+
+const conditionValidators = [
+  body('conditions').optional().isObject(),
+  body('conditions.descriptionPattern').optional({ nullable: true }).isString().isLength({ max: MAX_PATTERN_LENGTH }),
+  body('conditions.memoPattern').optional({ nullable: true }).isString().isLength({ max: MAX_PATTERN_LENGTH }),
+  optionalNumber('conditions.amountMin', { min: 0 }),
+  optionalNumber('conditions.amountMax', { min: 0 }),
+  ...idList('conditions.accountIds'),
+  ...idList('conditions.creditCardIds'),
+  body('conditions.currencies').optional().isArray({ max: 20 }),
+  body('conditions.currencies.*').isString().isLength({ min: 3, max: 3 }),
+  optionalDay('conditions.dayOfMonthFrom'),
+  optionalDay('conditions.dayOfMonthTo')
+];
+
+const actionValidators = [
+  body('actions').optional().isObject(),
+  body('actions.categoryId').optional({ nullable: true }).isMongoId(),
+  body('actions.subCategoryId').optional({ nullable: true }).isMongoId(),
+  ...idList('actions.tagIds'),
+  body('actions.excludeFromBudget').optional().isBoolean().toBoolean(),
+  body('actions.exclusionReason').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+  body('actions.split').optional({ nullable: true }).isArray({ max: MAX_SPLITS }),
+  body('actions.split.*.percentage').isFloat({ gt: 0, max: 100 }).toFloat(),
+  body('actions.split.*.categoryId').isMongoId(),
+  body('actions.split.*.subCategoryId').optional({ nullable: true }).isMongoId(),
+  ...idList('actions.split.*.tagIds')
+];
+
+const ruleValidators = (required) => [
+  (required ? body('name') : body('name').optional()).isString().trim().isLength({ min: 1, max: 100 }),
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('priority').optional().isInt({ min: -10000, max: 10000 }).toInt(),
+  body('stopProcessing').optional().isBoolean().toBoolean(),
+  ...conditionValidators,
+  ...actionValidators
+];
+
+const monthsValidator = body('months').optional().isInt({ min: 1, max: MAX_PREVIEW_MONTHS }).toInt();
+
+/**
+ * GET /api/rules
+ * The user's rules in the order they run.
+ */
+router.get('/', householdAuth, async (req, res) => {
+  try {
+    const rules = await ruleService.list(req.dataOwnerId);
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    sendError(res, error, 'Failed to load rules');
+  }
+});
+
+/**
+ * POST /api/rules
+ * Adds a rule. It runs on transactions brought in from now on; past ones
+ * change only when the rules are re-applied.
+ */
+router.post('/', householdAuth, ruleValidators(true), handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await ruleService.create(req.dataOwnerId, req.body);
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error, 'Failed to create rule');
+  }
+});
+
+/**
+ * POST /api/rules/preview
+ * Tests conditions, saved or not, against past transactions and returns the
+ * ones they match. Changes nothing, so household viewers may use it too.
+ */
+router.post('/preview',
+  householdAuth.allowViewers,
+  [...conditionValidators, ...actionValidators, monthsValidator],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const preview = await ruleService.preview(req.dataOwnerId, req.body, { months: req.body.months });
+      res.json({ success: true, data: preview });
+    } catch (error) {
+      sendError(res, error, 'Failed to test rule');
+    }
+  }
+);
+
+/**
+ * POST /api/rules/apply
+ * Queues re-applying the rules to past transactions. Categories the user set
+ * by hand are kept.
+ */
+router.post('/apply',
+  householdAuth,
+  [
+    body('ruleIds').optional().isArray({ min: 1, max: 200 }),
+    body('ruleIds.*').isMongoId(),
+    monthsValidator
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const jobId = await ruleService.enqueueReapply(req.dataOwnerId, {
+        ruleIds: req.body.ruleIds,
+        months: req.body.months
+      });
+      res.status(202).json({ success: true, data: { jobId } });
+    } catch (error) {
+      sendError(res, error, 'Failed to queue re-applying rules');
+    }
+  }
+);
+
+/**
+ * PUT /api/rules/:id
+ * Changes a rule. `conditions` and `actions` are replaced whole when given.
+ */
+router.put('/:id',
+  householdAuth,
+  [param('id').isMongoId(), ...ruleValidators(false)],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rule = await ruleService.update(req.dataOwnerId, req.params.id, req.body);
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      sendError(res, error, 'Failed to update rule');
+    }
+  }
+);
+
+/**
+ * DELETE /api/rules/:id
+ */
+router.delete('/:id', householdAuth, [param('id').isMongoId()], handleValidationErrors, async (req, res) => {
+  try {
+    await ruleService.remove(req.dataOwnerId, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete rule');
+  }
+});
+
+module.exports = router;
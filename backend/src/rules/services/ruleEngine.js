@@ -0,0 +1,174 @@
+/**
+ * Matching transactions against rules, with no database access: the service
+ * loads the rules and the transactions, this decides what applies.
+ */
+
+class RuleError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'RuleError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Scraped dates are midnight in Israel, which is the evening before in UTC,
+// so the day a user sees on their statement is the day in Israel time.
+const israelDayFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'Asia/Jerusalem',
+  day: 'numeric'
+});
+
+const dayOfMonth = (date) => Number(israelDayFormatter.format(new Date(date)));
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const idSet = (ids = []) => new Set(ids.map(String));
+
+const compilePattern = (pattern, field) => {
+  if (!isSet(pattern)) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new RuleError('INVALID_PATTERN', `${field} is not a valid regular expression: ${error.message}`);
+  }
+};
+
+const hasConditions = (conditions = {}) => Boolean(
+  isSet(conditions.descriptionPattern) ||
+  isSet(conditions.memoPattern) ||
+  isSet(conditions.amountMin) ||
+  isSet(conditions.amountMax) ||
+  conditions.accountIds?.length ||
+  conditions.creditCardIds?.length ||
+  conditions.currencies?.length ||
+  isSet(conditions.dayOfMonthFrom) ||
+  isSet(conditions.dayOfMonthTo)
+);
+
+const hasActions = (actions = {}) => Boolean(
+  actions.categoryId ||
+  actions.split?.length ||
+  actions.tagIds?.length ||
+  actions.excludeFromBudget
+);
+
+const inDayRange = (day, from, to) => {
+  if (isSet(from) && isSet(to) && from > to) {
+    return day >= from || day <= to;
+  }
+  return (!isSet(from) || day >= from) && (!isSet(to) || day <= to);
+};
+
+/**
+ * Turns a stored rule into something that can be tested against many
+ * transactions, compiling its patterns once.
+ *
+ * @param {Object} rule - A TransactionRule, or a draft with the same shape
+ * @returns {{ id: string|null, name: string, stopProcessing: boolean, actions: Object, test: Function }}
+ */
+function compileRule(rule) {
+  const conditions = rule.conditions || {};
+  const description = compilePattern(conditions.descriptionPattern, 'Description pattern');
+  const memo = compilePattern(conditions.memoPattern, 'Memo pattern');
+  const accounts = idSet(conditions.accountIds);
+  const creditCards = idSet(conditions.creditCardIds);
+  const currencies = new Set((conditions.currencies || []).map(currency => currency.toUpperCase()));
+  const { amountMin, amountMax, dayOfMonthFrom, dayOfMonthTo } = conditions;
+
+  const test = (transaction) => {
+    if (description && !description.test(transaction.description || '')) return false;
+    if (memo && !memo.test(transaction.memo || transaction.rawData?.memo || '')) return false;
+
+    const amount = Math.abs(Number(transaction.amount) || 0);
+    if (isSet(amountMin) && amount < amountMin) return false;
+    if (isSet(amountMax) && amount > amountMax) return false;
+
+    if (accounts.size && !accounts.has(String(transaction.accountId))) return false;
+    if (creditCards.size && !creditCards.has(String(transaction.creditCardId))) return false;
+    if (currencies.size && !currencies.has(String(transaction.currency || '').toUpperCase())) return false;
+
+    if ((isSet(dayOfMonthFrom) || isSet(dayOfMonthTo)) &&
+        !inDayRange(dayOfMonth(transaction.date), dayOfMonthFrom, dayOfMonthTo)) {
+      return false;
+    }
+    return true;
+  };
+
+  return {
+    id: rule._id ? String(rule._id) : null,
+    name: rule.name,
+    stopProcessing: Boolean(rule.stopProcessing),
+    actions: rule.actions || {},
+    test
+  };
+}
+
+/**
+ * Works out what the matching rules would do to a transaction.
+ *
+ * Rules are taken in the order given. The first one to name a category, or to
+ * split the transaction between several, decides it; the first to exclude the transaction gives the reason, and tags from
+ * every matching rule are added. A rule marked `stopProcessing` ends the run
+ * once it has matched.
+ *
+ * @param {Array} compiledRules - From compileRule, in priority order
+ * @param {Object} transaction
+ * @returns {Object|null} The outcome, or null when no rule matched
+ */
+function evaluate(compiledRules, transaction) {
+  let outcome = null;
+
+  for (const rule of compiledRules) {
+    if (!rule.test(transaction)) continue;
+
+    outcome = outcome || {
+      ruleIds: [],
+      category: null,
+      tagIds: [],
+      exclusion: null
+    };
+    outcome.ruleIds.push(rule.id);
+
+    const { actions } = rule;
+    if (actions.split?.length && !outcome.category) {
+      outcome.category = {
+        split: actions.split.map(part => ({
+          percentage: part.percentage,
+          categoryId: String(part.categoryId),
+          subCategoryId: part.subCategoryId ? String(part.subCategoryId) : null,
+          tagIds: (part.tagIds || []).map(String)
+        })),
+        ruleName: rule.name
+      };
+    } else if (actions.categoryId && !outcome.category) {
+      outcome.category = {
+        categoryId: String(actions.categoryId),
+        subCategoryId: actions.subCategoryId ? String(actions.subCategoryId) : null,
+        ruleName: rule.name
+      };
+    }
+    for (const tagId of actions.tagIds || []) {
+      if (!outcome.tagIds.includes(String(tagId))) outcome.tagIds.push(String(tagId));
+    }
+    if (actions.excludeFromBudget && !outcome.exclusion) {
+      outcome.exclusion = {
+        reason: actions.exclusionReason || `Excluded by rule "${rule.name}"`,
+        ruleName: rule.name
+      };
+    }
+
+    if (rule.stopProcessing) break;
+  }
+
+  return outcome;
+}
+
+module.exports = {
+  RuleError,
+  compileRule,
+  evaluate,
+  hasConditions,
+  hasActions,
+  dayOfMonth
+};
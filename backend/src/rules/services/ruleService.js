@@ -0,0 +1,499 @@
+const {
+  Transaction, TransactionExclusion, Category, SubCategory, Tag, BankAccount, CreditCard
+} = require('../../banking/models');
+const { CategorizationMethod } = require('../../banking/constants/enums');
+const queuedDataSyncService = require('../../banking/services/queuedDataSyncService');
+const transactionSplitService = require('../../banking/services/transactionSplitService');
+const { TransactionSplitError, MAX_SPLITS } = require('../../banking/services/transactionSplitService');
+const { isSplit, divideAmount } = require('../../banking/utils/transactionSplits');
+const scrapingQueue = require('../../shared/services/scrapingQueue');
+const sseService = require('../../shared/services/sseService');
+const logger = require('../../shared/utils/logger');
+const { TransactionRule } = require('../models');
+const { RuleError, compileRule, evaluate, hasConditions, hasActions } = require('./ruleEngine');
+const {
+  MAX_RULES_PER_USER,
+  DEFAULT_PREVIEW_MONTHS,
+  PREVIEW_SAMPLE_SIZE
+} = require('../constants/limits');
+
+const JOB_TYPE = 'apply-transaction-rules';
+
+const RULE_FIELDS = ['name', 'enabled', 'priority', 'stopProcessing', 'conditions', 'actions'];
+
+const NO_MATCH = Object.freeze({ matched: false, categorized: false, changed: false });
+
+const monthsAgo = (months) => {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return date;
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+/**
+ * A user's enabled rules, compiled once and applied to as many transactions
+ * as the caller has. Counts matches as it goes so the rules' statistics are
+ * written once per batch rather than once per transaction.
+ */
+class RuleSet {
+  constructor(rules, categoryTypes) {
+    this.rules = rules;
+    this.categoryTypes = categoryTypes;
+    this.matches = new Map();
+  }
+
+  get isEmpty() {
+    return this.rules.length === 0;
+  }
+
+  /**
+   * Applies the matching rules to a transaction and saves it if anything
+   * changed.
+   *
+   * @param {Object} transaction - A Transaction document
+   * @param {Object} [options]
+   * @param {boolean} [options.keepCategory] - Leave the category alone, for a
+   *   transaction the user categorised by hand
+   * @returns {Promise<{ matched: boolean, categorized: boolean, changed: boolean }>}
+   */
+  async apply(transaction, { keepCategory = false } = {}) {
+    const outcome = evaluate(this.rules, transaction);
+    if (!outcome) return NO_MATCH;
+
+    outcome.ruleIds.forEach(id => this.matches.set(id, (this.matches.get(id) || 0) + 1));
+
+    let changed = false;
+    let categorized = false;
+
+    // A category deleted since the rule was saved has no type to give the
+    // transaction, and is skipped rather than written.
+    const { category } = outcome;
+    if (category?.split && !keepCategory && category.split.every(part => this.categoryTypes.has(part.categoryId))) {
+      // Already split, by this rule on an earlier run or by another, is left be
+      if (!isSplit(transaction)) {
+        changed = this.split(transaction, category);
+      }
+      categorized = true;
+    } else if (category && !category.split && !keepCategory && this.categoryTypes.has(category.categoryId)) {
+      const unchanged = !isSplit(transaction) &&
+        String(transaction.category) === category.categoryId &&
+        String(transaction.subCategory || '') === String(category.subCategoryId || '');
+      if (!unchanged) {
+        transaction.splits = undefined;
+        transaction.category = category.categoryId;
+        transaction.subCategory = category.subCategoryId;
+        transaction.categorizationMethod = CategorizationMethod.RULE;
+        transaction.categorizationReasoning = `Matched rule "${category.ruleName}"`;
+        transaction.type = this.categoryTypes.get(category.categoryId);
+        transaction.awaitingModelCategorization = false;
+        changed = true;
+      }
+      categorized = true;
+    }
+
+    const present = new Set(transaction.tags.map(String));
+    const newTags = outcome.tagIds.filter(tagId => !present.has(tagId));
+    if (newTags.length) {
+      transaction.tags.push(...newTags);
+      changed = true;
+    }
+
+    const excluding = outcome.exclusion && !transaction.excludeFromBudgetCalculation;
+    if (excluding) {
+      transaction.excludeFromBudgetCalculation = true;
+      transaction.exclusionReason = outcome.exclusion.reason;
+      transaction.excludedAt = new Date();
+      transaction.excludedBy = transaction.userId;
+      changed = true;
+    }
+
+    if (!changed) return { matched: true, categorized, changed };
+
+    // Same guard as the model's own tag helpers: rawData is required, and some
+    // older transactions were saved without it.
+    if (!transaction.rawData) transaction.rawData = {};
+    await transaction.save();
+
+    if (newTags.length) {
+      await Tag.updateMany(
+        { _id: { $in: newTags } },
+        { $inc: { usageCount: 1 }, $set: { lastUsed: new Date() } }
+      );
+    }
+    // The audit record budgets read is keyed by category, so one can only be
+    // written once the transaction has one.
+    if (excluding && transaction.category) {
+      try {
+        await TransactionExclusion.createExclusion(transaction, outcome.exclusion.reason, transaction.userId);
+      } catch (error) {
+        if (!isDuplicateKey(error)) throw error;
+      }
+    }
+
+    return { matched: true, categorized, changed };
+  }
+
+  /**
+   * Divides a transaction between a rule's shares. One too small to divide
+   * goes wholly to the largest share's category.
+   *
+   * @returns {boolean} Whether the transaction changed
+   */
+  split(transaction, { split, ruleName }) {
+    const amounts = divideAmount(transaction.amount, split.map(part => part.percentage));
+    const allocations = split.map((part, index) => ({
+      amount: amounts[index],
+      category: part.categoryId,
+      subCategory: part.subCategoryId,
+      tags: part.tagIds,
+      type: this.categoryTypes.get(part.categoryId)
+    }));
+
+    if (allocations.some(allocation => allocation.amount === 0)) {
+      const largest = split[amounts.map(Math.abs).indexOf(Math.max(...amounts.map(Math.abs)))];
+      if (String(transaction.category) === largest.categoryId &&
+          String(transaction.subCategory || '') === String(largest.subCategoryId || '')) {
+        return false;
+      }
+      transaction.category = largest.categoryId;
+      transaction.subCategory = largest.subCategoryId;
+      transaction.type = this.categoryTypes.get(largest.categoryId);
+      transaction.awaitingModelCategorization = false;
+    } else {
+      transactionSplitService.assign(transaction, allocations);
+    }
+    transaction.categorizationMethod = CategorizationMethod.RULE;
+    transaction.categorizationReasoning = `Matched rule "${ruleName}"`;
+    return true;
+  }
+
+  /**
+   * Writes the match counts gathered since the last flush.
+   */
+  async flush() {
+    if (this.matches.size === 0) return;
+    const now = new Date();
+    const operations = [...this.matches].map(([ruleId, count]) => ({
+      updateOne: {
+        filter: { _id: ruleId },
+        update: { $inc: { matchCount: count }, $set: { lastMatchedAt: now } }
+      }
+    }));
+    this.matches.clear();
+    await TransactionRule.bulkWrite(operations, { ordered: false });
+  }
+}
+
+/**
+ * User-defined rules that categorise, tag and exclude transactions. They run
+ * ahead of the categorisation cascade on everything a scrape or statement
+ * import brings in, and can be re-applied to past transactions as a queued
+ * job.
+ */
+class RuleService {
+  async list(userId) {
+    return TransactionRule.find({ userId }).sort({ priority: 1, createdAt: 1 }).lean();
+  }
+
+  async create(userId, data) {
+    if (await TransactionRule.countDocuments({ userId }) >= MAX_RULES_PER_USER) {
+      throw new RuleError('RULE_LIMIT', `A user can have at most ${MAX_RULES_PER_USER} rules`, 409);
+    }
+
+    const fields = this.pickFields(data);
+    await this.validate(userId, fields);
+
+    if (fields.priority === undefined) {
+      const last = await TransactionRule.findOne({ userId }).sort({ priority: -1 }).select('priority').lean();
+      fields.priority = last ? last.priority + 1 : 0;
+    }
+
+    const rule = await TransactionRule.create({ ...fields, userId });
+    logger.info(`User ${userId} created rule ${rule._id}`);
+    return rule.toObject();
+  }
+
+  /**
+   * Replaces the fields given. `conditions` and `actions` are replaced whole.
+   */
+  async update(userId, ruleId, data) {
+    const rule = await TransactionRule.findOne({ _id: ruleId, userId });
+    if (!rule) {
+      throw new RuleError('RULE_NOT_FOUND', 'Rule not found', 404);
+    }
+
+    rule.set(this.pickFields(data));
+    await this.validate(userId, rule.toObject());
+    await rule.save();
+    return rule.toObject();
+  }
+
+  async remove(userId, ruleId) {
+    const { deletedCount } = await TransactionRule.deleteOne({ _id: ruleId, userId });
+    if (!deletedCount) {
+      throw new RuleError('RULE_NOT_FOUND', 'Rule not found', 404);
+    }
+  }
+
+  pickFields(data) {
+    const fields = {};
+    for (const field of RULE_FIELDS) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    return fields;
+  }
+
+  /**
+   * Checks that a rule can run and only refers to the user's own records.
+   */
+  async validate(userId, { conditions = {}, actions = {} }) {
+    this.validateConditions(conditions);
+    if (!hasActions(actions)) {
+      throw new RuleError('NO_ACTIONS', 'A rule needs at least one action');
+    }
+    if (actions.split?.length) {
+      await this.validateSplit(userId, actions);
+    }
+
+    const owned = async (model, ids, message) => {
+      const unique = [...new Set((ids || []).map(String))];
+      if (unique.length && await model.countDocuments({ _id: { $in: unique }, userId }) !== unique.length) {
+        throw new RuleError('UNKNOWN_REFERENCE', message);
+      }
+    };
+    await owned(BankAccount, conditions.accountIds, 'Unknown bank account');
+    await owned(CreditCard, conditions.creditCardIds, 'Unknown credit card');
+    await owned(Tag, actions.tagIds, 'Unknown tag');
+
+    if (actions.subCategoryId && !actions.categoryId) {
+      throw new RuleError('UNKNOWN_REFERENCE', 'A subcategory needs its category');
+    }
+    if (actions.categoryId) {
+      const category = await Category.findOne({ _id: actions.categoryId, userId }).select('type').lean();
+      if (!category) {
+        throw new RuleError('UNKNOWN_REFERENCE', 'Unknown category');
+      }
+      if (actions.subCategoryId) {
+        const subCategory = await SubCategory.exists({
+          _id: actions.subCategoryId, userId, parentCategory: actions.categoryId
+        });
+        if (!subCategory) {
+          throw new RuleError('UNKNOWN_REFERENCE', 'Unknown subcategory for this category');
+        }
+      } else if (category.type === 'Expense') {
+        // Anything less leaves the transaction half-categorised, which the
+        // cascade would then try to finish.
+        throw new RuleError('SUBCATEGORY_REQUIRED', 'An expense category needs a subcategory');
+      }
+    }
+  }
+
+  /**
+   * A split takes the place of the rule's category: two or more shares adding
+   * up to 100%, each with a category as a split transaction's parts need.
+   */
+  async validateSplit(userId, { categoryId, split }) {
+    if (categoryId) {
+      throw new RuleError('INVALID_SPLIT', 'A rule either sets a category or splits the transaction, not both');
+    }
+    if (split.length < 2 || split.length > MAX_SPLITS) {
+      throw new RuleError('INVALID_SPLIT', `A split needs between 2 and ${MAX_SPLITS} shares`);
+    }
+    const total = split.reduce((sum, part) => sum + Number(part.percentage), 0);
+    if (split.some(part => !(Number(part.percentage) > 0)) || Math.abs(total - 100) > 0.001) {
+      throw new RuleError('INVALID_SPLIT', 'The shares of a split must add up to 100%');
+    }
+    try {
+      await transactionSplitService.resolveAllocations(userId, split);
+    } catch (error) {
+      if (error instanceof TransactionSplitError) throw new RuleError(error.code, error.message);
+      throw error;
+    }
+  }
+
+  validateConditions(conditions) {
+    if (!hasConditions(conditions)) {
+      throw new RuleError('NO_CONDITIONS', 'A rule needs at least one condition');
+    }
+    if (conditions.amountMin != null && conditions.amountMax != null && conditions.amountMin > conditions.amountMax) {
+      throw new RuleError('INVALID_AMOUNT_RANGE', 'The minimum amount is above the maximum');
+    }
+    // Compiling is the check for the patterns
+    compileRule({ conditions });
+  }
+
+  /**
+   * Loads a user's enabled rules for applying to transactions.
+   *
+   * A rule that no longer compiles is skipped with a warning rather than
+   * stopping every transaction behind it from being categorised.
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.ruleIds] - Only these rules
+   * @returns {Promise<RuleSet>}
+   */
+  async forUser(userId, { ruleIds = null } = {}) {
+    const query = { userId, enabled: true };
+    if (ruleIds) query._id = { $in: ruleIds };
+    const rules = await TransactionRule.find(query).sort({ priority: 1, createdAt: 1 }).lean();
+
+    const compiled = [];
+    for (const rule of rules) {
+      try {
+        compiled.push(compileRule(rule));
+      } catch (error) {
+        logger.warn(`Skipping rule ${rule._id}: ${error.message}`);
+      }
+    }
+
+    const categoryIds = [...new Set(compiled
+      .flatMap(rule => [rule.actions.categoryId, ...(rule.actions.split || []).map(part => part.categoryId)])
+      .filter(Boolean)
+      .map(String))];
+    const categories = categoryIds.length
+      ? await Category.find({ _id: { $in: categoryIds }, userId }).select('type').lean()
+      : [];
+
+    return new RuleSet(compiled, new Map(categories.map(category => [String(category._id), category.type])));
+  }
+
+  /**
+   * Runs a rule, saved or not, over past transactions without changing them.
+   *
+   * @param {Object} draft - `conditions`, and optionally `actions`
+   * @param {Object} [options]
+   * @param {number} [options.months] - How far back to look
+   */
+  async preview(userId, draft, { months = DEFAULT_PREVIEW_MONTHS } = {}) {
+    const conditions = draft.conditions || {};
+    this.validateConditions(conditions);
+    const rule = compileRule({ conditions, actions: draft.actions || {} });
+
+    const since = monthsAgo(months);
+    const query = { userId, date: { $gte: since } };
+    if (conditions.accountIds?.length) query.accountId = { $in: conditions.accountIds };
+    if (conditions.creditCardIds?.length) query.creditCardId = { $in: conditions.creditCardIds };
+    if (conditions.currencies?.length) query.currency = { $in: conditions.currencies.map(c => c.toUpperCase()) };
+
+    const cursor = Transaction.find(query)
+      .select('description memo rawData.memo amount currency date accountId creditCardId category subCategory categorizationMethod excludeFromBudgetCalculation')
+      .sort({ date: -1 })
+      .lean()
+      .cursor();
+
+    let scanned = 0;
+    let matched = 0;
+    const sample = [];
+    for await (const transaction of cursor) {
+      scanned += 1;
+      if (!rule.test(transaction)) continue;
+      matched += 1;
+      if (sample.length < PREVIEW_SAMPLE_SIZE) sample.push(transaction);
+    }
+
+    const names = await this.categoryNames(sample);
+    return {
+      since,
+      scanned,
+      matched,
+      transactions: sample.map(transaction => ({
+        _id: transaction._id,
+        date: transaction.date,
+        description: transaction.description,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        category: names.get(String(transaction.category)) || null,
+        subCategory: names.get(String(transaction.subCategory)) || null,
+        // Re-applying leaves these categories as they are
+        categorizedByHand: this.isCategorizedByHand(transaction),
+        excludedFromBudget: Boolean(transaction.excludeFromBudgetCalculation)
+      }))
+    };
+  }
+
+  async categoryNames(transactions) {
+    const categoryIds = transactions.map(transaction => transaction.category).filter(Boolean);
+    const subCategoryIds = transactions.map(transaction => transaction.subCategory).filter(Boolean);
+    const [categories, subCategories] = await Promise.all([
+      categoryIds.length ? Category.find({ _id: { $in: categoryIds } }).select('name').lean() : [],
+      subCategoryIds.length ? SubCategory.find({ _id: { $in: subCategoryIds } }).select('name').lean() : []
+    ]);
+    return new Map([...categories, ...subCategories].map(doc => [String(doc._id), doc.name]));
+  }
+
+  isCategorizedByHand(transaction) {
+    return Boolean(transaction.category) && transaction.categorizationMethod === CategorizationMethod.MANUAL;
+  }
+
+  /**
+   * Queues re-applying rules to past transactions.
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.ruleIds] - Only these rules; all enabled ones otherwise
+   * @param {number} [options.months] - How far back to go
+   * @returns {Promise<string>} The job id
+   */
+  async enqueueReapply(userId, { ruleIds = null, months = DEFAULT_PREVIEW_MONTHS } = {}) {
+    // The queue's workers start with the sync service, which may not have
+    // been needed yet since the server started.
+    await queuedDataSyncService.initialize();
+    return scrapingQueue.addJob(
+      JOB_TYPE,
+      { userId: userId.toString(), ruleIds, since: monthsAgo(months).toISOString() },
+      { priority: 'low', attempts: 1 }
+    );
+  }
+
+  /**
+   * The queued job: applies the rules to every transaction since the given
+   * date. Categories the user set by hand are kept; rules may still tag or
+   * exclude those transactions.
+   */
+  async processReapply({ userId, ruleIds = null, since }, job) {
+    const ruleSet = await this.forUser(userId, { ruleIds });
+    const userIdStr = userId.toString();
+    const results = { scanned: 0, matched: 0, updated: 0, failed: 0 };
+
+    if (!ruleSet.isEmpty) {
+      const query = { userId, date: { $gte: new Date(since) } };
+      const total = await Transaction.countDocuments(query);
+
+      for await (const transaction of Transaction.find(query).sort({ date: -1 }).cursor()) {
+        try {
+          const outcome = await ruleSet.apply(transaction, { keepCategory: this.isCategorizedByHand(transaction) });
+          if (outcome.matched) results.matched += 1;
+          if (outcome.changed) results.updated += 1;
+        } catch (error) {
+          results.failed += 1;
+          logger.warn(`Could not apply rules to transaction ${transaction._id}: ${error.message}`);
+        }
+
+        results.scanned += 1;
+        if (results.scanned % 100 === 0) {
+          await job?.updateProgress(Math.round((results.scanned / total) * 100));
+          sseService.emit(userIdStr, 'rules:progress', { total, ...results });
+          await ruleSet.flush();
+        }
+      }
+      await ruleSet.flush();
+    }
+
+    await job?.updateProgress(100);
+    sseService.emit(userIdStr, 'rules:completed', results);
+    logger.info(
+      `Re-applied rules for user ${userId}: ${results.matched} matched, ${results.updated} updated ` +
+      `of ${results.scanned} (${results.failed} failed)`
+    );
+    return results;
+  }
+
+  registerProcessor() {
+    scrapingQueue.registerProcessor(JOB_TYPE, this.processReapply.bind(this));
+  }
+}
+
+module.exports = new RuleService();
+module.exports.RuleService = RuleService;
+module.exports.RuleError = RuleError;
+module.exports.JOB_TYPE = JOB_TYPE;
@@ -0,0 +1,62 @@
+const { monthsLeft, monthlyContribution, goalProgress, tagContributions } = require('../services/savingsGoalProgress');
+
+describe('monthsLeft', () => {
+  const now = new Date(2026, 9, 19);
+
+  it('counts this month and the target month', () => {
+    expect(monthsLeft(new Date(2026, 11, 31), now)).toBe(3);
+    expect(monthsLeft(new Date(2027, 9, 1), now)).toBe(13);
+    expect(monthsLeft(new Date(2026, 9, 19), now)).toBe(1);
+  });
+
+  it('is 0 once the target date has passed', () => {
+    expect(monthsLeft(new Date(2026, 9, 18), now)).toBe(0);
+  });
+});
+
+describe('monthlyContribution', () => {
+  it('spreads the gap over the months left, rounding up to the cent', () => {
+    expect(monthlyContribution(1000, 3)).toBe(333.34);
+    expect(monthlyContribution(0, 3)).toBe(0);
+    expect(monthlyContribution(500, 0)).toBe(500);
+  });
+});
+
+describe('goalProgress', () => {
+  const now = new Date(2026, 9, 19);
+  const goal = { targetAmount: 12000, targetDate: new Date(2027, 2, 31) };
+
+  it('measures the funding against the target', () => {
+    expect(goalProgress(goal, 3000, now)).toEqual({
+      saved: 3000,
+      remaining: 9000,
+      percent: 25,
+      monthsLeft: 6,
+      monthlyContribution: 1500,
+      status: 'in_progress'
+    });
+  });
+
+  it('is reached once the funding covers the target, and overdue if it did not in time', () => {
+    expect(goalProgress(goal, 12500, now)).toMatchObject({ remaining: 0, percent: 100, monthlyContribution: 0, status: 'reached' });
+    expect(goalProgress(goal, 3000, new Date(2027, 3, 1))).toMatchObject({ monthsLeft: 0, monthlyContribution: 9000, status: 'overdue' });
+  });
+});
+
+describe('tagContributions', () => {
+  it('counts a tagged transfer once, and money coming back out against the goal', () => {
+    const transactions = [
+      { _id: 'out', amount: -1000, currency: 'ILS', transferCounterpart: 'in' },
+      { _id: 'in', amount: 1000, currency: 'ILS', transferCounterpart: 'out' },
+      { _id: 'standing-order', amount: -500, currency: 'ILS', transferCounterpart: null },
+      { _id: 'withdrawal', amount: 200, currency: 'ILS', transferCounterpart: null },
+      { _id: 'usd', amount: -100, currency: 'USD' }
+    ];
+
+    expect(tagContributions(transactions)).toEqual([
+      { currency: 'ILS', amount: 1300 },
+      { currency: 'USD', amount: 100 }
+    ]);
+    expect(tagContributions([])).toEqual([]);
+  });
+});
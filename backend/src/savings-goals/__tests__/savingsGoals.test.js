@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User } = require('../../auth');
+const { BankAccount, Category, Tag, Transaction } = require('../../banking/models');
+const { CategoryBudget } = require('../../monthly-budgets/models');
+const { CurrencyExchange, ForeignCurrencyAccount } = require('../../foreign-currency');
+const { SavingsGoal } = require('../models');
+const { createTestUser } = require('../../test/testUtils');
+
+describe('Savings goals', () => {
+  let user;
+  let token;
+  let savings;
+  let dollars;
+
+  const as = (sessionToken) => ({ Authorization: `Bearer ${sessionToken}` });
+
+  // The 15th of the month `months` from now, so there are months + 1 months left
+  const monthsAhead = (months) => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth() + months, 15);
+  };
+
+  const transfer = (amount, extra = {}) => Transaction.create({
+    identifier: `tx-${Math.random()}`,
+    accountId: savings._id,
+    userId: user._id,
+    amount,
+    currency: 'ILS',
+    date: new Date(),
+    processedDate: new Date(),
+    description: 'העברה לחיסכון',
+    rawData: {},
+    ...extra
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      SavingsGoal.deleteMany({}), BankAccount.deleteMany({}), ForeignCurrencyAccount.deleteMany({}),
+      Transaction.deleteMany({}), Tag.deleteMany({}), CurrencyExchange.deleteMany({})
+    ]);
+    ({ user, token } = await createTestUser(User, { email: 'savings-goals@example.com' }));
+    savings = await BankAccount.create({
+      userId: user._id, bankId: 'file-import', name: 'Savings', status: 'active', currentBalance: 20000
+    });
+    dollars = await ForeignCurrencyAccount.create({
+      userId: user._id, bankAccountId: savings._id, accountNumber: '123', currency: 'USD', balance: 1000
+    });
+    await CurrencyExchange.create({ fromCurrency: 'USD', toCurrency: 'ILS', rate: 3.7, date: new Date(Date.now() - 86400000) });
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({ email: 'savings-goals@example.com' });
+  });
+
+  it('reads progress from the linked balances and works out the monthly contribution', async () => {
+    const res = await request(app)
+      .post('/api/savings-goals')
+      .set(as(token))
+      .send({
+        name: 'New car',
+        targetAmount: 30000,
+        targetDate: monthsAhead(9).toISOString(),
+        funding: [
+          { kind: 'bank_account', refId: savings._id, share: 50 },
+          { kind: 'foreign_currency_account', refId: dollars._id }
+        ]
+      })
+      .expect(201);
+
+    // Half of 20,000 plus $1,000 at 3.7
+    expect(res.body.data).toMatchObject({
+      name: 'New car',
+      currency: 'ILS',
+      saved: 13700,
+      remaining: 16300,
+      monthsLeft: 10,
+      monthlyContribution: 1630,
+      status: 'in_progress'
+    });
+    expect(res.body.data.funding.map(link => [link.name, link.value])).toEqual([
+      ['Savings', 10000],
+      ['USD Account (123)', 3700]
+    ]);
+
+    await BankAccount.updateOne({ _id: savings._id }, { currentBalance: 60000 });
+    const list = await request(app).get('/api/savings-goals').set(as(token)).expect(200);
+    expect(list.body.data[0]).toMatchObject({ saved: 33700, percent: 100, status: 'reached', monthlyContribution: 0 });
+  });
+
+  it('counts what tagged transfers set aside', async () => {
+    const tag = await Tag.create({ name: 'Vacation', userId: user._id });
+    const out = await transfer(-1500, { tags: [tag._id] });
+    const arrived = await transfer(1500, { tags: [tag._id], transferCounterpart: out._id });
+    await Transaction.updateOne({ _id: out._id }, { transferCounterpart: arrived._id });
+    await transfer(-800, { tags: [tag._id] });
+    await transfer(-5000);
+
+    const res = await request(app)
+      .post('/api/savings-goals')
+      .set(as(token))
+      .send({ name: 'Japan', targetAmount: 10000, targetDate: monthsAhead(3), funding: [{ kind: 'tag', refId: tag._id }] })
+      .expect(201);
+
+    expect(res.body.data).toMatchObject({ saved: 2300, remaining: 7700, percent: 23, monthlyContribution: 1925 });
+  });
+
+  it('only links funding that belongs to the user', async () => {
+    const other = await createTestUser(User, { email: 'savings-goals-other@example.com' });
+    const theirs = await BankAccount.create({ userId: other.user._id, bankId: 'file-import', name: 'Theirs', status: 'active' });
+
+    const res = await request(app)
+      .post('/api/savings-goals')
+      .set(as(token))
+      .send({ name: 'Sneaky', targetAmount: 1000, targetDate: monthsAhead(2), funding: [{ kind: 'bank_account', refId: theirs._id }] })
+      .expect(404);
+    expect(res.body.code).toBe('FUNDING_NOT_FOUND');
+
+    await request(app)
+      .post('/api/savings-goals')
+      .set(as(token))
+      .send({ name: 'No target', targetDate: monthsAhead(2) })
+      .expect(400);
+    await User.deleteMany({ email: 'savings-goals-other@example.com' });
+  });
+
+  it('appears as a savings line in the monthly budget until archived', async () => {
+    const salary = await Category.create({ name: 'Salary', type: 'Income', userId: user._id });
+    await CategoryBudget.create({ userId: user._id, categoryId: salary._id, fixedAmount: 25000 });
+    const goal = await request(app)
+      .post('/api/savings-goals')
+      .set(as(token))
+      .send({ name: 'Trip', targetAmount: 2000, currency: 'USD', targetDate: monthsAhead(1), funding: [{ kind: 'foreign_currency_account', refId: dollars._id }] })
+      .expect(201);
+    expect(goal.body.data.monthlyContribution).toBe(500);
+
+    const now = new Date();
+    const budgetPath = `/api/budgets/monthly/${now.getFullYear()}/${now.getMonth() + 1}`;
+    const monthly = await request(app).get(budgetPath).set(as(token)).expect(200);
+
+    expect(monthly.body.data.savingsGoals).toEqual([
+      expect.objectContaining({ name: 'Trip', currency: 'ILS', budgetedAmount: 1850, goalCurrency: 'USD', remaining: 1000 })
+    ]);
+    expect(monthly.body.data.totalSavingsBudgeted).toBe(1850);
+    expect(monthly.body.data.totalBudgetedExpenses).toBe(0);
+
+    await request(app).put(`/api/savings-goals/${goal.body.data._id}`).set(as(token)).send({ archived: true }).expect(200);
+    const afterArchive = await request(app).get(budgetPath).set(as(token)).expect(200);
+    expect(afterArchive.body.data.savingsGoals).toEqual([]);
+
+    await request(app).delete(`/api/savings-goals/${goal.body.data._id}`).set(as(token)).expect(200);
+    expect(await SavingsGoal.countDocuments({ userId: user._id })).toBe(0);
+  });
+});
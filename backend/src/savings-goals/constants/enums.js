@@ -0,0 +1,17 @@
+const FundingKind = {
+  BANK_ACCOUNT: 'bank_account',                          // Its current balance
+  FOREIGN_CURRENCY_ACCOUNT: 'foreign_currency_account',  // Its balance in its own currency
+  PORTFOLIO: 'portfolio',                                // Its total value
+  TAG: 'tag'                                             // What the tagged transfers set aside
+};
+
+const GoalStatus = {
+  IN_PROGRESS: 'in_progress',
+  REACHED: 'reached',   // The funding already covers the target
+  OVERDUE: 'overdue'    // The target date passed short of the target
+};
+
+module.exports = {
+  FundingKind,
+  GoalStatus
+};
@@ -0,0 +1,15 @@
+// Savings goals subsystem public interface
+
+// Models (used by other subsystems)
+const { SavingsGoal } = require('./models');
+
+// Services (used by other subsystems)
+const savingsGoalService = require('./services/savingsGoalService');
+
+module.exports = {
+  // Models
+  SavingsGoal,
+
+  // Services
+  savingsGoalService
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { FundingKind } = require('../constants/enums');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const fundingSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: Object.values(FundingKind),
+    required: true
+  },
+  // The BankAccount, ForeignCurrencyAccount, Portfolio or Tag
+  refId: {
+    type: ObjectId,
+    required: true
+  },
+  // The percentage of it that belongs to this goal, for an account shared by several
+  share: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 100
+  }
+}, { _id: false });
+
+/**
+ * Something the user is saving up for by a date: a sinking fund. Progress is
+ * never entered by hand; it comes from the balances of the linked accounts
+ * and portfolios, or from the transfers carrying the linked tag.
+ */
+const savingsGoalSchema = new mongoose.Schema({
+  userId: {
+    type: ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  targetAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'ILS'
+  },
+  targetDate: {
+    type: Date,
+    required: true
+  },
+  funding: [fundingSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Archived goals keep their history but leave the Overview and the budget
+  archivedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+savingsGoalSchema.index({ userId: 1, archivedAt: 1 });
+
+module.exports = mongoose.model('SavingsGoal', savingsGoalSchema);
@@ -0,0 +1,5 @@
+const SavingsGoal = require('./SavingsGoal');
+
+module.exports = {
+  SavingsGoal
+};
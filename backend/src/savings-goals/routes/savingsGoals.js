@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const logger = require('../../shared/utils/logger');
+const savingsGoalService = require('../services/savingsGoalService');
+const { SavingsGoalError } = require('../services/savingsGoalService');
+const { FundingKind } = require('../constants/enums');
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof SavingsGoalError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// The goal fields, required on create and optional on update
+const goalValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    field('targetAmount').isFloat({ gt: 0 }).toFloat(),
+    field('targetDate').isISO8601().toDate(),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }).toUpperCase(),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('funding').optional().isArray({ max: 20 }),
+    body('funding.*.kind').isIn(Object.values(FundingKind)),
+    body('funding.*.refId').isMongoId(),
+    body('funding.*.share').optional().isInt({ min: 1, max: 100 }).toInt()
+  ];
+};
+
+/**
+ * GET /api/savings-goals
+ * The user's savings goals with their progress; `?includeArchived=true` adds
+ * archived ones.
+ */
+router.get('/',
+  householdAuth.allowViewers,
+  [query('includeArchived').optional().isBoolean().toBoolean()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const goals = await savingsGoalService.list(req.dataOwnerId, { includeArchived: req.query.includeArchived });
+      res.json({ success: true, data: goals });
+    } catch (error) {
+      sendError(res, error, 'Failed to load savings goals');
+    }
+  }
+);
+
+/**
+ * GET /api/savings-goals/funding-options
+ * The accounts, portfolios and tags a goal can be funded by.
+ */
+router.get('/funding-options', householdAuth.allowViewers, async (req, res) => {
+  try {
+    const options = await savingsGoalService.fundingOptions(req.dataOwnerId);
+    res.json({ success: true, data: options });
+  } catch (error) {
+    sendError(res, error, 'Failed to load funding options');
+  }
+});
+
+/**
+ * POST /api/savings-goals
+ * Creates a goal.
+ */
+router.post('/',
+  householdAuth,
+  goalValidators(false),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const goal = await savingsGoalService.create(req.dataOwnerId, req.body);
+      res.status(201).json({ success: true, data: goal });
+    } catch (error) {
+      sendError(res, error, 'Failed to create savings goal');
+    }
+  }
+);
+
+/**
+ * PUT /api/savings-goals/:id
+ * Changes a goal; `archived: true` archives it.
+ */
+router.put('/:id',
+  householdAuth,
+  [
+    param('id').isMongoId(),
+    ...goalValidators(true),
+    body('archived').optional().isBoolean().toBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const goal = await savingsGoalService.update(req.dataOwnerId, req.params.id, req.body);
+      res.json({ success: true, data: goal });
+    } catch (error) {
+      sendError(res, error, 'Failed to update savings goal');
+    }
+  }
+);
+
+/**
+ * DELETE /api/savings-goals/:id
+ */
+router.delete('/:id',
+  householdAuth,
+  [param('id').isMongoId()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await savingsGoalService.remove(req.dataOwnerId, req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete savings goal');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+/**
+ * Savings-goal arithmetic, with no database access: how far a goal has come,
+ * how many months are left and what has to be set aside each month to get
+ * there. savingsGoalService supplies what the funding is worth.
+ */
+const { GoalStatus } = require('../constants/enums');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The months still open for contributions, this one and the target month
+ * included; 0 once the target date has passed.
+ *
+ * @param {Date} targetDate
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function monthsLeft(targetDate, now = new Date()) {
+  const target = new Date(targetDate);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (target < today) return 0;
+  return (target.getFullYear() - today.getFullYear()) * 12 + (target.getMonth() - today.getMonth()) + 1;
+}
+
+/**
+ * What has to go in each month to close the gap by the target date, rounded
+ * up to the cent so the last month is never short. Past the target date the
+ * whole gap is due at once.
+ *
+ * @param {number} remaining - What is still missing
+ * @param {number} months - From monthsLeft
+ * @returns {number}
+ */
+function monthlyContribution(remaining, months) {
+  if (remaining <= 0) return 0;
+  return Math.ceil((remaining / Math.max(months, 1)) * 100) / 100;
+}
+
+/**
+ * Where a goal stands given what its funding is worth today.
+ *
+ * @param {Object} goal
+ * @param {number} goal.targetAmount
+ * @param {Date} goal.targetDate
+ * @param {number} saved - The funding's value, in the goal's currency
+ * @param {Date} [now]
+ * @returns {{saved: number, remaining: number, percent: number, monthsLeft: number,
+ *   monthlyContribution: number, status: string}}
+ */
+function goalProgress(goal, saved, now = new Date()) {
+  const remaining = round(Math.max(goal.targetAmount - saved, 0));
+  const months = monthsLeft(goal.targetDate, now);
+
+  let status = GoalStatus.IN_PROGRESS;
+  if (remaining === 0) status = GoalStatus.REACHED;
+  else if (months === 0) status = GoalStatus.OVERDUE;
+
+  return {
+    saved: round(saved),
+    remaining,
+    percent: goal.targetAmount > 0 ? Math.min(100, round((saved / goal.targetAmount) * 100)) : 100,
+    monthsLeft: months,
+    monthlyContribution: monthlyContribution(remaining, months),
+    status
+  };
+}
+
+/**
+ * What transfers carrying a goal's tag have set aside, per currency. Money
+ * leaving an account under the tag went towards the goal; money arriving
+ * under it was taken back out, unless it is the other side of a tagged
+ * transfer already counted as it left.
+ *
+ * @param {Array<{_id: *, amount: number, currency: string, transferCounterpart?: *}>} transactions - All carrying the tag
+ * @returns {Array<{currency: string, amount: number}>}
+ */
+function tagContributions(transactions) {
+  const tagged = new Set(transactions.map(transaction => String(transaction._id)));
+  const totals = new Map();
+
+  for (const transaction of transactions) {
+    const counted = transaction.amount > 0
+      && transaction.transferCounterpart
+      && tagged.has(String(transaction.transferCounterpart));
+    if (counted) continue;
+    totals.set(transaction.currency, (totals.get(transaction.currency) || 0) - transaction.amount);
+  }
+
+  return [...totals].map(([currency, amount]) => ({ currency, amount: round(amount) }));
+}
+
+module.exports = {
+  monthsLeft,
+  monthlyContribution,
+  goalProgress,
+  tagContributions
+};
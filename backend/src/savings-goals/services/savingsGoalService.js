@@ -0,0 +1,294 @@
+const { BankAccount, Tag, Transaction } = require('../../banking/models');
+const { TransactionStatus } = require('../../banking/constants/enums');
+const ForeignCurrencyAccount = require('../../foreign-currency/models/ForeignCurrencyAccount');
+const currencyExchangeService = require('../../foreign-currency/services/currencyExchangeService');
+const { Portfolio } = require('../../investments/models');
+const logger = require('../../shared/utils/logger');
+const { SavingsGoal } = require('../models');
+const { FundingKind, GoalStatus } = require('../constants/enums');
+const { goalProgress, tagContributions } = require('./savingsGoalProgress');
+
+const EDITABLE_FIELDS = ['name', 'targetAmount', 'currency', 'targetDate', 'funding', 'notes'];
+
+class SavingsGoalError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'SavingsGoalError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Loads what each kind of funding points at, only among the user's own, as
+ * `{name, balances: [{currency, amount}]}` keyed by kind and id. A tag's
+ * balances are what its transfers set aside, one per currency.
+ */
+const loadSources = async (userId, funding) => {
+  const idsOf = (kind) => [...new Set(funding.filter(link => link.kind === kind).map(link => String(link.refId)))];
+  const sources = new Map();
+  const add = (kind, id, source) => sources.set(`${kind}:${id}`, source);
+
+  const [accounts, foreignAccounts, portfolios, tags] = await Promise.all([
+    BankAccount.find({ userId, _id: { $in: idsOf(FundingKind.BANK_ACCOUNT) } })
+      .select('name defaultCurrency currentBalance').lean(),
+    ForeignCurrencyAccount.find({ userId, _id: { $in: idsOf(FundingKind.FOREIGN_CURRENCY_ACCOUNT) } })
+      .select('currency accountNumber balance').lean(),
+    Portfolio.find({ userId, _id: { $in: idsOf(FundingKind.PORTFOLIO) } })
+      .select('portfolioName accountNumber currency totalValue').lean(),
+    Tag.find({ userId, _id: { $in: idsOf(FundingKind.TAG) } }).select('name').lean()
+  ]);
+
+  for (const account of accounts) {
+    add(FundingKind.BANK_ACCOUNT, account._id, {
+      name: account.name,
+      balances: [{ currency: account.defaultCurrency, amount: account.currentBalance || 0 }]
+    });
+  }
+  for (const account of foreignAccounts) {
+    add(FundingKind.FOREIGN_CURRENCY_ACCOUNT, account._id, {
+      name: `${account.currency} Account (${account.accountNumber})`,
+      balances: [{ currency: account.currency, amount: account.balance || 0 }]
+    });
+  }
+  for (const portfolio of portfolios) {
+    add(FundingKind.PORTFOLIO, portfolio._id, {
+      name: portfolio.portfolioName || portfolio.accountNumber,
+      balances: [{ currency: portfolio.currency, amount: portfolio.totalValue || 0 }]
+    });
+  }
+  for (const tag of tags) {
+    const transactions = await Transaction.find({
+      userId,
+      tags: tag._id,
+      status: { $in: [TransactionStatus.VERIFIED, TransactionStatus.PENDING] }
+    }).select('amount currency transferCounterpart').lean();
+    add(FundingKind.TAG, tag._id, { name: tag.name, balances: tagContributions(transactions) });
+  }
+
+  return sources;
+};
+
+/**
+ * The user's savings goals: a target amount by a date, funded by accounts,
+ * portfolios or tagged transfers, with progress read from what those hold
+ * today and the monthly contribution still needed.
+ */
+class SavingsGoalService {
+  /**
+   * Converts between currencies at today's rate; null when there is no rate,
+   * so a goal never counts a foreign balance as if it were its own currency.
+   */
+  async convert(amount, fromCurrency, toCurrency) {
+    if (!fromCurrency || fromCurrency === toCurrency) return amount;
+    try {
+      const rate = await currencyExchangeService.getCurrentRate(fromCurrency, toCurrency);
+      return amount * rate;
+    } catch (error) {
+      logger.warn(`Savings goal conversion failed for ${fromCurrency} → ${toCurrency}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Each funding link with its name and its share of the balance in the
+   * goal's currency, plus what they add up to. A link whose account is gone,
+   * or whose currency has no rate, is marked unavailable and counts nothing.
+   */
+  async valueFunding(goal, sources) {
+    let saved = 0;
+    const funding = [];
+
+    for (const link of goal.funding) {
+      const source = sources.get(`${link.kind}:${link.refId}`);
+      const entry = { kind: link.kind, refId: link.refId, share: link.share, name: source?.name || null, value: null };
+      if (source) {
+        let value = 0;
+        for (const balance of source.balances) {
+          const converted = await this.convert(balance.amount, balance.currency, goal.currency);
+          if (converted === null) {
+            value = null;
+            break;
+          }
+          value += converted;
+        }
+        if (value !== null) {
+          entry.value = round(value * (link.share / 100));
+          saved += entry.value;
+        }
+      }
+      entry.available = entry.value !== null;
+      funding.push(entry);
+    }
+
+    return { saved: round(saved), funding };
+  }
+
+  async withProgress(userId, goals, now) {
+    const sources = await loadSources(userId, goals.flatMap(goal => goal.funding));
+    return Promise.all(goals.map(async (goal) => {
+      const { saved, funding } = await this.valueFunding(goal, sources);
+      return { ...goal, funding, ...goalProgress(goal, saved, now) };
+    }));
+  }
+
+  /**
+   * Makes sure every funding link points at something of the user's.
+   */
+  async checkFunding(userId, funding = []) {
+    const sources = await loadSources(userId, funding);
+    const missing = funding.find(link => !sources.has(`${link.kind}:${link.refId}`));
+    if (missing) {
+      throw new SavingsGoalError('FUNDING_NOT_FOUND', `No ${missing.kind.replace(/_/g, ' ')} ${missing.refId} to fund the goal`, 404);
+    }
+  }
+
+  async findGoal(userId, goalId) {
+    const goal = await SavingsGoal.findOne({ _id: goalId, userId });
+    if (!goal) {
+      throw new SavingsGoalError('GOAL_NOT_FOUND', 'Savings goal not found', 404);
+    }
+    return goal;
+  }
+
+  /**
+   * The user's goals, soonest target first, each with its funding valued and
+   * its progress: saved, remaining, percent, months left, the monthly
+   * contribution and a status.
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {boolean} [options.includeArchived]
+   * @param {Date} [options.now]
+   */
+  async list(userId, { includeArchived = false, now = new Date() } = {}) {
+    const query = { userId };
+    if (!includeArchived) query.archivedAt = null;
+    const goals = await SavingsGoal.find(query).sort({ targetDate: 1 }).lean();
+    return this.withProgress(userId, goals, now);
+  }
+
+  async get(userId, goalId, { now = new Date() } = {}) {
+    const goal = await this.findGoal(userId, goalId);
+    const [withProgress] = await this.withProgress(userId, [goal.toObject()], now);
+    return withProgress;
+  }
+
+  async create(userId, data) {
+    await this.checkFunding(userId, data.funding);
+    const fields = Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+    const goal = await SavingsGoal.create({ ...fields, userId });
+    return this.get(userId, goal._id);
+  }
+
+  /**
+   * Changes a goal; `archived` moves it off the Overview and the budget, or
+   * back.
+   */
+  async update(userId, goalId, data) {
+    const goal = await this.findGoal(userId, goalId);
+    if (data.funding !== undefined) {
+      await this.checkFunding(userId, data.funding);
+    }
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) goal[field] = data[field];
+    }
+    if (data.archived !== undefined) {
+      goal.archivedAt = data.archived ? (goal.archivedAt || new Date()) : null;
+    }
+    await goal.save();
+    return this.get(userId, goal._id);
+  }
+
+  async remove(userId, goalId) {
+    const goal = await this.findGoal(userId, goalId);
+    await goal.deleteOne();
+  }
+
+  /**
+   * What a goal can be funded by: the user's bank accounts, foreign currency
+   * accounts, portfolios and tags, with their balances.
+   */
+  async fundingOptions(userId) {
+    const [accounts, foreignAccounts, portfolios, tags] = await Promise.all([
+      BankAccount.find({ userId }).select('name defaultCurrency currentBalance').sort({ name: 1 }).lean(),
+      ForeignCurrencyAccount.find({ userId }).select('currency accountNumber balance').sort({ currency: 1 }).lean(),
+      Portfolio.find({ userId }).select('portfolioName accountNumber currency totalValue').lean(),
+      Tag.find({ userId }).select('name').sort({ name: 1 }).lean()
+    ]);
+
+    return [
+      ...accounts.map(account => ({
+        kind: FundingKind.BANK_ACCOUNT,
+        refId: account._id,
+        name: account.name,
+        currency: account.defaultCurrency,
+        balance: account.currentBalance
+      })),
+      ...foreignAccounts.map(account => ({
+        kind: FundingKind.FOREIGN_CURRENCY_ACCOUNT,
+        refId: account._id,
+        name: `${account.currency} Account (${account.accountNumber})`,
+        currency: account.currency,
+        balance: account.balance
+      })),
+      ...portfolios.map(portfolio => ({
+        kind: FundingKind.PORTFOLIO,
+        refId: portfolio._id,
+        name: portfolio.portfolioName || portfolio.accountNumber,
+        currency: portfolio.currency,
+        balance: portfolio.totalValue
+      })),
+      ...tags.map(tag => ({ kind: FundingKind.TAG, refId: tag._id, name: tag.name, currency: null, balance: null }))
+    ];
+  }
+
+  /**
+   * The monthly budget's savings line: each goal open during the month and
+   * not yet reached, with this month's contribution in the budget's currency.
+   * Contributions are worked out from today's balances, so every month shows
+   * what it now takes to get there.
+   *
+   * @param {string} userId
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @param {string} [currency] - The budget's currency
+   * @returns {Promise<{lines: Array, total: number}>}
+   */
+  async getBudgetLines(userId, year, month, currency = 'ILS') {
+    const monthStart = new Date(year, month - 1, 1);
+    const monthEnd = new Date(year, month, 1);
+    const goals = await SavingsGoal.find({
+      userId,
+      archivedAt: null,
+      createdAt: { $lt: monthEnd },
+      targetDate: { $gte: monthStart }
+    }).sort({ targetDate: 1 }).lean();
+
+    const lines = [];
+    for (const goal of await this.withProgress(userId, goals, new Date())) {
+      if (goal.status === GoalStatus.REACHED) continue;
+      const budgetedAmount = await this.convert(goal.monthlyContribution, goal.currency, currency);
+      lines.push({
+        goalId: goal._id,
+        name: goal.name,
+        targetDate: goal.targetDate,
+        currency,
+        budgetedAmount: budgetedAmount === null ? null : round(budgetedAmount),
+        remaining: goal.remaining,
+        goalCurrency: goal.currency
+      });
+    }
+
+    return {
+      lines,
+      total: round(lines.reduce((sum, line) => sum + (line.budgetedAmount || 0), 0))
+    };
+  }
+}
+
+module.exports = new SavingsGoalService();
+module.exports.SavingsGoalService = SavingsGoalService;
+module.exports.SavingsGoalError = SavingsGoalError;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { User } = require('../auth');
+const logger = require('../shared/utils/logger');
+const config = require('../shared/config');
+
+/**
+ * Migration for sign-in identities.
+ *
+ * githubId used to be required with a plain unique index. People who sign in
+ * with Google or a passkey have none, and a non-sparse unique index treats
+ * every missing value as the same null, so the second such user could not be
+ * created. This replaces that index with the schema's sparse one and gives
+ * every existing user the GitHub identity they sign in with.
+ *
+ * Safe to run more than once. Users it misses are backfilled at their next
+ * sign-in anyway.
+ */
+
+async function migrateUserIdentities({ dryRun = false } = {}) {
+  let ownConnection = false;
+  try {
+    logger.info(`Starting user identity migration${dryRun ? ' (dry run)' : ''}...`);
+
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(config.mongodbUri);
+      ownConnection = true;
+      logger.info(`Connected to MongoDB at ${mongoose.connection.host}/${mongoose.connection.name}`);
+    }
+
+    const indexes = await User.collection.indexes();
+    const legacyIndex = indexes.find(index => index.key.githubId === 1 && !index.sparse);
+    if (legacyIndex) {
+      logger.info(`Replacing non-sparse index ${legacyIndex.name}`);
+      if (!dryRun) await User.collection.dropIndex(legacyIndex.name);
+    }
+    if (!dryRun) await User.syncIndexes();
+
+    const legacyUsers = await User.find({
+      githubId: { $exists: true },
+      'identities.provider': { $ne: 'github' }
+    }).select('githubId githubLogin email createdAt').lean();
+
+    logger.info(`Found ${legacyUsers.length} users without a GitHub identity`);
+
+    let updatedCount = 0;
+    for (const user of legacyUsers) {
+      if (!dryRun) {
+        await User.updateOne(
+          { _id: user._id, 'identities.provider': { $ne: 'github' } },
+          {
+            $push: {
+              identities: {
+                provider: 'github',
+                subject: String(user.githubId),
+                label: user.githubLogin,
+                email: user.email || null,
+                linkedAt: user.createdAt || new Date()
+              }
+            }
+          }
+        );
+      }
+      updatedCount++;
+    }
+
+    logger.info('\n📊 Migration Summary:');
+    logger.info(`🔑 Legacy githubId index replaced: ${legacyIndex ? 'yes' : 'no'}`);
+    logger.info(`✅ Users given a GitHub identity: ${updatedCount}`);
+
+  } catch (error) {
+    logger.error('❌ Fatal error during migration:', error);
+    throw error;
+  } finally {
+    if (ownConnection) {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+if (require.main === module) {
+  migrateUserIdentities({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => {
+      logger.info('Migration script completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateUserIdentities;
@@ -0,0 +1,194 @@
+// Mock queuedDataSyncService BEFORE any imports to avoid Redis dependency
+jest.mock('../../banking/services/queuedDataSyncService');
+
+const request = require('supertest');
+const app = require('../../app');
+const { User } = require('../../auth');
+const { BankAccount, bankAccountService } = require('../../banking');
+const { SyncRun } = require('../../banking/models');
+const { Household } = require('../../households');
+const { RSUGrant } = require('../../rsu');
+const { createTestUser } = require('../../test/testUtils');
+const settingsService = require('../services/settingsService');
+const taxCalculationService = require('../../rsu/services/taxCalculationService');
+const config = require('../../shared/config');
+
+describe('Settings', () => {
+  let user;
+  let token;
+
+  const as = (sessionToken) => ({ Authorization: `Bearer ${sessionToken}` });
+
+  beforeEach(async () => {
+    await Promise.all([Household.deleteMany({}), BankAccount.deleteMany({})]);
+    ({ user, token } = await createTestUser(User, { email: 'settings@example.com' }));
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({ email: { $in: ['settings@example.com', 'viewer@example.com'] } });
+  });
+
+  it('fills unset values from the defaults', async () => {
+    const res = await request(app).get('/api/settings').set(as(token)).expect(200);
+
+    expect(res.body.data.profile.githubLogin).toBe(user.githubLogin);
+    expect(res.body.data.settings).toMatchObject({
+      displayCurrency: 'ILS',
+      budgetMonthStartDay: 1,
+      budgetMonthStartsOn: 'day',
+      rsuTaxRates: { wageIncome: 0.65, capitalGainsLongTerm: 0.25, capitalGainsShortTerm: 0.65 },
+      aiCategorization: { enabled: true, dailyTokenBudget: null },
+      scrapingSchedule: { frequency: 'daily', timeOfDay: '00:00' },
+      notifications: { email: true, digest: 'immediate' }
+    });
+  });
+
+  it('updates one field without resetting its neighbours', async () => {
+    const res = await request(app)
+      .patch('/api/settings')
+      .set(as(token))
+      .send({ rsuTaxRates: { wageIncome: 0.5 }, budgetMonthStartDay: 10, budgetMonthStartsOn: 'salary', unknown: 'ignored' })
+      .expect(200);
+
+    expect(res.body.data.settings.rsuTaxRates).toEqual({
+      wageIncome: 0.5, capitalGainsLongTerm: 0.25, capitalGainsShortTerm: 0.65
+    });
+    expect(res.body.data.settings.budgetMonthStartDay).toBe(10);
+    expect(res.body.data.settings.budgetMonthStartsOn).toBe('salary');
+    expect((await User.findById(user._id).lean()).unknown).toBeUndefined();
+  });
+
+  it('rejects values out of range', async () => {
+    await request(app).patch('/api/settings').set(as(token)).send({ rsuTaxRates: { wageIncome: 1.5 } }).expect(400);
+    await request(app).patch('/api/settings').set(as(token)).send({ budgetMonthStartDay: 31 }).expect(400);
+    await request(app).patch('/api/settings').set(as(token)).send({ budgetMonthStartsOn: 'payday' }).expect(400);
+    await request(app).patch('/api/settings').set(as(token)).send({ scrapingSchedule: { timeOfDay: '25:00' } }).expect(400);
+
+    const originalCeiling = config.ai.dailyTokenBudget;
+    config.ai.dailyTokenBudget = 5000;
+    try {
+      const overLimit = await request(app)
+        .patch('/api/settings')
+        .set(as(token))
+        .send({ aiCategorization: { dailyTokenBudget: 5001 } })
+        .expect(400);
+      expect(overLimit.body.code).toBe('AI_BUDGET_ABOVE_LIMIT');
+    } finally {
+      config.ai.dailyTokenBudget = originalCeiling;
+    }
+  });
+
+  it('feeds the services that used to hard-code these values', async () => {
+    await settingsService.update(user, { dataOwnerId: user._id, role: 'owner' }, {
+      rsuTaxRates: { wageIncome: 0.5, capitalGainsLongTerm: 0.3 },
+      aiCategorization: { dailyTokenBudget: 1000 },
+      scrapingSchedule: { frequency: 'weekly', dayOfWeek: 3, timeOfDay: '06:30' }
+    });
+
+    const account = await bankAccountService.create(user._id, { bankId: 'mercury', name: 'Ops', apiToken: 'token' });
+    expect(account.toObject().scrapingConfig.schedule).toEqual({
+      frequency: 'weekly', dayOfWeek: 3, dayOfMonth: 1, timeOfDay: '06:30'
+    });
+
+    expect(await settingsService.getDailyTokenBudget(user._id)).toBe(
+      config.ai.dailyTokenBudget > 0 ? Math.min(1000, config.ai.dailyTokenBudget) : 1000
+    );
+
+    const grant = new RSUGrant({
+      userId: user._id,
+      stockSymbol: 'ACME',
+      grantDate: new Date('2020-01-01'),
+      totalValue: 1000,
+      totalShares: 10,
+      pricePerShare: 100
+    });
+    const tax = await taxCalculationService.calculateSaleTax(
+      grant,
+      { sharesAmount: 10, pricePerShare: 150, saleDate: new Date('2024-01-01') },
+      await settingsService.getRsuTaxRates(user._id)
+    );
+    expect(tax.wageIncomeTax).toBe(500);
+    expect(tax.capitalGainsTax).toBe(150);
+  });
+
+  it('sets and clears the alert webhook, refusing anything but a public https URL', async () => {
+    for (const webhookUrl of [
+      'javascript:alert(1)',
+      'http://hooks.example.com/alerts',
+      'https://localhost:5000/alerts',
+      'https://169.254.169.254/latest/meta-data',
+      'https://10.0.0.5/alerts'
+    ]) {
+      await request(app)
+        .patch('/api/settings')
+        .set(as(token))
+        .send({ notifications: { webhookUrl } })
+        .expect(400);
+    }
+
+    const set = await request(app)
+      .patch('/api/settings')
+      .set(as(token))
+      .send({ notifications: { webhookUrl: 'https://hooks.example.com/alerts' } })
+      .expect(200);
+    expect(set.body.data.settings.notifications).toMatchObject({
+      email: true, push: true, webhookUrl: 'https://hooks.example.com/alerts'
+    });
+
+    const cleared = await request(app)
+      .patch('/api/settings')
+      .set(as(token))
+      .send({ notifications: { webhookUrl: null } })
+      .expect(200);
+    expect(cleared.body.data.settings.notifications.webhookUrl).toBeNull();
+  });
+
+  it('lets household viewers change only their own notification settings', async () => {
+    const { user: viewer, token: viewerToken } = await createTestUser(User, { email: 'viewer@example.com' });
+    await Household.create({
+      name: 'Home',
+      ownerId: user._id,
+      members: [{ userId: user._id, role: 'owner' }, { userId: viewer._id, role: 'viewer' }]
+    });
+
+    const refused = await request(app)
+      .patch('/api/settings')
+      .set(as(viewerToken))
+      .send({ displayCurrency: 'USD' })
+      .expect(403);
+    expect(refused.body.code).toBe('READ_ONLY_MEMBER');
+
+    const res = await request(app)
+      .patch('/api/settings')
+      .set(as(viewerToken))
+      .send({ notifications: { digest: 'weekly' } })
+      .expect(200);
+    expect(res.body.data.settings.notifications.digest).toBe('weekly');
+    expect(res.body.data.canEditHouseholdSettings).toBe(false);
+
+    const owner = await request(app).get('/api/settings').set(as(token)).expect(200);
+    expect(owner.body.data.settings.notifications.digest).toBe('immediate');
+  });
+
+  it('deletes the account and its data once the login is typed out', async () => {
+    const account = await BankAccount.create({ userId: user._id, bankId: 'file-import', name: 'Statements', status: 'active' });
+    await SyncRun.create({ userId: user._id, bankAccountId: account._id, strategyName: 'file-import' });
+
+    const mismatch = await request(app)
+      .delete('/api/settings/account')
+      .set(as(token))
+      .send({ confirm: 'someone-else' })
+      .expect(400);
+    expect(mismatch.body.code).toBe('CONFIRMATION_MISMATCH');
+
+    await request(app)
+      .delete('/api/settings/account')
+      .set(as(token))
+      .send({ confirm: user.githubLogin.toUpperCase() })
+      .expect(200);
+
+    expect(await User.exists({ _id: user._id })).toBeNull();
+    expect(await BankAccount.exists({ userId: user._id })).toBeNull();
+    expect(await SyncRun.exists({ userId: user._id })).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Defaults for every user setting. A user who never opened the settings page
+ * gets exactly these, so they are also what the services used before settings
+ * existed.
+ */
+
+// Israeli RSU taxation under section 102 (capital track): the grant value is
+// taxed as wages, the gain over it as capital gains - at the wage rate when the
+// shares are sold within two years of the grant.
+const DEFAULT_RSU_TAX_RATES = {
+  wageIncome: 0.65,
+  capitalGainsLongTerm: 0.25,
+  capitalGainsShortTerm: 0.65
+};
+
+// Same shape as BankAccount.scrapingConfig.schedule, which a new account is
+// given a copy of.
+const DEFAULT_SCRAPING_SCHEDULE = {
+  frequency: 'daily',
+  dayOfWeek: 0,
+  dayOfMonth: 1,
+  timeOfDay: '00:00'
+};
+
+const SCRAPING_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const NOTIFICATION_DIGESTS = ['immediate', 'daily', 'weekly'];
+
+// Alerts always appear in the app; these decide where else they go. A
+// browser only receives pushes once it has subscribed, so `push` is on by
+// default and means "to the browsers I subscribed".
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  email: true,
+  push: true,
+  webhookUrl: null,
+  digest: 'immediate'
+};
+
+// The cash-flow forecast warns when a checking account is projected to go
+// below this, in the display currency. Zero means warn before an overdraft.
+const DEFAULT_LOW_BALANCE_THRESHOLD = 0;
+
+// Capped at 28 so every month has the day.
+const BUDGET_MONTH_START_DAY_MAX = 28;
+
+// What starts a budget month: the start day, or the month's salary arriving.
+// With `salary` the start day is still used for a month whose salary has not
+// arrived (or never will).
+const BUDGET_MONTH_START_MODES = ['day', 'salary'];
+
+const DISPLAY_CURRENCIES = ['ILS', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'CHF', 'AUD'];
+
+/**
+ * Settings that describe the shared books rather than the person looking at
+ * them. In a household they are read from, and written to, the owner's user
+ * document, so every member sees the same numbers.
+ */
+const HOUSEHOLD_SETTINGS = [
+  'displayCurrency',
+  'budgetMonthStartDay',
+  'budgetMonthStartsOn',
+  'rsuTaxRates',
+  'aiCategorization',
+  'scrapingSchedule',
+  'lowBalanceThreshold'
+];
+
+module.exports = {
+  DEFAULT_RSU_TAX_RATES,
+  DEFAULT_SCRAPING_SCHEDULE,
+  SCRAPING_FREQUENCIES,
+  NOTIFICATION_DIGESTS,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  DEFAULT_LOW_BALANCE_THRESHOLD,
+  BUDGET_MONTH_START_DAY_MAX,
+  BUDGET_MONTH_START_MODES,
+  DISPLAY_CURRENCIES,
+  HOUSEHOLD_SETTINGS
+};
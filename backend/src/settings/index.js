@@ -0,0 +1,21 @@
+// Settings subsystem public interface
+
+// Services (used by other subsystems)
+const settingsService = require('./services/settingsService');
+
+// Constants (used by other subsystems)
+const {
+  DEFAULT_RSU_TAX_RATES,
+  DEFAULT_SCRAPING_SCHEDULE,
+  DEFAULT_NOTIFICATION_PREFERENCES
+} = require('./constants/defaults');
+
+module.exports = {
+  // Services
+  settingsService,
+
+  // Constants
+  DEFAULT_RSU_TAX_RATES,
+  DEFAULT_SCRAPING_SCHEDULE,
+  DEFAULT_NOTIFICATION_PREFERENCES
+};
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { body, matchedData, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const logger = require('../../shared/utils/logger');
+const { clearSession } = require('../../auth/routes/auth');
+const settingsService = require('../services/settingsService');
+const { SettingsError } = require('../services/settingsService');
+const accountDeletionService = require('../services/accountDeletionService');
+const { isWebhookUrl } = require('../../notifications');
+const {
+  BUDGET_MONTH_START_DAY_MAX,
+  BUDGET_MONTH_START_MODES,
+  DISPLAY_CURRENCIES,
+  NOTIFICATION_DIGESTS,
+  SCRAPING_FREQUENCIES
+} = require('../constants/defaults');
+
+// Viewers may still change their own notification settings; the service
+// refuses them anything that belongs to the household.
+router.use(householdAuth.allowViewers);
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof SettingsError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+const householdContext = (req) => ({
+  dataOwnerId: req.dataOwnerId,
+  household: req.household,
+  role: req.householdRole
+});
+
+const rate = (field) => body(`rsuTaxRates.${field}`).optional().isFloat({ min: 0, max: 1 }).toFloat();
+
+/**
+ * GET /api/settings
+ * Profile, settings with defaults filled in, and the limits the page needs.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const data = await settingsService.describe(req.user, householdContext(req));
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Failed to load settings');
+  }
+});
+
+/**
+ * PATCH /api/settings
+ * Partial update. Only the fields below are accepted; anything else in the
+ * body is ignored.
+ */
+router.patch('/',
+  [
+    body('displayCurrency').optional().isIn(DISPLAY_CURRENCIES),
+    body('budgetMonthStartDay').optional().isInt({ min: 1, max: BUDGET_MONTH_START_DAY_MAX }).toInt(),
+    body('budgetMonthStartsOn').optional().isIn(BUDGET_MONTH_START_MODES),
+    rate('wageIncome'),
+    rate('capitalGainsLongTerm'),
+    rate('capitalGainsShortTerm'),
+    body('aiCategorization.enabled').optional().isBoolean({ strict: true }),
+    // null clears it back to the server-wide limit
+    body('aiCategorization.dailyTokenBudget').optional()
+      .custom(value => value === null || (Number.isInteger(value) && value >= 0))
+      .withMessage('Must be a whole number of tokens, or null'),
+    body('scrapingSchedule.frequency').optional().isIn(SCRAPING_FREQUENCIES),
+    body('scrapingSchedule.dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+    body('scrapingSchedule.dayOfMonth').optional().isInt({ min: 1, max: 31 }).toInt(),
+    body('scrapingSchedule.timeOfDay').optional().matches(/^([01]\d|2[0-3]):([0-5]\d)$/),
+    body('lowBalanceThreshold').optional().isFloat({ min: 0, max: 100000000 }).toFloat(),
+    body('notifications.email').optional().isBoolean({ strict: true }),
+    body('notifications.push').optional().isBoolean({ strict: true }),
+    // null turns the webhook off
+    body('notifications.webhookUrl').optional()
+      .custom(value => value === null || isWebhookUrl(value))
+      .withMessage('Must be a public https URL, or null'),
+    body('notifications.digest').optional().isIn(NOTIFICATION_DIGESTS)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const changes = matchedData(req, { locations: ['body'], includeOptionals: false });
+      await settingsService.update(req.user, householdContext(req), changes);
+      const data = await settingsService.describe(req.user, householdContext(req));
+      res.json({ success: true, data });
+    } catch (error) {
+      sendError(res, error, 'Failed to update settings');
+    }
+  }
+);
+
+/**
+ * DELETE /api/settings/account
+ * Deletes the user and all their data, then ends the session. The body must
+ * repeat the user's GitHub login, or their email if they have none, as
+ * `confirm`.
+ */
+router.delete('/account',
+  [body('confirm').isString().trim().notEmpty()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const removed = await accountDeletionService.deleteAccount(req.user, req.body.confirm);
+      clearSession(res);
+      res.json({ success: true, data: { removed } });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete account');
+    }
+  }
+);
+
+module.exports = router;
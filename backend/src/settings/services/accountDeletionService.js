@@ -0,0 +1,63 @@
+const { User } = require('../../auth');
+const { BankAccount, bankAccountService } = require('../../banking');
+const { householdService } = require('../../households');
+const { backupService } = require('../../data-export');
+const { notificationService } = require('../../notifications');
+const logger = require('../../shared/utils/logger');
+const settingsService = require('./settingsService');
+const { SettingsError } = settingsService;
+
+/**
+ * Deletes a user and everything they own.
+ *
+ * Kept apart from settingsService because it reaches into most other modules,
+ * and settingsService is itself required by some of them.
+ */
+class AccountDeletionService {
+  /**
+   * @param {Object} user - The signed-in user
+   * @param {string} confirmation - Their GitHub login, or their email if they
+   *   have none, typed out
+   * @returns {Promise<Object>} Number of records removed per collection
+   */
+  async deleteAccount(user, confirmation) {
+    const expected = settingsService.deletionConfirmationFor(user);
+    if (!expected.value || String(confirmation || '').trim().toLowerCase() !== expected.value.toLowerCase()) {
+      throw new SettingsError('CONFIRMATION_MISMATCH', `Type your ${expected.describe} to confirm`);
+    }
+
+    const household = await householdService.findForUser(user._id);
+    if (household) {
+      if (!household.ownerId.equals(user._id)) {
+        // A member's shared work stays with the household; leaving takes
+        // their credentials out of it.
+        await householdService.leave(user._id);
+      } else if (household.members.length > 1) {
+        throw new SettingsError(
+          'HOUSEHOLD_HAS_MEMBERS',
+          'The household\'s records are yours. Remove the other members or delete the household first',
+          409
+        );
+      } else {
+        await householdService.deleteHousehold(user._id);
+      }
+    }
+
+    // One by one, so each account's scheduled syncs are stopped before its
+    // record goes.
+    const accounts = await BankAccount.find({ userId: user._id }).select('_id').lean();
+    for (const account of accounts) {
+      await bankAccountService.delete(account._id, user._id);
+    }
+
+    const removed = await backupService.deleteAllData(user._id);
+    await notificationService.deleteForUser(user._id);
+    await User.deleteOne({ _id: user._id });
+
+    logger.info(`Deleted account of user ${user._id}: ${JSON.stringify(removed)}`);
+    return removed;
+  }
+}
+
+module.exports = new AccountDeletionService();
+module.exports.AccountDeletionService = AccountDeletionService;
@@ -0,0 +1,182 @@
+const { User } = require('../../auth');
+const config = require('../../shared/config');
+const logger = require('../../shared/utils/logger');
+const {
+  DEFAULT_RSU_TAX_RATES,
+  DEFAULT_SCRAPING_SCHEDULE,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  DEFAULT_LOW_BALANCE_THRESHOLD,
+  HOUSEHOLD_SETTINGS
+} = require('../constants/defaults');
+
+class SettingsError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'SettingsError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const SETTINGS_FIELDS = 'displayCurrency settings';
+
+/**
+ * A user's settings with every gap filled from the defaults.
+ */
+const resolve = (user) => {
+  const stored = user?.settings || {};
+  return {
+    displayCurrency: user?.displayCurrency || 'ILS',
+    budgetMonthStartDay: stored.budgetMonthStartDay || 1,
+    budgetMonthStartsOn: stored.budgetMonthStartsOn || 'day',
+    rsuTaxRates: { ...DEFAULT_RSU_TAX_RATES, ...stored.rsuTaxRates },
+    aiCategorization: {
+      enabled: stored.aiCategorization?.enabled ?? true,
+      dailyTokenBudget: stored.aiCategorization?.dailyTokenBudget ?? null
+    },
+    scrapingSchedule: { ...DEFAULT_SCRAPING_SCHEDULE, ...stored.scrapingSchedule },
+    lowBalanceThreshold: stored.lowBalanceThreshold ?? DEFAULT_LOW_BALANCE_THRESHOLD,
+    notifications: { ...DEFAULT_NOTIFICATION_PREFERENCES, ...stored.notifications }
+  };
+};
+
+// Flattens a partial settings object into dotted paths, so updating one tax
+// rate does not reset the other two.
+const toUpdatePaths = (changes, prefix = 'settings') => {
+  const paths = {};
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(paths, toUpdatePaths(value, `${prefix}.${key}`));
+    } else {
+      paths[`${prefix}.${key}`] = value;
+    }
+  }
+  return paths;
+};
+
+/**
+ * Per-user settings for the values services used to hard-code. Settings that
+ * describe the shared books (see HOUSEHOLD_SETTINGS) are kept on the data
+ * owner's user document, so callers pass whichever id they scope records by;
+ * notification preferences are always the signed-in person's own.
+ */
+class SettingsService {
+  async getForUser(userId) {
+    const user = await User.findById(userId).select(SETTINGS_FIELDS).lean();
+    return resolve(user);
+  }
+
+  async getRsuTaxRates(userId) {
+    return (await this.getForUser(userId)).rsuTaxRates;
+  }
+
+  async getDefaultScrapingSchedule(userId) {
+    return (await this.getForUser(userId)).scrapingSchedule;
+  }
+
+  async isAiCategorizationEnabled(userId) {
+    return (await this.getForUser(userId)).aiCategorization.enabled;
+  }
+
+  /**
+   * The user's daily AI token allowance. Their own figure can only lower the
+   * server-wide ceiling, never raise it; a ceiling of 0 means there is none.
+   */
+  async getDailyTokenBudget(userId) {
+    const ceiling = config.ai.dailyTokenBudget;
+    const own = (await this.getForUser(userId)).aiCategorization.dailyTokenBudget;
+    if (own == null) return ceiling;
+    return ceiling > 0 ? Math.min(own, ceiling) : own;
+  }
+
+  /**
+   * What the user types to confirm deleting their account: the GitHub login
+   * they have always been asked for, or for people without GitHub their
+   * email address, or failing that their name.
+   */
+  deletionConfirmationFor(user) {
+    if (user.githubLogin) return { value: user.githubLogin, describe: 'GitHub username' };
+    if (user.email) return { value: user.email, describe: 'email address' };
+    return { value: user.name || '', describe: 'name' };
+  }
+
+  /**
+   * Everything the settings page shows.
+   *
+   * @param {Object} user - The signed-in user
+   * @param {Object} context - `dataOwnerId`, `household` and `role` from householdAuth
+   */
+  async describe(user, { dataOwnerId, household, role }) {
+    const [ownerSettings, own] = await Promise.all([
+      this.getForUser(dataOwnerId),
+      this.getForUser(user._id)
+    ]);
+
+    return {
+      profile: {
+        name: user.name,
+        githubLogin: user.githubLogin || null,
+        email: user.email,
+        avatarUrl: user.avatarUrl,
+        memberSince: user.createdAt,
+        // What account deletion asks them to type
+        deletionConfirmation: this.deletionConfirmationFor(user).value
+      },
+      household: household ? { name: household.name, role } : null,
+      canEditHouseholdSettings: role !== 'viewer',
+      settings: {
+        ...ownerSettings,
+        notifications: own.notifications
+      },
+      limits: {
+        aiAvailable: config.ai.enabled,
+        maxDailyTokenBudget: config.ai.dailyTokenBudget || null,
+        emailAvailable: config.notifications.emailEnabled,
+        pushAvailable: config.notifications.pushEnabled
+      }
+    };
+  }
+
+  /**
+   * Applies a validated partial update. Household settings go to the data
+   * owner and are refused to viewers; the rest go to the user.
+   */
+  async update(user, { dataOwnerId, role }, changes) {
+    const shared = {};
+    const personal = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) continue;
+      (HOUSEHOLD_SETTINGS.includes(key) ? shared : personal)[key] = value;
+    }
+
+    if (Object.keys(shared).length > 0 && role === 'viewer') {
+      throw new SettingsError('READ_ONLY_MEMBER', 'Household viewers can only change their own notification settings', 403);
+    }
+
+    const ceiling = config.ai.dailyTokenBudget;
+    const requestedBudget = shared.aiCategorization?.dailyTokenBudget;
+    if (requestedBudget != null && ceiling > 0 && requestedBudget > ceiling) {
+      throw new SettingsError(
+        'AI_BUDGET_ABOVE_LIMIT',
+        `The daily AI budget cannot be more than the server limit of ${ceiling} tokens`
+      );
+    }
+
+    const { displayCurrency, ...sharedSettings } = shared;
+    const sharedUpdate = toUpdatePaths(sharedSettings);
+    if (displayCurrency) sharedUpdate.displayCurrency = displayCurrency;
+
+    if (Object.keys(sharedUpdate).length > 0) {
+      await User.updateOne({ _id: dataOwnerId }, { $set: sharedUpdate }, { runValidators: true });
+    }
+    if (Object.keys(personal).length > 0) {
+      await User.updateOne({ _id: user._id }, { $set: toUpdatePaths(personal) }, { runValidators: true });
+    }
+
+    logger.info(`Settings updated for user ${user._id}: ${Object.keys(changes).join(', ')}`);
+  }
+}
+
+module.exports = new SettingsService();
+module.exports.SettingsService = SettingsService;
+module.exports.SettingsError = SettingsError;
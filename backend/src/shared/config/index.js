@@ -52,6 +52,15 @@ const config = {
     defaultReturnTo: (process.env.DEFAULT_RETURN_TO || 'http://localhost:3000').replace(/\/$/, ''),
     sessionTtlSeconds: Number(process.env.SESSION_TTL_SEC) || 7 * 24 * 60 * 60
   },
+  // Second sign-in provider, for household members without a GitHub account.
+  // Any OpenID Connect issuer works; GOOGLE_OIDC_ISSUER exists so local
+  // development and tests can point it at a mock. Left unset, Google sign-in
+  // is simply not offered.
+  google: {
+    clientId: process.env.GOOGLE_OAUTH_CLIENT_ID || undefined,
+    clientSecret: process.env.GOOGLE_OAUTH_CLIENT_SECRET || undefined,
+    issuer: (process.env.GOOGLE_OIDC_ISSUER || 'https://accounts.google.com').replace(/\/$/, '')
+  },
   // Azure OpenAI. Authenticated with the same managed identity that reaches the
   // vaults: the account has local authentication disabled, so there is no key to
   // configure, leak or rotate. Left unset - which is the case for local
@@ -155,6 +164,39 @@ const config = {
       // candidate, so asking about a page of them costs barely more than one.
       projectMatchBatchSize: Number(process.env.AI_LLM_PROJECT_MATCH_BATCH_SIZE) || 25
     }
+  },
+  // A restore arrives as one JSON request body, and a backup of years of
+  // scraped history is far larger than the default body limit allows.
+  backup: {
+    maxRestoreSize: process.env.BACKUP_MAX_RESTORE_SIZE || '200mb'
+  },
+  // Statement files are uploaded as the raw request body.
+  statementImport: {
+    maxFileSize: process.env.STATEMENT_IMPORT_MAX_FILE_SIZE || '10mb'
+  },
+  // Where alerts go besides the app itself. Each channel is optional: left
+  // unconfigured, it is skipped and alerts still show up in the app.
+  notifications: {
+    smtp: {
+      host: process.env.SMTP_HOST || undefined,
+      port: Number(process.env.SMTP_PORT) || 587,
+      // true for port 465; anything else upgrades with STARTTLS
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || undefined,
+      pass: process.env.SMTP_PASS || undefined,
+      from: process.env.SMTP_FROM || undefined
+    },
+    // Web Push identifies this server to the browsers' push services with a
+    // VAPID key pair (`npx web-push generate-vapid-keys`). Replacing the pair
+    // invalidates every browser already subscribed.
+    vapid: {
+      publicKey: process.env.VAPID_PUBLIC_KEY || undefined,
+      privateKey: process.env.VAPID_PRIVATE_KEY || undefined,
+      subject: process.env.VAPID_SUBJECT || 'mailto:admin@gerifinancial.local'
+    },
+    // A webhook that does not answer within this long counts as failed, so one
+    // slow receiver cannot hold up everyone else's alerts.
+    webhookTimeoutMs: Number(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS) || 10000
   }
 };
 
@@ -167,6 +209,11 @@ config.ai.enabled = Boolean(config.ai.endpoint && config.ai.chatDeployment);
 // categorisation should not be switched off just because it is absent.
 config.ai.embeddingsEnabled = Boolean(config.ai.endpoint && config.ai.embeddingDeployment);
 
+config.notifications.emailEnabled = Boolean(config.notifications.smtp.host && config.notifications.smtp.from);
+config.notifications.pushEnabled = Boolean(config.notifications.vapid.publicKey && config.notifications.vapid.privateKey);
+// Alerts link back into the frontend, wherever the browser reaches it.
+config.notifications.appUrl = config.github.defaultReturnTo;
+
 // The session cookie has to reach the API from the frontend, which is served
 // from a different origin in every deployed environment. SameSite=None is what
 // allows that, and browsers *drop* a SameSite=None cookie that is not also
@@ -194,6 +241,20 @@ config.session = {
   crossSite: cookieSecure && wantsCrossSite
 };
 
+// Passkeys are bound to the site the browser shows, which is the frontend
+// rather than this API, so the relying party defaults to the frontend's host.
+// A passkey registered under one RP id cannot be used under another, so
+// changing WEBAUTHN_RP_ID later strands every passkey already registered.
+config.passkeys = {
+  enabled: process.env.PASSKEYS_ENABLED !== 'false',
+  rpId: process.env.WEBAUTHN_RP_ID || new URL(config.github.defaultReturnTo).hostname,
+  rpName: 'GeriFinancial',
+  origins: (process.env.WEBAUTHN_ORIGINS || new URL(config.github.defaultReturnTo).origin)
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean)
+};
+
 // No development fallback: a committed, well-known key would silently become
 // the KEK for anyone running without configuration. ENCRYPTION_KEY (or a Key
 // Vault URL) is required in every environment, and LocalKekProvider reports
@@ -0,0 +1,44 @@
+const auth = require('./auth');
+const Household = require('../../households/models/Household');
+const { WRITE_ROLES } = require('../../households/constants/roles');
+const logger = require('../utils/logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Authenticates like `auth`, then points the request at the books it works on.
+ *
+ * A household keeps its shared records under its owner's user id, so routes
+ * scope their queries by req.dataOwnerId rather than req.user._id. For a user
+ * outside any household the two are the same. req.user stays the signed-in
+ * person, for anything that is theirs alone, such as their own credentials.
+ *
+ * Viewers may read but not change anything: requests other than reads are
+ * refused, unless the route opts in with householdAuth.allowViewers because it
+ * only computes something.
+ */
+const withHousehold = ({ allowViewers }) => (req, res, next) => auth(req, res, async () => {
+  try {
+    const household = await Household.findOne({ 'members.userId': req.user._id });
+    req.household = household;
+    req.householdRole = household ? household.roleOf(req.user._id) : 'owner';
+    req.dataOwnerId = household ? household.ownerId : req.user._id;
+  } catch (error) {
+    logger.error('Failed to resolve household membership:', error);
+    return res.status(500).json({ error: 'Failed to load household' });
+  }
+
+  if (!allowViewers && !READ_METHODS.includes(req.method) && !WRITE_ROLES.includes(req.householdRole)) {
+    return res.status(403).json({
+      error: 'Household viewers can look but not make changes',
+      code: 'READ_ONLY_MEMBER'
+    });
+  }
+
+  next();
+});
+
+const householdAuth = withHousehold({ allowViewers: false });
+householdAuth.allowViewers = withHousehold({ allowViewers: true });
+
+module.exports = householdAuth;
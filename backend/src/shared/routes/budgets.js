@@ -5,10 +5,11 @@ const router = express.Router();
 const monthlyBudgetRoutes = require('../../monthly-budgets/routes/budgets');
 const projectBudgetRoutes = require('../../project-budgets/routes/budgets');
 const patternRoutes = require('../../monthly-budgets/routes/patterns');
+const scenarioRoutes = require('../../monthly-budgets/routes/scenarios');
 
 // Import additional route handlers for functionality not yet modularized
 const { body, param, query, validationResult } = require('express-validator');
-const auth = require('../middleware/auth');
+const householdAuth = require('../middleware/householdAuth');
 const budgetService = require('../../monthly-budgets/services/budgetService');
 const { defaultCategories } = require('../../monthly-budgets/services/userCategoryService');
 const logger = require('../utils/logger');
@@ -30,6 +31,7 @@ const handleValidationErrors = (req, res, next) => {
 router.use('/', monthlyBudgetRoutes);
 router.use('/', projectBudgetRoutes);
 router.use('/patterns', patternRoutes);
+router.use('/scenarios', scenarioRoutes);
 
 // ============================================
 // GENERAL BUDGET ENDPOINTS
@@ -40,7 +42,7 @@ router.use('/patterns', patternRoutes);
  * Get budget summary for dashboard
  */
 router.get('/summary',
-  auth,
+  householdAuth,
   [
     query('year').optional().isInt({ min: 2020, max: 2050 }).withMessage('Year must be between 2020 and 2050'),
     query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12')
@@ -52,7 +54,7 @@ router.get('/summary',
       const year = req.query.year ? parseInt(req.query.year) : currentDate.getFullYear();
       const month = req.query.month ? parseInt(req.query.month) : currentDate.getMonth() + 1;
       
-      const summary = await budgetService.getBudgetSummary(req.user._id, year, month);
+      const summary = await budgetService.getBudgetSummary(req.dataOwnerId, year, month);
       
       res.json({
         success: true,
@@ -74,10 +76,10 @@ router.get('/summary',
  * Get dashboard overview data
  */
 router.get('/dashboard',
-  auth,
+  householdAuth,
   async (req, res) => {
     try {
-      const overview = await budgetService.getDashboardOverview(req.user._id);
+      const overview = await budgetService.getDashboardOverview(req.dataOwnerId);
       
       res.json({
         success: true,
@@ -103,7 +105,7 @@ router.get('/dashboard',
  * Get default category structure and ordering
  */
 router.get('/categories/default-order',
-  auth,
+  householdAuth,
   async (req, res) => {
     try {
       res.json({
@@ -135,7 +137,7 @@ router.get('/categories/default-order',
  * Get budget details for editing
  */
 router.get('/category/:categoryId/subcategory/:subCategoryId/edit',
-  auth,
+  householdAuth,
   [
     param('categoryId').isMongoId().withMessage('Invalid category ID'),
     param('subCategoryId').custom((value) => {
@@ -151,7 +153,7 @@ router.get('/category/:categoryId/subcategory/:subCategoryId/edit',
     try {
       const { categoryId, subCategoryId } = req.params;
       const budget = await budgetService.getBudgetForEditing(
-        req.user._id, 
+        req.dataOwnerId, 
         categoryId, 
         subCategoryId === 'null' ? null : subCategoryId
       );
@@ -176,7 +178,7 @@ router.get('/category/:categoryId/subcategory/:subCategoryId/edit',
  * Update category budget with manual edit tracking
  */
 router.put('/category/:categoryId/subcategory/:subCategoryId',
-  auth,
+  householdAuth,
   [
     param('categoryId').isMongoId().withMessage('Invalid category ID'),
     param('subCategoryId').custom((value) => {
@@ -191,6 +193,13 @@ router.put('/category/:categoryId/subcategory/:subCategoryId',
     body('monthlyAmounts').optional().isArray().withMessage('Monthly amounts must be an array'),
     body('monthlyAmounts.*.month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
     body('monthlyAmounts.*.amount').optional().isFloat({ min: 0 }).withMessage('Amount must be non-negative'),
+    body('rollover').optional().isObject().withMessage('Rollover must be an object'),
+    body('rollover.enabled').optional().isBoolean().withMessage('Rollover enabled must be a boolean')
+      .custom((enabled, { req }) => !enabled || req.params.subCategoryId !== 'null')
+      .withMessage('Rollover is only available for expense budgets'),
+    body('rollover.maxSurplus').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Surplus cap must be non-negative'),
+    body('rollover.maxDeficit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Deficit cap must be non-negative'),
+    body('rollover.resetMonth').optional({ nullable: true }).isInt({ min: 1, max: 12 }).withMessage('Reset month must be between 1 and 12'),
     body('reason').optional().isString().isLength({ max: 200 }).withMessage('Reason must be under 200 characters')
   ],
   handleValidationErrors,
@@ -198,7 +207,7 @@ router.put('/category/:categoryId/subcategory/:subCategoryId',
     try {
       const { categoryId, subCategoryId } = req.params;
       const budget = await budgetService.updateCategoryBudget(
-        req.user._id, 
+        req.dataOwnerId, 
         categoryId, 
         subCategoryId === 'null' ? null : subCategoryId,
         req.body
@@ -229,7 +238,7 @@ router.put('/category/:categoryId/subcategory/:subCategoryId',
  * Exclude transaction from budget calculation
  */
 router.put('/transactions/:transactionId/exclude',
-  auth,
+  householdAuth,
   [
     param('transactionId').isMongoId().withMessage('Invalid transaction ID'),
     body('reason').isString().isLength({ min: 1, max: 200 }).withMessage('Reason must be 1-200 characters')
@@ -241,7 +250,7 @@ router.put('/transactions/:transactionId/exclude',
       const { reason } = req.body;
       
       const result = await budgetService.excludeTransactionFromBudget(
-        req.user._id, 
+        req.dataOwnerId, 
         transactionId, 
         reason
       );
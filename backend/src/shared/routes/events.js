@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../middleware/auth');
+const householdAuth = require('../middleware/householdAuth');
 const sseService = require('../services/sseService');
 const logger = require('../utils/logger');
 
@@ -17,10 +17,11 @@ const logger = require('../utils/logger');
  * itself once the client opts in with withCredentials, so the ordinary auth
  * middleware is sufficient.
  */
-router.get('/', auth, (req, res) => {
+router.get('/', householdAuth, (req, res) => {
   try {
-    // Auth middleware sets req.user to the full User document
-    const userId = req.user._id || req.user.userId;
+    // Sync progress is published under the user the bank accounts belong to,
+    // which for a household member is the household's owner.
+    const userId = req.dataOwnerId;
     
     if (!userId) {
       logger.error('[SSE] No userId found in request.user:', req.user);
@@ -53,7 +54,7 @@ router.get('/', auth, (req, res) => {
  * Get SSE service statistics (admin endpoint)
  * GET /api/events/stats
  */
-router.get('/stats', auth, (req, res) => {
+router.get('/stats', householdAuth, (req, res) => {
   const stats = sseService.getStats();
   res.json({
     success: true,
@@ -40,6 +40,23 @@ const COUNTER_TTL_SECONDS = 48 * 60 * 60;
 class AiBudgetService {
   constructor() {
     this.redis = null;
+    this.limitResolver = null;
+  }
+
+  /**
+   * Lets users set a lower allowance of their own. Installed at startup by the
+   * app rather than looked up here, so this module does not depend on where
+   * user settings are kept.
+   *
+   * @param {(userId: string) => Promise<number>} resolver - The user's daily limit
+   */
+  setLimitResolver(resolver) {
+    this.limitResolver = resolver;
+  }
+
+  async limitFor(userId) {
+    if (!this.limitResolver) return config.ai.dailyTokenBudget;
+    return this.limitResolver(userId);
   }
 
   async initialize() {
@@ -90,7 +107,7 @@ class AiBudgetService {
    * front and reconciling it afterwards.
    */
   async assertWithinBudget(userId) {
-    const limit = config.ai.dailyTokenBudget;
+    const limit = await this.limitFor(userId);
     if (!limit || limit <= 0) return { used: 0, limit: 0, remaining: Infinity };
 
     // Redis being unreachable fails the request closed. Failing open would mean
@@ -72,6 +72,18 @@ class EventBridge {
       });
     });
 
+    scrapingEvents.on('accountNeedsReauth', (data) => {
+      const { userId, bankAccountId, name, message } = data;
+      const userIdStr = userId.toString();
+      logger.info(`[EventBridge] Forwarding accountNeedsReauth for user ${userIdStr}`);
+      sseService.emit(userIdStr, 'account:needs-reauth', {
+        bankAccountId,
+        name,
+        error: message,
+        timestamp: new Date().toISOString()
+      });
+    });
+
     // ========== ONBOARDING EVENTS ==========
 
     // Credit card detection completed
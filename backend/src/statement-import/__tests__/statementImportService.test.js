@@ -0,0 +1,109 @@
+const { BankAccount, Transaction, BalanceSnapshot } = require('../../banking/models');
+const transactionCategorizationService = require('../../banking/services/transactionCategorizationService');
+const { ImportProfile } = require('../models');
+const statementImportService = require('../services/statementImportService');
+const { DEFAULT_ACCOUNT_NAME } = require('../services/statementImportService');
+
+// A Bank Hapoalim export: a title line, then debit and credit in two columns.
+const HAPOALIM_CSV = [
+  'חשבון 12-345-678901',
+  '',
+  'תאריך,תיאור הפעולה,פרטים,אסמכתא,חובה,זכות,יתרה בש\'\'ח',
+  '01/02/2024,משכורת,,1001,,"12,500.00","15,000.00"',
+  '03/02/2024,סופר,שופרסל,1002,250.50,,"14,749.50"',
+  '03/02/2024,סופר,שופרסל,1002,250.50,,"14,499.00"',
+  'סה"כ,,,,501.00,"12,500.00",'
+].join('\r\n');
+
+const OFX = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>ILS
+<BANKACCTFROM><ACCTID>555</BANKACCTFROM><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240105<TRNAMT>-42.10<FITID>A1<NAME>Coffee</STMTTRN>
+</BANKTRANLIST><LEDGERBAL><BALAMT>2500.55<DTASOF>20240131</LEDGERBAL></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+describe('statementImportService', () => {
+  let user;
+
+  beforeEach(async () => {
+    await Promise.all([
+      BankAccount.deleteMany({}), Transaction.deleteMany({}),
+      BalanceSnapshot.deleteMany({}), ImportProfile.deleteMany({})
+    ]);
+    user = await global.createTestUser({ email: 'importer@example.com' });
+    jest.spyOn(transactionCategorizationService, 'enqueue').mockResolvedValue('job-1');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('previews a file through the matching built-in profile without saving anything', async () => {
+    const preview = await statementImportService.preview(user._id, Buffer.from(HAPOALIM_CSV), { fileName: 'hapoalim.csv' });
+
+    expect(preview.profile).toEqual({ id: 'hapoalim', name: 'Bank Hapoalim' });
+    expect(preview.total).toBe(3);
+    expect(preview.skippedRows).toBe(1);
+    expect(preview.transactions.map(row => row.amount).sort((a, b) => a - b)).toEqual([-250.5, -250.5, 12500]);
+    expect(await Transaction.countDocuments()).toBe(0);
+  });
+
+  it('imports onto a file-import account through the scraper pipeline, once', async () => {
+    const first = await statementImportService.importStatement(user._id, Buffer.from(HAPOALIM_CSV), { fileName: 'hapoalim.csv' });
+
+    expect(first).toMatchObject({ newTransactions: 3, duplicates: 0, categorizationJobId: 'job-1' });
+    const account = await BankAccount.findById(first.bankAccount._id);
+    expect(account).toMatchObject({ bankId: 'file-import', name: DEFAULT_ACCOUNT_NAME, status: 'active' });
+    expect(account.currentBalance).toBe(14499);
+
+    const transactions = await Transaction.find({ accountId: account._id }).sort({ date: 1 });
+    expect(transactions.map(tx => tx.amount)).toEqual([12500, -250.5, -250.5]);
+    expect(transactions[0].type).toBe('Income');
+    // Two identical purchases on one day are two transactions, not a duplicate.
+    expect(new Set(transactions.map(tx => tx.uniqueId)).size).toBe(3);
+
+    const again = await statementImportService.importStatement(user._id, Buffer.from(HAPOALIM_CSV), { fileName: 'hapoalim.csv' });
+    expect(again).toMatchObject({ newTransactions: 0, duplicates: 3 });
+    expect(again.bankAccount._id).toEqual(account._id);
+  });
+
+  it('imports OFX using its transaction ids and closing balance', async () => {
+    const result = await statementImportService.importStatement(user._id, Buffer.from(OFX), {
+      fileName: 'export.ofx',
+      accountName: 'Credit union'
+    });
+
+    expect(result).toMatchObject({ format: 'ofx', newTransactions: 1 });
+    const transaction = await Transaction.findOne({ accountId: result.bankAccount._id });
+    expect(transaction).toMatchObject({ uniqueId: 'ofx:555:A1', amount: -42.1, description: 'Coffee' });
+    const snapshot = await BalanceSnapshot.findOne({ bankAccountId: result.bankAccount._id });
+    expect(snapshot).toMatchObject({ balance: 2500.55, source: 'import' });
+  });
+
+  it('asks for a profile when no column layout matches, then uses the saved one', async () => {
+    const csv = 'Fecha;Concepto;Importe\n15/01/2024;Mercado;-12,50\n';
+
+    await expect(statementImportService.importStatement(user._id, Buffer.from(csv), { fileName: 'es.csv' }))
+      .rejects.toMatchObject({ code: 'NO_PROFILE', status: 422 });
+    const preview = await statementImportService.preview(user._id, Buffer.from(csv), { fileName: 'es.csv' });
+    expect(preview.headers).toEqual(['Fecha', 'Concepto', 'Importe']);
+
+    await statementImportService.saveProfile(user._id, {
+      name: 'Spanish bank',
+      columns: { date: 'Fecha', description: 'Concepto', amount: 'Importe' },
+      dateFormat: 'DD/MM/YYYY'
+    });
+    const result = await statementImportService.importStatement(user._id, Buffer.from(csv), { fileName: 'es.csv' });
+
+    expect(result).toMatchObject({ profile: { name: 'Spanish bank' }, newTransactions: 1 });
+  });
+
+  it('only imports onto the user\'s own statement-import accounts', async () => {
+    const other = await global.createTestUser({ email: 'someone-else@example.com' });
+    const theirs = await statementImportService.getImportAccount(other._id, {});
+
+    await expect(statementImportService.importStatement(user._id, Buffer.from(OFX), {
+      fileName: 'export.ofx',
+      bankAccountId: String(theirs._id)
+    })).rejects.toMatchObject({ code: 'ACCOUNT_NOT_FOUND', status: 404 });
+  });
+});
@@ -0,0 +1,128 @@
+const ExcelJS = require('exceljs');
+const {
+  parseStatementFile,
+  detectFormat,
+  decodeText,
+  parseCsv,
+  parseOfx,
+  parseHtmlTable,
+  StatementImportError
+} = require('../services/statementParser');
+const { parseAmount, parseDate } = require('../services/statementImportService');
+
+const OFX_SGML = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKACCTFROM><BANKID>1<ACCTID>9876<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240105120000[-5:EST]<TRNAMT>-42.10<FITID>A1<NAME>Coffee &amp; Co<MEMO>card 1234</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240110<TRNAMT>1000.00<FITID>A2<NAME>Payroll</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL><BALAMT>2500.55<DTASOF>20240131</LEDGERBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+describe('statementParser', () => {
+  describe('detectFormat', () => {
+    it('tells formats apart by content rather than by name', async () => {
+      const workbook = new ExcelJS.Workbook();
+      workbook.addWorksheet('Sheet1').addRow(['a']);
+      const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      expect(detectFormat(xlsx, 'statement.csv')).toBe('xlsx');
+      expect(detectFormat(Buffer.from(OFX_SGML), 'statement.txt')).toBe('ofx');
+      expect(detectFormat(Buffer.from('<html><table><tr><td>1</td></tr></table></html>'), 'statement.xls')).toBe('html');
+      expect(detectFormat(Buffer.from('Date,Amount\n'), 'statement.xls')).toBe('csv');
+    });
+
+    it('refuses legacy binary .xls files with a way out', async () => {
+      const ole2 = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+      await expect(parseStatementFile(ole2, 'statement.xls')).rejects.toMatchObject({
+        code: 'UNSUPPORTED_FORMAT'
+      });
+      await expect(parseStatementFile(Buffer.alloc(0))).rejects.toBeInstanceOf(StatementImportError);
+    });
+  });
+
+  describe('decodeText', () => {
+    it('reads Windows-1255 files that are not valid UTF-8', () => {
+      // "שלום" in Windows-1255
+      expect(decodeText(Buffer.from([0xf9, 0xec, 0xe5, 0xed]))).toBe('שלום');
+      expect(decodeText(Buffer.from('\uFEFFשלום'))).toBe('שלום');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('keeps quoted delimiters, quotes and line breaks inside a field', () => {
+      const rows = parseCsv('a,b,c\r\n"1,000.00","say ""hi""","two\nlines"\r\n\r\n');
+
+      expect(rows).toEqual([['a', 'b', 'c'], ['1,000.00', 'say "hi"', 'two\nlines']]);
+    });
+
+    it('detects semicolon and tab separated files', () => {
+      expect(parseCsv('a;b\n1;2\n')).toEqual([['a', 'b'], ['1', '2']]);
+      expect(parseCsv('a\tb\n1\t2\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+  });
+
+  describe('parseOfx', () => {
+    it('reads SGML statements, with their balance', () => {
+      const [statement] = parseOfx(OFX_SGML);
+
+      expect(statement).toMatchObject({ kind: 'bank', accountNumber: '9876', currency: 'USD', balance: 2500.55 });
+      expect(statement.transactions).toHaveLength(2);
+      expect(statement.transactions[0]).toMatchObject({ fitId: 'A1', amount: -42.1, name: 'Coffee & Co', memo: 'card 1234' });
+      expect(statement.transactions[0].date).toEqual(new Date(2024, 0, 5));
+    });
+
+    it('reads XML credit-card statements', () => {
+      const xml = '<?xml version="1.0"?><OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>'
+        + '<CURDEF>ILS</CURDEF><CCACCTFROM><ACCTID>4580</ACCTID></CCACCTFROM><BANKTRANLIST>'
+        + '<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240301</DTPOSTED><TRNAMT>-99.90</TRNAMT>'
+        + '<FITID>X9</FITID><NAME>Shufersal</NAME></STMTTRN></BANKTRANLIST></CCSTMTRS></CCSTMTTRNRS>'
+        + '</CREDITCARDMSGSRSV1></OFX>';
+
+      const [statement] = parseOfx(xml);
+
+      expect(statement).toMatchObject({ kind: 'credit', accountNumber: '4580', currency: 'ILS', balance: null });
+      expect(statement.transactions[0]).toMatchObject({ fitId: 'X9', amount: -99.9, name: 'Shufersal' });
+    });
+  });
+
+  describe('parseHtmlTable', () => {
+    it('reads the HTML tables some banks save as .xls', () => {
+      const rows = parseHtmlTable('<table><tr><th>Date</th><th>Description</th></tr>'
+        + '<tr><td>05/03/2024</td><td><b>Rent</b> &amp; fees</td></tr><tr><td></td></tr></table>');
+
+      expect(rows).toEqual([['Date', 'Description'], ['05/03/2024', 'Rent & fees']]);
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('reads amounts the way banks print them', () => {
+      expect(parseAmount('1,234.50')).toBe(1234.5);
+      expect(parseAmount('150.00-')).toBe(-150);
+      expect(parseAmount('(3,000.00)')).toBe(-3000);
+      expect(parseAmount('₪ 1,000')).toBe(1000);
+      expect(parseAmount('12,5')).toBe(12.5);
+      expect(parseAmount(-20)).toBe(-20);
+      expect(parseAmount('')).toBeNaN();
+    });
+  });
+
+  describe('parseDate', () => {
+    it('reads text dates in the profile order and Excel dates as printed', () => {
+      expect(parseDate('15/01/2024', 'DD/MM/YYYY')).toEqual(new Date(2024, 0, 15));
+      expect(parseDate('15-01-24', 'DD/MM/YYYY')).toEqual(new Date(2024, 0, 15));
+      expect(parseDate('01/15/2024', 'MM/DD/YYYY')).toEqual(new Date(2024, 0, 15));
+      expect(parseDate('2024-01-15', 'YYYY-MM-DD')).toEqual(new Date(2024, 0, 15));
+      expect(parseDate(new Date(Date.UTC(2024, 0, 15)), 'DD/MM/YYYY')).toEqual(new Date(2024, 0, 15));
+      expect(parseDate(45306, 'DD/MM/YYYY')).toEqual(new Date(2024, 0, 15));
+      expect(parseDate('31/02/2024', 'DD/MM/YYYY')).toBeNull();
+      expect(parseDate('סה"כ', 'DD/MM/YYYY')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Column profiles for the statement exports Israeli banks and card companies
+ * hand out from their websites.
+ *
+ * Each column lists the header texts it has been seen under; headers are
+ * compared with quotes, geresh and extra spaces removed, so `יתרה בש"ח` and
+ * `יתרה בש''ח` match the same entry. Banks rename columns now and then - when
+ * an export stops matching, add the new header here, or save a profile of
+ * your own from the import dialog.
+ *
+ * `amount` is one signed column; `debit` and `credit` are the two-column
+ * layout checking accounts use instead. Card companies list charges as
+ * positive numbers, so their profiles set `negateAmounts` to store them as
+ * expenses, the way the scrapers do. `dateFormat` gives the order of day,
+ * month and year; any separator is accepted.
+ */
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+const COLUMN_FIELDS = [
+  'date', 'processedDate', 'description', 'memo', 'reference',
+  'amount', 'debit', 'credit', 'balance', 'accountNumber',
+  'originalAmount', 'originalCurrency'
+];
+
+const BUILT_IN_PROFILES = [
+  {
+    id: 'hapoalim',
+    name: 'Bank Hapoalim',
+    bankId: 'hapoalim',
+    columns: {
+      date: ['תאריך'],
+      processedDate: ['תאריך ערך'],
+      description: ['תיאור הפעולה', 'הפעולה'],
+      memo: ['פרטים'],
+      reference: ['אסמכתא'],
+      debit: ['חובה'],
+      credit: ['זכות'],
+      balance: ['יתרה בש"ח', 'יתרה']
+    },
+    dateFormat: 'DD/MM/YYYY',
+    negateAmounts: false
+  },
+  {
+    id: 'leumi',
+    name: 'Bank Leumi',
+    bankId: 'leumi',
+    columns: {
+      date: ['תאריך'],
+      processedDate: ['תאריך ערך'],
+      description: ['תיאור', 'תיאור התנועה'],
+      reference: ['אסמכתא'],
+      debit: ['בחובה'],
+      credit: ['בזכות'],
+      balance: ['היתרה בש"ח', 'יתרה בש"ח']
+    },
+    dateFormat: 'DD/MM/YYYY',
+    negateAmounts: false
+  },
+  {
+    id: 'discount',
+    name: 'Discount Bank',
+    bankId: 'discount',
+    columns: {
+      date: ['תאריך'],
+      processedDate: ['יום ערך'],
+      description: ['תיאור התנועה'],
+      reference: ['אסמכתא'],
+      amount: ['₪ זכות/חובה', 'זכות/חובה'],
+      balance: ['₪ יתרה', 'יתרה']
+    },
+    dateFormat: 'DD/MM/YYYY',
+    negateAmounts: false
+  },
+  {
+    id: 'isracard',
+    name: 'Isracard / Amex',
+    bankId: 'isracard',
+    columns: {
+      date: ['תאריך רכישה'],
+      description: ['שם בית עסק'],
+      memo: ['פירוט נוסף'],
+      reference: ['מס\' שובר', 'מספר שובר'],
+      amount: ['סכום חיוב'],
+      originalAmount: ['סכום עסקה'],
+      originalCurrency: ['מטבע עסקה']
+    },
+    dateFormat: 'DD/MM/YYYY',
+    negateAmounts: true
+  },
+  {
+    id: 'max',
+    name: 'Max',
+    bankId: 'max',
+    columns: {
+      date: ['תאריך עסקה'],
+      processedDate: ['תאריך חיוב'],
+      description: ['שם בית העסק'],
+      memo: ['הערות'],
+      amount: ['סכום חיוב'],
+      accountNumber: ['4 ספרות אחרונות של כרטיס האשראי'],
+      originalAmount: ['סכום עסקה מקורי'],
+      originalCurrency: ['מטבע עסקה מקורי']
+    },
+    dateFormat: 'DD/MM/YYYY',
+    negateAmounts: true
+  },
+  {
+    id: 'visaCal',
+    name: 'Visa Cal',
+    bankId: 'visaCal',
+    columns: {
+      date: ['תאריך העסקה', 'תאריך עסקה'],
+      description: ['שם בית העסק', 'שם בית עסק'],
+      memo: ['פירוט נוסף', 'הערות'],
+      amount: ['סכום החיוב', 'סכום חיוב'],
+      originalAmount: ['סכום העסקה', 'סכום עסקה'],
+      originalCurrency: ['מטבע העסקה', 'מטבע עסקה']
+    },
+    dateFormat: 'DD/MM/YYYY',
+    negateAmounts: true
+  },
+  {
+    id: 'generic',
+    name: 'Generic (Date, Description, Amount)',
+    bankId: null,
+    columns: {
+      date: ['Date', 'Transaction Date', 'Posting Date'],
+      description: ['Description', 'Payee', 'Name', 'Merchant'],
+      memo: ['Memo', 'Notes'],
+      reference: ['Reference', 'Ref', 'Check Number'],
+      amount: ['Amount'],
+      debit: ['Debit', 'Withdrawal'],
+      credit: ['Credit', 'Deposit'],
+      balance: ['Balance', 'Running Balance']
+    },
+    dateFormat: 'DD/MM/YYYY',
+    negateAmounts: false
+  }
+];
+
+module.exports = {
+  BUILT_IN_PROFILES,
+  COLUMN_FIELDS,
+  DATE_FORMATS
+};
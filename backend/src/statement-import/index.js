@@ -0,0 +1,15 @@
+// Statement import subsystem public interface
+
+// Models (used by other subsystems)
+const { ImportProfile } = require('./models');
+
+// Services (used by other subsystems)
+const statementImportService = require('./services/statementImportService');
+
+module.exports = {
+  // Models
+  ImportProfile,
+
+  // Services
+  statementImportService
+};
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { COLUMN_FIELDS, DATE_FORMATS } = require('../constants/bankProfiles');
+
+// One header text per field: a saved profile describes the file it was made
+// from, unlike the built-in profiles, which list every variant seen.
+const columnsDefinition = Object.fromEntries(
+  COLUMN_FIELDS.map(field => [field, { type: String, trim: true, default: null }])
+);
+
+/**
+ * A user's own column mapping for a statement export no built-in profile
+ * reads, saved so the next file from the same bank imports without asking.
+ */
+const importProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // The bank the export comes from, when it is one the app knows
+  bankId: {
+    type: String,
+    default: null
+  },
+  columns: columnsDefinition,
+  dateFormat: {
+    type: String,
+    enum: DATE_FORMATS,
+    default: 'DD/MM/YYYY'
+  },
+  negateAmounts: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+importProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+importProfileSchema.pre('validate', function(next) {
+  const { date, description, amount, debit, credit } = this.columns || {};
+  if (!date || !description || (!amount && !debit && !credit)) {
+    return next(new Error('A profile needs date and description columns, and an amount or debit/credit columns'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
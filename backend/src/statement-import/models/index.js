@@ -0,0 +1,5 @@
+const ImportProfile = require('./ImportProfile');
+
+module.exports = {
+  ImportProfile
+};
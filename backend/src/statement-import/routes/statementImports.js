@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const config = require('../../shared/config');
+const logger = require('../../shared/utils/logger');
+const statementImportService = require('../services/statementImportService');
+const { StatementImportError } = require('../services/statementParser');
+const { COLUMN_FIELDS, DATE_FORMATS } = require('../constants/bankProfiles');
+
+router.use(householdAuth);
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// The file is the request body as sent, whatever its type; the name, profile
+// and target account travel in the query string.
+const fileBody = express.raw({ type: () => true, limit: config.statementImport.maxFileSize });
+
+const fileValidators = [
+  query('fileName').optional().isString().isLength({ max: 255 }),
+  query('profileId').optional().isString().isLength({ max: 100 }),
+  query('bankAccountId').optional().isMongoId(),
+  query('accountName').optional().isString().trim().isLength({ min: 1, max: 100 })
+];
+
+const fileOptions = (req) => ({
+  fileName: req.query.fileName || '',
+  profileId: req.query.profileId,
+  bankAccountId: req.query.bankAccountId,
+  accountName: req.query.accountName
+});
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof StatementImportError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * GET /api/statement-imports/profiles
+ * The user's saved column profiles, then the built-in ones.
+ */
+router.get('/profiles', async (req, res) => {
+  try {
+    const profiles = await statementImportService.listProfiles(req.dataOwnerId);
+    res.json({ success: true, data: profiles });
+  } catch (error) {
+    sendError(res, error, 'Failed to load import profiles');
+  }
+});
+
+/**
+ * POST /api/statement-imports/profiles
+ * Saves a column profile for a bank export no built-in profile reads.
+ */
+router.post('/profiles',
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('bankId').optional({ nullable: true }).isString(),
+    body('columns').isObject(),
+    ...COLUMN_FIELDS.map(field => body(`columns.${field}`).optional({ nullable: true }).isString()),
+    body('dateFormat').optional().isIn(DATE_FORMATS),
+    body('negateAmounts').optional().isBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const profile = await statementImportService.saveProfile(req.dataOwnerId, req.body);
+      res.status(201).json({ success: true, data: profile });
+    } catch (error) {
+      sendError(res, error, 'Failed to save import profile');
+    }
+  }
+);
+
+/**
+ * DELETE /api/statement-imports/profiles/:id
+ */
+router.delete('/profiles/:id', [param('id').isMongoId()], handleValidationErrors, async (req, res) => {
+  try {
+    const deleted = await statementImportService.deleteProfile(req.dataOwnerId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete import profile');
+  }
+});
+
+/**
+ * POST /api/statement-imports/preview
+ * Reads an uploaded statement and returns what importing it would add,
+ * without saving anything. When no profile matches a CSV or Excel file, the
+ * response carries the file's headers so a profile can be built from them.
+ */
+router.post('/preview', fileBody, fileValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const preview = await statementImportService.preview(req.dataOwnerId, req.body, fileOptions(req));
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    sendError(res, error, 'Failed to read statement file');
+  }
+});
+
+/**
+ * POST /api/statement-imports
+ * Imports an uploaded statement onto a statement-import bank account: the one
+ * given by bankAccountId, or the one named accountName, created if needed.
+ */
+router.post('/', fileBody, fileValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const result = await statementImportService.importStatement(req.dataOwnerId, req.body, fileOptions(req));
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to import statement file');
+  }
+});
+
+module.exports = router;
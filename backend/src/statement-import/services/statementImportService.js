@@ -0,0 +1,484 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('../../shared/utils/logger');
+const { BankAccount, transactionService } = require('../../banking');
+const balanceService = require('../../banking/services/balanceService');
+const { FILE_IMPORT_BANK_ID } = require('../../banking/constants/enums');
+const { ImportProfile } = require('../models');
+const { BUILT_IN_PROFILES } = require('../constants/bankProfiles');
+const { parseStatementFile, StatementImportError } = require('./statementParser');
+
+const DEFAULT_ACCOUNT_NAME = 'Imported statements';
+// Exports open with a title block of a few lines before the header row.
+const HEADER_SEARCH_ROWS = 40;
+const PREVIEW_ROWS = 50;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const dayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const normalizeHeader = (value) => String(value ?? '')
+  .replace(/["'`״׳₪\u200e\u200f]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+/**
+ * Dates arrive as Date cells from Excel (midnight UTC of the printed day), as
+ * Excel serial numbers when a column is not formatted as a date, or as text in
+ * the profile's day/month/year order. All become local midnight of that day,
+ * the way scraped transactions are dated.
+ */
+const parseDate = (value, dateFormat) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? null
+      : new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+  }
+  if (typeof value === 'number') {
+    if (value < 20000 || value > 80000) return null;
+    return parseDate(new Date(Date.UTC(1899, 11, 30) + value * 86400000), dateFormat);
+  }
+
+  const match = cellText(value).match(/^(\d{1,4})[/.\-\s](\d{1,2})[/.\-\s](\d{1,4})/);
+  if (!match) return null;
+  const parts = match.slice(1, 4).map(Number);
+  let [day, month, year] = dateFormat === 'YYYY-MM-DD'
+    ? [parts[2], parts[1], parts[0]]
+    : dateFormat === 'MM/DD/YYYY'
+      ? [parts[1], parts[0], parts[2]]
+      : parts;
+  if (year < 100) year += 2000;
+
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Amounts as banks print them: thousands separators, a currency sign, and the
+ * minus sign in front, behind (`150.00-`) or as parentheses.
+ */
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  let text = cellText(value).replace(/[\s\u200e\u200f₪$€£]|ILS|USD|EUR/gi, '').replace(/−/g, '-');
+  if (!/\d/.test(text)) return NaN;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+  text = text.replace(/[^\d.,]/g, '');
+  if (text.includes('.')) {
+    text = text.replace(/,/g, '');
+  } else if (/,\d{1,2}$/.test(text)) {
+    // A lone comma with one or two digits after it is a decimal comma.
+    text = text.replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = Number(text);
+  return negative ? -amount : amount;
+};
+
+const hashId = (parts) => crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 32);
+
+/**
+ * Statement file import: CSV, Excel and OFX/QFX exports for accounts no
+ * scraper reaches.
+ *
+ * Tabular files are read through a column profile - a built-in one for the
+ * banks and card companies whose exports are known, or one the user saved -
+ * and every format is turned into the same shape the scrapers return, then
+ * handed to `transactionService.processScrapedTransactions`. Imported
+ * transactions therefore go through the same duplicate checks and the same
+ * categorisation as scraped ones, and importing an overlapping file twice adds
+ * nothing.
+ *
+ * Everything lands on a `file-import` bank account, which balances, budgets
+ * and reports treat like any other account, and which the scheduler never
+ * tries to sync.
+ */
+class StatementImportService {
+  async listProfiles(userId) {
+    const saved = await ImportProfile.find({ userId }).sort({ name: 1 }).lean();
+    return [
+      ...saved.map(profile => ({ ...profile, id: String(profile._id), builtIn: false })),
+      ...BUILT_IN_PROFILES.map(profile => ({ ...profile, builtIn: true }))
+    ];
+  }
+
+  async saveProfile(userId, data) {
+    const { name, bankId, columns, dateFormat, negateAmounts } = data;
+    try {
+      const profile = await ImportProfile.create({ userId, name, bankId, columns, dateFormat, negateAmounts });
+      return { ...profile.toObject(), id: String(profile._id), builtIn: false };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new StatementImportError('PROFILE_EXISTS', `A profile named "${name}" already exists`, 409);
+      }
+      throw new StatementImportError('INVALID_PROFILE', error.message);
+    }
+  }
+
+  async deleteProfile(userId, profileId) {
+    const result = await ImportProfile.deleteOne({ _id: profileId, userId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * The profiles to try on a file: the one asked for, or else the user's own
+   * profiles before the built-in ones, so a saved mapping wins over a guess.
+   */
+  async resolveProfiles(userId, profileId) {
+    if (!profileId) {
+      const saved = await ImportProfile.find({ userId }).lean();
+      return [...saved.map(profile => ({ ...profile, id: String(profile._id) })), ...BUILT_IN_PROFILES];
+    }
+
+    const builtIn = BUILT_IN_PROFILES.find(profile => profile.id === profileId);
+    if (builtIn) return [builtIn];
+
+    const saved = mongoose.Types.ObjectId.isValid(profileId)
+      ? await ImportProfile.findOne({ _id: profileId, userId }).lean()
+      : null;
+    if (!saved) {
+      throw new StatementImportError('PROFILE_NOT_FOUND', 'Import profile not found', 404);
+    }
+    return [{ ...saved, id: String(saved._id) }];
+  }
+
+  /**
+   * Finds the header row a profile describes and where each of its columns
+   * sits. A row qualifies when it has the date and description columns and
+   * at least one amount column.
+   */
+  findHeader(rows, profile) {
+    const limit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+    for (let index = 0; index < limit; index++) {
+      const positions = new Map();
+      rows[index].forEach((cell, position) => {
+        const key = normalizeHeader(cell);
+        if (key && !positions.has(key)) positions.set(key, position);
+      });
+
+      const columns = {};
+      for (const [field, headers] of Object.entries(profile.columns || {})) {
+        const found = asList(headers).map(normalizeHeader).find(header => positions.has(header));
+        if (found !== undefined) columns[field] = positions.get(found);
+      }
+
+      const hasAmount = ['amount', 'debit', 'credit'].some(field => field in columns);
+      if ('date' in columns && 'description' in columns && hasAmount) {
+        return { index, columns };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Maps the rows under a header to scraper-shaped transactions, grouped by
+   * account number. Rows without a date or an amount - totals, blank lines,
+   * notes between sections - are skipped and counted.
+   */
+  mapRows(rows, header, profile, defaultAccountNumber, occurrences = new Map()) {
+    const { columns } = header;
+    const cell = (row, field) => (field in columns ? row[columns[field]] : null);
+    const accounts = new Map();
+    let skipped = 0;
+
+    for (const row of rows.slice(header.index + 1)) {
+      const date = parseDate(cell(row, 'date'), profile.dateFormat);
+      let amount;
+      if ('amount' in columns) {
+        amount = parseAmount(cell(row, 'amount'));
+      } else {
+        // Debit and credit are both printed as positive numbers, with the
+        // other column left empty.
+        const credit = parseAmount(cell(row, 'credit'));
+        const debit = parseAmount(cell(row, 'debit'));
+        amount = Number.isNaN(credit) && Number.isNaN(debit)
+          ? NaN
+          : (Number.isNaN(credit) ? 0 : credit) - (Number.isNaN(debit) ? 0 : Math.abs(debit));
+      }
+      if (!date || Number.isNaN(amount)) {
+        skipped++;
+        continue;
+      }
+      amount = round2(profile.negateAmounts ? -amount : amount);
+
+      const accountNumber = cellText(cell(row, 'accountNumber')) || defaultAccountNumber;
+      const description = cellText(cell(row, 'description'));
+      const memo = cellText(cell(row, 'memo')) || null;
+      const reference = cellText(cell(row, 'reference')) || null;
+
+      // Two identical rows on the same day are two real purchases; the count
+      // keeps their ids apart while staying the same when the file is
+      // imported again.
+      const key = [accountNumber, dayKey(date), amount, description, memo, reference].join('|');
+      const occurrence = (occurrences.get(key) || 0) + 1;
+      occurrences.set(key, occurrence);
+      const uniqueId = `file:${hashId([key, occurrence])}`;
+
+      const originalAmount = parseAmount(cell(row, 'originalAmount'));
+      const balance = parseAmount(cell(row, 'balance'));
+
+      if (!accounts.has(accountNumber)) {
+        accounts.set(accountNumber, { accountNumber, txns: [], balance: null, balanceDate: null });
+      }
+      const account = accounts.get(accountNumber);
+      account.txns.push({
+        identifier: reference || uniqueId,
+        uniqueId,
+        type: 'normal',
+        status: 'completed',
+        date,
+        processedDate: parseDate(cell(row, 'processedDate'), profile.dateFormat) || date,
+        description: description || memo || reference || 'Imported transaction',
+        memo,
+        reference,
+        chargedAmount: amount,
+        originalAmount: Number.isNaN(originalAmount) ? amount : round2(profile.negateAmounts ? -originalAmount : originalAmount),
+        originalCurrency: cellText(cell(row, 'originalCurrency')) || null,
+        source: 'file-import'
+      });
+
+      // Exports run newest-first or oldest-first; either way the balance
+      // printed on the latest day, furthest along in that day, is the closing one.
+      if (!Number.isNaN(balance) && cellText(cell(row, 'balance')) !== '') {
+        if (!account.balanceDate || date >= account.balanceDate) {
+          account.balance = balance;
+          account.balanceDate = date;
+        }
+      }
+    }
+
+    return { accounts: [...accounts.values()], skipped };
+  }
+
+  ofxToAccounts(statements) {
+    return statements.map(statement => ({
+      accountNumber: statement.accountNumber || 'ofx',
+      currency: statement.currency,
+      balance: statement.balance,
+      balanceDate: statement.balanceDate,
+      txns: statement.transactions
+        .filter(entry => entry.date && Number.isFinite(entry.amount))
+        .map(entry => {
+          const uniqueId = entry.fitId
+            ? `ofx:${statement.accountNumber}:${entry.fitId}`
+            : `file:${hashId([statement.accountNumber, dayKey(entry.date), entry.amount, entry.name, entry.memo])}`;
+          return {
+            identifier: entry.fitId || uniqueId,
+            uniqueId,
+            type: 'normal',
+            status: 'completed',
+            date: entry.userDate || entry.date,
+            processedDate: entry.date,
+            description: entry.name || entry.memo || 'Imported transaction',
+            memo: entry.name ? entry.memo : null,
+            reference: entry.checkNumber,
+            chargedAmount: round2(entry.amount),
+            originalAmount: round2(entry.amount),
+            originalCurrency: statement.currency,
+            ofxType: entry.type,
+            source: 'file-import'
+          };
+        })
+    }));
+  }
+
+  /**
+   * The header candidates of a file no profile recognised: the first row that
+   * looks like a header, offered to the user to build a profile from.
+   */
+  guessHeaders(sheets) {
+    for (const { rows } of sheets) {
+      const row = rows.slice(0, HEADER_SEARCH_ROWS)
+        .find(cells => cells.filter(cell => typeof cell === 'string' && cell.trim() && !/^[\d.,\-/\s]+$/.test(cell)).length >= 3);
+      if (row) return row.map(cellText).filter(Boolean);
+    }
+    return [];
+  }
+
+  /**
+   * Reads a statement file into scraper-shaped accounts. For tabular files the
+   * first profile whose columns are found in a sheet is used for that sheet.
+   * @returns {Promise<Object>} `{ format, profile, accounts, skippedRows, headers }`
+   */
+  async readStatement(userId, buffer, { fileName = '', profileId } = {}) {
+    const parsed = await parseStatementFile(buffer, fileName);
+    if (parsed.format === 'ofx') {
+      return { format: 'ofx', profile: null, accounts: this.ofxToAccounts(parsed.statements), skippedRows: 0, headers: [] };
+    }
+
+    const profiles = await this.resolveProfiles(userId, profileId);
+    const label = fileName.replace(/\.[^.]+$/, '') || 'statement';
+    const accounts = new Map();
+    // Shared across sheets, so identical rows on two sheets stay two rows.
+    const occurrences = new Map();
+    let matched = null;
+    let skippedRows = 0;
+
+    for (const sheet of parsed.sheets) {
+      for (const profile of matched ? [matched] : profiles) {
+        const header = this.findHeader(sheet.rows, profile);
+        if (!header) continue;
+
+        matched = profile;
+        const result = this.mapRows(sheet.rows, header, profile, label, occurrences);
+        skippedRows += result.skipped;
+        for (const account of result.accounts) {
+          const existing = accounts.get(account.accountNumber);
+          if (!existing) {
+            accounts.set(account.accountNumber, account);
+            continue;
+          }
+          existing.txns.push(...account.txns);
+          if (account.balanceDate && (!existing.balanceDate || account.balanceDate >= existing.balanceDate)) {
+            existing.balance = account.balance;
+            existing.balanceDate = account.balanceDate;
+          }
+        }
+        break;
+      }
+    }
+
+    return {
+      format: parsed.format,
+      profile: matched ? { id: matched.id, name: matched.name } : null,
+      accounts: [...accounts.values()],
+      skippedRows,
+      headers: matched ? [] : this.guessHeaders(parsed.sheets)
+    };
+  }
+
+  /**
+   * What an import would bring in, without saving anything.
+   */
+  async preview(userId, buffer, options = {}) {
+    const statement = await this.readStatement(userId, buffer, options);
+    const transactions = statement.accounts.flatMap(account =>
+      account.txns.map(txn => ({
+        accountNumber: account.accountNumber,
+        date: txn.date,
+        processedDate: txn.processedDate,
+        description: txn.description,
+        memo: txn.memo,
+        amount: txn.chargedAmount
+      })));
+    transactions.sort((a, b) => b.date - a.date);
+
+    return {
+      format: statement.format,
+      profile: statement.profile,
+      headers: statement.headers,
+      skippedRows: statement.skippedRows,
+      total: transactions.length,
+      accounts: statement.accounts.map(({ accountNumber, txns, balance, currency }) => ({
+        accountNumber, transactions: txns.length, balance, currency: currency || null
+      })),
+      transactions: transactions.slice(0, PREVIEW_ROWS)
+    };
+  }
+
+  /**
+   * The statement-import account to put a file on: the one chosen, or the one
+   * with the given name, created on first use.
+   */
+  async getImportAccount(userId, { bankAccountId, accountName, currency } = {}) {
+    if (bankAccountId) {
+      const account = mongoose.Types.ObjectId.isValid(bankAccountId)
+        ? await BankAccount.findOne({ _id: bankAccountId, userId, bankId: FILE_IMPORT_BANK_ID })
+        : null;
+      if (!account) {
+        throw new StatementImportError('ACCOUNT_NOT_FOUND', 'Statement-import account not found', 404);
+      }
+      return account;
+    }
+
+    const name = (accountName || DEFAULT_ACCOUNT_NAME).trim();
+    const existing = await BankAccount.findOne({ userId, bankId: FILE_IMPORT_BANK_ID, name });
+    if (existing) return existing;
+
+    // Created directly rather than through bankAccountService, whose
+    // accountCreated event would queue a first sync for an account that has
+    // nothing to sync.
+    const account = await BankAccount.create({
+      userId,
+      bankId: FILE_IMPORT_BANK_ID,
+      name,
+      defaultCurrency: currency || 'ILS',
+      status: 'active'
+    });
+    logger.info(`Created statement-import account ${account._id} (${name}) for user ${userId}`);
+    return account;
+  }
+
+  /**
+   * Imports a statement file onto a statement-import account.
+   * @param {string} userId - User ID
+   * @param {Buffer} buffer - The uploaded file
+   * @param {Object} options - fileName, profileId, and bankAccountId or accountName
+   * @returns {Promise<Object>} Counts from the transaction pipeline, plus the account used
+   */
+  async importStatement(userId, buffer, options = {}) {
+    const statement = await this.readStatement(userId, buffer, options);
+    if (statement.format !== 'ofx' && !statement.profile) {
+      throw new StatementImportError(
+        'NO_PROFILE',
+        'No import profile matches this file. Choose the columns and save a profile for it first.',
+        422
+      );
+    }
+
+    const total = statement.accounts.reduce((sum, account) => sum + account.txns.length, 0);
+    if (total === 0) {
+      throw new StatementImportError('NO_TRANSACTIONS', 'No transactions were found in the file', 422);
+    }
+
+    const currencies = [...new Set(statement.accounts.map(account => account.currency).filter(Boolean))];
+    const bankAccount = await this.getImportAccount(userId, { ...options, currency: currencies[0] });
+    const warnings = currencies
+      .filter(currency => currency !== bankAccount.defaultCurrency)
+      .map(currency => `The file is in ${currency} but "${bankAccount.name}" keeps ${bankAccount.defaultCurrency}; amounts were imported as they are.`);
+
+    const results = await transactionService.processScrapedTransactions(statement.accounts, bankAccount);
+
+    const balances = statement.accounts.filter(account => account.balance != null);
+    if (balances.length > 0) {
+      try {
+        await balanceService.recordBalance(bankAccount._id, {
+          balance: round2(balances.reduce((sum, account) => sum + account.balance, 0)),
+          currency: bankAccount.defaultCurrency,
+          source: 'import'
+        });
+      } catch (error) {
+        logger.warn(`Failed to record imported balance for account ${bankAccount._id}: ${error.message}`);
+      }
+    }
+
+    await BankAccount.updateOne({ _id: bankAccount._id }, { lastScraped: new Date() });
+
+    logger.info(`Imported ${options.fileName || 'statement'} for user ${userId}: ${results.newTransactions} new, ${results.duplicates} duplicates`);
+
+    return {
+      bankAccount: { _id: bankAccount._id, name: bankAccount.name },
+      format: statement.format,
+      profile: statement.profile,
+      total,
+      newTransactions: results.newTransactions,
+      duplicates: results.duplicates,
+      skippedRows: statement.skippedRows,
+      errors: results.errors,
+      categorizationJobId: results.categorizationJobId || null,
+      warnings
+    };
+  }
+}
+
+module.exports = new StatementImportService();
+module.exports.StatementImportService = StatementImportService;
+module.exports.parseDate = parseDate;
+module.exports.parseAmount = parseAmount;
+module.exports.DEFAULT_ACCOUNT_NAME = DEFAULT_ACCOUNT_NAME;
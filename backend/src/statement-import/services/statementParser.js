@@ -0,0 +1,259 @@
+const ExcelJS = require('exceljs');
+
+const MAX_TABLE_ROWS = 20000;
+
+class StatementImportError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'StatementImportError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Zip (xlsx) and OLE2 (legacy binary xls) signatures.
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]);
+
+/**
+ * Decodes a text export. Israeli banks still hand out Windows-1255 files next
+ * to UTF-8 ones, with nothing in the file saying which, so anything that is not
+ * valid UTF-8 is read as Windows-1255.
+ */
+const decodeText = (buffer) => {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    text = new TextDecoder('windows-1255').decode(buffer);
+  }
+  return text.replace(/^\uFEFF/, '');
+};
+
+const detectFormat = (buffer, fileName = '') => {
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) return 'xlsx';
+  if (buffer.subarray(0, 4).equals(OLE2_SIGNATURE)) return 'xls';
+
+  const head = decodeText(buffer.subarray(0, 4096)).trimStart().toUpperCase();
+  if (head.startsWith('OFXHEADER') || head.includes('<OFX>')) return 'ofx';
+  // Several banks' "Excel" download is an HTML table saved with an .xls name.
+  if (head.startsWith('<') && /<TABLE/.test(decodeText(buffer).toUpperCase())) return 'html';
+
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (['ofx', 'qfx'].includes(extension)) return 'ofx';
+  return 'csv';
+};
+
+/**
+ * Picks the delimiter that splits the first lines most consistently. Hebrew
+ * Excel saves CSV with commas, European locales with semicolons, and some bank
+ * portals export tab-separated text with a .csv name.
+ */
+const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, 20).join('\n');
+  const candidates = [',', ';', '\t', '|'];
+  let best = ',';
+  let bestCount = 0;
+  for (const candidate of candidates) {
+    const count = sample.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+/**
+ * RFC 4180 CSV, with quoted fields that may hold delimiters, doubled quotes and
+ * line breaks.
+ */
+const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/gi, ' ')
+  .replace(/&quot;/gi, '"')
+  .replace(/&#39;|&apos;/gi, '\'')
+  .replace(/&lt;/gi, '<')
+  .replace(/&gt;/gi, '>')
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&amp;/gi, '&');
+
+const parseHtmlTable = (html) => {
+  const rows = [];
+  for (const [, rowHtml] of html.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+    const cells = [...rowHtml.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi)]
+      .map(([, cell]) => decodeEntities(cell.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim());
+    if (cells.some(cell => cell !== '')) rows.push(cells);
+  }
+  return rows;
+};
+
+// exceljs hands back rich text, hyperlinks and formulas as objects.
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return cellValue(value.result);
+  if ('text' in value) return value.text;
+  return null;
+};
+
+const parseWorkbook = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new StatementImportError('UNREADABLE_FILE', `Could not read the Excel file: ${error.message}`);
+  }
+
+  const sheets = [];
+  workbook.eachSheet(worksheet => {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+      if (rows.length >= MAX_TABLE_ROWS) return;
+      // row.values is 1-based, with an empty slot at index 0.
+      const cells = row.values.slice(1).map(cellValue);
+      if (cells.some(cell => cell !== null && String(cell).trim() !== '')) rows.push(cells);
+    });
+    sheets.push({ name: worksheet.name, rows });
+  });
+  return sheets;
+};
+
+const ofxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : null;
+};
+
+const ofxBlocks = (text, tag) =>
+  [...text.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi'))].map(match => match[1]);
+
+/**
+ * OFX dates are YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]. Only the calendar day is
+ * kept, at local midnight, the way scraped transactions are dated.
+ */
+const parseOfxDate = (value) => {
+  const match = value && value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+/**
+ * Reads OFX 1.x (SGML, closing tags optional) and 2.x (XML) alike by looking
+ * at tags rather than parsing a tree, which is what lets one reader cover both.
+ * QFX is OFX with an Intuit header and reads the same way.
+ */
+const parseOfx = (text) => {
+  const statements = [];
+  for (const [wrapper, kind] of [['STMTRS', 'bank'], ['CCSTMTRS', 'credit']]) {
+    for (const block of ofxBlocks(text, wrapper)) {
+      const transactions = ofxBlocks(block, 'STMTTRN').map(entry => ({
+        fitId: ofxTag(entry, 'FITID'),
+        type: ofxTag(entry, 'TRNTYPE'),
+        date: parseOfxDate(ofxTag(entry, 'DTPOSTED')),
+        userDate: parseOfxDate(ofxTag(entry, 'DTUSER')),
+        amount: Number(ofxTag(entry, 'TRNAMT')?.replace(',', '.')),
+        name: ofxTag(entry, 'NAME') || ofxTag(entry, 'PAYEE'),
+        memo: ofxTag(entry, 'MEMO'),
+        checkNumber: ofxTag(entry, 'CHECKNUM') || ofxTag(entry, 'REFNUM')
+      }));
+
+      const ledger = ofxBlocks(block, 'LEDGERBAL')[0];
+      const balance = ledger ? Number(ofxTag(ledger, 'BALAMT')) : null;
+      statements.push({
+        kind,
+        accountNumber: ofxTag(block, 'ACCTID'),
+        currency: ofxTag(block, 'CURDEF'),
+        balance: Number.isFinite(balance) ? balance : null,
+        balanceDate: ledger ? parseOfxDate(ofxTag(ledger, 'DTASOF')) : null,
+        transactions
+      });
+    }
+  }
+
+  if (statements.length === 0) {
+    throw new StatementImportError('UNREADABLE_FILE', 'The OFX file has no bank or credit-card statement in it');
+  }
+  return statements;
+};
+
+/**
+ * Turns an uploaded statement file into plain data: rows of cells for tabular
+ * formats, which still need a column profile to mean anything, or statements
+ * with their transactions for OFX, which says what every field is.
+ *
+ * @param {Buffer} buffer - The uploaded file
+ * @param {string} fileName - Original file name, used only as a format hint
+ * @returns {Promise<Object>} `{ format, sheets }` or `{ format: 'ofx', statements }`
+ */
+const parseStatementFile = async (buffer, fileName = '') => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new StatementImportError('EMPTY_FILE', 'The uploaded file is empty');
+  }
+
+  const format = detectFormat(buffer, fileName);
+  switch (format) {
+    case 'xls':
+      throw new StatementImportError(
+        'UNSUPPORTED_FORMAT',
+        'Old-style binary .xls files cannot be read. Open the file in Excel and save it as .xlsx or CSV.'
+      );
+    case 'xlsx':
+      return { format, sheets: await parseWorkbook(buffer) };
+    case 'ofx':
+      return { format, statements: parseOfx(decodeText(buffer)) };
+    case 'html':
+      return { format, sheets: [{ name: fileName, rows: parseHtmlTable(decodeText(buffer)).slice(0, MAX_TABLE_ROWS) }] };
+    default:
+      return { format, sheets: [{ name: fileName, rows: parseCsv(decodeText(buffer)).slice(0, MAX_TABLE_ROWS) }] };
+  }
+};
+
+module.exports = {
+  parseStatementFile,
+  detectFormat,
+  decodeText,
+  parseCsv,
+  parseOfx,
+  parseHtmlTable,
+  StatementImportError
+};
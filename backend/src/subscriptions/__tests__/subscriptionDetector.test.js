@@ -0,0 +1,95 @@
+const { analyzeCharges, flagsFor, yearlyCost, nextDate, FLAGS } = require('../services/subscriptionDetector');
+
+const charge = (date, amount, id = date) => ({ _id: id, date: new Date(`${date}T10:00:00Z`), amount });
+
+const monthly = (amounts, { from = '2026-01-15' } = {}) => amounts.map((amount, index) => {
+  const date = new Date(`${from}T10:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + index);
+  return { _id: `m${index}`, date, amount };
+});
+
+describe('subscriptionDetector', () => {
+  describe('analyzeCharges', () => {
+    it('recognises a monthly subscription and predicts the next charge', () => {
+      const subscription = analyzeCharges(monthly([54.9, 54.9, 54.9, 54.9]));
+
+      expect(subscription).toMatchObject({
+        interval: 'monthly',
+        amount: 54.9,
+        previousAmount: null,
+        chargeCount: 4,
+        lastTransactionId: 'm3'
+      });
+      expect(subscription.nextChargeAt.toISOString().slice(0, 10)).toBe('2026-05-15');
+    });
+
+    it('recognises a yearly subscription from two charges a year apart', () => {
+      const subscription = analyzeCharges([charge('2024-11-03', 399), charge('2025-11-05', 429)]);
+
+      expect(subscription).toMatchObject({ interval: 'yearly', amount: 429, previousAmount: 399 });
+      expect(subscription.nextChargeAt.toISOString().slice(0, 10)).toBe('2026-11-05');
+    });
+
+    it('tracks price changes between charges', () => {
+      const subscription = analyzeCharges(monthly([49.9, 49.9, 54.9, 54.9, 59.9]));
+
+      expect(subscription.priceHistory.map(point => point.amount)).toEqual([49.9, 54.9, 59.9]);
+      expect(subscription).toMatchObject({ amount: 59.9, previousAmount: 54.9 });
+      expect(subscription.priceChangedAt).toEqual(subscription.lastChargeAt);
+    });
+
+    it('keeps a second charge in the same month apart from the regular ones', () => {
+      const charges = [...monthly([30, 30, 30]), charge('2026-03-18', 30, 'again')];
+
+      const subscription = analyzeCharges(charges);
+
+      expect(subscription.chargeCount).toBe(3);
+      expect(subscription.extraCharges).toEqual([expect.objectContaining({ transactionId: 'again', amount: 30 })]);
+    });
+
+    it('does not take irregular or varying charges for a subscription', () => {
+      expect(analyzeCharges([charge('2026-01-02', 80), charge('2026-01-20', 65), charge('2026-03-07', 120)])).toBeNull();
+      expect(analyzeCharges(monthly([120, 45, 300, 80]))).toBeNull();
+      expect(analyzeCharges(monthly([30, 30]))).toBeNull();
+    });
+  });
+
+  describe('flagsFor', () => {
+    const subscription = analyzeCharges(monthly([40, 40, 40]));
+
+    it('flags nothing while charges arrive on time', () => {
+      expect(flagsFor(subscription, new Date('2026-04-01T00:00:00Z'))).toEqual([]);
+    });
+
+    it('flags a subscription whose charge is well overdue as stopped', () => {
+      expect(flagsFor(subscription, new Date('2026-04-29T00:00:00Z'))).toEqual([]);
+      expect(flagsFor(subscription, new Date('2026-05-05T00:00:00Z'))).toEqual([FLAGS.STOPPED]);
+    });
+
+    it('flags charging twice or twice the price as doubled', () => {
+      const twice = analyzeCharges([...monthly([40, 40, 40]), charge('2026-03-16', 40, 'again')]);
+      const doubled = analyzeCharges(monthly([40, 40, 40, 80]));
+
+      expect(flagsFor(twice, new Date('2026-03-20T00:00:00Z'))).toEqual([FLAGS.DOUBLED]);
+      expect(flagsFor(doubled, new Date('2026-04-20T00:00:00Z'))).toEqual([FLAGS.DOUBLED]);
+    });
+
+    it('points out a recent price change', () => {
+      const raised = analyzeCharges(monthly([40, 40, 44]));
+
+      expect(flagsFor(raised, new Date('2026-03-20T00:00:00Z'))).toEqual([FLAGS.PRICE_CHANGED]);
+      expect(flagsFor({ ...raised, nextChargeAt: new Date('2026-09-15T00:00:00Z') }, new Date('2026-09-01T00:00:00Z')))
+        .toEqual([]);
+    });
+  });
+
+  it('costs a year at the latest price', () => {
+    expect(yearlyCost({ interval: 'monthly', amount: 54.9 })).toBe(658.8);
+    expect(yearlyCost({ interval: 'yearly', amount: 429 })).toBe(429);
+  });
+
+  it('charges on the last day of a shorter month', () => {
+    expect(nextDate(new Date('2026-01-31T10:00:00Z'), 'monthly').toISOString().slice(0, 10)).toBe('2026-02-28');
+    expect(nextDate(new Date('2024-02-29T10:00:00Z'), 'yearly').toISOString().slice(0, 10)).toBe('2025-02-28');
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User } = require('../../auth');
+const { BankAccount, Transaction } = require('../../banking/models');
+const { Merchant } = require('../../merchants/models');
+const { Subscription } = require('../models');
+const { createTestUser } = require('../../test/testUtils');
+
+describe('Subscriptions', () => {
+  let user;
+  let token;
+  let account;
+
+  const as = (sessionToken) => ({ Authorization: `Bearer ${sessionToken}` });
+
+  const monthsAgo = (months, days = 0) => {
+    const date = new Date();
+    date.setMonth(date.getMonth() - months);
+    date.setDate(date.getDate() - days);
+    return date;
+  };
+
+  const charge = (description, amount, date) => Transaction.create({
+    identifier: `tx-${Math.random()}`,
+    accountId: account._id,
+    userId: user._id,
+    amount,
+    currency: 'ILS',
+    date,
+    processedDate: date,
+    description,
+    rawData: {}
+  });
+
+  const detect = () => request(app).post('/api/subscriptions/detect').set(as(token)).expect(200);
+
+  beforeEach(async () => {
+    await Promise.all([
+      Subscription.deleteMany({}), Merchant.deleteMany({}), Transaction.deleteMany({}), BankAccount.deleteMany({})
+    ]);
+    ({ user, token } = await createTestUser(User, { email: 'subscriptions@example.com' }));
+    account = await BankAccount.create({ userId: user._id, bankId: 'file-import', name: 'Card', status: 'active' });
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({ email: 'subscriptions@example.com' });
+  });
+
+  it('finds monthly and yearly subscriptions with their yearly cost and next charge', async () => {
+    for (const months of [3, 2, 1, 0]) {
+      await charge('NETFLIX.COM', -54.9, monthsAgo(months));
+      await charge('SHUFERSAL DEAL', -180 - months * 37, monthsAgo(months, 3));
+      await charge('SHUFERSAL DEAL', -95, monthsAgo(months, 17));
+    }
+    await charge('DROPBOX', -429, monthsAgo(13));
+    await charge('DROPBOX', -429, monthsAgo(1));
+
+    const res = await detect();
+
+    const { subscriptions, totals, cancelCandidates } = res.body.data;
+    expect(subscriptions.map(subscription => [subscription.merchant.name, subscription.interval])).toEqual([
+      ['Netflix', 'monthly'],
+      ['Dropbox', 'yearly']
+    ]);
+    expect(subscriptions[0]).toMatchObject({ amount: 54.9, yearlyCost: 658.8, flags: [], cancelCandidate: true });
+    expect(new Date(subscriptions[0].nextChargeAt).getMonth()).toBe(monthsAgo(-1).getMonth());
+    expect(totals.yearly).toEqual([{ currency: 'ILS', amount: 1087.8 }]);
+    expect(cancelCandidates).toEqual({ count: 2, yearlyCost: [{ currency: 'ILS', amount: 1087.8 }] });
+  });
+
+  it('flags a subscription that stopped charging and one that charged twice', async () => {
+    for (const months of [7, 6, 5, 4]) {
+      await charge('SPOTIFY', -21.9, monthsAgo(months));
+    }
+    for (const months of [2, 1, 0]) {
+      await charge('GOOGLE STORAGE', -7.9, monthsAgo(months, 1));
+    }
+    await charge('GOOGLE STORAGE', -7.9, monthsAgo(0));
+
+    const { subscriptions, cancelCandidates } = (await detect()).body.data;
+
+    const flags = Object.fromEntries(subscriptions.map(subscription => [subscription.merchant.name, subscription.flags]));
+    expect(flags).toEqual({ Spotify: ['stopped'], Google: ['doubled'] });
+    expect(cancelCandidates.count).toBe(1);
+  });
+
+  it('keeps the review when the subscription is detected again', async () => {
+    for (const months of [2, 1, 0]) {
+      await charge('NETFLIX.COM', -54.9, monthsAgo(months));
+    }
+    const [netflix] = (await detect()).body.data.subscriptions;
+
+    await request(app)
+      .put(`/api/subscriptions/${netflix._id}/review`)
+      .set(as(token))
+      .send({ review: 'keep' })
+      .expect(200);
+    const again = (await detect()).body.data;
+
+    expect(again.subscriptions[0]).toMatchObject({ review: 'keep', cancelCandidate: false });
+    expect(again.cancelCandidates.count).toBe(0);
+
+    await request(app)
+      .put(`/api/subscriptions/${netflix._id}/review`)
+      .set(as(token))
+      .send({ review: 'ignore' })
+      .expect(200);
+    const res = await request(app).get('/api/subscriptions').set(as(token)).expect(200);
+    expect(res.body.data.subscriptions).toEqual([]);
+  });
+
+  it('refuses an unknown review', async () => {
+    const subscription = await Subscription.create({
+      userId: user._id, merchantId: user._id, currency: 'ILS', interval: 'monthly', amount: 10
+    });
+
+    await request(app)
+      .put(`/api/subscriptions/${subscription._id}/review`)
+      .set(as(token))
+      .send({ review: 'cancelled' })
+      .expect(400);
+  });
+});
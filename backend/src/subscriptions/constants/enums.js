@@ -0,0 +1,8 @@
+const SubscriptionReview = {
+  KEEP: 'keep',     // The user wants it; it is no longer offered as something to cancel
+  IGNORE: 'ignore'  // Not a subscription at all; hidden, and not detected again
+};
+
+module.exports = {
+  SubscriptionReview
+};
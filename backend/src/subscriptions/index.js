@@ -0,0 +1,15 @@
+// Subscriptions subsystem public interface
+
+// Models (used by other subsystems)
+const { Subscription } = require('./models');
+
+// Services (used by other subsystems)
+const subscriptionService = require('./services/subscriptionService');
+
+module.exports = {
+  // Models
+  Subscription,
+
+  // Services
+  subscriptionService
+};
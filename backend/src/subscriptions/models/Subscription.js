@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { PATTERN_TYPES } = require('../../monthly-budgets/constants/patternTypes');
+const { SubscriptionReview } = require('../constants/enums');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const chargeSchema = new mongoose.Schema({
+  transactionId: { type: ObjectId, ref: 'Transaction' },
+  date: { type: Date, required: true },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+/**
+ * A merchant charging the user about the same amount every month or year, as
+ * subscriptionDetector found it in their transactions. One per merchant and
+ * currency; each detection run refreshes the charges while the user's review
+ * stays.
+ */
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: ObjectId,
+    ref: 'User',
+    required: true
+  },
+  merchantId: {
+    type: ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  interval: {
+    type: String,
+    enum: [PATTERN_TYPES.MONTHLY, PATTERN_TYPES.YEARLY],
+    required: true
+  },
+  // The latest charge, as spent (positive)
+  amount: {
+    type: Number,
+    required: true
+  },
+  // The price before the latest change, null while it has never changed
+  previousAmount: {
+    type: Number,
+    default: null
+  },
+  priceChangedAt: {
+    type: Date,
+    default: null
+  },
+  // The first charge and every charge at a new price
+  priceHistory: [chargeSchema],
+  // Charges beyond the one expected in their period
+  extraCharges: [chargeSchema],
+  firstChargeAt: Date,
+  lastChargeAt: Date,
+  nextChargeAt: Date,
+  chargeCount: {
+    type: Number,
+    default: 0
+  },
+  lastTransactionId: {
+    type: ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  review: {
+    type: String,
+    enum: [...Object.values(SubscriptionReview), null],
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ userId: 1, merchantId: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,5 @@
+const Subscription = require('./Subscription');
+
+module.exports = {
+  Subscription
+};
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const logger = require('../../shared/utils/logger');
+const subscriptionService = require('../services/subscriptionService');
+const { SubscriptionError } = require('../services/subscriptionService');
+const { SubscriptionReview } = require('../constants/enums');
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof SubscriptionError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * GET /api/subscriptions
+ * The user's subscriptions with their flags, totals and cancel candidates.
+ */
+router.get('/', householdAuth.allowViewers, async (req, res) => {
+  try {
+    const subscriptions = await subscriptionService.list(req.dataOwnerId);
+    res.json({ success: true, data: subscriptions });
+  } catch (error) {
+    sendError(res, error, 'Failed to load subscriptions');
+  }
+});
+
+/**
+ * POST /api/subscriptions/detect
+ * Looks for subscriptions now rather than after the next sync.
+ */
+router.post('/detect', householdAuth, async (req, res) => {
+  try {
+    await subscriptionService.detect(req.dataOwnerId);
+    const subscriptions = await subscriptionService.list(req.dataOwnerId);
+    res.json({ success: true, data: subscriptions });
+  } catch (error) {
+    sendError(res, error, 'Failed to detect subscriptions');
+  }
+});
+
+/**
+ * PUT /api/subscriptions/:id/review
+ * Marks a subscription as wanted (`keep`), as not a subscription (`ignore`),
+ * or neither (null).
+ */
+router.put('/:id/review',
+  householdAuth,
+  [
+    param('id').isMongoId(),
+    body('review').custom(value => value === null || Object.values(SubscriptionReview).includes(value))
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const subscription = await subscriptionService.review(req.dataOwnerId, req.params.id, req.body.review);
+      res.json({ success: true, data: subscription });
+    } catch (error) {
+      sendError(res, error, 'Failed to review subscription');
+    }
+  }
+);
+
+module.exports = router;
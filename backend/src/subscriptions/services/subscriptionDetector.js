@@ -0,0 +1,175 @@
+/**
+ * Deciding, with no database access, whether a merchant's charges are a
+ * subscription and what to expect of it next.
+ *
+ * recurrenceDetectionService looks for budget lines that come back in given
+ * months of the year. A subscription is narrower: the same merchant charging
+ * about the same amount every month or every year, where what matters is the
+ * day the next charge lands, how the price moved and whether it stopped. The
+ * interval names are the recurrence ones, so the two read alike.
+ */
+
+const { PATTERN_TYPES } = require('../../monthly-budgets/constants/patternTypes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How each interval is recognised and judged. `toleranceDays` is how far a gap
+ * may stray from `days`, `graceDays` how late a charge may be before the
+ * subscription counts as stopped, `priceNoticeDays` how long a price change
+ * stays worth pointing out.
+ */
+const INTERVALS = {
+  [PATTERN_TYPES.MONTHLY]: { days: 30.4, toleranceDays: 5, minCharges: 3, graceDays: 15, priceNoticeDays: 90, perYear: 12 },
+  [PATTERN_TYPES.YEARLY]: { days: 365, toleranceDays: 20, minCharges: 2, graceDays: 30, priceNoticeDays: 400, perYear: 1 }
+};
+
+// A charge this soon after the previous one, as a share of the interval, is a
+// second charge for the same period rather than the next period's
+const EXTRA_CHARGE_SHARE = 0.4;
+
+// Consecutive charges further apart than this in amount are a price change;
+// a subscription tolerates one change for every four periods
+const PRICE_JUMP = 0.2;
+const PERIODS_PER_PRICE_JUMP = 4;
+
+// Differences smaller than this are exchange-rate noise, not a new price
+const PRICE_CHANGE_THRESHOLD = 0.01;
+
+const FLAGS = {
+  STOPPED: 'stopped',
+  DOUBLED: 'doubled',
+  PRICE_CHANGED: 'price_changed'
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const daysBetween = (from, to) => (to - from) / DAY_MS;
+
+const changed = (from, to, threshold) => Math.abs(to - from) / from > threshold;
+
+/**
+ * The date one interval after `date`, on the same day of the month where the
+ * month has it and on its last day where it does not.
+ */
+function nextDate(date, interval) {
+  const months = interval === PATTERN_TYPES.YEARLY ? 12 : 1;
+  const next = new Date(date);
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(new Date(date).getUTCDate(), lastDay));
+  return next;
+}
+
+const intervalFor = (gap) => Object.keys(INTERVALS)
+  .find(interval => Math.abs(gap - INTERVALS[interval].days) <= INTERVALS[interval].toleranceDays) || null;
+
+/**
+ * Whether a merchant's charges in one currency are a subscription.
+ *
+ * @param {Array<{_id: *, date: Date, amount: number}>} charges - Oldest first; amounts as spent, positive
+ * @returns {Object|null} The subscription's interval, latest amount, dates,
+ *   price history and extra charges; null when the charges are not one
+ */
+function analyzeCharges(charges) {
+  if (charges.length < 2) return null;
+
+  const gaps = charges.slice(1).map((charge, index) => daysBetween(charges[index].date, charge.date));
+  const interval = intervalFor(median(gaps));
+  if (!interval) return null;
+  const { days, toleranceDays, minCharges } = INTERVALS[interval];
+
+  // One charge per period; the rest are charges made twice
+  const periods = [];
+  const extraCharges = [];
+  for (const charge of charges) {
+    const previous = periods[periods.length - 1];
+    if (previous && daysBetween(previous.date, charge.date) < days * EXTRA_CHARGE_SHARE) {
+      extraCharges.push({ transactionId: charge._id, date: charge.date, amount: charge.amount });
+    } else {
+      periods.push(charge);
+    }
+  }
+  if (periods.length < minCharges) return null;
+
+  const regularGaps = periods.slice(1)
+    .filter((period, index) => Math.abs(daysBetween(periods[index].date, period.date) - days) <= toleranceDays);
+  // Every gap on time, or at most one skipped-over period in four
+  if (regularGaps.length < Math.ceil((periods.length - 1) * 0.75)) return null;
+
+  const jumps = periods.slice(1).filter((period, index) => changed(periods[index].amount, period.amount, PRICE_JUMP));
+  if (jumps.length > Math.max(1, Math.floor((periods.length - 1) / PERIODS_PER_PRICE_JUMP))) return null;
+
+  const priceHistory = [{ date: periods[0].date, amount: periods[0].amount }];
+  for (const period of periods.slice(1)) {
+    if (changed(priceHistory[priceHistory.length - 1].amount, period.amount, PRICE_CHANGE_THRESHOLD)) {
+      priceHistory.push({ date: period.date, amount: period.amount });
+    }
+  }
+
+  const first = periods[0];
+  const last = periods[periods.length - 1];
+  return {
+    interval,
+    amount: last.amount,
+    previousAmount: priceHistory.length > 1 ? priceHistory[priceHistory.length - 2].amount : null,
+    priceChangedAt: priceHistory.length > 1 ? priceHistory[priceHistory.length - 1].date : null,
+    priceHistory,
+    extraCharges,
+    firstChargeAt: first.date,
+    lastChargeAt: last.date,
+    nextChargeAt: nextDate(last.date, interval),
+    chargeCount: periods.length,
+    lastTransactionId: last._id
+  };
+}
+
+/**
+ * What about a subscription deserves the user's attention now: it stopped,
+ * it charged twice or twice as much, or its price changed lately.
+ *
+ * @param {Object} subscription - As analyzeCharges describes it
+ * @param {Date} [now]
+ * @returns {string[]} FLAGS values
+ */
+function flagsFor(subscription, now = new Date()) {
+  const { graceDays, priceNoticeDays } = INTERVALS[subscription.interval];
+  const flags = [];
+
+  if (daysBetween(new Date(subscription.nextChargeAt), now) > graceDays) {
+    flags.push(FLAGS.STOPPED);
+  }
+
+  const chargedTwice = (subscription.extraCharges || [])
+    .some(extra => new Date(extra.date) >= new Date(subscription.lastChargeAt));
+  const priceDoubled = subscription.previousAmount != null &&
+    subscription.amount >= subscription.previousAmount * 2 &&
+    new Date(subscription.priceChangedAt) >= new Date(subscription.lastChargeAt);
+  if (chargedTwice || priceDoubled) {
+    flags.push(FLAGS.DOUBLED);
+  } else if (subscription.priceChangedAt && daysBetween(new Date(subscription.priceChangedAt), now) <= priceNoticeDays) {
+    flags.push(FLAGS.PRICE_CHANGED);
+  }
+
+  return flags;
+}
+
+/**
+ * What a subscription costs over a year at its latest price.
+ */
+const yearlyCost = (subscription) =>
+  Math.round(subscription.amount * INTERVALS[subscription.interval].perYear * 100) / 100;
+
+module.exports = {
+  INTERVALS,
+  FLAGS,
+  nextDate,
+  analyzeCharges,
+  flagsFor,
+  yearlyCost
+};
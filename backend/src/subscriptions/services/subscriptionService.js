@@ -0,0 +1,160 @@
+const { Transaction } = require('../../banking/models');
+const { TransactionStatus, TransactionType } = require('../../banking/constants/enums');
+const { Merchant, merchantService } = require('../../merchants');
+const logger = require('../../shared/utils/logger');
+const { Subscription } = require('../models');
+const { SubscriptionReview } = require('../constants/enums');
+const { analyzeCharges, flagsFor, yearlyCost, FLAGS } = require('./subscriptionDetector');
+
+// Long enough to see a yearly subscription charge twice, with its grace
+const LOOKBACK_MONTHS = 26;
+
+const DETECTED_FIELDS = [
+  'interval', 'amount', 'previousAmount', 'priceChangedAt', 'priceHistory', 'extraCharges',
+  'firstChargeAt', 'lastChargeAt', 'nextChargeAt', 'chargeCount', 'lastTransactionId'
+];
+
+class SubscriptionError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const sumByCurrency = (subscriptions, amountOf) => {
+  const totals = new Map();
+  for (const subscription of subscriptions) {
+    totals.set(subscription.currency, (totals.get(subscription.currency) || 0) + amountOf(subscription));
+  }
+  return [...totals].map(([currency, amount]) => ({ currency, amount: Math.round(amount * 100) / 100 }));
+};
+
+/**
+ * The user's subscriptions: found in their card and bank charges per
+ * merchant, refreshed after every sync, and shown with what deserves a look.
+ */
+class SubscriptionService {
+  /**
+   * Looks through the last LOOKBACK_MONTHS of charges for merchants charging
+   * every month or year, and records or refreshes a subscription for each.
+   * Subscriptions the user ignored are refreshed but stay hidden.
+   *
+   * @param {string} userId
+   * @returns {Promise<{found: number}>}
+   */
+  async detect(userId) {
+    // Charges from before merchants were recognised have none yet
+    await merchantService.assignMissing(userId);
+
+    const since = new Date();
+    since.setMonth(since.getMonth() - LOOKBACK_MONTHS);
+    const charges = await Transaction.find({
+      userId,
+      merchantId: { $ne: null },
+      amount: { $lt: 0 },
+      date: { $gte: since },
+      status: { $in: [TransactionStatus.VERIFIED, TransactionStatus.PENDING] },
+      type: { $ne: TransactionType.TRANSFER },
+      transferCounterpart: null
+    })
+      .select('merchantId currency amount date')
+      .sort({ date: 1 })
+      .lean();
+
+    const groups = new Map();
+    for (const charge of charges) {
+      const key = `${charge.merchantId}:${charge.currency}`;
+      if (!groups.has(key)) groups.set(key, { merchantId: charge.merchantId, currency: charge.currency, charges: [] });
+      groups.get(key).charges.push({ _id: charge._id, date: charge.date, amount: Math.abs(charge.amount) });
+    }
+
+    let found = 0;
+    for (const { merchantId, currency, charges: merchantCharges } of groups.values()) {
+      const detected = analyzeCharges(merchantCharges);
+      if (!detected) continue;
+
+      await Subscription.findOneAndUpdate(
+        { userId, merchantId, currency },
+        {
+          $set: { ...Object.fromEntries(DETECTED_FIELDS.map(field => [field, detected[field]])), detectedAt: new Date() },
+          $setOnInsert: { userId, merchantId, currency }
+        },
+        { upsert: true }
+      );
+      found++;
+    }
+
+    // A merged-away merchant's subscription lives on under the merchant it joined
+    const merchantIds = await Merchant.find({ userId }).distinct('_id');
+    await Subscription.deleteMany({ userId, merchantId: { $nin: merchantIds } });
+
+    logger.info(`Found ${found} subscriptions in ${charges.length} charges for user ${userId}`);
+    return { found };
+  }
+
+  /**
+   * The user's subscriptions, most expensive first, each with its yearly
+   * cost, its flags and whether it is a cancel candidate: still charging and
+   * not marked as wanted. Totals are per currency.
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   */
+  async list(userId, { now = new Date() } = {}) {
+    const stored = await Subscription.find({ userId, review: { $ne: SubscriptionReview.IGNORE } })
+      .populate('merchantId', 'name iconKey website')
+      .lean();
+
+    const subscriptions = stored
+      .filter(subscription => subscription.merchantId)
+      .map(({ merchantId: merchant, ...subscription }) => {
+        const flags = flagsFor(subscription, now);
+        return {
+          ...subscription,
+          merchantId: merchant._id,
+          merchant,
+          flags,
+          yearlyCost: yearlyCost(subscription),
+          cancelCandidate: !flags.includes(FLAGS.STOPPED) && subscription.review !== SubscriptionReview.KEEP
+        };
+      })
+      .sort((a, b) => b.yearlyCost - a.yearlyCost);
+
+    const active = subscriptions.filter(subscription => !subscription.flags.includes(FLAGS.STOPPED));
+    const candidates = subscriptions.filter(subscription => subscription.cancelCandidate);
+    return {
+      subscriptions,
+      totals: {
+        monthly: sumByCurrency(active, subscription => subscription.yearlyCost / 12),
+        yearly: sumByCurrency(active, subscription => subscription.yearlyCost)
+      },
+      cancelCandidates: {
+        count: candidates.length,
+        yearlyCost: sumByCurrency(candidates, subscription => subscription.yearlyCost)
+      }
+    };
+  }
+
+  /**
+   * Records what the user made of a subscription: keep it, ignore it as not
+   * a subscription, or null to take the decision back.
+   */
+  async review(userId, subscriptionId, review) {
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: subscriptionId, userId },
+      { $set: { review, reviewedAt: review ? new Date() : null } },
+      { new: true }
+    ).lean().catch(() => null);
+    if (!subscription) {
+      throw new SubscriptionError('SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+    }
+    return subscription;
+  }
+}
+
+module.exports = new SubscriptionService();
+module.exports.SubscriptionService = SubscriptionService;
+module.exports.SubscriptionError = SubscriptionError;
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const { Transaction } = require('../../banking/models');
+const { RSUGrant, RSUSale } = require('../../rsu');
+const { InvestmentTransaction } = require('../../investments');
+const { RealEstateInvestment } = require('../../real-estate/models');
+const { CurrencyExchange, ForeignCurrencyAccount } = require('../../foreign-currency/models');
+const { currencyExchangeService } = require('../../foreign-currency');
+const taxReportService = require('../services/taxReportService');
+const taxReportRenderer = require('../services/taxReportRenderer');
+
+const AFTER_YEAR_END = new Date(2025, 5, 1);
+
+describe('taxReportService', () => {
+  let user;
+
+  const line = (report, id) => report.lines.find(entry => entry.id === id);
+
+  beforeAll(() => {
+    // What initialize() does at startup, without starting its rate-refresh cron.
+    currencyExchangeService.CurrencyExchange = CurrencyExchange;
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Transaction.deleteMany({}), RSUGrant.deleteMany({}), RSUSale.deleteMany({}),
+      InvestmentTransaction.deleteMany({}), RealEstateInvestment.deleteMany({}),
+      CurrencyExchange.deleteMany({}), ForeignCurrencyAccount.deleteMany({})
+    ]);
+    user = await global.createTestUser({ email: 'taxpayer@example.com' });
+
+    // Dollar rates: 3.5 through 2023, 3.7 during 2024, 4.0 from the last day
+    // of 2024. Stored rates apply until the next one, so no lookup goes online.
+    await CurrencyExchange.updateRate('USD', 'ILS', 3.5, new Date(2023, 0, 1));
+    await CurrencyExchange.updateRate('USD', 'ILS', 3.7, new Date(2024, 0, 1));
+    await CurrencyExchange.updateRate('USD', 'ILS', 4.0, new Date(2024, 11, 31));
+  });
+
+  it('lays the lines out in form order, empty when nothing was recorded', async () => {
+    const report = await taxReportService.buildReport(user._id, 2024, AFTER_YEAR_END);
+
+    expect(report.currency).toBe('ILS');
+    expect(report.lines.map(entry => entry.id)).toEqual([
+      'rsu-wage-income', 'rsu-capital-gains', 'fx-gains', 'dividends', 'interest', 'rental-income', 'tax-withheld'
+    ]);
+    expect(report.lines.every(entry => entry.amount === 0 && entry.details.length === 0)).toBe(true);
+    expect(report.warnings).toEqual([]);
+  });
+
+  it('splits RSU sales into wage income and capital gain, in shekels', async () => {
+    const grant = await RSUGrant.create({
+      userId: user._id,
+      stockSymbol: 'MSFT',
+      grantDate: new Date(2021, 0, 1),
+      totalValue: 10000,
+      totalShares: 100,
+      pricePerShare: 100,
+      vestingSchedule: [{ vestDate: new Date(2022, 0, 1), shares: 100 }]
+    });
+    const sale = new RSUSale({
+      userId: user._id,
+      grantId: grant._id,
+      saleDate: new Date(2024, 5, 1),
+      sharesAmount: 10,
+      pricePerShare: 150,
+      totalSaleValue: 1500
+    });
+    sale.recalculateTaxes(grant);
+    await sale.save();
+
+    const report = await taxReportService.buildReport(user._id, 2024, AFTER_YEAR_END);
+
+    // 10 shares granted at $100 each, sold for $150, converted at 3.7.
+    expect(line(report, 'rsu-wage-income').amount).toBe(3700);
+    expect(line(report, 'rsu-capital-gains').amount).toBe(1850);
+    expect(line(report, 'rsu-capital-gains').details[0]).toMatchObject({
+      description: 'MSFT - 10 shares sold', originalAmount: 500, originalCurrency: 'USD', rate: 3.7
+    });
+    expect(report.rsuSummary).toMatchObject({ totalSales: 1, currency: 'USD' });
+  });
+
+  it('reports dividends, interest and the tax withheld on them', async () => {
+    const base = {
+      userId: user._id,
+      bankAccountId: new mongoose.Types.ObjectId(),
+      portfolioId: 'P1',
+      amount: 0,
+      executablePrice: 0
+    };
+    await InvestmentTransaction.create([
+      { ...base, paperId: '1', paperName: 'Vanguard Total', symbol: 'VTI', value: 100, currency: 'USD', taxSum: 25, transactionType: 'DIVIDEND', executionDate: new Date(2024, 2, 1) },
+      { ...base, paperId: '2', paperName: 'Gov bond', symbol: 'GB', value: 50, currency: 'ILS', transactionType: 'INTEREST', executionDate: new Date(2024, 3, 1) },
+      { ...base, paperId: '1', paperName: 'Vanguard Total', symbol: 'VTI', value: 100, currency: 'USD', transactionType: 'DIVIDEND', executionDate: new Date(2023, 2, 1) }
+    ]);
+
+    const report = await taxReportService.buildReport(user._id, 2024, AFTER_YEAR_END);
+
+    expect(line(report, 'dividends').amount).toBe(370);
+    expect(line(report, 'interest').amount).toBe(50);
+    expect(line(report, 'tax-withheld').amount).toBe(92.5);
+  });
+
+  it('counts only rent actually received during the year', async () => {
+    await RealEstateInvestment.create({
+      userId: user._id,
+      name: 'Haifa flat',
+      type: 'rental',
+      currency: 'ILS',
+      rentalIncome: [
+        { month: new Date(2024, 0, 1), expectedAmount: 5000, actualAmount: 4800, received: true },
+        { month: new Date(2024, 1, 1), expectedAmount: 5000, received: true },
+        { month: new Date(2024, 2, 1), expectedAmount: 5000, received: false },
+        { month: new Date(2023, 11, 1), expectedAmount: 5000, received: true }
+      ]
+    });
+
+    const report = await taxReportService.buildReport(user._id, 2024, AFTER_YEAR_END);
+
+    expect(line(report, 'rental-income').amount).toBe(9800);
+    expect(line(report, 'rental-income').details).toHaveLength(2);
+  });
+
+  it('works out exchange-rate gains on foreign-currency deposits', async () => {
+    const account = await ForeignCurrencyAccount.create({
+      userId: user._id,
+      bankAccountId: new mongoose.Types.ObjectId(),
+      accountNumber: '12-345',
+      currency: 'USD',
+      balance: 1100
+    });
+    await Transaction.create({
+      identifier: 'fx-deposit',
+      userId: user._id,
+      accountId: account._id,
+      amount: 100,
+      currency: 'USD',
+      date: new Date(2024, 6, 1),
+      type: 'Income',
+      description: 'Deposit',
+      rawData: {}
+    });
+
+    const report = await taxReportService.buildReport(user._id, 2024, AFTER_YEAR_END);
+
+    // $1,000 opening at 3.5, $100 deposited at 3.7, $1,100 closing at 4.0.
+    expect(line(report, 'fx-gains').amount).toBe(530);
+  });
+
+  it('warns when the year is still in progress', async () => {
+    const report = await taxReportService.buildReport(user._id, 2024, new Date(2024, 8, 1));
+
+    expect(report.warnings[0]).toContain('2024 is not over yet');
+  });
+
+  it('renders every line and detail row to CSV', async () => {
+    await RealEstateInvestment.create({
+      userId: user._id,
+      name: 'Haifa flat',
+      type: 'rental',
+      currency: 'ILS',
+      rentalIncome: [{ month: new Date(2024, 0, 1), expectedAmount: 5000, received: true }]
+    });
+    const report = await taxReportService.buildReport(user._id, 2024, AFTER_YEAR_END);
+
+    const rows = taxReportRenderer.toCsv(report).trim().split('\r\n');
+
+    expect(rows[0]).toContain('Form Field');
+    expect(rows.filter(row => row.startsWith('line,'))).toHaveLength(report.lines.length);
+    expect(rows.find(row => row.startsWith('detail,222'))).toContain('Haifa flat - rent for 2024-01');
+  });
+});
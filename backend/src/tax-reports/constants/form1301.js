@@ -0,0 +1,63 @@
+/**
+ * The Form 1301 (Israeli annual income tax return) lines this report fills in,
+ * in the order they appear on the form.
+ *
+ * `field` is the field number printed next to the line on the form, or the
+ * appendix the detail belongs on when the form itself only carries a total.
+ * Field numbers follow the 2024 form. The Tax Authority renumbers a field now
+ * and then, so check them against the year being filed - this report is a
+ * worksheet for filling the form in, not a filing.
+ */
+const FORM_1301_LINES = [
+  {
+    id: 'rsu-wage-income',
+    field: '158',
+    section: 'Employment income',
+    label: 'RSU ordinary income (Section 102)',
+    note: 'Normally already included in the employer\'s Form 106; listed so the two can be checked against each other.'
+  },
+  {
+    id: 'rsu-capital-gains',
+    field: 'Form 1322',
+    section: 'Capital gains',
+    label: 'Capital gain on RSU sales (Section 102 capital track)'
+  },
+  {
+    id: 'fx-gains',
+    field: 'Form 1322',
+    section: 'Capital gains',
+    label: 'Exchange-rate differences on foreign-currency deposits'
+  },
+  {
+    id: 'dividends',
+    field: '141',
+    section: 'Income at special rates',
+    label: 'Dividends'
+  },
+  {
+    id: 'interest',
+    field: '060',
+    section: 'Income at special rates',
+    label: 'Interest'
+  },
+  {
+    id: 'rental-income',
+    field: '222',
+    section: 'Income at special rates',
+    label: 'Residential rental income',
+    note: 'Field 222 is the 10% track for Israeli residential rent. Rent from property abroad is reported on its own track.'
+  },
+  {
+    id: 'tax-withheld',
+    field: '043',
+    section: 'Tax paid',
+    label: 'Tax withheld at source on dividends and interest'
+  }
+];
+
+const REPORT_CURRENCY = 'ILS';
+
+module.exports = {
+  FORM_1301_LINES,
+  REPORT_CURRENCY
+};
@@ -0,0 +1,9 @@
+// Tax reports subsystem public interface
+
+// Services (used by other subsystems)
+const taxReportService = require('./services/taxReportService');
+
+module.exports = {
+  // Services
+  taxReportService
+};
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const householdAuth = require('../../shared/middleware/householdAuth');
+const logger = require('../../shared/utils/logger');
+const taxReportService = require('../services/taxReportService');
+const taxReportRenderer = require('../services/taxReportRenderer');
+
+router.use(householdAuth);
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const yearValidator = param('year').isInt({ min: 2000, max: 2100 }).toInt();
+
+/**
+ * GET /api/tax-reports/:year
+ * The tax-year report: totals by Form 1301 line, each with its detail rows.
+ */
+router.get('/:year', [yearValidator], handleValidationErrors, async (req, res) => {
+  try {
+    const report = await taxReportService.buildReport(req.dataOwnerId, req.params.year);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    logger.error('Error building tax report:', error);
+    res.status(500).json({ error: 'Failed to build tax report' });
+  }
+});
+
+/**
+ * GET /api/tax-reports/:year/download?format=pdf|csv
+ * The same report as a file.
+ */
+router.get('/:year/download',
+  [
+    yearValidator,
+    query('format').optional().isIn(['pdf', 'csv'])
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const format = req.query.format || 'pdf';
+    try {
+      const report = await taxReportService.buildReport(req.dataOwnerId, req.params.year);
+      const body = format === 'pdf'
+        ? await taxReportRenderer.toPdf(report)
+        : taxReportRenderer.toCsv(report);
+
+      res.setHeader('Content-Type', taxReportRenderer.contentType(format));
+      res.setHeader('Content-Disposition', `attachment; filename="${taxReportRenderer.fileName(req.params.year, format)}"`);
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(body);
+    } catch (error) {
+      logger.error(`Error rendering tax report as ${format}:`, error);
+      res.status(500).json({ error: 'Failed to render tax report' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const puppeteer = require('puppeteer');
+const { toCsvLine } = require('../../data-export/utils/csv');
+
+const CSV_COLUMNS = [
+  'Row Type', 'Form Field', 'Section', 'Line', 'Date', 'Description',
+  'Original Amount', 'Original Currency', 'Exchange Rate', 'Amount (ILS)', 'Tax Withheld (ILS)', 'Note'
+];
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatAmount = (value) => (value === null || value === undefined
+  ? '—'
+  : value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Renders a tax-year report as CSV or PDF. Both come from the same report
+ * object the API returns, so the download always matches what is on screen.
+ */
+class TaxReportRenderer {
+  fileName(year, format) {
+    return `gerifinancial-tax-report-${year}.${format}`;
+  }
+
+  contentType(format) {
+    return format === 'pdf' ? 'application/pdf' : 'text/csv; charset=utf-8';
+  }
+
+  /**
+   * One row per form line with its total, followed by the rows behind it.
+   */
+  toCsv(report) {
+    let csv = toCsvLine(CSV_COLUMNS);
+    for (const line of report.lines) {
+      csv += toCsvLine([
+        'line', line.field, line.section, line.label, '', '', '', '', '', line.amount, '', line.note
+      ]);
+      for (const row of line.details) {
+        csv += toCsvLine([
+          'detail', line.field, line.section, line.label, row.date ? new Date(row.date) : '',
+          row.description, row.originalAmount, row.originalCurrency, row.rate, row.amount,
+          row.taxWithheld, row.note
+        ]);
+      }
+    }
+    return csv;
+  }
+
+  toHtml(report) {
+    const lines = report.lines.map(line => {
+      const details = line.details.map(row => `
+        <tr class="detail">
+          <td>${escapeHtml(formatDate(row.date))}</td>
+          <td>${escapeHtml(row.description)}${row.note ? `<div class="note">${escapeHtml(row.note)}</div>` : ''}</td>
+          <td class="num">${formatAmount(row.originalAmount)} ${escapeHtml(row.originalCurrency)}</td>
+          <td class="num">${row.rate === null ? '—' : escapeHtml(row.rate)}</td>
+          <td class="num">${formatAmount(row.amount)}</td>
+        </tr>`).join('');
+
+      return `
+        <section>
+          <h2><span class="field">${escapeHtml(line.field)}</span> ${escapeHtml(line.label)}
+            <span class="total">₪${formatAmount(line.amount)}</span></h2>
+          <div class="section">${escapeHtml(line.section)}</div>
+          ${line.note ? `<p class="note">${escapeHtml(line.note)}</p>` : ''}
+          ${line.details.length === 0 ? '<p class="empty">Nothing recorded for this year.</p>' : `
+          <table>
+            <thead><tr><th>Date</th><th>Description</th><th>Original</th><th>Rate</th><th>ILS</th></tr></thead>
+            <tbody>${details}</tbody>
+          </table>`}
+        </section>`;
+    }).join('');
+
+    const warnings = report.warnings.length === 0 ? '' : `
+      <ul class="warnings">${report.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Tax report ${escapeHtml(report.year)}</title>
+<style>
+  body { font-family: 'Liberation Sans', Arial, sans-serif; font-size: 10pt; color: #222; }
+  h1 { font-size: 16pt; margin-bottom: 0; }
+  h2 { font-size: 11pt; margin: 18px 0 2px; border-bottom: 1px solid #999; }
+  .field { display: inline-block; min-width: 70px; color: #555; }
+  .total { float: right; }
+  .section, .note, .empty, .meta { color: #666; font-size: 9pt; }
+  table { width: 100%; border-collapse: collapse; margin-top: 4px; }
+  th, td { text-align: left; padding: 2px 4px; border-bottom: 1px solid #eee; vertical-align: top; }
+  td { unicode-bidi: plaintext; }
+  .num { text-align: right; white-space: nowrap; }
+  .warnings { color: #8a5300; }
+</style>
+</head>
+<body>
+  <h1>Tax year ${escapeHtml(report.year)} - Form 1301 worksheet</h1>
+  <div class="meta">Amounts in ILS, converted at each day's exchange rate. Generated ${escapeHtml(formatDate(report.generatedAt))}.
+  Field numbers follow the 2024 form; check them against the year being filed.</div>
+  ${warnings}
+  ${lines}
+</body>
+</html>`;
+  }
+
+  /**
+   * Prints the HTML rendering through headless Chrome, which the scrapers
+   * already ship with, so Hebrew security and property names come out right
+   * without bundling fonts into a PDF library.
+   */
+  async toPdf(report) {
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+    try {
+      const page = await browser.newPage();
+      await page.setContent(this.toHtml(report), { waitUntil: 'load' });
+      return await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '15mm', bottom: '15mm', left: '12mm', right: '12mm' }
+      });
+    } finally {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = new TaxReportRenderer();
@@ -0,0 +1,273 @@
+const logger = require('../../shared/utils/logger');
+const { Transaction } = require('../../banking');
+const { RSUSale } = require('../../rsu');
+const taxCalculationService = require('../../rsu/services/taxCalculationService');
+const { InvestmentTransaction } = require('../../investments');
+const { RealEstateInvestment } = require('../../real-estate/models');
+const { ForeignCurrencyAccount, currencyExchangeService } = require('../../foreign-currency');
+const { FORM_1301_LINES, REPORT_CURRENCY } = require('../constants/form1301');
+
+// RSU grants and sales are recorded in US dollars throughout the RSU module.
+const RSU_CURRENCY = 'USD';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const dayKey = (date) => date.toISOString().slice(0, 10);
+// Rent months are stored as local midnight on the 1st, which is the previous
+// day in UTC.
+const monthLabel = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Converts amounts to shekels at the rate of the day they happened, the way
+ * the Tax Authority expects foreign income to be reported. Rates are looked up
+ * once per currency and day, and a missing rate is reported once rather than
+ * failing the whole report.
+ */
+class RateBook {
+  constructor(warnings) {
+    this.warnings = warnings;
+    this.rates = new Map();
+  }
+
+  async rate(currency, date) {
+    const code = (currency || REPORT_CURRENCY).toUpperCase();
+    if (code === REPORT_CURRENCY) return 1;
+
+    const key = `${code}:${dayKey(date)}`;
+    if (!this.rates.has(key)) {
+      this.rates.set(key, currencyExchangeService.convertAmount(1, code, REPORT_CURRENCY, date)
+        .then(result => result.exchangeRate)
+        .catch(() => {
+          this.warnings.push(`No ${code}/${REPORT_CURRENCY} rate for ${dayKey(date)}; the affected rows are left out of the totals.`);
+          return null;
+        }));
+    }
+    return this.rates.get(key);
+  }
+
+  async detail({ date, description, source, originalAmount, currency, taxWithheld = 0, note }) {
+    const rate = await this.rate(currency, date);
+    return {
+      date,
+      description,
+      source,
+      originalAmount: round2(originalAmount),
+      originalCurrency: (currency || REPORT_CURRENCY).toUpperCase(),
+      rate,
+      amount: rate === null ? null : round2(originalAmount * rate),
+      taxWithheld: rate === null ? null : round2(taxWithheld * rate),
+      ...(note && { note })
+    };
+  }
+}
+
+/**
+ * Israeli annual tax-year report: everything the app knows about a calendar
+ * year's income outside the payslip, laid out by the Form 1301 lines it belongs
+ * on, in shekels, with the records behind every figure.
+ *
+ * It reads what the other modules already store - RSU sale tax calculations,
+ * scraped dividends and interest, rent recorded against a property, foreign-
+ * currency deposits - and calculates nothing the form does not need. It is a
+ * worksheet for filling the form in, not an assessment.
+ */
+class TaxReportService {
+  yearRange(year) {
+    return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+  }
+
+  async getRsuDetails(userId, year, rates) {
+    const { start, end } = this.yearRange(year);
+    const sales = await RSUSale.find({ userId, saleDate: { $gte: start, $lt: end } })
+      .populate('grantId', 'stockSymbol company')
+      .sort({ saleDate: 1 })
+      .lean();
+
+    const wage = [];
+    const capital = [];
+    for (const sale of sales) {
+      const symbol = sale.grantId?.stockSymbol || 'RSU';
+      const description = `${symbol} - ${sale.sharesAmount} shares sold`;
+      const tax = sale.taxCalculation;
+      wage.push(await rates.detail({
+        date: sale.saleDate,
+        description,
+        source: 'rsu-sale',
+        originalAmount: tax.originalValue,
+        currency: RSU_CURRENCY
+      }));
+      capital.push(await rates.detail({
+        date: sale.saleDate,
+        description,
+        source: 'rsu-sale',
+        originalAmount: tax.profit,
+        currency: RSU_CURRENCY,
+        note: tax.isLongTerm ? 'Held two years or more' : 'Held under two years'
+      }));
+    }
+    return { wage, capital };
+  }
+
+  async getInvestmentIncomeDetails(userId, year, rates) {
+    const { start, end } = this.yearRange(year);
+    const transactions = await InvestmentTransaction.find({
+      userId,
+      transactionType: { $in: ['DIVIDEND', 'INTEREST'] },
+      executionDate: { $gte: start, $lt: end }
+    }).sort({ executionDate: 1 }).lean();
+
+    const dividends = [];
+    const interest = [];
+    const withheld = [];
+    for (const transaction of transactions) {
+      const row = await rates.detail({
+        date: transaction.executionDate,
+        description: `${transaction.symbol} ${transaction.paperName}`.trim(),
+        source: 'investment-transaction',
+        originalAmount: Math.abs(transaction.value),
+        currency: transaction.currency,
+        taxWithheld: transaction.taxSum || 0
+      });
+      (transaction.transactionType === 'DIVIDEND' ? dividends : interest).push(row);
+
+      if (transaction.taxSum > 0) {
+        withheld.push({ ...row, originalAmount: round2(transaction.taxSum), amount: row.taxWithheld });
+      }
+    }
+    return { dividends, interest, withheld };
+  }
+
+  async getRentalDetails(userId, year, rates) {
+    const { start, end } = this.yearRange(year);
+    const investments = await RealEstateInvestment.find({
+      userId,
+      rentalIncome: { $elemMatch: { month: { $gte: start, $lt: end } } }
+    }).lean();
+
+    const rows = [];
+    for (const investment of investments) {
+      const received = investment.rentalIncome
+        .filter(income => income.month >= start && income.month < end && income.received)
+        .sort((a, b) => a.month - b.month);
+
+      for (const income of received) {
+        rows.push(await rates.detail({
+          date: income.month,
+          description: `${investment.name} - rent for ${monthLabel(income.month)}`,
+          source: 'rental-income',
+          originalAmount: income.actualAmount ?? income.expectedAmount,
+          currency: investment.currency,
+          note: investment.country ? `Property in ${investment.country}` : undefined
+        }));
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Exchange-rate gain on each foreign-currency deposit: what the year-end
+   * balance is worth in shekels, less what the opening balance was worth and
+   * what every deposit and withdrawal was worth on its own day. Balances at
+   * either end of the year are rebuilt from the current balance and the
+   * account's transaction history.
+   */
+  async getFxGainDetails(userId, year, rates) {
+    const { start, end } = this.yearRange(year);
+    const accounts = await ForeignCurrencyAccount.find({ userId }).lean();
+
+    const rows = [];
+    for (const account of accounts) {
+      const movements = await Transaction.find({ userId, accountId: account._id, date: { $gte: start } })
+        .select('date amount')
+        .sort({ date: 1 })
+        .lean();
+
+      const inYear = movements.filter(movement => movement.date < end);
+      const afterYear = movements.filter(movement => movement.date >= end);
+      const closing = (account.balance || 0) - afterYear.reduce((sum, movement) => sum + movement.amount, 0);
+      const opening = closing - inYear.reduce((sum, movement) => sum + movement.amount, 0);
+
+      if (Math.abs(opening) < 0.005 && inYear.length === 0) continue;
+
+      const openingRate = await rates.rate(account.currency, new Date(start.getTime() - 1));
+      const closingRate = await rates.rate(account.currency, new Date(end.getTime() - 1));
+      let movementsValue = 0;
+      let complete = openingRate !== null && closingRate !== null;
+      for (const movement of inYear) {
+        const rate = await rates.rate(account.currency, movement.date);
+        if (rate === null) {
+          complete = false;
+          break;
+        }
+        movementsValue += movement.amount * rate;
+      }
+
+      const description = `${account.currency} account ${account.accountNumber}`;
+      const note = `Opening ${round2(opening)} at ${openingRate ?? '?'}, closing ${round2(closing)} at ${closingRate ?? '?'}, ${inYear.length} movements`;
+      rows.push({
+        date: new Date(end.getTime() - 1),
+        description,
+        source: 'foreign-currency-account',
+        originalAmount: round2(closing),
+        originalCurrency: account.currency,
+        rate: closingRate,
+        amount: complete ? round2(closing * closingRate - opening * openingRate - movementsValue) : null,
+        taxWithheld: 0,
+        note
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Builds the report for one calendar year.
+   * @param {string} userId - User ID
+   * @param {number} year - Calendar (tax) year
+   * @param {Date} now - Current time, for flagging a year still in progress
+   * @returns {Promise<Object>} Lines in form order, each with its detail rows
+   */
+  async buildReport(userId, year, now = new Date()) {
+    const warnings = [];
+    const rates = new RateBook(warnings);
+
+    const [rsu, investmentIncome, rental, fxGains, rsuSummary] = await Promise.all([
+      this.getRsuDetails(userId, year, rates),
+      this.getInvestmentIncomeDetails(userId, year, rates),
+      this.getRentalDetails(userId, year, rates),
+      this.getFxGainDetails(userId, year, rates),
+      taxCalculationService.getAnnualTaxSummary(userId, year)
+    ]);
+
+    const detailsByLine = {
+      'rsu-wage-income': rsu.wage,
+      'rsu-capital-gains': rsu.capital,
+      'fx-gains': fxGains,
+      dividends: investmentIncome.dividends,
+      interest: investmentIncome.interest,
+      'rental-income': rental,
+      'tax-withheld': investmentIncome.withheld
+    };
+
+    const lines = FORM_1301_LINES.map(line => {
+      const details = detailsByLine[line.id] || [];
+      const amount = details.reduce((sum, row) => sum + (row.amount ?? 0), 0);
+      return { ...line, amount: round2(amount), details };
+    });
+
+    if (this.yearRange(year).end > now) {
+      warnings.unshift(`${year} is not over yet; the report covers what has been recorded so far.`);
+    }
+
+    logger.info(`Built ${year} tax report for user ${userId}: ${lines.filter(line => line.details.length > 0).length} lines with data`);
+
+    return {
+      year,
+      currency: REPORT_CURRENCY,
+      generatedAt: now,
+      lines,
+      rsuSummary: rsuSummary ? { ...rsuSummary, currency: RSU_CURRENCY } : null,
+      warnings: [...new Set(warnings)]
+    };
+  }
+}
+
+module.exports = new TaxReportService();
@@ -0,0 +1,106 @@
+const http = require('http');
+const { createHash, generateKeyPairSync, randomBytes } = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const KEY_ID = 'mock-oidc-key';
+
+/**
+ * A small OpenID Connect provider for tests, listening on a free local port.
+ *
+ * It publishes discovery and keys, signs the person set with `setUser` in
+ * automatically when the browser reaches /authorize, and checks the client
+ * secret and PKCE verifier at the token endpoint, so an OIDC sign-in can run
+ * end to end without leaving the machine.
+ */
+async function startMockOidcServer({ clientId, clientSecret }) {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' };
+  const codes = new Map();
+  let user = null;
+  let issuer;
+
+  const signIdToken = (claims, { key = privateKey, kid = KEY_ID } = {}) => jwt.sign(
+    { iss: issuer, aud: clientId, ...claims },
+    key,
+    { algorithm: 'RS256', keyid: kid, expiresIn: 300 }
+  );
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = (req) => new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(raw))));
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return send(res, 200, { keys: [jwk] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      const target = new URL(params.get('redirect_uri'));
+      if (!user) {
+        target.searchParams.set('error', 'access_denied');
+      } else {
+        const code = randomBytes(16).toString('hex');
+        codes.set(code, {
+          claims: { ...user, nonce: params.get('nonce') },
+          codeChallenge: params.get('code_challenge'),
+          redirectUri: params.get('redirect_uri')
+        });
+        target.searchParams.set('code', code);
+      }
+      target.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { location: target.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const form = await readForm(req);
+      const grant = codes.get(form.code);
+      codes.delete(form.code);
+
+      if (form.client_id !== clientId || form.client_secret !== clientSecret) {
+        return send(res, 401, { error: 'invalid_client' });
+      }
+      const challenge = createHash('sha256').update(form.code_verifier || '').digest('base64url');
+      if (!grant || grant.redirectUri !== form.redirect_uri || grant.codeChallenge !== challenge) {
+        return send(res, 400, { error: 'invalid_grant' });
+      }
+      return send(res, 200, { access_token: 'mock-access-token', id_token: signIdToken(grant.claims) });
+    }
+
+    return send(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    /** The person signed in at /authorize; null makes them decline. */
+    setUser(claims) {
+      user = claims;
+    },
+    signIdToken,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { startMockOidcServer };
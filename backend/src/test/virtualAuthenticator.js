@@ -0,0 +1,98 @@
+const { createHash, generateKeyPairSync, randomBytes, sign } = require('crypto');
+
+// Just enough CBOR encoding for an attestation object and a COSE key.
+function encodeCbor(value) {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (Number.isInteger(value)) {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts = [head(5, value.size)];
+    for (const [key, item] of value) parts.push(encodeCbor(key), encodeCbor(item));
+    return Buffer.concat(parts);
+  }
+  throw new Error(`Cannot encode ${typeof value}`);
+}
+
+/**
+ * A software passkey holding one P-256 key, producing the same responses a
+ * browser hands back from navigator.credentials.create() and .get().
+ */
+function createVirtualAuthenticator({ rpId, origin }) {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = randomBytes(16);
+  const jwk = publicKey.export({ format: 'jwk' });
+  let signCount = 0;
+
+  const clientData = (type, challenge, overrides = {}) => Buffer.from(JSON.stringify({
+    type, challenge, origin, crossOrigin: false, ...overrides
+  }));
+
+  const authenticatorData = (flags, attested) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    const parts = [createHash('sha256').update(rpId).digest(), Buffer.from([flags]), counter];
+    if (attested) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const coseKey = new Map([
+        [1, 2], [3, -7], [-1, 1],
+        [-2, Buffer.from(jwk.x, 'base64url')],
+        [-3, Buffer.from(jwk.y, 'base64url')]
+      ]);
+      parts.push(Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey));
+    }
+    return Buffer.concat(parts);
+  };
+
+  return {
+    credentialId: credentialId.toString('base64url'),
+
+    create({ challenge, clientDataOverrides } = {}) {
+      const attestationObject = encodeCbor(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authenticatorData(0x45, true)]
+      ]));
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData('webauthn.create', challenge, clientDataOverrides).toString('base64url'),
+          attestationObject: attestationObject.toString('base64url')
+        }
+      };
+    },
+
+    get({ challenge, clientDataOverrides, counter } = {}) {
+      signCount = counter ?? signCount + 1;
+      const data = authenticatorData(0x05, false);
+      const json = clientData('webauthn.get', challenge, clientDataOverrides);
+      const signature = sign('sha256', Buffer.concat([data, createHash('sha256').update(json).digest()]), privateKey);
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: json.toString('base64url'),
+          authenticatorData: data.toString('base64url'),
+          signature: signature.toString('base64url')
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createVirtualAuthenticator, encodeCbor };
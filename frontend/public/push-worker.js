@@ -0,0 +1,31 @@
+/* Receives Web Push alerts and shows them. Registered by
+   src/utils/pushNotifications.ts; it handles pushes only and caches nothing. */
+
+self.addEventListener('push', (event) => {
+  let alert = { title: 'GeriFinancial', body: '', link: '/' };
+  try {
+    alert = { ...alert, ...event.data.json() };
+  } catch (error) {
+    // Not JSON; show the text as it came
+    if (event.data) alert.body = event.data.text();
+  }
+
+  event.waitUntil(self.registration.showNotification(alert.title, {
+    body: alert.body,
+    icon: '/logo192.png',
+    data: { link: alert.link }
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.link || '/', self.location.origin).href;
+
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+    const open = windows.find((client) => client.url.startsWith(self.location.origin));
+    if (open) {
+      return open.focus().then((client) => client.navigate(target));
+    }
+    return self.clients.openWindow(target);
+  }));
+});
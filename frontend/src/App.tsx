@@ -1,5 +1,5 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { CssBaseline } from '@mui/material';
 import { ThemeContextProvider } from './contexts/ThemeContext';
 import { LocalizationProvider } from '@mui/x-date-pickers';
@@ -19,6 +19,8 @@ import Overview from './pages/Overview';
 import TransactionsPage from './pages/Transactions';
 import BudgetsPage from './pages/Budgets';
 import BudgetSubcategoryDetail from './pages/BudgetSubcategoryDetail';
+import YearlyPlanning from './pages/YearlyPlanning';
+import BudgetScenarios from './pages/BudgetScenarios';
 import RSUs from './pages/RSUs';
 import Investments from './pages/Investments';
 import Pension from './pages/Pension';
@@ -26,20 +28,18 @@ import Projects from './pages/Projects';
 import Banks from './pages/Banks';
 import ForeignCurrency from './pages/ForeignCurrency';
 import RealEstate from './pages/RealEstate';
+import TaxReport from './pages/TaxReport';
+import Household from './pages/Household';
+import Settings from './pages/Settings';
+import Rules from './pages/Rules';
+import Merchants from './pages/Merchants';
+import Subscriptions from './pages/Subscriptions';
 import OnboardingPage from './pages/Onboarding';
 import '@fontsource/roboto/300.css';
 import '@fontsource/roboto/400.css';
 import '@fontsource/roboto/500.css';
 import '@fontsource/roboto/700.css';
 
-// Profile placeholder component
-const Profile = () => (
-  <div>
-    <h1>Profile</h1>
-    <p>Your profile settings will be available here.</p>
-  </div>
-);
-
 const App: React.FC = () => {
   return (
     <ThemeContextProvider>
@@ -73,6 +73,8 @@ const App: React.FC = () => {
               <Route index element={<Overview />} />
               <Route path="transactions" element={<TransactionsPage />} />
               <Route path="budgets" element={<BudgetsPage />} />
+              <Route path="budgets/yearly" element={<YearlyPlanning />} />
+              <Route path="budgets/scenarios" element={<BudgetScenarios />} />
               {/* New simplified budget detail route */}
               <Route path="budgets/detail" element={<BudgetSubcategoryDetail />} />
               {/* Legacy routes for backward compatibility */}
@@ -90,7 +92,14 @@ const App: React.FC = () => {
               <Route path="foreign-currency/accounts/:accountNumber" element={<ForeignCurrency />} />
               <Route path="foreign-currency/accounts/:accountNumber/transactions" element={<ForeignCurrency />} />
               <Route path="foreign-currency/convert" element={<ForeignCurrency />} />
-              <Route path="profile" element={<Profile />} />
+              <Route path="tax-report" element={<TaxReport />} />
+              <Route path="rules" element={<Rules />} />
+              <Route path="merchants" element={<Merchants />} />
+              <Route path="merchants/:merchantId" element={<Merchants />} />
+              <Route path="subscriptions" element={<Subscriptions />} />
+              <Route path="household" element={<Household />} />
+              <Route path="settings" element={<Settings />} />
+              <Route path="profile" element={<Navigate to="/settings" replace />} />
             </Route>
             </Routes>
           </OnboardingGuard>
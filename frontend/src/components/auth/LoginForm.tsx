@@ -1,13 +1,55 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { Button, Typography, Box, Paper, Alert } from '@mui/material';
+import { Button, Typography, Box, Paper, Alert, Stack, Divider } from '@mui/material';
 import GitHubIcon from '@mui/icons-material/GitHub';
-import { githubLoginUrl } from '../../services/api';
+import GoogleIcon from '@mui/icons-material/Google';
+import KeyIcon from '@mui/icons-material/Key';
+import { authApi, authErrorMessage, AuthProvider, providerLoginUrl } from '../../services/api';
+import { getPasskey, isPasskeyCancellation, isPasskeySupported } from '../../utils/passkeys';
+import { errorMessage } from '../../utils/errors';
+
+// Shown until the server says which providers it offers, and if it cannot.
+const FALLBACK_PROVIDERS: AuthProvider[] = [{ id: 'github', label: 'GitHub', type: 'redirect' }];
+
+const PROVIDER_ICONS: Record<string, React.ReactNode> = {
+  github: <GitHubIcon />,
+  google: <GoogleIcon />
+};
 
 const LoginForm: React.FC = () => {
   const [searchParams] = useSearchParams();
-  // The callback appends this when the user declines authorisation on GitHub.
   const authError = searchParams.get('auth_error');
+  const [providers, setProviders] = useState<AuthProvider[]>(FALLBACK_PROVIDERS);
+  const [passkeyError, setPasskeyError] = useState<string | null>(null);
+  const [passkeyBusy, setPasskeyBusy] = useState(false);
+
+  useEffect(() => {
+    authApi.getProviders()
+      .then(setProviders)
+      .catch((err) => console.error('Error loading sign-in providers:', err));
+  }, []);
+
+  const redirectProviders = providers.filter((provider) => provider.type === 'redirect');
+  const offersPasskey = providers.some((provider) => provider.type === 'passkey') && isPasskeySupported();
+
+  const handlePasskey = async () => {
+    setPasskeyBusy(true);
+    setPasskeyError(null);
+    try {
+      const { options, challengeToken } = await authApi.passkeyLoginOptions();
+      const credential = await getPasskey(options);
+      if (!credential) return;
+      await authApi.passkeyLogin(challengeToken, credential);
+      window.location.assign('/');
+    } catch (err) {
+      if (!isPasskeyCancellation(err)) {
+        console.error('Passkey sign-in failed:', err);
+        setPasskeyError(errorMessage(err, 'Passkey sign-in failed. Please try again.'));
+      }
+    } finally {
+      setPasskeyBusy(false);
+    }
+  };
 
   return (
     <Box
@@ -30,9 +72,9 @@ const LoginForm: React.FC = () => {
           Sign in to GeriFinancial
         </Typography>
 
-        {authError && (
+        {(authError || passkeyError) && (
           <Alert severity="error" sx={{ mb: 2 }}>
-            Sign-in was cancelled. Please try again.
+            {passkeyError || authErrorMessage(authError as string)}
           </Alert>
         )}
 
@@ -40,17 +82,42 @@ const LoginForm: React.FC = () => {
           Your account is created automatically the first time you sign in.
         </Typography>
 
-        <Button
-          fullWidth
-          variant="contained"
-          size="large"
-          startIcon={<GitHubIcon />}
-          component="a"
-          href={githubLoginUrl('/')}
-          data-testid="github-login-button"
-        >
-          Continue with GitHub
-        </Button>
+        <Stack spacing={1.5}>
+          {redirectProviders.map((provider) => (
+            <Button
+              key={provider.id}
+              fullWidth
+              variant={provider.id === 'github' ? 'contained' : 'outlined'}
+              size="large"
+              startIcon={PROVIDER_ICONS[provider.id]}
+              component="a"
+              href={providerLoginUrl(provider.id, '/')}
+              data-testid={`${provider.id}-login-button`}
+            >
+              Continue with {provider.label}
+            </Button>
+          ))}
+
+          {offersPasskey && (
+            <>
+              <Divider>or</Divider>
+              <Button
+                fullWidth
+                variant="outlined"
+                size="large"
+                startIcon={<KeyIcon />}
+                disabled={passkeyBusy}
+                onClick={handlePasskey}
+                data-testid="passkey-login-button"
+              >
+                Sign in with a passkey
+              </Button>
+              <Typography variant="caption" color="text.secondary" align="center">
+                Passkeys are added from Settings after you first sign in.
+              </Typography>
+            </>
+          )}
+        </Stack>
       </Paper>
     </Box>
   );
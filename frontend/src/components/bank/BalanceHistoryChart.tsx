@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Box, Typography, CircularProgress } from '@mui/material';
+import { Alert, Box, Typography, CircularProgress } from '@mui/material';
 import {
   LineChart,
   Line,
@@ -7,20 +7,81 @@ import {
   YAxis,
   CartesianGrid,
   Tooltip,
+  ReferenceLine,
   ResponsiveContainer
 } from 'recharts';
 import { bankAccountsApi } from '../../services/api/bank';
-import { BalanceSnapshot } from '../../services/api/types/bankAccount';
+import {
+  AccountForecast,
+  BalanceSnapshot,
+  ForecastEvent,
+  ForecastRsuVest
+} from '../../services/api/types/bankAccount';
 import { formatCurrency } from '../../utils/formatters';
 
 interface BalanceHistoryChartProps {
   accountId: string;
   currency?: string;
   days?: number;
+  // Days of projected balance drawn after today; 0 for history only
+  forecastDays?: number;
+}
+
+interface ChartPoint {
+  day: string;
+  date: string;
+  balance?: number;
+  forecast?: number;
+  dayChange?: number;
+  dayChangePercent?: number;
+  events?: ForecastEvent[];
 }
 
+const pad = (value: number) => String(value).padStart(2, '0');
+
+// The local calendar day, the way the forecast keys its days
+const dayKey = (date: Date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const dayLabel = (day: string) =>
+  new Date(`${day}T00:00:00`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+/**
+ * History and forecast on one axis. Today's point carries both values so the
+ * projected line starts where the recorded one ends.
+ */
+export const mergeBalanceSeries = (
+  history: BalanceSnapshot[],
+  forecast: AccountForecast | null
+): ChartPoint[] => {
+  const points = new Map<string, ChartPoint>();
+  const pointFor = (day: string) => {
+    if (!points.has(day)) points.set(day, { day, date: dayLabel(day) });
+    return points.get(day) as ChartPoint;
+  };
+
+  for (const snapshot of history) {
+    Object.assign(pointFor(dayKey(new Date(snapshot.date))), {
+      balance: snapshot.balance,
+      dayChange: snapshot.dayChange,
+      dayChangePercent: snapshot.dayChangePercent
+    });
+  }
+  for (const point of forecast?.series || []) {
+    pointFor(point.date).forecast = point.balance;
+  }
+  for (const event of forecast?.events || []) {
+    const point = pointFor(event.date);
+    point.events = [...(point.events || []), event];
+  }
+
+  return Array.from(points.values()).sort((a, b) => a.day.localeCompare(b.day));
+};
+
 const CustomTooltip = ({ active, payload, label, currency }: any) => {
   if (active && payload && payload.length) {
+    const point: ChartPoint = payload[0].payload;
+    const projected = point.balance == null;
     return (
       <Box sx={{
         backgroundColor: 'background.paper',
@@ -31,18 +92,25 @@ const CustomTooltip = ({ active, payload, label, currency }: any) => {
       }}>
         <Typography variant="body2" fontWeight="bold">{label}</Typography>
         <Typography variant="body2" color="primary">
-          {formatCurrency(payload[0].value, currency || 'ILS')}
+          {formatCurrency(projected ? point.forecast ?? 0 : point.balance ?? 0, currency || 'ILS')}
+          {projected && ' (projected)'}
         </Typography>
-        {payload[0].payload.dayChange !== 0 && (
+        {!projected && point.dayChange != null && point.dayChange !== 0 && (
           <Typography
             variant="caption"
-            color={payload[0].payload.dayChange >= 0 ? 'success.main' : 'error.main'}
+            color={point.dayChange >= 0 ? 'success.main' : 'error.main'}
           >
-            {payload[0].payload.dayChange >= 0 ? '+' : ''}
-            {formatCurrency(payload[0].payload.dayChange, currency || 'ILS')}
-            {' '}({payload[0].payload.dayChangePercent.toFixed(1)}%)
+            {point.dayChange >= 0 ? '+' : ''}
+            {formatCurrency(point.dayChange, currency || 'ILS')}
+            {' '}({(point.dayChangePercent ?? 0).toFixed(1)}%)
           </Typography>
         )}
+        {point.events?.map((event, index) => (
+          <Typography key={index} variant="caption" display="block">
+            {event.description}: {formatCurrency(event.amount, currency || 'ILS')}
+            {event.estimated && ' (estimated)'}
+          </Typography>
+        ))}
       </Box>
     );
   }
@@ -52,16 +120,27 @@ const CustomTooltip = ({ active, payload, label, currency }: any) => {
 export const BalanceHistoryChart: React.FC<BalanceHistoryChartProps> = ({
   accountId,
   currency = 'ILS',
-  days = 30
+  days = 30,
+  forecastDays = 90
 }) => {
   const [data, setData] = useState<BalanceSnapshot[]>([]);
+  const [forecast, setForecast] = useState<AccountForecast | null>(null);
+  const [vests, setVests] = useState<ForecastRsuVest[]>([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     const fetchHistory = async () => {
       try {
-        const history = await bankAccountsApi.getBalanceHistory(accountId, days);
+        // A forecast that cannot be worked out leaves the history to stand alone
+        const [history, projection] = await Promise.all([
+          bankAccountsApi.getBalanceHistory(accountId, days),
+          forecastDays > 0
+            ? bankAccountsApi.getBalanceForecast(forecastDays).catch(() => null)
+            : Promise.resolve(null)
+        ]);
         setData(history);
+        setForecast(projection?.accounts.find(account => account.accountId === accountId) || null);
+        setVests(projection?.rsuVests || []);
       } catch (err) {
         console.error('Failed to load balance history:', err);
       } finally {
@@ -69,7 +148,7 @@ export const BalanceHistoryChart: React.FC<BalanceHistoryChartProps> = ({
       }
     };
     fetchHistory();
-  }, [accountId, days]);
+  }, [accountId, days, forecastDays]);
 
   if (loading) {
     return (
@@ -79,7 +158,7 @@ export const BalanceHistoryChart: React.FC<BalanceHistoryChartProps> = ({
     );
   }
 
-  if (data.length === 0) {
+  if (data.length === 0 && !forecast) {
     return (
       <Typography variant="body2" color="textSecondary" sx={{ py: 1 }}>
         No balance history available yet.
@@ -87,34 +166,66 @@ export const BalanceHistoryChart: React.FC<BalanceHistoryChartProps> = ({
     );
   }
 
-  const chartData = data.map(snapshot => ({
-    date: new Date(snapshot.date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' }),
-    balance: snapshot.balance,
-    dayChange: snapshot.dayChange,
-    dayChangePercent: snapshot.dayChangePercent
-  }));
+  const chartData = mergeBalanceSeries(data, forecast);
+  const shortfall = forecast?.shortfalls[0];
 
   return (
-    <Box sx={{ width: '100%', height: 200, mt: 1 }}>
-      <ResponsiveContainer>
-        <LineChart data={chartData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
-          <CartesianGrid strokeDasharray="3 3" />
-          <XAxis dataKey="date" tick={{ fontSize: 11 }} />
-          <YAxis
-            tick={{ fontSize: 11 }}
-            tickFormatter={(value: number) => formatCurrency(value, currency)}
-          />
-          <Tooltip content={<CustomTooltip currency={currency} />} />
-          <Line
-            type="monotone"
-            dataKey="balance"
-            stroke="#1976d2"
-            strokeWidth={2}
-            dot={false}
-            activeDot={{ r: 4 }}
-          />
-        </LineChart>
-      </ResponsiveContainer>
+    <Box sx={{ mt: 1 }}>
+      {forecast && shortfall && (
+        <Alert severity="warning" sx={{ mb: 1 }}>
+          Projected to fall to {formatCurrency(shortfall.lowest.balance, currency)} on {dayLabel(shortfall.lowest.date)},
+          below your threshold of {formatCurrency(forecast.threshold, currency)}.
+        </Alert>
+      )}
+      <Box sx={{ width: '100%', height: 200 }}>
+        <ResponsiveContainer>
+          <LineChart data={chartData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" tick={{ fontSize: 11 }} />
+            <YAxis
+              tick={{ fontSize: 11 }}
+              tickFormatter={(value: number) => formatCurrency(value, currency)}
+            />
+            <Tooltip content={<CustomTooltip currency={currency} />} />
+            {forecast && (
+              <ReferenceLine
+                y={forecast.threshold}
+                stroke="#d32f2f"
+                strokeDasharray="4 4"
+                label={{ value: 'Threshold', fontSize: 10, position: 'insideBottomLeft' }}
+              />
+            )}
+            {forecast && vests.map(vest => (
+              <ReferenceLine
+                key={`${vest.grantId}-${vest.date}`}
+                x={dayLabel(vest.date)}
+                stroke="#9c27b0"
+                strokeDasharray="2 4"
+                label={{ value: `${vest.stockSymbol} vest`, fontSize: 10, position: 'top' }}
+              />
+            ))}
+            <Line
+              type="monotone"
+              dataKey="balance"
+              stroke="#1976d2"
+              strokeWidth={2}
+              dot={false}
+              activeDot={{ r: 4 }}
+            />
+            {forecast && (
+              <Line
+                type="monotone"
+                dataKey="forecast"
+                stroke="#1976d2"
+                strokeWidth={2}
+                strokeDasharray="6 4"
+                dot={false}
+                activeDot={{ r: 4 }}
+              />
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      </Box>
     </Box>
   );
 };
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box,
   Button,
@@ -19,11 +19,13 @@ import {
   Refresh as RefreshIcon,
   Key as KeyIcon,
   ExpandMore as ExpandMoreIcon,
-  ExpandLess as ExpandLessIcon
+  ExpandLess as ExpandLessIcon,
+  UploadFile as UploadFileIcon,
+  History as HistoryIcon
 } from '@mui/icons-material';
 import { bankAccountsApi } from '../../services/api/bank';
 import { BankAccount } from '../../services/api/types';
-import { getBankName, getBankStrategies } from '../../constants/banks';
+import { getBankName, getBankStrategies, getStrategyDisplayName, isFileImportAccount } from '../../constants/banks';
 import { BankIcon } from './BankIcon';
 import { BankAccountForm } from './BankAccountForm';
 import { UpdateCredentialsDialog } from './UpdateCredentialsDialog';
@@ -34,12 +36,15 @@ import { AccountScraping } from './AccountScraping';
 import { formatCurrency } from '../../utils/formatters';
 import { BalanceHistoryChart } from './BalanceHistoryChart';
 import { RenameAccountDialog } from './RenameAccountDialog';
+import { StatementImportDialog } from './StatementImportDialog';
+import { SyncHistoryDialog } from './SyncHistoryDialog';
 
 const getStatusColor = (status: BankAccount['status']) => {
   switch (status) {
     case 'active':
       return 'success';
     case 'error':
+    case 'needs-reauth':
       return 'error';
     case 'pending':
       return 'warning';
@@ -50,18 +55,8 @@ const getStatusColor = (status: BankAccount['status']) => {
   }
 };
 
-const getStrategyDisplayName = (strategyKey: string): string => {
-  const names: Record<string, string> = {
-    'checking-accounts': 'Checking',
-    'investment-portfolios': 'Investments',
-    'foreign-currency': 'Foreign Currency',
-    'mercury-checking': 'Mercury Checking',
-    'ibkr-flex': 'IBKR Flex',
-    'phoenix-pension': 'Phoenix Pension',
-    'clal-pension': 'Clal Pension'
-  };
-  return names[strategyKey] || strategyKey;
-};
+const getStatusLabel = (status: BankAccount['status']) =>
+  status === 'needs-reauth' ? 'needs new credentials' : status;
 
 export const BankAccountsList: React.FC = () => {
   const [accounts, setAccounts] = useState<BankAccount[]>([]);
@@ -70,13 +65,22 @@ export const BankAccountsList: React.FC = () => {
   const [showAddForm, setShowAddForm] = useState(false);
   const [showUpdateCredentials, setShowUpdateCredentials] = useState(false);
   const [showRenameAccount, setShowRenameAccount] = useState(false);
+  const [showStatementImport, setShowStatementImport] = useState(false);
+  const [showSyncHistory, setShowSyncHistory] = useState(false);
   const [selectedAccount, setSelectedAccount] = useState<BankAccount | null>(null);
   const [expandedAccount, setExpandedAccount] = useState<string | null>(null);
+  const [nextRuns, setNextRuns] = useState<Record<string, string | null>>({});
   const fetchAccounts = async () => {
     try {
       const data = await bankAccountsApi.getAll();
       setAccounts(data);
       setError('');
+      // The list stands without it, so a failure here is only logged
+      bankAccountsApi.getSchedules()
+        .then(schedules => setNextRuns(Object.fromEntries(
+          schedules.map(schedule => [schedule.accountId, schedule.nextRun])
+        )))
+        .catch(err => console.error('Failed to load sync schedules:', err));
     } catch (err) {
       setError('Failed to load bank accounts');
       console.error(err);
@@ -85,6 +89,11 @@ export const BankAccountsList: React.FC = () => {
     }
   };
 
+  const importAccounts = useMemo(
+    () => accounts.filter(account => isFileImportAccount(account.bankId)),
+    [accounts]
+  );
+
   useEffect(() => {
     track(BANK_ACCOUNT_EVENTS.VIEW_LIST);
     fetchAccounts();
@@ -151,6 +160,13 @@ export const BankAccountsList: React.FC = () => {
             disabled={accounts.length === 0}
             onScrapingComplete={fetchAccounts}
           />
+          <Button
+            variant="outlined"
+            startIcon={<UploadFileIcon />}
+            onClick={() => setShowStatementImport(true)}
+          >
+            Import Statement
+          </Button>
           <Button
             variant="contained"
             startIcon={<AddIcon />}
@@ -211,19 +227,48 @@ export const BankAccountsList: React.FC = () => {
                           {account.lastError.message}
                         </Typography>
                       )}
-                      <AccountScraping
-                        accountId={account._id}
-                        bankId={account.bankId}
-                        lastScraped={account.lastScraped}
-                        strategySync={account.strategySync}
-                        isDisabled={account.status !== 'active'}
-                        onScrapingComplete={fetchAccounts}
-                      />
+                      {account.status === 'needs-reauth' && (
+                        <Box sx={{ mb: 1 }}>
+                          <Typography variant="body2" sx={{ mb: 0.5 }}>
+                            The bank refused the saved login, so syncing is paused until you enter new credentials.
+                          </Typography>
+                          <Button
+                            size="small"
+                            variant="contained"
+                            color="error"
+                            startIcon={<KeyIcon />}
+                            onClick={() => handleUpdateCredentials(account)}
+                          >
+                            Update credentials
+                          </Button>
+                        </Box>
+                      )}
+                      {isFileImportAccount(account.bankId) ? (
+                        account.lastScraped && (
+                          <Typography variant="caption" color="textSecondary" display="block">
+                            Last import: {new Date(account.lastScraped).toLocaleString()}
+                          </Typography>
+                        )
+                      ) : (
+                        <AccountScraping
+                          accountId={account._id}
+                          bankId={account.bankId}
+                          lastScraped={account.lastScraped}
+                          strategySync={account.strategySync}
+                          isDisabled={account.status !== 'active'}
+                          onScrapingComplete={fetchAccounts}
+                        />
+                      )}
+                      {nextRuns[account._id] && (
+                        <Typography variant="caption" color="textSecondary" display="block">
+                          Next scheduled sync: {new Date(nextRuns[account._id] as string).toLocaleString()}
+                        </Typography>
+                      )}
                     </Box>
                   </Stack>
                   <Stack direction="row" spacing={1} alignItems="center">
                     <Chip
-                      label={account.status}
+                      label={getStatusLabel(account.status)}
                       color={getStatusColor(account.status)}
                       size="small"
                     />
@@ -235,23 +280,38 @@ export const BankAccountsList: React.FC = () => {
                     >
                       <EditIcon />
                     </IconButton>
-                    <IconButton
-                      onClick={() => handleUpdateCredentials(account)}
-                      title="Update Credentials"
-                      aria-label={`Update credentials for ${account.name}`}
-                      size="small"
-                      color="primary"
-                    >
-                      <KeyIcon />
-                    </IconButton>
-                    <IconButton
-                      onClick={() => handleTestConnection(account._id, getBankName(account.bankId))}
-                      title="Test Connection"
-                      aria-label={`Test connection for ${account.name}`}
-                      size="small"
-                    >
-                      <RefreshIcon />
-                    </IconButton>
+                    {!isFileImportAccount(account.bankId) && (
+                      <>
+                        <IconButton
+                          onClick={() => handleUpdateCredentials(account)}
+                          title="Update Credentials"
+                          aria-label={`Update credentials for ${account.name}`}
+                          size="small"
+                          color="primary"
+                        >
+                          <KeyIcon />
+                        </IconButton>
+                        <IconButton
+                          onClick={() => {
+                            setSelectedAccount(account);
+                            setShowSyncHistory(true);
+                          }}
+                          title="Sync History"
+                          aria-label={`Sync history for ${account.name}`}
+                          size="small"
+                        >
+                          <HistoryIcon />
+                        </IconButton>
+                        <IconButton
+                          onClick={() => handleTestConnection(account._id, getBankName(account.bankId))}
+                          title="Test Connection"
+                          aria-label={`Test connection for ${account.name}`}
+                          size="small"
+                        >
+                          <RefreshIcon />
+                        </IconButton>
+                      </>
+                    )}
                     <IconButton
                       onClick={() => handleDelete(account._id, getBankName(account.bankId))}
                       title="Delete Account"
@@ -279,7 +339,7 @@ export const BankAccountsList: React.FC = () => {
                   <Collapse in={expandedAccount === account._id}>
                     <Box sx={{ mt: 2, borderTop: 1, borderColor: 'divider', pt: 1 }}>
                       <Typography variant="subtitle2" color="textSecondary" sx={{ mb: 1 }}>
-                        Balance History (30 days)
+                        Balance History (30 days) and Forecast (90 days)
                       </Typography>
                       <BalanceHistoryChart
                         accountId={account._id}
@@ -319,6 +379,22 @@ export const BankAccountsList: React.FC = () => {
         }}
         onSuccess={fetchAccounts}
       />
+
+      <SyncHistoryDialog
+        open={showSyncHistory}
+        account={selectedAccount}
+        onClose={() => {
+          setShowSyncHistory(false);
+          setSelectedAccount(null);
+        }}
+      />
+
+      <StatementImportDialog
+        open={showStatementImport}
+        importAccounts={importAccounts}
+        onClose={() => setShowStatementImport(false)}
+        onSuccess={fetchAccounts}
+      />
     </Box>
   );
 };
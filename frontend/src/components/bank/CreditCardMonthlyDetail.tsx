@@ -38,6 +38,7 @@ import { CreditCardMonthlyStats, CategoryBreakdown } from '../../services/api/ty
 import { formatCurrency } from '../../utils/formatters';
 import TransactionsList from '../transactions/TransactionsList';
 import TransactionDetailDialog from '../transactions/TransactionDetailDialog';
+import CreditCardStatements from './CreditCardStatements';
 import type { Transaction } from '../../services/api/types/transactions';
 
 interface CreditCardMonthlyDetailProps {
@@ -362,6 +363,7 @@ export const CreditCardMonthlyDetail: React.FC<CreditCardMonthlyDetailProps> = (
               >
                 <Tab label="Analytics" />
                 <Tab label="Transactions" />
+                <Tab label="Statements" />
               </Tabs>
             </Paper>
 
@@ -487,6 +489,15 @@ export const CreditCardMonthlyDetail: React.FC<CreditCardMonthlyDetailProps> = (
                 />
               </Paper>
             )}
+
+            {activeTab === 2 && (
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Statements by billing cycle
+                </Typography>
+                <CreditCardStatements cardId={cardId} />
+              </Paper>
+            )}
           </Box>
         )}
       </DialogContent>
@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Chip,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { creditCardsApi } from '../../services/api/creditCards';
+import {
+  CreditCardStatement,
+  StatementLineKind,
+  StatementPaymentStatus
+} from '../../services/api/types/creditCard';
+import { formatCurrency } from '../../utils/formatters';
+
+interface CreditCardStatementsProps {
+  cardId: string;
+}
+
+const STATUS_LABELS: Record<StatementPaymentStatus, string> = {
+  matched: 'Paid',
+  mismatch: 'Amount differs',
+  not_found: 'Payment not found',
+  upcoming: 'Upcoming'
+};
+
+const STATUS_COLORS: Record<StatementPaymentStatus, 'success' | 'error' | 'warning' | 'default'> = {
+  matched: 'success',
+  mismatch: 'error',
+  not_found: 'warning',
+  upcoming: 'default'
+};
+
+const KIND_LABELS: Record<StatementLineKind, string> = {
+  charge: 'Charge',
+  installment: 'Installment',
+  foreign_fee: 'Foreign fee',
+  refund: 'Refund'
+};
+
+const formatDay = (day: string) =>
+  new Date(day.length === 10 ? `${day}T00:00:00` : day).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+
+const BreakdownRow: React.FC<{ label: string; amount: number; currency: string; detail?: string; bold?: boolean }> = ({
+  label,
+  amount,
+  currency,
+  detail,
+  bold
+}) => (
+  <Box role="group" aria-label={label} sx={{ display: 'flex', justifyContent: 'space-between', py: 0.5 }}>
+    <Typography variant="body2" fontWeight={bold ? 'bold' : undefined}>
+      {label}
+      {detail && (
+        <Typography component="span" variant="caption" color="text.secondary"> ({detail})</Typography>
+      )}
+    </Typography>
+    <Typography variant="body2" fontWeight={bold ? 'bold' : undefined}>
+      {formatCurrency(amount, currency)}
+    </Typography>
+  </Box>
+);
+
+const PaymentNote: React.FC<{ statement: CreditCardStatement }> = ({ statement }) => {
+  const { payment, currency } = statement;
+  if (payment.status === 'mismatch') {
+    return (
+      <Alert severity="error" sx={{ mt: 2 }}>
+        {formatCurrency(payment.amount ?? 0, currency)} was debited on {formatDay(payment.date as string)},
+        {' '}{formatCurrency(Math.abs(payment.difference ?? 0), currency)}
+        {(payment.difference ?? 0) > 0 ? ' more' : ' less'} than this statement adds up to.
+      </Alert>
+    );
+  }
+  if (payment.status === 'not_found') {
+    return (
+      <Alert severity="warning" sx={{ mt: 2 }}>
+        No debit from a checking account was found around {formatDay(statement.billingDate)}.
+      </Alert>
+    );
+  }
+  if (payment.status === 'matched') {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+        Paid {formatCurrency(payment.amount ?? 0, currency)} on {formatDay(payment.date as string)}
+        {payment.description ? ` (${payment.description})` : ''}
+        {payment.sharedWithCards
+          ? `, together with ${payment.sharedWithCards} other card${payment.sharedWithCards === 1 ? '' : 's'}`
+          : ''}.
+      </Typography>
+    );
+  }
+  return null;
+};
+
+/**
+ * A card's billing-cycle statements: what each cycle will debit, broken down
+ * the way the issuer bills it, and whether the checking account paid it.
+ */
+export const CreditCardStatements: React.FC<CreditCardStatementsProps> = ({ cardId }) => {
+  const [statements, setStatements] = useState<CreditCardStatement[]>([]);
+  const [selected, setSelected] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchStatements = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await creditCardsApi.getStatements(cardId);
+        setStatements(data.statements);
+        setSelected(data.statements[0]?.billingDate || '');
+      } catch (err) {
+        setError('Failed to load statements');
+        console.error('Error fetching credit card statements:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchStatements();
+  }, [cardId]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>;
+  }
+
+  const statement = statements.find(candidate => candidate.billingDate === selected);
+  if (!statement) {
+    return <Alert severity="info" sx={{ mt: 2 }}>No statements found for this card.</Alert>;
+  }
+
+  const { currency } = statement;
+  const mismatches = statements.filter(candidate => candidate.payment.status === 'mismatch').length;
+
+  return (
+    <Box>
+      {mismatches > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {mismatches} statement{mismatches === 1 ? ' was' : 's were'} paid a different amount than charged.
+        </Alert>
+      )}
+
+      <FormControl size="small" sx={{ minWidth: 260, mb: 2 }}>
+        <InputLabel id="credit-card-statement-label">Statement</InputLabel>
+        <Select
+          labelId="credit-card-statement-label"
+          value={selected}
+          label="Statement"
+          onChange={(event) => setSelected(String(event.target.value))}
+        >
+          {statements.map(candidate => (
+            <MenuItem key={candidate.billingDate} value={candidate.billingDate}>
+              {formatDay(candidate.billingDate)} · {formatCurrency(candidate.totalDebit, candidate.currency)}
+              {' '}· {STATUS_LABELS[candidate.payment.status]}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6">
+            Billed {formatDay(statement.billingDate)}
+          </Typography>
+          <Chip
+            label={STATUS_LABELS[statement.payment.status]}
+            color={STATUS_COLORS[statement.payment.status]}
+            size="small"
+          />
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Cycle {formatDay(statement.period.opensOn)} – {formatDay(statement.period.closesOn)}
+        </Typography>
+
+        <BreakdownRow
+          label="Charges"
+          amount={statement.charges.amount}
+          currency={currency}
+          detail={`${statement.charges.count}`}
+        />
+        <BreakdownRow
+          label="Installments due"
+          amount={statement.installments.amount}
+          currency={currency}
+          detail={statement.installments.remaining > 0
+            ? `${formatCurrency(statement.installments.remaining, currency)} still to come`
+            : `${statement.installments.count}`}
+        />
+        {statement.foreignFees.count > 0 && (
+          <BreakdownRow label="Foreign fees" amount={statement.foreignFees.amount} currency={currency} />
+        )}
+        {statement.refunds.count > 0 && (
+          <BreakdownRow label="Refunds" amount={statement.refunds.amount} currency={currency} />
+        )}
+        <BreakdownRow label="Total debit" amount={statement.totalDebit} currency={currency} bold />
+        {statement.foreignCharges.count > 0 && (
+          <Typography variant="caption" color="text.secondary" display="block">
+            Includes {formatCurrency(statement.foreignCharges.amount, currency)} spent abroad
+          </Typography>
+        )}
+        {statement.otherCurrencies.map(other => (
+          <Typography key={other.currency} variant="caption" color="text.secondary" display="block">
+            Billed separately: {formatCurrency(other.totalDebit, other.currency)}
+          </Typography>
+        ))}
+
+        <PaymentNote statement={statement} />
+      </Paper>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Date</TableCell>
+            <TableCell>Description</TableCell>
+            <TableCell>Type</TableCell>
+            <TableCell align="right">Amount</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {statement.transactions.map(line => (
+            <TableRow key={line._id}>
+              <TableCell>{formatDay(line.date)}</TableCell>
+              <TableCell>
+                {line.description}
+                {line.originalCurrency !== line.currency && (
+                  <Typography variant="caption" display="block" color="text.secondary">
+                    {formatCurrency(Math.abs(line.originalAmount), line.originalCurrency)}
+                  </Typography>
+                )}
+              </TableCell>
+              <TableCell>
+                {KIND_LABELS[line.kind]}
+                {line.installment?.number && ` ${line.installment.number}/${line.installment.total}`}
+              </TableCell>
+              <TableCell align="right">{formatCurrency(line.amount, line.currency)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+export default CreditCardStatements;
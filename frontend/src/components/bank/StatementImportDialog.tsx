@@ -0,0 +1,355 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  MenuItem,
+  Stack,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import {
+  statementImportsApi,
+  ImportProfile,
+  StatementColumnField,
+  StatementDateFormat,
+  StatementImportResult,
+  StatementPreview
+} from '../../services/api/statementImports';
+import { BankAccount } from '../../services/api/types';
+import { formatCurrency } from '../../utils/formatters';
+import { errorMessage } from '../../utils/errors';
+
+interface StatementImportDialogProps {
+  open: boolean;
+  /** The user's existing statement-import accounts. */
+  importAccounts: BankAccount[];
+  onClose: () => void;
+  onSuccess: () => void;
+}
+
+const NEW_ACCOUNT = 'new';
+const DEFAULT_ACCOUNT_NAME = 'Imported statements';
+const PREVIEW_ROWS = 10;
+const DATE_FORMATS: StatementDateFormat[] = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+const MAPPING_FIELDS: Array<{ field: StatementColumnField; label: string }> = [
+  { field: 'date', label: 'Date' },
+  { field: 'description', label: 'Description' },
+  { field: 'amount', label: 'Amount (signed)' },
+  { field: 'debit', label: 'Debit' },
+  { field: 'credit', label: 'Credit' },
+  { field: 'processedDate', label: 'Charge / value date' },
+  { field: 'memo', label: 'Details' },
+  { field: 'reference', label: 'Reference' },
+  { field: 'balance', label: 'Balance' }
+];
+
+/**
+ * Imports a CSV, Excel or OFX/QFX statement onto a statement-import account.
+ * The file is previewed first; when no column profile recognises it, the
+ * columns are chosen here and saved as a profile for next time.
+ */
+export const StatementImportDialog: React.FC<StatementImportDialogProps> = ({
+  open,
+  importAccounts,
+  onClose,
+  onSuccess
+}) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [profiles, setProfiles] = useState<ImportProfile[]>([]);
+  const [profileId, setProfileId] = useState('');
+  // Empty until chosen: the first existing import account, else a new one.
+  const [target, setTarget] = useState('');
+  const [accountName, setAccountName] = useState(DEFAULT_ACCOUNT_NAME);
+  const [preview, setPreview] = useState<StatementPreview | null>(null);
+  const [result, setResult] = useState<StatementImportResult | null>(null);
+  const [mapping, setMapping] = useState<Partial<Record<StatementColumnField, string>>>({});
+  const [dateFormat, setDateFormat] = useState<StatementDateFormat>('DD/MM/YYYY');
+  const [negateAmounts, setNegateAmounts] = useState(false);
+  const [profileName, setProfileName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setFile(null);
+    setPreview(null);
+    setResult(null);
+    setError('');
+    setProfileId('');
+    setTarget('');
+    statementImportsApi.getProfiles()
+      .then(setProfiles)
+      .catch(err => console.error('Failed to load import profiles:', err));
+  }, [open]);
+
+  const runPreview = useCallback(async (chosen: File, chosenProfileId: string) => {
+    setLoading(true);
+    setError('');
+    setResult(null);
+    try {
+      const data = await statementImportsApi.preview(chosen, { profileId: chosenProfileId || undefined });
+      setPreview(data);
+      setMapping({});
+      setProfileName(chosen.name.replace(/\.[^.]+$/, ''));
+    } catch (err) {
+      setPreview(null);
+      setError(errorMessage(err, 'Could not read the file'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const handleFileChosen = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const chosen = event.target.files?.[0] ?? null;
+    // Cleared so choosing the same file again still fires a change.
+    event.target.value = '';
+    setFile(chosen);
+    if (chosen) runPreview(chosen, profileId);
+  };
+
+  const handleProfileChange = (value: string) => {
+    setProfileId(value);
+    if (file) runPreview(file, value);
+  };
+
+  const handleSaveProfile = async () => {
+    if (!file) return;
+    setLoading(true);
+    setError('');
+    try {
+      const saved = await statementImportsApi.saveProfile({
+        name: profileName.trim(),
+        columns: mapping,
+        dateFormat,
+        negateAmounts
+      });
+      setProfiles(await statementImportsApi.getProfiles());
+      setProfileId(saved.id);
+      await runPreview(file, saved.id);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save the profile'));
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    setLoading(true);
+    setError('');
+    try {
+      const imported = await statementImportsApi.importFile(file, {
+        profileId: profileId || undefined,
+        ...(selectedTarget === NEW_ACCOUNT
+          ? { accountName: accountName.trim() || DEFAULT_ACCOUNT_NAME }
+          : { bankAccountId: selectedTarget })
+      });
+      setResult(imported);
+      onSuccess();
+    } catch (err) {
+      setError(errorMessage(err, 'Import failed'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectedTarget = target || importAccounts[0]?._id || NEW_ACCOUNT;
+  const needsMapping = Boolean(preview && !preview.profile && preview.format !== 'ofx');
+  const mappingComplete = Boolean(
+    mapping.date && mapping.description && (mapping.amount || mapping.debit || mapping.credit) && profileName.trim()
+  );
+  const canImport = Boolean(file && preview && !needsMapping && preview.total > 0 && !result);
+
+  return (
+    <Dialog open={open} onClose={loading ? undefined : onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import statement file</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          CSV, Excel (.xlsx) or OFX/QFX exports from your bank or card company. Transactions already
+          imported are skipped, so overlapping files are safe.
+        </Typography>
+
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mb: 2 }}>
+          <Button
+            variant="outlined"
+            startIcon={<UploadFileIcon />}
+            onClick={() => fileInput.current?.click()}
+            disabled={loading}
+          >
+            {file ? file.name : 'Choose file'}
+          </Button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,.txt,.xlsx,.xls,.ofx,.qfx"
+            hidden
+            data-testid="statement-file-input"
+            onChange={handleFileChosen}
+          />
+          <TextField
+            select
+            size="small"
+            label="Column profile"
+            value={profileId}
+            onChange={(event) => handleProfileChange(event.target.value)}
+            sx={{ minWidth: 220 }}
+            disabled={loading}
+          >
+            <MenuItem value="">Detect automatically</MenuItem>
+            {profiles.map(profile => (
+              <MenuItem key={profile.id} value={profile.id}>
+                {profile.name}{profile.builtIn ? '' : ' (saved)'}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Import into"
+            value={selectedTarget}
+            onChange={(event) => setTarget(event.target.value)}
+            sx={{ minWidth: 200 }}
+            disabled={loading}
+          >
+            {importAccounts.map(account => (
+              <MenuItem key={account._id} value={account._id}>{account.name}</MenuItem>
+            ))}
+            <MenuItem value={NEW_ACCOUNT}>New account…</MenuItem>
+          </TextField>
+          {selectedTarget === NEW_ACCOUNT && (
+            <TextField
+              size="small"
+              label="Account name"
+              value={accountName}
+              onChange={(event) => setAccountName(event.target.value)}
+              disabled={loading}
+            />
+          )}
+        </Stack>
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={28} />
+          </Box>
+        )}
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {needsMapping && preview && (
+          <Box sx={{ mb: 2 }}>
+            <Alert severity="info" sx={{ mb: 2 }}>
+              No profile recognises this file. Choose which column holds what, and save it as a profile.
+            </Alert>
+            <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr 1fr' }, gap: 2 }}>
+              {MAPPING_FIELDS.map(({ field, label }) => (
+                <TextField
+                  key={field}
+                  select
+                  size="small"
+                  label={label}
+                  value={mapping[field] ?? ''}
+                  onChange={(event) => setMapping({ ...mapping, [field]: event.target.value || undefined })}
+                >
+                  <MenuItem value="">—</MenuItem>
+                  {preview.headers.map(header => (
+                    <MenuItem key={header} value={header}>{header}</MenuItem>
+                  ))}
+                </TextField>
+              ))}
+              <TextField
+                select
+                size="small"
+                label="Date format"
+                value={dateFormat}
+                onChange={(event) => setDateFormat(event.target.value as StatementDateFormat)}
+              >
+                {DATE_FORMATS.map(format => <MenuItem key={format} value={format}>{format}</MenuItem>)}
+              </TextField>
+              <TextField
+                size="small"
+                label="Profile name"
+                value={profileName}
+                onChange={(event) => setProfileName(event.target.value)}
+              />
+              <FormControlLabel
+                control={<Switch checked={negateAmounts} onChange={(event) => setNegateAmounts(event.target.checked)} />}
+                label="Charges are positive"
+              />
+            </Box>
+            <Button sx={{ mt: 2 }} variant="contained" onClick={handleSaveProfile} disabled={!mappingComplete || loading}>
+              Save profile
+            </Button>
+          </Box>
+        )}
+
+        {preview && !needsMapping && !result && (
+          <>
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              {preview.total} transaction{preview.total === 1 ? '' : 's'} found
+              {preview.profile ? ` using the ${preview.profile.name} profile` : ''}
+              {preview.skippedRows > 0 ? `, ${preview.skippedRows} other rows skipped` : ''}
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Description</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {preview.transactions.slice(0, PREVIEW_ROWS).map((row, index) => (
+                  <TableRow key={`${row.date}-${index}`}>
+                    <TableCell>{new Date(row.date).toLocaleDateString('he-IL')}</TableCell>
+                    <TableCell>
+                      {row.description}
+                      {row.memo && (
+                        <Typography variant="caption" display="block" color="text.secondary">{row.memo}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{formatCurrency(row.amount, 'ILS')}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+
+        {result && (
+          <Alert severity={result.errors.length > 0 ? 'warning' : 'success'}>
+            Imported {result.newTransactions} new transaction{result.newTransactions === 1 ? '' : 's'} into
+            {' '}{result.bankAccount.name}
+            {result.duplicates > 0 ? `; ${result.duplicates} already there` : ''}
+            {result.errors.length > 0 ? `; ${result.errors.length} failed` : ''}.
+            {result.warnings.map(warning => (
+              <Typography key={warning} variant="body2" sx={{ mt: 0.5 }}>{warning}</Typography>
+            ))}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={loading}>{result ? 'Close' : 'Cancel'}</Button>
+        {!result && (
+          <Button variant="contained" onClick={handleImport} disabled={!canImport || loading}>
+            Import
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
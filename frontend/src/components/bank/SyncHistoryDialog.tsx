@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography
+} from '@mui/material';
+import { bankAccountsApi } from '../../services/api/bank';
+import { BankAccount, SyncRun } from '../../services/api/types';
+import { getStrategyDisplayName } from '../../constants/banks';
+import { formatCurrency } from '../../utils/formatters';
+
+interface SyncHistoryDialogProps {
+  open: boolean;
+  account: BankAccount | null;
+  onClose: () => void;
+}
+
+const REASON_LABELS: Record<string, string> = {
+  scheduled: 'Scheduled',
+  first_sync: 'First sync',
+  startup_check: 'After restart',
+  manual: 'Manual'
+};
+
+const ERROR_CLASS_LABELS: Record<string, string> = {
+  INVALID_PASSWORD: 'Wrong credentials',
+  CHANGE_PASSWORD: 'Password change required',
+  TWO_FACTOR_RETRIEVER_MISSING: 'Two-factor required',
+  ACCOUNT_BLOCKED: 'Account blocked',
+  TIMEOUT: 'Timed out',
+  GENERIC: 'Scraper error',
+  GENERAL_ERROR: 'Login error',
+  UNKNOWN: 'Unexpected error'
+};
+
+const STATUS_COLORS: Record<SyncRun['status'], string> = {
+  succeeded: 'success.main',
+  failed: 'error.main',
+  running: 'info.main',
+  skipped: 'text.disabled'
+};
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString();
+
+const describeCounts = ({ counts }: SyncRun): string => {
+  const parts = [`${counts.new} new`, `${counts.duplicates} already imported`];
+  if (counts.updated > 0) parts.push(`${counts.updated} updated`);
+  if (counts.failed > 0) parts.push(`${counts.failed} not saved`);
+  return parts.join(' · ');
+};
+
+/**
+ * An account's recent sync runs as a timeline, newest on top, so a sync that
+ * ran but imported nothing shows up as such rather than as a plain success.
+ */
+export const SyncHistoryDialog: React.FC<SyncHistoryDialogProps> = ({ open, account, onClose }) => {
+  const [runs, setRuns] = useState<SyncRun[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || !account) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    bankAccountsApi.getSyncHistory(account._id)
+      .then(history => {
+        if (!cancelled) setRuns(history);
+      })
+      .catch(err => {
+        console.error('Failed to load sync history:', err);
+        if (!cancelled) setError('Failed to load the sync history');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [account, open]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Sync history{account ? ` - ${account.name}` : ''}</DialogTitle>
+      <DialogContent dividers>
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={28} />
+          </Box>
+        )}
+        {error && <Alert severity="error">{error}</Alert>}
+        {!loading && !error && runs.length === 0 && (
+          <Typography color="textSecondary">No syncs recorded yet.</Typography>
+        )}
+        {!loading && runs.map((run, index) => (
+          <Box key={run._id} sx={{ display: 'flex', gap: 2 }} data-testid={`sync-run-${run._id}`}>
+            <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', pt: 0.75 }}>
+              <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: STATUS_COLORS[run.status] }} />
+              {index < runs.length - 1 && <Box sx={{ flex: 1, width: 2, bgcolor: 'divider', mt: 0.5 }} />}
+            </Box>
+            <Box sx={{ pb: 2, flex: 1 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                <Typography variant="subtitle2">{getStrategyDisplayName(run.strategyName)}</Typography>
+                <Typography variant="caption" color="textSecondary">
+                  {new Date(run.startedAt).toLocaleString()} · {REASON_LABELS[run.reason] || run.reason}
+                  {run.attempt > 1 && ` · attempt ${run.attempt}`}
+                </Typography>
+                {run.status === 'running' && <Chip label="Running" size="small" color="info" />}
+                {run.status === 'failed' && run.error.class && (
+                  <Chip label={ERROR_CLASS_LABELS[run.error.class] || run.error.class} size="small" color="error" />
+                )}
+              </Box>
+              {run.status === 'succeeded' && (
+                <Typography variant="body2">{describeCounts(run)}</Typography>
+              )}
+              {run.status === 'failed' && run.error.message && (
+                <Typography variant="body2" color="error">{run.error.message}</Typography>
+              )}
+              {run.status === 'skipped' && run.error.message && (
+                <Typography variant="body2" color="textSecondary">Skipped: {run.error.message}</Typography>
+              )}
+              {run.window.from && run.window.to && (
+                <Typography variant="caption" color="textSecondary" display="block">
+                  Asked the bank for {formatDate(run.window.from)} - {formatDate(run.window.to)}
+                </Typography>
+              )}
+              {run.balance.amount != null && (
+                <Typography variant="caption" color="textSecondary" display="block">
+                  Balance {formatCurrency(run.balance.amount, run.balance.currency || 'ILS')}
+                </Typography>
+              )}
+              {run.jobId && (
+                <Typography variant="caption" color="textSecondary" display="block">
+                  Job {run.jobId}
+                </Typography>
+              )}
+            </Box>
+          </Box>
+        ))}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
@@ -0,0 +1,127 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { BalanceHistoryChart, mergeBalanceSeries } from '../BalanceHistoryChart';
+import { bankAccountsApi } from '../../../services/api/bank';
+import { AccountForecast, BalanceForecast, BalanceSnapshot } from '../../../services/api/types';
+
+jest.mock('../../../services/api/bank', () => ({
+  bankAccountsApi: {
+    getBalanceHistory: jest.fn(),
+    getBalanceForecast: jest.fn()
+  }
+}));
+
+jest.mock('recharts', () => ({
+  LineChart: ({ children }: any) => <div data-testid="line-chart">{children}</div>,
+  Line: ({ dataKey, strokeDasharray }: any) => (
+    <div data-testid="chart-line" data-key={dataKey} data-dash={strokeDasharray} />
+  ),
+  XAxis: () => <div data-testid="x-axis" />,
+  YAxis: () => <div data-testid="y-axis" />,
+  CartesianGrid: () => <div data-testid="cartesian-grid" />,
+  Tooltip: () => <div data-testid="tooltip" />,
+  ReferenceLine: ({ x, y, label }: any) => (
+    <div data-testid="reference-line" data-x={x} data-y={y}>{label?.value}</div>
+  ),
+  ResponsiveContainer: ({ children }: any) => <div data-testid="responsive-container">{children}</div>
+}));
+
+const getBalanceHistory = bankAccountsApi.getBalanceHistory as jest.MockedFunction<typeof bankAccountsApi.getBalanceHistory>;
+const getBalanceForecast = bankAccountsApi.getBalanceForecast as jest.MockedFunction<typeof bankAccountsApi.getBalanceForecast>;
+
+const history: BalanceSnapshot[] = [
+  { date: '2026-01-14T12:00:00', balance: 4000, availableBalance: null, currency: 'ILS', dayChange: 0, dayChangePercent: 0 },
+  { date: '2026-01-15T12:00:00', balance: 3000, availableBalance: null, currency: 'ILS', dayChange: -1000, dayChangePercent: -25 }
+];
+
+const accountForecast: AccountForecast = {
+  accountId: 'checking',
+  name: 'Leumi Checking',
+  bankId: 'leumi',
+  currency: 'ILS',
+  startingBalance: 3000,
+  balanceUpdatedAt: '2026-01-15T12:00:00',
+  threshold: 1000,
+  series: [
+    { date: '2026-01-15', balance: 3000 },
+    { date: '2026-01-16', balance: -3000 },
+    { date: '2026-01-17', balance: 9000 }
+  ],
+  events: [
+    { date: '2026-01-16', type: 'card_debit', description: 'Cal 1234', amount: -6000, currency: 'ILS', estimated: true },
+    { date: '2026-01-17', type: 'salary', description: 'Salary', amount: 12000, currency: 'ILS' }
+  ],
+  lowest: { date: '2026-01-16', balance: -3000 },
+  shortfalls: [{ from: '2026-01-16', to: '2026-01-16', lowest: { date: '2026-01-16', balance: -3000 } }]
+};
+
+const forecast: BalanceForecast = {
+  generatedAt: '2026-01-15T12:00:00',
+  days: 2,
+  displayCurrency: 'ILS',
+  lowBalanceThreshold: 1000,
+  accounts: [accountForecast],
+  rsuVests: [{
+    date: '2026-01-17',
+    grantId: 'grant',
+    stockSymbol: 'ACME',
+    name: null,
+    shares: 10,
+    estimatedValue: 1200,
+    currency: 'USD'
+  }],
+  warnings: []
+};
+
+describe('mergeBalanceSeries', () => {
+  it('puts history and forecast on one axis, joined at today', () => {
+    const points = mergeBalanceSeries(history, accountForecast);
+
+    expect(points.map(point => point.day)).toEqual(['2026-01-14', '2026-01-15', '2026-01-16', '2026-01-17']);
+    expect(points[1]).toMatchObject({ balance: 3000, forecast: 3000 });
+    expect(points[2].balance).toBeUndefined();
+    expect(points[2].events).toEqual([accountForecast.events[0]]);
+  });
+});
+
+describe('BalanceHistoryChart', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getBalanceHistory.mockResolvedValue(history);
+  });
+
+  it('draws the forecast as a dashed line with the threshold and warns of the shortfall', async () => {
+    getBalanceForecast.mockResolvedValue(forecast);
+
+    render(<BalanceHistoryChart accountId="checking" currency="ILS" />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('below your threshold');
+    const lines = screen.getAllByTestId('chart-line');
+    expect(lines.map(line => line.getAttribute('data-key'))).toEqual(['balance', 'forecast']);
+    expect(lines[1]).toHaveAttribute('data-dash', '6 4');
+    expect(screen.getByText('Threshold')).toHaveAttribute('data-y', '1000');
+    expect(screen.getByText('ACME vest')).toBeInTheDocument();
+    expect(getBalanceForecast).toHaveBeenCalledWith(90);
+  });
+
+  it('shows the history alone for an account without a forecast', async () => {
+    getBalanceForecast.mockResolvedValue({ ...forecast, accounts: [] });
+
+    render(<BalanceHistoryChart accountId="card-account" />);
+
+    expect(await screen.findByTestId('line-chart')).toBeInTheDocument();
+    expect(screen.getAllByTestId('chart-line')).toHaveLength(1);
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.queryByText('ACME vest')).not.toBeInTheDocument();
+  });
+
+  it('still shows the history when the forecast fails', async () => {
+    getBalanceForecast.mockRejectedValue(new Error('offline'));
+
+    render(<BalanceHistoryChart accountId="checking" />);
+
+    expect(await screen.findByTestId('line-chart')).toBeInTheDocument();
+    expect(screen.getAllByTestId('chart-line')).toHaveLength(1);
+  });
+});
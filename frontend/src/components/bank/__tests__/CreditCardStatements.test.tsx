@@ -0,0 +1,124 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { CreditCardStatements } from '../CreditCardStatements';
+import { creditCardsApi } from '../../../services/api/creditCards';
+import type { CreditCardStatement } from '../../../services/api/types/creditCard';
+
+jest.mock('../../../services/api/creditCards', () => ({
+  creditCardsApi: {
+    getStatements: jest.fn()
+  }
+}));
+
+jest.mock('../../../utils/formatters', () => ({
+  formatCurrency: (amount: number) => `₪${amount.toFixed(2)}`
+}));
+
+const getStatements = creditCardsApi.getStatements as jest.MockedFunction<typeof creditCardsApi.getStatements>;
+
+const totals = (amount: number, count: number) => ({ amount, count });
+
+const march: CreditCardStatement = {
+  billingDate: '2026-03-10',
+  period: { opensOn: '2026-02-11', closesOn: '2026-03-10' },
+  currency: 'ILS',
+  charges: totals(485, 2),
+  installments: { ...totals(200, 1), remaining: 600 },
+  foreignFees: totals(5.5, 1),
+  refunds: totals(-40, 1),
+  foreignCharges: totals(185, 1),
+  totalDebit: 650.5,
+  otherCurrencies: [],
+  transactions: [
+    {
+      _id: 'amazon',
+      date: '2026-02-20T10:00:00.000Z',
+      processedDate: '2026-03-10T00:00:00.000Z',
+      description: 'AMAZON.COM',
+      amount: 185,
+      currency: 'ILS',
+      originalAmount: -50,
+      originalCurrency: 'USD',
+      kind: 'charge',
+      installment: null
+    },
+    {
+      _id: 'sofa',
+      date: '2026-01-05T10:00:00.000Z',
+      processedDate: '2026-03-10T00:00:00.000Z',
+      description: 'ITALIAN SOFA',
+      amount: 200,
+      currency: 'ILS',
+      originalAmount: -200,
+      originalCurrency: 'ILS',
+      kind: 'installment',
+      installment: { number: 2, total: 5 }
+    }
+  ],
+  payment: {
+    status: 'mismatch',
+    transactionId: 'debit',
+    accountId: 'checking',
+    date: '2026-03-10T00:00:00.000Z',
+    description: 'ישראכרט',
+    amount: 700,
+    difference: 49.5,
+    sharedWithCards: 0
+  }
+};
+
+const february: CreditCardStatement = {
+  ...march,
+  billingDate: '2026-02-10',
+  period: { opensOn: '2026-01-11', closesOn: '2026-02-10' },
+  charges: totals(120, 1),
+  installments: { ...totals(0, 0), remaining: 0 },
+  foreignFees: totals(0, 0),
+  refunds: totals(0, 0),
+  foreignCharges: totals(0, 0),
+  totalDebit: 120,
+  transactions: [],
+  payment: { status: 'matched', date: '2026-02-10T00:00:00.000Z', amount: 120, difference: 0, sharedWithCards: 1 }
+};
+
+describe('CreditCardStatements', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('breaks down the latest statement and flags a payment that does not match', async () => {
+    getStatements.mockResolvedValue({ cardId: 'card', displayName: 'Isracard 1234', cutoffDay: 10, statements: [march, february] });
+
+    render(<CreditCardStatements cardId="card" />);
+
+    expect(await screen.findByText(/1 statement was paid a different amount/)).toBeInTheDocument();
+    expect(within(screen.getByRole('group', { name: 'Total debit' })).getByText('₪650.50')).toBeInTheDocument();
+    expect(screen.getByText('Foreign fees')).toBeInTheDocument();
+    expect(screen.getByText(/₪600.00 still to come/)).toBeInTheDocument();
+    expect(screen.getByText(/₪49.50 more than this statement adds up to/)).toBeInTheDocument();
+    expect(screen.getByText('Installment 2/5')).toBeInTheDocument();
+    expect(screen.getByText('₪50.00')).toBeInTheDocument();
+    expect(getStatements).toHaveBeenCalledWith('card');
+  });
+
+  it('switches to an older statement', async () => {
+    getStatements.mockResolvedValue({ cardId: 'card', displayName: 'Isracard 1234', cutoffDay: 10, statements: [march, february] });
+
+    render(<CreditCardStatements cardId="card" />);
+
+    fireEvent.mouseDown(await screen.findByRole('combobox'));
+    fireEvent.click(within(screen.getByRole('listbox')).getByText(/Paid$/));
+
+    expect(await screen.findByText(/together with 1 other card/)).toBeInTheDocument();
+    expect(screen.queryByText('Foreign fees')).not.toBeInTheDocument();
+  });
+
+  it('says so when the card has no statements', async () => {
+    getStatements.mockResolvedValue({ cardId: 'card', displayName: 'Isracard 1234', cutoffDay: 1, statements: [] });
+
+    render(<CreditCardStatements cardId="card" />);
+
+    expect(await screen.findByText('No statements found for this card.')).toBeInTheDocument();
+  });
+});
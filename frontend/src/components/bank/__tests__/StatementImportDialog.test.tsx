@@ -0,0 +1,86 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { StatementImportDialog } from '../StatementImportDialog';
+import { statementImportsApi, StatementPreview } from '../../../services/api/statementImports';
+
+jest.mock('../../../services/api/statementImports', () => ({
+  statementImportsApi: {
+    getProfiles: jest.fn(),
+    saveProfile: jest.fn(),
+    preview: jest.fn(),
+    importFile: jest.fn()
+  }
+}));
+
+const api = statementImportsApi as jest.Mocked<typeof statementImportsApi>;
+
+const matchedPreview: StatementPreview = {
+  format: 'csv',
+  profile: { id: 'hapoalim', name: 'Bank Hapoalim' },
+  headers: [],
+  skippedRows: 0,
+  total: 1,
+  accounts: [{ accountNumber: '', transactions: 1, balance: null, currency: null }],
+  transactions: [{
+    accountNumber: '',
+    date: '2024-02-03T00:00:00.000Z',
+    processedDate: '2024-02-03T00:00:00.000Z',
+    description: 'Shufersal',
+    memo: null,
+    amount: -250.5
+  }]
+};
+
+const file = new File(['date,description,amount'], 'statement.csv', { type: 'text/csv' });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.getProfiles.mockResolvedValue([]);
+});
+
+it('previews the chosen file and imports it onto a new account', async () => {
+  const user = userEvent.setup();
+  const onSuccess = jest.fn();
+  api.preview.mockResolvedValue(matchedPreview);
+  api.importFile.mockResolvedValue({
+    bankAccount: { _id: 'acc-1', name: 'Imported statements' },
+    format: 'csv',
+    profile: matchedPreview.profile,
+    total: 1,
+    newTransactions: 1,
+    duplicates: 0,
+    skippedRows: 0,
+    errors: [],
+    categorizationJobId: null,
+    warnings: []
+  });
+
+  render(<StatementImportDialog open importAccounts={[]} onClose={jest.fn()} onSuccess={onSuccess} />);
+
+  await user.upload(screen.getByTestId('statement-file-input'), file);
+
+  expect(await screen.findByText('Shufersal')).toBeInTheDocument();
+  expect(screen.getByText(/using the Bank Hapoalim profile/)).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Import' }));
+
+  await waitFor(() => {
+    expect(api.importFile).toHaveBeenCalledWith(file, { profileId: undefined, accountName: 'Imported statements' });
+  });
+  expect(await screen.findByText(/Imported 1 new transaction into/)).toBeInTheDocument();
+  expect(onSuccess).toHaveBeenCalled();
+});
+
+it('asks for a column mapping when no profile reads the file', async () => {
+  const user = userEvent.setup();
+  api.preview.mockResolvedValue({ ...matchedPreview, profile: null, headers: ['Fecha', 'Concepto', 'Importe'], total: 0, transactions: [] });
+
+  render(<StatementImportDialog open importAccounts={[]} onClose={jest.fn()} onSuccess={jest.fn()} />);
+
+  await user.upload(screen.getByTestId('statement-file-input'), file);
+
+  expect(await screen.findByText(/No profile recognises this file/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Save profile' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Import' })).toBeDisabled();
+});
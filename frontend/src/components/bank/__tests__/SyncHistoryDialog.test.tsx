@@ -0,0 +1,87 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import { SyncHistoryDialog } from '../SyncHistoryDialog';
+import { bankAccountsApi } from '../../../services/api/bank';
+import { BankAccount, SyncRun } from '../../../services/api/types';
+
+jest.mock('../../../services/api/bank', () => ({
+  bankAccountsApi: {
+    getSyncHistory: jest.fn()
+  }
+}));
+
+const getSyncHistory = bankAccountsApi.getSyncHistory as jest.MockedFunction<typeof bankAccountsApi.getSyncHistory>;
+const account = {
+  _id: 'leumi-account',
+  bankId: 'leumi',
+  name: 'Leumi Checking',
+  status: 'active',
+  lastScraped: null,
+  scrapingConfig: {
+    schedule: { frequency: 'daily', timeOfDay: '02:00' },
+    options: { startDate: '2026-01-01', monthsBack: 12 }
+  }
+} satisfies BankAccount;
+
+const run = (fields: Partial<SyncRun>): SyncRun => ({
+  _id: 'run',
+  bankAccountId: account._id,
+  strategyName: 'checking-accounts',
+  jobId: null,
+  attempt: 1,
+  reason: 'scheduled',
+  status: 'succeeded',
+  startedAt: '2026-03-02T02:10:00.000Z',
+  finishedAt: '2026-03-02T02:12:00.000Z',
+  window: { from: null, to: null },
+  counts: { new: 0, duplicates: 0, updated: 0, failed: 0 },
+  balance: { amount: null, currency: null },
+  error: { class: null, message: null },
+  ...fields
+});
+
+it('shows what each run imported and why a run failed', async () => {
+  getSyncHistory.mockResolvedValue([
+    run({
+      _id: 'failed',
+      status: 'failed',
+      attempt: 2,
+      error: { class: 'INVALID_PASSWORD', message: 'Checking Accounts scraping failed: Invalid bank credentials' }
+    }),
+    run({
+      _id: 'quiet',
+      jobId: '41',
+      counts: { new: 0, duplicates: 31, updated: 2, failed: 0 }
+    })
+  ]);
+
+  render(<SyncHistoryDialog open account={account} onClose={jest.fn()} />);
+
+  const failed = await screen.findByTestId('sync-run-failed');
+  expect(within(failed).getByText('Wrong credentials')).toBeInTheDocument();
+  expect(within(failed).getByText(/attempt 2/)).toBeInTheDocument();
+  const quiet = screen.getByTestId('sync-run-quiet');
+  expect(within(quiet).getByText('0 new · 31 already imported · 2 updated')).toBeInTheDocument();
+  expect(within(quiet).getByText('Job 41')).toBeInTheDocument();
+  expect(getSyncHistory).toHaveBeenCalledWith('leumi-account');
+});
+
+it('says so when the account has no runs yet', async () => {
+  getSyncHistory.mockResolvedValue([]);
+
+  render(<SyncHistoryDialog open account={account} onClose={jest.fn()} />);
+
+  expect(await screen.findByText('No syncs recorded yet.')).toBeInTheDocument();
+});
+
+it('shows runs skipped while the account waited for new credentials', async () => {
+  getSyncHistory.mockResolvedValue([
+    run({ _id: 'skipped', status: 'skipped', error: { class: null, message: 'The account needs new credentials' } })
+  ]);
+
+  render(<SyncHistoryDialog open account={account} onClose={jest.fn()} />);
+
+  const skipped = await screen.findByTestId('sync-run-skipped');
+  expect(within(skipped).getByText('Skipped: The account needs new credentials')).toBeInTheDocument();
+  expect(within(skipped).queryByText(/already imported/)).not.toBeInTheDocument();
+});
@@ -18,6 +18,8 @@ interface Subcategory {
   name: string;
   budgeted: number;
   actual: number;
+  // Carried in from earlier months on a rollover budget; negative when overspent
+  carried?: number;
   categoryId?: string;
   subCategoryId?: string;
 }
@@ -27,6 +29,7 @@ interface BudgetCategoryItemProps {
   subcategories: Subcategory[];
   totalBudgeted: number;
   totalActual: number;
+  totalCarried?: number;
   color: string;
   year: number;
   month: number;
@@ -34,11 +37,22 @@ interface BudgetCategoryItemProps {
   isIncomeCategory?: boolean;
 }
 
+// What a rollover budget brought in from earlier months, shown under its amounts
+const CarriedCaption: React.FC<{ carried: number }> = ({ carried }) => {
+  if (!carried) return null;
+  return (
+    <Typography variant="caption" color={carried > 0 ? 'success.main' : 'error.main'}>
+      {carried > 0 ? '+' : '−'}{formatCurrencyDisplay(Math.abs(carried))} carried over
+    </Typography>
+  );
+};
+
 const BudgetCategoryItem: React.FC<BudgetCategoryItemProps> = ({
   category,
   subcategories,
   totalBudgeted,
   totalActual,
+  totalCarried = 0,
   color,
   year,
   month,
@@ -68,6 +82,7 @@ const BudgetCategoryItem: React.FC<BudgetCategoryItemProps> = ({
 
   // Get category theme for consistent styling
   const categoryTheme = getCategoryIconTheme(category);
+  const totalAvailable = totalBudgeted + totalCarried;
 
   return (
     <Box>
@@ -107,10 +122,11 @@ const BudgetCategoryItem: React.FC<BudgetCategoryItemProps> = ({
             </Typography>
             <Typography 
               variant="body2" 
-              color={color === 'error' && totalActual > totalBudgeted ? 'error.main' : 'text.secondary'}
+              color={color === 'error' && totalActual > totalAvailable ? 'error.main' : 'text.secondary'}
             >
-              {formatCurrencyDisplay(totalActual)}/{formatCurrencyDisplay(totalBudgeted)}
+              {formatCurrencyDisplay(totalActual)}/{formatCurrencyDisplay(totalAvailable)}
             </Typography>
+            <CarriedCaption carried={totalCarried} />
           </Box>
           
           {/* Collapse Button */}
@@ -159,10 +175,11 @@ const BudgetCategoryItem: React.FC<BudgetCategoryItemProps> = ({
                     </Typography>
                     <Typography 
                       variant="body2" 
-                      color={color === 'error' && sub.actual > sub.budgeted ? 'error.main' : 'text.secondary'}
+                      color={color === 'error' && sub.actual > sub.budgeted + (sub.carried || 0) ? 'error.main' : 'text.secondary'}
                     >
-                      {formatCurrencyDisplay(sub.actual)}/{formatCurrencyDisplay(sub.budgeted)}
+                      {formatCurrencyDisplay(sub.actual)}/{formatCurrencyDisplay(sub.budgeted + (sub.carried || 0))}
                     </Typography>
+                    <CarriedCaption carried={sub.carried || 0} />
                   </Box>
                 </Box>
               </Box>
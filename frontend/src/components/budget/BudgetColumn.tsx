@@ -196,6 +196,7 @@ const BudgetColumn: React.FC<BudgetColumnProps> = ({
           const [categoryName, expenses] = entry as [string, any[]];
           const totalBudgeted = expenses.reduce((sum, exp) => sum + (exp.budgetedAmount || 0), 0);
           const totalActual = expenses.reduce((sum, exp) => sum + (exp.actualAmount || 0), 0);
+          const totalCarried = expenses.reduce((sum, exp) => sum + (exp.carriedAmount || 0), 0);
           
           // Create subcategories array maintaining the sorted order
           const subcategories = expenses.map(exp => ({
@@ -204,6 +205,7 @@ const BudgetColumn: React.FC<BudgetColumnProps> = ({
               : exp.subCategoryId || 'General',
             budgeted: exp.budgetedAmount || 0,
             actual: exp.actualAmount || 0,
+            carried: exp.carriedAmount || 0,
             categoryId: typeof exp.categoryId === 'object' 
               ? (exp.categoryId as any)?._id 
               : exp.categoryId,
@@ -219,6 +221,7 @@ const BudgetColumn: React.FC<BudgetColumnProps> = ({
               subcategories={subcategories}
               totalBudgeted={totalBudgeted}
               totalActual={totalActual}
+              totalCarried={totalCarried}
               color="error"
               year={currentYear}
               month={currentMonth}
@@ -21,13 +21,15 @@ import {
   Divider,
   IconButton,
   Tooltip,
+  Switch,
+  MenuItem,
 } from '@mui/material';
 import {
   Close as CloseIcon,
   Calculate as CalculateIcon,
   Info as InfoIcon,
 } from '@mui/icons-material';
-import { budgetsApi } from '../../services/api/budgets';
+import { budgetsApi, BudgetRollover } from '../../services/api/budgets';
 import { formatCurrencyDisplay } from '../../utils/formatters';
 import { MONTH_NAMES } from '../../constants/dateConstants';
 
@@ -49,8 +51,13 @@ interface BudgetData {
   isManuallyEdited: boolean;
   isUniformAcrossMonths: boolean;
   allMonthsData: Array<{ month: number; amount: number }>;
+  rollover?: BudgetRollover;
 }
 
+// An empty cap field means no cap
+const parseCap = (value: string): number | null =>
+  value.trim() === '' ? null : Math.max(0, parseFloat(value) || 0);
+
 const BudgetEditor: React.FC<BudgetEditorProps> = ({
   open,
   onClose,
@@ -71,6 +78,10 @@ const BudgetEditor: React.FC<BudgetEditorProps> = ({
   const [editedBudgetType, setEditedBudgetType] = useState<'fixed' | 'variable'>('fixed');
   const [editedFixedAmount, setEditedFixedAmount] = useState<string>('0');
   const [editedMonthlyAmounts, setEditedMonthlyAmounts] = useState<{ [month: number]: string }>({});
+  const [rolloverEnabled, setRolloverEnabled] = useState(false);
+  const [maxSurplus, setMaxSurplus] = useState('');
+  const [maxDeficit, setMaxDeficit] = useState('');
+  const [resetMonth, setResetMonth] = useState<number | ''>('');
 
   // Load budget data when dialog opens
   useEffect(() => {
@@ -87,6 +98,10 @@ const BudgetEditor: React.FC<BudgetEditorProps> = ({
         
         // Initialize local editing state
         setEditedBudgetType(data.budgetType || 'fixed');
+        setRolloverEnabled(Boolean(data.rollover?.enabled));
+        setMaxSurplus(data.rollover?.maxSurplus != null ? String(data.rollover.maxSurplus) : '');
+        setMaxDeficit(data.rollover?.maxDeficit != null ? String(data.rollover.maxDeficit) : '');
+        setResetMonth(data.rollover?.resetMonth || '');
         
         // Initialize monthly amounts - handle both new and existing budgets
         const monthlyAmountsMap: { [month: number]: string } = {};
@@ -232,6 +247,16 @@ const BudgetEditor: React.FC<BudgetEditorProps> = ({
           amount: parseFloat(amount) || 0
         }));
       }
+
+      // Only expense budgets roll over
+      if (subCategoryId) {
+        budgetUpdateData.rollover = {
+          enabled: rolloverEnabled,
+          maxSurplus: parseCap(maxSurplus),
+          maxDeficit: parseCap(maxDeficit),
+          resetMonth: resetMonth || null
+        };
+      }
       
       await budgetsApi.updateCategoryBudget(categoryId, subCategoryId || null, budgetUpdateData);
       
@@ -318,6 +343,53 @@ const BudgetEditor: React.FC<BudgetEditorProps> = ({
     </Box>
   );
 
+  const renderRolloverSettings = () => (
+    <Box sx={{ p: 3, pt: 0 }}>
+      <FormControlLabel
+        control={<Switch checked={rolloverEnabled} onChange={(e) => setRolloverEnabled(e.target.checked)} />}
+        label="Roll over unspent money"
+      />
+      <Typography variant="body2" color="text.secondary" sx={{ mb: rolloverEnabled ? 2 : 0 }}>
+        What is left at the end of a month is added to the next month's budget, and overspending is taken
+        from it - useful for irregular expenses like clothing or car maintenance.
+      </Typography>
+      {rolloverEnabled && (
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 2 }}>
+          <TextField
+            label="Most to carry forward"
+            type="number"
+            value={maxSurplus}
+            onChange={(e) => setMaxSurplus(e.target.value)}
+            size="small"
+            inputProps={{ min: 0, step: 0.01 }}
+            helperText="Leave empty for no limit"
+          />
+          <TextField
+            label="Most overspending to carry"
+            type="number"
+            value={maxDeficit}
+            onChange={(e) => setMaxDeficit(e.target.value)}
+            size="small"
+            inputProps={{ min: 0, step: 0.01 }}
+            helperText="Leave empty for no limit"
+          />
+          <TextField
+            select
+            label="Start again each year in"
+            value={resetMonth}
+            onChange={(e) => setResetMonth(e.target.value === '' ? '' : Number(e.target.value))}
+            size="small"
+          >
+            <MenuItem value="">Never</MenuItem>
+            {MONTH_NAMES.map((name, index) => (
+              <MenuItem key={name} value={index + 1}>{name}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      )}
+    </Box>
+  );
+
   if (!budgetData && loading) {
     return (
       <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
@@ -397,6 +469,9 @@ const BudgetEditor: React.FC<BudgetEditorProps> = ({
             {/* Tab Content */}
             {editedBudgetType === 'fixed' ? renderFixedBudgetTab() : renderVariableBudgetTab()}
 
+            {/* Rollover */}
+            {subCategoryId && renderRolloverSettings()}
+
             {/* Reason Field */}
             <Box sx={{ p: 3, pt: 0 }}>
               <TextField
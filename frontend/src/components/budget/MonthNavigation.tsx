@@ -8,6 +8,7 @@ import {
 } from '@mui/material';
 import { DateRange as DateRangeIcon } from '@mui/icons-material';
 import { getMonthNameByNumber } from '../../constants/dateConstants';
+import { BudgetPeriod } from '../../services/api/budgets';
 
 interface MonthNavigationProps {
   currentYear: number;
@@ -15,15 +16,38 @@ interface MonthNavigationProps {
   onPrevMonth: () => void;
   onNextMonth: () => void;
   loading?: boolean;
+  /** The dates the month covers, shown when they are not the calendar month. */
+  period?: BudgetPeriod | null;
 }
 
+const formatDay = (date: Date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+/**
+ * "10 Feb – 9 Mar", or null for a period that is just its calendar month.
+ */
+export const describePeriod = (period?: BudgetPeriod | null): string | null => {
+  if (!period) return null;
+  const start = new Date(period.start);
+  const end = new Date(period.end);
+  const calendar = start.getDate() === 1
+    && start.getMonth() === period.month - 1
+    && end.getMonth() === start.getMonth()
+    && new Date(end.getTime() + 1).getDate() === 1;
+  if (calendar && !period.fromSalary) return null;
+  return `${formatDay(start)} – ${formatDay(end)}${period.fromSalary ? ' · from salary' : ''}`;
+};
+
 const MonthNavigation: React.FC<MonthNavigationProps> = ({
   currentYear,
   currentMonth,
   onPrevMonth,
   onNextMonth,
-  loading = false
+  loading = false,
+  period
 }) => {
+  // A budget loaded for another month says nothing about this one
+  const dates = period?.year === currentYear && period?.month === currentMonth ? describePeriod(period) : null;
+
   return (
     <Card sx={{ mb: 4 }}>
       <CardContent>
@@ -33,9 +57,16 @@ const MonthNavigation: React.FC<MonthNavigationProps> = ({
           </Button>
           <Box display="flex" alignItems="center" gap={1}>
             <DateRangeIcon />
-            <Typography variant="h6">
-              {getMonthNameByNumber(currentMonth)} {currentYear}
-            </Typography>
+            <Box textAlign="center">
+              <Typography variant="h6">
+                {getMonthNameByNumber(currentMonth)} {currentYear}
+              </Typography>
+              {dates && (
+                <Typography variant="caption" color="text.secondary">
+                  {dates}
+                </Typography>
+              )}
+            </Box>
           </Box>
           <Button onClick={onNextMonth} disabled={loading}>
             Next →
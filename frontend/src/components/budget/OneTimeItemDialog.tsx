@@ -0,0 +1,243 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormHelperText,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import { budgetsApi, OneTimeItem, OneTimeItemType } from '../../services/api/budgets';
+import { categoriesApi } from '../../services/api/categories';
+import { errorMessage } from '../../utils/errors';
+
+type UserCategory = Awaited<ReturnType<typeof categoriesApi.getUserCategories>>[number];
+
+interface OneTimeItemDialogProps {
+  open: boolean;
+  year: number;
+  /** The item to edit; a new item when not given. */
+  item?: OneTimeItem | null;
+  onClose: () => void;
+  onSaved: (item: OneTimeItem) => void;
+}
+
+interface ItemForm {
+  type: OneTimeItemType;
+  description: string;
+  amount: string;
+  expectedDate: string;
+  categoryId: string;
+  subCategoryId: string;
+  notes: string;
+}
+
+interface Preset {
+  label: string;
+  type: OneTimeItemType;
+  // Matched against the user's category (income) or subcategory (expense) names
+  pattern: RegExp;
+}
+
+// The usual one-offs of a year, filed where the default categories put them
+export const ONE_TIME_PRESETS: Preset[] = [
+  { label: 'Bonus', type: 'income', pattern: /^salary$/i },
+  { label: 'Tax refund', type: 'income', pattern: /^refunds?$/i },
+  { label: 'Annual insurance', type: 'expense', pattern: /insurance/i },
+  { label: 'Tuition', type: 'expense', pattern: /school|tuition|education/i }
+];
+
+const refId = (ref?: { _id: string } | string): string => (typeof ref === 'string' ? ref : ref?._id ?? '');
+
+const toForm = (item?: OneTimeItem | null): ItemForm => ({
+  type: item?.type ?? 'income',
+  description: item?.description ?? '',
+  amount: item ? String(item.amount) : '',
+  expectedDate: item ? item.expectedDate.slice(0, 10) : '',
+  categoryId: refId(item?.categoryId),
+  subCategoryId: refId(item?.subCategoryId),
+  notes: item?.notes ?? ''
+});
+
+const OneTimeItemDialog: React.FC<OneTimeItemDialogProps> = ({ open, year, item, onClose, onSaved }) => {
+  const [form, setForm] = useState<ItemForm>(() => toForm(item));
+  const [categories, setCategories] = useState<UserCategory[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setForm(toForm(item));
+    setError(null);
+    categoriesApi.getUserCategories()
+      .then(setCategories)
+      .catch(() => setError('Failed to load categories.'));
+  }, [open, item]);
+
+  const update = (changes: Partial<ItemForm>) => setForm(prev => ({ ...prev, ...changes }));
+
+  const ofType = categories.filter(category => category.type === (form.type === 'income' ? 'Income' : 'Expense'));
+  const subCategories = ofType.find(category => category._id === form.categoryId)?.subCategories ?? [];
+
+  const applyPreset = (preset: Preset) => {
+    const changes: Partial<ItemForm> = { type: preset.type, description: preset.label, categoryId: '', subCategoryId: '' };
+    if (preset.type === 'income') {
+      const category = categories.find(c => c.type === 'Income' && preset.pattern.test(c.name));
+      changes.categoryId = category?._id ?? '';
+    } else {
+      for (const category of categories.filter(c => c.type === 'Expense')) {
+        const subCategory = category.subCategories.find(sub => preset.pattern.test(sub.name));
+        if (subCategory) {
+          changes.categoryId = category._id;
+          changes.subCategoryId = subCategory._id;
+          break;
+        }
+      }
+    }
+    update(changes);
+  };
+
+  const amount = Number(form.amount);
+  const canSave = form.description.trim() !== ''
+    && amount > 0
+    && form.expectedDate.startsWith(String(year))
+    && form.categoryId !== ''
+    && (form.type === 'income' || form.subCategoryId !== '');
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const fields = {
+      description: form.description.trim(),
+      amount,
+      expectedDate: form.expectedDate,
+      categoryId: form.categoryId,
+      ...(form.type === 'expense' && { subCategoryId: form.subCategoryId }),
+      notes: form.notes.trim()
+    };
+    try {
+      onSaved(item
+        ? await budgetsApi.updateOneTimeItem(year, item.type, item._id, fields)
+        : await budgetsApi.addOneTimeItem(year, { type: form.type, ...fields }));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save the item.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{item ? 'Edit One-Time Item' : `Plan a One-Time Item for ${year}`}</DialogTitle>
+      <DialogContent>
+        <Box display="flex" flexDirection="column" gap={2} mt={1}>
+          {error && <Alert severity="error" onClose={() => setError(null)}>{error}</Alert>}
+
+          {!item && (
+            <>
+              <Box display="flex" gap={1} flexWrap="wrap">
+                {ONE_TIME_PRESETS.map(preset => (
+                  <Chip key={preset.label} label={preset.label} variant="outlined" onClick={() => applyPreset(preset)} />
+                ))}
+              </Box>
+              <ToggleButtonGroup
+                exclusive
+                size="small"
+                value={form.type}
+                onChange={(_, type: OneTimeItemType | null) => type && update({ type, categoryId: '', subCategoryId: '' })}
+              >
+                <ToggleButton value="income">Income</ToggleButton>
+                <ToggleButton value="expense">Expense</ToggleButton>
+              </ToggleButtonGroup>
+            </>
+          )}
+
+          <TextField
+            label="Description"
+            size="small"
+            value={form.description}
+            onChange={(e) => update({ description: e.target.value })}
+          />
+          <Box display="grid" gridTemplateColumns={{ xs: '1fr', sm: '1fr 1fr' }} gap={2}>
+            <TextField
+              label="Amount"
+              size="small"
+              type="number"
+              value={form.amount}
+              onChange={(e) => update({ amount: e.target.value })}
+              inputProps={{ min: 0 }}
+            />
+            <TextField
+              label="Expected date"
+              size="small"
+              type="date"
+              value={form.expectedDate}
+              onChange={(e) => update({ expectedDate: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ min: `${year}-01-01`, max: `${year}-12-31` }}
+            />
+          </Box>
+
+          <FormControl fullWidth size="small">
+            <InputLabel id="one-time-item-category">Category</InputLabel>
+            <Select
+              labelId="one-time-item-category"
+              label="Category"
+              value={ofType.some(category => category._id === form.categoryId) ? form.categoryId : ''}
+              onChange={(e) => update({ categoryId: e.target.value, subCategoryId: '' })}
+            >
+              {ofType.map(category => (
+                <MenuItem key={category._id} value={category._id}>{category.name}</MenuItem>
+              ))}
+            </Select>
+            <FormHelperText>
+              Matched to a transaction in this category within a month of the expected date
+            </FormHelperText>
+          </FormControl>
+          {form.type === 'expense' && (
+            <FormControl fullWidth size="small" disabled={subCategories.length === 0}>
+              <InputLabel id="one-time-item-subcategory">Subcategory</InputLabel>
+              <Select
+                labelId="one-time-item-subcategory"
+                label="Subcategory"
+                value={subCategories.some(sub => sub._id === form.subCategoryId) ? form.subCategoryId : ''}
+                onChange={(e) => update({ subCategoryId: e.target.value })}
+              >
+                {subCategories.map(sub => (
+                  <MenuItem key={sub._id} value={sub._id}>{sub.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
+          <TextField
+            label="Notes"
+            size="small"
+            multiline
+            minRows={2}
+            value={form.notes}
+            onChange={(e) => update({ notes: e.target.value })}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" disabled={!canSave || saving} onClick={handleSave}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default OneTimeItemDialog;
@@ -0,0 +1,68 @@
+import React from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Divider,
+  Typography
+} from '@mui/material';
+import { MonthlyBudget } from '../../services/api/budgets';
+import { formatCurrencyDisplay } from '../../utils/formatters';
+
+interface SavingsGoalsBudgetCardProps {
+  savingsGoals: NonNullable<MonthlyBudget['savingsGoals']>;
+  totalSavingsBudgeted: number;
+  budgetBalance: number;
+}
+
+/**
+ * The month's savings line: what each open savings goal needs set aside, and
+ * what the budget has left once it is.
+ */
+const SavingsGoalsBudgetCard: React.FC<SavingsGoalsBudgetCardProps> = ({
+  savingsGoals,
+  totalSavingsBudgeted,
+  budgetBalance
+}) => {
+  const afterSavings = budgetBalance - totalSavingsBudgeted;
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+          <Typography variant="h6">
+            Savings Goals
+          </Typography>
+          <Typography variant="h6">
+            {formatCurrencyDisplay(totalSavingsBudgeted)}
+          </Typography>
+        </Box>
+        {savingsGoals.map(line => (
+          <Box key={line.goalId} display="flex" justifyContent="space-between" py={0.5}>
+            <Typography variant="body2">
+              {line.name}
+              <Typography component="span" variant="caption" color="text.secondary">
+                {' '}· {formatCurrencyDisplay(line.remaining, line.goalCurrency)} to go by{' '}
+                {new Date(line.targetDate).toLocaleDateString('en-GB', { month: 'short', year: 'numeric' })}
+              </Typography>
+            </Typography>
+            <Typography variant="body2" color={line.budgetedAmount === null ? 'text.secondary' : undefined}>
+              {line.budgetedAmount === null ? 'No exchange rate' : formatCurrencyDisplay(line.budgetedAmount, line.currency)}
+            </Typography>
+          </Box>
+        ))}
+        <Divider sx={{ my: 1 }} />
+        <Box display="flex" justifyContent="space-between">
+          <Typography variant="body2" color="text.secondary">
+            Balance after savings
+          </Typography>
+          <Typography variant="body2" color={afterSavings >= 0 ? 'success.main' : 'error.main'}>
+            {formatCurrencyDisplay(afterSavings)}
+          </Typography>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SavingsGoalsBudgetCard;
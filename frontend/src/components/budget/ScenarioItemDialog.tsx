@@ -0,0 +1,264 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import {
+  OneTimeItemType,
+  ScenarioEvent,
+  ScenarioRecurrence,
+  ScenarioRecurringItem
+} from '../../services/api/budgets';
+import { categoriesApi } from '../../services/api/categories';
+import { MONTH_NAMES_SHORT } from '../../constants/dateConstants';
+
+type UserCategory = Awaited<ReturnType<typeof categoriesApi.getUserCategories>>[number];
+
+export type ScenarioItemKind = 'recurring' | 'event';
+
+interface ScenarioItemDialogProps {
+  open: boolean;
+  kind: ScenarioItemKind;
+  onClose: () => void;
+  onAdd: (item: ScenarioRecurringItem | ScenarioEvent) => void;
+}
+
+interface ItemForm {
+  type: OneTimeItemType;
+  description: string;
+  amount: string;
+  categoryId: string;
+  subCategoryId: string;
+  recurrence: ScenarioRecurrence;
+  scheduledMonths: number[];
+  startDate: string;
+  endDate: string;
+  date: string;
+}
+
+const RECURRENCES: Array<{ value: ScenarioRecurrence; label: string }> = [
+  { value: 'monthly', label: 'Every month' },
+  { value: 'bi-monthly', label: 'Every 2 months' },
+  { value: 'quarterly', label: 'Every 3 months' },
+  { value: 'yearly', label: 'Once a year' }
+];
+
+const emptyForm = (): ItemForm => ({
+  type: 'expense',
+  description: '',
+  amount: '',
+  categoryId: '',
+  subCategoryId: '',
+  recurrence: 'monthly',
+  scheduledMonths: [],
+  startDate: '',
+  endDate: '',
+  date: ''
+});
+
+/**
+ * Adds a hypothetical change to a scenario: something that repeats, like a new
+ * mortgage, or a one-off, like the down payment. Nothing is saved here; the
+ * scenario page saves the scenario with the item added.
+ */
+const ScenarioItemDialog: React.FC<ScenarioItemDialogProps> = ({ open, kind, onClose, onAdd }) => {
+  const [form, setForm] = useState<ItemForm>(emptyForm);
+  const [categories, setCategories] = useState<UserCategory[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setForm(emptyForm());
+    setError(null);
+    categoriesApi.getUserCategories()
+      .then(setCategories)
+      .catch(() => setError('Failed to load categories.'));
+  }, [open]);
+
+  const update = (changes: Partial<ItemForm>) => setForm(prev => ({ ...prev, ...changes }));
+
+  const ofType = categories.filter(category => category.type === (form.type === 'income' ? 'Income' : 'Expense'));
+  const subCategories = ofType.find(category => category._id === form.categoryId)?.subCategories ?? [];
+
+  const toggleMonth = (month: number) => update({
+    scheduledMonths: form.scheduledMonths.includes(month)
+      ? form.scheduledMonths.filter(m => m !== month)
+      : [...form.scheduledMonths, month].sort((a, b) => a - b)
+  });
+
+  const amount = Number(form.amount);
+  const scheduled = form.recurrence === 'monthly' || form.scheduledMonths.length > 0;
+  const canAdd = form.description.trim() !== ''
+    && amount > 0
+    && form.categoryId !== ''
+    && (form.type === 'income' || form.subCategoryId !== '')
+    && (kind === 'recurring'
+      ? scheduled && (!form.startDate || !form.endDate || form.startDate <= form.endDate)
+      : form.date !== '');
+
+  const handleAdd = () => {
+    const fields = {
+      description: form.description.trim(),
+      type: form.type,
+      amount,
+      categoryId: form.categoryId,
+      subCategoryId: form.type === 'expense' ? form.subCategoryId : null
+    };
+    onAdd(kind === 'recurring'
+      ? {
+        ...fields,
+        recurrence: form.recurrence,
+        scheduledMonths: form.recurrence === 'monthly' ? [] : form.scheduledMonths,
+        startDate: form.startDate || null,
+        endDate: form.endDate || null
+      }
+      : { ...fields, date: form.date });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{kind === 'recurring' ? 'Add a Recurring Change' : 'Add a One-Off Event'}</DialogTitle>
+      <DialogContent>
+        <Box display="flex" flexDirection="column" gap={2} mt={1}>
+          {error && <Alert severity="error" onClose={() => setError(null)}>{error}</Alert>}
+
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            value={form.type}
+            onChange={(_, type: OneTimeItemType | null) => type && update({ type, categoryId: '', subCategoryId: '' })}
+          >
+            <ToggleButton value="income">Income</ToggleButton>
+            <ToggleButton value="expense">Expense</ToggleButton>
+          </ToggleButtonGroup>
+
+          <TextField
+            label="Description"
+            size="small"
+            value={form.description}
+            onChange={(e) => update({ description: e.target.value })}
+          />
+          <TextField
+            label="Amount"
+            size="small"
+            type="number"
+            value={form.amount}
+            onChange={(e) => update({ amount: e.target.value })}
+            inputProps={{ min: 0 }}
+          />
+
+          <FormControl fullWidth size="small">
+            <InputLabel id="scenario-item-category">Category</InputLabel>
+            <Select
+              labelId="scenario-item-category"
+              label="Category"
+              value={ofType.some(category => category._id === form.categoryId) ? form.categoryId : ''}
+              onChange={(e) => update({ categoryId: e.target.value, subCategoryId: '' })}
+            >
+              {ofType.map(category => (
+                <MenuItem key={category._id} value={category._id}>{category.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {form.type === 'expense' && (
+            <FormControl fullWidth size="small" disabled={subCategories.length === 0}>
+              <InputLabel id="scenario-item-subcategory">Subcategory</InputLabel>
+              <Select
+                labelId="scenario-item-subcategory"
+                label="Subcategory"
+                value={subCategories.some(sub => sub._id === form.subCategoryId) ? form.subCategoryId : ''}
+                onChange={(e) => update({ subCategoryId: e.target.value })}
+              >
+                {subCategories.map(sub => (
+                  <MenuItem key={sub._id} value={sub._id}>{sub.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
+          {kind === 'recurring' ? (
+            <>
+              <FormControl fullWidth size="small">
+                <InputLabel id="scenario-item-recurrence">Repeats</InputLabel>
+                <Select
+                  labelId="scenario-item-recurrence"
+                  label="Repeats"
+                  value={form.recurrence}
+                  onChange={(e) => update({ recurrence: e.target.value as ScenarioRecurrence })}
+                >
+                  {RECURRENCES.map(({ value, label }) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              {form.recurrence !== 'monthly' && (
+                <Box display="flex" gap={0.5} flexWrap="wrap">
+                  {MONTH_NAMES_SHORT.map((name, i) => (
+                    <Chip
+                      key={name}
+                      label={name}
+                      size="small"
+                      color={form.scheduledMonths.includes(i + 1) ? 'primary' : 'default'}
+                      variant={form.scheduledMonths.includes(i + 1) ? 'filled' : 'outlined'}
+                      onClick={() => toggleMonth(i + 1)}
+                    />
+                  ))}
+                </Box>
+              )}
+              <Box display="grid" gridTemplateColumns={{ xs: '1fr', sm: '1fr 1fr' }} gap={2}>
+                <TextField
+                  label="Starts"
+                  size="small"
+                  type="date"
+                  value={form.startDate}
+                  onChange={(e) => update({ startDate: e.target.value })}
+                  InputLabelProps={{ shrink: true }}
+                  helperText="Leave empty if it already applies"
+                />
+                <TextField
+                  label="Ends"
+                  size="small"
+                  type="date"
+                  value={form.endDate}
+                  onChange={(e) => update({ endDate: e.target.value })}
+                  InputLabelProps={{ shrink: true }}
+                  helperText="Leave empty if it has no end"
+                />
+              </Box>
+            </>
+          ) : (
+            <TextField
+              label="Date"
+              size="small"
+              type="date"
+              value={form.date}
+              onChange={(e) => update({ date: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" disabled={!canAdd} onClick={handleAdd}>
+          Add
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ScenarioItemDialog;
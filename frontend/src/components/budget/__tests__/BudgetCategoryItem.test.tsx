@@ -0,0 +1,58 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter } from 'react-router-dom';
+import BudgetCategoryItem from '../BudgetCategoryItem';
+
+const renderItem = (props: Partial<React.ComponentProps<typeof BudgetCategoryItem>> = {}) => render(
+  <MemoryRouter>
+    <BudgetCategoryItem
+      category="Shopping"
+      subcategories={[
+        { name: 'Clothing', budgeted: 500, actual: 650, carried: 300, categoryId: 'shopping', subCategoryId: 'clothing' },
+        { name: 'Gifts', budgeted: 200, actual: 250, categoryId: 'shopping', subCategoryId: 'gifts' }
+      ]}
+      totalBudgeted={700}
+      totalActual={900}
+      totalCarried={300}
+      color="error"
+      year={2026}
+      month={2}
+      {...props}
+    />
+  </MemoryRouter>
+);
+
+describe('BudgetCategoryItem', () => {
+  it('measures spending against the budget plus what rolled over', () => {
+    renderItem();
+
+    expect(screen.getByText('900.00 ₪/1,000.00 ₪')).toBeInTheDocument();
+    expect(screen.getByText('+300.00 ₪ carried over')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Shopping'));
+
+    expect(screen.getByText('650.00 ₪/800.00 ₪')).toBeInTheDocument();
+    expect(screen.getByText('250.00 ₪/200.00 ₪')).toBeInTheDocument();
+    expect(screen.getAllByText(/carried over/)).toHaveLength(2);
+  });
+
+  it('shows an overspend carried in as less to spend', () => {
+    renderItem({
+      subcategories: [{ name: 'Car maintenance', budgeted: 400, actual: 0, carried: -150 }],
+      totalBudgeted: 400,
+      totalActual: 0,
+      totalCarried: -150
+    });
+
+    expect(screen.getByText('0.00 ₪/250.00 ₪')).toBeInTheDocument();
+    expect(screen.getByText('−150.00 ₪ carried over')).toBeInTheDocument();
+  });
+
+  it('shows no carried line for a budget without rollover', () => {
+    renderItem({ subcategories: [], totalBudgeted: 700, totalActual: 100, totalCarried: undefined });
+
+    expect(screen.getByText('100.00 ₪/700.00 ₪')).toBeInTheDocument();
+    expect(screen.queryByText(/carried over/)).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import MonthNavigation from '../MonthNavigation';
+import { BudgetPeriod } from '../../../services/api/budgets';
+
+const period = (start: Date, end: Date, changes: Partial<BudgetPeriod> = {}): BudgetPeriod => ({
+  year: 2026,
+  month: 3,
+  start: start.toISOString(),
+  end: end.toISOString(),
+  startsOn: 'day',
+  fromSalary: false,
+  ...changes
+});
+
+const renderNavigation = (budgetPeriod?: BudgetPeriod) => render(
+  <MonthNavigation
+    currentYear={2026}
+    currentMonth={3}
+    onPrevMonth={jest.fn()}
+    onNextMonth={jest.fn()}
+    period={budgetPeriod}
+  />
+);
+
+describe('MonthNavigation', () => {
+  it('shows the dates a month covers when it is not the calendar month', () => {
+    renderNavigation(period(new Date(2026, 1, 26), new Date(2026, 2, 26, 23, 59, 59, 999), {
+      startsOn: 'salary',
+      fromSalary: true
+    }));
+
+    expect(screen.getByText('March 2026')).toBeInTheDocument();
+    expect(screen.getByText('26 Feb – 26 Mar · from salary')).toBeInTheDocument();
+  });
+
+  it('leaves calendar months and other months\' periods unlabelled', () => {
+    const { rerender } = renderNavigation(period(new Date(2026, 2, 1), new Date(2026, 2, 31, 23, 59, 59, 999)));
+    expect(screen.queryByText(/–/)).not.toBeInTheDocument();
+
+    rerender(
+      <MonthNavigation
+        currentYear={2026}
+        currentMonth={3}
+        onPrevMonth={jest.fn()}
+        onNextMonth={jest.fn()}
+        period={period(new Date(2026, 1, 10), new Date(2026, 2, 9, 23, 59, 59, 999), { month: 2 })}
+      />
+    );
+    expect(screen.queryByText(/–/)).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import OneTimeItemDialog from '../OneTimeItemDialog';
+import { budgetsApi } from '../../../services/api/budgets';
+import { categoriesApi } from '../../../services/api/categories';
+
+jest.mock('../../../services/api/budgets', () => ({
+  budgetsApi: {
+    addOneTimeItem: jest.fn(),
+    updateOneTimeItem: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/api/categories', () => ({
+  categoriesApi: {
+    getUserCategories: jest.fn()
+  }
+}));
+
+const addOneTimeItem = budgetsApi.addOneTimeItem as jest.MockedFunction<typeof budgetsApi.addOneTimeItem>;
+const getUserCategories = categoriesApi.getUserCategories as jest.MockedFunction<typeof categoriesApi.getUserCategories>;
+
+describe('OneTimeItemDialog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getUserCategories.mockResolvedValue([
+      { _id: 'salary', name: 'Salary', type: 'Income', subCategories: [] },
+      {
+        _id: 'household',
+        name: 'Household',
+        type: 'Expense',
+        subCategories: [
+          { _id: 'mortgage', name: 'Mortgage', keywords: [] },
+          { _id: 'home-insurance', name: 'Home Insurance', keywords: [] }
+        ]
+      }
+    ]);
+  });
+
+  // Renders once the user's categories have loaded, so presets can find theirs
+  const renderDialog = async (onSaved = jest.fn()) => {
+    render(<OneTimeItemDialog open year={2026} onClose={jest.fn()} onSaved={onSaved} />);
+    await act(() => getUserCategories.mock.results[0].value);
+  };
+
+  it('files a preset under the matching subcategory and saves it', async () => {
+    addOneTimeItem.mockResolvedValue({ _id: 'item' } as any);
+    const onSaved = jest.fn();
+    await renderDialog(onSaved);
+
+    fireEvent.click(screen.getByText('Annual insurance'));
+    expect(screen.getByLabelText('Description')).toHaveValue('Annual insurance');
+    expect(screen.getByText('Home Insurance')).toBeInTheDocument();
+
+    const save = screen.getByRole('button', { name: 'Save' });
+    expect(save).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Amount'), { target: { value: '4800' } });
+    fireEvent.change(screen.getByLabelText('Expected date'), { target: { value: '2026-06-01' } });
+    fireEvent.click(save);
+
+    await waitFor(() => expect(onSaved).toHaveBeenCalled());
+    expect(addOneTimeItem).toHaveBeenCalledWith(2026, {
+      type: 'expense',
+      description: 'Annual insurance',
+      amount: 4800,
+      expectedDate: '2026-06-01',
+      categoryId: 'household',
+      subCategoryId: 'home-insurance',
+      notes: ''
+    });
+  });
+
+  it('keeps the date within the planned year', async () => {
+    await renderDialog();
+    fireEvent.click(screen.getByText('Bonus'));
+    expect(screen.getByText('Salary')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Amount'), { target: { value: '20000' } });
+    fireEvent.change(screen.getByLabelText('Expected date'), { target: { value: '2027-03-15' } });
+
+    expect(screen.getByRole('button', { name: 'Save' })).toBeDisabled();
+  });
+});
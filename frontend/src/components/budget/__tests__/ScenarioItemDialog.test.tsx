@@ -0,0 +1,110 @@
+import React from 'react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ScenarioItemDialog, { ScenarioItemKind } from '../ScenarioItemDialog';
+import { categoriesApi } from '../../../services/api/categories';
+
+jest.mock('../../../services/api/categories', () => ({
+  categoriesApi: {
+    getUserCategories: jest.fn()
+  }
+}));
+
+const getUserCategories = categoriesApi.getUserCategories as jest.MockedFunction<typeof categoriesApi.getUserCategories>;
+
+describe('ScenarioItemDialog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getUserCategories.mockResolvedValue([
+      { _id: 'salary', name: 'Salary', type: 'Income', subCategories: [] },
+      {
+        _id: 'household',
+        name: 'Household',
+        type: 'Expense',
+        subCategories: [{ _id: 'mortgage', name: 'Mortgage', keywords: [] }]
+      }
+    ]);
+  });
+
+  // Renders once the user's categories have loaded
+  const renderDialog = async (kind: ScenarioItemKind, onAdd = jest.fn()) => {
+    render(<ScenarioItemDialog open kind={kind} onClose={jest.fn()} onAdd={onAdd} />);
+    await act(() => getUserCategories.mock.results[0].value);
+  };
+
+  const choose = (label: string, option: string) => {
+    fireEvent.mouseDown(screen.getByLabelText(label));
+    fireEvent.click(within(screen.getByRole('listbox')).getByText(option));
+  };
+
+  it('adds a recurring expense once it has a subcategory', async () => {
+    const onAdd = jest.fn();
+    await renderDialog('recurring', onAdd);
+
+    fireEvent.change(screen.getByLabelText('Description'), { target: { value: 'Mortgage' } });
+    fireEvent.change(screen.getByLabelText('Amount'), { target: { value: '7500' } });
+    fireEvent.change(screen.getByLabelText('Starts'), { target: { value: '2027-03-01' } });
+    choose('Category', 'Household');
+
+    const add = screen.getByRole('button', { name: 'Add' });
+    expect(add).toBeDisabled();
+
+    choose('Subcategory', 'Mortgage');
+    fireEvent.click(add);
+
+    expect(onAdd).toHaveBeenCalledWith({
+      description: 'Mortgage',
+      type: 'expense',
+      amount: 7500,
+      categoryId: 'household',
+      subCategoryId: 'mortgage',
+      recurrence: 'monthly',
+      scheduledMonths: [],
+      startDate: '2027-03-01',
+      endDate: null
+    });
+  });
+
+  it('needs scheduled months for anything less often than monthly', async () => {
+    const onAdd = jest.fn();
+    await renderDialog('recurring', onAdd);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Income' }));
+    fireEvent.change(screen.getByLabelText('Description'), { target: { value: 'Bonus' } });
+    fireEvent.change(screen.getByLabelText('Amount'), { target: { value: '12000' } });
+    choose('Category', 'Salary');
+    choose('Repeats', 'Once a year');
+
+    const add = screen.getByRole('button', { name: 'Add' });
+    expect(add).toBeDisabled();
+
+    fireEvent.click(screen.getByText('Dec'));
+    fireEvent.click(add);
+
+    expect(onAdd).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'income',
+      subCategoryId: null,
+      recurrence: 'yearly',
+      scheduledMonths: [12]
+    }));
+  });
+
+  it('adds a one-off event on its date', async () => {
+    const onAdd = jest.fn();
+    await renderDialog('event', onAdd);
+
+    fireEvent.change(screen.getByLabelText('Description'), { target: { value: 'Down payment' } });
+    fireEvent.change(screen.getByLabelText('Amount'), { target: { value: '150000' } });
+    choose('Category', 'Household');
+    choose('Subcategory', 'Mortgage');
+    expect(screen.queryByLabelText('Repeats')).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2027-02-15' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+    expect(onAdd).toHaveBeenCalledWith(expect.objectContaining({
+      description: 'Down payment',
+      amount: 150000,
+      date: '2027-02-15'
+    }));
+  });
+});
@@ -0,0 +1,133 @@
+import React, { useRef, useState } from 'react';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Snackbar
+} from '@mui/material';
+import { Backup as BackupIcon } from '@mui/icons-material';
+import { backupApi } from '../../services/api/backup';
+import { errorMessage } from '../../utils/errors';
+
+interface Notice {
+  severity: 'success' | 'error';
+  message: string;
+}
+
+/**
+ * Full-account backup and restore. The backup holds everything except bank
+ * credentials, so restored bank accounts need their credentials entered again
+ * before they sync.
+ */
+export const BackupMenu: React.FC = () => {
+  const [anchorEl, setAnchorEl] = useState<HTMLElement | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [pendingFile, setPendingFile] = useState<File | null>(null);
+  const [notice, setNotice] = useState<Notice | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const handleDownload = async () => {
+    setAnchorEl(null);
+    setBusy(true);
+    try {
+      await backupApi.download();
+    } catch (err) {
+      console.error('Backup failed:', err);
+      setNotice({ severity: 'error', message: 'Backup failed. Please try again.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleChooseFile = () => {
+    setAnchorEl(null);
+    fileInput.current?.click();
+  };
+
+  const handleFileChosen = (event: React.ChangeEvent<HTMLInputElement>) => {
+    setPendingFile(event.target.files?.[0] ?? null);
+    // Cleared so choosing the same file again still fires a change.
+    event.target.value = '';
+  };
+
+  const handleRestore = async () => {
+    if (!pendingFile) return;
+    const file = pendingFile;
+    setPendingFile(null);
+    setBusy(true);
+    try {
+      const { restored } = await backupApi.restore(file);
+      const total = Object.values(restored).reduce((sum, count) => sum + count, 0);
+      setNotice({
+        severity: 'success',
+        message: `Restored ${total} records. Re-enter your bank credentials to resume syncing.`
+      });
+      window.setTimeout(() => window.location.reload(), 2000);
+    } catch (err) {
+      console.error('Restore failed:', err);
+      setNotice({ severity: 'error', message: errorMessage(err, 'Restore failed. Please check the file and try again.') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        startIcon={busy ? <CircularProgress size={16} /> : <BackupIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        disabled={busy}
+        aria-haspopup="menu"
+      >
+        Backup
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <MenuItem onClick={handleDownload}>
+          <ListItemText primary="Download backup" secondary="Everything except bank credentials" />
+        </MenuItem>
+        <MenuItem onClick={handleChooseFile}>
+          <ListItemText primary="Restore from backup…" secondary="Into an account with no data yet" />
+        </MenuItem>
+      </Menu>
+      <input
+        ref={fileInput}
+        type="file"
+        accept="application/json,.json"
+        hidden
+        onChange={handleFileChosen}
+        data-testid="backup-file-input"
+      />
+
+      <Dialog open={Boolean(pendingFile)} onClose={() => setPendingFile(null)}>
+        <DialogTitle>Restore from backup?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {pendingFile?.name} will be restored into this account. Bank accounts come back
+            paused until you enter their credentials again.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingFile(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleRestore}>Restore</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar open={Boolean(notice)} autoHideDuration={6000} onClose={() => setNotice(null)}>
+        <Alert severity={notice?.severity ?? 'success'} onClose={() => setNotice(null)}>
+          {notice?.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+export default BackupMenu;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  CircularProgress,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Snackbar,
+  Alert
+} from '@mui/material';
+import { FileDownload as ExportIcon } from '@mui/icons-material';
+import { exportApi, ExportDataset, ExportFilters, ExportFormat } from '../../services/api/export';
+
+const FORMAT_LABELS: Record<ExportFormat, { label: string; hint: string }> = {
+  csv: { label: 'CSV', hint: 'One table, opens anywhere' },
+  xlsx: { label: 'Excel (XLSX)', hint: 'One sheet per dataset' },
+  json: { label: 'JSON archive', hint: 'Versioned, machine-readable' }
+};
+
+export interface ExportMenuProps {
+  /**
+   * The datasets to export. A single dataset can also be downloaded as CSV;
+   * several are bundled into one workbook or archive.
+   */
+  datasets: ExportDataset[];
+  filters?: ExportFilters;
+  label?: string;
+  size?: 'small' | 'medium' | 'large';
+}
+
+export const ExportMenu: React.FC<ExportMenuProps> = ({
+  datasets,
+  filters,
+  label = 'Export',
+  size = 'small'
+}) => {
+  const [anchorEl, setAnchorEl] = useState<HTMLElement | null>(null);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const single = datasets.length === 1;
+  const formats: ExportFormat[] = single ? ['csv', 'xlsx', 'json'] : ['xlsx', 'json'];
+
+  const handleExport = async (format: ExportFormat) => {
+    setAnchorEl(null);
+    setDownloading(true);
+    try {
+      if (format === 'csv') {
+        await exportApi.downloadDataset(datasets[0], format, filters);
+      } else {
+        await exportApi.downloadArchive(format, datasets, filters);
+      }
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError('Export failed. Please try again.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size={size}
+        startIcon={downloading ? <CircularProgress size={16} /> : <ExportIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        disabled={downloading}
+        aria-haspopup="menu"
+      >
+        {label}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {formats.map(format => (
+          <MenuItem key={format} onClick={() => handleExport(format)}>
+            <ListItemText primary={FORMAT_LABELS[format].label} secondary={FORMAT_LABELS[format].hint} />
+          </MenuItem>
+        ))}
+      </Menu>
+      <Snackbar open={Boolean(error)} autoHideDuration={6000} onClose={() => setError(null)}>
+        <Alert severity="error" onClose={() => setError(null)}>{error}</Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+export default ExportMenu;
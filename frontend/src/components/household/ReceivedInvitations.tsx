@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Alert, Box, Button, Card, CardContent, Stack, Typography } from '@mui/material';
+import { householdsApi, HouseholdOverview, ReceivedInvitation } from '../../services/api/households';
+import { errorMessage } from '../../utils/errors';
+
+interface ReceivedInvitationsProps {
+  invitations: ReceivedInvitation[];
+  /** Called with the overview as it stands after an invitation was answered. */
+  onAnswered: (overview: HouseholdOverview, accepted: boolean) => void;
+}
+
+const ReceivedInvitations: React.FC<ReceivedInvitationsProps> = ({ invitations, onAnswered }) => {
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  if (invitations.length === 0) return null;
+
+  const answer = async (invitation: ReceivedInvitation, accept: boolean) => {
+    setBusyId(invitation.id);
+    setError(null);
+    try {
+      const overview = accept
+        ? await householdsApi.acceptInvitation(invitation.id)
+        : await householdsApi.declineInvitation(invitation.id);
+      onAnswered(overview, accept);
+    } catch (err) {
+      console.error('Error answering household invitation:', err);
+      setError(errorMessage(err, 'Failed to answer the invitation.'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Stack spacing={2}>
+      {error && <Alert severity="error">{error}</Alert>}
+      {invitations.map(invitation => (
+        <Card key={invitation.id} variant="outlined">
+          <CardContent>
+            <Typography variant="subtitle1">
+              Join the household “{invitation.householdName}”
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {invitation.invitedBy ? `${invitation.invitedBy} invited you` : 'You were invited'} as
+              {invitation.role === 'viewer' ? ' a viewer' : ' an editor'}. You will see the household's
+              accounts and budgets instead of your own.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button
+                variant="contained"
+                disabled={busyId !== null}
+                onClick={() => answer(invitation, true)}
+              >
+                Join
+              </Button>
+              <Button
+                disabled={busyId !== null}
+                onClick={() => answer(invitation, false)}
+              >
+                Decline
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+      ))}
+    </Stack>
+  );
+};
+
+export default ReceivedInvitations;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ReceivedInvitations from '../ReceivedInvitations';
+import { householdsApi, HouseholdOverview, ReceivedInvitation } from '../../../services/api/households';
+
+jest.mock('../../../services/api/households', () => ({
+  householdsApi: {
+    acceptInvitation: jest.fn(),
+    declineInvitation: jest.fn()
+  }
+}));
+
+const api = householdsApi as jest.Mocked<typeof householdsApi>;
+
+const invitation: ReceivedInvitation = {
+  id: 'inv-1',
+  householdId: 'hh-1',
+  householdName: 'Home',
+  role: 'viewer',
+  invitedBy: 'Dana',
+  createdAt: '2024-05-01T00:00:00.000Z'
+};
+
+const joined: HouseholdOverview = {
+  household: { id: 'hh-1', name: 'Home', role: 'viewer', members: [], invitations: [] },
+  invitations: []
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+it('renders nothing without invitations', () => {
+  const { container } = render(<ReceivedInvitations invitations={[]} onAnswered={jest.fn()} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+it('joins the household and reports the new overview', async () => {
+  api.acceptInvitation.mockResolvedValue(joined);
+  const onAnswered = jest.fn();
+  render(<ReceivedInvitations invitations={[invitation]} onAnswered={onAnswered} />);
+
+  expect(screen.getByText(/Dana invited you as a viewer/)).toBeInTheDocument();
+  await userEvent.click(screen.getByRole('button', { name: 'Join' }));
+
+  await waitFor(() => expect(onAnswered).toHaveBeenCalledWith(joined, true));
+  expect(api.acceptInvitation).toHaveBeenCalledWith('inv-1');
+});
+
+it('shows the server error when answering fails', async () => {
+  api.declineInvitation.mockRejectedValue({ response: { data: { error: 'Invitation not found' } } });
+  render(<ReceivedInvitations invitations={[invitation]} onAnswered={jest.fn()} />);
+
+  await userEvent.click(screen.getByRole('button', { name: 'Decline' }));
+
+  expect(await screen.findByText('Invitation not found')).toBeInTheDocument();
+});
@@ -0,0 +1 @@
+export { default as ReceivedInvitations } from './ReceivedInvitations';
@@ -21,6 +21,7 @@ import {
 } from '@mui/icons-material';
 import { NavigationMenu } from './NavigationMenu';
 import CategorizationStatus from '../transactions/CategorizationStatus';
+import { NotificationBell } from '../notifications';
 import { useAuth } from '../../contexts/AuthContext';
 import { useThemeMode } from '../../contexts/ThemeContext';
 
@@ -78,6 +79,7 @@ const AuthLayout: React.FC = () => {
             >
               {mode === 'dark' ? <LightModeIcon /> : <DarkModeIcon />}
             </IconButton>
+            <NotificationBell />
             <IconButton
               size="large"
               onClick={handleMenu}
@@ -108,9 +110,9 @@ const AuthLayout: React.FC = () => {
             >
               <MenuItem onClick={() => {
                 handleClose();
-                navigate('/profile');
+                navigate('/settings');
               }}>
-                Profile
+                Settings
               </MenuItem>
               <MenuItem onClick={handleLogout}>Logout</MenuItem>
             </Menu>
@@ -30,7 +30,13 @@ import {
   Assignment as ProjectIcon,
   CreditCard as BankingIcon,
   Shield as PensionIcon,
-  HomeWork as RealEstateIcon
+  HomeWork as RealEstateIcon,
+  Gavel as TaxReportIcon,
+  Rule as RulesIcon,
+  Storefront as MerchantsIcon,
+  Autorenew as SubscriptionsIcon,
+  Groups as HouseholdIcon,
+  Settings as SettingsIcon
 } from '@mui/icons-material';
 import { useLocation, useNavigate } from 'react-router-dom';
 
@@ -50,7 +56,13 @@ const navigationItems: NavigationItem[] = [
   { title: 'RSUs', path: '/rsus', icon: <RSUIcon /> },
   { title: 'Investments', path: '/investments', icon: <InvestmentIcon /> },
   { title: 'Pension & Savings', path: '/pension', icon: <PensionIcon /> },
-  { title: 'Foreign Currency', path: '/foreign-currency', icon: <ForeignCurrencyIcon /> }
+  { title: 'Foreign Currency', path: '/foreign-currency', icon: <ForeignCurrencyIcon /> },
+  { title: 'Tax Report', path: '/tax-report', icon: <TaxReportIcon /> },
+  { title: 'Merchants', path: '/merchants', icon: <MerchantsIcon /> },
+  { title: 'Subscriptions', path: '/subscriptions', icon: <SubscriptionsIcon /> },
+  { title: 'Rules', path: '/rules', icon: <RulesIcon /> },
+  { title: 'Household', path: '/household', icon: <HouseholdIcon /> },
+  { title: 'Settings', path: '/settings', icon: <SettingsIcon /> }
 ];
 
 export const NavigationMenu: React.FC = () => {
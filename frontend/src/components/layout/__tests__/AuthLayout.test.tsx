@@ -15,6 +15,10 @@ jest.mock('../NavigationMenu', () => ({
   NavigationMenu: () => null
 }));
 
+jest.mock('../../notifications', () => ({
+  NotificationBell: () => null
+}));
+
 jest.mock('../../../contexts/ThemeContext', () => ({
   useThemeMode: () => ({ mode: 'light', toggleTheme: jest.fn() })
 }));
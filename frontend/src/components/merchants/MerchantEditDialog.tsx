@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField
+} from '@mui/material';
+import { Merchant, merchantsApi } from '../../services/api/merchants';
+import { errorMessage } from '../../utils/errors';
+
+export interface MerchantCategoryOption {
+  _id: string;
+  name: string;
+  type: 'Income' | 'Expense' | 'Transfer';
+  subCategories: Array<{ _id: string; name: string }>;
+}
+
+// Icons the merchant list knows how to draw
+export const MERCHANT_ICON_KEYS = [
+  'grocery', 'pharmacy', 'coffee', 'delivery', 'fuel', 'parking', 'transit', 'utility', 'telecom',
+  'home', 'clothing', 'electronics', 'shopping', 'streaming', 'apple', 'google', 'software', 'payment'
+];
+
+interface MerchantEditDialogProps {
+  open: boolean;
+  merchant: Merchant;
+  categories: MerchantCategoryOption[];
+  onClose: () => void;
+  onSaved: (merchant: Merchant) => void;
+}
+
+interface MerchantForm {
+  name: string;
+  website: string;
+  iconKey: string;
+  aliases: string;
+  categoryId: string;
+  subCategoryId: string;
+}
+
+const toForm = (merchant: Merchant): MerchantForm => ({
+  name: merchant.name,
+  website: merchant.website ?? '',
+  iconKey: merchant.iconKey ?? '',
+  aliases: merchant.aliases.join(', '),
+  categoryId: merchant.defaultCategory?._id ?? '',
+  subCategoryId: merchant.defaultSubCategory?._id ?? ''
+});
+
+const MerchantEditDialog: React.FC<MerchantEditDialogProps> = ({ open, merchant, categories, onClose, onSaved }) => {
+  const [form, setForm] = useState<MerchantForm>(() => toForm(merchant));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) {
+      setForm(toForm(merchant));
+      setError(null);
+    }
+  }, [open, merchant]);
+
+  const update = (field: keyof MerchantForm, value: string) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const selectedCategory = categories.find(category => category._id === form.categoryId);
+  const aliases = form.aliases.split(',').map(alias => alias.trim()).filter(Boolean);
+  const needsSubCategory = selectedCategory?.type === 'Expense' && !form.subCategoryId;
+  const canSave = form.name.trim() !== '' && aliases.length > 0 && !needsSubCategory;
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      onSaved(await merchantsApi.update(merchant._id, {
+        name: form.name.trim(),
+        website: form.website.trim() || null,
+        iconKey: form.iconKey || null,
+        aliases,
+        defaultCategory: form.categoryId || null,
+        defaultSubCategory: form.subCategoryId || null
+      }));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save the merchant.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Edit Merchant</DialogTitle>
+      <DialogContent>
+        <Box display="flex" flexDirection="column" gap={2} mt={1}>
+          {error && <Alert severity="error" onClose={() => setError(null)}>{error}</Alert>}
+
+          <TextField label="Name" size="small" value={form.name} onChange={(e) => update('name', e.target.value)} />
+          <TextField
+            label="Website"
+            size="small"
+            value={form.website}
+            onChange={(e) => update('website', e.target.value)}
+            placeholder="https://"
+          />
+          <FormControl fullWidth size="small">
+            <InputLabel id="merchant-icon">Icon</InputLabel>
+            <Select
+              labelId="merchant-icon"
+              label="Icon"
+              value={form.iconKey}
+              onChange={(e) => update('iconKey', e.target.value)}
+            >
+              <MenuItem value="">None</MenuItem>
+              {MERCHANT_ICON_KEYS.map(key => (
+                <MenuItem key={key} value={key}>{key}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            label="Descriptions that belong to this merchant"
+            size="small"
+            value={form.aliases}
+            onChange={(e) => update('aliases', e.target.value)}
+            helperText="Comma separated. A transaction belongs here when its description starts with one of them."
+          />
+          <Box display="grid" gridTemplateColumns={{ xs: '1fr', sm: '1fr 1fr' }} gap={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel id="merchant-category">Default category</InputLabel>
+              <Select
+                labelId="merchant-category"
+                label="Default category"
+                value={form.categoryId}
+                onChange={(e) => setForm(prev => ({ ...prev, categoryId: e.target.value, subCategoryId: '' }))}
+              >
+                <MenuItem value="">None</MenuItem>
+                {categories.map(category => (
+                  <MenuItem key={category._id} value={category._id}>{category.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {selectedCategory && selectedCategory.subCategories.length > 0 && (
+              <FormControl fullWidth size="small" required={selectedCategory.type === 'Expense'}>
+                <InputLabel id="merchant-subcategory">Subcategory</InputLabel>
+                <Select
+                  labelId="merchant-subcategory"
+                  label="Subcategory"
+                  value={form.subCategoryId}
+                  onChange={(e) => update('subCategoryId', e.target.value)}
+                >
+                  {selectedCategory.subCategories.map(subCategory => (
+                    <MenuItem key={subCategory._id} value={subCategory._id}>{subCategory.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+          </Box>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" disabled={!canSave || saving} onClick={handleSave}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MerchantEditDialog;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { format } from 'date-fns';
+import type { MerchantMonth } from '../../services/api/merchants';
+import { formatCurrency } from '../../utils/formatters';
+
+interface MerchantSpendChartProps {
+  monthly: MerchantMonth[];
+  /** How many months back the chart covers, this one included. */
+  months: number;
+  currency: string;
+}
+
+export interface MerchantSpendPoint {
+  label: string;
+  spent: number;
+  transactionCount: number;
+}
+
+/**
+ * One point per month in the currency, oldest first, with months that had no
+ * transactions at zero so gaps show as gaps.
+ */
+export const spendByMonth = (
+  monthly: MerchantMonth[],
+  months: number,
+  currency: string,
+  now: Date = new Date()
+): MerchantSpendPoint[] => Array.from({ length: months }, (_, index) => {
+  const date = new Date(now.getFullYear(), now.getMonth() - (months - 1 - index), 1);
+  const entry = monthly.find(month =>
+    month.currency === currency && month.year === date.getFullYear() && month.month === date.getMonth() + 1
+  );
+  return {
+    label: format(date, 'MMM yy'),
+    spent: entry?.spent ?? 0,
+    transactionCount: entry?.transactionCount ?? 0
+  };
+});
+
+export const MerchantSpendChart: React.FC<MerchantSpendChartProps> = ({ monthly, months, currency }) => {
+  const data = spendByMonth(monthly, months, currency);
+
+  if (!data.some(point => point.transactionCount > 0)) {
+    return (
+      <Box sx={{ p: 2, textAlign: 'center' }}>
+        <Typography color="textSecondary">Nothing spent here in the last {months} months</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ height: 240, width: '100%' }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data} margin={{ top: 5, right: 20, left: 20, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+          <YAxis tick={{ fontSize: 12 }} tickFormatter={(value) => formatCurrency(value, currency)} />
+          <Tooltip
+            formatter={(value: number) => [formatCurrency(value, currency), 'Spent']}
+            labelFormatter={(label) => String(label)}
+          />
+          <Bar dataKey="spent" fill="#1976d2" />
+        </BarChart>
+      </ResponsiveContainer>
+    </Box>
+  );
+};
+
+export default MerchantSpendChart;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import MerchantEditDialog, { MerchantCategoryOption } from '../MerchantEditDialog';
+import { Merchant, merchantsApi } from '../../../services/api/merchants';
+
+jest.mock('../../../services/api/merchants', () => ({
+  merchantsApi: {
+    update: jest.fn()
+  }
+}));
+
+const api = merchantsApi as jest.Mocked<typeof merchantsApi>;
+
+const categories: MerchantCategoryOption[] = [
+  { _id: 'cat-food', name: 'Food', type: 'Expense', subCategories: [{ _id: 'sub-coffee', name: 'Coffee' }] }
+];
+
+const merchant: Merchant = {
+  _id: 'merchant-1',
+  name: 'Aroma',
+  aliases: ['aroma', 'ארומה'],
+  iconKey: 'coffee',
+  website: null,
+  defaultCategory: null,
+  defaultSubCategory: null,
+  known: true,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+};
+
+const renderDialog = (onSaved = jest.fn()) => {
+  render(
+    <MerchantEditDialog open merchant={merchant} categories={categories} onClose={jest.fn()} onSaved={onSaved} />
+  );
+};
+
+const choose = async (label: string, option: string) => {
+  await userEvent.click(screen.getByLabelText(label));
+  await userEvent.click(within(screen.getByRole('listbox')).getByText(option));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+it('saves a default category with its subcategory', async () => {
+  api.update.mockResolvedValue(merchant);
+  const onSaved = jest.fn();
+  renderDialog(onSaved);
+
+  await choose('Default category', 'Food');
+  expect(screen.getByRole('button', { name: 'Save' })).toBeDisabled();
+  await choose('Subcategory *', 'Coffee');
+  await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  await waitFor(() => expect(onSaved).toHaveBeenCalledWith(merchant));
+  expect(api.update).toHaveBeenCalledWith('merchant-1', {
+    name: 'Aroma',
+    website: null,
+    iconKey: 'coffee',
+    aliases: ['aroma', 'ארומה'],
+    defaultCategory: 'cat-food',
+    defaultSubCategory: 'sub-coffee'
+  });
+});
+
+it('shows why the merchant could not be saved', async () => {
+  api.update.mockRejectedValue({ response: { data: { error: 'Website must be a full address' } } });
+  const onSaved = jest.fn();
+  renderDialog(onSaved);
+
+  await userEvent.type(screen.getByLabelText('Website'), 'aroma');
+  await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  expect(await screen.findByText('Website must be a full address')).toBeInTheDocument();
+  expect(onSaved).not.toHaveBeenCalled();
+});
@@ -0,0 +1,75 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MerchantSpendChart, spendByMonth } from '../MerchantSpendChart';
+import type { MerchantMonth } from '../../../services/api/merchants';
+
+jest.mock('recharts', () => ({
+  BarChart: ({ children, data }: any) => (
+    <div data-testid="bar-chart" data-points={data.length}>{children}</div>
+  ),
+  Bar: ({ dataKey }: any) => <div data-testid="chart-bar" data-key={dataKey} />,
+  XAxis: () => <div data-testid="x-axis" />,
+  YAxis: () => <div data-testid="y-axis" />,
+  CartesianGrid: () => <div data-testid="cartesian-grid" />,
+  Tooltip: () => <div data-testid="tooltip" />,
+  ResponsiveContainer: ({ children }: any) => <div data-testid="responsive-container">{children}</div>
+}));
+
+const month = (fields: Partial<MerchantMonth>): MerchantMonth => ({
+  year: 2026,
+  month: 10,
+  currency: 'ILS',
+  spent: 0,
+  received: 0,
+  transactionCount: 1,
+  ...fields
+});
+
+describe('spendByMonth', () => {
+  it('fills months without transactions with zero, oldest first', () => {
+    const points = spendByMonth(
+      [month({ month: 8, spent: 120 }), month({ month: 10, spent: 42, transactionCount: 2 })],
+      3,
+      'ILS',
+      new Date(2026, 9, 19)
+    );
+
+    expect(points.map(point => point.spent)).toEqual([120, 0, 42]);
+    expect(points[2]).toMatchObject({ label: 'Oct 26', transactionCount: 2 });
+  });
+
+  it('counts only the chosen currency and reaches back across the year', () => {
+    const points = spendByMonth(
+      [month({ year: 2025, month: 12, spent: 30 }), month({ month: 1, currency: 'USD', spent: 9 })],
+      2,
+      'ILS',
+      new Date(2026, 0, 5)
+    );
+
+    expect(points.map(point => point.spent)).toEqual([30, 0]);
+  });
+});
+
+describe('MerchantSpendChart', () => {
+  it('draws a bar per month', () => {
+    const now = new Date();
+    render(
+      <MerchantSpendChart
+        monthly={[month({ year: now.getFullYear(), month: now.getMonth() + 1, spent: 50 })]}
+        months={12}
+        currency="ILS"
+      />
+    );
+
+    expect(screen.getByTestId('bar-chart')).toHaveAttribute('data-points', '12');
+    expect(screen.getByTestId('chart-bar')).toHaveAttribute('data-key', 'spent');
+  });
+
+  it('says so when nothing was spent in the period', () => {
+    render(<MerchantSpendChart monthly={[]} months={6} currency="ILS" />);
+
+    expect(screen.getByText('Nothing spent here in the last 6 months')).toBeInTheDocument();
+    expect(screen.queryByTestId('bar-chart')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,3 @@
+export { default as MerchantEditDialog, MERCHANT_ICON_KEYS } from './MerchantEditDialog';
+export type { MerchantCategoryOption } from './MerchantEditDialog';
+export { default as MerchantSpendChart, spendByMonth } from './MerchantSpendChart';
@@ -0,0 +1,131 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Badge,
+  Box,
+  Button,
+  Divider,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  Popover,
+  Typography
+} from '@mui/material';
+import { Notifications as NotificationsIcon } from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import { AppNotification, notificationsApi } from '../../services/api/notifications';
+import { useCategorization } from '../../contexts/CategorizationContext';
+
+/**
+ * The app bar's alert list. Alerts raised while the app is open arrive over the
+ * event stream the categorisation provider already holds, so the count stays
+ * current without polling.
+ */
+const NotificationBell: React.FC = () => {
+  const navigate = useNavigate();
+  const { notificationsNonce } = useCategorization();
+  const [anchorEl, setAnchorEl] = useState<HTMLElement | null>(null);
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const load = useCallback(async () => {
+    try {
+      const data = await notificationsApi.list({ limit: 20 });
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      console.error('Error loading notifications:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load, notificationsNonce]);
+
+  const handleOpen = (event: React.MouseEvent<HTMLElement>) => {
+    setAnchorEl(event.currentTarget);
+    load();
+  };
+
+  const handleSelect = async (notification: AppNotification) => {
+    setAnchorEl(null);
+    if (!notification.readAt) {
+      setNotifications((current) => current.map((item) =>
+        item._id === notification._id ? { ...item, readAt: new Date().toISOString() } : item));
+      setUnreadCount((count) => Math.max(0, count - 1));
+      notificationsApi.markRead(notification._id).catch((err) => console.error('Error marking notification read:', err));
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleReadAll = async () => {
+    try {
+      await notificationsApi.markAllRead();
+      setNotifications((current) => current.map((item) => ({ ...item, readAt: item.readAt ?? new Date().toISOString() })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+    }
+  };
+
+  return (
+    <>
+      <IconButton
+        color="inherit"
+        onClick={handleOpen}
+        aria-label={unreadCount > 0 ? `Alerts, ${unreadCount} unread` : 'Alerts'}
+      >
+        <Badge badgeContent={unreadCount} color="error" max={99}>
+          <NotificationsIcon />
+        </Badge>
+      </IconButton>
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ width: 360, maxWidth: '100vw' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', px: 2, py: 1 }}>
+            <Typography variant="subtitle1">Alerts</Typography>
+            <Button size="small" onClick={handleReadAll} disabled={unreadCount === 0}>
+              Mark all read
+            </Button>
+          </Box>
+          <Divider />
+          {notifications.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+              No alerts yet. Choose what to be alerted about in Settings.
+            </Typography>
+          ) : (
+            <List dense disablePadding sx={{ maxHeight: 420, overflowY: 'auto' }}>
+              {notifications.map((notification) => (
+                <ListItemButton
+                  key={notification._id}
+                  onClick={() => handleSelect(notification)}
+                  sx={{ alignItems: 'flex-start', bgcolor: notification.readAt ? undefined : 'action.hover' }}
+                >
+                  <ListItemText
+                    primary={notification.title}
+                    primaryTypographyProps={{ fontWeight: notification.readAt ? 400 : 600 }}
+                    secondary={`${notification.body ? `${notification.body} · ` : ''}${formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          )}
+          <Divider />
+          <Box sx={{ px: 2, py: 1, textAlign: 'right' }}>
+            <Button size="small" onClick={() => { setAnchorEl(null); navigate('/settings#alerts'); }}>
+              Alert settings
+            </Button>
+          </Box>
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import NotificationBell from '../NotificationBell';
+import { CategorizationProvider } from '../../../contexts/CategorizationContext';
+import { useSSE, SSEEvent } from '../../../hooks/useSSE';
+import { notificationsApi, AppNotification } from '../../../services/api/notifications';
+
+jest.mock('../../../services/api/notifications', () => ({
+  notificationsApi: {
+    list: jest.fn(),
+    markRead: jest.fn(),
+    markAllRead: jest.fn()
+  }
+}));
+
+const mockNavigate = jest.fn();
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate
+}));
+
+const api = notificationsApi as jest.Mocked<typeof notificationsApi>;
+
+const alert = (fields: Partial<AppNotification>): AppNotification => ({
+  _id: 'n1',
+  type: 'budget_threshold',
+  title: 'Groceries is at 92% of its budget',
+  body: '₪920 of ₪1,000',
+  link: '/budgets',
+  readAt: null,
+  deliveredAt: null,
+  channels: [],
+  createdAt: new Date().toISOString(),
+  ...fields
+});
+
+let emit: (event: SSEEvent) => void;
+
+const renderBell = () =>
+  render(
+    <MemoryRouter>
+      <CategorizationProvider>
+        <NotificationBell />
+      </CategorizationProvider>
+    </MemoryRouter>
+  );
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  emit = () => {};
+  (useSSE as jest.Mock).mockImplementation((onEvent: (event: SSEEvent) => void) => {
+    if (onEvent) emit = onEvent;
+    return { connected: true, error: null, lastEvent: null, connect: jest.fn(), disconnect: jest.fn() };
+  });
+  api.markRead.mockResolvedValue(undefined as any);
+  api.markAllRead.mockResolvedValue(undefined as any);
+});
+
+it('shows the unread count and reloads when the server raises an alert', async () => {
+  api.list.mockResolvedValue({ notifications: [alert({})], unreadCount: 1 });
+  renderBell();
+
+  expect(await screen.findByRole('button', { name: 'Alerts, 1 unread' })).toBeInTheDocument();
+
+  api.list.mockResolvedValue({ notifications: [alert({ _id: 'n2' }), alert({})], unreadCount: 2 });
+  act(() => {
+    emit({ type: 'notifications:created', data: { count: 1 }, timestamp: new Date().toISOString() });
+  });
+
+  expect(await screen.findByRole('button', { name: 'Alerts, 2 unread' })).toBeInTheDocument();
+});
+
+it('marks an alert read and follows its link', async () => {
+  api.list.mockResolvedValue({ notifications: [alert({})], unreadCount: 1 });
+  renderBell();
+
+  await userEvent.click(await screen.findByRole('button', { name: 'Alerts, 1 unread' }));
+  await userEvent.click(await screen.findByText('Groceries is at 92% of its budget'));
+
+  expect(api.markRead).toHaveBeenCalledWith('n1');
+  expect(mockNavigate).toHaveBeenCalledWith('/budgets');
+  expect(await screen.findByRole('button', { name: 'Alerts' })).toBeInTheDocument();
+});
@@ -0,0 +1 @@
+export { default as NotificationBell } from './NotificationBell';
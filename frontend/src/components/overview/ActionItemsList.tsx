@@ -29,6 +29,8 @@ import {
   Error as ErrorIcon,
   Info as InfoIcon,
   Receipt as TransactionsIcon,
+  Key as KeyIcon,
+  Autorenew as SubscriptionIcon,
   // AccountBalance as BankIcon,
   // TrendingUp as PatternIcon,
   // AccountBalanceWallet as BudgetIcon,
@@ -36,6 +38,10 @@ import {
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { transactionsApi } from '../../services/api/transactions';
+import { bankAccountsApi } from '../../services/api/bank';
+import { subscriptionsApi, Subscription } from '../../services/api/subscriptions';
+import { formatCurrencyDisplay } from '../../utils/formatters';
+import { useCategorization } from '../../contexts/CategorizationContext';
 
 interface ActionItem {
   id: string;
@@ -79,6 +85,47 @@ const getActionItemColor = (type: string): ChipColor => {
   }
 };
 
+// What a flagged subscription says on Overview; a subscription shows its most pressing flag only
+const subscriptionActionItem = (subscription: Subscription): ActionItem | null => {
+  const { name } = subscription.merchant;
+  const amount = formatCurrencyDisplay(subscription.amount, subscription.currency);
+  const base = {
+    action: { label: 'Review subscriptions', route: '/subscriptions' },
+    icon: <SubscriptionIcon />
+  };
+  if (subscription.flags.includes('doubled')) {
+    return {
+      ...base,
+      id: `subscription-doubled-${subscription._id}`,
+      type: 'warning',
+      title: `${name} charged double`,
+      description: `Charged twice or twice the usual price this ${subscription.interval === 'monthly' ? 'month' : 'year'}; check it with the merchant`,
+      priority: 'high'
+    };
+  }
+  if (subscription.flags.includes('price_changed') && subscription.previousAmount != null) {
+    return {
+      ...base,
+      id: `subscription-price-${subscription._id}`,
+      type: 'info',
+      title: `${name} now costs ${amount}`,
+      description: `It was ${formatCurrencyDisplay(subscription.previousAmount, subscription.currency)} before`,
+      priority: 'medium'
+    };
+  }
+  if (subscription.flags.includes('stopped') && subscription.review !== 'keep') {
+    return {
+      ...base,
+      id: `subscription-stopped-${subscription._id}`,
+      type: 'info',
+      title: `${name} stopped charging`,
+      description: 'No charge arrived when one was due; mark it as not a subscription if you cancelled it',
+      priority: 'low'
+    };
+  }
+  return null;
+};
+
 const getPriorityOrder = (priority: string) => {
   switch (priority) {
     case 'high': return 1;
@@ -96,6 +143,7 @@ export const ActionItemsList: React.FC<ActionItemsListProps> = ({
   const [loading, setLoading] = useState(true);
   const [, setError] = useState<string | null>(null);
   const navigate = useNavigate();
+  const { reauthNonce } = useCategorization();
 
   useEffect(() => {
     const fetchActionItems = async () => {
@@ -103,11 +151,34 @@ export const ActionItemsList: React.FC<ActionItemsListProps> = ({
         setLoading(true);
         setError(null);
 
-        // Fetch uncategorized transactions count
-        const uncategorizedResponse = await transactionsApi.getUncategorizedStats();
+        // Fetch uncategorized transactions count, the accounts whose login
+        // the bank refused and flagged subscriptions (a failed lookup of
+        // either of the last two just hides those)
+        const [uncategorizedResponse, bankAccounts, subscriptions] = await Promise.all([
+          transactionsApi.getUncategorizedStats(),
+          bankAccountsApi.getAll().catch(() => []),
+          subscriptionsApi.list().then(overview => overview.subscriptions).catch(() => [])
+        ]);
         
         const realActionItems: ActionItem[] = [];
 
+        bankAccounts
+          .filter(account => account.status === 'needs-reauth')
+          .forEach(account => {
+            realActionItems.push({
+              id: `needs-reauth-${account._id}`,
+              type: 'error',
+              title: `${account.name} needs new credentials`,
+              description: 'The bank refused the saved login, so this account stopped syncing',
+              action: {
+                label: 'Update credentials',
+                route: '/banks'
+              },
+              icon: <KeyIcon />,
+              priority: 'high'
+            });
+          });
+
         // Create action item for uncategorized transactions if any exist
         if (uncategorizedResponse.total > 0) {
           realActionItems.push({
@@ -126,8 +197,12 @@ export const ActionItemsList: React.FC<ActionItemsListProps> = ({
           });
         }
 
+        subscriptions.forEach(subscription => {
+          const item = subscriptionActionItem(subscription);
+          if (item) realActionItems.push(item);
+        });
+
         // TODO: Add other real action items here in the future:
-        // - Bank connection errors
         // - Budget overspending alerts
         // - Detected spending patterns
         // - Upcoming bill reminders
@@ -148,7 +223,7 @@ export const ActionItemsList: React.FC<ActionItemsListProps> = ({
     } else {
       fetchActionItems();
     }
-  }, [providedItems]);
+  }, [providedItems, reauthNonce]);
 
   const handleActionClick = (actionItem: ActionItem) => {
     const { route, params } = actionItem.action;
@@ -0,0 +1,142 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  IconButton,
+  LinearProgress,
+  Skeleton,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Edit as EditIcon, Savings as SavingsIcon } from '@mui/icons-material';
+import { SavingsGoal, SavingsGoalStatus, savingsGoalsApi } from '../../services/api/savingsGoals';
+import { formatCurrencyDisplay } from '../../utils/formatters';
+import SavingsGoalDialog from '../savings/SavingsGoalDialog';
+
+const STATUS_CHIPS: Record<Exclude<SavingsGoalStatus, 'in_progress'>, { label: string; color: 'success' | 'error' }> = {
+  reached: { label: 'Reached', color: 'success' },
+  overdue: { label: 'Overdue', color: 'error' }
+};
+
+const formatMonth = (date: string) =>
+  new Date(date).toLocaleDateString('en-GB', { month: 'short', year: 'numeric' });
+
+const GoalRow: React.FC<{ goal: SavingsGoal; onEdit: () => void }> = ({ goal, onEdit }) => {
+  const chip = goal.status === 'in_progress' ? null : STATUS_CHIPS[goal.status];
+  const unavailable = goal.funding.filter(link => !link.available).length;
+
+  return (
+    <Box sx={{ py: 1.5, borderBottom: 1, borderColor: 'divider', '&:last-of-type': { borderBottom: 0 } }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>{goal.name}</Typography>
+        {chip && <Chip label={chip.label} color={chip.color} size="small" />}
+        <IconButton aria-label={`Edit ${goal.name}`} size="small" onClick={onEdit}>
+          <EditIcon fontSize="small" />
+        </IconButton>
+      </Box>
+      <LinearProgress
+        variant="determinate"
+        value={goal.percent}
+        color={goal.status === 'overdue' ? 'error' : 'primary'}
+        sx={{ height: 8, borderRadius: 4, my: 0.5 }}
+      />
+      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+        <Typography variant="body2" color="text.secondary">
+          {formatCurrencyDisplay(goal.saved, goal.currency)} of {formatCurrencyDisplay(goal.targetAmount, goal.currency)}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {goal.status === 'reached'
+            ? `by ${formatMonth(goal.targetDate)}`
+            : `${formatCurrencyDisplay(goal.monthlyContribution, goal.currency)}/month until ${formatMonth(goal.targetDate)}`}
+        </Typography>
+      </Box>
+      {goal.funding.length === 0 && (
+        <Typography variant="caption" color="warning.main">Not linked to any account yet</Typography>
+      )}
+      {unavailable > 0 && (
+        <Typography variant="caption" color="warning.main">
+          {unavailable} funding source{unavailable === 1 ? ' is' : 's are'} not counted: the account is gone or has no exchange rate
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * The user's savings goals on the Overview: how far each has come from the
+ * balances funding it, and what to set aside each month to reach it in time.
+ */
+const SavingsGoalsWidget: React.FC = () => {
+  const [goals, setGoals] = useState<SavingsGoal[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState<SavingsGoal | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  const fetchGoals = useCallback(async () => {
+    try {
+      setGoals(await savingsGoalsApi.list());
+      setError('');
+    } catch (err) {
+      setError('Failed to load savings goals');
+      console.error('Error fetching savings goals:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGoals();
+  }, [fetchGoals]);
+
+  const openDialog = (goal: SavingsGoal | null) => {
+    setEditing(goal);
+    setDialogOpen(true);
+  };
+
+  const handleSaved = () => {
+    setDialogOpen(false);
+    fetchGoals();
+  };
+
+  return (
+    <Card sx={{ height: '100%' }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+          <Typography variant="h6" component="h3">
+            Savings Goals
+          </Typography>
+          <Button size="small" startIcon={<AddIcon />} onClick={() => openDialog(null)}>
+            New goal
+          </Button>
+        </Box>
+
+        {loading && <Skeleton variant="rectangular" height={80} />}
+        {!loading && error && <Alert severity="error">{error}</Alert>}
+        {!loading && !error && goals.length === 0 && (
+          <Box sx={{ textAlign: 'center', py: 3 }}>
+            <SavingsIcon sx={{ fontSize: 40, color: 'text.secondary', mb: 1 }} />
+            <Typography variant="body2" color="text.secondary">
+              Save up for something by a date, from an account, a portfolio or tagged transfers.
+            </Typography>
+          </Box>
+        )}
+        {!loading && goals.map(goal => (
+          <GoalRow key={goal._id} goal={goal} onEdit={() => openDialog(goal)} />
+        ))}
+      </CardContent>
+
+      <SavingsGoalDialog
+        open={dialogOpen}
+        goal={editing}
+        onClose={() => setDialogOpen(false)}
+        onSaved={handleSaved}
+      />
+    </Card>
+  );
+};
+
+export default SavingsGoalsWidget;
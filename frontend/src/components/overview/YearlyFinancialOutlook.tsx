@@ -14,6 +14,7 @@ import {
   TrendingUp as SavingsIcon,
   Business as ProjectIcon,
   EventNote as VestingIcon,
+  EventRepeat as OneTimeIcon,
 } from '@mui/icons-material';
 import { budgetsApi } from '../../services/api/budgets';
 import { rsuApi } from '../../services/api/rsus';
@@ -26,6 +27,7 @@ interface YearlyData {
   totalProjectSpent: number;
   upcomingVesting: Array<{ date: string; shares: number; estimatedValue: number }>;
   totalVestingValue: number;
+  plannedOneTime: { count: number; net: number; next: { description: string; expectedDate: string } | null };
   projectedMonthlySavings: number;
   projectedYearlySavings: number;
 }
@@ -119,10 +121,11 @@ const YearlyFinancialOutlook: React.FC = () => {
         const month = now.getMonth() + 1;
         const remainingMonths = 12 - month + 1;
 
-        const [dashboardResult, vestingResult, budgetResult] = await Promise.allSettled([
+        const [dashboardResult, vestingResult, budgetResult, oneTimeResult] = await Promise.allSettled([
           budgetsApi.getDashboardOverview(),
           rsuApi.vesting.getUpcoming(365),
           budgetsApi.getBudgetSummary(year, month),
+          budgetsApi.getOneTimePlan(year),
         ]);
 
         if (cancelled) return;
@@ -183,14 +186,27 @@ const YearlyFinancialOutlook: React.FC = () => {
           }
         }
 
+        // One-time items still planned for the year (bonus, insurance, ...)
+        let plannedOneTime: YearlyData['plannedOneTime'] = { count: 0, net: 0, next: null };
+        if (oneTimeResult.status === 'fulfilled') {
+          const { items, totals } = oneTimeResult.value;
+          const planned = items.filter((item) => item.status === 'planned');
+          plannedOneTime = {
+            count: planned.length,
+            net: totals.plannedIncome - totals.plannedExpenses,
+            next: planned.find((item) => new Date(item.expectedDate) >= now) || null,
+          };
+        }
+
         setData({
           activeProjects,
           totalProjectBudget,
           totalProjectSpent,
           upcomingVesting,
           totalVestingValue,
+          plannedOneTime,
           projectedMonthlySavings,
-          projectedYearlySavings: projectedMonthlySavings * remainingMonths,
+          projectedYearlySavings: projectedMonthlySavings * remainingMonths + plannedOneTime.net,
         });
       } catch (err: any) {
         if (!cancelled) {
@@ -246,16 +262,32 @@ const YearlyFinancialOutlook: React.FC = () => {
         </Typography>
 
         {/* Projected savings */}
-        {data.projectedMonthlySavings !== 0 && (
+        {data.projectedYearlySavings !== 0 && (
           <StatRow
             icon={<SavingsIcon sx={{ fontSize: 18 }} />}
             label="Projected Savings"
             value={formatCompact(data.projectedYearlySavings)}
-            sub={`~${formatCurrency(data.projectedMonthlySavings)}/mo`}
+            sub={`~${formatCurrency(data.projectedMonthlySavings)}/mo${data.plannedOneTime.net !== 0 ? ' plus planned one-time items' : ''}`}
             color={theme.palette.success.main}
           />
         )}
 
+        {/* Planned one-time items */}
+        {data.plannedOneTime.count > 0 && (
+          <>
+            <Divider sx={{ my: 0.5 }} />
+            <StatRow
+              icon={<OneTimeIcon sx={{ fontSize: 18 }} />}
+              label="Planned One-Time Items"
+              value={`${data.plannedOneTime.net >= 0 ? '+' : ''}${formatCompact(data.plannedOneTime.net)}`}
+              sub={data.plannedOneTime.next
+                ? `Next: ${data.plannedOneTime.next.description} on ${new Date(data.plannedOneTime.next.expectedDate).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })}`
+                : `${data.plannedOneTime.count} item${data.plannedOneTime.count > 1 ? 's' : ''} overdue`}
+              color={theme.palette.info.main}
+            />
+          </>
+        )}
+
         {/* Active projects */}
         {data.activeProjects.length > 0 && (
           <>
@@ -297,7 +329,8 @@ const YearlyFinancialOutlook: React.FC = () => {
         {/* Empty state */}
         {data.activeProjects.length === 0 &&
           data.upcomingVesting.length === 0 &&
-          data.projectedMonthlySavings === 0 && (
+          data.plannedOneTime.count === 0 &&
+          data.projectedYearlySavings === 0 && (
             <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', minHeight: 100 }}>
               <Typography color="text.secondary" variant="body2">
                 No yearly projections available yet.
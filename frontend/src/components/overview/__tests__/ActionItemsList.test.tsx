@@ -0,0 +1,177 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { ActionItemsList } from '../ActionItemsList';
+import { CategorizationProvider } from '../../../contexts/CategorizationContext';
+import { useSSE, SSEEvent } from '../../../hooks/useSSE';
+import { transactionsApi } from '../../../services/api/transactions';
+import { bankAccountsApi } from '../../../services/api/bank';
+import { subscriptionsApi, Subscription } from '../../../services/api/subscriptions';
+import { BankAccount } from '../../../services/api/types';
+
+jest.mock('../../../services/api/transactions', () => ({
+  transactionsApi: {
+    getUncategorizedStats: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/api/bank', () => ({
+  bankAccountsApi: {
+    getAll: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/api/subscriptions', () => ({
+  subscriptionsApi: {
+    list: jest.fn()
+  }
+}));
+
+const mockNavigate = jest.fn();
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate
+}));
+
+const getUncategorizedStats = transactionsApi.getUncategorizedStats as jest.Mock;
+const getAll = bankAccountsApi.getAll as jest.MockedFunction<typeof bankAccountsApi.getAll>;
+const listSubscriptions = subscriptionsApi.list as jest.MockedFunction<typeof subscriptionsApi.list>;
+
+const account = (fields: Partial<BankAccount>): BankAccount => ({
+  _id: 'leumi-account',
+  bankId: 'leumi',
+  name: 'Leumi Checking',
+  status: 'active',
+  lastScraped: null,
+  scrapingConfig: {
+    schedule: { frequency: 'daily', timeOfDay: '02:00' },
+    options: { startDate: '2026-01-01', monthsBack: 12 }
+  },
+  ...fields
+});
+
+const subscription = (fields: Partial<Subscription>): Subscription => ({
+  _id: 'netflix',
+  merchantId: 'merchant-netflix',
+  merchant: { _id: 'merchant-netflix', name: 'Netflix', iconKey: 'streaming', website: null },
+  currency: 'ILS',
+  interval: 'monthly',
+  amount: 54.9,
+  previousAmount: null,
+  priceChangedAt: null,
+  priceHistory: [],
+  extraCharges: [],
+  firstChargeAt: '2026-01-10T00:00:00.000Z',
+  lastChargeAt: '2026-10-10T00:00:00.000Z',
+  nextChargeAt: '2026-11-10T00:00:00.000Z',
+  chargeCount: 10,
+  review: null,
+  flags: [],
+  yearlyCost: 658.8,
+  cancelCandidate: true,
+  ...fields
+});
+
+const overview = (subscriptions: Subscription[]) => ({
+  subscriptions,
+  totals: { monthly: [], yearly: [] },
+  cancelCandidates: { count: 0, yearlyCost: [] }
+});
+
+let emit: (event: SSEEvent) => void;
+
+const renderList = () =>
+  render(
+    <MemoryRouter>
+      <CategorizationProvider>
+        <ActionItemsList />
+      </CategorizationProvider>
+    </MemoryRouter>
+  );
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  emit = () => {};
+  (useSSE as jest.Mock).mockImplementation((onEvent: (event: SSEEvent) => void) => {
+    if (onEvent) emit = onEvent;
+    return { connected: true, error: null, lastEvent: null, connect: jest.fn(), disconnect: jest.fn() };
+  });
+  getUncategorizedStats.mockResolvedValue({ total: 0 });
+  listSubscriptions.mockResolvedValue(overview([]));
+});
+
+it('asks for new credentials for an account whose login the bank refused', async () => {
+  getAll.mockResolvedValue([
+    account({ _id: 'suspended', name: 'Max Card', status: 'needs-reauth' }),
+    account({ _id: 'fine', name: 'Leumi Checking' })
+  ]);
+
+  renderList();
+
+  await userEvent.click(await screen.findByText('Max Card needs new credentials'));
+
+  expect(screen.queryByText('Leumi Checking needs new credentials')).not.toBeInTheDocument();
+  expect(mockNavigate).toHaveBeenCalledWith('/banks');
+});
+
+it('picks up an account suspended while the page is open', async () => {
+  getAll.mockResolvedValueOnce([account({})]);
+  renderList();
+  expect(await screen.findByText('All caught up!')).toBeInTheDocument();
+
+  getAll.mockResolvedValueOnce([account({ status: 'needs-reauth' })]);
+  act(() => {
+    emit({ type: 'account:needs-reauth', data: { bankAccountId: 'leumi-account' }, timestamp: new Date().toISOString() });
+  });
+
+  expect(await screen.findByText('Leumi Checking needs new credentials')).toBeInTheDocument();
+});
+
+it('still lists the other items when the accounts cannot be loaded', async () => {
+  getAll.mockRejectedValue(new Error('Network Error'));
+  getUncategorizedStats.mockResolvedValue({ total: 4 });
+
+  renderList();
+
+  expect(await screen.findByText('4 uncategorized transactions')).toBeInTheDocument();
+});
+
+it('points out subscriptions that charged double, changed price or stopped', async () => {
+  getAll.mockResolvedValue([]);
+  listSubscriptions.mockResolvedValue(overview([
+    subscription({ flags: ['doubled'] }),
+    subscription({
+      _id: 'spotify',
+      merchant: { _id: 'merchant-spotify', name: 'Spotify', iconKey: null, website: null },
+      amount: 23.9,
+      previousAmount: 21.9,
+      flags: ['price_changed']
+    }),
+    subscription({
+      _id: 'gym',
+      merchant: { _id: 'merchant-gym', name: 'Holmes Place', iconKey: null, website: null },
+      flags: ['stopped'],
+      review: 'keep'
+    }),
+    subscription({ _id: 'fine', merchant: { _id: 'merchant-fine', name: 'Dropbox', iconKey: null, website: null } })
+  ]));
+
+  renderList();
+
+  await userEvent.click(await screen.findByText('Netflix charged double'));
+  expect(screen.getByText(/Spotify now costs/)).toBeInTheDocument();
+  expect(screen.queryByText('Holmes Place stopped charging')).not.toBeInTheDocument();
+  expect(screen.queryByText(/Dropbox/)).not.toBeInTheDocument();
+  expect(mockNavigate).toHaveBeenCalledWith('/subscriptions');
+});
+
+it('still lists the other items when the subscriptions cannot be loaded', async () => {
+  getAll.mockResolvedValue([]);
+  listSubscriptions.mockRejectedValue(new Error('Network Error'));
+  getUncategorizedStats.mockResolvedValue({ total: 2 });
+
+  renderList();
+
+  expect(await screen.findByText('2 uncategorized transactions')).toBeInTheDocument();
+});
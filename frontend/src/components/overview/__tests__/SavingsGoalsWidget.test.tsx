@@ -0,0 +1,101 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SavingsGoalsWidget from '../SavingsGoalsWidget';
+import { savingsGoalsApi, SavingsGoal } from '../../../services/api/savingsGoals';
+
+jest.mock('../../../services/api/savingsGoals', () => ({
+  savingsGoalsApi: {
+    list: jest.fn(),
+    getFundingOptions: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+jest.mock('../../../utils/formatters', () => ({
+  formatCurrencyDisplay: (amount: number, currency = 'ILS') => `${currency} ${amount}`
+}));
+
+const list = savingsGoalsApi.list as jest.MockedFunction<typeof savingsGoalsApi.list>;
+const getFundingOptions = savingsGoalsApi.getFundingOptions as jest.MockedFunction<typeof savingsGoalsApi.getFundingOptions>;
+const update = savingsGoalsApi.update as jest.MockedFunction<typeof savingsGoalsApi.update>;
+
+const car: SavingsGoal = {
+  _id: 'car',
+  name: 'New car',
+  targetAmount: 30000,
+  currency: 'ILS',
+  targetDate: '2027-06-15T00:00:00.000Z',
+  archivedAt: null,
+  funding: [
+    { kind: 'bank_account', refId: 'savings', share: 50, name: 'Savings', value: 10000, available: true },
+    { kind: 'foreign_currency_account', refId: 'dollars', share: 100, name: 'USD Account (123)', value: null, available: false }
+  ],
+  saved: 10000,
+  remaining: 20000,
+  percent: 33.33,
+  monthsLeft: 8,
+  monthlyContribution: 2500,
+  status: 'in_progress'
+};
+
+const wedding: SavingsGoal = {
+  ...car,
+  _id: 'wedding',
+  name: 'Wedding',
+  funding: [],
+  saved: 0,
+  remaining: 0,
+  percent: 100,
+  status: 'reached'
+};
+
+describe('SavingsGoalsWidget', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getFundingOptions.mockResolvedValue([
+      { kind: 'bank_account', refId: 'savings', name: 'Savings', currency: 'ILS', balance: 20000 },
+      { kind: 'foreign_currency_account', refId: 'dollars', name: 'USD Account (123)', currency: 'USD', balance: 1000 }
+    ]);
+  });
+
+  it('shows each goal with its progress and monthly contribution', async () => {
+    list.mockResolvedValue([car, wedding]);
+
+    render(<SavingsGoalsWidget />);
+
+    expect(await screen.findByText('New car')).toBeInTheDocument();
+    expect(screen.getByText('ILS 10000 of ILS 30000')).toBeInTheDocument();
+    expect(screen.getByText(/ILS 2500\/month until Jun 2027/)).toBeInTheDocument();
+    expect(screen.getByText(/1 funding source is not counted/)).toBeInTheDocument();
+    expect(screen.getByText('Reached')).toBeInTheDocument();
+    expect(screen.getByText('Not linked to any account yet')).toBeInTheDocument();
+  });
+
+  it('invites the user to add a goal when there are none', async () => {
+    list.mockResolvedValue([]);
+
+    render(<SavingsGoalsWidget />);
+
+    expect(await screen.findByText(/Save up for something by a date/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'New goal' }));
+    expect(await screen.findByText('New Savings Goal')).toBeInTheDocument();
+    expect(getFundingOptions).toHaveBeenCalled();
+  });
+
+  it('archives a goal from its edit dialog', async () => {
+    list.mockResolvedValueOnce([car]).mockResolvedValueOnce([]);
+    update.mockResolvedValue({ ...car, archivedAt: '2026-10-19T00:00:00.000Z' });
+
+    render(<SavingsGoalsWidget />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Edit New car' }));
+    const dialog = await screen.findByRole('dialog');
+    expect(within(dialog).getByLabelText('Name')).toHaveValue('New car');
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Archive' }));
+
+    expect(await screen.findByText(/Save up for something by a date/)).toBeInTheDocument();
+    expect(update).toHaveBeenCalledWith('car', { archived: true });
+  });
+});
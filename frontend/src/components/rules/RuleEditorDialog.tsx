@@ -0,0 +1,520 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  IconButton,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import {
+  rulesApi,
+  RuleActions,
+  RuleConditions,
+  RulePreview,
+  TransactionRule
+} from '../../services/api/rules';
+import { errorMessage } from '../../utils/errors';
+
+export interface RuleCategoryOption {
+  _id: string;
+  name: string;
+  type: 'Income' | 'Expense' | 'Transfer';
+  subCategories: Array<{ _id: string; name: string }>;
+}
+
+export interface RuleOption {
+  _id: string;
+  name: string;
+}
+
+interface RuleEditorDialogProps {
+  open: boolean;
+  /** The rule to edit, or null to add one. */
+  rule: TransactionRule | null;
+  categories: RuleCategoryOption[];
+  tags: RuleOption[];
+  accounts: RuleOption[];
+  creditCards: RuleOption[];
+  onClose: () => void;
+  onSaved: (rule: TransactionRule) => void;
+}
+
+interface ShareForm {
+  percentage: string;
+  categoryId: string;
+  subCategoryId: string;
+  tagIds: string[];
+}
+
+interface RuleForm {
+  name: string;
+  descriptionPattern: string;
+  memoPattern: string;
+  amountMin: string;
+  amountMax: string;
+  accountIds: string[];
+  creditCardIds: string[];
+  currencies: string;
+  dayOfMonthFrom: string;
+  dayOfMonthTo: string;
+  categoryId: string;
+  subCategoryId: string;
+  tagIds: string[];
+  splitting: boolean;
+  shares: ShareForm[];
+  excludeFromBudget: boolean;
+  exclusionReason: string;
+  stopProcessing: boolean;
+}
+
+const PREVIEW_ROWS = 10;
+
+const text = (value: number | string | null | undefined) => (value === null || value === undefined ? '' : String(value));
+
+const emptyShare = (percentage = ''): ShareForm => ({ percentage, categoryId: '', subCategoryId: '', tagIds: [] });
+
+const toForm = (rule: TransactionRule | null): RuleForm => ({
+  name: rule?.name ?? '',
+  descriptionPattern: text(rule?.conditions.descriptionPattern),
+  memoPattern: text(rule?.conditions.memoPattern),
+  amountMin: text(rule?.conditions.amountMin),
+  amountMax: text(rule?.conditions.amountMax),
+  accountIds: rule?.conditions.accountIds ?? [],
+  creditCardIds: rule?.conditions.creditCardIds ?? [],
+  currencies: (rule?.conditions.currencies ?? []).join(', '),
+  dayOfMonthFrom: text(rule?.conditions.dayOfMonthFrom),
+  dayOfMonthTo: text(rule?.conditions.dayOfMonthTo),
+  categoryId: rule?.actions.categoryId ?? '',
+  subCategoryId: rule?.actions.subCategoryId ?? '',
+  tagIds: rule?.actions.tagIds ?? [],
+  splitting: Boolean(rule?.actions.split?.length),
+  shares: rule?.actions.split?.length
+    ? rule.actions.split.map(share => ({
+      percentage: String(share.percentage),
+      categoryId: share.categoryId,
+      subCategoryId: share.subCategoryId ?? '',
+      tagIds: share.tagIds ?? []
+    }))
+    : [emptyShare('50'), emptyShare('50')],
+  excludeFromBudget: rule?.actions.excludeFromBudget ?? false,
+  exclusionReason: rule?.actions.exclusionReason ?? '',
+  stopProcessing: rule?.stopProcessing ?? false
+});
+
+const numberOrNull = (value: string) => (value.trim() === '' ? null : Number(value));
+
+const toConditions = (form: RuleForm): RuleConditions => ({
+  descriptionPattern: form.descriptionPattern.trim() || null,
+  memoPattern: form.memoPattern.trim() || null,
+  amountMin: numberOrNull(form.amountMin),
+  amountMax: numberOrNull(form.amountMax),
+  accountIds: form.accountIds,
+  creditCardIds: form.creditCardIds,
+  currencies: form.currencies.split(',').map(currency => currency.trim().toUpperCase()).filter(Boolean),
+  dayOfMonthFrom: numberOrNull(form.dayOfMonthFrom),
+  dayOfMonthTo: numberOrNull(form.dayOfMonthTo)
+});
+
+const toActions = (form: RuleForm): RuleActions => ({
+  categoryId: form.splitting ? null : form.categoryId || null,
+  subCategoryId: form.splitting ? null : form.subCategoryId || null,
+  tagIds: form.tagIds,
+  excludeFromBudget: form.excludeFromBudget,
+  exclusionReason: form.excludeFromBudget ? form.exclusionReason.trim() || null : null,
+  ...(form.splitting && {
+    split: form.shares.map(share => ({
+      percentage: Number(share.percentage),
+      categoryId: share.categoryId,
+      subCategoryId: share.subCategoryId || null,
+      tagIds: share.tagIds
+    }))
+  })
+});
+
+const formatAmount = (amount: number, currency: string) =>
+  `${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+
+/**
+ * Adds or edits a transaction rule, and tests its conditions against past
+ * transactions before it is saved.
+ */
+const RuleEditorDialog: React.FC<RuleEditorDialogProps> = ({
+  open,
+  rule,
+  categories,
+  tags,
+  accounts,
+  creditCards,
+  onClose,
+  onSaved
+}) => {
+  const [form, setForm] = useState<RuleForm>(toForm(rule));
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [preview, setPreview] = useState<RulePreview | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) {
+      setForm(toForm(rule));
+      setPreview(null);
+      setError(null);
+    }
+  }, [open, rule]);
+
+  const update = <K extends keyof RuleForm>(field: K, value: RuleForm[K]) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const selectedCategory = categories.find(category => category._id === form.categoryId);
+  const shareTotal = form.shares.reduce((sum, share) => sum + (Number(share.percentage) || 0), 0);
+
+  const updateShare = (index: number, changes: Partial<ShareForm>) => {
+    setForm(prev => ({
+      ...prev,
+      shares: prev.shares.map((share, i) => (i === index ? { ...share, ...changes } : share))
+    }));
+  };
+  const nameOf = (options: RuleOption[]) => (id: string) => options.find(option => option._id === id)?.name ?? id;
+
+  const handleTest = async () => {
+    setTesting(true);
+    setError(null);
+    try {
+      setPreview(await rulesApi.preview({ conditions: toConditions(form) }));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to test the rule.'));
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const input = {
+      name: form.name.trim(),
+      stopProcessing: form.stopProcessing,
+      conditions: toConditions(form),
+      actions: toActions(form)
+    };
+    try {
+      onSaved(rule ? await rulesApi.update(rule._id, input) : await rulesApi.create(input));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save the rule.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const multiSelect = (
+    label: string,
+    field: 'accountIds' | 'creditCardIds' | 'tagIds',
+    options: RuleOption[]
+  ) => (
+    <FormControl fullWidth size="small">
+      <InputLabel id={`rule-${field}`}>{label}</InputLabel>
+      <Select
+        labelId={`rule-${field}`}
+        label={label}
+        multiple
+        value={form[field]}
+        onChange={(e) => update(field, typeof e.target.value === 'string' ? e.target.value.split(',') : e.target.value)}
+        renderValue={(ids) => ids.map(nameOf(options)).join(', ')}
+      >
+        {options.map(option => (
+          <MenuItem key={option._id} value={option._id}>{option.name}</MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{rule ? 'Edit Rule' : 'Add Rule'}</DialogTitle>
+      <DialogContent>
+        <Box display="flex" flexDirection="column" gap={2} mt={1}>
+          {error && <Alert severity="error" onClose={() => setError(null)}>{error}</Alert>}
+
+          <TextField
+            label="Name"
+            size="small"
+            value={form.name}
+            onChange={(e) => update('name', e.target.value)}
+            required
+          />
+
+          <Typography variant="subtitle2">When a transaction matches all of</Typography>
+          <Box display="grid" gridTemplateColumns={{ xs: '1fr', sm: '1fr 1fr' }} gap={2}>
+            <TextField
+              label="Description pattern"
+              size="small"
+              value={form.descriptionPattern}
+              onChange={(e) => update('descriptionPattern', e.target.value)}
+              helperText="Regular expression, any case - e.g. aroma|cofix"
+            />
+            <TextField
+              label="Memo pattern"
+              size="small"
+              value={form.memoPattern}
+              onChange={(e) => update('memoPattern', e.target.value)}
+            />
+            <TextField
+              label="Amount from"
+              size="small"
+              type="number"
+              value={form.amountMin}
+              onChange={(e) => update('amountMin', e.target.value)}
+              helperText="Size of the amount, spent or received"
+            />
+            <TextField
+              label="Amount to"
+              size="small"
+              type="number"
+              value={form.amountMax}
+              onChange={(e) => update('amountMax', e.target.value)}
+            />
+            <TextField
+              label="Day of month from"
+              size="small"
+              type="number"
+              value={form.dayOfMonthFrom}
+              onChange={(e) => update('dayOfMonthFrom', e.target.value)}
+              inputProps={{ min: 1, max: 31 }}
+              helperText="A range like 28 to 3 runs over the month end"
+            />
+            <TextField
+              label="Day of month to"
+              size="small"
+              type="number"
+              value={form.dayOfMonthTo}
+              onChange={(e) => update('dayOfMonthTo', e.target.value)}
+              inputProps={{ min: 1, max: 31 }}
+            />
+            {multiSelect('Accounts', 'accountIds', accounts)}
+            {multiSelect('Credit cards', 'creditCardIds', creditCards)}
+            <TextField
+              label="Currencies"
+              size="small"
+              value={form.currencies}
+              onChange={(e) => update('currencies', e.target.value)}
+              helperText="Comma separated, e.g. USD, EUR"
+            />
+          </Box>
+
+          <Box display="flex" alignItems="center" gap={2}>
+            <Button variant="outlined" onClick={handleTest} disabled={testing}>
+              {testing ? <CircularProgress size={20} /> : 'Test against history'}
+            </Button>
+            {preview && (
+              <Typography variant="body2">
+                Matches {preview.matched} of {preview.scanned} transactions since{' '}
+                {new Date(preview.since).toLocaleDateString()}
+              </Typography>
+            )}
+          </Box>
+          {preview && preview.transactions.length > 0 && (
+            <List dense disablePadding>
+              {preview.transactions.slice(0, PREVIEW_ROWS).map(transaction => (
+                <ListItem
+                  key={transaction._id}
+                  divider
+                  secondaryAction={transaction.categorizedByHand && <Chip size="small" label="Set by hand" />}
+                >
+                  <ListItemText
+                    primary={`${transaction.description} - ${formatAmount(transaction.amount, transaction.currency)}`}
+                    secondary={[
+                      new Date(transaction.date).toLocaleDateString(),
+                      [transaction.category, transaction.subCategory].filter(Boolean).join(' / ') || 'Uncategorised'
+                    ].join(' - ')}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+
+          <Typography variant="subtitle2">Then</Typography>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={form.splitting}
+                onChange={(e) => update('splitting', e.target.checked)}
+              />
+            }
+            label="Split between categories"
+          />
+          {form.splitting && (
+            <Box display="flex" flexDirection="column" gap={1}>
+              {form.shares.map((share, index) => {
+                const shareCategory = categories.find(category => category._id === share.categoryId);
+                return (
+                  <Box
+                    key={index}
+                    display="grid"
+                    gridTemplateColumns={{ xs: '1fr', sm: '90px 1fr 1fr 1fr auto' }}
+                    gap={1}
+                    alignItems="center"
+                  >
+                    <TextField
+                      label={`Share ${index + 1} %`}
+                      size="small"
+                      type="number"
+                      value={share.percentage}
+                      onChange={(e) => updateShare(index, { percentage: e.target.value })}
+                      inputProps={{ min: 0, max: 100 }}
+                    />
+                    <FormControl fullWidth size="small">
+                      <InputLabel id={`rule-share-category-${index}`}>Category</InputLabel>
+                      <Select
+                        labelId={`rule-share-category-${index}`}
+                        label="Category"
+                        value={share.categoryId}
+                        onChange={(e) => updateShare(index, { categoryId: e.target.value, subCategoryId: '' })}
+                      >
+                        {categories.map(category => (
+                          <MenuItem key={category._id} value={category._id}>{category.name}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    <FormControl fullWidth size="small" disabled={!shareCategory?.subCategories.length}>
+                      <InputLabel id={`rule-share-subcategory-${index}`}>Subcategory</InputLabel>
+                      <Select
+                        labelId={`rule-share-subcategory-${index}`}
+                        label="Subcategory"
+                        value={share.subCategoryId}
+                        onChange={(e) => updateShare(index, { subCategoryId: e.target.value })}
+                      >
+                        {(shareCategory?.subCategories ?? []).map(subCategory => (
+                          <MenuItem key={subCategory._id} value={subCategory._id}>{subCategory.name}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    <FormControl fullWidth size="small">
+                      <InputLabel id={`rule-share-tags-${index}`}>Tags</InputLabel>
+                      <Select
+                        labelId={`rule-share-tags-${index}`}
+                        label="Tags"
+                        multiple
+                        value={share.tagIds}
+                        onChange={(e) => updateShare(index, {
+                          tagIds: typeof e.target.value === 'string' ? e.target.value.split(',') : e.target.value
+                        })}
+                        renderValue={(ids) => ids.map(nameOf(tags)).join(', ')}
+                      >
+                        {tags.map(tag => (
+                          <MenuItem key={tag._id} value={tag._id}>{tag.name}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    <IconButton
+                      aria-label={`Remove share ${index + 1}`}
+                      disabled={form.shares.length <= 2}
+                      onClick={() => update('shares', form.shares.filter((_, i) => i !== index))}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Box>
+                );
+              })}
+              <Box display="flex" justifyContent="space-between" alignItems="center">
+                <Button startIcon={<AddIcon />} onClick={() => update('shares', [...form.shares, emptyShare()])}>
+                  Add share
+                </Button>
+                <Typography variant="body2" color={Math.abs(shareTotal - 100) < 0.001 ? 'text.secondary' : 'error'}>
+                  Shares add up to {shareTotal}%
+                </Typography>
+              </Box>
+            </Box>
+          )}
+          <Box display="grid" gridTemplateColumns={{ xs: '1fr', sm: '1fr 1fr' }} gap={2}>
+            {!form.splitting && (
+              <FormControl fullWidth size="small">
+                <InputLabel id="rule-category">Category</InputLabel>
+                <Select
+                  labelId="rule-category"
+                  label="Category"
+                  value={form.categoryId}
+                  onChange={(e) => setForm(prev => ({ ...prev, categoryId: e.target.value, subCategoryId: '' }))}
+                >
+                  <MenuItem value="">Leave as it is</MenuItem>
+                  {categories.map(category => (
+                    <MenuItem key={category._id} value={category._id}>{category.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            {!form.splitting && selectedCategory && selectedCategory.subCategories.length > 0 && (
+              <FormControl fullWidth size="small" required={selectedCategory.type === 'Expense'}>
+                <InputLabel id="rule-subcategory">Subcategory</InputLabel>
+                <Select
+                  labelId="rule-subcategory"
+                  label="Subcategory"
+                  value={form.subCategoryId}
+                  onChange={(e) => update('subCategoryId', e.target.value)}
+                >
+                  {selectedCategory.subCategories.map(subCategory => (
+                    <MenuItem key={subCategory._id} value={subCategory._id}>{subCategory.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            {multiSelect('Add tags', 'tagIds', tags)}
+          </Box>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={form.excludeFromBudget}
+                onChange={(e) => update('excludeFromBudget', e.target.checked)}
+              />
+            }
+            label="Exclude from budget"
+          />
+          {form.excludeFromBudget && (
+            <TextField
+              label="Reason"
+              size="small"
+              value={form.exclusionReason}
+              onChange={(e) => update('exclusionReason', e.target.value)}
+              placeholder="e.g. Paid back by work"
+            />
+          )}
+          <FormControlLabel
+            control={
+              <Switch
+                checked={form.stopProcessing}
+                onChange={(e) => update('stopProcessing', e.target.checked)}
+              />
+            }
+            label="Skip the rules below when this one matches"
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !form.name.trim()}>
+          {saving ? <CircularProgress size={20} /> : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RuleEditorDialog;
@@ -0,0 +1,148 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RuleEditorDialog, { RuleCategoryOption } from '../RuleEditorDialog';
+import { rulesApi, TransactionRule } from '../../../services/api/rules';
+
+jest.mock('../../../services/api/rules', () => ({
+  rulesApi: {
+    create: jest.fn(),
+    update: jest.fn(),
+    preview: jest.fn()
+  }
+}));
+
+const api = rulesApi as jest.Mocked<typeof rulesApi>;
+
+const categories: RuleCategoryOption[] = [
+  { _id: 'cat-food', name: 'Food', type: 'Expense', subCategories: [{ _id: 'sub-coffee', name: 'Coffee' }] }
+];
+
+const saved: TransactionRule = {
+  _id: 'rule-1',
+  name: 'Coffee',
+  enabled: true,
+  priority: 0,
+  stopProcessing: false,
+  conditions: { descriptionPattern: 'aroma|cofix', accountIds: [], creditCardIds: [], currencies: [] },
+  actions: { categoryId: 'cat-food', subCategoryId: 'sub-coffee', tagIds: [], excludeFromBudget: false },
+  matchCount: 0,
+  lastMatchedAt: null,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+};
+
+const renderDialog = (rule: TransactionRule | null = null, onSaved = jest.fn()) => {
+  render(
+    <RuleEditorDialog
+      open
+      rule={rule}
+      categories={categories}
+      tags={[{ _id: 'tag-1', name: 'reimbursable' }]}
+      accounts={[{ _id: 'acc-1', name: 'Checking' }]}
+      creditCards={[]}
+      onClose={jest.fn()}
+      onSaved={onSaved}
+    />
+  );
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+it('tests the conditions against past transactions', async () => {
+  api.preview.mockResolvedValue({
+    since: '2025-10-01T00:00:00.000Z',
+    scanned: 240,
+    matched: 12,
+    transactions: [{
+      _id: 'tx-1',
+      date: '2026-03-15T00:00:00.000Z',
+      description: 'AROMA TEL AVIV',
+      amount: -24,
+      currency: 'ILS',
+      category: 'Food',
+      subCategory: 'Treats',
+      categorizedByHand: true,
+      excludedFromBudget: false
+    }]
+  });
+  renderDialog();
+
+  await userEvent.type(screen.getByLabelText(/Description pattern/), 'aroma');
+  await userEvent.type(screen.getByLabelText(/Currencies/), 'usd, eur');
+  await userEvent.click(screen.getByRole('button', { name: 'Test against history' }));
+
+  expect(await screen.findByText(/Matches 12 of 240 transactions/)).toBeInTheDocument();
+  expect(screen.getByText('Set by hand')).toBeInTheDocument();
+  expect(api.preview).toHaveBeenCalledWith({
+    conditions: expect.objectContaining({ descriptionPattern: 'aroma', currencies: ['USD', 'EUR'], amountMin: null })
+  });
+});
+
+it('saves changes to an existing rule', async () => {
+  api.update.mockResolvedValue({ ...saved, name: 'Coffee shops' });
+  const onSaved = jest.fn();
+  renderDialog(saved, onSaved);
+
+  const name = screen.getByLabelText(/Name/);
+  await userEvent.clear(name);
+  await userEvent.type(name, 'Coffee shops');
+  await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  await waitFor(() => expect(onSaved).toHaveBeenCalledWith(expect.objectContaining({ name: 'Coffee shops' })));
+  expect(api.update).toHaveBeenCalledWith('rule-1', expect.objectContaining({
+    name: 'Coffee shops',
+    actions: expect.objectContaining({ categoryId: 'cat-food', subCategoryId: 'sub-coffee' })
+  }));
+});
+
+it('shows why the server refused the rule', async () => {
+  api.create.mockRejectedValue({ response: { data: { error: 'A rule needs at least one condition' } } });
+  const onSaved = jest.fn();
+  renderDialog(null, onSaved);
+
+  await userEvent.type(screen.getByLabelText(/Name/), 'Everything');
+  await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  expect(await screen.findByText('A rule needs at least one condition')).toBeInTheDocument();
+  expect(onSaved).not.toHaveBeenCalled();
+});
+
+it('saves a rule that splits the transaction instead of categorising it', async () => {
+  const splitRule: TransactionRule = {
+    ...saved,
+    actions: {
+      tagIds: [],
+      excludeFromBudget: false,
+      split: [
+        { percentage: 50, categoryId: 'cat-food', subCategoryId: 'sub-coffee', tagIds: [] },
+        { percentage: 50, categoryId: 'cat-food', subCategoryId: 'sub-coffee', tagIds: ['tag-1'] }
+      ]
+    }
+  };
+  api.update.mockResolvedValue(splitRule);
+  const onSaved = jest.fn();
+  renderDialog(splitRule, onSaved);
+
+  const first = screen.getByLabelText('Share 1 %');
+  await userEvent.clear(first);
+  await userEvent.type(first, '70');
+  expect(screen.getByText('Shares add up to 120%')).toBeInTheDocument();
+  const second = screen.getByLabelText('Share 2 %');
+  await userEvent.clear(second);
+  await userEvent.type(second, '30');
+  await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  await waitFor(() => expect(onSaved).toHaveBeenCalled());
+  expect(api.update).toHaveBeenCalledWith('rule-1', expect.objectContaining({
+    actions: expect.objectContaining({
+      categoryId: null,
+      split: [
+        { percentage: 70, categoryId: 'cat-food', subCategoryId: 'sub-coffee', tagIds: [] },
+        { percentage: 30, categoryId: 'cat-food', subCategoryId: 'sub-coffee', tagIds: ['tag-1'] }
+      ]
+    })
+  }));
+});
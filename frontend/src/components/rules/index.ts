@@ -0,0 +1,2 @@
+export { default as RuleEditorDialog } from './RuleEditorDialog';
+export type { RuleCategoryOption, RuleOption } from './RuleEditorDialog';
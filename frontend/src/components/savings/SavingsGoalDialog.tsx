@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  IconButton,
+  InputLabel,
+  ListSubheader,
+  MenuItem,
+  Select,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Close as RemoveIcon } from '@mui/icons-material';
+import {
+  FundingKind,
+  FundingOption,
+  SavingsGoal,
+  SavingsGoalInput,
+  savingsGoalsApi
+} from '../../services/api/savingsGoals';
+import { SUPPORTED_CURRENCIES } from '../../types/foreignCurrency';
+import { errorMessage } from '../../utils/errors';
+
+interface SavingsGoalDialogProps {
+  open: boolean;
+  /** The goal to edit; a new goal when not given. */
+  goal?: SavingsGoal | null;
+  onClose: () => void;
+  onSaved: (goal: SavingsGoal) => void;
+}
+
+interface FundingRow {
+  // `${kind}:${refId}`, as the option select needs a single value
+  source: string;
+  share: string;
+}
+
+interface GoalForm {
+  name: string;
+  targetAmount: string;
+  currency: string;
+  targetDate: string;
+  notes: string;
+  funding: FundingRow[];
+}
+
+export const FUNDING_KIND_LABELS: Record<FundingKind, string> = {
+  bank_account: 'Bank accounts',
+  foreign_currency_account: 'Foreign currency accounts',
+  portfolio: 'Investment portfolios',
+  tag: 'Tagged transfers'
+};
+
+const toForm = (goal?: SavingsGoal | null): GoalForm => ({
+  name: goal?.name ?? '',
+  targetAmount: goal ? String(goal.targetAmount) : '',
+  currency: goal?.currency ?? 'ILS',
+  targetDate: goal ? goal.targetDate.slice(0, 10) : '',
+  notes: goal?.notes ?? '',
+  funding: (goal?.funding ?? []).map(link => ({ source: `${link.kind}:${link.refId}`, share: String(link.share) }))
+});
+
+const SavingsGoalDialog: React.FC<SavingsGoalDialogProps> = ({ open, goal, onClose, onSaved }) => {
+  const [form, setForm] = useState<GoalForm>(() => toForm(goal));
+  const [options, setOptions] = useState<FundingOption[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setForm(toForm(goal));
+    setError(null);
+    savingsGoalsApi.getFundingOptions()
+      .then(setOptions)
+      .catch(() => setError('Failed to load accounts to fund the goal from.'));
+  }, [open, goal]);
+
+  const update = (field: keyof GoalForm, value: string) => setForm(prev => ({ ...prev, [field]: value }));
+  const updateFunding = (index: number, row: Partial<FundingRow>) =>
+    setForm(prev => ({ ...prev, funding: prev.funding.map((current, i) => (i === index ? { ...current, ...row } : current)) }));
+
+  const targetAmount = Number(form.targetAmount);
+  const funding = form.funding.filter(row => row.source).map(row => {
+    const [kind, refId] = row.source.split(':');
+    return { kind: kind as FundingKind, refId, share: Number(row.share) || 100 };
+  });
+  const canSave = form.name.trim() !== '' && targetAmount > 0 && form.targetDate !== '';
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const input: SavingsGoalInput = {
+      name: form.name.trim(),
+      targetAmount,
+      currency: form.currency,
+      targetDate: form.targetDate,
+      notes: form.notes.trim(),
+      funding
+    };
+    try {
+      onSaved(goal ? await savingsGoalsApi.update(goal._id, input) : await savingsGoalsApi.create(input));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save the savings goal.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Archived goals leave the Overview and the budget
+  const handleArchive = async () => {
+    if (!goal) return;
+    setSaving(true);
+    try {
+      onSaved(await savingsGoalsApi.update(goal._id, { archived: true }));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to archive the savings goal.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const kinds = Object.keys(FUNDING_KIND_LABELS) as FundingKind[];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{goal ? 'Edit Savings Goal' : 'New Savings Goal'}</DialogTitle>
+      <DialogContent>
+        <Box display="flex" flexDirection="column" gap={2} mt={1}>
+          {error && <Alert severity="error" onClose={() => setError(null)}>{error}</Alert>}
+
+          <TextField label="Name" size="small" value={form.name} onChange={(e) => update('name', e.target.value)} />
+          <Box display="grid" gridTemplateColumns={{ xs: '1fr', sm: '2fr 1fr' }} gap={2}>
+            <TextField
+              label="Target amount"
+              size="small"
+              type="number"
+              value={form.targetAmount}
+              onChange={(e) => update('targetAmount', e.target.value)}
+              inputProps={{ min: 0 }}
+            />
+            <FormControl fullWidth size="small">
+              <InputLabel id="savings-goal-currency">Currency</InputLabel>
+              <Select
+                labelId="savings-goal-currency"
+                label="Currency"
+                value={form.currency}
+                onChange={(e) => update('currency', e.target.value)}
+              >
+                {SUPPORTED_CURRENCIES.map(currency => (
+                  <MenuItem key={currency.code} value={currency.code}>
+                    {currency.code} ({currency.symbol})
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+          <TextField
+            label="Target date"
+            size="small"
+            type="date"
+            value={form.targetDate}
+            onChange={(e) => update('targetDate', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+
+          <Box>
+            <Typography variant="subtitle2">Funded by</Typography>
+            <Typography variant="caption" color="text.secondary">
+              Progress is what these hold today. Give a share when an account also saves for other things.
+            </Typography>
+          </Box>
+          {form.funding.map((row, index) => (
+            <Box key={index} display="grid" gridTemplateColumns="1fr 100px auto" gap={1} alignItems="center">
+              <FormControl fullWidth size="small">
+                <InputLabel id={`savings-goal-funding-${index}`}>Source</InputLabel>
+                <Select
+                  labelId={`savings-goal-funding-${index}`}
+                  label="Source"
+                  value={row.source}
+                  onChange={(e) => updateFunding(index, { source: e.target.value })}
+                >
+                  {row.source && !options.some(option => `${option.kind}:${option.refId}` === row.source) && (
+                    <MenuItem value={row.source} disabled>No longer available</MenuItem>
+                  )}
+                  {kinds.flatMap(kind => {
+                    const ofKind = options.filter(option => option.kind === kind);
+                    if (ofKind.length === 0) return [];
+                    return [
+                      <ListSubheader key={kind}>{FUNDING_KIND_LABELS[kind]}</ListSubheader>,
+                      ...ofKind.map(option => (
+                        <MenuItem key={option.refId} value={`${option.kind}:${option.refId}`}>
+                          {option.name}{option.currency ? ` (${option.currency})` : ''}
+                        </MenuItem>
+                      ))
+                    ];
+                  })}
+                </Select>
+              </FormControl>
+              <TextField
+                label="Share %"
+                size="small"
+                type="number"
+                value={row.share}
+                onChange={(e) => updateFunding(index, { share: e.target.value })}
+                inputProps={{ min: 1, max: 100 }}
+              />
+              <IconButton
+                aria-label="Remove funding"
+                size="small"
+                onClick={() => setForm(prev => ({ ...prev, funding: prev.funding.filter((_, i) => i !== index) }))}
+              >
+                <RemoveIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => setForm(prev => ({ ...prev, funding: [...prev.funding, { source: '', share: '100' }] }))}
+            sx={{ alignSelf: 'flex-start' }}
+          >
+            Add funding
+          </Button>
+
+          <TextField
+            label="Notes"
+            size="small"
+            multiline
+            minRows={2}
+            value={form.notes}
+            onChange={(e) => update('notes', e.target.value)}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        {goal && (
+          <Button color="inherit" disabled={saving} onClick={handleArchive} sx={{ mr: 'auto' }}>
+            Archive
+          </Button>
+        )}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" disabled={!canSave || saving} onClick={handleSave}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SavingsGoalDialog;
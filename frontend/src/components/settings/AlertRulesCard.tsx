@@ -0,0 +1,248 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  IconButton,
+  MenuItem,
+  Switch,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import {
+  AlertParams,
+  AlertRule,
+  AlertType,
+  DeliveryResult,
+  notificationsApi
+} from '../../services/api/notifications';
+import { categoriesApi } from '../../services/api/categories';
+import { getPushSubscription, isPushSupported, subscribeToPush, unsubscribeFromPush } from '../../utils/pushNotifications';
+import { errorMessage } from '../../utils/errors';
+
+type NumericParam = 'threshold' | 'count' | 'days' | 'amount';
+
+interface AlertTypeInfo {
+  label: string;
+  /** The one number the user tunes, and how it reads. */
+  param?: { name: NumericParam; label: string };
+}
+
+const ALERT_TYPE_INFO: Record<AlertType, AlertTypeInfo> = {
+  budget_threshold: { label: 'A category reaches a share of its budget', param: { name: 'threshold', label: '% of budget' } },
+  uncategorized_backlog: { label: 'Transactions waiting for a category', param: { name: 'count', label: 'More than' } },
+  account_error: { label: 'A bank account fails to sync' },
+  account_stale: { label: 'A bank account stops syncing', param: { name: 'days', label: 'Days without sync' } },
+  rsu_vesting: { label: 'RSUs about to vest', param: { name: 'days', label: 'Days ahead' } },
+  installment_overdue: { label: 'A real-estate installment is overdue' },
+  large_transaction: { label: 'A single large transaction', param: { name: 'amount', label: 'Amount from' } }
+};
+
+const CHANNEL_NAMES: Record<keyof DeliveryResult, string> = {
+  email: 'Email',
+  webhook: 'Webhook',
+  push: 'Push'
+};
+
+interface AlertRulesCardProps {
+  /** Whether the server has Web Push configured. */
+  pushAvailable: boolean;
+}
+
+/**
+ * What the user wants to be alerted about, and this browser's push
+ * subscription. Saves as it goes, apart from the settings form above it.
+ */
+const AlertRulesCard: React.FC<AlertRulesCardProps> = ({ pushAvailable }) => {
+  const [rules, setRules] = useState<AlertRule[]>([]);
+  const [categories, setCategories] = useState<Array<{ _id: string; name: string }>>([]);
+  const [newType, setNewType] = useState<AlertType>('budget_threshold');
+  const [pushEndpoint, setPushEndpoint] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [loadedRules, loadedCategories] = await Promise.all([
+        notificationsApi.listRules(),
+        categoriesApi.getUserCategories()
+      ]);
+      setRules(loadedRules);
+      setCategories(loadedCategories.filter((category) => category.type === 'Expense'));
+    } catch (err) {
+      console.error('Error loading alert rules:', err);
+      setError('Failed to load your alerts.');
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    getPushSubscription()
+      .then((subscription) => setPushEndpoint(subscription?.endpoint ?? null))
+      .catch(() => setPushEndpoint(null));
+  }, [load]);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(`${fallback}:`, err);
+      setError(errorMessage(err, `${fallback}.`));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = () => run(async () => {
+    const rule = await notificationsApi.createRule({ type: newType });
+    setRules((current) => [...current, rule]);
+  }, 'Failed to add the alert');
+
+  const handleUpdate = (rule: AlertRule, changes: { enabled?: boolean; params?: AlertParams }) => run(async () => {
+    const updated = await notificationsApi.updateRule(rule._id, changes);
+    setRules((current) => current.map((item) => (item._id === rule._id ? updated : item)));
+  }, 'Failed to update the alert');
+
+  const handleRemove = (rule: AlertRule) => run(async () => {
+    await notificationsApi.removeRule(rule._id);
+    setRules((current) => current.filter((item) => item._id !== rule._id));
+  }, 'Failed to remove the alert');
+
+  const handleCheck = () => run(async () => {
+    const raised = await notificationsApi.check();
+    setMessage(raised === 0 ? 'Nothing new to alert you about.' : `${raised} new alert${raised === 1 ? '' : 's'}.`);
+  }, 'Failed to check your alerts');
+
+  const handleTest = () => run(async () => {
+    const results = await notificationsApi.sendTest();
+    const reached = (Object.keys(results) as Array<keyof DeliveryResult>)
+      .map((channel) => `${CHANNEL_NAMES[channel]}: ${results[channel]}`);
+    setMessage(`Test alert - ${reached.join(', ')}.`);
+  }, 'Failed to send a test alert');
+
+  const handlePushToggle = () => run(async () => {
+    if (pushEndpoint) {
+      const endpoint = await unsubscribeFromPush();
+      if (endpoint) await notificationsApi.unsubscribePush(endpoint);
+      setPushEndpoint(null);
+      return;
+    }
+    const { publicKey } = await notificationsApi.getPushConfig();
+    if (!publicKey) throw new Error('Push notifications are not configured');
+    const subscription = await subscribeToPush(publicKey);
+    if (!subscription) {
+      setError('The browser did not allow notifications.');
+      return;
+    }
+    await notificationsApi.subscribePush(subscription);
+    setPushEndpoint(subscription.endpoint ?? null);
+  }, 'Failed to change push notifications');
+
+  const commitParam = (rule: AlertRule, name: NumericParam, value: string) => {
+    const parsed = Number(value);
+    if (value === '' || !Number.isFinite(parsed) || parsed === rule.params[name]) return;
+    handleUpdate(rule, { params: { [name]: parsed } });
+  };
+
+  return (
+    <Card variant="outlined" id="alerts">
+      <CardContent sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        <Typography variant="h6">Alerts</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Checked every hour and after each bank sync. Alerts show under the bell and go out as set in
+          Notifications above.
+        </Typography>
+
+        {rules.length === 0 && (
+          <Typography variant="body2" color="text.secondary">You have no alerts yet.</Typography>
+        )}
+        {rules.map((rule) => {
+          const info = ALERT_TYPE_INFO[rule.type];
+          return (
+            <Box key={rule._id} sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+              <Switch
+                checked={rule.enabled}
+                disabled={busy}
+                onChange={(event) => handleUpdate(rule, { enabled: event.target.checked })}
+                inputProps={{ 'aria-label': `${info.label} enabled` }}
+              />
+              <Typography sx={{ flex: 1, minWidth: 200 }}>{info.label}</Typography>
+              {info.param && (
+                <TextField
+                  key={`${rule._id}-${rule.params[info.param.name]}`}
+                  size="small"
+                  type="number"
+                  label={info.param.label}
+                  defaultValue={rule.params[info.param.name] ?? ''}
+                  onBlur={(event) => commitParam(rule, info.param!.name, event.target.value)}
+                  sx={{ width: 140 }}
+                />
+              )}
+              {rule.type === 'budget_threshold' && (
+                <TextField
+                  select
+                  size="small"
+                  label="Category"
+                  value={rule.params.categoryId ?? ''}
+                  onChange={(event) => handleUpdate(rule, { params: { categoryId: event.target.value || null } })}
+                  sx={{ width: 180 }}
+                >
+                  <MenuItem value="">Every budget</MenuItem>
+                  {categories.map((category) => (
+                    <MenuItem key={category._id} value={category._id}>{category.name}</MenuItem>
+                  ))}
+                </TextField>
+              )}
+              <Tooltip title="Remove">
+                <span>
+                  <IconButton aria-label={`Remove ${info.label}`} disabled={busy} onClick={() => handleRemove(rule)}>
+                    <DeleteOutlineIcon />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+          );
+        })}
+
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            select
+            size="small"
+            label="New alert"
+            value={newType}
+            onChange={(event) => setNewType(event.target.value as AlertType)}
+            sx={{ minWidth: 320 }}
+          >
+            {(Object.keys(ALERT_TYPE_INFO) as AlertType[]).map((type) => (
+              <MenuItem key={type} value={type}>{ALERT_TYPE_INFO[type].label}</MenuItem>
+            ))}
+          </TextField>
+          <Button variant="outlined" onClick={handleAdd} disabled={busy}>Add alert</Button>
+        </Box>
+
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          <Button onClick={handleCheck} disabled={busy || rules.length === 0}>Check now</Button>
+          <Button onClick={handleTest} disabled={busy}>Send test alert</Button>
+          {pushAvailable && isPushSupported() && (
+            <Button onClick={handlePushToggle} disabled={busy}>
+              {pushEndpoint ? 'Stop push alerts in this browser' : 'Push alerts to this browser'}
+            </Button>
+          )}
+        </Box>
+
+        {message && <Alert severity="info" onClose={() => setMessage(null)}>{message}</Alert>}
+        {error && <Alert severity="error" onClose={() => setError(null)}>{error}</Alert>}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AlertRulesCard;
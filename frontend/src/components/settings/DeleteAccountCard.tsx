@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Alert, Box, Button, Card, CardContent, TextField, Typography } from '@mui/material';
+import { settingsApi } from '../../services/api/settings';
+import { errorMessage } from '../../utils/errors';
+
+interface DeleteAccountCardProps {
+  /** What the server asks for: the GitHub login, else the email address or name. */
+  expected: string;
+  /** Called once the account is gone and the session has ended. */
+  onDeleted: () => void;
+}
+
+/**
+ * Deletes the account after the user types what the server expects, the same
+ * check the server makes.
+ */
+const DeleteAccountCard: React.FC<DeleteAccountCardProps> = ({ expected, onDeleted }) => {
+  const [confirmation, setConfirmation] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const confirmed = confirmation.trim().toLowerCase() === expected.toLowerCase();
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    setError(null);
+    try {
+      await settingsApi.deleteAccount(confirmation.trim());
+      onDeleted();
+    } catch (err) {
+      console.error('Failed to delete account:', err);
+      setError(errorMessage(err, 'Failed to delete the account.'));
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <Card variant="outlined" sx={{ borderColor: 'error.main' }}>
+      <CardContent>
+        <Typography variant="h6" color="error" gutterBottom>
+          Delete account
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Removes your bank connections, transactions, budgets, investments and everything else stored for you.
+          This cannot be undone; download a backup first if you may want the data later.
+        </Typography>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <TextField
+            size="small"
+            label={`Type ${expected} to confirm`}
+            value={confirmation}
+            onChange={(event) => setConfirmation(event.target.value)}
+            sx={{ flexGrow: 1 }}
+          />
+          <Button variant="contained" color="error" disabled={!confirmed || deleting} onClick={handleDelete}>
+            Delete account
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DeleteAccountCard;
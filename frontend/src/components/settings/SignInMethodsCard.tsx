@@ -0,0 +1,193 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  IconButton,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import GitHubIcon from '@mui/icons-material/GitHub';
+import GoogleIcon from '@mui/icons-material/Google';
+import KeyIcon from '@mui/icons-material/Key';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import {
+  authApi,
+  authErrorMessage,
+  AuthIdentity,
+  AuthProvider,
+  AuthProviderId,
+  providerLinkUrl
+} from '../../services/api/auth';
+import { createPasskey, isPasskeyCancellation, isPasskeySupported } from '../../utils/passkeys';
+import { errorMessage } from '../../utils/errors';
+
+const PROVIDER_ICONS: Record<AuthProviderId, React.ReactNode> = {
+  github: <GitHubIcon />,
+  google: <GoogleIcon />,
+  passkey: <KeyIcon />
+};
+
+const PROVIDER_NAMES: Record<AuthProviderId, string> = {
+  github: 'GitHub',
+  google: 'Google',
+  passkey: 'Passkey'
+};
+
+interface SignInMethodsCardProps {
+  /** `auth_error` from a link attempt that sent the browser back here. */
+  linkError?: string | null;
+}
+
+/**
+ * The ways the user can sign in: lists them, links another provider, adds a
+ * passkey and removes any but the last.
+ */
+const SignInMethodsCard: React.FC<SignInMethodsCardProps> = ({ linkError = null }) => {
+  const [identities, setIdentities] = useState<AuthIdentity[] | null>(null);
+  const [providers, setProviders] = useState<AuthProvider[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(linkError ? authErrorMessage(linkError) : null);
+
+  const load = useCallback(async () => {
+    try {
+      const [loadedIdentities, loadedProviders] = await Promise.all([authApi.getIdentities(), authApi.getProviders()]);
+      setIdentities(loadedIdentities);
+      setProviders(loadedProviders);
+    } catch (err) {
+      console.error('Error loading sign-in methods:', err);
+      setError('Failed to load your sign-in methods.');
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleRemove = async (identity: AuthIdentity) => {
+    setBusy(true);
+    setError(null);
+    try {
+      setIdentities(await authApi.removeIdentity(identity.id));
+    } catch (err) {
+      console.error('Failed to remove sign-in method:', err);
+      setError(errorMessage(err, 'Failed to remove the sign-in method.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddPasskey = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const { options, challengeToken } = await authApi.passkeyRegisterOptions();
+      const credential = await createPasskey(options);
+      if (credential) {
+        await authApi.registerPasskey(challengeToken, credential);
+        await load();
+      }
+    } catch (err) {
+      if (!isPasskeyCancellation(err)) {
+        console.error('Failed to add passkey:', err);
+        setError(errorMessage(err, 'Failed to add the passkey.'));
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // GitHub and Google accounts are one per user; passkeys can be several.
+  const linkable = providers.filter((provider) =>
+    provider.type === 'redirect' && !identities?.some((identity) => identity.provider === provider.id)
+  );
+  const offersPasskey = providers.some((provider) => provider.type === 'passkey') && isPasskeySupported();
+  const lastOne = (identities?.length ?? 0) <= 1;
+
+  return (
+    <Card variant="outlined">
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Sign-in methods
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Any of these signs you in to this account.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {identities === null ? (
+          !error && <CircularProgress size={24} sx={{ mt: 2 }} />
+        ) : (
+          <List dense>
+            {identities.map((identity) => (
+              <ListItem
+                key={identity.id}
+                disableGutters
+                secondaryAction={
+                  <Tooltip title={lastOne ? 'Add another way to sign in before removing this one' : 'Remove'}>
+                    <span>
+                      <IconButton
+                        edge="end"
+                        aria-label={`Remove ${PROVIDER_NAMES[identity.provider]} ${identity.label || ''}`.trim()}
+                        disabled={lastOne || busy}
+                        onClick={() => handleRemove(identity)}
+                      >
+                        <DeleteOutlineIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                }
+              >
+                <ListItemIcon>{PROVIDER_ICONS[identity.provider]}</ListItemIcon>
+                <ListItemText
+                  primary={identity.provider === 'passkey'
+                    ? identity.label || 'Passkey'
+                    : `${PROVIDER_NAMES[identity.provider]}${identity.label ? ` · ${identity.label}` : ''}`}
+                  secondary={identity.lastUsedAt
+                    ? `Last used ${new Date(identity.lastUsedAt).toLocaleDateString()}`
+                    : `Added ${new Date(identity.linkedAt).toLocaleDateString()}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {identities !== null && (linkable.length > 0 || offersPasskey) && (
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {linkable.map((provider) => (
+              <Button
+                key={provider.id}
+                variant="outlined"
+                startIcon={PROVIDER_ICONS[provider.id]}
+                component="a"
+                href={providerLinkUrl(provider.id, '/settings')}
+                disabled={busy}
+              >
+                Add {provider.label}
+              </Button>
+            ))}
+            {offersPasskey && (
+              <Button variant="outlined" startIcon={<KeyIcon />} disabled={busy} onClick={handleAddPasskey}>
+                Add passkey
+              </Button>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SignInMethodsCard;
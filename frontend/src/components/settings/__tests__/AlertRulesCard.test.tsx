@@ -0,0 +1,80 @@
+import React from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AlertRulesCard from '../AlertRulesCard';
+import { notificationsApi, AlertRule } from '../../../services/api/notifications';
+import { categoriesApi } from '../../../services/api/categories';
+
+jest.mock('../../../services/api/notifications', () => ({
+  notificationsApi: {
+    listRules: jest.fn(),
+    createRule: jest.fn(),
+    updateRule: jest.fn(),
+    removeRule: jest.fn(),
+    check: jest.fn(),
+    sendTest: jest.fn(),
+    getPushConfig: jest.fn(),
+    subscribePush: jest.fn(),
+    unsubscribePush: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/api/categories', () => ({
+  categoriesApi: { getUserCategories: jest.fn() }
+}));
+
+const api = notificationsApi as jest.Mocked<typeof notificationsApi>;
+
+const rule = (fields: Partial<AlertRule>): AlertRule => ({
+  _id: 'rule-1',
+  type: 'large_transaction',
+  params: { amount: 2000 },
+  enabled: true,
+  lastTriggeredAt: null,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  (categoriesApi.getUserCategories as jest.Mock).mockResolvedValue([
+    { _id: 'cat-food', name: 'Food', type: 'Expense', subCategories: [] },
+    { _id: 'cat-salary', name: 'Salary', type: 'Income', subCategories: [] }
+  ]);
+});
+
+it('adds an alert of the chosen type', async () => {
+  api.listRules.mockResolvedValue([]);
+  api.createRule.mockResolvedValue(rule({ type: 'budget_threshold', params: { threshold: 90, categoryId: null } }));
+  render(<AlertRulesCard pushAvailable={false} />);
+
+  expect(await screen.findByText('You have no alerts yet.')).toBeInTheDocument();
+  await userEvent.click(screen.getByRole('button', { name: 'Add alert' }));
+
+  expect(api.createRule).toHaveBeenCalledWith({ type: 'budget_threshold' });
+  expect(await screen.findByLabelText('% of budget')).toHaveValue(90);
+});
+
+it('saves a changed amount when the field loses focus', async () => {
+  api.listRules.mockResolvedValue([rule({})]);
+  api.updateRule.mockResolvedValue(rule({ params: { amount: 500 } }));
+  render(<AlertRulesCard pushAvailable={false} />);
+
+  const amount = await screen.findByLabelText('Amount from');
+  fireEvent.change(amount, { target: { value: '500' } });
+  fireEvent.blur(amount);
+
+  await waitFor(() => expect(api.updateRule).toHaveBeenCalledWith('rule-1', { params: { amount: 500 } }));
+});
+
+it('reports which channels a test alert reached', async () => {
+  api.listRules.mockResolvedValue([rule({})]);
+  api.sendTest.mockResolvedValue({ email: 'sent', webhook: 'failed', push: 'skipped' });
+  render(<AlertRulesCard pushAvailable={false} />);
+
+  await userEvent.click(await screen.findByRole('button', { name: 'Send test alert' }));
+
+  expect(await screen.findByText('Test alert - Email: sent, Webhook: failed, Push: skipped.')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /push alerts/i })).not.toBeInTheDocument();
+});
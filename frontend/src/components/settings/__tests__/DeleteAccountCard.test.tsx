@@ -0,0 +1,50 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DeleteAccountCard from '../DeleteAccountCard';
+import { settingsApi } from '../../../services/api/settings';
+
+jest.mock('../../../services/api/settings', () => ({
+  settingsApi: {
+    deleteAccount: jest.fn()
+  }
+}));
+
+const api = settingsApi as jest.Mocked<typeof settingsApi>;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+it('stays disabled until the login is typed out', async () => {
+  render(<DeleteAccountCard expected="dana" onDeleted={jest.fn()} />);
+  const button = screen.getByRole('button', { name: 'Delete account' });
+
+  expect(button).toBeDisabled();
+  await userEvent.type(screen.getByLabelText('Type dana to confirm'), 'DANA');
+  expect(button).toBeEnabled();
+});
+
+it('deletes the account and reports back', async () => {
+  api.deleteAccount.mockResolvedValue();
+  const onDeleted = jest.fn();
+  render(<DeleteAccountCard expected="dana" onDeleted={onDeleted} />);
+
+  await userEvent.type(screen.getByLabelText('Type dana to confirm'), 'dana');
+  await userEvent.click(screen.getByRole('button', { name: 'Delete account' }));
+
+  await waitFor(() => expect(onDeleted).toHaveBeenCalled());
+  expect(api.deleteAccount).toHaveBeenCalledWith('dana');
+});
+
+it('shows why the server refused', async () => {
+  api.deleteAccount.mockRejectedValue({ response: { data: { error: 'Remove the other members first' } } });
+  const onDeleted = jest.fn();
+  render(<DeleteAccountCard expected="dana" onDeleted={onDeleted} />);
+
+  await userEvent.type(screen.getByLabelText('Type dana to confirm'), 'dana');
+  await userEvent.click(screen.getByRole('button', { name: 'Delete account' }));
+
+  expect(await screen.findByText('Remove the other members first')).toBeInTheDocument();
+  expect(onDeleted).not.toHaveBeenCalled();
+});
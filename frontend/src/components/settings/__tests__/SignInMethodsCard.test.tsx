@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SignInMethodsCard from '../SignInMethodsCard';
+import { authApi, AuthIdentity } from '../../../services/api/auth';
+
+jest.mock('../../../services/api/auth', () => ({
+  ...jest.requireActual('../../../services/api/auth'),
+  authApi: {
+    getIdentities: jest.fn(),
+    getProviders: jest.fn(),
+    removeIdentity: jest.fn(),
+    passkeyRegisterOptions: jest.fn(),
+    registerPasskey: jest.fn()
+  }
+}));
+
+const api = authApi as jest.Mocked<typeof authApi>;
+
+const github: AuthIdentity = {
+  id: 'id-github',
+  provider: 'github',
+  label: 'dana',
+  email: 'dana@example.com',
+  linkedAt: '2026-01-01T00:00:00.000Z',
+  lastUsedAt: null
+};
+
+const google: AuthIdentity = {
+  id: 'id-google',
+  provider: 'google',
+  label: 'dana@example.com',
+  email: 'dana@example.com',
+  linkedAt: '2026-02-01T00:00:00.000Z',
+  lastUsedAt: null
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.getProviders.mockResolvedValue([
+    { id: 'github', label: 'GitHub', type: 'redirect' },
+    { id: 'google', label: 'Google', type: 'redirect' }
+  ]);
+});
+
+it('offers to link the providers the user does not have yet', async () => {
+  api.getIdentities.mockResolvedValue([github]);
+  render(<SignInMethodsCard />);
+
+  const add = await screen.findByRole('link', { name: 'Add Google' });
+  expect(add.getAttribute('href')).toContain('/api/auth/google/link?return_to=%2Fsettings');
+  expect(screen.queryByRole('link', { name: 'Add GitHub' })).not.toBeInTheDocument();
+});
+
+it('will not remove the last way to sign in', async () => {
+  api.getIdentities.mockResolvedValue([github]);
+  render(<SignInMethodsCard />);
+
+  expect(await screen.findByRole('button', { name: 'Remove GitHub dana' })).toBeDisabled();
+});
+
+it('removes a sign-in method when there is another', async () => {
+  api.getIdentities.mockResolvedValue([github, google]);
+  api.removeIdentity.mockResolvedValue([google]);
+  render(<SignInMethodsCard />);
+
+  await userEvent.click(await screen.findByRole('button', { name: 'Remove GitHub dana' }));
+
+  await waitFor(() => expect(api.removeIdentity).toHaveBeenCalledWith('id-github'));
+  await waitFor(() => expect(screen.queryByText('GitHub · dana')).not.toBeInTheDocument());
+  expect(await screen.findByRole('link', { name: 'Add GitHub' })).toBeInTheDocument();
+});
+
+it('explains why a link attempt came back refused', async () => {
+  api.getIdentities.mockResolvedValue([github]);
+  render(<SignInMethodsCard linkError="identity_in_use" />);
+
+  expect(await screen.findByText(/already used to sign in to a different user/)).toBeInTheDocument();
+});
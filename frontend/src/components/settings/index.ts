@@ -0,0 +1,3 @@
+export { default as AlertRulesCard } from './AlertRulesCard';
+export { default as DeleteAccountCard } from './DeleteAccountCard';
+export { default as SignInMethodsCard } from './SignInMethodsCard';
@@ -0,0 +1,108 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Link,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { format } from 'date-fns';
+import type { Subscription, SubscriptionFlag, SubscriptionReview } from '../../services/api/subscriptions';
+import { formatCurrencyDisplay } from '../../utils/formatters';
+
+interface SubscriptionListProps {
+  subscriptions: Subscription[];
+  /** Disables the review buttons while a review is saved. */
+  saving?: boolean;
+  onReview: (subscription: Subscription, review: SubscriptionReview) => void;
+}
+
+const FLAG_CHIPS: Record<SubscriptionFlag, { label: string; color: 'default' | 'warning' | 'info' }> = {
+  stopped: { label: 'Stopped', color: 'default' },
+  doubled: { label: 'Charged double', color: 'warning' },
+  price_changed: { label: 'New price', color: 'info' }
+};
+
+const formatDate = (date: string) => format(new Date(date), 'dd/MM/yyyy');
+
+/**
+ * What happened to the price, for a subscription whose price changed.
+ */
+export const describePriceChange = (subscription: Subscription): string | null => {
+  if (subscription.previousAmount == null) return null;
+  const from = formatCurrencyDisplay(subscription.previousAmount, subscription.currency);
+  const to = formatCurrencyDisplay(subscription.amount, subscription.currency);
+  return `${from} → ${to}`;
+};
+
+export const SubscriptionList: React.FC<SubscriptionListProps> = ({ subscriptions, saving = false, onReview }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>Merchant</TableCell>
+        <TableCell align="right">Charge</TableCell>
+        <TableCell>Next charge</TableCell>
+        <TableCell align="right">Per year</TableCell>
+        <TableCell />
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {subscriptions.map(subscription => {
+        const stopped = subscription.flags.includes('stopped');
+        const priceChange = describePriceChange(subscription);
+        return (
+          <TableRow key={subscription._id} sx={{ opacity: stopped ? 0.6 : 1 }}>
+            <TableCell>
+              <Link component={RouterLink} to={`/merchants/${subscription.merchantId}`} underline="hover">
+                {subscription.merchant.name}
+              </Link>
+              <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                {subscription.flags.map(flag => (
+                  <Chip key={flag} size="small" label={FLAG_CHIPS[flag].label} color={FLAG_CHIPS[flag].color} />
+                ))}
+                {subscription.review === 'keep' && <Chip size="small" variant="outlined" label="Keeping" />}
+              </Box>
+            </TableCell>
+            <TableCell align="right">
+              <Typography variant="body2">
+                {formatCurrencyDisplay(subscription.amount, subscription.currency)}
+                {subscription.interval === 'monthly' ? ' / month' : ' / year'}
+              </Typography>
+              {priceChange && (
+                <Typography variant="caption" color="text.secondary">{priceChange}</Typography>
+              )}
+            </TableCell>
+            <TableCell>
+              {stopped ? `Last charged ${formatDate(subscription.lastChargeAt)}` : formatDate(subscription.nextChargeAt)}
+            </TableCell>
+            <TableCell align="right">
+              {formatCurrencyDisplay(subscription.yearlyCost, subscription.currency)}
+            </TableCell>
+            <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+              {subscription.review === 'keep' ? (
+                <Button size="small" disabled={saving} onClick={() => onReview(subscription, null)}>
+                  Reconsider
+                </Button>
+              ) : (
+                <Button size="small" disabled={saving} onClick={() => onReview(subscription, 'keep')}>
+                  Keep
+                </Button>
+              )}
+              <Button size="small" color="inherit" disabled={saving} onClick={() => onReview(subscription, 'ignore')}>
+                Not a subscription
+              </Button>
+            </TableCell>
+          </TableRow>
+        );
+      })}
+    </TableBody>
+  </Table>
+);
+
+export default SubscriptionList;
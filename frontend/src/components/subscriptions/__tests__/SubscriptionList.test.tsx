@@ -0,0 +1,77 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import { MemoryRouter } from 'react-router-dom';
+import SubscriptionList from '../SubscriptionList';
+import type { Subscription } from '../../../services/api/subscriptions';
+
+const subscription = (fields: Partial<Subscription>): Subscription => ({
+  _id: 'netflix',
+  merchantId: 'merchant-netflix',
+  merchant: { _id: 'merchant-netflix', name: 'Netflix', iconKey: 'streaming', website: null },
+  currency: 'ILS',
+  interval: 'monthly',
+  amount: 54.9,
+  previousAmount: null,
+  priceChangedAt: null,
+  priceHistory: [],
+  extraCharges: [],
+  firstChargeAt: '2026-01-10T12:00:00.000Z',
+  lastChargeAt: '2026-10-10T12:00:00.000Z',
+  nextChargeAt: '2026-11-10T12:00:00.000Z',
+  chargeCount: 10,
+  review: null,
+  flags: [],
+  yearlyCost: 658.8,
+  cancelCandidate: true,
+  ...fields
+});
+
+const renderList = (subscriptions: Subscription[], onReview = jest.fn()) => {
+  render(
+    <MemoryRouter>
+      <SubscriptionList subscriptions={subscriptions} onReview={onReview} />
+    </MemoryRouter>
+  );
+};
+
+it('shows each subscription with its next charge, yearly cost and flags', () => {
+  renderList([
+    subscription({ amount: 59.9, previousAmount: 54.9, flags: ['price_changed'], yearlyCost: 718.8 }),
+    subscription({
+      _id: 'gym',
+      merchantId: 'merchant-gym',
+      merchant: { _id: 'merchant-gym', name: 'Holmes Place', iconKey: null, website: null },
+      interval: 'yearly',
+      flags: ['stopped'],
+      lastChargeAt: '2025-03-01T12:00:00.000Z'
+    })
+  ]);
+
+  expect(screen.getByRole('link', { name: 'Netflix' })).toHaveAttribute('href', '/merchants/merchant-netflix');
+  expect(screen.getByText('New price')).toBeInTheDocument();
+  expect(screen.getByText('54.90 ₪ → 59.90 ₪')).toBeInTheDocument();
+  expect(screen.getByText('10/11/2026')).toBeInTheDocument();
+  expect(screen.getByText('718.80 ₪')).toBeInTheDocument();
+  expect(screen.getByText('Stopped')).toBeInTheDocument();
+  expect(screen.getByText('Last charged 01/03/2025')).toBeInTheDocument();
+});
+
+it('keeps, reconsiders and ignores subscriptions', async () => {
+  const onReview = jest.fn();
+  renderList([
+    subscription({}),
+    subscription({ _id: 'kept', review: 'keep', merchant: { _id: 'm2', name: 'Spotify', iconKey: null, website: null } })
+  ], onReview);
+
+  await userEvent.click(screen.getByRole('button', { name: 'Keep' }));
+  await userEvent.click(screen.getByRole('button', { name: 'Reconsider' }));
+  await userEvent.click(screen.getAllByRole('button', { name: 'Not a subscription' })[0]);
+
+  expect(onReview.mock.calls.map(([item, review]) => [item._id, review])).toEqual([
+    ['netflix', 'keep'],
+    ['kept', null],
+    ['netflix', 'ignore']
+  ]);
+});
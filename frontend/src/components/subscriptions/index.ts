@@ -0,0 +1 @@
+export { default as SubscriptionList, describePriceChange } from './SubscriptionList';
@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import type { Category } from '../../services/api/types';
+import type { Tag, Transaction } from '../../services/api/types/transactions';
+import { transactionsApi } from '../../services/api/transactions';
+import { formatCurrencyDisplay } from '../../utils/formatters';
+import { errorMessage } from '../../utils/errors';
+
+interface SplitTransactionDialogProps {
+  open: boolean;
+  transaction: Transaction;
+  categories: Category[];
+  tags: Tag[];
+  onClose: () => void;
+  onSplit: (transaction: Transaction) => void;
+}
+
+interface PartForm {
+  amount: string;
+  categoryId: string;
+  subCategoryId: string;
+  tagIds: string[];
+  note: string;
+}
+
+const emptyPart = (): PartForm => ({ amount: '', categoryId: '', subCategoryId: '', tagIds: [], note: '' });
+
+const toCents = (value: string | number) => Math.round(Math.abs(Number(value) || 0) * 100);
+
+// Parts are entered as the size of each share; the transaction's sign is put back on saving.
+const toForm = (transaction: Transaction): PartForm[] => {
+  if (transaction.splits?.length) {
+    return transaction.splits.map(split => ({
+      amount: String(Math.abs(split.amount)),
+      categoryId: split.category?._id ?? '',
+      subCategoryId: split.subCategory?._id ?? '',
+      tagIds: (split.tags ?? []).map(tag => tag._id),
+      note: split.note ?? ''
+    }));
+  }
+  return [
+    {
+      ...emptyPart(),
+      amount: String(Math.abs(transaction.amount)),
+      categoryId: transaction.category?._id ?? '',
+      subCategoryId: transaction.subCategory?._id ?? ''
+    },
+    emptyPart()
+  ];
+};
+
+/**
+ * Divides one transaction between categories, each part with its own tags, so
+ * that a shop receipt covering groceries and household goods, or a payment
+ * partly for a project, is counted where each part belongs.
+ */
+const SplitTransactionDialog: React.FC<SplitTransactionDialogProps> = ({
+  open,
+  transaction,
+  categories,
+  tags,
+  onClose,
+  onSplit
+}) => {
+  const [parts, setParts] = useState<PartForm[]>(() => toForm(transaction));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) {
+      setParts(toForm(transaction));
+      setError(null);
+    }
+  }, [open, transaction]);
+
+  const updatePart = (index: number, changes: Partial<PartForm>) => {
+    setParts(prev => prev.map((part, i) => (i === index ? { ...part, ...changes } : part)));
+  };
+
+  const remainingCents = toCents(transaction.amount) - parts.reduce((sum, part) => sum + toCents(part.amount), 0);
+  const complete = parts.length >= 2 && parts.every(part => {
+    const category = categories.find(option => option._id === part.categoryId);
+    return toCents(part.amount) > 0 && category && (category.type !== 'Expense' || part.subCategoryId);
+  });
+  const sign = transaction.amount < 0 ? -1 : 1;
+
+  const run = async (action: () => Promise<Transaction>, fallback: string) => {
+    setSaving(true);
+    setError(null);
+    try {
+      onSplit(await action());
+    } catch (err) {
+      console.error(`${fallback}:`, err);
+      setError(errorMessage(err, `${fallback}.`));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => run(() => transactionsApi.setSplits(transaction._id, parts.map(part => ({
+    amount: (sign * toCents(part.amount)) / 100,
+    categoryId: part.categoryId,
+    subCategoryId: part.subCategoryId || null,
+    tagIds: part.tagIds,
+    note: part.note.trim() || undefined
+  }))), 'Failed to split the transaction');
+
+  const handleUnsplit = () => run(() => transactionsApi.clearSplits(transaction._id), 'Failed to undo the split');
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Split Transaction</DialogTitle>
+      <DialogContent>
+        <Box display="flex" flexDirection="column" gap={2} mt={1}>
+          {error && <Alert severity="error" onClose={() => setError(null)}>{error}</Alert>}
+          <Typography variant="body2" color="text.secondary">
+            {transaction.description} - {formatCurrencyDisplay(transaction.amount, transaction.currency)}.
+            Tags on the transaction cover all of it; tags on a part cover only that part.
+          </Typography>
+
+          {parts.map((part, index) => {
+            const category = categories.find(option => option._id === part.categoryId);
+            return (
+              <Box
+                key={index}
+                display="grid"
+                gridTemplateColumns={{ xs: '1fr', sm: '110px 1fr 1fr 1fr auto' }}
+                gap={1}
+                alignItems="center"
+              >
+                <TextField
+                  label={`Part ${index + 1} amount`}
+                  size="small"
+                  type="number"
+                  value={part.amount}
+                  onChange={(e) => updatePart(index, { amount: e.target.value })}
+                  inputProps={{ min: 0, step: 0.01 }}
+                />
+                <FormControl size="small" fullWidth>
+                  <InputLabel id={`split-category-${index}`}>Category</InputLabel>
+                  <Select
+                    labelId={`split-category-${index}`}
+                    label="Category"
+                    value={part.categoryId}
+                    onChange={(e) => updatePart(index, { categoryId: e.target.value, subCategoryId: '' })}
+                  >
+                    {categories.map(option => (
+                      <MenuItem key={option._id} value={option._id}>{option.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl size="small" fullWidth disabled={!category?.subCategories?.length}>
+                  <InputLabel id={`split-subcategory-${index}`}>Subcategory</InputLabel>
+                  <Select
+                    labelId={`split-subcategory-${index}`}
+                    label="Subcategory"
+                    value={part.subCategoryId}
+                    onChange={(e) => updatePart(index, { subCategoryId: e.target.value })}
+                  >
+                    {(category?.subCategories ?? []).map(option => (
+                      <MenuItem key={option._id} value={option._id}>{option.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl size="small" fullWidth>
+                  <InputLabel id={`split-tags-${index}`}>Tags</InputLabel>
+                  <Select
+                    labelId={`split-tags-${index}`}
+                    label="Tags"
+                    multiple
+                    value={part.tagIds}
+                    onChange={(e) => updatePart(index, {
+                      tagIds: typeof e.target.value === 'string' ? e.target.value.split(',') : e.target.value
+                    })}
+                    renderValue={(ids) => ids.map(id => tags.find(tag => tag._id === id)?.name ?? id).join(', ')}
+                  >
+                    {tags.map(tag => (
+                      <MenuItem key={tag._id} value={tag._id}>{tag.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <IconButton
+                  aria-label={`Remove part ${index + 1}`}
+                  disabled={parts.length <= 2}
+                  onClick={() => setParts(prev => prev.filter((_, i) => i !== index))}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            );
+          })}
+
+          <Box display="flex" justifyContent="space-between" alignItems="center">
+            <Button startIcon={<AddIcon />} onClick={() => setParts(prev => [...prev, emptyPart()])}>
+              Add part
+            </Button>
+            <Typography variant="body2" color={remainingCents === 0 ? 'text.secondary' : 'error'}>
+              {remainingCents === 0
+                ? 'The parts add up to the transaction'
+                : `${formatCurrencyDisplay(remainingCents / 100, transaction.currency)} ${remainingCents > 0 ? 'left to assign' : 'too much'}`}
+            </Typography>
+          </Box>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        {transaction.splits?.length ? (
+          <Button color="warning" onClick={handleUnsplit} disabled={saving} sx={{ mr: 'auto' }}>
+            Undo split
+          </Button>
+        ) : null}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !complete || remainingCents !== 0}>
+          {saving ? <CircularProgress size={20} /> : 'Save split'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SplitTransactionDialog;
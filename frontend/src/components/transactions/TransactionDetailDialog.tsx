@@ -21,6 +21,9 @@ import {
   CalendarToday as CalendarIcon,
   Description as DescriptionIcon,
   LocalOffer as TagIcon,
+  CallSplit as SplitIcon,
+  SwapHoriz as TransferIcon,
+  Undo as RefundIcon,
 } from '@mui/icons-material';
 import { format } from 'date-fns';
 import type { Transaction, Tag } from '../../services/api/types/transactions';
@@ -30,6 +33,7 @@ import { transactionsApi } from '../../services/api/transactions';
 import { useCategories } from '../../hooks/useCategories';
 import CategoryIcon from '../common/CategoryIcon';
 import TransactionBudgetExclusion from './TransactionBudgetExclusion';
+import SplitTransactionDialog from './SplitTransactionDialog';
 
 interface TransactionDetailDialogProps {
   open: boolean;
@@ -45,6 +49,7 @@ const TransactionDetailDialog: React.FC<TransactionDetailDialogProps> = ({
   onTransactionUpdated,
 }) => {
   const [categoryDialogOpen, setCategoryDialogOpen] = useState(false);
+  const [splitDialogOpen, setSplitDialogOpen] = useState(false);
   const [allTags, setAllTags] = useState<Tag[]>([]);
   const [tagsLoading, setTagsLoading] = useState(false);
   const [updating, setUpdating] = useState(false);
@@ -215,6 +220,39 @@ const TransactionDetailDialog: React.FC<TransactionDetailDialogProps> = ({
     }
   };
 
+  const handleUnlinkTransfer = async () => {
+    if (!transaction) return;
+    setUpdating(true);
+    setError(null);
+    try {
+      onTransactionUpdated?.(await transactionsApi.unlinkTransfer(transaction._id));
+    } catch (err) {
+      console.error('Failed to unlink transfer:', err);
+      setError('Failed to unlink the transfer. Please try again.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleUnlinkRefund = async () => {
+    if (!transaction) return;
+    setUpdating(true);
+    setError(null);
+    try {
+      onTransactionUpdated?.(await transactionsApi.unlinkRefund(transaction._id));
+    } catch (err) {
+      console.error('Failed to unlink refund:', err);
+      setError('Failed to unlink the refund. Please try again.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleSplit = (updatedTransaction: Transaction) => {
+    onTransactionUpdated?.(updatedTransaction);
+    setSplitDialogOpen(false);
+  };
+
   const getTransactionTypeColor = (type?: string) => {
     switch (type) {
       case 'Expense':
@@ -417,6 +455,68 @@ const TransactionDetailDialog: React.FC<TransactionDetailDialogProps> = ({
                 </Box>
               </Box>
               
+              {/* One side of money moved between the user's own accounts */}
+              {transaction.transferCounterpart && (
+                <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 2, mb: 1 }}>
+                  <TransferIcon sx={{ color: 'grey.600', fontSize: 20, mt: 0.25 }} />
+                  <Box sx={{ flex: 1 }}>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      Transfer between your accounts
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Linked with the matching {transaction.amount < 0 ? 'deposit' : 'withdrawal'} in your other
+                      account, so neither counts in your budget.
+                    </Typography>
+                  </Box>
+                  <Button size="small" onClick={handleUnlinkTransfer} disabled={updating}>
+                    Not a transfer
+                  </Button>
+                </Box>
+              )}
+
+              {/* A card refund linked to the purchase it gives back */}
+              {transaction.refundOf && (
+                <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 2, mb: 1 }}>
+                  <RefundIcon sx={{ color: 'grey.600', fontSize: 20, mt: 0.25 }} />
+                  <Box sx={{ flex: 1 }}>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      Refund of an earlier purchase
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Linked with the purchase it gives back, so it lowers that category's spending
+                      instead of counting as income.
+                    </Typography>
+                  </Box>
+                  <Button size="small" onClick={handleUnlinkRefund} disabled={updating}>
+                    Not a refund
+                  </Button>
+                </Box>
+              )}
+
+              {/* A split transaction's parts, each counted in its own category */}
+              {transaction.splits && transaction.splits.length > 0 && (
+                <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 2, mb: 1 }}>
+                  <SplitIcon sx={{ color: 'grey.600', fontSize: 20, mt: 0.25 }} />
+                  <Box sx={{ flex: 1 }}>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      Split into {transaction.splits.length} parts
+                    </Typography>
+                    {transaction.splits.map(split => (
+                      <Box key={split._id} sx={{ display: 'flex', justifyContent: 'space-between', gap: 1 }}>
+                        <Typography variant="body2" color="text.secondary">
+                          {[split.category?.name, split.subCategory?.name].filter(Boolean).join(' › ')}
+                          {split.tags?.length ? ` · ${split.tags.map(tag => tag.name).join(', ')}` : ''}
+                          {split.note ? ` · ${split.note}` : ''}
+                        </Typography>
+                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                          {formatCurrencyDisplay(split.amount, chargedCurrency)}
+                        </Typography>
+                      </Box>
+                    ))}
+                  </Box>
+                </Box>
+              )}
+
               <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 2, mb: 1 }}>
                 <CalendarIcon sx={{ color: 'grey.600', fontSize: 20, mt: 0.25 }} />
                 <Box>
@@ -577,6 +677,9 @@ const TransactionDetailDialog: React.FC<TransactionDetailDialogProps> = ({
         </DialogContent>
 
         <DialogActions sx={{ px: 3, pb: 3 }}>
+          <Button startIcon={<SplitIcon />} onClick={() => setSplitDialogOpen(true)} sx={{ mr: 'auto' }}>
+            {transaction.splits?.length ? 'Edit split' : 'Split'}
+          </Button>
           <Button onClick={handleClose} variant="outlined">
             {hasTagChanges() ? 'Save' : 'Close'}
           </Button>
@@ -591,6 +694,15 @@ const TransactionDetailDialog: React.FC<TransactionDetailDialogProps> = ({
         onCategorize={handleCategoryUpdate}
         isLoading={updating}
       />
+
+      <SplitTransactionDialog
+        open={splitDialogOpen}
+        transaction={transaction}
+        categories={categories}
+        tags={allTags}
+        onClose={() => setSplitDialogOpen(false)}
+        onSplit={handleSplit}
+      />
     </>
   );
 };
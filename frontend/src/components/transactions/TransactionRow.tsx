@@ -95,13 +95,25 @@ const TransactionRow: React.FC<TransactionRowProps> = ({
               )}
             </Box>
           )}
-          <Typography 
-            variant="body2"
-            data-testid={`${baseTestId}-description`}
-            color="text.secondary"
-          >
-            {transaction.description}
-          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography 
+              variant="body2"
+              data-testid={`${baseTestId}-description`}
+              color="text.secondary"
+            >
+              {transaction.description}
+            </Typography>
+            {/* Authorised but not settled; the amount may still change */}
+            {transaction.status === 'pending' && (
+              <Chip
+                label="Pending"
+                size="small"
+                variant="outlined"
+                sx={{ height: '18px', fontSize: '0.65rem' }}
+                data-testid={`${baseTestId}-pending-indicator`}
+              />
+            )}
+          </Box>
         </Box>
         
         <Typography
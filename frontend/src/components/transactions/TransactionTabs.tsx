@@ -32,6 +32,8 @@ import { BankAccountsList } from '../bank/BankAccountsList';
 import TransactionsList from './TransactionsList';
 import FilterPanel from './FilterPanel';
 import TransactionDetailDialog from './TransactionDetailDialog';
+import TransferReviewPanel from './TransferReviewPanel';
+import ExportMenu from '../common/ExportMenu';
 import { TransactionFilters } from '../../services/api/types';
 import type { Transaction } from '../../services/api/types/transactions';
 
@@ -203,13 +205,19 @@ const AllTransactionsView: React.FC = () => {
         <Typography variant="h5" component="h2">
           All Transactions
         </Typography>
-        <Button
-          startIcon={<ResetIcon />}
-          onClick={resetFilters}
-          size="small"
-        >
-          Reset Filters
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <ExportMenu
+            datasets={['transactions']}
+            filters={{ startDate: filters.startDate, endDate: filters.endDate, accountId: filters.accountId }}
+          />
+          <Button
+            startIcon={<ResetIcon />}
+            onClick={resetFilters}
+            size="small"
+          >
+            Reset Filters
+          </Button>
+        </Box>
       </Box>
 
       <FilterPanel
@@ -221,6 +229,11 @@ const AllTransactionsView: React.FC = () => {
         onFilterChange={updateFilters}
       />
 
+      <TransferReviewPanel
+        refreshTrigger={refreshTrigger + revision}
+        onResolved={() => setRefreshTrigger(prev => prev + 1)}
+      />
+
       <TransactionsList 
         filters={filters} 
         onRowClick={handleTransactionClick}
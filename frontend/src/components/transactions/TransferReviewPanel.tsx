@@ -0,0 +1,143 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Collapse,
+  Paper,
+  Typography
+} from '@mui/material';
+import { SwapHoriz as TransferIcon } from '@mui/icons-material';
+import { format } from 'date-fns';
+import { transactionsApi } from '../../services/api/transactions';
+import type { TransferLeg, TransferMatch } from '../../services/api/types/transactions';
+import { formatCurrencyDisplay } from '../../utils/formatters';
+
+interface TransferReviewPanelProps {
+  /** Reloads the review queue when it changes */
+  refreshTrigger?: number;
+  /** Called after a pair was confirmed, since both legs change type */
+  onResolved?: () => void;
+}
+
+const REASON_LABELS: Record<string, string> = {
+  exact_amount: 'Same amount',
+  close_amount: 'Amount within fees',
+  converted_amount: 'Amount matches after conversion',
+  same_day: 'Same day',
+  within_days: 'A few days apart',
+  transfer_description: 'Described as a transfer',
+  several_candidates: 'Other possible matches'
+};
+
+const LegSummary: React.FC<{ leg: TransferLeg; label: string }> = ({ leg, label }) => (
+  <Box sx={{ flex: 1, minWidth: 0 }}>
+    <Typography variant="caption" color="text.secondary" display="block">
+      {label} {leg.accountName || 'an unknown account'} · {format(new Date(leg.date), 'MMM d, yyyy')}
+    </Typography>
+    <Typography variant="body2" noWrap title={leg.description}>{leg.description}</Typography>
+    <Typography variant="body2" sx={{ fontFamily: 'monospace' }} color={leg.amount < 0 ? 'error.main' : 'success.main'}>
+      {formatCurrencyDisplay(leg.amount, leg.currency)}
+    </Typography>
+  </Box>
+);
+
+/**
+ * Pairs of transactions that look like money moved between the user's own
+ * accounts, but not clearly enough to be linked without asking. Confirming a
+ * pair turns both legs into one transfer that counts in neither budget column.
+ */
+export const TransferReviewPanel: React.FC<TransferReviewPanelProps> = ({ refreshTrigger = 0, onResolved }) => {
+  const [matches, setMatches] = useState<TransferMatch[]>([]);
+  const [expanded, setExpanded] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      setMatches(await transactionsApi.getTransferReview());
+    } catch (err) {
+      console.error('Failed to load suggested transfers:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshTrigger]);
+
+  const resolve = async (match: TransferMatch, confirm: boolean) => {
+    setBusyId(match._id);
+    setError('');
+    try {
+      if (confirm) {
+        await transactionsApi.confirmTransfer(match._id);
+        onResolved?.();
+      } else {
+        await transactionsApi.rejectTransfer(match._id);
+      }
+      await load();
+    } catch (err) {
+      console.error('Failed to resolve suggested transfer:', err);
+      setError(confirm ? 'Failed to confirm the transfer' : 'Failed to dismiss the suggestion');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (matches.length === 0) return null;
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <TransferIcon color="info" />
+        <Typography variant="subtitle1" sx={{ flex: 1 }}>
+          {matches.length} possible transfer{matches.length === 1 ? '' : 's'} between your accounts
+        </Typography>
+        <Button size="small" onClick={() => setExpanded(value => !value)}>
+          {expanded ? 'Hide' : 'Review'}
+        </Button>
+      </Box>
+
+      <Collapse in={expanded}>
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+        {matches.map(match => (
+          <Box
+            key={match._id}
+            data-testid={`transfer-match-${match._id}`}
+            sx={{ mt: 2, pt: 2, borderTop: 1, borderColor: 'divider' }}
+          >
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+              <LegSummary leg={match.outgoingTransaction} label="From" />
+              <TransferIcon color="action" />
+              <LegSummary leg={match.incomingTransaction} label="To" />
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 1 }}>
+              {match.reasons.map(reason => (
+                <Chip key={reason} label={REASON_LABELS[reason] || reason} size="small" variant="outlined" />
+              ))}
+              <Box sx={{ flex: 1 }} />
+              <Button
+                size="small"
+                disabled={busyId === match._id}
+                onClick={() => resolve(match, false)}
+              >
+                Not a transfer
+              </Button>
+              <Button
+                size="small"
+                variant="contained"
+                disabled={busyId === match._id}
+                onClick={() => resolve(match, true)}
+              >
+                Confirm transfer
+              </Button>
+            </Box>
+          </Box>
+        ))}
+      </Collapse>
+    </Paper>
+  );
+};
+
+export default TransferReviewPanel;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SplitTransactionDialog from '../SplitTransactionDialog';
+import type { Category } from '../../../services/api/types';
+import type { Transaction } from '../../../services/api/types/transactions';
+import { transactionsApi } from '../../../services/api/transactions';
+
+jest.mock('../../../services/api/transactions', () => ({
+  transactionsApi: {
+    setSplits: jest.fn(),
+    clearSplits: jest.fn()
+  }
+}));
+
+const api = transactionsApi as jest.Mocked<typeof transactionsApi>;
+
+const category = (id: string, name: string, subId: string, subName: string): Category => ({
+  _id: id,
+  name,
+  type: 'Expense',
+  userId: 'user-id',
+  subCategories: [{
+    _id: subId,
+    name: subName,
+    parentCategory: id,
+    userId: 'user-id',
+    keywords: [],
+    isDefault: false,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z'
+  }],
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+});
+
+const health = category('cat-health', 'Health', 'sub-pharmacy', 'Pharmacy');
+const home = category('cat-home', 'Home', 'sub-cleaning', 'Cleaning');
+
+const split: Transaction = {
+  _id: 'transaction-id',
+  identifier: 'transaction-identifier',
+  accountId: 'account-id',
+  amount: -300,
+  currency: 'ILS',
+  date: '2026-03-10T12:00:00.000Z',
+  type: 'Expense',
+  description: 'SUPER-PHARM',
+  categorizationMethod: 'manual',
+  rawData: {},
+  createdAt: '2026-03-10T12:00:00.000Z',
+  updatedAt: '2026-03-10T12:00:00.000Z',
+  userId: 'user-id',
+  status: 'verified',
+  category: health,
+  subCategory: health.subCategories![0],
+  splits: [
+    { _id: 'split-1', amount: -200, category: health, subCategory: health.subCategories![0], tags: [] },
+    {
+      _id: 'split-2',
+      amount: -100,
+      category: home,
+      subCategory: home.subCategories![0],
+      tags: [{ _id: 'tag-1', name: 'project:renovation', type: 'project' }],
+      note: 'Paint'
+    }
+  ]
+};
+
+const renderDialog = (onSplit = jest.fn()) => {
+  render(
+    <SplitTransactionDialog
+      open
+      transaction={split}
+      categories={[health, home]}
+      tags={[{ _id: 'tag-1', name: 'project:renovation', type: 'project' }]}
+      onClose={jest.fn()}
+      onSplit={onSplit}
+    />
+  );
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+it('saves the parts with the transaction\'s sign once they add up to it', async () => {
+  api.setSplits.mockResolvedValue(split);
+  const onSplit = jest.fn();
+  renderDialog(onSplit);
+
+  const first = screen.getByLabelText('Part 1 amount');
+  await userEvent.clear(first);
+  await userEvent.type(first, '150');
+
+  expect(screen.getByText(/left to assign/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Save split' })).toBeDisabled();
+
+  const second = screen.getByLabelText('Part 2 amount');
+  await userEvent.clear(second);
+  await userEvent.type(second, '150');
+  await userEvent.click(screen.getByRole('button', { name: 'Save split' }));
+
+  await waitFor(() => expect(onSplit).toHaveBeenCalledWith(split));
+  expect(api.setSplits).toHaveBeenCalledWith('transaction-id', [
+    { amount: -150, categoryId: 'cat-health', subCategoryId: 'sub-pharmacy', tagIds: [], note: undefined },
+    { amount: -150, categoryId: 'cat-home', subCategoryId: 'sub-cleaning', tagIds: ['tag-1'], note: 'Paint' }
+  ]);
+});
+
+it('puts a split transaction back to one category', async () => {
+  api.clearSplits.mockResolvedValue({ ...split, splits: undefined });
+  const onSplit = jest.fn();
+  renderDialog(onSplit);
+
+  await userEvent.click(screen.getByRole('button', { name: 'Undo split' }));
+
+  await waitFor(() => expect(onSplit).toHaveBeenCalledWith(expect.objectContaining({ splits: undefined })));
+  expect(api.clearSplits).toHaveBeenCalledWith('transaction-id');
+});
+
+it('shows why the server refused the split', async () => {
+  api.setSplits.mockRejectedValue({ response: { data: { error: 'An expense part needs a subcategory' } } });
+  const onSplit = jest.fn();
+  renderDialog(onSplit);
+
+  await userEvent.click(screen.getByRole('button', { name: 'Save split' }));
+
+  expect(await screen.findByText('An expense part needs a subcategory')).toBeInTheDocument();
+  expect(onSplit).not.toHaveBeenCalled();
+});
@@ -1,12 +1,15 @@
 import React from 'react';
 import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import TransactionDetailDialog from '../TransactionDetailDialog';
 import type { Transaction } from '../../../services/api/types/transactions';
 import { transactionsApi } from '../../../services/api/transactions';
 
 jest.mock('../../../services/api/transactions', () => ({
   transactionsApi: {
-    getTags: jest.fn()
+    getTags: jest.fn(),
+    unlinkTransfer: jest.fn(),
+    unlinkRefund: jest.fn()
   }
 }));
 
@@ -122,3 +125,47 @@ it('treats a whitespace-only original amount as unavailable', async () => {
   expect(screen.queryByText('0.00 USD')).not.toBeInTheDocument();
   await waitFor(() => expect(getTags).toHaveBeenCalled());
 });
+
+it('unlinks a transfer the matcher got wrong', async () => {
+  const unlinkTransfer = transactionsApi.unlinkTransfer as jest.MockedFunction<typeof transactionsApi.unlinkTransfer>;
+  const unlinked = { ...transaction({}), transferCounterpart: null };
+  unlinkTransfer.mockResolvedValue(unlinked);
+  const onTransactionUpdated = jest.fn();
+
+  render(
+    <TransactionDetailDialog
+      open
+      transaction={{ ...transaction({}), type: 'Transfer', transferCounterpart: 'other-leg' }}
+      onClose={jest.fn()}
+      onTransactionUpdated={onTransactionUpdated}
+    />
+  );
+
+  expect(screen.getByText('Transfer between your accounts')).toBeInTheDocument();
+  await userEvent.click(screen.getByRole('button', { name: 'Not a transfer' }));
+
+  expect(unlinkTransfer).toHaveBeenCalledWith('transaction-id');
+  await waitFor(() => expect(onTransactionUpdated).toHaveBeenCalledWith(unlinked));
+});
+
+it('unlinks a refund from the purchase it was matched with', async () => {
+  const unlinkRefund = transactionsApi.unlinkRefund as jest.MockedFunction<typeof transactionsApi.unlinkRefund>;
+  const unlinked = { ...transaction({}), amount: 150, refundOf: null };
+  unlinkRefund.mockResolvedValue(unlinked);
+  const onTransactionUpdated = jest.fn();
+
+  render(
+    <TransactionDetailDialog
+      open
+      transaction={{ ...transaction({}), amount: 150, refundOf: 'purchase-id' }}
+      onClose={jest.fn()}
+      onTransactionUpdated={onTransactionUpdated}
+    />
+  );
+
+  expect(screen.getByText('Refund of an earlier purchase')).toBeInTheDocument();
+  await userEvent.click(screen.getByRole('button', { name: 'Not a refund' }));
+
+  expect(unlinkRefund).toHaveBeenCalledWith('transaction-id');
+  await waitFor(() => expect(onTransactionUpdated).toHaveBeenCalledWith(unlinked));
+});
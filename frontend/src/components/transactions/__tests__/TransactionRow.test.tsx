@@ -0,0 +1,33 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import TransactionRow from '../TransactionRow';
+import type { Transaction } from '../../../services/api/types/transactions';
+
+const transaction = (fields: Partial<Transaction>): Transaction => ({
+  _id: 'tx-1',
+  identifier: 'tx-1',
+  accountId: 'account-1',
+  amount: -104.5,
+  currency: 'ILS',
+  date: '2026-03-10T00:00:00.000Z',
+  description: 'WOLT',
+  categorizationMethod: 'ai',
+  rawData: {} as Transaction['rawData'],
+  createdAt: '2026-03-10T00:00:00.000Z',
+  updatedAt: '2026-03-10T00:00:00.000Z',
+  userId: 'user-1',
+  status: 'verified',
+  ...fields
+});
+
+it('marks a charge the bank has not settled yet', () => {
+  render(<TransactionRow transaction={transaction({ status: 'pending' })} />);
+
+  expect(screen.getByTestId('transaction-tx-1-pending-indicator')).toHaveTextContent('Pending');
+});
+
+it('shows nothing extra once the charge has settled', () => {
+  render(<TransactionRow transaction={transaction({})} />);
+
+  expect(screen.queryByTestId('transaction-tx-1-pending-indicator')).not.toBeInTheDocument();
+});
@@ -0,0 +1,89 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TransferReviewPanel from '../TransferReviewPanel';
+import { transactionsApi } from '../../../services/api/transactions';
+import type { TransferMatch } from '../../../services/api/types/transactions';
+
+jest.mock('../../../services/api/transactions', () => ({
+  transactionsApi: {
+    getTransferReview: jest.fn(),
+    confirmTransfer: jest.fn(),
+    rejectTransfer: jest.fn()
+  }
+}));
+
+const api = transactionsApi as jest.Mocked<typeof transactionsApi>;
+
+const match = (fields: Partial<TransferMatch> = {}): TransferMatch => ({
+  _id: 'match',
+  outgoingTransaction: {
+    _id: 'out',
+    accountId: 'mercury',
+    accountName: 'Mercury Checking',
+    amount: -1000,
+    currency: 'USD',
+    date: '2026-03-10T08:00:00.000Z',
+    description: 'Wire to Leumi'
+  },
+  incomingTransaction: {
+    _id: 'in',
+    accountId: 'leumi',
+    accountName: 'Leumi',
+    amount: 3650,
+    currency: 'ILS',
+    date: '2026-03-12T08:00:00.000Z',
+    description: 'העברה מחו"ל'
+  },
+  confidence: 70,
+  reasons: ['converted_amount', 'within_days', 'transfer_description'],
+  status: 'suggested',
+  createdAt: '2026-03-12T09:00:00.000Z',
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+it('shows nothing when there is nothing to review', async () => {
+  api.getTransferReview.mockResolvedValue([]);
+
+  const { container } = render(<TransferReviewPanel />);
+
+  await waitFor(() => expect(api.getTransferReview).toHaveBeenCalled());
+  expect(container).toBeEmptyDOMElement();
+});
+
+it('confirms a suggested pair and tells the page to reload', async () => {
+  api.getTransferReview.mockResolvedValueOnce([match()]).mockResolvedValueOnce([]);
+  api.confirmTransfer.mockResolvedValue({ ...match(), status: 'confirmed' });
+  const onResolved = jest.fn();
+
+  render(<TransferReviewPanel onResolved={onResolved} />);
+
+  await userEvent.click(await screen.findByRole('button', { name: 'Review' }));
+  const pair = screen.getByTestId('transfer-match-match');
+  expect(within(pair).getByText(/From Mercury Checking/)).toBeInTheDocument();
+  expect(within(pair).getByText('Amount matches after conversion')).toBeInTheDocument();
+
+  await userEvent.click(within(pair).getByRole('button', { name: 'Confirm transfer' }));
+
+  expect(api.confirmTransfer).toHaveBeenCalledWith('match');
+  expect(onResolved).toHaveBeenCalled();
+  await waitFor(() => expect(screen.queryByTestId('transfer-match-match')).not.toBeInTheDocument());
+});
+
+it('dismisses a pair that is not a transfer', async () => {
+  api.getTransferReview.mockResolvedValueOnce([match()]).mockResolvedValueOnce([]);
+  api.rejectTransfer.mockResolvedValue({ ...match(), status: 'rejected' });
+  const onResolved = jest.fn();
+
+  render(<TransferReviewPanel onResolved={onResolved} />);
+
+  await userEvent.click(await screen.findByRole('button', { name: 'Review' }));
+  await userEvent.click(screen.getByRole('button', { name: 'Not a transfer' }));
+
+  expect(api.rejectTransfer).toHaveBeenCalledWith('match');
+  expect(onResolved).not.toHaveBeenCalled();
+});
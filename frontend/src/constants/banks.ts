@@ -56,6 +56,14 @@ export const SUPPORTED_BANKS: SupportedBank[] = [
   ...OTP_BANKS
 ];
 
+// Pseudo bank for accounts fed by uploaded statement files. Not offered when
+// adding an account: one is created by the first import.
+export const FILE_IMPORT_BANK: SupportedBank = {
+  id: 'file-import', name: 'Statement files', monogram: 'FI', color: '#546E7A'
+};
+
+export const isFileImportAccount = (bankId: string): boolean => bankId === FILE_IMPORT_BANK.id;
+
 // Helper functions for bank classification
 export const getBankType = (bankId: string): 'checking' | 'credit' | 'api' | 'otp' | null => {
   if (CHECKING_ACCOUNT_BANKS.some(bank => bank.id === bankId)) {
@@ -103,10 +111,24 @@ export const getBankStrategies = (bankId?: string): string[] => {
     case 'ibkr': return ['ibkr-flex'];
     case 'phoenix': return ['phoenix-pension'];
     case 'clal': return ['clal-pension'];
+    case 'file-import': return [];
     default: return ['checking-accounts', 'investment-portfolios', 'foreign-currency'];
   }
 };
 
+const STRATEGY_DISPLAY_NAMES: Record<string, string> = {
+  'checking-accounts': 'Checking',
+  'investment-portfolios': 'Investments',
+  'foreign-currency': 'Foreign Currency',
+  'mercury-checking': 'Mercury Checking',
+  'ibkr-flex': 'IBKR Flex',
+  'phoenix-pension': 'Phoenix Pension',
+  'clal-pension': 'Clal Pension'
+};
+
+export const getStrategyDisplayName = (strategyKey: string): string =>
+  STRATEGY_DISPLAY_NAMES[strategyKey] || strategyKey;
+
 export const getBanksByType = (type: 'checking' | 'credit' | 'api' | 'otp'): SupportedBank[] => {
   if (type === 'checking') return CHECKING_ACCOUNT_BANKS;
   if (type === 'credit') return CREDIT_CARD_PROVIDERS;
@@ -115,6 +137,6 @@ export const getBanksByType = (type: 'checking' | 'credit' | 'api' | 'otp'): Sup
 };
 
 export const getBank = (bankId: string): SupportedBank | undefined =>
-  SUPPORTED_BANKS.find(bank => bank.id === bankId);
+  [...SUPPORTED_BANKS, FILE_IMPORT_BANK].find(bank => bank.id === bankId);
 
 export const getBankName = (bankId: string): string => getBank(bankId)?.name ?? bankId;
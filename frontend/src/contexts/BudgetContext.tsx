@@ -61,6 +61,22 @@ export const BudgetProvider: React.FC<BudgetProviderProps> = ({ children }) => {
   const [currentYear, setCurrentYear] = useState(now.getFullYear());
   const [currentMonth, setCurrentMonth] = useState(now.getMonth() + 1);
 
+  // A budget month that starts on, say, the 10th - or when the salary lands -
+  // need not be the calendar month, so open on the one today falls in.
+  useEffect(() => {
+    let cancelled = false;
+    budgetsApi.getCurrentPeriod()
+      .then((period) => {
+        if (cancelled || !period) return;
+        setCurrentYear(period.year);
+        setCurrentMonth(period.month);
+      })
+      .catch((error) => console.error('Error loading the current budget period:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   // Utility function to handle errors
   const handleError = (error: any, operation: string) => {
     console.error(`Error in ${operation}:`, error);
@@ -6,6 +6,7 @@ import {
   isCategorizationEvent,
   reduceCategorization
 } from './categorizationState';
+import { ApplyRulesProgress } from '../services/api/rules';
 
 interface CategorizationContextValue extends CategorizationState {
   dismiss: () => void;
@@ -16,6 +17,15 @@ interface CategorizationContextValue extends CategorizationState {
    * `EventSource`, so subscribing again would mean two connections per tab.
    */
   projectSuggestionsNonce: number;
+  /**
+   * The outcome of the last re-apply of transaction rules to past
+   * transactions, which runs as a queued job. Null until one finishes.
+   */
+  rulesApplied: ApplyRulesProgress | null;
+  /** Bumped whenever the server raises new alerts for the user. */
+  notificationsNonce: number;
+  /** Bumped whenever a bank refuses an account's saved login. */
+  reauthNonce: number;
 }
 
 /**
@@ -32,12 +42,18 @@ interface CategorizationContextValue extends CategorizationState {
 const CategorizationContext = createContext<CategorizationContextValue>({
   ...initialCategorizationState,
   dismiss: () => {},
-  projectSuggestionsNonce: 0
+  projectSuggestionsNonce: 0,
+  rulesApplied: null,
+  notificationsNonce: 0,
+  reauthNonce: 0
 });
 
 export const CategorizationProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [state, dispatch] = useReducer(reduceCategorization, initialCategorizationState);
   const [projectSuggestionsNonce, setProjectSuggestionsNonce] = useState(0);
+  const [rulesApplied, setRulesApplied] = useState<ApplyRulesProgress | null>(null);
+  const [notificationsNonce, setNotificationsNonce] = useState(0);
+  const [reauthNonce, setReauthNonce] = useState(0);
 
   // useSSE tears down and reopens the stream whenever this changes identity, so
   // it must not depend on the state it updates.
@@ -48,6 +64,15 @@ export const CategorizationProvider: React.FC<{ children: React.ReactNode }> = (
     if (event.type === 'projects:suggestions') {
       setProjectSuggestionsNonce((n) => n + 1);
     }
+    if (event.type === 'rules:completed') {
+      setRulesApplied(event.data ?? null);
+    }
+    if (event.type === 'notifications:created') {
+      setNotificationsNonce((n) => n + 1);
+    }
+    if (event.type === 'account:needs-reauth') {
+      setReauthNonce((n) => n + 1);
+    }
   }, []);
 
   useSSE(handleEvent, { autoConnect: true });
@@ -55,8 +80,8 @@ export const CategorizationProvider: React.FC<{ children: React.ReactNode }> = (
   const dismiss = useCallback(() => dispatch({ type: 'dismiss' }), []);
 
   const value = useMemo(
-    () => ({ ...state, dismiss, projectSuggestionsNonce }),
-    [state, dismiss, projectSuggestionsNonce]
+    () => ({ ...state, dismiss, projectSuggestionsNonce, rulesApplied, notificationsNonce, reauthNonce }),
+    [state, dismiss, projectSuggestionsNonce, rulesApplied, notificationsNonce, reauthNonce]
   );
 
   return <CategorizationContext.Provider value={value}>{children}</CategorizationContext.Provider>;
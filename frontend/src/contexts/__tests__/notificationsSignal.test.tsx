@@ -0,0 +1,46 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import { CategorizationProvider, useCategorization } from '../CategorizationContext';
+import { useSSE, SSEEvent, SSE_EVENT_TYPES } from '../../hooks/useSSE';
+
+let emit: (event: SSEEvent) => void;
+
+const send = (type: string, data: Record<string, unknown> = {}) => {
+  act(() => {
+    emit({ type, data, timestamp: new Date().toISOString() });
+  });
+};
+
+const Nonce: React.FC = () => {
+  const { notificationsNonce } = useCategorization();
+  return <span data-testid="nonce">{notificationsNonce}</span>;
+};
+
+describe('new alerts signal', () => {
+  beforeEach(() => {
+    emit = () => {};
+    (useSSE as jest.Mock).mockImplementation((onEvent: (event: SSEEvent) => void) => {
+      if (onEvent) emit = onEvent;
+      return { connected: true, error: null, lastEvent: null, connect: jest.fn(), disconnect: jest.fn() };
+    });
+  });
+
+  it('subscribes to the event the server actually sends', () => {
+    expect(SSE_EVENT_TYPES).toContain('notifications:created');
+  });
+
+  it('signals each time the server raises alerts, and for nothing else', () => {
+    render(
+      <CategorizationProvider>
+        <Nonce />
+      </CategorizationProvider>
+    );
+
+    send('scraping:completed', {});
+    expect(screen.getByTestId('nonce')).toHaveTextContent('0');
+
+    send('notifications:created', { count: 2 });
+    send('notifications:created', { count: 1 });
+    expect(screen.getByTestId('nonce')).toHaveTextContent('2');
+  });
+});
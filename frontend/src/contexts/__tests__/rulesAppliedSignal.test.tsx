@@ -0,0 +1,55 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import { CategorizationProvider, useCategorization } from '../CategorizationContext';
+import { useSSE, SSEEvent, SSE_EVENT_TYPES } from '../../hooks/useSSE';
+
+let emit: (event: SSEEvent) => void;
+
+const send = (type: string, data: Record<string, unknown> = {}) => {
+  act(() => {
+    emit({ type, data, timestamp: new Date().toISOString() });
+  });
+};
+
+const Outcome: React.FC = () => {
+  const { rulesApplied } = useCategorization();
+  return <span data-testid="outcome">{rulesApplied ? `${rulesApplied.updated} of ${rulesApplied.scanned}` : 'none'}</span>;
+};
+
+const renderOutcome = () =>
+  render(
+    <CategorizationProvider>
+      <Outcome />
+    </CategorizationProvider>
+  );
+
+describe('rules applied signal', () => {
+  beforeEach(() => {
+    emit = () => {};
+    (useSSE as jest.Mock).mockImplementation((onEvent: (event: SSEEvent) => void) => {
+      if (onEvent) emit = onEvent;
+      return { connected: true, error: null, lastEvent: null, connect: jest.fn(), disconnect: jest.fn() };
+    });
+  });
+
+  it('subscribes to the event the server actually sends', () => {
+    expect(SSE_EVENT_TYPES).toContain('rules:completed');
+  });
+
+  it('reports the outcome of the last re-apply', () => {
+    renderOutcome();
+    expect(screen.getByTestId('outcome')).toHaveTextContent('none');
+
+    send('rules:completed', { scanned: 120, matched: 14, updated: 9, failed: 0 });
+
+    expect(screen.getByTestId('outcome')).toHaveTextContent('9 of 120');
+  });
+
+  it('ignores the progress reports in between', () => {
+    renderOutcome();
+
+    send('rules:progress', { total: 300, scanned: 100, matched: 4, updated: 2, failed: 0 });
+
+    expect(screen.getByTestId('outcome')).toHaveTextContent('none');
+  });
+});
@@ -24,7 +24,10 @@ export const SSE_EVENT_TYPES = [
   'onboarding:credit-card-matching',
   'categorization:progress',
   'categorization:completed',
-  'projects:suggestions'
+  'projects:suggestions',
+  'rules:completed',
+  'notifications:created',
+  'account:needs-reauth'
 ] as const;
 
 export interface SSEEvent {
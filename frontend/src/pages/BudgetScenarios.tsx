@@ -0,0 +1,555 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Container,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Publish as PromoteIcon
+} from '@mui/icons-material';
+import { useSearchParams } from 'react-router-dom';
+import ScenarioItemDialog, { ScenarioItemKind } from '../components/budget/ScenarioItemDialog';
+import {
+  budgetsApi,
+  BudgetScenario,
+  BudgetScenarioChanges,
+  BudgetScenarioSummary,
+  ScenarioComparison,
+  ScenarioEvent,
+  ScenarioRecurringItem
+} from '../services/api/budgets';
+import { MONTH_NAMES_SHORT } from '../constants/dateConstants';
+import { formatCurrencyDisplay } from '../utils/formatters';
+import { errorMessage } from '../utils/errors';
+
+type Ref = { _id: string; name: string } | string | null | undefined;
+
+const refId = (ref: Ref): string | null => (typeof ref === 'string' ? ref : ref?._id ?? null);
+const refName = (ref: Ref): string => (typeof ref === 'object' && ref ? ref.name : '');
+
+const categoryName = (item: { categoryId: Ref; subCategoryId?: Ref }): string =>
+  [refName(item.categoryId), refName(item.subCategoryId)].filter(Boolean).join(' › ');
+
+const formatDay = (date: string) =>
+  new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const RECURRENCE_LABELS: Record<ScenarioRecurringItem['recurrence'], string> = {
+  monthly: 'Monthly',
+  'bi-monthly': 'Every 2 months',
+  quarterly: 'Quarterly',
+  yearly: 'Yearly'
+};
+
+const describeSchedule = (item: ScenarioRecurringItem): string => {
+  const parts = [RECURRENCE_LABELS[item.recurrence]];
+  if (item.recurrence !== 'monthly') parts.push(item.scheduledMonths.map(m => MONTH_NAMES_SHORT[m - 1]).join(', '));
+  if (item.startDate) parts.push(`from ${formatDay(item.startDate)}`);
+  if (item.endDate) parts.push(`until ${formatDay(item.endDate)}`);
+  return parts.join(' · ');
+};
+
+/**
+ * The whole scenario as the server takes it back: lists replace the stored
+ * ones, and populated references go back as ids.
+ */
+const toScenarioChanges = (scenario: BudgetScenario): Required<Pick<BudgetScenarioChanges, 'budgets' | 'recurring' | 'events'>> => ({
+  budgets: scenario.budgets.map(line => ({
+    ...line,
+    categoryId: refId(line.categoryId) ?? '',
+    subCategoryId: refId(line.subCategoryId)
+  })),
+  recurring: scenario.recurring.map(item => ({
+    ...item,
+    categoryId: refId(item.categoryId) ?? '',
+    subCategoryId: refId(item.subCategoryId)
+  })),
+  events: scenario.events.map(event => ({
+    ...event,
+    categoryId: refId(event.categoryId) ?? '',
+    subCategoryId: refId(event.subCategoryId)
+  }))
+});
+
+const signed = (amount: number) => `${amount > 0 ? '+' : amount < 0 ? '−' : ''}${formatCurrencyDisplay(Math.abs(amount))}`;
+
+const SummaryCard: React.FC<{ title: string; value: string; caption: string }> = ({ title, value, caption }) => (
+  <Card variant="outlined">
+    <CardContent>
+      <Typography variant="body2" color="text.secondary">{title}</Typography>
+      <Typography variant="h5">{value}</Typography>
+      <Typography variant="caption" color="text.secondary">{caption}</Typography>
+    </CardContent>
+  </Card>
+);
+
+/**
+ * What-if budgets: a copy of the budget to change — a new mortgage, a pay
+ * cut, a down payment — compared with the live budget over the next 12
+ * months, and made the live budget once the decision is taken.
+ */
+const BudgetScenariosPage: React.FC = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedId = searchParams.get('id');
+
+  const [scenarios, setScenarios] = useState<BudgetScenarioSummary[]>([]);
+  const [scenario, setScenario] = useState<BudgetScenario | null>(null);
+  const [comparison, setComparison] = useState<ScenarioComparison | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [newName, setNewName] = useState<string | null>(null);
+  const [itemKind, setItemKind] = useState<ScenarioItemKind | null>(null);
+  const [confirmPromote, setConfirmPromote] = useState(false);
+
+  const select = useCallback((id: string) => setSearchParams({ id }, { replace: true }), [setSearchParams]);
+
+  const loadList = useCallback(async () => {
+    try {
+      const list = await budgetsApi.getScenarios();
+      setScenarios(list);
+      if (!selectedId && list.length > 0) select(list[0]._id);
+    } catch (err) {
+      console.error('Error loading scenarios:', err);
+      setError('Failed to load scenarios.');
+    }
+  }, [selectedId, select]);
+
+  const loadScenario = useCallback(async () => {
+    if (!selectedId) {
+      setScenario(null);
+      setComparison(null);
+      return;
+    }
+    try {
+      const [loaded, compared] = await Promise.all([
+        budgetsApi.getScenario(selectedId),
+        budgetsApi.compareScenario(selectedId)
+      ]);
+      setScenario(loaded);
+      setComparison(compared);
+    } catch (err) {
+      console.error('Error loading scenario:', err);
+      setError(errorMessage(err, 'Failed to load the scenario.'));
+    }
+  }, [selectedId]);
+
+  useEffect(() => {
+    setLoading(true);
+    Promise.all([loadList(), loadScenario()]).finally(() => setLoading(false));
+  }, [loadList, loadScenario]);
+
+  // Runs an action, then reloads what it may have changed
+  const act = async (action: () => Promise<unknown>, failure: string) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      await Promise.all([loadList(), loadScenario()]);
+    } catch (err) {
+      console.error(failure, err);
+      setError(errorMessage(err, failure));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = (changes: Partial<ReturnType<typeof toScenarioChanges>>) => scenario && act(
+    () => budgetsApi.updateScenario(scenario._id, { ...toScenarioChanges(scenario), ...changes }),
+    'Failed to save the scenario.'
+  );
+
+  const handleCreate = async () => {
+    if (!newName?.trim()) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await budgetsApi.createScenario(newName.trim());
+      setNewName(null);
+      select(created._id);
+    } catch (err) {
+      console.error('Error creating scenario:', err);
+      setError(errorMessage(err, 'Failed to create the scenario.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!scenario) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await budgetsApi.deleteScenario(scenario._id);
+      setSearchParams({}, { replace: true });
+    } catch (err) {
+      console.error('Error deleting scenario:', err);
+      setError(errorMessage(err, 'Failed to delete the scenario.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePromote = () => {
+    if (!scenario) return;
+    setConfirmPromote(false);
+    act(async () => {
+      const result = await budgetsApi.promoteScenario(scenario._id);
+      setNotice(`"${scenario.name}" is now the live budget: ${result.budgetsUpdated} budgets set, `
+        + `${result.budgetsDeactivated} turned off, ${result.oneTimeItemsPlanned} one-time items planned.`);
+    }, 'Failed to promote the scenario.');
+  };
+
+  const handleAdd = (item: ScenarioRecurringItem | ScenarioEvent) => {
+    if (!scenario) return;
+    const current = toScenarioChanges(scenario);
+    setItemKind(null);
+    save(itemKind === 'recurring'
+      ? { recurring: [...current.recurring, item as ScenarioRecurringItem] }
+      : { events: [...current.events, item as ScenarioEvent] });
+  };
+
+  const changeLine = (index: number, fixedAmount: number) => {
+    if (!scenario) return;
+    const { budgets } = toScenarioChanges(scenario);
+    if (budgets[index].fixedAmount === fixedAmount) return;
+    save({ budgets: budgets.map((line, i) => (i === index ? { ...line, fixedAmount } : line)) });
+  };
+
+  const totals = comparison?.totals;
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ mt: 4, mb: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h4">Budget Scenarios</Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setNewName('')}>
+            New scenario
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Model a decision before taking it. A scenario starts as a copy of your budget; change its lines, add what
+          would come with the decision, and compare it with your budget over the next 12 months. Your budget is
+          untouched until you promote the scenario.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {scenarios.length > 0 && (
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 3 }}>
+            {scenarios.map(item => (
+              <Chip
+                key={item._id}
+                label={item.promotedAt ? `${item.name} · promoted` : item.name}
+                color={item._id === selectedId ? 'primary' : 'default'}
+                variant={item._id === selectedId ? 'filled' : 'outlined'}
+                onClick={() => select(item._id)}
+              />
+            ))}
+          </Box>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : !scenario ? (
+          <Typography variant="body2" color="text.secondary">
+            No scenarios yet. Start one to see what a new mortgage or a pay cut would do to your budget.
+          </Typography>
+        ) : (
+          <>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Box>
+                <Typography variant="h5">{scenario.name}</Typography>
+                {scenario.description && (
+                  <Typography variant="body2" color="text.secondary">{scenario.description}</Typography>
+                )}
+              </Box>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button color="error" startIcon={<DeleteIcon />} disabled={saving} onClick={handleDelete}>
+                  Delete
+                </Button>
+                <Button
+                  variant="contained"
+                  startIcon={<PromoteIcon />}
+                  disabled={saving}
+                  onClick={() => setConfirmPromote(true)}
+                >
+                  Promote to live budget
+                </Button>
+              </Box>
+            </Box>
+
+            {totals && (
+              <Box display="grid" gridTemplateColumns={{ xs: '1fr', md: '1fr 1fr 1fr' }} gap={2} sx={{ mb: 3 }}>
+                <SummaryCard
+                  title="Live budget, next 12 months"
+                  value={formatCurrencyDisplay(totals.live.net)}
+                  caption={`${formatCurrencyDisplay(totals.live.income)} in, ${formatCurrencyDisplay(totals.live.expenses)} out`}
+                />
+                <SummaryCard
+                  title="This scenario"
+                  value={formatCurrencyDisplay(totals.scenario.net)}
+                  caption={`${formatCurrencyDisplay(totals.scenario.income)} in, ${formatCurrencyDisplay(totals.scenario.expenses)} out`}
+                />
+                <SummaryCard
+                  title="Difference"
+                  value={signed(totals.difference.net)}
+                  caption={`Income ${signed(totals.difference.income)}, expenses ${signed(totals.difference.expenses)}`}
+                />
+              </Box>
+            )}
+
+            <Card variant="outlined" sx={{ mb: 3 }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                  <Typography variant="h6">Changes</Typography>
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    <Button size="small" startIcon={<AddIcon />} onClick={() => setItemKind('recurring')}>
+                      Recurring
+                    </Button>
+                    <Button size="small" startIcon={<AddIcon />} onClick={() => setItemKind('event')}>
+                      One-off
+                    </Button>
+                  </Box>
+                </Box>
+                {scenario.recurring.length === 0 && scenario.events.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">
+                    Nothing added yet. Add a mortgage payment, a new salary, or a one-off such as a down payment.
+                  </Typography>
+                ) : (
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Item</TableCell>
+                        <TableCell>Category</TableCell>
+                        <TableCell>When</TableCell>
+                        <TableCell align="right">Amount</TableCell>
+                        <TableCell />
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {scenario.recurring.map((item, index) => (
+                        <TableRow key={item._id ?? `recurring-${index}`}>
+                          <TableCell>{item.description}</TableCell>
+                          <TableCell>{categoryName(item)}</TableCell>
+                          <TableCell>{describeSchedule(item)}</TableCell>
+                          <TableCell align="right">
+                            {item.type === 'income' ? '+' : '−'}{formatCurrencyDisplay(item.amount)}
+                          </TableCell>
+                          <TableCell align="right">
+                            <Tooltip title="Remove">
+                              <IconButton
+                                size="small"
+                                disabled={saving}
+                                onClick={() => save({
+                                  recurring: toScenarioChanges(scenario).recurring.filter((_, i) => i !== index)
+                                })}
+                              >
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                      {scenario.events.map((event, index) => (
+                        <TableRow key={event._id ?? `event-${index}`}>
+                          <TableCell>{event.description}</TableCell>
+                          <TableCell>{categoryName(event)}</TableCell>
+                          <TableCell>Once, {formatDay(event.date)}</TableCell>
+                          <TableCell align="right">
+                            {event.type === 'income' ? '+' : '−'}{formatCurrencyDisplay(event.amount)}
+                          </TableCell>
+                          <TableCell align="right">
+                            <Tooltip title="Remove">
+                              <IconButton
+                                size="small"
+                                disabled={saving}
+                                onClick={() => save({
+                                  events: toScenarioChanges(scenario).events.filter((_, i) => i !== index)
+                                })}
+                              >
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </CardContent>
+            </Card>
+
+            {comparison && (
+              <Card variant="outlined" sx={{ mb: 3 }}>
+                <CardContent>
+                  <Typography variant="h6" sx={{ mb: 1 }}>Next 12 months</Typography>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Month</TableCell>
+                        <TableCell align="right">Live net</TableCell>
+                        <TableCell align="right">Scenario net</TableCell>
+                        <TableCell align="right">Difference</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {comparison.months.map(month => (
+                        <TableRow key={`${month.year}-${month.month}`}>
+                          <TableCell>{MONTH_NAMES_SHORT[month.month - 1]} {month.year}</TableCell>
+                          <TableCell align="right">{formatCurrencyDisplay(month.live.net)}</TableCell>
+                          <TableCell align="right">{formatCurrencyDisplay(month.scenario.net)}</TableCell>
+                          <TableCell
+                            align="right"
+                            sx={{ color: month.difference.net < 0 ? 'error.main' : month.difference.net > 0 ? 'success.main' : undefined }}
+                          >
+                            {signed(month.difference.net)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </CardContent>
+              </Card>
+            )}
+
+            <Card variant="outlined">
+              <CardContent>
+                <Typography variant="h6">Budget lines</Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  This scenario's copy of your budget. Lines removed here are turned off when it is promoted.
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Category</TableCell>
+                      <TableCell>Type</TableCell>
+                      <TableCell align="right">Monthly amount</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {scenario.budgets.map((line, index) => (
+                      <TableRow key={`${refId(line.categoryId)}-${refId(line.subCategoryId) ?? 'income'}`}>
+                        <TableCell>{categoryName(line)}</TableCell>
+                        <TableCell>{line.subCategoryId ? 'Expense' : 'Income'}</TableCell>
+                        <TableCell align="right">
+                          {line.budgetType === 'fixed' ? (
+                            <TextField
+                              size="small"
+                              type="number"
+                              defaultValue={line.fixedAmount}
+                              disabled={saving}
+                              onBlur={(e) => changeLine(index, Math.max(0, Number(e.target.value) || 0))}
+                              inputProps={{ min: 0, 'aria-label': `Amount for ${categoryName(line)}`, style: { textAlign: 'right' } }}
+                              sx={{ width: 140 }}
+                            />
+                          ) : (
+                            <Typography variant="body2" color="text.secondary">Varies by month</Typography>
+                          )}
+                        </TableCell>
+                        <TableCell align="right">
+                          <Tooltip title="Remove from this scenario">
+                            <IconButton
+                              size="small"
+                              disabled={saving}
+                              onClick={() => save({
+                                budgets: toScenarioChanges(scenario).budgets.filter((_, i) => i !== index)
+                              })}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </Box>
+
+      <Dialog open={newName !== null} onClose={() => setNewName(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>New Scenario</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            It starts as a copy of your current budget.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            size="small"
+            label="Name"
+            placeholder="e.g. New mortgage"
+            value={newName ?? ''}
+            onChange={(e) => setNewName(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNewName(null)}>Cancel</Button>
+          <Button variant="contained" disabled={!newName?.trim() || saving} onClick={handleCreate}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={confirmPromote} onClose={() => setConfirmPromote(false)} maxWidth="sm">
+        <DialogTitle>Promote "{scenario?.name}"?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Your category budgets will be replaced by this scenario's lines, with its recurring changes added to
+            them. Budgets it does not have are turned off, and its one-off events still to come are added to the
+            yearly plan. Monthly budgets you have already saved are not changed.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmPromote(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handlePromote}>Promote</Button>
+        </DialogActions>
+      </Dialog>
+
+      <ScenarioItemDialog
+        open={itemKind !== null}
+        kind={itemKind ?? 'recurring'}
+        onClose={() => setItemKind(null)}
+        onAdd={handleAdd}
+      />
+    </Container>
+  );
+};
+
+export default BudgetScenariosPage;
@@ -91,6 +91,16 @@ const BudgetSubcategoryDetail: React.FC = () => {
   // Convert params to numbers
   const yearNum = parseInt(year || '0');
   const monthNum = parseInt(month || '0');
+
+  // The dates the budget month covers, which need not be the calendar month;
+  // calendar dates until the month's budget has loaded
+  const periodRange = React.useMemo(() => {
+    const period = currentMonthlyBudget?.period;
+    if (period && period.year === yearNum && period.month === monthNum) {
+      return { startDate: new Date(period.start), endDate: new Date(period.end) };
+    }
+    return { startDate: new Date(yearNum, monthNum - 1, 1), endDate: new Date(yearNum, monthNum, 0, 23, 59, 59) };
+  }, [currentMonthlyBudget, yearNum, monthNum]);
   
   // Determine if this is an income category view (no subcategoryId) or expense subcategory view
   const isIncomeView = !subcategoryId;
@@ -170,8 +180,7 @@ const BudgetSubcategoryDetail: React.FC = () => {
 
           // Always calculate actual amount from transactions for income categories
           try {
-            const startDate = new Date(yearNum, monthNum - 1, 1);
-            const endDate = new Date(yearNum, monthNum, 0, 23, 59, 59);
+            const { startDate, endDate } = periodRange;
             
             const transactionsResult = await transactionsApi.getTransactions({
               startDate,
@@ -216,8 +225,7 @@ const BudgetSubcategoryDetail: React.FC = () => {
                 
                 // Calculate actual amount from transactions for this month
                 try {
-                  const startDate = new Date(yearNum, monthNum - 1, 1);
-                  const endDate = new Date(yearNum, monthNum, 0, 23, 59, 59);
+                  const { startDate, endDate } = periodRange;
                   
                   const transactionsResult = await transactionsApi.getTransactions({
                     startDate,
@@ -289,7 +297,7 @@ const BudgetSubcategoryDetail: React.FC = () => {
     };
 
     loadSubcategoryData();
-  }, [currentMonthlyBudget, categoryId, subcategoryId, isIncomeView, monthNum, yearNum]);
+  }, [currentMonthlyBudget, categoryId, subcategoryId, isIncomeView, monthNum, yearNum, periodRange]);
 
   // Extract subcategory tabs for the same category (or all income categories for income view)
   useEffect(() => {
@@ -336,8 +344,7 @@ const BudgetSubcategoryDetail: React.FC = () => {
           }
 
           // Fetch all income transactions for the month in one call, then group by category
-          const startDate = new Date(yearNum, monthNum - 1, 1);
-          const endDate = new Date(yearNum, monthNum, 0, 23, 59, 59);
+          const { startDate, endDate } = periodRange;
           
           let incomeActualsByCategory: Record<string, number> = {};
           try {
@@ -440,8 +447,7 @@ const BudgetSubcategoryDetail: React.FC = () => {
               // If no existing budget, calculate actual amount from transactions
               if (!existingBudget) {
                 try {
-                  const startDate = new Date(yearNum, monthNum - 1, 1);
-                  const endDate = new Date(yearNum, monthNum, 0, 23, 59, 59);
+                  const { startDate, endDate } = periodRange;
                   
                   const transactionsResult = await transactionsApi.getTransactions({
                     startDate,
@@ -487,12 +493,11 @@ const BudgetSubcategoryDetail: React.FC = () => {
     };
 
     loadSubcategoryTabs();
-  }, [currentMonthlyBudget, categoryId, yearNum, monthNum, isIncomeView]);
+  }, [currentMonthlyBudget, categoryId, yearNum, monthNum, isIncomeView, periodRange]);
 
   // Transaction filters for this category/subcategory
   const transactionFilters = React.useMemo(() => {
-    const startDate = new Date(yearNum, monthNum - 1, 1);
-    const endDate = new Date(yearNum, monthNum, 0, 23, 59, 59);
+    const { startDate, endDate } = periodRange;
     
     return {
       startDate,
@@ -502,7 +507,7 @@ const BudgetSubcategoryDetail: React.FC = () => {
       // Don't filter by type when we have category/subcategory - it's redundant
       useProcessedDate: true // Use processedDate for budget views to match budget calculations
     };
-  }, [yearNum, monthNum, categoryId, subcategoryId, isIncomeView]);
+  }, [periodRange, categoryId, subcategoryId, isIncomeView]);
 
   // Navigation handlers
   const handleBack = () => {
@@ -9,8 +9,11 @@ import {
   CardContent
 } from '@mui/material';
 import {
-  Calculate as CalculatorIcon
+  Calculate as CalculatorIcon,
+  EventNote as YearlyPlanIcon,
+  CompareArrows as ScenariosIcon
 } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
 import { useBudget } from '../contexts/BudgetContext';
 import { useProject } from '../contexts/ProjectContext';
 import MonthlyBudgetEditor from '../components/budget/MonthlyBudgetEditor';
@@ -19,7 +22,9 @@ import MonthNavigation from '../components/budget/MonthNavigation';
 import BudgetStatusChips from '../components/budget/BudgetStatusChips';
 import BudgetColumn from '../components/budget/BudgetColumn';
 import BudgetBalanceCard from '../components/budget/BudgetBalanceCard';
+import SavingsGoalsBudgetCard from '../components/budget/SavingsGoalsBudgetCard';
 import ProjectBudgetsList from '../components/budget/ProjectBudgetsList';
+import ExportMenu from '../components/common/ExportMenu';
 import { budgetsApi } from '../services/api/budgets';
 import { BUDGET_STAGES, type BudgetStage } from '../constants/budgetStages';
 
@@ -36,6 +41,7 @@ const BudgetsPage: React.FC = () => {
   } = useBudget();
 
   const { projects: projectBudgets, loading: projectsLoading } = useProject();
+  const navigate = useNavigate();
 
   const [budgetEditorOpen, setBudgetEditorOpen] = useState(false);
   const [patternRefreshTrigger, setPatternRefreshTrigger] = useState(0);
@@ -326,14 +332,34 @@ const BudgetsPage: React.FC = () => {
         <Typography variant="h4" component="h1">
           Budget Management
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<CalculatorIcon />}
-          onClick={handleAutoCalculate}
-          disabled={loading}
-        >
-          Auto-Calculate Budget
-        </Button>
+        <Box display="flex" gap={1} alignItems="center">
+          <ExportMenu
+            datasets={['monthly-budgets', 'category-budgets']}
+            filters={{ startDate: new Date(currentYear, 0, 1), endDate: new Date(currentYear, 11, 31) }}
+          />
+          <Button
+            variant="outlined"
+            startIcon={<YearlyPlanIcon />}
+            onClick={() => navigate(`/budgets/yearly?year=${currentYear}`)}
+          >
+            Yearly Plan
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<ScenariosIcon />}
+            onClick={() => navigate('/budgets/scenarios')}
+          >
+            Scenarios
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<CalculatorIcon />}
+            onClick={handleAutoCalculate}
+            disabled={loading}
+          >
+            Auto-Calculate Budget
+          </Button>
+        </Box>
       </Box>
 
       {/* Month Navigation */}
@@ -343,6 +369,7 @@ const BudgetsPage: React.FC = () => {
         onPrevMonth={handlePrevMonth}
         onNextMonth={handleNextMonth}
         loading={loading}
+        period={currentMonthlyBudget?.period}
       />
 
       {/* Budget Status */}
@@ -392,6 +419,15 @@ const BudgetsPage: React.FC = () => {
         <BudgetBalanceCard budgetBalance={currentMonthlyBudget.budgetBalance} />
       )}
 
+      {/* Savings Goals Line */}
+      {currentMonthlyBudget?.savingsGoals && currentMonthlyBudget.savingsGoals.length > 0 && (
+        <SavingsGoalsBudgetCard
+          savingsGoals={currentMonthlyBudget.savingsGoals}
+          totalSavingsBudgeted={currentMonthlyBudget.totalSavingsBudgeted || 0}
+          budgetBalance={currentMonthlyBudget.budgetBalance}
+        />
+      )}
+
       {/* Project Budgets Section */}
       <ProjectBudgetsList
         projectBudgets={projectBudgets}
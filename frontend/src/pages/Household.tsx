@@ -0,0 +1,291 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Avatar,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Container,
+  IconButton,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Close as RemoveIcon } from '@mui/icons-material';
+import { ReceivedInvitations } from '../components/household';
+import {
+  householdsApi,
+  HouseholdOverview,
+  HouseholdRole,
+  InvitableRole
+} from '../services/api/households';
+import { errorMessage } from '../utils/errors';
+
+const ROLE_LABELS: Record<HouseholdRole, string> = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer'
+};
+
+const HouseholdPage: React.FC = () => {
+  const [overview, setOverview] = useState<HouseholdOverview | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [name, setName] = useState('');
+  const [inviteLogin, setInviteLogin] = useState('');
+  const [inviteRole, setInviteRole] = useState<InvitableRole>('editor');
+
+  const loadOverview = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setOverview(await householdsApi.get());
+    } catch (err) {
+      console.error('Error loading household:', err);
+      setError('Failed to load the household.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOverview();
+  }, [loadOverview]);
+
+  // Every change returns the household as it now stands.
+  const run = async (action: () => Promise<HouseholdOverview>, fallback: string) => {
+    setSaving(true);
+    setError(null);
+    try {
+      setOverview(await action());
+      return true;
+    } catch (err) {
+      console.error(`${fallback}:`, err);
+      setError(errorMessage(err, `${fallback}.`));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (await run(() => householdsApi.create(name.trim()), 'Failed to create the household')) {
+      setName('');
+    }
+  };
+
+  const handleInvite = async () => {
+    if (await run(() => householdsApi.invite(inviteLogin.trim(), inviteRole), 'Failed to send the invitation')) {
+      setInviteLogin('');
+    }
+  };
+
+  // Joining or leaving changes whose records every page shows, so start over.
+  const reloadApp = () => window.location.assign('/household');
+
+  const handleLeave = async () => {
+    if (!window.confirm('Leave this household? You will go back to your own accounts and budgets.')) return;
+    if (await run(householdsApi.leave, 'Failed to leave the household')) reloadApp();
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this household? The records stay with you; the other members lose access.')) return;
+    await run(householdsApi.delete, 'Failed to delete the household');
+  };
+
+  const household = overview?.household;
+  const isOwner = household?.role === 'owner';
+
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ mt: 4, mb: 4 }}>
+        <Typography variant="h4" gutterBottom>
+          Household
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Share your accounts, budgets, projects and properties with the people you manage money with.
+          Each member signs in with their own GitHub account.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : overview && (
+          <>
+            {!household && (
+              <>
+                <Box sx={{ mb: 3 }}>
+                  <ReceivedInvitations
+                    invitations={overview.invitations}
+                    onAnswered={(next, accepted) => (accepted ? reloadApp() : setOverview(next))}
+                  />
+                </Box>
+                <Card variant="outlined">
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>Start a household</Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                      Your existing records become the household's. You can then invite others.
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      <TextField
+                        size="small"
+                        label="Household name"
+                        value={name}
+                        onChange={(event) => setName(event.target.value)}
+                      />
+                      <Button variant="contained" disabled={saving || !name.trim()} onClick={handleCreate}>
+                        Create
+                      </Button>
+                    </Box>
+                  </CardContent>
+                </Card>
+              </>
+            )}
+
+            {household && (
+              <>
+                <Card variant="outlined" sx={{ mb: 3 }}>
+                  <CardContent>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                      <Typography variant="h6">{household.name}</Typography>
+                      {isOwner ? (
+                        <Button color="error" size="small" disabled={saving} onClick={handleDelete}>
+                          Delete household
+                        </Button>
+                      ) : (
+                        <Button size="small" disabled={saving} onClick={handleLeave}>
+                          Leave household
+                        </Button>
+                      )}
+                    </Box>
+                    <List dense>
+                      {household.members.map(member => (
+                        <ListItem
+                          key={member.userId}
+                          secondaryAction={isOwner && member.role !== 'owner' && (
+                            <Tooltip title="Remove from household">
+                              <IconButton
+                                edge="end"
+                                aria-label={`Remove ${member.name}`}
+                                disabled={saving}
+                                onClick={() => run(() => householdsApi.removeMember(member.userId), 'Failed to remove the member')}
+                              >
+                                <RemoveIcon />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                        >
+                          <ListItemAvatar>
+                            <Avatar src={member.avatarUrl || undefined} alt={member.name} />
+                          </ListItemAvatar>
+                          <ListItemText primary={member.name} secondary={member.githubLogin ? `@${member.githubLogin}` : null} />
+                          {isOwner && member.role !== 'owner' ? (
+                            <TextField
+                              select
+                              size="small"
+                              value={member.role}
+                              disabled={saving}
+                              onChange={(event) => run(
+                                () => householdsApi.changeRole(member.userId, event.target.value as InvitableRole),
+                                'Failed to change the role'
+                              )}
+                              sx={{ mr: 4, minWidth: 110 }}
+                            >
+                              <MenuItem value="editor">Editor</MenuItem>
+                              <MenuItem value="viewer">Viewer</MenuItem>
+                            </TextField>
+                          ) : (
+                            <Typography variant="body2" color="text.secondary" sx={{ mr: 4 }}>
+                              {ROLE_LABELS[member.role]}
+                            </Typography>
+                          )}
+                        </ListItem>
+                      ))}
+                    </List>
+                    <Typography variant="caption" color="text.secondary">
+                      Editors can change anything; viewers can only look. Bank credentials stay with the
+                      member who entered them and are dropped if that member leaves.
+                    </Typography>
+                  </CardContent>
+                </Card>
+
+                {isOwner && (
+                  <Card variant="outlined">
+                    <CardContent>
+                      <Typography variant="h6" gutterBottom>Invite someone</Typography>
+                      <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+                        <TextField
+                          size="small"
+                          label="GitHub username or email"
+                          value={inviteLogin}
+                          onChange={(event) => setInviteLogin(event.target.value)}
+                        />
+                        <TextField
+                          select
+                          size="small"
+                          label="Role"
+                          value={inviteRole}
+                          onChange={(event) => setInviteRole(event.target.value as InvitableRole)}
+                          sx={{ minWidth: 110 }}
+                        >
+                          <MenuItem value="editor">Editor</MenuItem>
+                          <MenuItem value="viewer">Viewer</MenuItem>
+                        </TextField>
+                        <Button variant="contained" disabled={saving || !inviteLogin.trim()} onClick={handleInvite}>
+                          Invite
+                        </Button>
+                      </Box>
+                      {household.invitations.length > 0 && (
+                        <List dense>
+                          {household.invitations.map(invitation => (
+                            <ListItem
+                              key={invitation.id}
+                              secondaryAction={
+                                <Button
+                                  size="small"
+                                  disabled={saving}
+                                  onClick={() => run(
+                                    () => householdsApi.cancelInvitation(invitation.id),
+                                    'Failed to cancel the invitation'
+                                  )}
+                                >
+                                  Cancel
+                                </Button>
+                              }
+                            >
+                              <ListItemText
+                                primary={invitation.githubLogin ? `@${invitation.githubLogin}` : invitation.email}
+                                secondary={`Invited as ${ROLE_LABELS[invitation.role].toLowerCase()}`}
+                              />
+                            </ListItem>
+                          ))}
+                        </List>
+                      )}
+                    </CardContent>
+                  </Card>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </Box>
+    </Container>
+  );
+};
+
+export default HouseholdPage;
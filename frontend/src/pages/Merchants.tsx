@@ -0,0 +1,347 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Container,
+  FormControl,
+  InputLabel,
+  Link,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  MenuItem,
+  Select,
+  TextField,
+  Typography
+} from '@mui/material';
+import { ArrowBack as BackIcon, Edit as EditIcon } from '@mui/icons-material';
+import { format } from 'date-fns';
+import { MerchantCategoryOption, MerchantEditDialog, MerchantSpendChart } from '../components/merchants';
+import { categoriesApi } from '../services/api/categories';
+import { MerchantDetail, MerchantSummary, merchantsApi } from '../services/api/merchants';
+import { formatCurrencyDisplay } from '../utils/formatters';
+import { errorMessage } from '../utils/errors';
+
+const HISTORY_MONTHS = 12;
+
+// The currency most was spent in, which the chart is drawn in
+const mainCurrency = (merchant: MerchantDetail): string => {
+  const spent = new Map<string, number>();
+  merchant.monthly.forEach(month => spent.set(month.currency, (spent.get(month.currency) ?? 0) + month.spent));
+  return Array.from(spent.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] ?? 'ILS';
+};
+
+const defaultCategoryLabel = (merchant: { defaultCategory: { name: string } | null; defaultSubCategory: { name: string } | null }) =>
+  merchant.defaultCategory
+    ? [merchant.defaultCategory.name, merchant.defaultSubCategory?.name].filter(Boolean).join(' › ')
+    : null;
+
+const MerchantsPage: React.FC = () => {
+  const { merchantId } = useParams<{ merchantId: string }>();
+  const navigate = useNavigate();
+  const [merchants, setMerchants] = useState<MerchantSummary[]>([]);
+  const [merchant, setMerchant] = useState<MerchantDetail | null>(null);
+  const [categories, setCategories] = useState<MerchantCategoryOption[]>([]);
+  const [search, setSearch] = useState('');
+  const [mergeSourceId, setMergeSourceId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const loadMerchants = useCallback(async () => {
+    try {
+      setMerchants(await merchantsApi.list());
+    } catch (err) {
+      console.error('Error loading merchants:', err);
+      setError('Failed to load merchants.');
+    }
+  }, []);
+
+  const loadMerchant = useCallback(async (id: string) => {
+    try {
+      setMerchant(await merchantsApi.get(id, HISTORY_MONTHS));
+    } catch (err) {
+      console.error('Error loading merchant:', err);
+      setMerchant(null);
+      setError(errorMessage(err, 'Failed to load the merchant.'));
+    }
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        setCategories(await categoriesApi.getUserCategories());
+      } catch (err) {
+        console.error('Error loading categories:', err);
+      }
+      await loadMerchants();
+      setLoading(false);
+    };
+    load();
+  }, [loadMerchants]);
+
+  useEffect(() => {
+    setMergeSourceId('');
+    if (merchantId) {
+      loadMerchant(merchantId);
+    } else {
+      setMerchant(null);
+    }
+  }, [merchantId, loadMerchant]);
+
+  const filtered = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    if (!term) return merchants;
+    return merchants.filter(entry =>
+      entry.name.toLowerCase().includes(term) || entry.aliases.some(alias => alias.includes(term))
+    );
+  }, [merchants, search]);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(`${fallback}:`, err);
+      setError(errorMessage(err, `${fallback}.`));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAssign = () => run(async () => {
+    const assigned = await merchantsApi.assign();
+    setNotice(`Recognised the merchant of ${assigned} earlier transaction${assigned === 1 ? '' : 's'}.`);
+    await loadMerchants();
+  }, 'Failed to recognise merchants');
+
+  const handleMerge = () => {
+    if (!merchant) return;
+    const source = merchants.find(entry => entry._id === mergeSourceId);
+    if (!source) return;
+    if (!window.confirm(`Move every transaction of "${source.name}" to "${merchant.name}" and remove "${source.name}"?`)) return;
+    run(async () => {
+      setMerchant(await merchantsApi.merge(merchant._id, source._id));
+      setMergeSourceId('');
+      await loadMerchants();
+    }, 'Failed to merge the merchants');
+  };
+
+  const handleSaved = async () => {
+    setEditorOpen(false);
+    if (merchant) await loadMerchant(merchant._id);
+    await loadMerchants();
+  };
+
+  const alerts = (
+    <>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {notice && (
+        <Alert severity="info" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+          {notice}
+        </Alert>
+      )}
+    </>
+  );
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (merchantId) {
+    return (
+      <Container maxWidth="md">
+        <Box sx={{ mt: 4, mb: 4 }}>
+          <Button startIcon={<BackIcon />} onClick={() => navigate('/merchants')} sx={{ mb: 2 }}>
+            All merchants
+          </Button>
+          {alerts}
+          {!merchant ? (
+            !error && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+                <CircularProgress />
+              </Box>
+            )
+          ) : (
+            <>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="h4">{merchant.name}</Typography>
+                <Button startIcon={<EditIcon />} onClick={() => setEditorOpen(true)}>
+                  Edit
+                </Button>
+              </Box>
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 3 }}>
+                {merchant.website && (
+                  <Link href={merchant.website} target="_blank" rel="noopener noreferrer" variant="body2">
+                    {merchant.website.replace(/^https?:\/\//, '')}
+                  </Link>
+                )}
+                {defaultCategoryLabel(merchant) && (
+                  <Chip size="small" label={`Categorised as ${defaultCategoryLabel(merchant)}`} />
+                )}
+                {merchant.aliases.map(alias => (
+                  <Chip key={alias} size="small" variant="outlined" label={alias} />
+                ))}
+              </Box>
+
+              <Card variant="outlined" sx={{ mb: 3 }}>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>
+                    Spending over the last {HISTORY_MONTHS} months
+                  </Typography>
+                  <MerchantSpendChart monthly={merchant.monthly} months={HISTORY_MONTHS} currency={mainCurrency(merchant)} />
+                </CardContent>
+              </Card>
+
+              <Card variant="outlined" sx={{ mb: 3 }}>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Latest transactions</Typography>
+                  <List dense>
+                    {merchant.recentTransactions.map(transaction => (
+                      <ListItem
+                        key={transaction._id}
+                        divider
+                        secondaryAction={
+                          <Typography variant="body2" color={transaction.amount < 0 ? 'text.primary' : 'success.main'}>
+                            {formatCurrencyDisplay(transaction.amount, transaction.currency)}
+                          </Typography>
+                        }
+                      >
+                        <ListItemText
+                          primary={transaction.description}
+                          secondary={[
+                            format(new Date(transaction.date), 'dd/MM/yyyy'),
+                            transaction.subCategory?.name ?? transaction.category?.name ?? 'Uncategorized'
+                          ].join(' · ')}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                </CardContent>
+              </Card>
+
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Same merchant under another name?</Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Merging moves its transactions and descriptions here and removes it.
+                  </Typography>
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    <FormControl fullWidth size="small">
+                      <InputLabel id="merge-source">Merchant to merge in</InputLabel>
+                      <Select
+                        labelId="merge-source"
+                        label="Merchant to merge in"
+                        value={mergeSourceId}
+                        onChange={(e) => setMergeSourceId(e.target.value)}
+                      >
+                        {merchants.filter(entry => entry._id !== merchant._id).map(entry => (
+                          <MenuItem key={entry._id} value={entry._id}>{entry.name}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    <Button variant="outlined" disabled={!mergeSourceId || saving} onClick={handleMerge}>
+                      Merge
+                    </Button>
+                  </Box>
+                </CardContent>
+              </Card>
+
+              <MerchantEditDialog
+                open={editorOpen}
+                merchant={merchant}
+                categories={categories}
+                onClose={() => setEditorOpen(false)}
+                onSaved={handleSaved}
+              />
+            </>
+          )}
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ mt: 4, mb: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h4">Merchants</Typography>
+          <Button disabled={saving} onClick={handleAssign}>
+            Recognise in past transactions
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Every transaction is matched to a merchant when it comes in, however the bank spells it. A
+          merchant's default category is used for its new transactions unless a rule says otherwise.
+        </Typography>
+        {alerts}
+
+        <TextField
+          fullWidth
+          size="small"
+          label="Search merchants"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          sx={{ mb: 2 }}
+        />
+        <Card variant="outlined">
+          <CardContent>
+            {filtered.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                {merchants.length === 0
+                  ? 'No merchants yet. They appear as transactions come in.'
+                  : 'No merchant matches the search.'}
+              </Typography>
+            ) : (
+              <List dense>
+                {filtered.map(entry => {
+                  const [main] = entry.totals;
+                  return (
+                    <ListItem key={entry._id} divider disablePadding>
+                      <ListItemButton onClick={() => navigate(`/merchants/${entry._id}`)}>
+                        <ListItemText
+                          primary={entry.name}
+                          secondary={[
+                            `${entry.transactionCount} transaction${entry.transactionCount === 1 ? '' : 's'}`,
+                            entry.lastSeen && `last ${format(new Date(entry.lastSeen), 'dd/MM/yyyy')}`,
+                            defaultCategoryLabel(entry)
+                          ].filter(Boolean).join(' · ')}
+                        />
+                        {main && (
+                          <Typography variant="body2">
+                            {formatCurrencyDisplay(-main.spent, main.currency)}
+                          </Typography>
+                        )}
+                      </ListItemButton>
+                    </ListItem>
+                  );
+                })}
+              </List>
+            )}
+          </CardContent>
+        </Card>
+      </Box>
+    </Container>
+  );
+};
+
+export default MerchantsPage;
@@ -1,11 +1,38 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Container, Box } from '@mui/material';
 import { OnboardingChat } from '../components/onboarding';
+import { ReceivedInvitations } from '../components/household';
+import { householdsApi, ReceivedInvitation } from '../services/api/households';
 
 const OnboardingPage: React.FC = () => {
+  // Someone invited into a household has nothing to set up: they can join it
+  // instead of connecting a bank of their own.
+  const [invitations, setInvitations] = useState<ReceivedInvitation[]>([]);
+
+  useEffect(() => {
+    householdsApi.get()
+      .then(overview => setInvitations(overview.invitations))
+      .catch(error => console.error('Failed to load household invitations:', error));
+  }, []);
+
   return (
     <Container maxWidth="sm">
       <Box sx={{ py: 4 }}>
+        {invitations.length > 0 && (
+          <Box sx={{ mb: 3 }}>
+            <ReceivedInvitations
+              invitations={invitations}
+              onAnswered={(overview, accepted) => {
+                if (accepted) {
+                  // Reload so the profile and the onboarding guard pick up the household.
+                  window.location.assign('/');
+                  return;
+                }
+                setInvitations(overview.invitations);
+              }}
+            />
+          </Box>
+        )}
         <OnboardingChat />
       </Box>
     </Container>
@@ -8,7 +8,9 @@
  * ├────────────┬────────────┼──────────────────┤
  * │  Yearly    │  Action    │  Recent Activity  │
  * │  Outlook   │  Items     │                   │
- * └────────────┴────────────┴──────────────────┘
+ * ├────────────┴────────────┴──────────────────┤
+ * │  Savings Goals                               │
+ * └─────────────────────────────────────────────┘
  */
 
 import React from 'react';
@@ -19,16 +21,36 @@ import MonthlyBudgetStatus from '../components/overview/MonthlyBudgetStatus';
 import YearlyFinancialOutlook from '../components/overview/YearlyFinancialOutlook';
 import ActionItemsList from '../components/overview/ActionItemsList';
 import RecentActivityTimeline from '../components/overview/RecentActivityTimeline';
+import SavingsGoalsWidget from '../components/overview/SavingsGoalsWidget';
+import ExportMenu from '../components/common/ExportMenu';
+import BackupMenu from '../components/common/BackupMenu';
+import type { ExportDataset } from '../services/api/export';
+
+// Everything the user owns, for the one-click archive on the landing page.
+const ALL_DATASETS: ExportDataset[] = [
+  'transactions',
+  'monthly-budgets',
+  'category-budgets',
+  'rsu-grants',
+  'rsu-sales',
+  'investment-holdings',
+  'real-estate',
+  'real-estate-installments',
+];
 
 const Overview: React.FC = () => {
   return (
     <Container maxWidth="xl">
       <Box sx={{ mt: 4, mb: 4 }}>
         {/* Page Header */}
-        <Box sx={{ mb: 3 }}>
+        <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
           <Typography variant="h4" gutterBottom>
             Financial Overview
           </Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <ExportMenu datasets={ALL_DATASETS} label="Export all data" />
+            <BackupMenu />
+          </Box>
         </Box>
 
         {/* ═══ Row 1: Net Worth + Monthly Budget ═══ */}
@@ -73,6 +95,11 @@ const Overview: React.FC = () => {
             <RecentActivityTimeline maxDays={14} />
           </Box>
         </Box>
+
+        {/* ═══ Row 4: Savings Goals ═══ */}
+        <Box sx={{ mt: 3 }}>
+          <SavingsGoalsWidget />
+        </Box>
       </Box>
     </Container>
   );
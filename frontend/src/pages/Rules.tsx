@@ -0,0 +1,284 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Container,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Switch,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  ArrowDownward as DownIcon,
+  ArrowUpward as UpIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon
+} from '@mui/icons-material';
+import { RuleEditorDialog, RuleCategoryOption, RuleOption } from '../components/rules';
+import { useCategorization } from '../contexts/CategorizationContext';
+import { bankAccountsApi } from '../services/api/bank';
+import { categoriesApi } from '../services/api/categories';
+import { creditCardsApi } from '../services/api/creditCards';
+import { transactionsApi } from '../services/api/transactions';
+import { rulesApi, TransactionRule } from '../services/api/rules';
+import { errorMessage } from '../utils/errors';
+
+const REAPPLY_MONTHS = 12;
+
+const describeConditions = (rule: TransactionRule): string => {
+  const { conditions } = rule;
+  const parts: string[] = [];
+  if (conditions.descriptionPattern) parts.push(`description ~ /${conditions.descriptionPattern}/`);
+  if (conditions.memoPattern) parts.push(`memo ~ /${conditions.memoPattern}/`);
+  if (conditions.amountMin != null || conditions.amountMax != null) {
+    parts.push(`amount ${conditions.amountMin ?? 0}-${conditions.amountMax ?? '∞'}`);
+  }
+  if (conditions.accountIds?.length) parts.push(`${conditions.accountIds.length} account(s)`);
+  if (conditions.creditCardIds?.length) parts.push(`${conditions.creditCardIds.length} card(s)`);
+  if (conditions.currencies?.length) parts.push(conditions.currencies.join('/'));
+  if (conditions.dayOfMonthFrom != null || conditions.dayOfMonthTo != null) {
+    parts.push(`day ${conditions.dayOfMonthFrom ?? 1}-${conditions.dayOfMonthTo ?? 31}`);
+  }
+  return parts.join(', ');
+};
+
+const RulesPage: React.FC = () => {
+  const { rulesApplied } = useCategorization();
+  const [rules, setRules] = useState<TransactionRule[]>([]);
+  const [categories, setCategories] = useState<RuleCategoryOption[]>([]);
+  const [tags, setTags] = useState<RuleOption[]>([]);
+  const [accounts, setAccounts] = useState<RuleOption[]>([]);
+  const [creditCards, setCreditCards] = useState<RuleOption[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [editing, setEditing] = useState<TransactionRule | null>(null);
+  const [editorOpen, setEditorOpen] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    try {
+      setRules(await rulesApi.list());
+    } catch (err) {
+      console.error('Error loading rules:', err);
+      setError('Failed to load rules.');
+    }
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        const [userCategories, userTags, userAccounts, userCards] = await Promise.all([
+          categoriesApi.getUserCategories(),
+          transactionsApi.getTags(),
+          bankAccountsApi.getAll(),
+          creditCardsApi.getAll()
+        ]);
+        setCategories(userCategories);
+        setTags(userTags);
+        setAccounts(userAccounts);
+        setCreditCards(userCards);
+        await loadRules();
+      } catch (err) {
+        console.error('Error loading rules:', err);
+        setError('Failed to load rules.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [loadRules]);
+
+  // A re-apply finishing updates the rules' match counts.
+  useEffect(() => {
+    if (!rulesApplied) return;
+    setNotice(
+      `Rules re-applied: ${rulesApplied.matched} of ${rulesApplied.scanned} transactions matched, ` +
+      `${rulesApplied.updated} changed.`
+    );
+    loadRules();
+  }, [rulesApplied, loadRules]);
+
+  const run = async (action: () => Promise<unknown>, fallback: string) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      await loadRules();
+    } catch (err) {
+      console.error(`${fallback}:`, err);
+      setError(errorMessage(err, `${fallback}.`));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Rules keep their own priorities, so moving one swaps it with its neighbour.
+  const move = (index: number, offset: number) => {
+    const rule = rules[index];
+    const neighbour = rules[index + offset];
+    const [first, second] = rule.priority === neighbour.priority
+      ? [neighbour.priority + offset, neighbour.priority]
+      : [neighbour.priority, rule.priority];
+    run(async () => {
+      await rulesApi.update(rule._id, { priority: first });
+      await rulesApi.update(neighbour._id, { priority: second });
+    }, 'Failed to reorder the rules');
+  };
+
+  const handleDelete = (rule: TransactionRule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Transactions it already changed stay as they are.`)) return;
+    run(() => rulesApi.remove(rule._id), 'Failed to delete the rule');
+  };
+
+  const handleReapply = () => run(async () => {
+    await rulesApi.apply({ months: REAPPLY_MONTHS });
+    setNotice(
+      `Re-applying rules to the last ${REAPPLY_MONTHS} months in the background. ` +
+      'Categories you set by hand are kept.'
+    );
+  }, 'Failed to re-apply the rules');
+
+  const openEditor = (rule: TransactionRule | null) => {
+    setEditing(rule);
+    setEditorOpen(true);
+  };
+
+  const handleSaved = () => {
+    setEditorOpen(false);
+    loadRules();
+  };
+
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ mt: 4, mb: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h4">Rules</Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button disabled={saving || rules.length === 0} onClick={handleReapply}>
+              Re-apply to past transactions
+            </Button>
+            <Button variant="contained" startIcon={<AddIcon />} onClick={() => openEditor(null)}>
+              Add rule
+            </Button>
+          </Box>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Rules run from the top on every new transaction, before automatic categorisation. The first
+          matching rule with a category sets it; tags from every matching rule are added.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="info" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Card variant="outlined">
+            <CardContent>
+              {rules.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No rules yet. Add one to categorise, tag or exclude transactions that match it.
+                </Typography>
+              ) : (
+                <List dense>
+                  {rules.map((rule, index) => (
+                    <ListItem
+                      key={rule._id}
+                      divider
+                      secondaryAction={
+                        <Box>
+                          <Tooltip title="Move up">
+                            <span>
+                              <IconButton
+                                aria-label={`Move ${rule.name} up`}
+                                disabled={saving || index === 0}
+                                onClick={() => move(index, -1)}
+                              >
+                                <UpIcon fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                          <Tooltip title="Move down">
+                            <span>
+                              <IconButton
+                                aria-label={`Move ${rule.name} down`}
+                                disabled={saving || index === rules.length - 1}
+                                onClick={() => move(index, 1)}
+                              >
+                                <DownIcon fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                          <IconButton aria-label={`Edit ${rule.name}`} onClick={() => openEditor(rule)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            aria-label={`Delete ${rule.name}`}
+                            disabled={saving}
+                            onClick={() => handleDelete(rule)}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Box>
+                      }
+                      sx={{ pr: 22 }}
+                    >
+                      <Switch
+                        size="small"
+                        checked={rule.enabled}
+                        disabled={saving}
+                        inputProps={{ 'aria-label': `Enable ${rule.name}` }}
+                        onChange={(event) => run(
+                          () => rulesApi.update(rule._id, { enabled: event.target.checked }),
+                          'Failed to update the rule'
+                        )}
+                        sx={{ mr: 1 }}
+                      />
+                      <ListItemText
+                        primary={rule.name}
+                        secondary={`${describeConditions(rule)} · matched ${rule.matchCount} time${rule.matchCount === 1 ? '' : 's'}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </Box>
+
+      <RuleEditorDialog
+        open={editorOpen}
+        rule={editing}
+        categories={categories}
+        tags={tags}
+        accounts={accounts}
+        creditCards={creditCards}
+        onClose={() => setEditorOpen(false)}
+        onSaved={handleSaved}
+      />
+    </Container>
+  );
+};
+
+export default RulesPage;
@@ -0,0 +1,431 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Alert,
+  Avatar,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Container,
+  FormControlLabel,
+  InputAdornment,
+  MenuItem,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import { AlertRulesCard, DeleteAccountCard, SignInMethodsCard } from '../components/settings';
+import {
+  BudgetMonthStartMode,
+  DISPLAY_CURRENCIES,
+  NotificationDigest,
+  RsuTaxRates,
+  ScrapingFrequency,
+  settingsApi,
+  SettingsOverview,
+  SettingsUpdate,
+  UserSettings
+} from '../services/api/settings';
+import { errorMessage } from '../utils/errors';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TAX_RATE_LABELS: Record<keyof RsuTaxRates, string> = {
+  wageIncome: 'Wage income (vesting)',
+  capitalGainsLongTerm: 'Capital gains, held 2+ years',
+  capitalGainsShortTerm: 'Capital gains, held under 2 years'
+};
+
+const DIGEST_LABELS: Record<NotificationDigest, string> = {
+  immediate: 'Immediately',
+  daily: 'Daily digest',
+  weekly: 'Weekly digest'
+};
+
+const toPercent = (rate: number) => Math.round(rate * 1000) / 10;
+
+// Only the sections that differ, so a viewer saving their notifications
+// does not send household settings they are not allowed to change.
+const changesBetween = (saved: UserSettings, draft: UserSettings): SettingsUpdate => {
+  const changes: Record<string, unknown> = {};
+  (Object.keys(draft) as Array<keyof UserSettings>).forEach((key) => {
+    if (JSON.stringify(saved[key]) !== JSON.stringify(draft[key])) {
+      changes[key] = draft[key];
+    }
+  });
+  return changes as SettingsUpdate;
+};
+
+const SettingsPage: React.FC = () => {
+  const [overview, setOverview] = useState<SettingsOverview | null>(null);
+  const [draft, setDraft] = useState<UserSettings | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+  // Set when linking another sign-in method sent the browser back with an error
+  const [searchParams] = useSearchParams();
+  const linkError = searchParams.get('auth_error');
+
+  useEffect(() => {
+    settingsApi.get()
+      .then((data) => {
+        setOverview(data);
+        setDraft(data.settings);
+      })
+      .catch((err) => {
+        console.error('Error loading settings:', err);
+        setError('Failed to load your settings.');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const update = <K extends keyof UserSettings>(key: K, value: Partial<UserSettings[K]>) => {
+    setSaved(false);
+    setDraft((current) => current && {
+      ...current,
+      [key]: typeof value === 'object' ? { ...(current[key] as object), ...value } : value
+    });
+  };
+
+  const handleSave = async () => {
+    if (!overview || !draft) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const next = await settingsApi.update(changesBetween(overview.settings, draft));
+      setOverview(next);
+      setDraft(next.settings);
+      setSaved(true);
+    } catch (err: any) {
+      console.error('Error saving settings:', err);
+      const details = err.response?.data?.details;
+      setError(details?.length
+        ? `Check ${details.map((detail: any) => detail.path).join(', ')}.`
+        : errorMessage(err, 'Failed to save your settings.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!overview || !draft) {
+    return (
+      <Container maxWidth="md">
+        <Alert severity="error" sx={{ mt: 4 }}>{error}</Alert>
+      </Container>
+    );
+  }
+
+  const { profile, household, limits } = overview;
+  const locked = !overview.canEditHouseholdSettings;
+  const dirty = Object.keys(changesBetween(overview.settings, draft)).length > 0;
+  const schedule = draft.scrapingSchedule;
+
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ mt: 4, mb: 4, display: 'flex', flexDirection: 'column', gap: 3 }}>
+        <Typography variant="h4">Settings</Typography>
+
+        <Card variant="outlined">
+          <CardContent sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Avatar src={profile.avatarUrl || undefined} sx={{ width: 56, height: 56 }}>
+              {profile.name.charAt(0).toUpperCase()}
+            </Avatar>
+            <Box>
+              <Typography variant="h6">{profile.name}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {profile.githubLogin ? `GitHub @${profile.githubLogin}` : profile.email}
+                {profile.githubLogin && profile.email && ` · ${profile.email}`}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                Member since {new Date(profile.memberSince).toLocaleDateString()}
+                {household && ` · ${household.role} of ${household.name}`}
+              </Typography>
+            </Box>
+          </CardContent>
+        </Card>
+
+        {locked && (
+          <Alert severity="info">
+            These settings belong to {household?.name}. As a viewer you can change only your notifications.
+          </Alert>
+        )}
+
+        <Card variant="outlined">
+          <CardContent sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="h6">Display</Typography>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+              <TextField
+                select
+                size="small"
+                label="Display currency"
+                value={draft.displayCurrency}
+                disabled={locked}
+                onChange={(event) => update('displayCurrency', event.target.value)}
+                sx={{ minWidth: 180 }}
+              >
+                {DISPLAY_CURRENCIES.map((currency) => (
+                  <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label="Budget month starts"
+                value={draft.budgetMonthStartsOn}
+                disabled={locked}
+                onChange={(event) => update('budgetMonthStartsOn', event.target.value as BudgetMonthStartMode)}
+                helperText={draft.budgetMonthStartsOn === 'salary'
+                  ? 'On the day your Salary transaction arrives'
+                  : 'On the same day every month'}
+                sx={{ minWidth: 220 }}
+              >
+                <MenuItem value="day">On a set day</MenuItem>
+                <MenuItem value="salary">When salary arrives</MenuItem>
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label={draft.budgetMonthStartsOn === 'salary' ? 'Salary usually arrives on day' : 'Budget month starts on day'}
+                value={draft.budgetMonthStartDay}
+                disabled={locked}
+                onChange={(event) => update('budgetMonthStartDay', Number(event.target.value))}
+                helperText={draft.budgetMonthStartsOn === 'salary'
+                  ? 'Used until the month\'s salary is in'
+                  : 'e.g. the day your salary arrives'}
+                sx={{ minWidth: 220 }}
+              >
+                {Array.from({ length: 28 }, (_, index) => index + 1).map((day) => (
+                  <MenuItem key={day} value={day}>{day}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                size="small"
+                type="number"
+                label="Warn when a balance is forecast below"
+                value={draft.lowBalanceThreshold}
+                disabled={locked}
+                onChange={(event) => update('lowBalanceThreshold', Math.max(0, Number(event.target.value)))}
+                inputProps={{ min: 0, step: 100 }}
+                InputProps={{ endAdornment: <InputAdornment position="end">{draft.displayCurrency}</InputAdornment> }}
+                helperText="Checked against each checking account's 90-day forecast"
+                sx={{ minWidth: 260 }}
+              />
+            </Box>
+          </CardContent>
+        </Card>
+
+        <Card variant="outlined">
+          <CardContent sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="h6">RSU tax rates</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Used for sale records, tax previews and the portfolio's estimated tax liability.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+              {(Object.keys(TAX_RATE_LABELS) as Array<keyof RsuTaxRates>).map((field) => (
+                <TextField
+                  key={field}
+                  size="small"
+                  type="number"
+                  label={TAX_RATE_LABELS[field]}
+                  value={toPercent(draft.rsuTaxRates[field])}
+                  disabled={locked}
+                  onChange={(event) => update('rsuTaxRates', { [field]: Number(event.target.value) / 100 })}
+                  inputProps={{ min: 0, max: 100, step: 0.5 }}
+                  InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                  sx={{ width: 240 }}
+                />
+              ))}
+            </Box>
+          </CardContent>
+        </Card>
+
+        <Card variant="outlined">
+          <CardContent sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="h6">AI categorization</Typography>
+            {!limits.aiAvailable && (
+              <Alert severity="warning">AI categorization is not configured on this server.</Alert>
+            )}
+            <FormControlLabel
+              control={(
+                <Switch
+                  checked={draft.aiCategorization.enabled}
+                  disabled={locked}
+                  onChange={(event) => update('aiCategorization', { enabled: event.target.checked })}
+                />
+              )}
+              label="Suggest categories with AI when no rule or pattern matches"
+            />
+            <TextField
+              size="small"
+              type="number"
+              label="Daily token budget"
+              value={draft.aiCategorization.dailyTokenBudget ?? ''}
+              disabled={locked || !draft.aiCategorization.enabled}
+              onChange={(event) => update('aiCategorization', {
+                dailyTokenBudget: event.target.value === '' ? null : Number(event.target.value)
+              })}
+              inputProps={{ min: 0, max: limits.maxDailyTokenBudget ?? undefined, step: 1000 }}
+              helperText={limits.maxDailyTokenBudget
+                ? `Leave empty for the server limit of ${limits.maxDailyTokenBudget.toLocaleString()} tokens`
+                : 'Leave empty for no limit'}
+              sx={{ maxWidth: 360 }}
+            />
+          </CardContent>
+        </Card>
+
+        <Card variant="outlined">
+          <CardContent sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="h6">Default sync schedule</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Given to bank accounts you connect from now on. Existing accounts keep their own.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+              <TextField
+                select
+                size="small"
+                label="Frequency"
+                value={schedule.frequency}
+                disabled={locked}
+                onChange={(event) => update('scrapingSchedule', { frequency: event.target.value as ScrapingFrequency })}
+                sx={{ minWidth: 160 }}
+              >
+                <MenuItem value="daily">Daily</MenuItem>
+                <MenuItem value="weekly">Weekly</MenuItem>
+                <MenuItem value="monthly">Monthly</MenuItem>
+              </TextField>
+              {schedule.frequency === 'weekly' && (
+                <TextField
+                  select
+                  size="small"
+                  label="On"
+                  value={schedule.dayOfWeek}
+                  disabled={locked}
+                  onChange={(event) => update('scrapingSchedule', { dayOfWeek: Number(event.target.value) })}
+                  sx={{ minWidth: 160 }}
+                >
+                  {WEEKDAYS.map((day, index) => (
+                    <MenuItem key={day} value={index}>{day}</MenuItem>
+                  ))}
+                </TextField>
+              )}
+              {schedule.frequency === 'monthly' && (
+                <TextField
+                  select
+                  size="small"
+                  label="On day"
+                  value={schedule.dayOfMonth}
+                  disabled={locked}
+                  onChange={(event) => update('scrapingSchedule', { dayOfMonth: Number(event.target.value) })}
+                  sx={{ minWidth: 120 }}
+                >
+                  {Array.from({ length: 31 }, (_, index) => index + 1).map((day) => (
+                    <MenuItem key={day} value={day}>{day}</MenuItem>
+                  ))}
+                </TextField>
+              )}
+              <TextField
+                size="small"
+                type="time"
+                label="At"
+                value={schedule.timeOfDay}
+                disabled={locked}
+                onChange={(event) => update('scrapingSchedule', { timeOfDay: event.target.value })}
+                InputLabelProps={{ shrink: true }}
+                sx={{ width: 140 }}
+              />
+            </Box>
+          </CardContent>
+        </Card>
+
+        <Card variant="outlined">
+          <CardContent sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="h6">Notifications</Typography>
+            <FormControlLabel
+              control={(
+                <Switch
+                  checked={draft.notifications.email}
+                  onChange={(event) => update('notifications', { email: event.target.checked })}
+                />
+              )}
+              label={profile.email ? `Email me at ${profile.email}` : 'Email me (GitHub does not share your address)'}
+            />
+            {!limits.emailAvailable && (
+              <Typography variant="body2" color="text.secondary">
+                This server has no mail server configured, so no email is sent.
+              </Typography>
+            )}
+            {limits.pushAvailable && (
+              <FormControlLabel
+                control={(
+                  <Switch
+                    checked={draft.notifications.push}
+                    onChange={(event) => update('notifications', { push: event.target.checked })}
+                  />
+                )}
+                label="Push to the browsers I subscribed (see Alerts below)"
+              />
+            )}
+            <TextField
+              size="small"
+              label="Webhook URL"
+              placeholder="https://"
+              helperText="Alerts are POSTed here as JSON, over https only. Leave empty for none."
+              value={draft.notifications.webhookUrl ?? ''}
+              onChange={(event) => update('notifications', { webhookUrl: event.target.value.trim() || null })}
+            />
+            <TextField
+              select
+              size="small"
+              label="Send"
+              value={draft.notifications.digest}
+              onChange={(event) => update('notifications', { digest: event.target.value as NotificationDigest })}
+              sx={{ maxWidth: 240 }}
+            >
+              {(Object.keys(DIGEST_LABELS) as NotificationDigest[]).map((digest) => (
+                <MenuItem key={digest} value={digest}>{DIGEST_LABELS[digest]}</MenuItem>
+              ))}
+            </TextField>
+          </CardContent>
+        </Card>
+
+        {error && (
+          <Alert severity="error" onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {saved && !dirty && <Alert severity="success">Settings saved.</Alert>}
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+          <Button disabled={!dirty || saving} onClick={() => setDraft(overview.settings)}>
+            Discard
+          </Button>
+          <Button variant="contained" disabled={!dirty || saving} onClick={handleSave}>
+            Save changes
+          </Button>
+        </Box>
+
+        <AlertRulesCard pushAvailable={limits.pushAvailable} />
+
+        <SignInMethodsCard linkError={linkError} />
+
+        <DeleteAccountCard
+          expected={profile.deletionConfirmation}
+          onDeleted={() => window.location.assign('/login')}
+        />
+      </Box>
+    </Container>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,158 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Container,
+  FormControlLabel,
+  Switch,
+  Typography
+} from '@mui/material';
+import { SubscriptionList } from '../components/subscriptions';
+import {
+  CurrencyAmount,
+  Subscription,
+  SubscriptionOverview,
+  SubscriptionReview,
+  subscriptionsApi
+} from '../services/api/subscriptions';
+import { formatCurrencyDisplay } from '../utils/formatters';
+import { errorMessage } from '../utils/errors';
+
+const formatAmounts = (amounts: CurrencyAmount[]): string =>
+  amounts.length === 0
+    ? formatCurrencyDisplay(0)
+    : amounts.map(({ amount, currency }) => formatCurrencyDisplay(amount, currency)).join(' + ');
+
+const SummaryCard: React.FC<{ title: string; value: string; caption: string }> = ({ title, value, caption }) => (
+  <Card variant="outlined">
+    <CardContent>
+      <Typography variant="body2" color="text.secondary">{title}</Typography>
+      <Typography variant="h5">{value}</Typography>
+      <Typography variant="caption" color="text.secondary">{caption}</Typography>
+    </CardContent>
+  </Card>
+);
+
+const SubscriptionsPage: React.FC = () => {
+  const [overview, setOverview] = useState<SubscriptionOverview | null>(null);
+  const [candidatesOnly, setCandidatesOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      setOverview(await subscriptionsApi.list());
+    } catch (err) {
+      console.error('Error loading subscriptions:', err);
+      setError('Failed to load subscriptions.');
+    }
+  }, []);
+
+  useEffect(() => {
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  const handleDetect = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      setOverview(await subscriptionsApi.detect());
+    } catch (err) {
+      console.error('Error detecting subscriptions:', err);
+      setError(errorMessage(err, 'Failed to look for subscriptions.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReview = async (subscription: Subscription, review: SubscriptionReview) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await subscriptionsApi.review(subscription._id, review);
+      await load();
+    } catch (err) {
+      console.error('Error reviewing subscription:', err);
+      setError(errorMessage(err, 'Failed to update the subscription.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const subscriptions = overview?.subscriptions ?? [];
+  const shown = candidatesOnly ? subscriptions.filter(subscription => subscription.cancelCandidate) : subscriptions;
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ mt: 4, mb: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h4">Subscriptions</Typography>
+          <Button disabled={saving} onClick={handleDetect}>
+            Look for subscriptions now
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Merchants that charge you about the same every month or every year, found after each sync.
+          Mark the ones you want to keep; the rest are candidates to cancel.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : overview && (
+          <>
+            <Box display="grid" gridTemplateColumns={{ xs: '1fr', md: '1fr 1fr 1fr' }} gap={2} sx={{ mb: 3 }}>
+              <SummaryCard
+                title="Per month"
+                value={formatAmounts(overview.totals.monthly)}
+                caption="Subscriptions still charging"
+              />
+              <SummaryCard
+                title="Per year"
+                value={formatAmounts(overview.totals.yearly)}
+                caption="At their latest prices"
+              />
+              <SummaryCard
+                title="Cancel candidates"
+                value={formatAmounts(overview.cancelCandidates.yearlyCost)}
+                caption={`A year for ${overview.cancelCandidates.count} subscription${overview.cancelCandidates.count === 1 ? '' : 's'} you have not marked to keep`}
+              />
+            </Box>
+
+            <Card variant="outlined">
+              <CardContent>
+                <FormControlLabel
+                  control={<Switch checked={candidatesOnly} onChange={(e) => setCandidatesOnly(e.target.checked)} />}
+                  label="Cancel candidates only"
+                />
+                {shown.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    {subscriptions.length === 0
+                      ? 'No subscriptions found yet. They appear once a merchant has charged you a few months running, or twice a year apart.'
+                      : 'Every subscription still charging is marked to keep.'}
+                  </Typography>
+                ) : (
+                  <SubscriptionList subscriptions={shown} saving={saving} onReview={handleReview} />
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </Box>
+    </Container>
+  );
+};
+
+export default SubscriptionsPage;
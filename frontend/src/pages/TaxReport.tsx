@@ -0,0 +1,211 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Accordion,
+  AccordionDetails,
+  AccordionSummary,
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Container,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  ExpandMore as ExpandMoreIcon,
+  PictureAsPdf as PdfIcon,
+  FileDownload as CsvIcon
+} from '@mui/icons-material';
+import { taxReportsApi, TaxReport, TaxReportFormat } from '../services/api/taxReports';
+
+const formatCurrency = (amount: number | null, currency = 'ILS'): string => {
+  if (amount == null) return '—';
+  return new Intl.NumberFormat('he-IL', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(amount);
+};
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('he-IL');
+
+// The tax year just filed is usually the one wanted, so default to last year.
+const currentYear = new Date().getFullYear();
+const YEARS = Array.from({ length: 6 }, (_, i) => currentYear - i);
+
+const TaxReportPage: React.FC = () => {
+  const [year, setYear] = useState(currentYear - 1);
+  const [report, setReport] = useState<TaxReport | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [downloading, setDownloading] = useState<TaxReportFormat | null>(null);
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(await taxReportsApi.getReport(year));
+    } catch (err) {
+      console.error('Error loading tax report:', err);
+      setError('Failed to load the tax report.');
+    } finally {
+      setLoading(false);
+    }
+  }, [year]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handleDownload = async (format: TaxReportFormat) => {
+    setDownloading(format);
+    try {
+      await taxReportsApi.download(year, format);
+    } catch (err) {
+      console.error('Error downloading tax report:', err);
+      setError(`Failed to download the ${format.toUpperCase()} report.`);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ mt: 4, mb: 4 }}>
+        <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+          <Box>
+            <Typography variant="h4" gutterBottom>
+              Tax Year Report
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              A Form 1301 worksheet: income recorded in the app, by form line, in shekels.
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <TextField
+              select
+              size="small"
+              label="Tax year"
+              value={year}
+              onChange={(event) => setYear(Number(event.target.value))}
+            >
+              {YEARS.map(option => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </TextField>
+            <Button
+              size="small"
+              startIcon={downloading === 'pdf' ? <CircularProgress size={16} /> : <PdfIcon />}
+              onClick={() => handleDownload('pdf')}
+              disabled={Boolean(downloading) || loading}
+            >
+              PDF
+            </Button>
+            <Button
+              size="small"
+              startIcon={downloading === 'csv' ? <CircularProgress size={16} /> : <CsvIcon />}
+              onClick={() => handleDownload('csv')}
+              disabled={Boolean(downloading) || loading}
+            >
+              CSV
+            </Button>
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : report && (
+          <>
+            {report.warnings.map(warning => (
+              <Alert key={warning} severity="warning" sx={{ mb: 1 }}>{warning}</Alert>
+            ))}
+
+            {report.lines.map(line => (
+              <Accordion key={line.id} disableGutters disabled={line.details.length === 0}>
+                <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, width: '100%', pr: 2 }}>
+                    <Chip label={line.field} size="small" variant="outlined" sx={{ minWidth: 90 }} />
+                    <Box sx={{ flexGrow: 1 }}>
+                      <Typography variant="subtitle1">{line.label}</Typography>
+                      <Typography variant="caption" color="text.secondary">{line.section}</Typography>
+                    </Box>
+                    <Typography variant="subtitle1" fontWeight={600}>
+                      {formatCurrency(line.amount)}
+                    </Typography>
+                  </Box>
+                </AccordionSummary>
+                <AccordionDetails>
+                  {line.note && (
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                      {line.note}
+                    </Typography>
+                  )}
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Date</TableCell>
+                          <TableCell>Description</TableCell>
+                          <TableCell align="right">Original</TableCell>
+                          <TableCell align="right">Rate</TableCell>
+                          <TableCell align="right">ILS</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {line.details.map((row, index) => (
+                          <TableRow key={`${line.id}-${index}`}>
+                            <TableCell>{formatDate(row.date)}</TableCell>
+                            <TableCell>
+                              {row.description}
+                              {row.note && (
+                                <Typography variant="caption" display="block" color="text.secondary">
+                                  {row.note}
+                                </Typography>
+                              )}
+                            </TableCell>
+                            <TableCell align="right">{formatCurrency(row.originalAmount, row.originalCurrency)}</TableCell>
+                            <TableCell align="right">{row.rate ?? '—'}</TableCell>
+                            <TableCell align="right">{formatCurrency(row.amount)}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </AccordionDetails>
+              </Accordion>
+            ))}
+
+            {report.rsuSummary && (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                Estimated RSU tax for {report.year}: {formatCurrency(report.rsuSummary.totalTax, 'USD')} on{' '}
+                {report.rsuSummary.totalSales} sale{report.rsuSummary.totalSales === 1 ? '' : 's'}.
+              </Typography>
+            )}
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+              Field numbers follow the 2024 form; check them against the year being filed.
+            </Typography>
+          </>
+        )}
+      </Box>
+    </Container>
+  );
+};
+
+export default TaxReportPage;
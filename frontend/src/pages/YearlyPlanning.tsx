@@ -0,0 +1,321 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Container,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Block as CancelIcon,
+  CheckCircle as CompleteIcon,
+  ChevronLeft,
+  ChevronRight,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Undo as ReopenIcon
+} from '@mui/icons-material';
+import { useSearchParams } from 'react-router-dom';
+import OneTimeItemDialog from '../components/budget/OneTimeItemDialog';
+import { budgetsApi, OneTimeItem, OneTimeItemStatus, OneTimePlan } from '../services/api/budgets';
+import { formatCurrencyDisplay } from '../utils/formatters';
+import { errorMessage } from '../utils/errors';
+
+const STATUS_CHIPS: Record<OneTimeItemStatus, { label: string; color: 'default' | 'success' | 'info' }> = {
+  planned: { label: 'Planned', color: 'info' },
+  received: { label: 'Received', color: 'success' },
+  spent: { label: 'Spent', color: 'success' },
+  cancelled: { label: 'Cancelled', color: 'default' }
+};
+
+const formatDay = (date: string) =>
+  new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+const categoryName = (item: OneTimeItem): string => {
+  const name = (ref?: { name: string } | string) => (typeof ref === 'object' ? ref.name : '');
+  return [name(item.categoryId), name(item.subCategoryId)].filter(Boolean).join(' › ');
+};
+
+const SummaryCard: React.FC<{ title: string; value: string; caption: string }> = ({ title, value, caption }) => (
+  <Card variant="outlined">
+    <CardContent>
+      <Typography variant="body2" color="text.secondary">{title}</Typography>
+      <Typography variant="h5">{value}</Typography>
+      <Typography variant="caption" color="text.secondary">{caption}</Typography>
+    </CardContent>
+  </Card>
+);
+
+/**
+ * The year's one-off income and expenses — bonuses, tax refunds, annual
+ * insurance, tuition — planned ahead and ticked off as the transactions that
+ * are them arrive.
+ */
+const YearlyPlanningPage: React.FC = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const year = Number(searchParams.get('year')) || new Date().getFullYear();
+
+  const [plan, setPlan] = useState<OneTimePlan | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [editing, setEditing] = useState<OneTimeItem | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setPlan(await budgetsApi.getOneTimePlan(year));
+    } catch (err) {
+      console.error('Error loading one-time items:', err);
+      setError('Failed to load the yearly plan.');
+    }
+  }, [year]);
+
+  useEffect(() => {
+    setLoading(true);
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  // Runs an action on an item, then reloads the plan
+  const act = async (action: () => Promise<unknown>, failure: string) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      console.error(failure, err);
+      setError(errorMessage(err, failure));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMatch = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await budgetsApi.matchOneTimeItems(year);
+      setPlan(result);
+      setNotice(result.matched === 0
+        ? 'No new transactions matched a planned item.'
+        : `Matched ${result.matched} item${result.matched === 1 ? '' : 's'} to transactions.`);
+    } catch (err) {
+      console.error('Error matching one-time items:', err);
+      setError(errorMessage(err, 'Failed to match items to transactions.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openDialog = (item: OneTimeItem | null) => {
+    setEditing(item);
+    setDialogOpen(true);
+  };
+
+  const handleSaved = () => {
+    setDialogOpen(false);
+    load();
+  };
+
+  const totals = plan?.totals;
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ mt: 4, mb: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <IconButton aria-label="Previous year" onClick={() => setSearchParams({ year: String(year - 1) })}>
+              <ChevronLeft />
+            </IconButton>
+            <Typography variant="h4">{year} Plan</Typography>
+            <IconButton aria-label="Next year" onClick={() => setSearchParams({ year: String(year + 1) })}>
+              <ChevronRight />
+            </IconButton>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button disabled={saving} onClick={handleMatch}>
+              Match transactions now
+            </Button>
+            <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog(null)}>
+              Plan item
+            </Button>
+          </Box>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Income and expenses that come once a year, outside the monthly budget. Each is matched to its
+          transaction when it arrives, and what is still planned counts towards the year's outlook.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="info" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : plan && totals && (
+          <>
+            <Box display="grid" gridTemplateColumns={{ xs: '1fr', md: '1fr 1fr 1fr' }} gap={2} sx={{ mb: 3 }}>
+              <SummaryCard
+                title="Still to come in"
+                value={formatCurrencyDisplay(totals.plannedIncome)}
+                caption={`${formatCurrencyDisplay(totals.receivedIncome)} received so far`}
+              />
+              <SummaryCard
+                title="Still to pay"
+                value={formatCurrencyDisplay(totals.plannedExpenses)}
+                caption={`${formatCurrencyDisplay(totals.spentExpenses)} spent so far`}
+              />
+              <SummaryCard
+                title="Net still planned"
+                value={formatCurrencyDisplay(totals.plannedIncome - totals.plannedExpenses)}
+                caption="Added to the projected savings for the year"
+              />
+            </Box>
+
+            <Card variant="outlined">
+              <CardContent>
+                {plan.items.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">
+                    Nothing planned for {year} yet. Add a bonus, a tax refund, annual insurance or tuition.
+                  </Typography>
+                ) : (
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Date</TableCell>
+                        <TableCell>Item</TableCell>
+                        <TableCell>Category</TableCell>
+                        <TableCell align="right">Planned</TableCell>
+                        <TableCell align="right">Actual</TableCell>
+                        <TableCell>Status</TableCell>
+                        <TableCell />
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {plan.items.map(item => {
+                        const sign = item.type === 'income' ? '+' : '−';
+                        const chip = STATUS_CHIPS[item.status];
+                        return (
+                          <TableRow key={item._id}>
+                            <TableCell>{formatDay(item.actualDate ?? item.expectedDate)}</TableCell>
+                            <TableCell>{item.description}</TableCell>
+                            <TableCell>{categoryName(item)}</TableCell>
+                            <TableCell align="right">{sign}{formatCurrencyDisplay(item.amount)}</TableCell>
+                            <TableCell align="right">
+                              {item.actualAmount != null ? `${sign}${formatCurrencyDisplay(item.actualAmount)}` : '—'}
+                            </TableCell>
+                            <TableCell>
+                              <Chip
+                                size="small"
+                                label={item.transactionId ? `${chip.label} · matched` : chip.label}
+                                color={chip.color}
+                              />
+                            </TableCell>
+                            <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                              {item.status === 'planned' && (
+                                <>
+                                  <Tooltip title={item.type === 'income' ? 'Mark received' : 'Mark paid'}>
+                                    <IconButton
+                                      size="small"
+                                      disabled={saving}
+                                      onClick={() => act(
+                                        () => budgetsApi.completeOneTimeItem(year, item.type, item._id),
+                                        'Failed to complete the item.'
+                                      )}
+                                    >
+                                      <CompleteIcon fontSize="small" />
+                                    </IconButton>
+                                  </Tooltip>
+                                  <Tooltip title="Cancel">
+                                    <IconButton
+                                      size="small"
+                                      disabled={saving}
+                                      onClick={() => act(
+                                        () => budgetsApi.updateOneTimeItem(year, item.type, item._id, { status: 'cancelled' }),
+                                        'Failed to cancel the item.'
+                                      )}
+                                    >
+                                      <CancelIcon fontSize="small" />
+                                    </IconButton>
+                                  </Tooltip>
+                                </>
+                              )}
+                              {item.status !== 'planned' && (
+                                <Tooltip title="Back to planned">
+                                  <IconButton
+                                    size="small"
+                                    disabled={saving}
+                                    onClick={() => act(
+                                      () => budgetsApi.updateOneTimeItem(year, item.type, item._id, { status: 'planned' }),
+                                      'Failed to reopen the item.'
+                                    )}
+                                  >
+                                    <ReopenIcon fontSize="small" />
+                                  </IconButton>
+                                </Tooltip>
+                              )}
+                              <Tooltip title="Edit">
+                                <IconButton size="small" aria-label={`Edit ${item.description}`} onClick={() => openDialog(item)}>
+                                  <EditIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                              <Tooltip title="Delete">
+                                <IconButton
+                                  size="small"
+                                  disabled={saving}
+                                  onClick={() => act(
+                                    () => budgetsApi.deleteOneTimeItem(year, item.type, item._id),
+                                    'Failed to delete the item.'
+                                  )}
+                                >
+                                  <DeleteIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </Box>
+
+      <OneTimeItemDialog
+        open={dialogOpen}
+        year={year}
+        item={editing}
+        onClose={() => setDialogOpen(false)}
+        onSaved={handleSaved}
+      />
+    </Container>
+  );
+};
+
+export default YearlyPlanningPage;
@@ -4,15 +4,65 @@ export interface AuthUser {
   id: string;
   email: string | null;
   name: string;
-  githubLogin: string;
+  /** Null for users who sign in only with Google or a passkey. */
+  githubLogin: string | null;
   avatarUrl: string | null;
   displayCurrency?: string;
+  /** The household the user belongs to, if any. */
+  household?: {
+    id: string;
+    name: string;
+    role: 'owner' | 'editor' | 'viewer';
+  } | null;
 }
 
 export interface ProfileResponse {
   user: AuthUser;
 }
 
+export type AuthProviderId = 'github' | 'google' | 'passkey';
+
+/** A sign-in method the server currently offers. */
+export interface AuthProvider {
+  id: AuthProviderId;
+  label: string;
+  /** Redirect providers are a full-page visit; passkeys run in the page. */
+  type: 'redirect' | 'passkey';
+}
+
+/** One of the ways the signed-in user can sign in. */
+export interface AuthIdentity {
+  id: string;
+  provider: AuthProviderId;
+  /** GitHub login, Google address or the name given to a passkey. */
+  label: string | null;
+  email: string | null;
+  linkedAt: string;
+  lastUsedAt: string | null;
+}
+
+/**
+ * A WebAuthn ceremony as the server starts it: the options for the browser,
+ * with binary fields base64url-encoded, and a token to send back with the
+ * authenticator's response.
+ */
+export interface PasskeyCeremony<Options> {
+  options: Options;
+  challengeToken: string;
+}
+
+// What the sign-in callback reports in `auth_error` when it sends the browser
+// back without signing in or linking.
+const AUTH_ERROR_MESSAGES: Record<string, string> = {
+  access_denied: 'Sign-in was cancelled. Please try again.',
+  email_in_use: 'An account with that email address already exists. Sign in the way you did before, then add this sign-in method from Settings.',
+  identity_in_use: 'That account is already used to sign in to a different user here.',
+  link_session_mismatch: 'Your session changed before the sign-in method could be added. Sign in again and retry from Settings.'
+};
+
+export const authErrorMessage = (code: string): string =>
+  AUTH_ERROR_MESSAGES[code] || 'Sign-in failed. Please try again.';
+
 const API_ORIGIN = (process.env.REACT_APP_API_URL || 'http://localhost:3001').replace(/\/$/, '');
 
 /**
@@ -20,9 +70,22 @@ const API_ORIGIN = (process.env.REACT_APP_API_URL || 'http://localhost:3001').re
  * github.com and be sent back, which cannot happen inside a fetch. `return_to`
  * carries the page the user was on so they land back where they started.
  */
-export const githubLoginUrl = (returnTo: string = window.location.href): string => {
+export const providerLoginUrl = (provider: AuthProviderId, returnTo: string = window.location.href): string => {
+  const params = new URLSearchParams({ return_to: returnTo });
+  return `${API_ORIGIN}/api/auth/${provider}/login?${params.toString()}`;
+};
+
+export const githubLoginUrl = (returnTo: string = window.location.href): string =>
+  providerLoginUrl('github', returnTo);
+
+/**
+ * Adding a provider to the signed-in account is the same round trip as signing
+ * in, so it is a redirect too. The server checks on the way back that the
+ * browser finishing it is still signed in as the same user.
+ */
+export const providerLinkUrl = (provider: AuthProviderId, returnTo: string = window.location.href): string => {
   const params = new URLSearchParams({ return_to: returnTo });
-  return `${API_ORIGIN}/api/auth/github/login?${params.toString()}`;
+  return `${API_ORIGIN}/api/auth/${provider}/link?${params.toString()}`;
 };
 
 export const authApi = {
@@ -33,5 +96,41 @@ export const authApi = {
 
   logout: async (): Promise<void> => {
     await api.post('/auth/logout');
+  },
+
+  getProviders: async (): Promise<AuthProvider[]> => {
+    const response = await api.get<{ success: boolean; data: AuthProvider[] }>('/auth/providers');
+    return response.data.data;
+  },
+
+  getIdentities: async (): Promise<AuthIdentity[]> => {
+    const response = await api.get<{ success: boolean; data: AuthIdentity[] }>('/auth/identities');
+    return response.data.data;
+  },
+
+  /** Returns the sign-in methods left. */
+  removeIdentity: async (identityId: string): Promise<AuthIdentity[]> => {
+    const response = await api.delete<{ success: boolean; data: AuthIdentity[] }>(`/auth/identities/${identityId}`);
+    return response.data.data;
+  },
+
+  passkeyLoginOptions: async (): Promise<PasskeyCeremony<Record<string, any>>> => {
+    const response = await api.post('/auth/passkeys/login/options');
+    return response.data.data;
+  },
+
+  /** Sets the session cookie on success. */
+  passkeyLogin: async (challengeToken: string, credential: Record<string, any>): Promise<void> => {
+    await api.post('/auth/passkeys/login', { challengeToken, credential });
+  },
+
+  passkeyRegisterOptions: async (): Promise<PasskeyCeremony<Record<string, any>>> => {
+    const response = await api.post('/auth/passkeys/register/options');
+    return response.data.data;
+  },
+
+  registerPasskey: async (challengeToken: string, credential: Record<string, any>, label?: string): Promise<AuthIdentity> => {
+    const response = await api.post('/auth/passkeys/register', { challengeToken, credential, label });
+    return response.data.data;
   }
 };
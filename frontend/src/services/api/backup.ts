@@ -0,0 +1,30 @@
+import api from './base';
+import { saveBlob } from './export';
+
+export interface RestoreResult {
+  success: boolean;
+  /** Records restored, per collection. */
+  restored: Record<string, number>;
+}
+
+export const backupApi = {
+  /**
+   * Downloads a backup of everything in the account. Bank credentials are
+   * never part of it.
+   */
+  download: async (): Promise<void> => {
+    const response = await api.get('/backup', { responseType: 'blob' });
+    saveBlob(response.data, `gerifinancial-backup-${new Date().toISOString().slice(0, 10)}.json`);
+  },
+
+  /**
+   * Restores a backup file into the current account, which must have no data
+   * yet. The file is sent as-is; the server validates it.
+   */
+  restore: async (file: File): Promise<RestoreResult> => {
+    const response = await api.post<RestoreResult>('/backup/restore', await file.text(), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+    return response.data;
+  }
+};
@@ -1,6 +1,8 @@
 import api from './base';
 import { 
   BankAccount, 
+  BankAccountSchedule,
+  SyncRun,
   AddBankAccountDto, 
   UpdateScrapingConfigDto,
   ScrapeOptionsDto,
@@ -8,7 +10,8 @@ import {
   BulkScrapeResult,
   BalanceSnapshot,
   BalanceSummaryItem,
-  NetWorthHistoryItem
+  NetWorthHistoryItem,
+  BalanceForecast
 } from './types/bankAccount';
 
 export const bankAccountsApi = {
@@ -57,6 +60,11 @@ export const bankAccountsApi = {
     return response.data;
   },
 
+  getSchedules: async (): Promise<BankAccountSchedule[]> => {
+    const response = await api.get<BankAccountSchedule[]>('/bank-accounts/schedule');
+    return response.data;
+  },
+
   getScrapingConfig: async (id: string): Promise<{ scrapingConfig: BankAccount['scrapingConfig']; nextScrapingTime: string }> => {
     const response = await api.get(`/bank-accounts/${id}/scraping-config`);
     return response.data;
@@ -103,5 +111,15 @@ export const bankAccountsApi = {
   getBalanceHistory: async (id: string, days: number = 30): Promise<BalanceSnapshot[]> => {
     const response = await api.get(`/bank-accounts/${id}/balance/history?days=${days}`);
     return response.data;
+  },
+
+  getBalanceForecast: async (days: number = 90): Promise<BalanceForecast> => {
+    const response = await api.get(`/bank-accounts/balance/forecast?days=${days}`);
+    return response.data;
+  },
+
+  getSyncHistory: async (id: string, limit: number = 50): Promise<SyncRun[]> => {
+    const response = await api.get<SyncRun[]>(`/bank-accounts/${id}/sync-history`, { params: { limit } });
+    return response.data;
   }
 };
@@ -1,6 +1,7 @@
 import { AxiosResponse } from 'axios';
 import api from './base';
 import { ProjectBudget } from '../../types/projects';
+import { BudgetMonthStartMode } from './settings';
 
 /**
  * A transaction the matcher thinks belongs to a project, awaiting review.
@@ -32,11 +33,39 @@ export interface ProjectSuggestion {
 }
 
 
+/**
+ * Envelope-style rollover on an expense budget: each month's surplus or
+ * deficit carries into the next month, within the caps, until the reset month.
+ */
+export interface BudgetRollover {
+  enabled: boolean;
+  since?: string | null;
+  maxSurplus: number | null;
+  maxDeficit: number | null;
+  resetMonth: number | null;
+}
+
+/**
+ * The dates a budget month covers: from its start day, or from the day its
+ * salary arrived, up to the moment the next budget month starts.
+ */
+export interface BudgetPeriod {
+  year: number;
+  month: number;
+  start: string;
+  end: string;
+  startsOn: BudgetMonthStartMode;
+  /** Whether `start` is the day salary arrived rather than the start day. */
+  fromSalary: boolean;
+}
+
 export interface MonthlyBudget {
   _id: string;
   userId: string;
   year: number;
   month: number;
+  /** The dates the actual amounts were counted over. */
+  period?: BudgetPeriod;
   currency: string;
   salaryBudget: number;
   otherIncomeBudgets: Array<{
@@ -48,6 +77,21 @@ export interface MonthlyBudget {
     subCategoryId: string;
     budgetedAmount: number;
     actualAmount: number;
+    // Set on rollover budgets: carried in from earlier months, and budgeted plus carried
+    rollover?: boolean;
+    carriedAmount?: number;
+    availableAmount?: number;
+  }>;
+  // What each open savings goal needs set aside this month, in the budget's currency
+  savingsGoals?: Array<{
+    goalId: string;
+    name: string;
+    targetDate: string;
+    currency: string;
+    // null when the goal's currency has no rate to the budget's
+    budgetedAmount: number | null;
+    remaining: number;
+    goalCurrency: string;
   }>;
   isAutoCalculated: boolean;
   lastCalculated?: string;
@@ -55,6 +99,8 @@ export interface MonthlyBudget {
   status: 'draft' | 'active' | 'completed';
   totalBudgetedIncome: number;
   totalBudgetedExpenses: number;
+  totalCarriedExpenses?: number;
+  totalSavingsBudgeted?: number;
   totalActualIncome: number;
   totalActualExpenses: number;
   budgetBalance: number;
@@ -82,6 +128,148 @@ export interface BudgetSummary {
   }>;
 }
 
+export type OneTimeItemType = 'income' | 'expense';
+export type OneTimeItemStatus = 'planned' | 'received' | 'spent' | 'cancelled';
+
+/**
+ * A one-off income or expense planned for the year: a bonus, a tax refund,
+ * annual insurance, tuition. Once it happens — matched to a transaction or
+ * marked by hand — `actualAmount` and `actualDate` say how it went.
+ */
+export interface OneTimeItem {
+  _id: string;
+  type: OneTimeItemType;
+  description: string;
+  amount: number;
+  expectedDate: string;
+  actualDate: string | null;
+  actualAmount: number | null;
+  transactionId: string | null;
+  categoryId: { _id: string; name: string; type: string } | string;
+  subCategoryId?: { _id: string; name: string } | string;
+  status: OneTimeItemStatus;
+  notes?: string;
+}
+
+export interface OneTimePlan {
+  year: number;
+  items: OneTimeItem[];
+  totals: {
+    plannedIncome: number;
+    plannedExpenses: number;
+    receivedIncome: number;
+    spentExpenses: number;
+  };
+}
+
+export interface OneTimeItemInput {
+  type: OneTimeItemType;
+  description: string;
+  amount: number;
+  expectedDate: string;
+  categoryId: string;
+  subCategoryId?: string;
+  notes?: string;
+}
+
+export type ScenarioRecurrence = 'monthly' | 'bi-monthly' | 'quarterly' | 'yearly';
+
+// Populated by the server, sent back as ids
+type ScenarioRef = { _id: string; name: string; type?: string } | string;
+
+/**
+ * One line of a scenario's copy of the category budgets, read the way the
+ * live budget reads its own: a fixed amount every month, or one per month.
+ */
+export interface ScenarioBudgetLine {
+  categoryId: ScenarioRef;
+  subCategoryId: ScenarioRef | null;
+  budgetType: 'fixed' | 'variable';
+  fixedAmount: number;
+  monthlyAmounts: Array<{ month: number; amount: number }>;
+}
+
+/**
+ * A hypothetical income or expense that repeats — a new mortgage, a pay cut
+ * as a lower salary line. Anything less often than monthly falls in its
+ * scheduled months; without dates it runs throughout.
+ */
+export interface ScenarioRecurringItem {
+  _id?: string;
+  description: string;
+  type: OneTimeItemType;
+  amount: number;
+  categoryId: ScenarioRef;
+  subCategoryId?: ScenarioRef | null;
+  recurrence: ScenarioRecurrence;
+  scheduledMonths: number[];
+  startDate?: string | null;
+  endDate?: string | null;
+}
+
+/** A hypothetical one-off income or expense, such as a down payment. */
+export interface ScenarioEvent {
+  _id?: string;
+  description: string;
+  type: OneTimeItemType;
+  amount: number;
+  date: string;
+  categoryId: ScenarioRef;
+  subCategoryId?: ScenarioRef | null;
+}
+
+/**
+ * A what-if budget: a named copy of the category budgets to change freely,
+ * plus hypothetical recurring items and one-off events. It never affects the
+ * live budget until promoted.
+ */
+export interface BudgetScenario {
+  _id: string;
+  name: string;
+  description: string;
+  budgets: ScenarioBudgetLine[];
+  recurring: ScenarioRecurringItem[];
+  events: ScenarioEvent[];
+  promotedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type BudgetScenarioSummary = Pick<BudgetScenario, '_id' | 'name' | 'description' | 'promotedAt' | 'createdAt' | 'updatedAt'>;
+
+export type BudgetScenarioChanges = Partial<Pick<BudgetScenario, 'name' | 'description' | 'budgets' | 'recurring' | 'events'>>;
+
+export interface ScenarioTotals {
+  income: number;
+  expenses: number;
+  net: number;
+}
+
+/** A scenario against the live budget over 12 budget months; differences are scenario minus live. */
+export interface ScenarioComparison {
+  scenario: { _id: string; name: string; promotedAt: string | null };
+  from: { year: number; month: number };
+  months: Array<{
+    year: number;
+    month: number;
+    live: ScenarioTotals;
+    scenario: ScenarioTotals;
+    difference: ScenarioTotals;
+  }>;
+  totals: {
+    live: ScenarioTotals;
+    scenario: ScenarioTotals;
+    difference: ScenarioTotals;
+  };
+}
+
+export interface ScenarioPromotion {
+  budgetsUpdated: number;
+  budgetsDeactivated: number;
+  oneTimeItemsPlanned: number;
+  promotedAt: string;
+}
+
 export interface CreateMonthlyBudgetData {
   year: number;
   month: number;
@@ -206,6 +394,73 @@ export const budgetsApi = {
     api.get('/budgets/dashboard')
       .then((res: AxiosResponse) => res.data),
 
+  // The budget month today falls in, which need not be the calendar month
+  getCurrentPeriod: (): Promise<BudgetPeriod> =>
+    api.get('/budgets/period/current')
+      .then((res: AxiosResponse) => res.data.data),
+
+  // Yearly one-time item API calls
+  getOneTimePlan: (year: number): Promise<OneTimePlan> =>
+    api.get(`/budgets/yearly/${year}/one-time`)
+      .then((res: AxiosResponse) => res.data.data),
+
+  addOneTimeItem: (year: number, item: OneTimeItemInput): Promise<OneTimeItem> =>
+    api.post(`/budgets/yearly/${year}/one-time`, item)
+      .then((res: AxiosResponse) => res.data.data),
+
+  updateOneTimeItem: (
+    year: number,
+    type: OneTimeItemType,
+    itemId: string,
+    changes: Partial<Omit<OneTimeItemInput, 'type'>> & { status?: 'planned' | 'cancelled' }
+  ): Promise<OneTimeItem> =>
+    api.put(`/budgets/yearly/${year}/one-time/${type}/${itemId}`, changes)
+      .then((res: AxiosResponse) => res.data.data),
+
+  deleteOneTimeItem: (year: number, type: OneTimeItemType, itemId: string): Promise<void> =>
+    api.delete(`/budgets/yearly/${year}/one-time/${type}/${itemId}`)
+      .then(() => undefined),
+
+  completeOneTimeItem: (year: number, type: OneTimeItemType, itemId: string, actualAmount?: number): Promise<OneTimeItem> =>
+    api.post(`/budgets/yearly/${year}/one-time/${type}/${itemId}/complete`, { actualAmount })
+      .then((res: AxiosResponse) => res.data.data),
+
+  // Match planned items to transactions now rather than after the next sync
+  matchOneTimeItems: (year: number): Promise<OneTimePlan & { matched: number }> =>
+    api.post(`/budgets/yearly/${year}/one-time/match`)
+      .then((res: AxiosResponse) => res.data.data),
+
+  // What-if scenario API calls
+  getScenarios: (): Promise<BudgetScenarioSummary[]> =>
+    api.get('/budgets/scenarios')
+      .then((res: AxiosResponse) => res.data.data),
+
+  createScenario: (name: string, description?: string): Promise<BudgetScenario> =>
+    api.post('/budgets/scenarios', { name, description })
+      .then((res: AxiosResponse) => res.data.data),
+
+  getScenario: (id: string): Promise<BudgetScenario> =>
+    api.get(`/budgets/scenarios/${id}`)
+      .then((res: AxiosResponse) => res.data.data),
+
+  updateScenario: (id: string, changes: BudgetScenarioChanges): Promise<BudgetScenario> =>
+    api.put(`/budgets/scenarios/${id}`, changes)
+      .then((res: AxiosResponse) => res.data.data),
+
+  deleteScenario: (id: string): Promise<void> =>
+    api.delete(`/budgets/scenarios/${id}`)
+      .then(() => undefined),
+
+  // From the current budget month unless a month is given
+  compareScenario: (id: string, from?: { year: number; month: number }): Promise<ScenarioComparison> =>
+    api.get(`/budgets/scenarios/${id}/comparison`, { params: from })
+      .then((res: AxiosResponse) => res.data.data),
+
+  // Rewrites the category budgets from the scenario
+  promoteScenario: (id: string): Promise<ScenarioPromotion> =>
+    api.post(`/budgets/scenarios/${id}/promote`)
+      .then((res: AxiosResponse) => res.data.data),
+
   // Transaction Exclusion API calls
   excludeTransactionFromBudget: (transactionId: string, reason: string): Promise<{
     transactionId: string;
@@ -260,6 +515,7 @@ export const budgetsApi = {
     budgetType: 'fixed' | 'variable';
     fixedAmount: number;
     monthlyAmounts: Array<{ month: number; amount: number }>;
+    rollover?: BudgetRollover;
     isManuallyEdited: boolean;
     isUniformAcrossMonths: boolean;
     allMonthsData: Array<{ month: number; amount: number }>;
@@ -272,6 +528,7 @@ export const budgetsApi = {
     budgetType: 'fixed' | 'variable';
     fixedAmount?: number;
     monthlyAmounts?: Array<{ month: number; amount: number }>;
+    rollover?: Partial<Omit<BudgetRollover, 'since'>>;
     reason?: string;
   }): Promise<any> =>
     api.put(`/budgets/category/${categoryId}/subcategory/${subCategoryId || 'null'}`, budgetData)
@@ -6,7 +6,8 @@ import {
   CreditCardMonthlyStats,
   CreditCardTrend,
   CreditCardTransactionFilters,
-  CreditCardTransactionsResult
+  CreditCardTransactionsResult,
+  CreditCardStatements
 } from './types/creditCard';
 
 export const creditCardsApi = {
@@ -79,5 +80,12 @@ export const creditCardsApi = {
   getTrend: async (id: string): Promise<CreditCardTrend> => {
     const response = await api.get(`/credit-cards/${id}/trend`);
     return response.data;
+  },
+
+  getStatements: async (id: string, months?: number): Promise<CreditCardStatements> => {
+    const response = await api.get(`/credit-cards/${id}/statements`, {
+      params: months ? { months } : undefined
+    });
+    return response.data;
   }
 };
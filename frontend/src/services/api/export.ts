@@ -0,0 +1,78 @@
+import api from './base';
+
+export type ExportFormat = 'csv' | 'xlsx' | 'json';
+
+export type ExportDataset =
+  | 'transactions'
+  | 'monthly-budgets'
+  | 'category-budgets'
+  | 'rsu-grants'
+  | 'rsu-sales'
+  | 'investment-holdings'
+  | 'real-estate'
+  | 'real-estate-installments';
+
+export interface ExportFilters {
+  startDate?: Date;
+  endDate?: Date;
+  accountId?: string;
+}
+
+const toDateParam = (date?: Date) => (date ? date.toISOString().slice(0, 10) : undefined);
+
+// The file name is built here rather than read from Content-Disposition, which
+// a cross-origin response does not expose to scripts.
+const fileName = (scope: string, format: ExportFormat) =>
+  `gerifinancial-${scope}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+export const saveBlob = (blob: Blob, name: string) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+const filterParams = (filters: ExportFilters = {}) => ({
+  startDate: toDateParam(filters.startDate),
+  endDate: toDateParam(filters.endDate),
+  accountId: filters.accountId || undefined
+});
+
+export const exportApi = {
+  /**
+   * Downloads one dataset. CSV holds a single table, so this is the only way
+   * to get one.
+   */
+  downloadDataset: async (
+    dataset: ExportDataset,
+    format: ExportFormat,
+    filters?: ExportFilters
+  ): Promise<void> => {
+    const response = await api.get(`/export/${dataset}`, {
+      params: { format, ...filterParams(filters) },
+      responseType: 'blob'
+    });
+    saveBlob(response.data, fileName(dataset, format));
+  },
+
+  /**
+   * Downloads several datasets as one workbook or one JSON archive. Leaving
+   * `datasets` out includes everything.
+   */
+  downloadArchive: async (
+    format: Exclude<ExportFormat, 'csv'>,
+    datasets?: ExportDataset[],
+    filters?: ExportFilters
+  ): Promise<void> => {
+    const response = await api.get('/export', {
+      params: { format, datasets: datasets?.join(','), ...filterParams(filters) },
+      responseType: 'blob'
+    });
+    const scope = datasets && datasets.length === 1 ? datasets[0] : 'archive';
+    saveBlob(response.data, fileName(scope, format));
+  }
+};
@@ -0,0 +1,112 @@
+import api from './base';
+
+export type HouseholdRole = 'owner' | 'editor' | 'viewer';
+export type InvitableRole = Exclude<HouseholdRole, 'owner'>;
+
+export interface HouseholdMember {
+  userId: string;
+  name: string;
+  /** Null for members who do not sign in with GitHub. */
+  githubLogin: string | null;
+  avatarUrl: string | null;
+  role: HouseholdRole;
+  joinedAt: string;
+}
+
+export interface HouseholdInvitation {
+  id: string;
+  /** Invitations go to a GitHub login or, for people without GitHub, an email address. */
+  githubLogin: string | null;
+  email: string | null;
+  role: InvitableRole;
+  /** Name of the member who sent it. */
+  invitedBy: string | null;
+  createdAt: string;
+}
+
+export interface Household {
+  id: string;
+  name: string;
+  /** The signed-in user's own role. */
+  role: HouseholdRole;
+  members: HouseholdMember[];
+  /** Invitations the household has sent and that are still open. */
+  invitations: HouseholdInvitation[];
+}
+
+/** An invitation waiting for the signed-in user. */
+export interface ReceivedInvitation {
+  id: string;
+  householdId: string;
+  householdName: string;
+  role: InvitableRole;
+  invitedBy: string | null;
+  createdAt: string;
+}
+
+export interface HouseholdOverview {
+  household: Household | null;
+  invitations: ReceivedInvitation[];
+}
+
+type OverviewResponse = { success: boolean; data: HouseholdOverview };
+
+export const householdsApi = {
+  get: async (): Promise<HouseholdOverview> => {
+    const response = await api.get<OverviewResponse>('/households');
+    return response.data.data;
+  },
+
+  create: async (name: string): Promise<HouseholdOverview> => {
+    const response = await api.post<OverviewResponse>('/households', { name });
+    return response.data.data;
+  },
+
+  rename: async (name: string): Promise<HouseholdOverview> => {
+    const response = await api.patch<OverviewResponse>('/households', { name });
+    return response.data.data;
+  },
+
+  delete: async (): Promise<HouseholdOverview> => {
+    const response = await api.delete<OverviewResponse>('/households');
+    return response.data.data;
+  },
+
+  leave: async (): Promise<HouseholdOverview> => {
+    const response = await api.post<OverviewResponse>('/households/leave');
+    return response.data.data;
+  },
+
+  /** `invitee` is a GitHub username or an email address. */
+  invite: async (invitee: string, role: InvitableRole): Promise<HouseholdOverview> => {
+    // A GitHub username cannot contain '@', though people often write one in front
+    const address = invitee.indexOf('@') > 0 ? { email: invitee } : { githubLogin: invitee.replace(/^@/, '') };
+    const response = await api.post<OverviewResponse>('/households/invitations', { ...address, role });
+    return response.data.data;
+  },
+
+  cancelInvitation: async (invitationId: string): Promise<HouseholdOverview> => {
+    const response = await api.delete<OverviewResponse>(`/households/invitations/${invitationId}`);
+    return response.data.data;
+  },
+
+  acceptInvitation: async (invitationId: string): Promise<HouseholdOverview> => {
+    const response = await api.post<OverviewResponse>(`/households/invitations/${invitationId}/accept`);
+    return response.data.data;
+  },
+
+  declineInvitation: async (invitationId: string): Promise<HouseholdOverview> => {
+    const response = await api.post<OverviewResponse>(`/households/invitations/${invitationId}/decline`);
+    return response.data.data;
+  },
+
+  changeRole: async (userId: string, role: InvitableRole): Promise<HouseholdOverview> => {
+    const response = await api.patch<OverviewResponse>(`/households/members/${userId}`, { role });
+    return response.data.data;
+  },
+
+  removeMember: async (userId: string): Promise<HouseholdOverview> => {
+    const response = await api.delete<OverviewResponse>(`/households/members/${userId}`);
+    return response.data.data;
+  }
+};
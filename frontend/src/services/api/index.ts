@@ -11,4 +11,15 @@ export { portfolioApi } from './portfolios';
 export * from './rsus';
 export * from './onboarding';
 export * from './foreignCurrency';
+export * from './export';
+export * from './backup';
+export * from './taxReports';
+export * from './statementImports';
+export * from './households';
+export * from './settings';
+export * from './rules';
+export * from './merchants';
+export * from './subscriptions';
+export * from './savingsGoals';
+export * from './notifications';
 export { pensionApi } from './pension';
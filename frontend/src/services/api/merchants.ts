@@ -0,0 +1,98 @@
+import api from './base';
+
+/** What was spent at and received from a merchant in one currency. */
+export interface MerchantTotal {
+  currency: string;
+  spent: number;
+  received: number;
+  transactionCount: number;
+  lastSeen: string;
+}
+
+export interface Merchant {
+  _id: string;
+  name: string;
+  /** Merchant keys of the descriptions that belong to this merchant. */
+  aliases: string[];
+  iconKey: string | null;
+  website: string | null;
+  defaultCategory: { _id: string; name: string; type: 'Income' | 'Expense' | 'Transfer' } | null;
+  defaultSubCategory: { _id: string; name: string } | null;
+  /** Recognised from the directory of well-known merchants. */
+  known: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface MerchantSummary extends Merchant {
+  /** Most spent first. */
+  totals: MerchantTotal[];
+  transactionCount: number;
+  lastSeen: string | null;
+}
+
+/** One month of a merchant's spending in one currency; month is 1-12, Israel time. */
+export interface MerchantMonth {
+  year: number;
+  month: number;
+  currency: string;
+  spent: number;
+  received: number;
+  transactionCount: number;
+}
+
+export interface MerchantTransaction {
+  _id: string;
+  date: string;
+  processedDate: string;
+  description: string;
+  amount: number;
+  currency: string;
+  category: { _id: string; name: string; type: string } | null;
+  subCategory: { _id: string; name: string } | null;
+}
+
+export interface MerchantDetail extends Merchant {
+  monthly: MerchantMonth[];
+  recentTransactions: MerchantTransaction[];
+}
+
+export interface MerchantChanges {
+  name?: string;
+  iconKey?: string | null;
+  website?: string | null;
+  aliases?: string[];
+  defaultCategory?: string | null;
+  defaultSubCategory?: string | null;
+}
+
+export const merchantsApi = {
+  list: async (): Promise<MerchantSummary[]> => {
+    const response = await api.get<{ success: boolean; data: MerchantSummary[] }>('/merchants');
+    return response.data.data;
+  },
+
+  get: async (id: string, months?: number): Promise<MerchantDetail> => {
+    const response = await api.get<{ success: boolean; data: MerchantDetail }>(`/merchants/${id}`, {
+      params: { months }
+    });
+    return response.data.data;
+  },
+
+  update: async (id: string, changes: MerchantChanges): Promise<Merchant> => {
+    const response = await api.put<{ success: boolean; data: Merchant }>(`/merchants/${id}`, changes);
+    return response.data.data;
+  },
+
+  /** Folds `sourceId` into `id`, transactions and aliases alike. */
+  merge: async (id: string, sourceId: string): Promise<MerchantDetail> => {
+    const response = await api.post<{ success: boolean; data: MerchantDetail }>(`/merchants/${id}/merge`, { sourceId });
+    return response.data.data;
+  },
+
+  /** Recognises the merchant of every transaction that has none yet. */
+  assign: async (): Promise<number> => {
+    const response = await api.post<{ success: boolean; data: { assigned: number } }>('/merchants/assign');
+    return response.data.data.assigned;
+  }
+};
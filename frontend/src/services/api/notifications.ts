@@ -0,0 +1,113 @@
+import api from './base';
+
+export type AlertType =
+  | 'budget_threshold'
+  | 'uncategorized_backlog'
+  | 'account_error'
+  | 'account_stale'
+  | 'rsu_vesting'
+  | 'installment_overdue'
+  | 'large_transaction';
+
+/** Which of these a rule reads depends on its type; the rest stay null. */
+export interface AlertParams {
+  /** Percent of the month's budget. */
+  threshold?: number | null;
+  /** Limits a budget alert to one category. */
+  categoryId?: string | null;
+  count?: number | null;
+  days?: number | null;
+  /** Compared with the size of the amount, whichever way the money moved. */
+  amount?: number | null;
+}
+
+export interface AlertRule {
+  _id: string;
+  type: AlertType;
+  params: AlertParams;
+  enabled: boolean;
+  lastTriggeredAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type AlertRuleInput = Pick<AlertRule, 'type'> & Partial<Pick<AlertRule, 'params' | 'enabled'>>;
+
+export type NotificationChannel = 'email' | 'webhook' | 'push';
+
+export interface AppNotification {
+  _id: string;
+  type: AlertType;
+  title: string;
+  body: string;
+  /** Path within the app. */
+  link: string | null;
+  readAt: string | null;
+  /** Null while it waits for the next digest. */
+  deliveredAt: string | null;
+  channels: NotificationChannel[];
+  createdAt: string;
+}
+
+export type DeliveryResult = Record<NotificationChannel, 'sent' | 'failed' | 'skipped'>;
+
+export const notificationsApi = {
+  list: async (options: { unread?: boolean; limit?: number } = {}): Promise<{
+    notifications: AppNotification[];
+    unreadCount: number;
+  }> => {
+    const response = await api.get('/notifications', { params: options });
+    return response.data.data;
+  },
+
+  markRead: async (id: string): Promise<void> => {
+    await api.post(`/notifications/${id}/read`);
+  },
+
+  markAllRead: async (): Promise<void> => {
+    await api.post('/notifications/read-all');
+  },
+
+  /** Runs the alert rules now rather than at the next hourly check. */
+  check: async (): Promise<number> => {
+    const response = await api.post<{ success: boolean; data: { raised: number } }>('/notifications/check');
+    return response.data.data.raised;
+  },
+
+  sendTest: async (): Promise<DeliveryResult> => {
+    const response = await api.post<{ success: boolean; data: DeliveryResult }>('/notifications/test');
+    return response.data.data;
+  },
+
+  listRules: async (): Promise<AlertRule[]> => {
+    const response = await api.get<{ success: boolean; data: AlertRule[] }>('/notifications/rules');
+    return response.data.data;
+  },
+
+  createRule: async (rule: AlertRuleInput): Promise<AlertRule> => {
+    const response = await api.post<{ success: boolean; data: AlertRule }>('/notifications/rules', rule);
+    return response.data.data;
+  },
+
+  updateRule: async (id: string, changes: Partial<AlertRuleInput>): Promise<AlertRule> => {
+    const response = await api.put<{ success: boolean; data: AlertRule }>(`/notifications/rules/${id}`, changes);
+    return response.data.data;
+  },
+
+  removeRule: async (id: string): Promise<void> => {
+    await api.delete(`/notifications/rules/${id}`);
+  },
+
+  getPushConfig: async (): Promise<{ available: boolean; publicKey: string | null }> => {
+    const response = await api.get('/notifications/push');
+    return response.data.data;
+  },
+
+  subscribePush: async (subscription: PushSubscriptionJSON): Promise<void> => {
+    await api.post('/notifications/push/subscriptions', subscription);
+  },
+
+  unsubscribePush: async (endpoint: string): Promise<void> => {
+    await api.delete('/notifications/push/subscriptions', { data: { endpoint } });
+  }
+};
@@ -1,5 +1,6 @@
 import { AxiosResponse } from 'axios';
 import api from './base';
+import { BudgetPeriod } from './budgets';
 
 export interface DetectedPattern {
   id: string;
@@ -30,6 +31,7 @@ export interface PatternPreview {
   month: number;
   year: number;
   monthName: string;
+  period: BudgetPeriod;
   patterns: Array<{
     id: string;
     description: string;
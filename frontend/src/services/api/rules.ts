@@ -0,0 +1,126 @@
+import api from './base';
+
+export interface RuleConditions {
+  /** Regular expressions, matched without regard to case. */
+  descriptionPattern?: string | null;
+  memoPattern?: string | null;
+  /** Bounds on the size of the amount, whichever way the money moved. */
+  amountMin?: number | null;
+  amountMax?: number | null;
+  accountIds?: string[];
+  creditCardIds?: string[];
+  currencies?: string[];
+  /** Day of the month in Israel time; a range with from after to wraps past month end. */
+  dayOfMonthFrom?: number | null;
+  dayOfMonthTo?: number | null;
+}
+
+/** One share of a split rule: a percentage of the transaction and where it goes. */
+export interface RuleSplitShare {
+  percentage: number;
+  categoryId: string;
+  subCategoryId?: string | null;
+  tagIds?: string[];
+}
+
+export interface RuleActions {
+  categoryId?: string | null;
+  subCategoryId?: string | null;
+  tagIds?: string[];
+  excludeFromBudget?: boolean;
+  exclusionReason?: string | null;
+  // Instead of a category, divide the transaction between these
+  split?: RuleSplitShare[];
+}
+
+export interface TransactionRule {
+  _id: string;
+  name: string;
+  enabled: boolean;
+  /** Rules run lowest first. */
+  priority: number;
+  /** Skip the rules after this one when it matches. */
+  stopProcessing: boolean;
+  conditions: RuleConditions;
+  actions: RuleActions;
+  matchCount: number;
+  lastMatchedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type RuleInput = Pick<TransactionRule, 'name' | 'conditions' | 'actions'> &
+  Partial<Pick<TransactionRule, 'enabled' | 'priority' | 'stopProcessing'>>;
+
+export interface RulePreviewTransaction {
+  _id: string;
+  date: string;
+  description: string;
+  amount: number;
+  currency: string;
+  category: string | null;
+  subCategory: string | null;
+  /** Re-applying rules keeps categories the user set by hand. */
+  categorizedByHand: boolean;
+  excludedFromBudget: boolean;
+}
+
+export interface RulePreview {
+  since: string;
+  scanned: number;
+  matched: number;
+  /** The most recent matches, up to fifty. */
+  transactions: RulePreviewTransaction[];
+}
+
+export interface ApplyRulesOptions {
+  /** Only these rules; every enabled rule otherwise. */
+  ruleIds?: string[];
+  /** How many months back to go. */
+  months?: number;
+}
+
+/** Progress of a re-apply job, sent over the event stream as `rules:progress` and `rules:completed`. */
+export interface ApplyRulesProgress {
+  total?: number;
+  scanned: number;
+  matched: number;
+  updated: number;
+  failed: number;
+}
+
+export const rulesApi = {
+  list: async (): Promise<TransactionRule[]> => {
+    const response = await api.get<{ success: boolean; data: TransactionRule[] }>('/rules');
+    return response.data.data;
+  },
+
+  create: async (rule: RuleInput): Promise<TransactionRule> => {
+    const response = await api.post<{ success: boolean; data: TransactionRule }>('/rules', rule);
+    return response.data.data;
+  },
+
+  update: async (id: string, changes: Partial<RuleInput>): Promise<TransactionRule> => {
+    const response = await api.put<{ success: boolean; data: TransactionRule }>(`/rules/${id}`, changes);
+    return response.data.data;
+  },
+
+  remove: async (id: string): Promise<void> => {
+    await api.delete(`/rules/${id}`);
+  },
+
+  /** Tests conditions against past transactions without changing anything. */
+  preview: async (
+    draft: { conditions: RuleConditions; actions?: RuleActions },
+    months?: number
+  ): Promise<RulePreview> => {
+    const response = await api.post<{ success: boolean; data: RulePreview }>('/rules/preview', { ...draft, months });
+    return response.data.data;
+  },
+
+  /** Queues re-applying rules to past transactions and returns the job id. */
+  apply: async (options: ApplyRulesOptions = {}): Promise<string> => {
+    const response = await api.post<{ success: boolean; data: { jobId: string } }>('/rules/apply', options);
+    return response.data.data.jobId;
+  }
+};
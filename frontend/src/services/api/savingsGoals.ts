@@ -0,0 +1,86 @@
+import api from './base';
+
+/** What a goal is funded by: an account's or portfolio's value, or what transfers carrying a tag set aside. */
+export type FundingKind = 'bank_account' | 'foreign_currency_account' | 'portfolio' | 'tag';
+
+/** `reached` once the funding covers the target; `overdue` once the target date passed short of it. */
+export type SavingsGoalStatus = 'in_progress' | 'reached' | 'overdue';
+
+export interface FundingLink {
+  kind: FundingKind;
+  refId: string;
+  /** The percentage of the account that belongs to this goal. */
+  share: number;
+}
+
+export interface ValuedFundingLink extends FundingLink {
+  name: string | null;
+  /** Its share in the goal's currency; null when the account is gone or its currency has no rate. */
+  value: number | null;
+  available: boolean;
+}
+
+export interface SavingsGoal {
+  _id: string;
+  name: string;
+  targetAmount: number;
+  currency: string;
+  targetDate: string;
+  notes?: string;
+  archivedAt: string | null;
+  funding: ValuedFundingLink[];
+  saved: number;
+  remaining: number;
+  percent: number;
+  /** This month and the target month included. */
+  monthsLeft: number;
+  /** What has to go in each month to get there by the target date. */
+  monthlyContribution: number;
+  status: SavingsGoalStatus;
+}
+
+export interface FundingOption {
+  kind: FundingKind;
+  refId: string;
+  name: string;
+  currency: string | null;
+  balance: number | null;
+}
+
+export interface SavingsGoalInput {
+  name: string;
+  targetAmount: number;
+  currency?: string;
+  targetDate: string;
+  notes?: string;
+  funding: Array<{ kind: FundingKind; refId: string; share?: number }>;
+}
+
+export const savingsGoalsApi = {
+  list: async (includeArchived = false): Promise<SavingsGoal[]> => {
+    const response = await api.get<{ success: boolean; data: SavingsGoal[] }>('/savings-goals', {
+      params: includeArchived ? { includeArchived } : undefined
+    });
+    return response.data.data;
+  },
+
+  /** The accounts, portfolios and tags a goal can be funded by. */
+  getFundingOptions: async (): Promise<FundingOption[]> => {
+    const response = await api.get<{ success: boolean; data: FundingOption[] }>('/savings-goals/funding-options');
+    return response.data.data;
+  },
+
+  create: async (goal: SavingsGoalInput): Promise<SavingsGoal> => {
+    const response = await api.post<{ success: boolean; data: SavingsGoal }>('/savings-goals', goal);
+    return response.data.data;
+  },
+
+  update: async (id: string, changes: Partial<SavingsGoalInput> & { archived?: boolean }): Promise<SavingsGoal> => {
+    const response = await api.put<{ success: boolean; data: SavingsGoal }>(`/savings-goals/${id}`, changes);
+    return response.data.data;
+  },
+
+  delete: async (id: string): Promise<void> => {
+    await api.delete(`/savings-goals/${id}`);
+  }
+};
@@ -0,0 +1,107 @@
+import api from './base';
+import { HouseholdRole } from './households';
+
+export type ScrapingFrequency = 'daily' | 'weekly' | 'monthly';
+export type NotificationDigest = 'immediate' | 'daily' | 'weekly';
+
+export const DISPLAY_CURRENCIES = ['ILS', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'CHF', 'AUD'] as const;
+export type DisplayCurrency = typeof DISPLAY_CURRENCIES[number];
+
+export interface RsuTaxRates {
+  wageIncome: number;
+  capitalGainsLongTerm: number;
+  capitalGainsShortTerm: number;
+}
+
+export interface ScrapingSchedule {
+  frequency: ScrapingFrequency;
+  /** 0 = Sunday. Used by weekly schedules. */
+  dayOfWeek: number;
+  /** Used by monthly schedules. */
+  dayOfMonth: number;
+  /** HH:mm, 24-hour. */
+  timeOfDay: string;
+}
+
+/** What starts a budget month: the start day, or the month's salary arriving. */
+export type BudgetMonthStartMode = 'day' | 'salary';
+
+export interface UserSettings {
+  displayCurrency: string;
+  budgetMonthStartDay: number;
+  /** With `salary`, the start day is used until that month's salary arrives. */
+  budgetMonthStartsOn: BudgetMonthStartMode;
+  rsuTaxRates: RsuTaxRates;
+  aiCategorization: {
+    enabled: boolean;
+    /** Tokens per day; null follows the server-wide limit. */
+    dailyTokenBudget: number | null;
+  };
+  /** Given to bank accounts connected from now on. */
+  scrapingSchedule: ScrapingSchedule;
+  /** The balance forecast warns below this, in the display currency. */
+  lowBalanceThreshold: number;
+  notifications: {
+    email: boolean;
+    /** To the browsers the user subscribed, when the server sends Web Push. */
+    push: boolean;
+    /** Alerts are POSTed here as JSON; null for none. */
+    webhookUrl: string | null;
+    digest: NotificationDigest;
+  };
+}
+
+export interface SettingsOverview {
+  profile: {
+    name: string;
+    /** Null for users who do not sign in with GitHub. */
+    githubLogin: string | null;
+    email: string | null;
+    avatarUrl: string | null;
+    memberSince: string;
+    /** What deleting the account asks the user to type. */
+    deletionConfirmation: string;
+  };
+  household: { name: string; role: HouseholdRole } | null;
+  /** False for household viewers, who may only change their notifications. */
+  canEditHouseholdSettings: boolean;
+  settings: UserSettings;
+  limits: {
+    aiAvailable: boolean;
+    /** Server-wide daily token ceiling, or null when there is none. */
+    maxDailyTokenBudget: number | null;
+    /** Whether the server can send email and Web Push at all. */
+    emailAvailable: boolean;
+    pushAvailable: boolean;
+  };
+}
+
+export type SettingsUpdate = Partial<{
+  displayCurrency: string;
+  budgetMonthStartDay: number;
+  budgetMonthStartsOn: BudgetMonthStartMode;
+  rsuTaxRates: Partial<RsuTaxRates>;
+  aiCategorization: Partial<UserSettings['aiCategorization']>;
+  scrapingSchedule: Partial<ScrapingSchedule>;
+  lowBalanceThreshold: number;
+  notifications: Partial<UserSettings['notifications']>;
+}>;
+
+type SettingsResponse = { success: boolean; data: SettingsOverview };
+
+export const settingsApi = {
+  get: async (): Promise<SettingsOverview> => {
+    const response = await api.get<SettingsResponse>('/settings');
+    return response.data.data;
+  },
+
+  update: async (changes: SettingsUpdate): Promise<SettingsOverview> => {
+    const response = await api.patch<SettingsResponse>('/settings', changes);
+    return response.data.data;
+  },
+
+  /** `confirm` must be the user's GitHub login. Ends the session. */
+  deleteAccount: async (confirm: string): Promise<void> => {
+    await api.delete('/settings/account', { data: { confirm } });
+  }
+};
@@ -0,0 +1,108 @@
+import api from './base';
+
+export type StatementColumnField =
+  | 'date' | 'processedDate' | 'description' | 'memo' | 'reference'
+  | 'amount' | 'debit' | 'credit' | 'balance' | 'accountNumber'
+  | 'originalAmount' | 'originalCurrency';
+
+export type StatementDateFormat = 'DD/MM/YYYY' | 'MM/DD/YYYY' | 'YYYY-MM-DD';
+
+export interface ImportProfile {
+  id: string;
+  name: string;
+  bankId: string | null;
+  /** Built-in profiles list every header variant seen; saved ones name one header. */
+  columns: Partial<Record<StatementColumnField, string | string[] | null>>;
+  dateFormat: StatementDateFormat;
+  negateAmounts: boolean;
+  builtIn: boolean;
+}
+
+export interface SaveImportProfileDto {
+  name: string;
+  bankId?: string | null;
+  columns: Partial<Record<StatementColumnField, string | null>>;
+  dateFormat: StatementDateFormat;
+  negateAmounts: boolean;
+}
+
+export interface StatementFileOptions {
+  profileId?: string;
+  /** An existing statement-import account to put the file on. */
+  bankAccountId?: string;
+  /** Or the name of one, created on first use. */
+  accountName?: string;
+}
+
+export interface StatementPreview {
+  format: 'csv' | 'xlsx' | 'html' | 'ofx';
+  /** The profile that read the file; null for OFX, or when none matched. */
+  profile: { id: string; name: string } | null;
+  /** The file's header row, when no profile matched it. */
+  headers: string[];
+  skippedRows: number;
+  total: number;
+  accounts: Array<{ accountNumber: string; transactions: number; balance: number | null; currency: string | null }>;
+  transactions: Array<{
+    accountNumber: string;
+    date: string;
+    processedDate: string;
+    description: string;
+    memo: string | null;
+    amount: number;
+  }>;
+}
+
+export interface StatementImportResult {
+  bankAccount: { _id: string; name: string };
+  format: StatementPreview['format'];
+  profile: StatementPreview['profile'];
+  total: number;
+  newTransactions: number;
+  duplicates: number;
+  skippedRows: number;
+  errors: Array<{ identifier?: string; error: string }>;
+  categorizationJobId: string | null;
+  warnings: string[];
+}
+
+// The file goes up as the raw request body; everything else in the query.
+const uploadConfig = (file: File, options: StatementFileOptions) => ({
+  headers: { 'Content-Type': 'application/octet-stream' },
+  params: { fileName: file.name, ...options }
+});
+
+export const statementImportsApi = {
+  getProfiles: async (): Promise<ImportProfile[]> => {
+    const response = await api.get<{ success: boolean; data: ImportProfile[] }>('/statement-imports/profiles');
+    return response.data.data;
+  },
+
+  saveProfile: async (profile: SaveImportProfileDto): Promise<ImportProfile> => {
+    const response = await api.post<{ success: boolean; data: ImportProfile }>('/statement-imports/profiles', profile);
+    return response.data.data;
+  },
+
+  deleteProfile: async (id: string): Promise<void> => {
+    await api.delete(`/statement-imports/profiles/${id}`);
+  },
+
+  /** Reads a file and shows what importing it would add, without saving anything. */
+  preview: async (file: File, options: StatementFileOptions = {}): Promise<StatementPreview> => {
+    const response = await api.post<{ success: boolean; data: StatementPreview }>(
+      '/statement-imports/preview',
+      file,
+      uploadConfig(file, options)
+    );
+    return response.data.data;
+  },
+
+  importFile: async (file: File, options: StatementFileOptions = {}): Promise<StatementImportResult> => {
+    const response = await api.post<{ success: boolean; data: StatementImportResult }>(
+      '/statement-imports',
+      file,
+      uploadConfig(file, options)
+    );
+    return response.data.data;
+  }
+};
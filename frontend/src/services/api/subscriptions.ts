@@ -0,0 +1,70 @@
+import api from './base';
+
+export type SubscriptionInterval = 'monthly' | 'yearly';
+
+/** Why a subscription deserves a look: no charge when one was due, charged twice or twice the price, or a new price. */
+export type SubscriptionFlag = 'stopped' | 'doubled' | 'price_changed';
+
+/** `keep` takes it off the cancel candidates; `ignore` hides it as not a subscription. */
+export type SubscriptionReview = 'keep' | 'ignore' | null;
+
+export interface SubscriptionCharge {
+  transactionId?: string;
+  date: string;
+  amount: number;
+}
+
+export interface Subscription {
+  _id: string;
+  merchantId: string;
+  merchant: { _id: string; name: string; iconKey: string | null; website: string | null };
+  currency: string;
+  interval: SubscriptionInterval;
+  /** The latest charge, as spent. */
+  amount: number;
+  previousAmount: number | null;
+  priceChangedAt: string | null;
+  /** The first charge and every charge at a new price. */
+  priceHistory: SubscriptionCharge[];
+  /** Charges beyond the one expected in their period. */
+  extraCharges: SubscriptionCharge[];
+  firstChargeAt: string;
+  lastChargeAt: string;
+  nextChargeAt: string;
+  chargeCount: number;
+  review: SubscriptionReview;
+  flags: SubscriptionFlag[];
+  yearlyCost: number;
+  /** Still charging and not marked as wanted. */
+  cancelCandidate: boolean;
+}
+
+export interface CurrencyAmount {
+  currency: string;
+  amount: number;
+}
+
+export interface SubscriptionOverview {
+  /** Most expensive first. */
+  subscriptions: Subscription[];
+  /** What the subscriptions still charging cost. */
+  totals: { monthly: CurrencyAmount[]; yearly: CurrencyAmount[] };
+  cancelCandidates: { count: number; yearlyCost: CurrencyAmount[] };
+}
+
+export const subscriptionsApi = {
+  list: async (): Promise<SubscriptionOverview> => {
+    const response = await api.get<{ success: boolean; data: SubscriptionOverview }>('/subscriptions');
+    return response.data.data;
+  },
+
+  /** Looks for subscriptions now rather than after the next sync. */
+  detect: async (): Promise<SubscriptionOverview> => {
+    const response = await api.post<{ success: boolean; data: SubscriptionOverview }>('/subscriptions/detect');
+    return response.data.data;
+  },
+
+  review: async (id: string, review: SubscriptionReview): Promise<void> => {
+    await api.put(`/subscriptions/${id}/review`, { review });
+  }
+};
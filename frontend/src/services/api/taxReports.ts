@@ -0,0 +1,59 @@
+import api from './base';
+import { saveBlob } from './export';
+
+export type TaxReportFormat = 'pdf' | 'csv';
+
+export interface TaxReportDetail {
+  date: string;
+  description: string;
+  source: 'rsu-sale' | 'investment-transaction' | 'rental-income' | 'foreign-currency-account';
+  originalAmount: number;
+  originalCurrency: string;
+  /** Null when no exchange rate was available; the row is then left out of the total. */
+  rate: number | null;
+  amount: number | null;
+  taxWithheld: number | null;
+  note?: string;
+}
+
+export interface TaxReportLine {
+  id: string;
+  /** Form 1301 field number, or the appendix the detail belongs on. */
+  field: string;
+  section: string;
+  label: string;
+  note?: string;
+  amount: number;
+  details: TaxReportDetail[];
+}
+
+export interface TaxReport {
+  year: number;
+  currency: 'ILS';
+  generatedAt: string;
+  lines: TaxReportLine[];
+  rsuSummary: {
+    totalSales: number;
+    totalSaleValue: number;
+    totalWageIncomeTax: number;
+    totalCapitalGainsTax: number;
+    totalTax: number;
+    currency: 'USD';
+  } | null;
+  warnings: string[];
+}
+
+export const taxReportsApi = {
+  getReport: async (year: number): Promise<TaxReport> => {
+    const response = await api.get<{ success: boolean; data: TaxReport }>(`/tax-reports/${year}`);
+    return response.data.data;
+  },
+
+  download: async (year: number, format: TaxReportFormat): Promise<void> => {
+    const response = await api.get(`/tax-reports/${year}/download`, {
+      params: { format },
+      responseType: 'blob'
+    });
+    saveBlob(response.data, `gerifinancial-tax-report-${year}.${format}`);
+  }
+};
@@ -8,7 +8,9 @@ import {
   CategorizeTransactionResponse,
   TransactionSummary,
   CategorySuggestion,
-  UncategorizedStats
+  UncategorizedStats,
+  TransactionSplitInput,
+  TransferMatch
 } from './types/transactions';
 import type { Category } from './types';
 
@@ -100,5 +102,43 @@ export const transactionsApi = {
 
   removeTagsFromTransaction: (transactionId: string, tagIds: string[]): Promise<Transaction> =>
     api.delete<Transaction>(`/transactions/${transactionId}/tags`, { data: { tagIds } })
+      .then((res: AxiosResponse<Transaction>) => res.data),
+
+  // Split transactions: parts keep the transaction's sign and add up to its amount
+  setSplits: (transactionId: string, splits: TransactionSplitInput[]): Promise<Transaction> =>
+    api.put<Transaction>(`/transactions/${transactionId}/splits`, { splits })
+      .then((res: AxiosResponse<Transaction>) => res.data),
+
+  clearSplits: (transactionId: string): Promise<Transaction> =>
+    api.delete<Transaction>(`/transactions/${transactionId}/splits`)
+      .then((res: AxiosResponse<Transaction>) => res.data),
+
+  // Transfers between the user's own accounts
+  getTransferReview: (): Promise<TransferMatch[]> =>
+    api.get<TransferMatch[]>('/transactions/transfers/review')
+      .then((res: AxiosResponse<TransferMatch[]>) => res.data),
+
+  detectTransfers: (): Promise<{ linked: number; suggested: number }> =>
+    api.post<{ linked: number; suggested: number }>('/transactions/transfers/detect')
+      .then((res: AxiosResponse<{ linked: number; suggested: number }>) => res.data),
+
+  confirmTransfer: (matchId: string): Promise<TransferMatch> =>
+    api.post<TransferMatch>(`/transactions/transfers/${matchId}/confirm`)
+      .then((res: AxiosResponse<TransferMatch>) => res.data),
+
+  rejectTransfer: (matchId: string): Promise<TransferMatch> =>
+    api.post<TransferMatch>(`/transactions/transfers/${matchId}/reject`)
+      .then((res: AxiosResponse<TransferMatch>) => res.data),
+
+  unlinkTransfer: (transactionId: string): Promise<Transaction> =>
+    api.delete<Transaction>(`/transactions/${transactionId}/transfer`)
+      .then((res: AxiosResponse<Transaction>) => res.data),
+
+  detectRefunds: (): Promise<{ linked: number }> =>
+    api.post<{ linked: number }>('/transactions/refunds/detect')
+      .then((res: AxiosResponse<{ linked: number }>) => res.data),
+
+  unlinkRefund: (transactionId: string): Promise<Transaction> =>
+    api.delete<Transaction>(`/transactions/${transactionId}/refund`)
       .then((res: AxiosResponse<Transaction>) => res.data)
 };
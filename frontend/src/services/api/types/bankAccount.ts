@@ -2,7 +2,7 @@ export interface BankAccount {
   _id: string;
   bankId: string;
   name: string;
-  status: 'active' | 'error' | 'pending' | 'disabled';
+  status: 'active' | 'error' | 'pending' | 'disabled' | 'needs-reauth';
   lastScraped: string | null;
   currentBalance?: number | null;
   lastBalanceUpdate?: string | null;
@@ -36,6 +36,36 @@ export interface BankAccount {
   };
 }
 
+/** An account's sync schedule, as GET /bank-accounts/schedule reports it. */
+export interface BankAccountSchedule {
+  accountId: string;
+  name: string;
+  bankId: string;
+  status: BankAccount['status'];
+  schedule: BankAccount['scrapingConfig']['schedule'];
+  /** When the next scheduled sync is queued; null when the account has none. */
+  nextRun: string | null;
+  unscheduledReason: 'inactive' | 'otp' | 'file_import' | null;
+}
+
+/** One strategy run of an account's sync, as GET /bank-accounts/:id/sync-history reports it. */
+export interface SyncRun {
+  _id: string;
+  bankAccountId: string;
+  strategyName: string;
+  jobId: string | null;
+  /** 1 for the first try, higher when the queue retried. */
+  attempt: number;
+  reason: string;
+  status: 'running' | 'succeeded' | 'failed' | 'skipped';
+  startedAt: string;
+  finishedAt: string | null;
+  window: { from: string | null; to: string | null };
+  counts: { new: number; duplicates: number; updated: number; failed: number };
+  balance: { amount: number | null; currency: string | null };
+  error: { class: string | null; message: string | null };
+}
+
 export interface AddBankAccountDto {
   bankId: string;
   name: string;
@@ -121,3 +151,71 @@ export interface NetWorthHistoryItem {
   totalBalance: number;
   accountCount: number;
 }
+
+export type ForecastEventType = 'salary' | 'recurring' | 'card_debit' | 'installment';
+
+export interface ForecastEvent {
+  date: string;
+  type: ForecastEventType;
+  description: string;
+  amount: number;
+  currency: string;
+  patternId?: string;
+  creditCardId?: string;
+  investmentId?: string;
+  // A card statement projected from a usual month rather than scraped charges
+  estimated?: boolean;
+}
+
+export interface ForecastPoint {
+  date: string;
+  balance: number;
+}
+
+export interface ForecastShortfall {
+  from: string;
+  to: string;
+  lowest: ForecastPoint;
+}
+
+export interface AccountForecast {
+  accountId: string;
+  name: string;
+  bankId: string;
+  currency: string;
+  startingBalance: number;
+  balanceUpdatedAt: string | null;
+  // The user's low-balance threshold in this account's currency
+  threshold: number;
+  series: ForecastPoint[];
+  events: ForecastEvent[];
+  lowest: ForecastPoint;
+  shortfalls: ForecastShortfall[];
+}
+
+export interface ForecastRsuVest {
+  date: string;
+  grantId: string;
+  stockSymbol: string;
+  name: string | null;
+  shares: number;
+  estimatedValue: number;
+  currency: string;
+}
+
+export interface ForecastWarning extends ForecastShortfall {
+  accountId: string;
+  accountName: string;
+  currency: string;
+  threshold: number;
+}
+
+export interface BalanceForecast {
+  generatedAt: string;
+  days: number;
+  displayCurrency: string;
+  lowBalanceThreshold: number;
+  accounts: AccountForecast[];
+  rsuVests: ForecastRsuVest[];
+  warnings: ForecastWarning[];
+}
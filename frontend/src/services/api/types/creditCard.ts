@@ -95,3 +95,61 @@ export interface CreditCardTransactionsResult {
   hasNext: boolean;
   hasPrev: boolean;
 }
+
+export type StatementLineKind = 'charge' | 'installment' | 'foreign_fee' | 'refund';
+
+export interface StatementTotals {
+  amount: number;
+  count: number;
+}
+
+export interface StatementLine {
+  _id: string;
+  date: string;
+  processedDate: string;
+  description: string;
+  // What the line debits; refunds are negative
+  amount: number;
+  currency: string;
+  originalAmount: number;
+  originalCurrency: string;
+  kind: StatementLineKind;
+  installment: { number: number | null; total: number } | null;
+}
+
+export type StatementPaymentStatus = 'matched' | 'mismatch' | 'not_found' | 'upcoming';
+
+export interface StatementPayment {
+  status: StatementPaymentStatus;
+  transactionId?: string;
+  accountId?: string;
+  date?: string;
+  description?: string;
+  amount?: number;
+  // Paid less what the statement adds up to; 0 when matched
+  difference?: number;
+  // Other cards the same debit paid for
+  sharedWithCards?: number;
+}
+
+export interface CreditCardStatement {
+  billingDate: string;
+  period: { opensOn: string; closesOn: string };
+  currency: string;
+  charges: StatementTotals;
+  installments: StatementTotals & { remaining: number };
+  foreignFees: StatementTotals;
+  refunds: StatementTotals;
+  foreignCharges: StatementTotals;
+  totalDebit: number;
+  otherCurrencies: Array<{ currency: string; totalDebit: number }>;
+  transactions: StatementLine[];
+  payment: StatementPayment;
+}
+
+export interface CreditCardStatements {
+  cardId: string;
+  displayName: string;
+  cutoffDay: number;
+  statements: CreditCardStatement[];
+}
@@ -4,7 +4,7 @@ export type { Category, SubCategory };
 
 export type TransactionStatus = 'pending' | 'needs_verification' | 'verified' | 'processed' | 'error';
 export type TransactionType = 'Expense' | 'Income' | 'Transfer';
-export type CategorizationMethod = 'manual' | 'previous_data' | 'ai';
+export type CategorizationMethod = 'manual' | 'previous_data' | 'ai' | 'rule' | 'transfer_match' | 'refund_match';
 
 export interface Transaction {
   _id: string;
@@ -21,19 +21,75 @@ export interface Transaction {
   memo?: string;
   category?: Category;
   subCategory?: SubCategory;
-  categorizationMethod: 'manual' | 'previous_data' | 'ai';
+  categorizationMethod: 'manual' | 'previous_data' | 'ai' | 'rule' | 'transfer_match' | 'refund_match';
   categorizationReasoning?: string;
   rawData: TransactionRawData;
   createdAt: string;
   updatedAt: string;
   userId: string;
-  status: 'verified' | 'deleted';
+  // Pending until the bank settles the charge; it counts in budgets meanwhile
+  status: 'verified' | 'pending' | 'deleted';
   // Budget exclusion fields
   excludeFromBudgetCalculation?: boolean;
   exclusionReason?: string;
   excludedAt?: string;
   // Project tagging fields  
   tags?: string[] | Tag[]; // Array of tag IDs or populated Tag objects
+  // Set when the transaction is divided between categories; `category` is then the largest part's
+  splits?: TransactionSplit[];
+  // Who was paid, recognised from the description when the transaction was brought in
+  merchantId?: string | null;
+  // The other leg when this is one side of a transfer between the user's own accounts
+  transferCounterpart?: string | null;
+  // The purchase this card refund gives back; it then counts against that purchase's category
+  refundOf?: string | null;
+}
+
+/**
+ * One part of a split transaction. Its tags apply to this part only, the
+ * transaction's own tags to all of it.
+ */
+export interface TransactionSplit {
+  _id: string;
+  amount: number;
+  category: Category;
+  subCategory?: SubCategory | null;
+  tags?: Tag[];
+  note?: string;
+}
+
+/** One side of a suggested transfer, with the name of its account. */
+export interface TransferLeg {
+  _id: string;
+  accountId: string;
+  accountName: string | null;
+  amount: number;
+  currency: string;
+  date: string;
+  description: string;
+  memo?: string;
+}
+
+/**
+ * Two transactions the transfer matcher takes for one movement of money
+ * between the user's accounts, waiting for the user to confirm or reject.
+ */
+export interface TransferMatch {
+  _id: string;
+  outgoingTransaction: TransferLeg;
+  incomingTransaction: TransferLeg;
+  confidence: number;
+  reasons: string[];
+  status: 'suggested' | 'confirmed' | 'rejected';
+  createdAt: string;
+}
+
+export interface TransactionSplitInput {
+  amount: number;
+  categoryId: string;
+  subCategoryId?: string | null;
+  tagIds?: string[];
+  note?: string;
 }
 
 export interface Tag {
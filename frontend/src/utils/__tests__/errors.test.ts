@@ -0,0 +1,18 @@
+import { errorMessage } from '../errors';
+
+describe('errorMessage', () => {
+  it('prefers the message the API sent over its raw error', () => {
+    const err = { response: { data: { message: 'Failed to save', error: 'E11000 duplicate key' } } };
+    expect(errorMessage(err, 'Something went wrong')).toBe('Failed to save');
+  });
+
+  it('reads the error of routes that send only that', () => {
+    const err = { response: { data: { error: 'A rule needs at least one condition' } } };
+    expect(errorMessage(err, 'Something went wrong')).toBe('A rule needs at least one condition');
+  });
+
+  it('falls back when the request never got an answer', () => {
+    expect(errorMessage(new Error('Network Error'), 'Something went wrong')).toBe('Something went wrong');
+    expect(errorMessage(undefined, 'Something went wrong')).toBe('Something went wrong');
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Reading failed API requests
+ */
+
+interface ApiErrorBody {
+  message?: string;
+  error?: string;
+}
+
+/**
+ * What the API said went wrong with a failed request. Routes answer with a
+ * `message`, an `error`, or both when `error` carries the raw server error,
+ * so `message` is preferred.
+ *
+ * @param err - Whatever the request rejected with
+ * @param fallback - Shown when the API gave no reason or was never reached
+ * @returns The message to show the user
+ */
+export const errorMessage = (err: unknown, fallback: string): string => {
+  const data = (err as { response?: { data?: ApiErrorBody } } | null | undefined)?.response?.data;
+  return data?.message || data?.error || fallback;
+};
@@ -0,0 +1,93 @@
+/**
+ * Browser side of passkey sign-in. The server sends WebAuthn options with
+ * binary fields as base64url strings and expects the authenticator's response
+ * back the same way; these helpers convert in both directions around
+ * navigator.credentials.
+ */
+
+const toBuffer = (value: string): ArrayBuffer => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+const toBase64Url = (buffer: ArrayBuffer): string => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const withBufferIds = (descriptors: Array<{ id: string; type: string }> = []) =>
+  descriptors.map((descriptor) => ({ ...descriptor, id: toBuffer(descriptor.id) }));
+
+export const isPasskeySupported = (): boolean =>
+  typeof window !== 'undefined' && typeof window.PublicKeyCredential === 'function' && !!navigator.credentials;
+
+/**
+ * Creates a passkey for the signed-in user.
+ *
+ * @returns The credential to send to the server, or null if the user cancelled
+ */
+export const createPasskey = async (options: Record<string, any>): Promise<Record<string, any> | null> => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      user: { ...options.user, id: toBuffer(options.user.id) },
+      excludeCredentials: withBufferIds(options.excludeCredentials)
+    } as PublicKeyCredentialCreationOptions
+  }) as PublicKeyCredential | null;
+  if (!credential) return null;
+
+  const response = credential.response as AuthenticatorAttestationResponse;
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+      attestationObject: toBase64Url(response.attestationObject)
+    }
+  };
+};
+
+/**
+ * Asks the browser for one of this site's passkeys.
+ *
+ * @returns The assertion to send to the server, or null if the user cancelled
+ */
+export const getPasskey = async (options: Record<string, any>): Promise<Record<string, any> | null> => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      allowCredentials: withBufferIds(options.allowCredentials)
+    } as PublicKeyCredentialRequestOptions
+  }) as PublicKeyCredential | null;
+  if (!credential) return null;
+
+  const response = credential.response as AuthenticatorAssertionResponse;
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+      authenticatorData: toBase64Url(response.authenticatorData),
+      signature: toBase64Url(response.signature),
+      userHandle: response.userHandle ? toBase64Url(response.userHandle) : null
+    }
+  };
+};
+
+/**
+ * True when the error only means the user dismissed the browser's prompt.
+ */
+export const isPasskeyCancellation = (error: unknown): boolean =>
+  error instanceof DOMException && (error.name === 'NotAllowedError' || error.name === 'AbortError');
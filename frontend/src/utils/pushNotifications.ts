@@ -0,0 +1,60 @@
+/**
+ * Browser side of Web Push. The subscription belongs to a service worker, so
+ * one is registered just for pushes (public/push-worker.js); it does nothing
+ * else and caches nothing.
+ */
+
+const WORKER_URL = '/push-worker.js';
+
+// The VAPID key arrives base64url-encoded; PushManager wants the raw bytes.
+const toKeyBytes = (value: string): Uint8Array => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+export const isPushSupported = (): boolean =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+const registration = async (): Promise<ServiceWorkerRegistration> => {
+  await navigator.serviceWorker.register(WORKER_URL);
+  return navigator.serviceWorker.ready;
+};
+
+/** This browser's current subscription, or null when it has none. */
+export const getPushSubscription = async (): Promise<PushSubscription | null> => {
+  if (!isPushSupported()) return null;
+  const existing = await navigator.serviceWorker.getRegistration(WORKER_URL);
+  return existing ? existing.pushManager.getSubscription() : null;
+};
+
+/**
+ * Asks for permission and subscribes this browser.
+ *
+ * @returns The subscription to send to the server, or null if permission was refused
+ */
+export const subscribeToPush = async (publicKey: string): Promise<PushSubscriptionJSON | null> => {
+  if ((await Notification.requestPermission()) !== 'granted') return null;
+  const worker = await registration();
+  const subscription = await worker.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: toKeyBytes(publicKey)
+  });
+  return subscription.toJSON();
+};
+
+/** @returns The endpoint that was unsubscribed, for telling the server */
+export const unsubscribeFromPush = async (): Promise<string | null> => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return null;
+  await subscription.unsubscribe();
+  return subscription.endpoint;
+};